@@ -87,7 +87,7 @@ class MockDocumentReference {
   async get() {
     const collection = mockData.collections[this.collectionName] || {};
     const data = collection[this.id];
-    return new MockDocumentSnapshot(this.id, data);
+    return new MockDocumentSnapshot(this.id, data, true, this.collectionName);
   }
 
   async set(data, options = {}) {
@@ -335,6 +335,8 @@ class MockTransaction {
   }
 
   async get(docRef) {
+    // Transactions can read queries as well as single documents
+    if (docRef instanceof MockQuery) return docRef.get();
     const collection = mockData.collections[docRef.collectionName] || {};
     const data = collection[docRef.id];
     return new MockDocumentSnapshot(docRef.id, data);
@@ -491,7 +493,8 @@ const mockBucket = {
       return [mockData.storageFiles[path]];
     },
     delete: async () => { delete mockData.storageFiles[path]; },
-    exists: async () => [mockData.storageFiles[path] !== undefined]
+    exists: async () => [mockData.storageFiles[path] !== undefined],
+    getSignedUrl: async () => [`https://storage.mock/${path}`]
   })
 };
 const mockStorage = { bucket: () => mockBucket };
@@ -18,10 +18,10 @@
 
 const { runAgentAndParseJson } = require('../services/agentRunner');
 const googlePlaces = require('../services/googlePlaces');
-const { websiteScrape } = require('../services/tools/websiteScrape');
+const { websiteScrape, fetchHtml } = require('../services/tools/websiteScrape');
 const { googleSearch } = require('../services/tools/googleSearch');
 const { Client } = require('@googlemaps/google-maps-services-js');
-const axios = require('axios');
+const { wrapClient } = require('../services/providerReplay');
 
 const mapsClient = new Client({});
 
@@ -316,17 +316,7 @@ async function websiteScrapeProxy({ websiteUrl }) {
             let url = websiteUrl.replace(/\/$/, '');
             if (!url.startsWith('http')) url = 'https://' + url;
 
-            const response = await axios.get(url, {
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                    'Accept': 'text/html',
-                },
-                timeout: 8000,
-                maxRedirects: 3,
-                validateStatus: s => s < 400,
-            });
-
-            const html = response.data;
+            const html = await fetchHtml(url, { timeout: 8000 });
 
             // Extract social links
             const socialLinks = {};
@@ -553,8 +543,8 @@ Then synthesize everything into the JSON output format.`;
     }
 }
 
-module.exports = {
+module.exports = wrapClient('prospectResearchAgent', {
     research,
     PROSPECT_RESEARCH_SYSTEM_PROMPT,
     TOOL_DEFINITIONS,
-};
+});
@@ -30,7 +30,8 @@ async function createTest(req, res) {
             operation,
             variants,
             targetAudience,
-            metrics
+            metrics,
+            statsConfig
         } = req.body;
 
         // Validate required fields
@@ -49,6 +50,14 @@ async function createTest(req, res) {
             });
         }
 
+        if (testType && !Object.values(abTestingService.TestType).includes(testType)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid testType',
+                message: `Valid test types: ${Object.values(abTestingService.TestType).join(', ')}`
+            });
+        }
+
         if (!variants || !Array.isArray(variants) || variants.length < 2) {
             return res.status(400).json({
                 success: false,
@@ -57,6 +66,19 @@ async function createTest(req, res) {
             });
         }
 
+        // primaryMetric, alpha, minSamplesPerVariant, plannedSamplesPerVariant
+        if (statsConfig !== undefined) {
+            try {
+                abTestingService.resolveStatsConfig(statsConfig);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid statsConfig',
+                    message: error.message
+                });
+            }
+        }
+
         const test = await abTestingService.createTest({
             name,
             description,
@@ -64,7 +86,8 @@ async function createTest(req, res) {
             operation,
             variants,
             targetAudience,
-            metrics
+            metrics,
+            statsConfig
         });
 
         return res.status(201).json({
@@ -251,7 +274,9 @@ async function stopTest(req, res) {
 
 /**
  * GET /api/v1/admin/ab-tests/:id/results
- * Get detailed results and analysis for an A/B test
+ * Get detailed results and analysis for an A/B test: per-variant confidence
+ * intervals, significance tests against control, the sequential stopping
+ * boundary, guardrail breaches and minimum-sample warnings
  */
 async function getTestResults(req, res) {
     const testId = req.params.id;
@@ -1,15 +1,22 @@
 /**
  * Bulk CSV Upload API Handlers
  *
- * Handles bulk pitch generation from CSV files
+ * Handles bulk pitch generation from CSV files.
+ *
+ * Each valid row is checkpointed as its own doc under bulkJobs/{jobId}/rows and
+ * processed by a bounded-concurrency worker pool. A job-level lease (leaseOwner +
+ * leaseExpiresAt, extended on every row) keeps two runners off the same job; when a
+ * function dies mid-job the lease lapses and resumeJob() or the scheduled reconciler
+ * (scheduled/bulkJobReconciler.js) picks up from the rows that never finished.
  */
 
 const admin = require('firebase-admin');
-const { parse } = require('csv-parse/sync');
 const archiver = require('archiver');
 const { getPlanLimits } = require('../config/stripe');
 const { getUserPlanForRequest } = require('../middleware/planGate');
 const emailService = require('../services/email');
+const { readSpreadsheet } = require('../services/spreadsheetReader');
+const columnMapping = require('../services/bulkColumnMapping');
 
 const db = admin.firestore();
 
@@ -44,6 +51,69 @@ const CSV_TEMPLATE_EXAMPLE = [
     "127"
 ];
 
+// Uploaded spreadsheets arrive base64-encoded in the JSON body
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+// Saved header mappings per user (bulkMappingPresets/{presetId})
+const MAX_PRESETS_PER_USER = 50;
+
+// Per-row checkpoint states (bulkJobs/{jobId}/rows/{rowNumber}.status)
+const ROW_STATUS = {
+    PENDING: 'pending',
+    PROCESSING: 'processing',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed'
+};
+
+// Job statuses a runner may pick up. 'processing' is only runnable once its lease lapses.
+const RUNNABLE_JOB_STATUSES = ['pending', 'processing'];
+
+// Parallel pitch generations per job. Each generation fans out to Places/LLM calls of its
+// own, so keep this modest. Tunable via BULK_JOB_CONCURRENCY.
+const DEFAULT_CONCURRENCY = 4;
+const MAX_CONCURRENCY = 10;
+
+// Attempts per row within a single run before it is marked failed (transient LLM/API errors)
+const MAX_ROW_ATTEMPTS = 2;
+const ROW_RETRY_DELAY_MS = 2000;
+
+// A runner that has not checkpointed a row in this long is presumed dead
+const LEASE_MS = 5 * 60 * 1000;
+
+// Firestore batch limit is 500 writes — stay under it
+const ROW_WRITE_BATCH_SIZE = 400;
+
+function getConcurrency() {
+    const configured = parseInt(process.env.BULK_JOB_CONCURRENCY, 10);
+    if (!Number.isFinite(configured) || configured < 1) return DEFAULT_CONCURRENCY;
+    return Math.min(configured, MAX_CONCURRENCY);
+}
+
+/**
+ * Coerce a Firestore Timestamp / Date / epoch millis to epoch millis (null if undatable)
+ */
+function toMillis(ts) {
+    if (ts == null) return null;
+    if (typeof ts === 'number') return ts;
+    if (typeof ts.toMillis === 'function') return ts.toMillis();
+    if (typeof ts.toDate === 'function') return ts.toDate().getTime();
+    if (ts instanceof Date) return ts.getTime();
+    return null;
+}
+
+function leaseExpiry(now = Date.now()) {
+    return admin.firestore.Timestamp.fromDate(new Date(now + LEASE_MS));
+}
+
+/**
+ * True when a runner currently holds the job (lease set and not yet expired)
+ */
+function isLeaseActive(jobData, now = Date.now()) {
+    if (!jobData || !jobData.leaseOwner) return false;
+    const expiresMs = toMillis(jobData.leaseExpiresAt);
+    return expiresMs != null && expiresMs > now;
+}
+
 /**
  * Download CSV template
  */
@@ -92,39 +162,48 @@ async function uploadCSV(req, res) {
             });
         }
 
-        // Get CSV data from request
-        const { csvData, pitchLevel = 2 } = req.body;
+        const { pitchLevel = 2 } = req.body;
 
-        if (!csvData) {
+        if (!req.body.csvData && !req.body.fileData) {
             return res.status(400).json({
                 success: false,
                 error: 'No CSV data provided'
             });
         }
 
-        // Parse CSV
-        let records;
+        // Parse CSV / XLSX
+        let sheet;
         try {
-            records = parse(csvData, {
-                columns: true,
-                skip_empty_lines: true,
-                trim: true
-            });
+            sheet = readUploadedSpreadsheet(req.body);
         } catch (parseError) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid CSV format',
+                error: 'Invalid file format',
                 message: parseError.message
             });
         }
 
-        if (records.length === 0) {
+        if (sheet.records.length === 0) {
             return res.status(400).json({
                 success: false,
                 error: 'CSV file is empty'
             });
         }
 
+        // Map source columns onto template fields
+        const resolved = await resolveMapping(req.body, sheet.headers, userId);
+        if (resolved.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Column mapping required',
+                message: resolved.errors.join('; '),
+                headers: sheet.headers,
+                suggestedMapping: columnMapping.suggestMapping(sheet.headers)
+            });
+        }
+
+        const records = columnMapping.applyMapping(sheet.records, resolved.mapping);
+
         // Check row limit
         if (records.length > limits.bulkUploadRows) {
             return res.status(400).json({
@@ -166,10 +245,20 @@ async function uploadCSV(req, res) {
             pitchLevel: pitchLevel,
             pitchIds: [],
             errors: errors,
+            validationErrors: errors,
+            sourceFileType: sheet.fileType,
+            columnMapping: resolved.mapping,
+            mappingSource: resolved.source,
+            concurrency: getConcurrency(),
+            runCount: 0,
+            leaseOwner: null,
+            leaseExpiresAt: null,
             createdAt: admin.firestore.FieldValue.serverTimestamp(),
             completedAt: null
         };
 
+        // Rows first: a job doc is only ever visible to a runner once its rows exist
+        await writeJobRows(jobRef, validRecords);
         await jobRef.set(jobData);
 
         // If there are validation errors but some valid records, still process the valid ones
@@ -187,9 +276,10 @@ async function uploadCSV(req, res) {
             });
         }
 
-        // Start processing in the background
-        // For now, we'll process synchronously but update status as we go
-        processJob(jobRef.id, validRecords, pitchLevel, userId);
+        // Start processing in the background — rows are checkpointed, so a run that
+        // dies with the request is resumed from the rows it never finished
+        processJob(jobRef.id).catch(err =>
+            console.error(`Bulk job ${jobRef.id} failed to start:`, err));
 
         return res.status(202).json({
             success: true,
@@ -197,7 +287,9 @@ async function uploadCSV(req, res) {
             jobId: jobRef.id,
             totalRows: records.length,
             validRows: validRecords.length,
-            validationErrors: errors
+            validationErrors: errors,
+            columnMapping: resolved.mapping,
+            mappingSource: resolved.source
         });
 
     } catch (error) {
@@ -210,6 +302,287 @@ async function uploadCSV(req, res) {
     }
 }
 
+/**
+ * Parse the spreadsheet carried in an upload/preview body:
+ * { csvData } for CSV text, or { fileData (base64), fileName | fileType, sheet? } for a file
+ */
+function readUploadedSpreadsheet(body) {
+    if (body.fileData) {
+        const buffer = Buffer.from(body.fileData, 'base64');
+        if (buffer.length > MAX_UPLOAD_BYTES) {
+            throw new Error(`File exceeds maximum size of ${MAX_UPLOAD_BYTES / (1024 * 1024)}MB`);
+        }
+        return readSpreadsheet({
+            buffer,
+            fileName: body.fileName,
+            fileType: body.fileType,
+            sheet: body.sheet
+        });
+    }
+
+    return readSpreadsheet({ csvData: body.csvData, fileType: 'csv' });
+}
+
+/**
+ * Decide which column mapping an upload uses: an explicit `mapping`, a saved
+ * `presetId`, or the auto-suggestion from the headers.
+ * Returns { mapping, source, errors }.
+ */
+async function resolveMapping(body, headers, userId) {
+    if (body.mapping) {
+        const errors = columnMapping.validateMapping(body.mapping, headers);
+        return { mapping: body.mapping, source: 'request', errors };
+    }
+
+    if (body.presetId) {
+        const presetDoc = await db.collection('bulkMappingPresets').doc(body.presetId).get();
+        if (!presetDoc.exists || presetDoc.data().userId !== userId) {
+            return { mapping: null, source: 'preset', errors: ['Mapping preset not found'] };
+        }
+        const mapping = presetDoc.data().mapping;
+        return { mapping, source: 'preset', errors: columnMapping.validateMapping(mapping, headers) };
+    }
+
+    const suggestion = columnMapping.suggestMapping(headers);
+    return {
+        mapping: suggestion.mapping,
+        source: 'auto',
+        errors: suggestion.missingRequired.map(f => `Required field ${f} could not be matched to a column`)
+    };
+}
+
+/**
+ * Preview an upload: headers, sample rows, suggested mapping and any saved
+ * preset for the same header layout — the column-mapping step before upload
+ */
+async function previewUpload(req, res) {
+    const userId = req.userId;
+
+    if (!userId || userId === 'anonymous') {
+        return res.status(401).json({
+            success: false,
+            error: 'Authentication required'
+        });
+    }
+
+    if (!req.body?.csvData && !req.body?.fileData) {
+        return res.status(400).json({
+            success: false,
+            error: 'No file data provided'
+        });
+    }
+
+    try {
+        let sheet;
+        try {
+            sheet = readUploadedSpreadsheet(req.body);
+        } catch (parseError) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid file format',
+                message: parseError.message
+            });
+        }
+
+        const suggestion = columnMapping.suggestMapping(sheet.headers);
+        const signature = columnMapping.headersSignature(sheet.headers);
+
+        const presetSnapshot = await db.collection('bulkMappingPresets')
+            .where('userId', '==', userId)
+            .where('headersSignature', '==', signature)
+            .limit(1)
+            .get();
+        const matchingPreset = presetSnapshot.empty
+            ? null
+            : { id: presetSnapshot.docs[0].id, ...presetSnapshot.docs[0].data() };
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                fileType: sheet.fileType,
+                sheetNames: sheet.sheetNames || null,
+                sheetName: sheet.sheetName || null,
+                headers: sheet.headers,
+                rowCount: sheet.records.length,
+                sampleRows: sheet.records.slice(0, 5),
+                templateFields: Object.keys(columnMapping.FIELD_ALIASES),
+                requiredFields: columnMapping.REQUIRED_FIELDS,
+                suggestion,
+                matchingPreset
+            }
+        });
+
+    } catch (error) {
+        console.error('Error previewing bulk upload:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to preview upload'
+        });
+    }
+}
+
+/**
+ * List the user's saved column-mapping presets
+ */
+async function listMappingPresets(req, res) {
+    const userId = req.userId;
+
+    if (!userId || userId === 'anonymous') {
+        return res.status(401).json({
+            success: false,
+            error: 'Authentication required'
+        });
+    }
+
+    try {
+        const snapshot = await db.collection('bulkMappingPresets')
+            .where('userId', '==', userId)
+            .get();
+
+        const presets = snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+
+        return res.status(200).json({
+            success: true,
+            data: presets
+        });
+
+    } catch (error) {
+        console.error('Error listing mapping presets:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to list mapping presets'
+        });
+    }
+}
+
+/**
+ * Save a reusable column-mapping preset. `headers` (the export's header row) is
+ * fingerprinted so previewUpload() can offer the preset for the same layout.
+ */
+async function saveMappingPreset(req, res) {
+    const userId = req.userId;
+
+    if (!userId || userId === 'anonymous') {
+        return res.status(401).json({
+            success: false,
+            error: 'Authentication required'
+        });
+    }
+
+    try {
+        const { name, mapping, headers } = req.body || {};
+
+        if (!name || typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+            return res.status(400).json({
+                success: false,
+                error: 'Preset name is required (max 100 characters)'
+            });
+        }
+
+        if (!Array.isArray(headers) || headers.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'headers must be the non-empty header row the mapping applies to'
+            });
+        }
+
+        const mappingErrors = columnMapping.validateMapping(mapping, headers);
+        if (mappingErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid mapping',
+                message: mappingErrors.join('; ')
+            });
+        }
+
+        const existing = await db.collection('bulkMappingPresets')
+            .where('userId', '==', userId)
+            .get();
+
+        const sameName = existing.docs.find(doc => doc.data().name === name.trim());
+        if (!sameName && existing.size >= MAX_PRESETS_PER_USER) {
+            return res.status(400).json({
+                success: false,
+                error: `You can save up to ${MAX_PRESETS_PER_USER} mapping presets`
+            });
+        }
+
+        // Saving under an existing name overwrites that preset
+        const presetRef = sameName
+            ? db.collection('bulkMappingPresets').doc(sameName.id)
+            : db.collection('bulkMappingPresets').doc();
+
+        const preset = {
+            userId,
+            name: name.trim(),
+            mapping,
+            source: columnMapping.detectSource(headers),
+            headersSignature: columnMapping.headersSignature(headers),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+        if (!sameName) {
+            preset.createdAt = admin.firestore.FieldValue.serverTimestamp();
+        }
+
+        await presetRef.set(preset, { merge: true });
+
+        return res.status(sameName ? 200 : 201).json({
+            success: true,
+            data: { id: presetRef.id, ...preset }
+        });
+
+    } catch (error) {
+        console.error('Error saving mapping preset:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to save mapping preset'
+        });
+    }
+}
+
+/**
+ * Delete a saved column-mapping preset
+ */
+async function deleteMappingPreset(req, res) {
+    const userId = req.userId;
+    const presetId = req.params.presetId;
+
+    if (!userId || userId === 'anonymous') {
+        return res.status(401).json({
+            success: false,
+            error: 'Authentication required'
+        });
+    }
+
+    try {
+        const presetRef = db.collection('bulkMappingPresets').doc(presetId);
+        const presetDoc = await presetRef.get();
+
+        if (!presetDoc.exists || presetDoc.data().userId !== userId) {
+            return res.status(404).json({
+                success: false,
+                error: 'Mapping preset not found'
+            });
+        }
+
+        await presetRef.delete();
+
+        return res.status(200).json({
+            success: true,
+            message: 'Mapping preset deleted'
+        });
+
+    } catch (error) {
+        console.error('Error deleting mapping preset:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to delete mapping preset'
+        });
+    }
+}
+
 /**
  * Validate a single CSV row
  */
@@ -279,117 +652,486 @@ function validateRow(record, rowNumber) {
 }
 
 /**
- * Process a bulk job (runs asynchronously)
+ * Persist each valid row as its own checkpoint doc under bulkJobs/{jobId}/rows.
+ * Doc IDs are the CSV row numbers, so every run addresses the same row.
  */
-async function processJob(jobId, records, pitchLevel, userId) {
-    const jobRef = db.collection('bulkJobs').doc(jobId);
+async function writeJobRows(jobRef, records) {
+    for (let i = 0; i < records.length; i += ROW_WRITE_BATCH_SIZE) {
+        const batch = db.batch();
+
+        records.slice(i, i + ROW_WRITE_BATCH_SIZE).forEach(({ rowNumber, ...record }) => {
+            batch.set(jobRef.collection('rows').doc(String(rowNumber)), {
+                rowNumber,
+                businessName: record.businessName,
+                record,
+                status: ROW_STATUS.PENDING,
+                attempts: 0,
+                pitchId: null,
+                error: null,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        });
 
-    try {
-        await jobRef.update({ status: 'processing' });
+        await batch.commit();
+    }
+}
 
-        const pitchGenerator = require('./pitchGenerator');
-        const pitchIds = [];
-        const errors = [];
-        let successCount = 0;
-        let failedCount = 0;
+/**
+ * Build the generatePitchDirect() payload for a CSV row
+ */
+function buildPitchData(record, pitchLevel, jobId) {
+    return {
+        businessName: record.businessName,
+        industry: record.segment,
+        subIndustry: record.subIndustry || '',
+        address: [record.city, record.state].filter(Boolean).join(', '),
+        contactName: record.ownerName || '',
+        email: record.email || '',
+        phone: record.phone || '',
+        customMessage: record.customMessage || '',
+        websiteUrl: record.websiteUrl || '',
+        googleRating: parseFloat(record.googleRating) || 0,
+        numReviews: parseInt(record.numReviews) || 0,
+        pitchLevel: pitchLevel,
+        source: 'bulk_upload',
+        bulkJobId: jobId
+    };
+}
 
-        for (let i = 0; i < records.length; i++) {
-            const record = records[i];
+/**
+ * Run `worker` over `items` with at most `limit` in flight
+ */
+async function runWithConcurrency(items, limit, worker) {
+    let cursor = 0;
+    const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (cursor < items.length) {
+            const item = items[cursor++];
+            await worker(item);
+        }
+    });
+    await Promise.all(lanes);
+}
 
-            try {
-                // Build request body for pitch generation
-                const pitchData = {
-                    businessName: record.businessName,
-                    industry: record.segment,
-                    subIndustry: record.subIndustry || '',
-                    address: [record.city, record.state].filter(Boolean).join(', '),
-                    contactName: record.ownerName || '',
-                    email: record.email || '',
-                    phone: record.phone || '',
-                    customMessage: record.customMessage || '',
-                    websiteUrl: record.websiteUrl || '',
-                    googleRating: parseFloat(record.googleRating) || 0,
-                    numReviews: parseInt(record.numReviews) || 0,
-                    pitchLevel: pitchLevel,
-                    source: 'bulk_upload',
-                    bulkJobId: jobId
-                };
-
-                // Generate pitch using the pitch generator
-                const result = await pitchGenerator.generatePitchDirect(pitchData, userId);
-
-                if (result.success && result.pitchId) {
-                    pitchIds.push(result.pitchId);
-                    successCount++;
-                } else {
-                    throw new Error(result.error || 'Failed to generate pitch');
-                }
+/**
+ * Claim the job for this runner. Returns the job data, or null when the job is
+ * terminal, missing, or another runner still holds an unexpired lease.
+ */
+async function acquireJobLease(jobRef, runId) {
+    return db.runTransaction(async (transaction) => {
+        const jobDoc = await transaction.get(jobRef);
+        if (!jobDoc.exists) return null;
 
-            } catch (pitchError) {
-                console.error(`Error generating pitch for row ${record.rowNumber}:`, pitchError);
-                errors.push({
-                    row: record.rowNumber,
-                    error: pitchError.message || 'Failed to generate pitch'
-                });
-                failedCount++;
+        const jobData = jobDoc.data();
+        if (!RUNNABLE_JOB_STATUSES.includes(jobData.status) || isLeaseActive(jobData)) {
+            return null;
+        }
+
+        transaction.update(jobRef, {
+            status: 'processing',
+            leaseOwner: runId,
+            leaseExpiresAt: leaseExpiry(),
+            runCount: admin.firestore.FieldValue.increment(1),
+            lastHeartbeatAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return jobData;
+    });
+}
+
+/**
+ * Extend this runner's lease before it starts another row. Returns false when the
+ * lease has passed to another runner, which then owns the remaining rows.
+ */
+async function renewJobLease(jobRef, runId) {
+    return db.runTransaction(async (transaction) => {
+        const jobDoc = await transaction.get(jobRef);
+        if (!jobDoc.exists || jobDoc.data().leaseOwner !== runId) return false;
+
+        transaction.update(jobRef, {
+            leaseExpiresAt: leaseExpiry(),
+            lastHeartbeatAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return true;
+    });
+}
+
+/**
+ * Generate the pitch for one checkpointed row, retrying transient failures,
+ * and record the outcome on both the row and the job counters.
+ * Returns true when the row succeeded.
+ */
+async function processRow(jobRef, rowDoc, jobData) {
+    const row = rowDoc.data();
+    const pitchGenerator = require('./pitchGenerator');
+    const pitchData = buildPitchData(row.record || {}, jobData.pitchLevel, jobRef.id);
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= MAX_ROW_ATTEMPTS; attempt++) {
+        await rowDoc.ref.update({
+            status: ROW_STATUS.PROCESSING,
+            attempts: admin.firestore.FieldValue.increment(1),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        try {
+            const result = await pitchGenerator.generatePitchDirect(pitchData, jobData.userId);
+
+            if (!result.success || !result.pitchId) {
+                throw new Error(result.error || 'Failed to generate pitch');
             }
 
-            // Update progress
+            await rowDoc.ref.update({
+                status: ROW_STATUS.SUCCEEDED,
+                pitchId: result.pitchId,
+                error: null,
+                completedAt: admin.firestore.FieldValue.serverTimestamp(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
             await jobRef.update({
-                processedRows: i + 1,
-                successCount: successCount,
-                failedCount: failedCount,
-                pitchIds: pitchIds
+                processedRows: admin.firestore.FieldValue.increment(1),
+                successCount: admin.firestore.FieldValue.increment(1),
+                pitchIds: admin.firestore.FieldValue.arrayUnion(result.pitchId)
             });
+            return true;
+
+        } catch (pitchError) {
+            lastError = pitchError;
+            console.error(`Error generating pitch for row ${row.rowNumber} (attempt ${attempt}/${MAX_ROW_ATTEMPTS}):`, pitchError);
+            if (attempt < MAX_ROW_ATTEMPTS) {
+                await new Promise(resolve => setTimeout(resolve, ROW_RETRY_DELAY_MS * attempt));
+            }
+        }
+    }
+
+    await rowDoc.ref.update({
+        status: ROW_STATUS.FAILED,
+        error: lastError?.message || 'Failed to generate pitch',
+        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    await jobRef.update({
+        processedRows: admin.firestore.FieldValue.increment(1),
+        failedCount: admin.firestore.FieldValue.increment(1)
+    });
+    return false;
+}
+
+/**
+ * Process a bulk job (runs asynchronously)
+ *
+ * Picks up every row that is still pending — or was left 'processing' by a runner
+ * that died — so the same call serves first runs, resumes and retries.
+ * Returns { started: false } when the job is not runnable or already held.
+ */
+async function processJob(jobId) {
+    const jobRef = db.collection('bulkJobs').doc(jobId);
+    const runId = `${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+
+    const jobData = await acquireJobLease(jobRef, runId);
+    if (!jobData) {
+        return { started: false };
+    }
+
+    let runProcessedCount = 0;
+    let runSuccessCount = 0;
+    let leaseLost = false;
+
+    try {
+        const rowsSnapshot = await jobRef.collection('rows')
+            .where('status', 'in', [ROW_STATUS.PENDING, ROW_STATUS.PROCESSING])
+            .get();
+
+        const rowDocs = [...rowsSnapshot.docs]
+            .sort((a, b) => a.data().rowNumber - b.data().rowNumber);
+
+        await runWithConcurrency(rowDocs, jobData.concurrency || getConcurrency(), async (rowDoc) => {
+            if (leaseLost) return;
+            if (!(await renewJobLease(jobRef, runId))) {
+                leaseLost = true;
+                return;
+            }
+            runProcessedCount++;
+            if (await processRow(jobRef, rowDoc, jobData)) {
+                runSuccessCount++;
+            }
+        });
+
+        if (leaseLost) {
+            console.warn(`Bulk job ${jobId}: lease taken over by another runner, stopping after ${runProcessedCount} rows`);
+            return { started: true, leaseLost: true, processed: runProcessedCount, succeeded: runSuccessCount };
         }
 
-        // Mark job as complete
+        await finalizeJob(jobRef, runId);
+        return { started: true, processed: runProcessedCount, succeeded: runSuccessCount };
+
+    } catch (error) {
+        console.error('Error processing bulk job:', error);
+        // Leave status 'processing' and drop the lease: the checkpointed rows are
+        // intact, so the job is resumable rather than terminally failed.
         await jobRef.update({
-            status: successCount > 0 ? 'completed' : 'failed',
-            completedAt: admin.firestore.FieldValue.serverTimestamp(),
-            errors: admin.firestore.FieldValue.arrayUnion(...errors)
+            leaseOwner: null,
+            leaseExpiresAt: null,
+            lastError: `System error: ${error.message}`
+        }).catch(e => console.error(`Failed to release lease on bulk job ${jobId}:`, e));
+        return { started: true, error: error.message };
+    }
+}
+
+/**
+ * Mark a job terminal once its run drains, rebuild the error list from the rows,
+ * and send the completion email / usage increment.
+ */
+async function finalizeJob(jobRef, runId) {
+    const jobDoc = await jobRef.get();
+    const jobData = jobDoc.data();
+
+    // Another runner took over after our lease lapsed — it owns finalization
+    if (jobData.leaseOwner !== runId) {
+        return;
+    }
+
+    const failedRows = await jobRef.collection('rows')
+        .where('status', '==', ROW_STATUS.FAILED)
+        .get();
+
+    const rowErrors = failedRows.docs
+        .map(doc => doc.data())
+        .sort((a, b) => a.rowNumber - b.rowNumber)
+        .map(row => ({ row: row.rowNumber, error: row.error || 'Failed to generate pitch' }));
+
+    await jobRef.update({
+        status: jobData.successCount > 0 ? 'completed' : 'failed',
+        errors: [...(jobData.validationErrors || []), ...rowErrors],
+        leaseOwner: null,
+        leaseExpiresAt: null,
+        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+        usageCounted: true,
+        pitchesCounted: jobData.successCount || 0
+    });
+
+    // Send completion notification email
+    try {
+        const userDoc = await db.collection('users').doc(jobData.userId).get();
+        const userEmail = userDoc.exists ? userDoc.data().email : null;
+
+        if (userEmail) {
+            await emailService.sendBulkJobCompleteEmail(userEmail, {
+                jobId: jobRef.id,
+                totalRows: jobData.totalRows,
+                successCount: jobData.successCount,
+                failedCount: jobData.failedCount
+            });
+        }
+    } catch (emailError) {
+        console.error('Failed to send bulk job completion email:', emailError);
+        // Don't fail the job if email fails
+    }
+
+    // Update usage — the upload counts once; pitches count the delta since the last
+    // finalization, which also covers rows a crashed run completed before dying
+    const now = new Date();
+    const period = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+    const usageId = `${jobData.userId}_${period}`;
+
+    await db.collection('usage').doc(usageId).set({
+        bulkUploadsThisMonth: admin.firestore.FieldValue.increment(jobData.usageCounted ? 0 : 1),
+        pitchesGenerated: admin.firestore.FieldValue.increment((jobData.successCount || 0) - (jobData.pitchesCounted || 0)),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+}
+
+/**
+ * Load a job and verify the caller owns it. Sends the error response and
+ * returns null when the job is missing or belongs to someone else.
+ */
+async function getOwnedJob(jobRef, userId, res) {
+    const jobDoc = await jobRef.get();
+
+    if (!jobDoc.exists) {
+        res.status(404).json({
+            success: false,
+            error: 'Job not found'
         });
+        return null;
+    }
 
-        // Send completion notification email
-        try {
-            const userDoc = await db.collection('users').doc(userId).get();
-            const userEmail = userDoc.exists ? userDoc.data().email : null;
-
-            if (userEmail) {
-                await emailService.sendBulkJobCompleteEmail(userEmail, {
-                    jobId,
-                    totalRows: records.length,
-                    successCount,
-                    failedCount
-                });
-            }
-        } catch (emailError) {
-            console.error('Failed to send bulk job completion email:', emailError);
-            // Don't fail the job if email fails
+    if (jobDoc.data().userId !== userId) {
+        res.status(403).json({
+            success: false,
+            error: 'Access denied'
+        });
+        return null;
+    }
+
+    return jobDoc;
+}
+
+/**
+ * Resume a job whose runner died mid-job
+ */
+async function resumeJob(req, res) {
+    const userId = req.userId;
+    const jobId = req.params.jobId;
+
+    if (!userId || userId === 'anonymous') {
+        return res.status(401).json({
+            success: false,
+            error: 'Authentication required'
+        });
+    }
+
+    try {
+        const jobRef = db.collection('bulkJobs').doc(jobId);
+        const jobDoc = await getOwnedJob(jobRef, userId, res);
+        if (!jobDoc) return;
+
+        const jobData = jobDoc.data();
+
+        if (!RUNNABLE_JOB_STATUSES.includes(jobData.status)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Job is not resumable',
+                message: `Job is ${jobData.status}. Use retry to re-run failed rows.`
+            });
         }
 
-        // Update usage
-        const now = new Date();
-        const period = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
-        const usageId = `${userId}_${period}`;
+        if (isLeaseActive(jobData)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Job is already running'
+            });
+        }
 
-        await db.collection('usage').doc(usageId).set({
-            bulkUploadsThisMonth: admin.firestore.FieldValue.increment(1),
-            pitchesGenerated: admin.firestore.FieldValue.increment(successCount),
-            updatedAt: admin.firestore.FieldValue.serverTimestamp()
-        }, { merge: true });
+        processJob(jobId).catch(err =>
+            console.error(`Bulk job ${jobId} failed to resume:`, err));
+
+        return res.status(202).json({
+            success: true,
+            message: 'Bulk job resumed',
+            jobId,
+            processedRows: jobData.processedRows,
+            validRows: jobData.validRows
+        });
 
     } catch (error) {
-        console.error('Error processing bulk job:', error);
+        console.error('Error resuming job:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to resume job'
+        });
+    }
+}
+
+/**
+ * Re-queue failed rows of a finished job (all of them, or body.rowNumbers)
+ */
+async function retryFailedRows(req, res) {
+    const userId = req.userId;
+    const jobId = req.params.jobId;
+
+    if (!userId || userId === 'anonymous') {
+        return res.status(401).json({
+            success: false,
+            error: 'Authentication required'
+        });
+    }
+
+    try {
+        const jobRef = db.collection('bulkJobs').doc(jobId);
+        const jobDoc = await getOwnedJob(jobRef, userId, res);
+        if (!jobDoc) return;
+
+        const jobData = jobDoc.data();
+
+        if (RUNNABLE_JOB_STATUSES.includes(jobData.status)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Job is still running',
+                message: 'Wait for the job to finish (or resume it) before retrying failed rows.'
+            });
+        }
+
+        const requestedRows = Array.isArray(req.body?.rowNumbers)
+            ? new Set(req.body.rowNumbers.map(n => parseInt(n, 10)))
+            : null;
+
+        const failedSnapshot = await jobRef.collection('rows')
+            .where('status', '==', ROW_STATUS.FAILED)
+            .get();
+
+        const retryDocs = failedSnapshot.docs
+            .filter(doc => !requestedRows || requestedRows.has(doc.data().rowNumber));
+
+        if (retryDocs.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No failed rows to retry'
+            });
+        }
+
+        for (let i = 0; i < retryDocs.length; i += ROW_WRITE_BATCH_SIZE) {
+            const batch = db.batch();
+            retryDocs.slice(i, i + ROW_WRITE_BATCH_SIZE).forEach(doc => {
+                batch.update(doc.ref, {
+                    status: ROW_STATUS.PENDING,
+                    error: null,
+                    completedAt: null,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+            });
+            await batch.commit();
+        }
+
         await jobRef.update({
-            status: 'failed',
-            completedAt: admin.firestore.FieldValue.serverTimestamp(),
-            errors: admin.firestore.FieldValue.arrayUnion({
-                row: 0,
-                error: `System error: ${error.message}`
-            })
+            status: 'pending',
+            processedRows: admin.firestore.FieldValue.increment(-retryDocs.length),
+            failedCount: admin.firestore.FieldValue.increment(-retryDocs.length),
+            completedAt: null
         });
+
+        processJob(jobId).catch(err =>
+            console.error(`Bulk job ${jobId} failed to start retry:`, err));
+
+        return res.status(202).json({
+            success: true,
+            message: 'Retrying failed rows',
+            jobId,
+            retriedRows: retryDocs.map(doc => doc.data().rowNumber).sort((a, b) => a - b)
+        });
+
+    } catch (error) {
+        console.error('Error retrying failed rows:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to retry failed rows'
+        });
+    }
+}
+
+/**
+ * Per-row status list for a job, ordered by CSV row number
+ */
+async function getJobRows(jobRef, statusFilter = null) {
+    let query = jobRef.collection('rows');
+    if (statusFilter) {
+        query = query.where('status', '==', statusFilter);
     }
+
+    const snapshot = await query.get();
+
+    return snapshot.docs
+        .map(doc => {
+            const row = doc.data();
+            return {
+                rowNumber: row.rowNumber,
+                businessName: row.businessName || '',
+                status: row.status,
+                attempts: row.attempts || 0,
+                pitchId: row.pitchId || null,
+                error: row.error || null
+            };
+        })
+        .sort((a, b) => a.rowNumber - b.rowNumber);
 }
 
 /**
@@ -461,30 +1203,23 @@ async function getJob(req, res) {
     }
 
     try {
-        const jobDoc = await db.collection('bulkJobs').doc(jobId).get();
-
-        if (!jobDoc.exists) {
-            return res.status(404).json({
-                success: false,
-                error: 'Job not found'
-            });
-        }
+        const jobRef = db.collection('bulkJobs').doc(jobId);
+        const jobDoc = await getOwnedJob(jobRef, userId, res);
+        if (!jobDoc) return;
 
         const jobData = jobDoc.data();
-
-        // Verify ownership
-        if (jobData.userId !== userId) {
-            return res.status(403).json({
-                success: false,
-                error: 'Access denied'
-            });
-        }
+        const rowStatus = Object.values(ROW_STATUS).includes(req.query?.rowStatus)
+            ? req.query.rowStatus
+            : null;
+        const rows = await getJobRows(jobRef, rowStatus);
 
         return res.status(200).json({
             success: true,
             data: {
                 id: jobDoc.id,
-                ...jobData
+                ...jobData,
+                resumable: RUNNABLE_JOB_STATUSES.includes(jobData.status) && !isLeaseActive(jobData),
+                rows
             }
         });
 
@@ -512,25 +1247,12 @@ async function downloadJob(req, res) {
     }
 
     try {
-        const jobDoc = await db.collection('bulkJobs').doc(jobId).get();
-
-        if (!jobDoc.exists) {
-            return res.status(404).json({
-                success: false,
-                error: 'Job not found'
-            });
-        }
+        const jobRef = db.collection('bulkJobs').doc(jobId);
+        const jobDoc = await getOwnedJob(jobRef, userId, res);
+        if (!jobDoc) return;
 
         const jobData = jobDoc.data();
 
-        // Verify ownership
-        if (jobData.userId !== userId) {
-            return res.status(403).json({
-                success: false,
-                error: 'Access denied'
-            });
-        }
-
         if (jobData.status !== 'completed' || !jobData.pitchIds || jobData.pitchIds.length === 0) {
             return res.status(400).json({
                 success: false,
@@ -546,6 +1268,12 @@ async function downloadJob(req, res) {
         const archive = archiver('zip', { zlib: { level: 9 } });
         archive.pipe(res);
 
+        // Per-row status manifest so failed rows can be reconciled against the source CSV
+        const rows = await getJobRows(jobRef);
+        if (rows.length > 0) {
+            archive.append(buildRowManifest(rows), { name: 'manifest.csv' });
+        }
+
         // Add each pitch as HTML file
         for (const pitchId of jobData.pitchIds) {
             try {
@@ -576,10 +1304,37 @@ async function downloadJob(req, res) {
     }
 }
 
+/**
+ * CSV of per-row outcomes included in the job download
+ */
+function buildRowManifest(rows) {
+    const escape = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+    const header = 'rowNumber,businessName,status,attempts,pitchId,error';
+    const lines = rows.map(row => [
+        row.rowNumber,
+        escape(row.businessName),
+        row.status,
+        row.attempts,
+        row.pitchId || '',
+        escape(row.error)
+    ].join(','));
+    return [header, ...lines].join('\n');
+}
+
 module.exports = {
     downloadTemplate,
     uploadCSV,
     listJobs,
     getJob,
-    downloadJob
+    downloadJob,
+    resumeJob,
+    retryFailedRows,
+    previewUpload,
+    listMappingPresets,
+    saveMappingPreset,
+    deleteMappingPreset,
+    processJob,
+    isLeaseActive,
+    ROW_STATUS,
+    RUNNABLE_JOB_STATUSES
 };
@@ -1,9 +1,10 @@
 /**
  * Export API Handlers
  *
- * Handles PPT/PPTX and PDF export for pitches
- * - PPT: Scale tier only (Level 3)
+ * Handles PPT/PPTX, ODP and PDF export for pitches
+ * - PPT (pptx, Slides-friendly pptx, odp): Scale tier only (Level 3)
  * - PDF: All tiers (server-side generation for consistency)
+ * - DOCX: All tiers, cloud export of a formatted asset (services/cloudExport.js)
  */
 
 const admin = require('firebase-admin');
@@ -11,15 +12,140 @@ const { getUserPlanForRequest } = require('../middleware/planGate');
 const { hasFeature } = require('../config/stripe');
 const pdfGenerator = require('../services/pdfGenerator');
 const { canAccessResource } = require('../middleware/workspaceRoleGuard');
+const { createOdpPresentation, ODP_MIME_TYPE } = require('../services/odpWriter');
 
 const db = admin.firestore();
 
+const PPTX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+
+/**
+ * Presentation export formats (selected with the `format` parameter)
+ * - pptx:   standard PowerPoint deck
+ * - slides: PPTX profile for Google Slides / Keynote import — charts drawn as native shapes
+ *           and text boxes (importers flatten chart objects to images), the Level 3 per-slide
+ *           notes (pitch.speakerNotes) as speaker notes
+ * - odp:    OpenDocument Presentation with the same content as the slides profile
+ */
+const PRESENTATION_FORMATS = {
+    pptx: { ext: 'pptx', contentType: PPTX_CONTENT_TYPE, nativeCharts: false, speakerNotes: false },
+    slides: { ext: 'pptx', contentType: PPTX_CONTENT_TYPE, nativeCharts: true, speakerNotes: true },
+    odp: { ext: 'odp', contentType: ODP_MIME_TYPE, nativeCharts: true, speakerNotes: true }
+};
+
+/**
+ * Build the Level 3 deck for a stored pitch
+ * @param {Object} pitchData - Firestore pitch document data
+ * @param {'pptx'|'slides'|'odp'} [format='pptx']
+ * @returns {Promise<Buffer>}
+ */
+async function buildPptxBuffer(pitchData, format = 'pptx') {
+    const profile = PRESENTATION_FORMATS[format];
+    if (!profile) {
+        throw new Error(`Unsupported presentation format: ${format}`);
+    }
+
+    const pptTemplate = require('../templates/pptTemplate');
+    const speakerNotes = profile.speakerNotes ? pptTemplate.normalizeSpeakerNotes(pitchData.speakerNotes) : null;
+
+    let pptx;
+    if (format === 'odp') {
+        pptx = createOdpPresentation();
+    } else {
+        const PptxGenJS = require('pptxgenjs');
+        pptx = new PptxGenJS();
+    }
+
+    // Data Analyst style: use market-intel-powered renderer
+    if (pitchData.style === 'data_analyst') {
+        const { buildDataAnalystSlides } = require('../services/dataAnalystDeckRenderer');
+
+        // Build pitch object from stored pitch data
+        const pitch = {
+            inputs: {
+                businessName:  pitchData.businessName,
+                googleRating:  pitchData.googleRating,
+                numReviews:    pitchData.numReviews,
+                industry:      pitchData.industry,
+                city:          pitchData.formData?.city || pitchData.city || '',
+                state:         pitchData.formData?.state || pitchData.state || ''
+            },
+            analysis:        pitchData.reviewAnalysis || {},
+            solutionPackage: pitchData.roiData || null,
+            marketContext:   pitchData.marketData || null,
+            prospect:        { opportunityScore: pitchData.marketData?.opportunityScore || 0 }
+        };
+
+        const sellerProfile = {
+            name:  pitchData.formData?.sellerName  || pitchData.formData?.companyName || 'PathSynch',
+            email: pitchData.formData?.contactEmail || 'hello@pathsynch.com',
+            title: pitchData.formData?.sellerTitle  || 'CEO & Founder, PathSynch Labs'
+        };
+
+        // Fetch market report if available
+        let marketReport = null;
+        if (pitchData.marketReportId) {
+            try {
+                const mrSnap = await db.collection('marketReports').doc(pitchData.marketReportId).get();
+                if (mrSnap.exists) marketReport = mrSnap.data()?.data || null;
+            } catch (e) {
+                console.warn('[DataAnalystPPTX] Could not fetch market report:', e.message);
+            }
+        }
+
+        // Backfill opportunityScore from market report leads (not stored on pitch doc)
+        if (marketReport) {
+            const mrLead = marketReport.leads?.find(l => l.name === pitchData.businessName);
+            if (mrLead?.opportunityScore) {
+                pitch.prospect.opportunityScore = mrLead.opportunityScore;
+            }
+        }
+
+        // The briefing is drawn with native shapes and text only, so every profile renders it as-is
+        buildDataAnalystSlides(pptx, pitch, sellerProfile, marketReport, { speakerNotes });
+        return pptx.write({ outputType: 'nodebuffer' });
+    }
+
+    // Standard style: use generic pptTemplate
+    pptx.author = 'PathSynch';
+    pptx.title = `${pitchData.businessName} - Growth Strategy`;
+    pptx.subject = 'Customer Engagement & Growth Strategy';
+    pptx.company = pitchData.companyName || 'PathSynch';
+    pptx.defineLayout({ name: 'LAYOUT_16x9', width: 10, height: 5.625 });
+    pptx.layout = 'LAYOUT_16x9';
+
+    const colors = pptTemplate.getColorScheme({
+        primaryColor: pitchData.formData?.primaryColor || '#3A6746',
+        accentColor:  pitchData.formData?.accentColor  || '#D4A847'
+    });
+    const slideData = {
+        businessName:  pitchData.businessName || 'Business',
+        industry:      pitchData.industry     || 'Local Business',
+        googleRating:  pitchData.googleRating || 4.0,
+        numReviews:    pitchData.numReviews   || 0,
+        statedProblem: pitchData.formData?.statedProblem || 'increasing customer engagement and visibility',
+        roiData:       pitchData.roiData       || {},
+        reviewAnalysis:pitchData.reviewAnalysis || {},
+        hideBranding:  pitchData.formData?.hideBranding  || false,
+        companyName:   pitchData.formData?.companyName   || 'PathSynch',
+        contactEmail:  pitchData.formData?.contactEmail  || 'hello@pathsynch.com',
+        bookingUrl:    pitchData.formData?.bookingUrl    || null,
+        speakerNotes
+    };
+    pptTemplate.buildDeck(pptx, slideData, colors, {
+        nativeCharts: profile.nativeCharts,
+        speakerNotes: profile.speakerNotes
+    });
+    return pptx.write({ outputType: 'nodebuffer' });
+}
+
 /**
  * Generate PPT file for a Level 3 pitch
+ * body/query: { format: 'pptx' | 'slides' | 'odp' } (default 'pptx')
  */
 async function generatePPT(req, res) {
     const userId = req.userId;
     const pitchId = req.params.pitchId;
+    const format = req.body?.format || req.query?.format || 'pptx';
 
     if (!userId || userId === 'anonymous') {
         return res.status(401).json({
@@ -28,6 +154,14 @@ async function generatePPT(req, res) {
         });
     }
 
+    if (!PRESENTATION_FORMATS[format]) {
+        return res.status(400).json({
+            success: false,
+            error: 'Unsupported format',
+            message: `format must be one of: ${Object.keys(PRESENTATION_FORMATS).join(', ')}`
+        });
+    }
+
     try {
         // Check if user has PPT export feature
         const plan = await getUserPlanForRequest(req);
@@ -87,101 +221,11 @@ async function generatePPT(req, res) {
             });
         }
 
-        let pptxBuffer;
-
-        // Data Analyst style: use market-intel-powered renderer
-        if (pitchData.style === 'data_analyst') {
-            const { renderDataAnalystDeck } = require('../services/dataAnalystDeckRenderer');
-
-            // Build pitch object from stored pitch data
-            const pitch = {
-                inputs: {
-                    businessName:  pitchData.businessName,
-                    googleRating:  pitchData.googleRating,
-                    numReviews:    pitchData.numReviews,
-                    industry:      pitchData.industry,
-                    city:          pitchData.formData?.city || pitchData.city || '',
-                    state:         pitchData.formData?.state || pitchData.state || ''
-                },
-                analysis:        pitchData.reviewAnalysis || {},
-                solutionPackage: pitchData.roiData || null,
-                marketContext:   pitchData.marketData || null,
-                prospect:        { opportunityScore: pitchData.marketData?.opportunityScore || 0 }
-            };
-
-            const sellerProfile = {
-                name:  pitchData.formData?.sellerName  || pitchData.formData?.companyName || 'PathSynch',
-                email: pitchData.formData?.contactEmail || 'hello@pathsynch.com',
-                title: pitchData.formData?.sellerTitle  || 'CEO & Founder, PathSynch Labs'
-            };
-
-            // Fetch market report if available
-            let marketReport = null;
-            if (pitchData.marketReportId) {
-                try {
-                    const mrSnap = await db.collection('marketReports').doc(pitchData.marketReportId).get();
-                    if (mrSnap.exists) marketReport = mrSnap.data()?.data || null;
-                } catch (e) {
-                    console.warn('[DataAnalystPPTX] Could not fetch market report:', e.message);
-                }
-            }
-
-            // Backfill opportunityScore from market report leads (not stored on pitch doc)
-            if (marketReport) {
-                const mrLead = marketReport.leads?.find(l => l.name === pitchData.businessName);
-                if (mrLead?.opportunityScore) {
-                    pitch.prospect.opportunityScore = mrLead.opportunityScore;
-                }
-            }
-
-            const result = await renderDataAnalystDeck(pitch, sellerProfile, marketReport);
-            pptxBuffer = result.buffer;
-        } else {
-            // Standard style: use generic pptTemplate
-            const PptxGenJS = require('pptxgenjs');
-            const pptTemplate = require('../templates/pptTemplate');
-
-            const pptx = new PptxGenJS();
-            pptx.author = 'PathSynch';
-            pptx.title = `${pitchData.businessName} - Growth Strategy`;
-            pptx.subject = 'Customer Engagement & Growth Strategy';
-            pptx.company = pitchData.companyName || 'PathSynch';
-            pptx.defineLayout({ name: 'LAYOUT_16x9', width: 10, height: 5.625 });
-            pptx.layout = 'LAYOUT_16x9';
-
-            const colors = pptTemplate.getColorScheme({
-                primaryColor: pitchData.formData?.primaryColor || '#3A6746',
-                accentColor:  pitchData.formData?.accentColor  || '#D4A847'
-            });
-            const slideData = {
-                businessName:  pitchData.businessName || 'Business',
-                industry:      pitchData.industry     || 'Local Business',
-                googleRating:  pitchData.googleRating || 4.0,
-                numReviews:    pitchData.numReviews   || 0,
-                statedProblem: pitchData.formData?.statedProblem || 'increasing customer engagement and visibility',
-                roiData:       pitchData.roiData       || {},
-                reviewAnalysis:pitchData.reviewAnalysis || {},
-                hideBranding:  pitchData.formData?.hideBranding  || false,
-                companyName:   pitchData.formData?.companyName   || 'PathSynch',
-                contactEmail:  pitchData.formData?.contactEmail  || 'hello@pathsynch.com',
-                bookingUrl:    pitchData.formData?.bookingUrl    || null
-            };
-            pptTemplate.createTitleSlide(pptx, slideData, colors);
-            pptTemplate.createSentimentSlide(pptx, slideData, colors);
-            pptTemplate.createChallengesSlide(pptx, slideData, colors);
-            pptTemplate.createSolutionSlide(pptx, slideData, colors);
-            pptTemplate.createROISlide(pptx, slideData, colors);
-            pptTemplate.createStrategySlide(pptx, slideData, colors);
-            pptTemplate.createRolloutSlide(pptx, slideData, colors);
-            pptTemplate.createPricingSlide(pptx, slideData, colors);
-            pptTemplate.createNextStepsSlide(pptx, slideData, colors);
-            pptTemplate.createClosingSlide(pptx, slideData, colors);
-            pptxBuffer = await pptx.write({ outputType: 'nodebuffer' });
-        }
+        const pptxBuffer = await buildPptxBuffer(pitchData, format);
 
         // Set response headers
-        const filename = `${(pitchData.businessName || 'pitch').replace(/[^a-z0-9]/gi, '_')}_pitch.pptx`;
-        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.presentationml.presentation');
+        const filename = `${(pitchData.businessName || 'pitch').replace(/[^a-z0-9]/gi, '_')}_pitch${format === 'slides' ? '_slides' : ''}.${PRESENTATION_FORMATS[format].ext}`;
+        res.setHeader('Content-Type', PRESENTATION_FORMATS[format].contentType);
         res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
         res.setHeader('Content-Length', pptxBuffer.length);
 
@@ -356,6 +400,7 @@ async function checkAllExports(req, res) {
                 pdf: true,
                 pptx: pptxAvailable,
                 googleSlides: pptxAvailable,
+                odp: pptxAvailable,
                 googleDrive: true,
                 oneDrive: true
             },
@@ -372,7 +417,9 @@ async function checkAllExports(req, res) {
 
 /**
  * Prepare a pitch file for cloud export (signed URL)
- * POST /export/prepare/:pitchId  body: { format: 'pptx' | 'pdf' }
+ * POST /export/prepare/:pitchId  body: { format: 'pdf' | 'pptx' | 'slides' | 'odp' | 'docx', assetId? }
+ * 'docx' exports one of the caller's formatted assets (proposal, executive summary, ...)
+ * named after the pitch, and requires assetId
  */
 async function prepareCloudExport(req, res) {
     const userId = req.userId;
@@ -386,6 +433,15 @@ async function prepareCloudExport(req, res) {
         });
     }
 
+    if (format !== 'pdf' && format !== 'docx' && !PRESENTATION_FORMATS[format]) {
+        return res.status(400).json({ success: false, error: `Unsupported format: ${format}` });
+    }
+
+    const assetId = req.body?.assetId;
+    if (format === 'docx' && !assetId) {
+        return res.status(400).json({ success: false, error: 'assetId is required for DOCX export' });
+    }
+
     try {
         const pitchDoc = await db.collection('pitches').doc(pitchId).get();
         if (!pitchDoc.exists) {
@@ -405,78 +461,39 @@ async function prepareCloudExport(req, res) {
             return res.status(403).json({ success: false, error: 'Access denied' });
         }
 
+        if (format === 'docx') {
+            const assetDoc = await db.collection('formattedAssets').doc(assetId).get();
+            if (!assetDoc.exists) {
+                return res.status(404).json({ success: false, error: 'Asset not found' });
+            }
+            const assetData = assetDoc.data();
+            if (assetData.userId !== userId) {
+                return res.status(403).json({ success: false, error: 'Access denied' });
+            }
+
+            const { prepareExport } = require('../services/cloudExport');
+            const { signedUrl, filename } = await prepareExport({
+                userId, pitchId, pitchData, assetId, assetData, workspaceId: req.workspaceId, format
+            });
+            return res.status(200).json({ success: true, signedUrl, filename });
+        }
+
         const bucket = admin.storage().bucket();
         const safeName = (pitchData.businessName || 'pitch').replace(/[^a-zA-Z0-9\-_ ]/g, '').substring(0, 50);
-        const filename = `${safeName}-${pitchId}.${format}`;
+        const ext = PRESENTATION_FORMATS[format]?.ext || 'pdf';
+        const filename = `${safeName}-${pitchId}${format === 'slides' ? '-slides' : ''}.${ext}`;
         const storagePath = `exports/${userId}/${filename}`;
         const file = bucket.file(storagePath);
         let buffer;
 
-        if (format === 'pptx') {
+        if (PRESENTATION_FORMATS[format]) {
             const plan = await getUserPlanForRequest(req);
             if (!hasFeature(plan, 'pptExport')) {
-                return res.status(403).json({ success: false, error: 'PPTX export requires Scale plan' });
+                return res.status(403).json({ success: false, error: 'Presentation export requires Scale plan' });
             }
 
-            if (pitchData.style === 'data_analyst') {
-                const { renderDataAnalystDeck } = require('../services/dataAnalystDeckRenderer');
-                const pitch = {
-                    inputs: { businessName: pitchData.businessName, googleRating: pitchData.googleRating, numReviews: pitchData.numReviews, industry: pitchData.industry, city: pitchData.formData?.city || '', state: pitchData.formData?.state || '' },
-                    analysis: pitchData.reviewAnalysis || {},
-                    solutionPackage: pitchData.roiData || null,
-                    marketContext: pitchData.marketData || null,
-                    prospect: { opportunityScore: pitchData.marketData?.opportunityScore || 0 }
-                };
-                const sellerProfile = { name: pitchData.formData?.sellerName || 'PathSynch', email: pitchData.formData?.contactEmail || 'hello@pathsynch.com', title: pitchData.formData?.sellerTitle || 'CEO & Founder, PathSynch Labs' };
-                let marketReport = null;
-                if (pitchData.marketReportId) {
-                    try { const mrSnap = await db.collection('marketReports').doc(pitchData.marketReportId).get(); if (mrSnap.exists) marketReport = mrSnap.data()?.data || null; } catch (e) { /* non-blocking */ }
-                }
-                // Backfill opportunityScore from market report leads
-                if (marketReport) {
-                    const mrLead = marketReport.leads?.find(l => l.name === pitchData.businessName);
-                    if (mrLead?.opportunityScore) pitch.prospect.opportunityScore = mrLead.opportunityScore;
-                }
-                const result = await renderDataAnalystDeck(pitch, sellerProfile, marketReport);
-                buffer = result.buffer;
-            } else {
-            const PptxGenJS = require('pptxgenjs');
-            const pptTemplate = require('../templates/pptTemplate');
-            const pptx = new PptxGenJS();
-            pptx.author = 'PathSynch';
-            pptx.title = `${pitchData.businessName} - Growth Strategy`;
-            pptx.defineLayout({ name: 'LAYOUT_16x9', width: 10, height: 5.625 });
-            pptx.layout = 'LAYOUT_16x9';
-            const colors = pptTemplate.getColorScheme({
-                primaryColor: pitchData.formData?.primaryColor || '#3A6746',
-                accentColor: pitchData.formData?.accentColor || '#D4A847'
-            });
-            const slideData = {
-                businessName: pitchData.businessName || 'Business',
-                industry: pitchData.industry || 'Local Business',
-                googleRating: pitchData.googleRating || 4.0,
-                numReviews: pitchData.numReviews || 0,
-                statedProblem: pitchData.formData?.statedProblem || 'increasing customer engagement and visibility',
-                roiData: pitchData.roiData || {},
-                reviewAnalysis: pitchData.reviewAnalysis || {},
-                hideBranding: pitchData.formData?.hideBranding || false,
-                companyName: pitchData.formData?.companyName || 'PathSynch',
-                contactEmail: pitchData.formData?.contactEmail || 'hello@pathsynch.com',
-                bookingUrl: pitchData.formData?.bookingUrl || null
-            };
-            pptTemplate.createTitleSlide(pptx, slideData, colors);
-            pptTemplate.createSentimentSlide(pptx, slideData, colors);
-            pptTemplate.createChallengesSlide(pptx, slideData, colors);
-            pptTemplate.createSolutionSlide(pptx, slideData, colors);
-            pptTemplate.createROISlide(pptx, slideData, colors);
-            pptTemplate.createStrategySlide(pptx, slideData, colors);
-            pptTemplate.createRolloutSlide(pptx, slideData, colors);
-            pptTemplate.createPricingSlide(pptx, slideData, colors);
-            pptTemplate.createNextStepsSlide(pptx, slideData, colors);
-            pptTemplate.createClosingSlide(pptx, slideData, colors);
-            buffer = await pptx.write({ outputType: 'nodebuffer' });
-            }
-            await file.save(buffer, { metadata: { contentType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation' } });
+            buffer = await buildPptxBuffer(pitchData, format);
+            await file.save(buffer, { metadata: { contentType: PRESENTATION_FORMATS[format].contentType } });
         } else {
             const htmlContent = pitchData.html || pitchData.htmlContent || pitchData.content;
             if (!htmlContent) {
@@ -510,5 +527,7 @@ module.exports = {
     generatePDF,
     checkExportAvailable,
     checkAllExports,
-    prepareCloudExport
+    prepareCloudExport,
+    buildPptxBuffer,
+    PRESENTATION_FORMATS
 };
@@ -11,11 +11,14 @@ const {
     batchFormat,
     validateFormatterAccess,
     getAllFormattersWithAvailability,
-    getFormatterInfo
+    getFormatterInfo,
+    renderAssetDocx
 } = require('../formatters/formatterRegistry');
 const { isFormatterAvailable, canBatchFormat } = require('../config/claude');
 const { getUserPlanForRequest } = require('../middleware/planGate');
 const { calculateCost } = require('../services/claudeClient');
+const { resolveBrand } = require('../services/brandResolver');
+const { DOCX_MIME_TYPE } = require('../services/docxWriter');
 
 const db = admin.firestore();
 
@@ -89,10 +92,16 @@ async function formatNarrativeEndpoint(req, res) {
             ...options.branding
         };
 
+        // Word output uses the resolved (plan-gated) brand
+        const brand = options.outputTypes?.includes('docx')
+            ? await resolveBrand(userId, { workspaceId: req.workspaceId })
+            : undefined;
+
         // Format the narrative
         const result = await formatNarrative(assetType, narrativeData.narrative, {
             ...options,
             branding,
+            brand,
             businessName: narrativeData.inputs?.businessName,
             contactName: narrativeData.inputs?.contactName
         });
@@ -216,10 +225,15 @@ async function batchFormatEndpoint(req, res) {
             ...options.branding
         };
 
+        const brand = options.outputTypes?.includes('docx')
+            ? await resolveBrand(userId, { workspaceId: req.workspaceId })
+            : undefined;
+
         // Batch format
         const batchResult = await batchFormat(narrativeData.narrative, assetTypes, {
             ...options,
             branding,
+            brand,
             businessName: narrativeData.inputs?.businessName,
             contactName: narrativeData.inputs?.contactName
         });
@@ -344,7 +358,7 @@ async function listAssets(req, res) {
 async function getAsset(req, res) {
     const userId = req.userId;
     const assetId = req.params.assetId;
-    const format = req.query.format || 'all'; // all, html, text, markdown, json
+    const format = req.query.format || 'all'; // all, html, text, markdown, docx, json
 
     try {
         const assetDoc = await db.collection('formattedAssets').doc(assetId).get();
@@ -383,6 +397,13 @@ async function getAsset(req, res) {
                 content = assetData.content.markdown;
                 contentType = 'text/markdown';
                 break;
+            case 'docx': {
+                const brand = await resolveBrand(userId, { workspaceId: req.workspaceId });
+                content = renderAssetDocx(assetData.assetType, assetData.content.markdown, brand);
+                contentType = DOCX_MIME_TYPE;
+                res.setHeader('Content-Disposition', `attachment; filename="${assetData.assetType}_${assetId}.docx"`);
+                break;
+            }
             default:
                 // Return full asset data
                 return res.status(200).json({
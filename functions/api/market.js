@@ -56,7 +56,8 @@ const { getOrgChart } = require('../services/theOrgClient');
 const { generateIntentSignals } = require('../services/intentSignalService');
 const { syncReportToAccount360 } = require('../utils/entity360Service');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const providerReplay = require('../services/providerReplay');
+const genAI = providerReplay.wrapGenerativeAI(new GoogleGenerativeAI(process.env.GEMINI_API_KEY));
 const { findIndustry, findSubIndustry, buildSearchQueries, TAXONOMY_VERSION } = require('../config/industryTaxonomy');
 const { getScoringProfile, resolveWeights } = require('../config/scoringProfiles');
 const { getReportProfile } = require('../config/reportProfiles');
@@ -2604,9 +2605,12 @@ async function generateReport(req, res) {
         // Geocoding fallback: Google Places Text Search — returns full address with ZIP
         if (!resolvedZip && city && state && process.env.GOOGLE_PLACES_API_KEY) {
             try {
-                const textSearchUrl = `https://maps.googleapis.com/maps/api/place/textsearch/json?query=${encodeURIComponent(`${city} city hall ${state}`)}&key=${process.env.GOOGLE_PLACES_API_KEY}`;
-                const tsRes = await fetch(textSearchUrl, { signal: AbortSignal.timeout(6000) });
-                const tsData = await tsRes.json();
+                const textQuery = `${city} city hall ${state}`;
+                const tsData = await providerReplay.run('googlePlaces', 'textSearch', [textQuery], async () => {
+                    const textSearchUrl = `https://maps.googleapis.com/maps/api/place/textsearch/json?query=${encodeURIComponent(textQuery)}&key=${process.env.GOOGLE_PLACES_API_KEY}`;
+                    const tsRes = await fetch(textSearchUrl, { signal: AbortSignal.timeout(6000) });
+                    return tsRes.json();
+                });
                 console.log(`[MarketIntel] Places text search status: ${tsData.status} results: ${tsData.results?.length || 0}`);
                 if (tsData.results?.length > 0) {
                     for (const place of tsData.results.slice(0, 3)) {
@@ -13,6 +13,7 @@ const modelRouter = require('../services/modelRouter');
 const { CLAUDE_CONFIG, canGenerateNarrative, canRegenerate } = require('../config/claude');
 const { getUserPlanForRequest, getUserUsage } = require('../middleware/planGate');
 const { calculateNarrativeROI } = require('../utils/roiCalculator');
+const { openEventStream } = require('../utils/sse');
 
 // Use modelRouter's calculateCost which handles both providers
 const { calculateCost } = modelRouter;
@@ -484,17 +485,9 @@ async function streamNarrativeGeneration(req, res) {
     const userId = req.userId;
     const userEmail = req.userEmail;
 
-    // Set up SSE headers
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
-
-    // Helper to send SSE events
-    const sendEvent = (eventType, data) => {
-        res.write(`event: ${eventType}\n`);
-        res.write(`data: ${JSON.stringify(data)}\n\n`);
-    };
+    // Set up SSE stream
+    const stream = openEventStream(res);
+    const sendEvent = stream.send;
 
     try {
         // Get user plan and usage
@@ -509,7 +502,7 @@ async function streamNarrativeGeneration(req, res) {
                 message: 'You have reached your monthly narrative limit.',
                 usage: { current: narrativesThisMonth, plan }
             });
-            return res.end();
+            return stream.close();
         }
 
         const inputs = req.body;
@@ -520,7 +513,7 @@ async function streamNarrativeGeneration(req, res) {
                 error: 'Missing required fields',
                 message: 'businessName and industry are required'
             });
-            return res.end();
+            return stream.close();
         }
 
         // Calculate ROI data
@@ -535,6 +528,10 @@ async function streamNarrativeGeneration(req, res) {
             userId,
             stream: true,
             onProgress: (update) => {
+                // Relay the raw text as it arrives so the UI can render a draft
+                if (update.content) {
+                    sendEvent('partial', { stage: 'narrative', content: update.content });
+                }
                 // Only send progress updates if progress increased
                 if (update.progress > lastProgress) {
                     lastProgress = update.progress;
@@ -623,7 +620,7 @@ async function streamNarrativeGeneration(req, res) {
             modelId: narrativeResult.modelId
         });
 
-        res.end();
+        stream.close();
 
     } catch (error) {
         console.error('Error streaming narrative:', error);
@@ -631,7 +628,7 @@ async function streamNarrativeGeneration(req, res) {
             error: 'Failed to generate narrative',
             message: error.message
         });
-        res.end();
+        stream.close();
     }
 }
 
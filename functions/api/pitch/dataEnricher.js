@@ -9,7 +9,7 @@
  */
 
 const admin = require('firebase-admin');
-const axios = require('axios');
+const { fetchHtml } = require('../../services/tools/websiteScrape');
 const precallFormService = require('../../services/precallForm');
 const googlePlaces = require('../../services/googlePlaces');
 const { normalizeProduct, matchProductsToGaps } = require('../../utils/normalizeProduct');
@@ -194,7 +194,7 @@ async function getPrecallFormEnhancement(precallFormId, userId) {
         }
 
         // Map responses to pitch enhancement using the service
-        const pitchEnhancement = precallFormService.mapResponsesToPitchData(formData.responses);
+        const pitchEnhancement = precallFormService.mapResponsesToPitchData(formData.responses, formData.branchPath);
 
         return {
             formId: precallFormId,
@@ -208,7 +208,11 @@ async function getPrecallFormEnhancement(precallFormId, userId) {
             prospectTimeline: formData.responses.timeline || null,
             prospectBudget: formData.responses.budget || null,
             prospectCurrentSolution: formData.responses.current_solution || [],
-            prospectPriorityFeatures: formData.responses.priority_features || []
+            prospectPriorityFeatures: formData.responses.priority_features || [],
+            prospectCompetitor: formData.responses.competitor_name || null,
+            // Questions the prospect never saw vs. saw and left blank
+            branchPath: formData.branchPath || null,
+            questionLabels: Object.fromEntries((formData.questions || []).map(q => [q.id, q.question || q.id]))
         };
     } catch (error) {
         console.error('Error fetching pre-call form:', error);
@@ -253,9 +257,40 @@ function enhanceInputsWithPrecallData(inputs, precallData) {
         enhanced.stakeholders = precallData.enhancement.stakeholders;
     }
 
+    if (precallData.prospectCompetitor) {
+        enhanced.incumbentCompetitor = precallData.prospectCompetitor;
+    }
+
+    // Only questions they saw and left blank are open questions for the call;
+    // skipped ones did not apply to this prospect
+    if (precallData.branchPath) {
+        const label = id => precallData.questionLabels?.[id] || id;
+        enhanced.precallUnansweredQuestions = (precallData.branchPath.unanswered || []).map(label);
+        enhanced.precallSkippedQuestions = (precallData.branchPath.skipped || []).map(label);
+    }
+
     return enhanced;
 }
 
+/**
+ * Pre-call form context for the pitch prompt (from enhanceInputsWithPrecallData)
+ * @param {Object} inputs - Enhanced pitch inputs
+ * @returns {string} Prompt block, or '' when the form added nothing
+ */
+function buildPrecallPromptBlock(inputs) {
+    const lines = [];
+    if (inputs.incumbentCompetitor) {
+        lines.push(`- Current provider they named: ${inputs.incumbentCompetitor} (position against it; never disparage it)`);
+    }
+    if (inputs.precallUnansweredQuestions?.length > 0) {
+        lines.push(`- Saw but left blank (open questions for the call; do not assume answers): ${inputs.precallUnansweredQuestions.join('; ')}`);
+    }
+    if (inputs.precallSkippedQuestions?.length > 0) {
+        lines.push(`- Never shown to them because their earlier answers ruled these out (do not raise): ${inputs.precallSkippedQuestions.join('; ')}`);
+    }
+    return lines.length > 0 ? `\nPRE-CALL FORM:\n${lines.join('\n')}\n` : '';
+}
+
 /**
  * Fetch sales library context for custom pitch generation
  * Used when seller has uploaded proprietary sales materials
@@ -617,16 +652,7 @@ async function fetchProspectWebsiteData(websiteUrl) {
         console.log('Scraping prospect website:', url);
 
         // Fetch the homepage
-        const response = await axios.get(url, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
-            },
-            timeout: 10000,
-            maxRedirects: 3
-        });
-
-        const html = response.data;
+        const html = await fetchHtml(url, { timeout: 10000 });
 
         // Extract intelligence from HTML
         result.data = {
@@ -916,6 +942,7 @@ module.exports = {
     buildSellerContext,
     getPrecallFormEnhancement,
     enhanceInputsWithPrecallData,
+    buildPrecallPromptBlock,
     fetchSalesLibraryContext,
     prepareSalesLibraryForPrompt,
     buildSalesLibraryPromptBlock,
@@ -7,6 +7,8 @@
  * @module pitch/level3/slides
  */
 
+const { escapeHtml } = require('../htmlBuilder');
+
 /**
  * Calculate total slide count based on conditional slides
  * @param {Object} ctx - Context object
@@ -868,6 +870,7 @@ function buildNextStepsSlide(ctx) {
     const {
         industry,
         companyName,
+        inputs,
         options,
         salesIntel,
         truncateText
@@ -876,6 +879,9 @@ function buildNextStepsSlide(ctx) {
     const slideNum = getSlideNumber(ctx, 'nextSteps');
     const totalSlides = getTotalSlides(ctx);
     const isDefault = options.sellerContext?.isDefault;
+    const incumbent = inputs?.incumbentCompetitor;
+    // Pre-call questions they saw and left blank; skipped ones never applied to them
+    const openQuestions = (inputs?.precallUnansweredQuestions || []).slice(0, 3);
 
     return `
 <!-- SLIDE: NEXT STEPS -->
@@ -905,7 +911,7 @@ function buildNextStepsSlide(ctx) {
             <h3>Short-Term (Next 2-4 Weeks)</h3>
             <div class="step-box">
                 <h4>4. Pilot period</h4>
-                <p>${isDefault ? 'Start with PathConnect only (30 days)' : 'Start with initial implementation (30 days)'}</p>
+                <p>${isDefault ? 'Start with PathConnect only (30 days)' : 'Start with initial implementation (30 days)'}${incumbent ? `, side by side with ${escapeHtml(truncateText(incumbent, 30))}` : ''}</p>
             </div>
             <div class="step-box">
                 <h4>5. Staff training</h4>
@@ -920,6 +926,7 @@ function buildNextStepsSlide(ctx) {
 
     <div class="next-steps-goal">
         <p><strong>Goal:</strong> By Day 30, you'll have data showing review velocity, foot traffic patterns, and early engagement interest. Then expand to full stack.</p>
+        ${openQuestions.length > 0 ? `<p><strong>Still open from your pre-call form:</strong> ${openQuestions.map(q => escapeHtml(truncateText(q, 80))).join(' · ')}</p>` : ''}
     </div>
     <div class="slide-number">${slideNum} / ${totalSlides}</div>
 </section>`;
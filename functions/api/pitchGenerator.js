@@ -29,11 +29,13 @@ const { retrieveChunks } = require('../services/ragService');
 
 // Extracted modules
 const { PITCH_LIMITS, checkPitchLimit, incrementPitchCount, validateStyle, validateCustomLibraryAccess } = require('./pitch/validators');
-const { buildSellerContext, getPrecallFormEnhancement, enhanceInputsWithPrecallData, fetchSalesLibraryContext, buildSalesLibraryPromptBlock, enrichProspectData } = require('./pitch/dataEnricher');
+const { buildSellerContext, getPrecallFormEnhancement, enhanceInputsWithPrecallData, buildPrecallPromptBlock, fetchSalesLibraryContext, buildSalesLibraryPromptBlock, enrichProspectData } = require('./pitch/dataEnricher');
 const { adjustColor, truncateText, CONTENT_LIMITS } = require('./pitch/htmlBuilder');
 const { generateLevel1 } = require('./pitch/level1Generator');
 const { generateLevel2 } = require('./pitch/level2Generator');
 const { generateLevel3 } = require('./pitch/level3Generator');
+const { normalizeSpeakerNotes, deriveSpeakerNotes } = require('../templates/pptTemplate');
+const { isValidAccountKey } = require('../services/visitorIdentityGraph');
 
 // Sprint 3+4: Parallel prospect enrichment pipeline
 const { enrichProspect, buildProspectIntelligenceBlock } = require('../services/pitchEnricher');
@@ -330,7 +332,7 @@ PROSPECT INFORMATION:
 - Google Rating: ${inputs.googleRating || 'N/A'} (${inputs.numReviews || 0} reviews)
 - Contact Name: ${inputs.contactName || 'Decision Maker'}
 - Stated Problem/Need: ${inputs.statedProblem || 'Looking to improve operations'}
-`;
+` + buildPrecallPromptBlock(inputs);
 
         // Generate level-specific content
         // Card-specific system prompts override level-based defaults when Smart Mode is active
@@ -406,7 +408,19 @@ Return a JSON object with these fields:
   "implementationPhases": ["Phase 1 (Days 1-30): description", "Phase 2 (Days 31-60): description", "Phase 3 (Days 61-90): description"],
   "caseStudyReference": "relevant case study adapted to this prospect (1 sentence)",
   "pricingFramework": "pricing structure from your materials (1 sentence)",
-  "nextSteps": ["Step 1", "Step 2", "Step 3"]
+  "nextSteps": ["Step 1", "Step 2", "Step 3"],
+  "speakerNotes": {
+    "title": "presenter note for the opening slide (1-2 sentences, specific to this prospect)",
+    "sentiment": "presenter note for the what-customers-love (review sentiment) slide",
+    "challenges": "presenter note for the growth challenges slide",
+    "solution": "presenter note for the solution slide",
+    "roi": "presenter note for the projected ROI slide",
+    "strategy": "presenter note for the product strategy slide",
+    "rollout": "presenter note for the 90-day rollout slide",
+    "pricing": "presenter note for the investment slide",
+    "nextSteps": "presenter note for the next steps slide",
+    "closing": "presenter note for the closing call-to-action slide"
+  }
 }`;
         }
 
@@ -541,6 +555,17 @@ RULES:
 // Tiers that have access to LinkedIn posts feature
 const LINKEDIN_POSTS_TIERS = ['growth', 'scale', 'enterprise'];
 
+/**
+ * Level 3 presenter notes: the library content's when it wrote them, otherwise
+ * built from the same fields the deck slides show
+ * @returns {Object|null}
+ */
+function resolveSpeakerNotes(level, inputs, reviewData, roiData, libraryEnhancedContent) {
+    const notes = normalizeSpeakerNotes(libraryEnhancedContent?.speakerNotes);
+    if (notes || level !== 3) return notes;
+    return deriveSpeakerNotes({ ...inputs, roiData, reviewAnalysis: reviewData });
+}
+
 /**
  * Generate Level 4: Product One-Pager (Sales Library powered)
  * Validates that the user has Sales Library documents, then delegates
@@ -577,8 +602,15 @@ function generateLevel4(inputs, reviewData, roiData, options = {}, marketData =
 
 /**
  * Generate a new pitch - handles POST /generate-pitch
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - called with { stage, status, progress, partial? } as each
+ *   stage (enrichment, narrative, validation, render) starts and finishes; used by POST /pitch/stream
  */
-async function generatePitch(req, res) {
+async function generatePitch(req, res, options = {}) {
+    const reportProgress = typeof options.onProgress === 'function' ? options.onProgress : () => {};
     try {
         const db = getDb();
         const body = req.body;
@@ -634,6 +666,15 @@ async function generatePitch(req, res) {
             });
         }
 
+        // Visitor Intel account the pitch targets; stored on the pitch and joined to won outcomes
+        if (body.accountKey && !isValidAccountKey(body.accountKey)) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_ACCOUNT_KEY',
+                message: 'accountKey must be a Visitor Intel account key'
+            });
+        }
+
         // Extract trigger event data (news article, social post, etc.)
         const triggerEvent = body.triggerEvent || null;
 
@@ -1029,6 +1070,8 @@ async function generatePitch(req, res) {
             marketIntelCache = null;
         }
 
+        reportProgress({ stage: 'enrichment', status: 'started', progress: 10 });
+
         // Feature 2: Enrich prospect data with Google Places and website scraping
         // Sprint 3+4: Run deep enrichment in parallel with Places enrichment
         let prospectEnrichment = null;
@@ -1097,6 +1140,20 @@ async function generatePitch(req, res) {
             }
         }
 
+        reportProgress({
+            stage: 'enrichment',
+            status: 'complete',
+            progress: 30,
+            partial: {
+                sources: prospectEnrichment?.sources || [],
+                deepSources: deepEnrichment?.sourcesUsed || [],
+                marketIntelCached: !!marketIntelCache,
+                googleRating: inputs.googleRating,
+                numReviews: inputs.numReviews,
+                topThemes: reviewData.topThemes || []
+            }
+        });
+
         // Build prospect intelligence prompt block for AI synthesis
         let prospectIntelligenceBlock = deepEnrichment
             ? buildProspectIntelligenceBlock(deepEnrichment)
@@ -1492,6 +1549,8 @@ async function generatePitch(req, res) {
             prospectIntelligenceBlock += contextBlock;
         }
 
+        reportProgress({ stage: 'narrative', status: 'started', progress: 35 });
+
         // Now generate library-enhanced content (with enrichment intelligence)
         if (salesLibraryContext?.documents?.length > 0) {
             console.log(`Custom sales library found: ${salesLibraryContext.documents.length} documents for ${salesLibraryContext.companyName}`);
@@ -1537,6 +1596,13 @@ async function generatePitch(req, res) {
             }
         }
 
+        reportProgress({
+            stage: 'narrative',
+            status: 'complete',
+            progress: 60,
+            partial: { aiEnhanced: !!libraryEnhancedContent, content: libraryEnhancedContent }
+        });
+
         // Extract booking/branding options - prefer seller profile values
         // Resolve agency brand (5-min cache; never throws)
         // Phase 2: When workspaceId is present, resolve workspace OWNER's branding
@@ -1598,6 +1664,8 @@ async function generatePitch(req, res) {
             l2Style: body.l2Style || (body.style && body.style !== 'standard' ? body.style : null)
         };
 
+        reportProgress({ stage: 'validation', status: 'started', progress: 65 });
+
         // L4 gate: split on root cause.
         // (a) No documents at all — true user configuration error, surface it.
         // (b) Documents exist but AI synthesis returned null (Gemini timeout/parse failure) — fall
@@ -1616,10 +1684,19 @@ async function generatePitch(req, res) {
             console.warn(`[L4] Sales Library AI synthesis returned null — falling back to L2 rendering. userId=${userId}`);
         }
 
+        reportProgress({
+            stage: 'validation',
+            status: 'complete',
+            progress: 70,
+            partial: { level, style: validatedStyle, fellBackToL2: level === 4 && !libraryEnhancedContent }
+        });
+
         // Generate IDs first (needed for tracking in generated HTML)
         const pitchId = generateId();
         const shareId = generateId();
 
+        reportProgress({ stage: 'render', status: 'started', progress: 75 });
+
         // Generate HTML based on level (with optional market data and pitchId for tracking)
         let html;
         let templateOnePagerResult = null;
@@ -1683,6 +1760,13 @@ async function generatePitch(req, res) {
             visualCredits = 0;
         }
 
+        reportProgress({
+            stage: 'render',
+            status: 'complete',
+            progress: 90,
+            partial: { pitchId, shareId, level, html, visuals }
+        });
+
         // Generate LinkedIn warm-up posts if requested (Growth+ only)
         let linkedInPosts = null;
         const includeLinkedInPosts = body.includeLinkedInPosts === true;
@@ -1710,6 +1794,7 @@ async function generatePitch(req, res) {
             contactName: inputs.contactName,
             address: inputs.address,
             websiteUrl: inputs.websiteUrl,
+            accountKey: body.accountKey || null,
 
             // Google data
             googleRating: inputs.googleRating,
@@ -1725,6 +1810,8 @@ async function generatePitch(req, res) {
             html,
             roiData,
             reviewAnalysis: reviewData,
+            // Level 3 per-slide presenter notes (PPTX Slides profile / ODP export)
+            speakerNotes: resolveSpeakerNotes(level, inputs, reviewData, roiData, libraryEnhancedContent),
             reviewAnalytics: reviewData.analytics || null,
             reviewPitchMetrics: reviewData.pitchMetrics || null,
 
@@ -2246,6 +2333,7 @@ async function generatePitchDirect(data, userId) {
             html,
             roiData,
             reviewAnalysis: reviewData,
+            speakerNotes: resolveSpeakerNotes(level, inputs, reviewData, roiData, libraryEnhancedContent),
             formData: data,
             status: 'Draft',
             shared: true,  // Enable public sharing by default
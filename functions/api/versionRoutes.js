@@ -9,6 +9,7 @@
 
 const admin = require('firebase-admin');
 const versionHistory = require('../services/versionHistory');
+const { checkPitchLimit, incrementPitchCount } = require('./pitch/validators');
 
 const db = admin.firestore();
 
@@ -167,9 +168,102 @@ async function restoreVersion(req, res) {
     }
 }
 
+/**
+ * Map version-service errors to HTTP status codes
+ */
+function versionErrorStatus(error) {
+    if (error.message === 'Version not found' || error.message === 'Pitch not found') return 404;
+    if (error.message === 'Version does not belong to this pitch') return 403;
+    return 500;
+}
+
+/**
+ * GET /pitch/:pitchId/versions/compare?from=<versionId|current>&to=<versionId|current>
+ * Side-by-side comparison of any two versions: changed fields plus a rendered
+ * word-level diff of the pitch content.
+ */
+async function compareVersions(req, res) {
+    try {
+        const { pitchId } = req.params;
+        const userId = req.userId;
+        const from = req.query.from;
+        const to = req.query.to || versionHistory.CURRENT_VERSION_REF;
+
+        if (!from) {
+            return res.status(400).json({ success: false, message: 'from is required (version ID or "current")' });
+        }
+
+        const pitchData = await verifyPitchOwnership(pitchId, userId, res);
+        if (!pitchData) return;
+
+        const comparison = await versionHistory.compareVersions(pitchId, from, to);
+
+        return res.status(200).json({
+            success: true,
+            data: comparison
+        });
+    } catch (error) {
+        console.error('Error comparing versions:', error);
+        const statusCode = versionErrorStatus(error);
+        return res.status(statusCode).json({
+            success: false,
+            message: statusCode === 500 ? 'Failed to compare versions' : error.message
+        });
+    }
+}
+
+/**
+ * POST /pitch/:pitchId/versions/:versionId/fork
+ * Create a new pitch from a previous version without touching the current one.
+ * A fork is a new pitch, so it counts against the plan's monthly pitch limit.
+ */
+async function forkVersion(req, res) {
+    try {
+        const { pitchId, versionId } = req.params;
+        const userId = req.userId;
+
+        const pitchData = await verifyPitchOwnership(pitchId, userId, res);
+        if (!pitchData) return;
+
+        const limitCheck = await checkPitchLimit(userId);
+        if (!limitCheck.allowed) {
+            return res.status(403).json({
+                success: false,
+                error: 'PITCH_LIMIT_REACHED',
+                message: `You've reached your monthly limit of ${limitCheck.limit} pitches. Upgrade your plan for more.`,
+                used: limitCheck.used,
+                limit: limitCheck.limit,
+                tier: limitCheck.tier
+            });
+        }
+
+        const businessName = typeof req.body?.businessName === 'string'
+            ? req.body.businessName.trim().slice(0, 200)
+            : '';
+
+        const result = await versionHistory.forkFromVersion(pitchId, versionId, userId, { businessName });
+        await incrementPitchCount(userId);
+
+        return res.status(201).json({
+            success: true,
+            message: 'Pitch forked from version',
+            data: result
+        });
+    } catch (error) {
+        console.error('Error forking version:', error);
+        const statusCode = versionErrorStatus(error);
+        return res.status(statusCode).json({
+            success: false,
+            message: statusCode === 500 ? 'Failed to fork version' : error.message
+        });
+    }
+}
+
 module.exports = {
     listVersions,
     getVersion,
     previewVersion,
-    restoreVersion
+    restoreVersion,
+    compareVersions,
+    forkVersion
 };
@@ -23,6 +23,7 @@ const PLANS = {
             formatters: ['sales_pitch', 'one_pager'],
             batchFormat: false,
             aiRegenerations: 2,
+            llmMonthlyBudgetUsd: 5, // LLM spend cap (services/llmCostLedger.js)
             // Market intelligence features
             marketFeatures: {
                 basicDemographics: true,
@@ -66,6 +67,7 @@ const PLANS = {
             formatters: ['sales_pitch', 'one_pager', 'email_sequence', 'linkedin', 'executive_summary'],
             batchFormat: 3,
             aiRegenerations: 10,
+            llmMonthlyBudgetUsd: 25, // LLM spend cap (services/llmCostLedger.js)
             // Market intelligence features
             marketFeatures: {
                 basicDemographics: true,
@@ -113,6 +115,7 @@ const PLANS = {
             formatters: ['sales_pitch', 'one_pager', 'email_sequence', 'linkedin', 'executive_summary', 'deck', 'proposal'],
             batchFormat: true,
             aiRegenerations: -1, // Unlimited
+            llmMonthlyBudgetUsd: 100, // LLM spend cap (services/llmCostLedger.js)
             // Market intelligence features
             marketFeatures: {
                 basicDemographics: true,
@@ -161,11 +164,13 @@ const PLANS = {
             formatters: ['sales_pitch', 'one_pager', 'email_sequence', 'linkedin', 'executive_summary', 'deck', 'proposal'],
             batchFormat: true,
             aiRegenerations: -1, // Unlimited
+            llmMonthlyBudgetUsd: 500, // LLM spend cap (services/llmCostLedger.js)
             // Enterprise-only features
             precallForms: true,
             investorUpdates: true,
             integrations: ['stripe', 'shopify', 'quickbooks', 'ga4'],
             customBranding: true,
+            customDomains: true,
             apiAccess: true,
             ssoEnabled: true,
             // Market intelligence features
@@ -265,6 +270,8 @@ function hasFeature(planName, feature) {
             return limits.apiAccess === true;
         case 'ssoEnabled':
             return limits.ssoEnabled === true;
+        case 'customDomains':
+            return limits.customDomains === true;
         default:
             return false;
     }
@@ -4,6 +4,8 @@
  * Abstract base class for all asset formatters
  */
 
+const { markdownToBlocks, buildDocx } = require('../services/docxWriter');
+
 /**
  * Base formatter class that all formatters must extend
  */
@@ -79,6 +81,41 @@ class BaseFormatter {
         throw new Error('toMarkdown must be implemented by subclass');
     }
 
+    /**
+     * Layout options for Word output (see docxWriter.markdownToBlocks)
+     * Subclasses override to add page breaks between sections
+     * @returns {Object} DOCX options
+     */
+    getDocxOptions() {
+        return { sectionPageBreaks: false };
+    }
+
+    /**
+     * Convert formatted JSON to a Word document
+     * @param {Object} formattedContent - The formatted content object
+     * @param {Object} brand - resolvedBrand from brandResolver
+     * @returns {Buffer} DOCX file
+     */
+    toDocx(formattedContent, brand) {
+        return this.markdownToDocx(this.toMarkdown(formattedContent), brand);
+    }
+
+    /**
+     * Convert this formatter's markdown output to a Word document.
+     * Lets stored assets (which keep markdown, not JSON) be exported later.
+     * @param {string} markdown - Markdown from toMarkdown()
+     * @param {Object} brand - resolvedBrand from brandResolver
+     * @returns {Buffer} DOCX file
+     */
+    markdownToDocx(markdown, brand) {
+        const blocks = markdownToBlocks(markdown, this.getDocxOptions());
+        const titleBlock = blocks.find(block => block.type === 'heading');
+        return buildDocx(blocks, {
+            brand,
+            title: titleBlock ? titleBlock.runs.map(run => run.text).join('') : this.assetType
+        });
+    }
+
     /**
      * Get metadata about the formatted content
      * @param {Object} formattedContent - The formatted content object
@@ -577,6 +577,11 @@ ${executiveSummary?.nextSteps?.contactInfo?.phone ? `- **Phone:** ${executiveSum
 `;
     }
 
+    getDocxOptions() {
+        // Keep the summary flowing; only the appendix starts on a new page
+        return { sectionPageBreaks: ['Appendix'] };
+    }
+
     getMetadata(formattedContent) {
         return {
             ...super.getMetadata(formattedContent),
@@ -29,43 +29,43 @@ const FORMATTER_INFO = {
     sales_pitch: {
         name: 'Sales Pitch',
         description: 'Verbal pitch script for sales conversations',
-        outputTypes: ['html', 'text', 'markdown'],
+        outputTypes: ['html', 'text', 'markdown', 'docx'],
         estimatedTime: '30 seconds'
     },
     one_pager: {
         name: 'One-Pager',
         description: 'Single-page PDF-ready sales document',
-        outputTypes: ['html', 'text', 'markdown'],
+        outputTypes: ['html', 'text', 'markdown', 'docx'],
         estimatedTime: '45 seconds'
     },
     email_sequence: {
         name: 'Email Sequence',
         description: '5-email nurture sequence',
-        outputTypes: ['html', 'text', 'markdown'],
+        outputTypes: ['html', 'text', 'markdown', 'docx'],
         estimatedTime: '60 seconds'
     },
     linkedin: {
         name: 'LinkedIn Messages',
         description: '3 LinkedIn outreach messages',
-        outputTypes: ['html', 'text', 'markdown'],
+        outputTypes: ['html', 'text', 'markdown', 'docx'],
         estimatedTime: '30 seconds'
     },
     executive_summary: {
         name: 'Executive Summary',
         description: 'Formal executive summary document',
-        outputTypes: ['html', 'text', 'markdown'],
+        outputTypes: ['html', 'text', 'markdown', 'docx'],
         estimatedTime: '45 seconds'
     },
     deck: {
         name: 'Presentation Deck',
         description: '10-slide sales presentation',
-        outputTypes: ['html', 'text', 'markdown'],
+        outputTypes: ['html', 'text', 'markdown', 'docx'],
         estimatedTime: '90 seconds'
     },
     proposal: {
         name: 'Business Proposal',
         description: 'Comprehensive proposal document',
-        outputTypes: ['html', 'text', 'markdown'],
+        outputTypes: ['html', 'text', 'markdown', 'docx'],
         estimatedTime: '120 seconds'
     }
 };
@@ -144,7 +144,9 @@ function getAllFormattersWithAvailability(plan) {
  * @param {string} assetType - The asset type
  * @param {Object} narrative - The narrative to format
  * @param {Object} options - Formatting options
- * @returns {Promise<Object>} Formatted result
+ * @param {string[]} [options.outputTypes] - Include 'docx' to also render a Word document
+ * @param {Object} [options.brand] - resolvedBrand used for the Word document
+ * @returns {Promise<Object>} Formatted result (content.docx is base64 when requested)
  */
 async function formatNarrative(assetType, narrative, options = {}) {
     const formatter = getFormatter(assetType);
@@ -162,18 +164,41 @@ async function formatNarrative(assetType, narrative, options = {}) {
     const markdown = formatter.toMarkdown(formatted);
     const metadata = formatter.getMetadata(formatted);
 
+    const content = {
+        json: formatted,
+        html,
+        plainText,
+        markdown
+    };
+
+    if (options.outputTypes?.includes('docx')) {
+        content.docx = formatter.toDocx(formatted, options.brand).toString('base64');
+    }
+
     return {
         assetType,
-        content: {
-            json: formatted,
-            html,
-            plainText,
-            markdown
-        },
+        content,
         metadata
     };
 }
 
+/**
+ * Render a stored asset's markdown as a Word document
+ * @param {string} assetType - The asset type
+ * @param {string} markdown - Stored markdown content
+ * @param {Object} brand - resolvedBrand from brandResolver
+ * @returns {Buffer} DOCX file
+ */
+function renderAssetDocx(assetType, markdown, brand) {
+    const formatter = getFormatter(assetType);
+
+    if (!formatter) {
+        throw new Error(`Unknown formatter type: ${assetType}`);
+    }
+
+    return formatter.markdownToDocx(markdown, brand);
+}
+
 /**
  * Batch format a narrative into multiple asset types
  * @param {Object} narrative - The narrative to format
@@ -245,6 +270,7 @@ module.exports = {
     getFormattersForPlan,
     getAllFormattersWithAvailability,
     formatNarrative,
+    renderAssetDocx,
     batchFormat,
     validateFormatterAccess,
     FORMATTERS,
@@ -729,6 +729,11 @@ ${proposal?.nextSteps?.contactInfo?.calendlyLink ? `- **Schedule:** [Book a call
 `;
     }
 
+    getDocxOptions() {
+        // Each proposal section starts on a new page
+        return { sectionPageBreaks: true };
+    }
+
     getMetadata(formattedContent) {
         return {
             ...super.getMetadata(formattedContent),
@@ -194,6 +194,7 @@ const { getUserPlan } = require('./middleware/planGate');
 const workspaceRoutes = require('./routes/workspaceRoutes');
 const shareRoutes = require('./routes/shareRoutes');
 const onepagerShareRoutes = require('./routes/onepagerShareRoutes');
+const customDomainRoutes = require('./routes/customDomainRoutes');
 
 // ============================================
 // HELPER FUNCTIONS
@@ -299,6 +300,9 @@ exports.api = onRequest({
             // Route modules handle: user, team, analytics endpoints
             // (pitch routes still inline due to usage tracking integration)
 
+            // Vanity paths on verified workspace custom domains: https://pitch.acme.com/{slug}
+            if (await customDomainRoutes.handleHostRequest(req, res)) return;
+
             // User routes: /user, /user/settings, /usage, /templates, /subscription, /pricing-plans
             if (await userRoutes.handle(req, res)) return;
 
@@ -320,6 +324,8 @@ exports.api = onRequest({
             // Workspace routes: /workspace/branding, /workspace/branding/history, /workspace/members/:uid/offboard
             if (path.startsWith('/workspace')) {
                 if (await workspaceRoutes.handle(req, res)) return;
+                // Custom domains: /workspace/domains, /workspace/domains/:hostname/verify, /workspace/domains/:hostname/paths/:slug
+                if (await customDomainRoutes.handle(req, res)) return;
             }
 
             // Analytics routes: /analytics/track, /analytics/pitch/:pitchId, /analytics/intelligence
@@ -569,6 +575,18 @@ exports.api = onRequest({
                 return await versionRoutes.listVersions(req, res);
             }
 
+            // Compare any two versions (must precede the :versionId route)
+            if (path.match(/^\/pitch\/[^/]+\/versions\/compare$/) && method === 'GET') {
+                const pitchId = path.split('/')[2];
+                const decodedToken = await verifyAuth(req);
+                if (!decodedToken) {
+                    return res.status(401).json({ success: false, message: 'Unauthorized' });
+                }
+                req.userId = decodedToken.uid;
+                req.params = { pitchId };
+                return await versionRoutes.compareVersions(req, res);
+            }
+
             // Get specific version (full snapshot)
             if (path.match(/^\/pitch\/[^/]+\/versions\/[^/]+$/) && method === 'GET') {
                 const parts = path.split('/');
@@ -611,6 +629,20 @@ exports.api = onRequest({
                 return await versionRoutes.restoreVersion(req, res);
             }
 
+            // Fork a new pitch from a version
+            if (path.match(/^\/pitch\/[^/]+\/versions\/[^/]+\/fork$/) && method === 'POST') {
+                const parts = path.split('/');
+                const pitchId = parts[2];
+                const versionId = parts[4];
+                const decodedToken = await verifyAuth(req);
+                if (!decodedToken) {
+                    return res.status(401).json({ success: false, message: 'Unauthorized' });
+                }
+                req.userId = decodedToken.uid;
+                req.params = { pitchId, versionId };
+                return await versionRoutes.forkVersion(req, res);
+            }
+
             // ========== REVIEWS ENDPOINT ==========
 
             if (path === '/reviews/google' && method === 'GET') {
@@ -1224,6 +1256,39 @@ exports.api = onRequest({
                 return await bulkApi.uploadCSV(req, res);
             }
 
+            // Parse an upload and suggest a column mapping
+            if (path === '/bulk/preview' && method === 'POST') {
+                const decodedToken = await verifyAuth(req);
+                if (!decodedToken) {
+                    return res.status(401).json({ success: false, message: 'Unauthorized' });
+                }
+                req.userId = decodedToken.uid;
+                return await bulkApi.previewUpload(req, res);
+            }
+
+            // Column-mapping presets
+            if (path === '/bulk/mapping-presets' && (method === 'GET' || method === 'POST')) {
+                const decodedToken = await verifyAuth(req);
+                if (!decodedToken) {
+                    return res.status(401).json({ success: false, message: 'Unauthorized' });
+                }
+                req.userId = decodedToken.uid;
+                return method === 'GET'
+                    ? await bulkApi.listMappingPresets(req, res)
+                    : await bulkApi.saveMappingPreset(req, res);
+            }
+
+            if (path.match(/^\/bulk\/mapping-presets\/[^/]+$/) && method === 'DELETE') {
+                const presetId = path.split('/')[3];
+                const decodedToken = await verifyAuth(req);
+                if (!decodedToken) {
+                    return res.status(401).json({ success: false, message: 'Unauthorized' });
+                }
+                req.userId = decodedToken.uid;
+                req.params = { presetId };
+                return await bulkApi.deleteMappingPreset(req, res);
+            }
+
             // List user's bulk jobs
             if (path === '/bulk/jobs' && method === 'GET') {
                 const decodedToken = await verifyAuth(req);
@@ -1258,6 +1323,30 @@ exports.api = onRequest({
                 return await bulkApi.downloadJob(req, res);
             }
 
+            // Resume a job whose runner died mid-job
+            if (path.match(/^\/bulk\/jobs\/[^/]+\/resume$/) && method === 'POST') {
+                const jobId = path.split('/')[3];
+                const decodedToken = await verifyAuth(req);
+                if (!decodedToken) {
+                    return res.status(401).json({ success: false, message: 'Unauthorized' });
+                }
+                req.userId = decodedToken.uid;
+                req.params = { jobId };
+                return await bulkApi.resumeJob(req, res);
+            }
+
+            // Re-queue failed rows of a finished job
+            if (path.match(/^\/bulk\/jobs\/[^/]+\/retry$/) && method === 'POST') {
+                const jobId = path.split('/')[3];
+                const decodedToken = await verifyAuth(req);
+                if (!decodedToken) {
+                    return res.status(401).json({ success: false, message: 'Unauthorized' });
+                }
+                req.userId = decodedToken.uid;
+                req.params = { jobId };
+                return await bulkApi.retryFailedRows(req, res);
+            }
+
             // ========== MARKET INTELLIGENCE ENDPOINTS ==========
 
             // Generate market report
@@ -3647,6 +3736,29 @@ exports.govDailySamSync = onSchedule({
     return { profiles: results.length, failed, partial };
 });
 
+/**
+ * Daily sync of profile-configured sources (state procurement feeds,
+ * grants.gov extracts) — runs after the SAM.gov sync so cross-source dedup
+ * merges into the SAM record rather than the other way round.
+ */
+exports.govDailySourceSync = onSchedule({
+    schedule: '30 6 * * *',
+    timeZone: 'America/New_York',
+    memory: '512MiB',
+    timeoutSeconds: 540,
+}, async () => {
+    if (process.env.GOVCAPTURE_ENABLED !== 'true') {
+        console.log('[GovDailySourceSync] Skipped — GOVCAPTURE_ENABLED not true');
+        return;
+    }
+    const { syncAllProfileSources } = require('./services/govcapture/sourceSyncService');
+    const results = await syncAllProfileSources();
+    const failed = results.filter(r => r.status === 'failed').length;
+    const partial = results.filter(r => r.status === 'partial').length;
+    console.log(`[GovDailySourceSync] ${results.length} sources processed (${failed} failed, ${partial} partial)`);
+    return { sources: results.length, failed, partial };
+});
+
 exports.weeklyDigest = onSchedule({
     schedule: 'every monday 08:00',
     timeZone: 'America/New_York',
@@ -3733,6 +3845,34 @@ exports.reconcileStuckBatches = onSchedule({
     }
 });
 
+// ========================================
+// BULK JOB RECONCILER
+// ========================================
+
+const { resumeStaleBulkJobs } = require('./scheduled/bulkJobReconciler');
+
+/**
+ * Bulk Job Reconciler — resumes bulk pitch jobs whose runner died mid-job (function
+ * timeout, instance recycled after the upload response). Rows are checkpointed, so
+ * the resumed run only generates the rows that never finished.
+ */
+exports.resumeStaleBulkJobs = onSchedule({
+    schedule: 'every 15 minutes',
+    timeZone: 'America/New_York',
+    memory: '512MiB',
+    timeoutSeconds: 540
+}, async (event) => {
+    console.log('[BulkJobReconciler] Scheduled run triggered');
+    try {
+        const result = await resumeStaleBulkJobs();
+        console.log('[BulkJobReconciler] Completed:', JSON.stringify(result));
+        return result;
+    } catch (error) {
+        console.error('[BulkJobReconciler] Failed:', error);
+        throw error;
+    }
+});
+
 // ========================================
 // AUTH TRIGGERS
 // ========================================
@@ -3825,6 +3965,27 @@ exports.merchantBehaviorSync = onSchedule({
     }
 });
 
+/**
+ * refitIntentWeights — Runs every Sunday at 6am UTC.
+ * Re-learns per-merchant page-tag and event weights from converted sessions
+ * and writes the before/after calibration report.
+ */
+const { refitAllMerchants } = require('./services/intentWeightLearner');
+
+exports.refitIntentWeights = onSchedule({
+    schedule: 'every sunday 06:00',
+    timeZone: 'UTC',
+    memory: '512MiB'
+}, async (event) => {
+    console.log('[refitIntentWeights] Scheduled run starting');
+    try {
+        const result = await refitAllMerchants();
+        console.log('[refitIntentWeights] Complete:', result);
+    } catch (err) {
+        console.error('[refitIntentWeights] Fatal error:', err);
+    }
+});
+
 exports.processThresholdAlerts = onSchedule('every 6 hours', async (event) => {
     console.log('[processThresholdAlerts] Scheduled run starting');
     try {
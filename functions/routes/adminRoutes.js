@@ -19,6 +19,7 @@ const adminApi = require('../api/admin');
 const discountService = require('../services/discountService');
 const pricingService = require('../services/pricingService');
 const emailService = require('../services/email');
+const llmCostLedger = require('../services/llmCostLedger');
 
 /**
  * Admin middleware - checks if user is in admins collection
@@ -1461,6 +1462,44 @@ router.get('/api/v1/admin/agent-health', requireAdmin, async (req, res) => {
     }
 });
 
+// ====================================
+// LLM Cost Ledger
+// ====================================
+
+/**
+ * LLM spend by tenant and feature for a month, with each tenant's budget position
+ * Query: month (YYYY-MM, default current), status (ok|warning|exceeded|unlimited)
+ */
+router.get('/api/v1/admin/llm-costs', requireAdmin, async (req, res) => {
+    try {
+        const { month, status } = req.query;
+
+        if (month && !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+            return handleError(badRequest('month must be in YYYY-MM format'), res, 'getLlmCosts');
+        }
+        if (status && !Object.values(llmCostLedger.BudgetStatus).includes(status)) {
+            return handleError(
+                badRequest(`status must be one of: ${Object.values(llmCostLedger.BudgetStatus).join(', ')}`),
+                res,
+                'getLlmCosts'
+            );
+        }
+
+        const report = await llmCostLedger.getCostReport({ month: month || undefined, status });
+
+        return res.status(200).json({
+            success: true,
+            data: report
+        });
+    } catch (error) {
+        console.error('Get LLM costs error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to get LLM costs'
+        });
+    }
+});
+
 // ====================================
 // Existing admin API routes
 // ====================================
@@ -0,0 +1,295 @@
+'use strict';
+
+/**
+ * customDomainRoutes.js — Workspace custom domains and vanity paths.
+ *
+ * Management endpoints (auth required, Enterprise plan, workspace Admin for writes):
+ *   GET    /workspace/domains                          — List domains + DNS records to publish
+ *   POST   /workspace/domains                          — Register a hostname
+ *   POST   /workspace/domains/:hostname/verify         — Check the TXT record
+ *   DELETE /workspace/domains/:hostname                — Remove a domain and its paths
+ *   GET    /workspace/domains/:hostname/paths          — List vanity paths
+ *   PUT    /workspace/domains/:hostname/paths/:slug    — Point a slug at a pitch, landing page or one-pager
+ *   DELETE /workspace/domains/:hostname/paths/:slug    — Remove a slug
+ *
+ * Host-header routing (public, no auth):
+ *   GET https://{verified custom domain}/{slug} is dispatched by handleHostRequest()
+ *   to an HTML renderer for the slug's target — the stored pitch or one-pager page
+ *   via shareRoutes / onepagerShareRoutes, /landing-pages/public/:slug for landing
+ *   pages with req.customDomain carrying the workspace branding.
+ */
+
+const admin = require('firebase-admin');
+const { createRouter } = require('../utils/router');
+const { handleError, ApiError, ErrorCodes } = require('../middleware/errorHandler');
+const { getUserPlanForRequest } = require('../middleware/planGate');
+const { hasFeature } = require('../config/stripe');
+const { getMemberRole } = require('../services/workspaceService');
+const { getPublicBranding } = require('../services/workspaceBrandingService');
+const { logAction } = require('../services/workspaceAuditService');
+const customDomains = require('../services/customDomainService');
+const landingPageRoutes = require('./landingPageRoutes');
+
+const router = createRouter();
+const db = admin.firestore();
+
+const NOT_FOUND_HTML = '<html><body><h1>Page not found</h1></body></html>';
+
+/**
+ * Check the caller can manage the workspace's custom domains.
+ *
+ * @param {object} req
+ * @param {{adminOnly?: boolean}} [options] - Writes need a live Admin role
+ * @returns {Promise<string>} workspaceId
+ */
+async function requireDomainAccess(req, { adminOnly = false } = {}) {
+    if (!req.userId) {
+        throw new ApiError(ErrorCodes.UNAUTHORIZED, 'Authentication required');
+    }
+    if (!req.workspaceId) {
+        throw new ApiError(ErrorCodes.VALIDATION_ERROR, 'Custom domains require a workspace');
+    }
+
+    const plan = await getUserPlanForRequest(req);
+    if (!hasFeature(plan, 'customDomains')) {
+        throw new ApiError(ErrorCodes.AUTHORIZATION_ERROR, 'Custom domains require Enterprise plan');
+    }
+
+    // Role from the live workspaceMembers doc, not the cached req.workspaceRole
+    const role = await getMemberRole(req.workspaceId, req.userId);
+    if (!role || (adminOnly && role !== 'admin')) {
+        throw new ApiError(ErrorCodes.AUTHORIZATION_ERROR, adminOnly
+            ? 'Only workspace Admins can manage custom domains'
+            : 'Not a member of this workspace');
+    }
+
+    return req.workspaceId;
+}
+
+/**
+ * GET /workspace/domains
+ */
+router.get('/workspace/domains', async (req, res) => {
+    try {
+        const workspaceId = await requireDomainAccess(req);
+        const domains = await customDomains.listDomains(workspaceId);
+
+        return res.status(200).json({ success: true, data: { domains } });
+    } catch (error) {
+        return handleError(error, res, 'GET /workspace/domains');
+    }
+});
+
+/**
+ * POST /workspace/domains
+ * Body: { hostname }
+ */
+router.post('/workspace/domains', async (req, res) => {
+    try {
+        const workspaceId = await requireDomainAccess(req, { adminOnly: true });
+        const domain = await customDomains.addDomain(workspaceId, req.body.hostname, req.userId);
+
+        logAction(workspaceId, req.userId, 'CUSTOM_DOMAIN_ADDED', { details: { hostname: domain.hostname } });
+
+        return res.status(201).json({ success: true, data: domain });
+    } catch (error) {
+        return handleError(error, res, 'POST /workspace/domains');
+    }
+});
+
+/**
+ * POST /workspace/domains/:hostname/verify
+ * Looks up _synchintro.{hostname} TXT. Returns 200 either way; data.status and
+ * data.lastCheckError say whether it passed.
+ */
+router.post('/workspace/domains/:hostname/verify', async (req, res) => {
+    try {
+        const workspaceId = await requireDomainAccess(req, { adminOnly: true });
+        const domain = await customDomains.verifyDomain(workspaceId, req.params.hostname);
+
+        if (domain.status === customDomains.DomainStatus.VERIFIED) {
+            logAction(workspaceId, req.userId, 'CUSTOM_DOMAIN_VERIFIED', { details: { hostname: domain.hostname } });
+        }
+
+        return res.status(200).json({ success: true, data: domain });
+    } catch (error) {
+        return handleError(error, res, 'POST /workspace/domains/:hostname/verify');
+    }
+});
+
+/**
+ * DELETE /workspace/domains/:hostname
+ */
+router.delete('/workspace/domains/:hostname', async (req, res) => {
+    try {
+        const workspaceId = await requireDomainAccess(req, { adminOnly: true });
+        await customDomains.removeDomain(workspaceId, req.params.hostname);
+
+        logAction(workspaceId, req.userId, 'CUSTOM_DOMAIN_REMOVED', {
+            details: { hostname: customDomains.normalizeHostname(req.params.hostname) },
+        });
+
+        return res.status(200).json({ success: true });
+    } catch (error) {
+        return handleError(error, res, 'DELETE /workspace/domains/:hostname');
+    }
+});
+
+/**
+ * GET /workspace/domains/:hostname/paths
+ */
+router.get('/workspace/domains/:hostname/paths', async (req, res) => {
+    try {
+        const workspaceId = await requireDomainAccess(req);
+        const paths = await customDomains.listVanityPaths(workspaceId, req.params.hostname);
+
+        return res.status(200).json({ success: true, data: { paths } });
+    } catch (error) {
+        return handleError(error, res, 'GET /workspace/domains/:hostname/paths');
+    }
+});
+
+/**
+ * PUT /workspace/domains/:hostname/paths/:slug
+ * Body: { type: 'pitch' | 'landing_page' | 'onepager', targetId }
+ */
+router.put('/workspace/domains/:hostname/paths/:slug', async (req, res) => {
+    try {
+        const workspaceId = await requireDomainAccess(req, { adminOnly: true });
+        const path = await customDomains.setVanityPath(
+            workspaceId,
+            req.params.hostname,
+            req.params.slug,
+            { type: req.body.type, targetId: req.body.targetId },
+            req.userId
+        );
+
+        logAction(workspaceId, req.userId, 'CUSTOM_DOMAIN_PATH_SET', {
+            details: { hostname: customDomains.normalizeHostname(req.params.hostname), slug: path.slug, type: path.type, targetId: path.targetId },
+        });
+
+        return res.status(200).json({ success: true, data: path });
+    } catch (error) {
+        return handleError(error, res, 'PUT /workspace/domains/:hostname/paths/:slug');
+    }
+});
+
+/**
+ * DELETE /workspace/domains/:hostname/paths/:slug
+ */
+router.delete('/workspace/domains/:hostname/paths/:slug', async (req, res) => {
+    try {
+        const workspaceId = await requireDomainAccess(req, { adminOnly: true });
+        await customDomains.removeVanityPath(workspaceId, req.params.hostname, req.params.slug);
+
+        return res.status(200).json({ success: true });
+    } catch (error) {
+        return handleError(error, res, 'DELETE /workspace/domains/:hostname/paths/:slug');
+    }
+});
+
+/**
+ * Whether a pitch currently has a live public share (token or legacy shareId).
+ */
+function isPitchShared(pitch) {
+    if (pitch.sharing?.shareTokenHash) return !pitch.sharing.revokedAt;
+    return !!pitch.shareId;
+}
+
+/**
+ * Whether a one-pager is publicly shared (same isPublic gate as GET /onepager/share/:shareId).
+ */
+function isOnepagerShared(onepager) {
+    return !!onepager.shareId && onepager.isPublic !== false;
+}
+
+/**
+ * Send a shared pitch's or one-pager's rendered HTML and count the view.
+ * A browser lands on a vanity URL directly, so there is no app shell to fetch
+ * the JSON the share endpoints return.
+ */
+function sendSharedPage(res, doc) {
+    const { html } = doc.data();
+    if (!html) {
+        return res.status(404).send(NOT_FOUND_HTML);
+    }
+
+    doc.ref.update({
+        'analytics.views': admin.firestore.FieldValue.increment(1),
+        'analytics.lastViewedAt': admin.firestore.FieldValue.serverTimestamp(),
+    }).catch(() => {}); // non-blocking
+
+    res.setHeader('Content-Type', 'text/html');
+    return res.send(html);
+}
+
+/**
+ * Serve GET /{slug} on a verified custom domain through the target's public renderer.
+ * Returns false for our own hosts, unverified hosts and non-vanity requests so the
+ * main dispatcher carries on as usual.
+ *
+ * @param {object} req
+ * @param {object} res
+ * @returns {Promise<boolean>} True if the request was handled
+ */
+async function handleHostRequest(req, res) {
+    const host = req.headers['x-forwarded-host'] || req.headers.host;
+    const path = req.normalizedPath || req.path;
+    const match = req.method === 'GET' && path.match(/^\/([^/]+)\/?$/);
+    if (!match || customDomains.isAppHost(customDomains.normalizeHostname(host))) {
+        return false;
+    }
+
+    try {
+        const domain = await customDomains.resolveHost(host);
+        if (!domain) return false;
+
+        const vanity = await customDomains.resolveVanityPath(domain.hostname, match[1]);
+        if (!vanity) {
+            res.status(404).send(NOT_FOUND_HTML);
+            return true;
+        }
+
+        req.customDomain = {
+            hostname: domain.hostname,
+            workspaceId: domain.workspaceId,
+            slug: vanity.slug,
+            brand: await getPublicBranding(domain.workspaceId),
+        };
+
+        if (vanity.type === 'pitch') {
+            const pitchDoc = await db.collection('pitches').doc(vanity.targetId).get();
+            if (!pitchDoc.exists || !isPitchShared(pitchDoc.data())) {
+                res.status(404).send(NOT_FOUND_HTML);
+                return true;
+            }
+            sendSharedPage(res, pitchDoc);
+            return true;
+        }
+
+        if (vanity.type === 'onepager') {
+            const onepagerDoc = await db.collection('onepagers').doc(vanity.targetId).get();
+            if (!onepagerDoc.exists || !isOnepagerShared(onepagerDoc.data())) {
+                res.status(404).send(NOT_FOUND_HTML);
+                return true;
+            }
+            sendSharedPage(res, onepagerDoc);
+            return true;
+        }
+
+        const pageDoc = await db.collection('landingPages').doc(vanity.targetId).get();
+        if (!pageDoc.exists) {
+            res.status(404).send(NOT_FOUND_HTML);
+            return true;
+        }
+        req.normalizedPath = `/landing-pages/public/${pageDoc.data().slug}`;
+        return landingPageRoutes.handle(req, res);
+    } catch (error) {
+        console.error('[CustomDomainRoutes] host request failed:', error.message);
+        res.status(500).send('<html><body><h1>Error loading page</h1></body></html>');
+        return true;
+    }
+}
+
+module.exports = router;
+module.exports.handleHostRequest = handleHostRequest;
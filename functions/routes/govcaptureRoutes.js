@@ -14,7 +14,12 @@
 const admin = require('firebase-admin');
 const { createRouter } = require('../utils/router');
 const { validateProfileInput, stripUndefined, PROFILE_CLIENT_FIELDS } = require('../services/govcapture/schemas');
-const { validateStageTransitionInput, validateOutcomeInput } = require('../services/govcapture/govPursuits');
+const {
+    validateStageTransitionInput,
+    validateOutcomeInput,
+    validateTaskInput,
+    validateSectionOwnersInput,
+} = require('../services/govcapture/govPursuits');
 const govPursuitService = require('../services/govcapture/govPursuitService');
 const { computeAnalytics } = require('../services/govcapture/govAnalyticsService');
 
@@ -112,8 +117,10 @@ function _evaluatorErrorStatus(code) {
         case 'INVALID_FILE':
         case 'INVALID_ACK_STATE':
         case 'INVALID_INDEX':
+        case 'INVALID_FORMAT':
         case 'EMPTY_DRAFT':          return 400;
         case 'PROPOSAL_MISMATCH':
+        case 'NO_EVALUATION':
         case 'NO_RFP_TEXT':          return 409;
         default:                     return 500;
     }
@@ -123,9 +130,12 @@ function _evaluatorErrorStatus(code) {
 function _pursuitErrorStatus(code) {
     switch (code) {
         case 'OPP_NOT_FOUND':
-        case 'PURSUIT_NOT_FOUND':  return 404;
+        case 'PURSUIT_NOT_FOUND':
+        case 'TASK_NOT_FOUND':     return 404;
         case 'FORBIDDEN':          return 403;
-        case 'INVALID_TRANSITION': return 409;
+        case 'INVALID_ASSIGNEE':   return 400;
+        case 'INVALID_TRANSITION':
+        case 'TASK_LIMIT':         return 409;
         default:                   return 500;
     }
 }
@@ -432,6 +442,29 @@ router.get('/govcapture/opportunities/:oppId', featureGate, requireAuth, async (
     }
 });
 
+// ── GET /api/govcapture/opportunities/:oppId/amendments ──────────────────────
+
+router.get('/govcapture/opportunities/:oppId/amendments', featureGate, requireAuth, async (req, res) => {
+    try {
+        const db  = _getDb();
+        const doc = await db.collection('govOpportunities').doc(req.params.oppId).get();
+
+        if (!doc.exists) {
+            return res.status(404).json({ success: false, error: 'Opportunity not found' });
+        }
+        if (doc.data().userId !== req.govUserId) {
+            return res.status(403).json({ success: false, error: 'Access denied' });
+        }
+
+        const { listAmendments } = require('../services/govcapture/amendmentTracker');
+        const amendments = await listAmendments(db, doc.id);
+        return res.json({ success: true, amendments });
+    } catch (err) {
+        console.error('[GovCapture] GET /opportunities/:oppId/amendments error:', err.message);
+        return res.status(500).json({ success: false, error: err.message });
+    }
+});
+
 // ── PUT /api/govcapture/opportunities/:oppId/status ──────────────────────────
 
 router.put('/govcapture/opportunities/:oppId/status', featureGate, requireAuth, async (req, res) => {
@@ -882,6 +915,29 @@ router.get('/govcapture/opportunities/:oppId/briefs', featureGate, requireAuth,
     }
 });
 
+// ── GET /api/govcapture/opportunities/:oppId/competitor-intel ────────────────
+// Incumbent, recompete timing and top vendors from five years of USAspending
+// award history. Served from the opportunity; fetched when missing or stale,
+// or on ?refresh=true.
+
+router.get('/govcapture/opportunities/:oppId/competitor-intel', featureGate, requireAuth, async (req, res) => {
+    if (process.env.GOVCAPTURE_USASPENDING_ENABLED !== 'true') {
+        return res.status(409).json({ success: false, error: 'USAspending enrichment is not enabled' });
+    }
+
+    try {
+        const { getCompetitorIntel } = require('../services/govcapture/competitorIntelService');
+        const result = await getCompetitorIntel(req.params.oppId, req.govUserId, {
+            refresh: req.query.refresh === 'true',
+        });
+        return res.json({ success: true, ...result });
+    } catch (err) {
+        const status = err.status || 500;
+        console.error(`[GovCapture] GET /competitor-intel error (${status}):`, err.message);
+        return res.status(status).json({ success: false, error: err.message });
+    }
+});
+
 // ── POST /api/govcapture/opportunities/:oppId/score ──────────────────────────
 
 router.post('/govcapture/opportunities/:oppId/score', featureGate, requireAuth, async (req, res) => {
@@ -973,6 +1029,101 @@ router.post('/govcapture/sources/sam_gov/sync', featureGate, requireAuth, async
     }
 });
 
+// ── GET /api/govcapture/sources ──────────────────────────────────────────────
+
+router.get('/govcapture/sources', featureGate, requireAuth, async (req, res) => {
+    const { profileId } = req.query;
+    if (!profileId) {
+        return res.status(400).json({ success: false, error: 'profileId query param required' });
+    }
+
+    try {
+        const db  = _getDb();
+        const doc = await db.collection('govProfiles').doc(profileId).get();
+
+        if (!doc.exists) return res.status(404).json({ success: false, error: 'Profile not found' });
+        if (doc.data().userId !== req.govUserId) return res.status(403).json({ success: false, error: 'Access denied' });
+
+        const { listAdapters } = require('../services/govcapture/sourceAdapters');
+        return res.json({
+            success:  true,
+            adapters: listAdapters(),
+            sources:  doc.data().opportunitySources || [],
+        });
+    } catch (err) {
+        console.error('[GovCapture] GET /sources error:', err.message);
+        return res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// ── PUT /api/govcapture/profiles/:profileId/sources ──────────────────────────
+
+router.put('/govcapture/profiles/:profileId/sources', featureGate, requireAuth, async (req, res) => {
+    const { validateSourceConfigs } = require('../services/govcapture/sourceAdapters');
+    const check = validateSourceConfigs(req.body.sources);
+    if (!check.valid) {
+        return res.status(400).json({ success: false, error: check.error });
+    }
+
+    try {
+        const db  = _getDb();
+        const ref = db.collection('govProfiles').doc(req.params.profileId);
+        const doc = await ref.get();
+
+        if (!doc.exists) return res.status(404).json({ success: false, error: 'Profile not found' });
+        if (doc.data().userId !== req.govUserId) return res.status(403).json({ success: false, error: 'Access denied' });
+
+        await ref.update({
+            opportunitySources: check.value,
+            updatedAt:          admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        return res.json({ success: true, sources: check.value });
+    } catch (err) {
+        console.error('[GovCapture] PUT /profiles/:profileId/sources error:', err.message);
+        return res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// ── POST /api/govcapture/sources/:sourceId/sync ──────────────────────────────
+// State feeds and grants.gov extracts configured on the profile. Registered
+// after the sam_gov route, which keeps its own env checks.
+
+router.post('/govcapture/sources/:sourceId/sync', featureGate, requireAuth, async (req, res) => {
+    const { profileId } = req.body;
+    if (!profileId) {
+        return res.status(400).json({ success: false, error: 'profileId required' });
+    }
+
+    try {
+        const db  = _getDb();
+        const doc = await db.collection('govProfiles').doc(profileId).get();
+
+        if (!doc.exists) {
+            return res.status(404).json({ success: false, error: 'Profile not found' });
+        }
+        if (doc.data().userId !== req.govUserId) {
+            return res.status(403).json({ success: false, error: 'Access denied' });
+        }
+
+        const { resolveSourceConfig, syncProfileSource } = require('../services/govcapture/sourceSyncService');
+        if (!resolveSourceConfig(doc.data(), req.params.sourceId)) {
+            return res.status(404).json({ success: false, error: 'Source not configured or disabled' });
+        }
+
+        const result = await syncProfileSource(profileId, req.govUserId, req.params.sourceId);
+
+        if (result.status === 'already_running') {
+            return res.status(409).json({ success: false, error: 'sync_already_running' });
+        }
+
+        return res.json({ success: true, sourceRun: result });
+    } catch (err) {
+        console.error('[GovCapture] POST /sources/:sourceId/sync error:', err.message);
+        return res.status(500).json({ success: false, error: err.message });
+    }
+});
+
 // ── GET /api/govcapture/source-runs ──────────────────────────────────────────
 
 router.get('/govcapture/source-runs', featureGate, requireAuth, async (req, res) => {
@@ -990,8 +1141,10 @@ router.get('/govcapture/source-runs', featureGate, requireAuth, async (req, res)
             return res.status(403).json({ success: false, error: 'Access denied' });
         }
 
-        const snap = await db.collection('govSourceRuns')
-            .where('profileId', '==', profileId)
+        let query = db.collection('govSourceRuns').where('profileId', '==', profileId);
+        if (req.query.source) query = query.where('source', '==', req.query.source);
+
+        const snap = await query
             .orderBy('createdAt', 'desc')
             .limit(20)
             .get();
@@ -1057,7 +1210,7 @@ router.get('/govcapture/digest-settings/:profileId', featureGate, requireAuth, a
 // ── PUT /api/govcapture/digest-settings/:profileId ───────────────────────────
 
 const VALID_FREQUENCIES = ['daily', 'weekly', 'off'];
-const VALID_SOURCES     = ['sam_gov', 'manual_upload', 'rfpmart'];
+const VALID_SOURCES     = ['sam_gov', 'manual_upload', 'rfpmart', 'state_rss', 'state_csv', 'grants_gov'];
 const EMAIL_REGEX       = /^[^\s@\r\n]+@[^\s@\r\n]+\.[^\s@\r\n]+$/;
 
 router.put('/govcapture/digest-settings/:profileId', featureGate, requireAuth, async (req, res) => {
@@ -1235,7 +1388,8 @@ router.post('/admin/govcapture/run-digest', featureGate, async (req, res) => {
 
 router.post('/govcapture/opportunities/:oppId/promote', featureGate, pursuitsGate, requireAuth, async (req, res) => {
     try {
-        const workspaceId = (req.body && req.body.workspaceId) || undefined;
+        // Default to the active workspace so teammates can be assigned tasks
+        const workspaceId = (req.body && req.body.workspaceId) || req.workspaceId || undefined;
         const { pursuit, created } = await govPursuitService.createPursuit(req.govUserId, req.params.oppId, { workspaceId });
         return res.status(created ? 201 : 200).json({ success: true, created, pursuit });
     } catch (err) {
@@ -1279,7 +1433,12 @@ router.get('/govcapture/pursuits/:pursuitId', featureGate, pursuitsGate, require
         if (doc.data().userId !== req.govUserId) {
             return res.status(403).json({ success: false, error: 'Access denied' });
         }
-        return res.json({ success: true, pursuit: { id: doc.id, ...doc.data() } });
+        // Stage changes interleaved with amendments to the source opportunity
+        const { listAmendments, buildPursuitTimeline } = require('../services/govcapture/amendmentTracker');
+        const pursuit = { id: doc.id, ...doc.data() };
+        const amendments = pursuit.sourceOpportunityId ? await listAmendments(db, pursuit.sourceOpportunityId) : [];
+
+        return res.json({ success: true, pursuit, timeline: buildPursuitTimeline(pursuit, amendments) });
     } catch (err) {
         console.error('[GovCapture] GET /pursuits/:pursuitId error:', err.message);
         return res.status(500).json({ success: false, error: err.message });
@@ -1323,6 +1482,185 @@ router.put('/govcapture/pursuits/:pursuitId/outcome', featureGate, pursuitsGate,
     }
 });
 
+// ── PUT /api/govcapture/pursuits/:pursuitId/team ──────────────────────────────
+// Set section owners. Body: { sectionOwners: { [section]: uid | null } }.
+// Open tasks in those sections follow the new owner unless assigned by hand.
+
+router.put('/govcapture/pursuits/:pursuitId/team', featureGate, pursuitsGate, requireAuth, async (req, res) => {
+    try {
+        const sectionOwners = req.body && req.body.sectionOwners;
+        const validation = validateSectionOwnersInput(sectionOwners);
+        if (!validation.valid) {
+            return res.status(400).json({ success: false, error: validation.error });
+        }
+        const { setSectionOwners } = require('../services/govcapture/govPursuitTaskService');
+        const pursuit = await setSectionOwners(req.params.pursuitId, req.govUserId, sectionOwners);
+        return res.json({ success: true, pursuit });
+    } catch (err) {
+        const status = _pursuitErrorStatus(err.code);
+        if (status === 500) console.error('[GovCapture] PUT /pursuits/:pursuitId/team error:', err.message);
+        return res.status(status).json({ success: false, error: err.message });
+    }
+});
+
+// ── POST /api/govcapture/pursuits/:pursuitId/tasks/generate ───────────────────
+// Build the stage checklist from the RFP requirements. Safe to re-run: only
+// tasks not already on the pursuit are added. Without an evaluation, the
+// requirements are extracted from the RFP (once, stored on the pursuit) only
+// when GOVCAPTURE_EVALUATOR_ENABLED is on; otherwise stage templates only.
+
+router.post('/govcapture/pursuits/:pursuitId/tasks/generate', featureGate, pursuitsGate, requireAuth, async (req, res) => {
+    try {
+        const { generateTasks } = require('../services/govcapture/govPursuitTaskService');
+        const result = await generateTasks(req.params.pursuitId, req.govUserId);
+        return res.json({
+            success: true,
+            pursuit: result.pursuit,
+            added: result.added,
+            requirementsSource: result.requirementsSource,
+        });
+    } catch (err) {
+        const status = _pursuitErrorStatus(err.code);
+        if (status === 500) console.error('[GovCapture] POST /pursuits/:pursuitId/tasks/generate error:', err.message);
+        return res.status(status).json({ success: false, error: err.message });
+    }
+});
+
+// ── POST /api/govcapture/pursuits/:pursuitId/tasks ────────────────────────────
+// Add a task. Body: { title, stage, section?, assigneeUid?, dueDate? }
+
+router.post('/govcapture/pursuits/:pursuitId/tasks', featureGate, pursuitsGate, requireAuth, async (req, res) => {
+    try {
+        const validation = validateTaskInput(req.body || {});
+        if (!validation.valid) {
+            return res.status(400).json({ success: false, error: validation.error });
+        }
+        const { addTask } = require('../services/govcapture/govPursuitTaskService');
+        const { pursuit, task } = await addTask(req.params.pursuitId, req.govUserId, req.body);
+        return res.status(201).json({ success: true, task, pursuit });
+    } catch (err) {
+        const status = _pursuitErrorStatus(err.code);
+        if (status === 500) console.error('[GovCapture] POST /pursuits/:pursuitId/tasks error:', err.message);
+        return res.status(status).json({ success: false, error: err.message });
+    }
+});
+
+// ── PUT /api/govcapture/pursuits/:pursuitId/tasks/:taskId ─────────────────────
+// Update a task. Body: any of { title, stage, section, assigneeUid, dueDate, status }
+
+router.put('/govcapture/pursuits/:pursuitId/tasks/:taskId', featureGate, pursuitsGate, requireAuth, async (req, res) => {
+    try {
+        const validation = validateTaskInput(req.body || {}, { isUpdate: true });
+        if (!validation.valid) {
+            return res.status(400).json({ success: false, error: validation.error });
+        }
+        const { updateTask } = require('../services/govcapture/govPursuitTaskService');
+        const { pursuit, task } = await updateTask(req.params.pursuitId, req.govUserId, req.userId, req.params.taskId, req.body);
+        return res.json({ success: true, task, pursuit });
+    } catch (err) {
+        const status = _pursuitErrorStatus(err.code);
+        if (status === 500) console.error('[GovCapture] PUT /pursuits/:pursuitId/tasks/:taskId error:', err.message);
+        return res.status(status).json({ success: false, error: err.message });
+    }
+});
+
+// ── POST /api/govcapture/pursuits/:pursuitId/price-to-win ─────────────────────
+// Competitive price range from comparable USAspending awards, stored on the
+// pursuit. Body: { contractType? } — one of priceToWinService.CONTRACT_TYPES.
+
+function _priceToWinErrorStatus(code) {
+    switch (code) {
+        case 'PURSUIT_NOT_FOUND':
+        case 'OPP_NOT_FOUND':           return 404;
+        case 'FORBIDDEN':               return 403;
+        case 'NO_LOOKUP_KEYS':
+        case 'NO_PRICE_DATA':           return 409;
+        case 'USASPENDING_UNAVAILABLE': return 503;
+        default:                        return 500;
+    }
+}
+
+router.post('/govcapture/pursuits/:pursuitId/price-to-win', featureGate, pursuitsGate, requireAuth, async (req, res) => {
+    if (process.env.GOVCAPTURE_USASPENDING_ENABLED !== 'true') {
+        return res.status(409).json({ success: false, error: 'USAspending enrichment is not enabled' });
+    }
+
+    try {
+        const { estimatePriceToWin, CONTRACT_TYPES } = require('../services/govcapture/priceToWinService');
+        const contractType = req.body && req.body.contractType;
+        if (contractType != null && !Object.prototype.hasOwnProperty.call(CONTRACT_TYPES, contractType)) {
+            return res.status(400).json({
+                success: false,
+                error: `contractType must be one of: ${Object.keys(CONTRACT_TYPES).join(', ')}`,
+            });
+        }
+        const priceToWin = await estimatePriceToWin(req.params.pursuitId, req.govUserId, { contractType });
+        return res.json({ success: true, priceToWin });
+    } catch (err) {
+        const status = _priceToWinErrorStatus(err.code);
+        if (status === 500) console.error('[GovCapture] POST /pursuits/:pursuitId/price-to-win error:', err.message);
+        return res.status(status).json({ success: false, error: err.message });
+    }
+});
+
+// ── Calendar feed (ICS) ───────────────────────────────────────────────────────
+// Per-user, token-protected subscription URL for pursuit deadlines and key
+// dates. POST mints (or rotates) it, GET reports status, DELETE revokes.
+// The .ics endpoint is polled by calendar clients: no auth header, the token
+// in the path is the credential.
+
+router.post('/govcapture/calendar-feed', featureGate, pursuitsGate, requireAuth, async (req, res) => {
+    try {
+        const { createFeed } = require('../services/govcapture/govCalendarFeedService');
+        const feed = await createFeed(req.userId, req.govUserId, req.workspaceId || null);
+        return res.status(201).json({ success: true, feed });
+    } catch (err) {
+        console.error('[GovCapture] POST /calendar-feed error:', err.message);
+        const status = err.code === 'NOT_CONFIGURED' ? 503 : 500;
+        return res.status(status).json({ success: false, error: err.message });
+    }
+});
+
+router.get('/govcapture/calendar-feed', featureGate, pursuitsGate, requireAuth, async (req, res) => {
+    try {
+        const { getFeedStatus } = require('../services/govcapture/govCalendarFeedService');
+        const feed = await getFeedStatus(req.userId);
+        return res.json({ success: true, feed });
+    } catch (err) {
+        console.error('[GovCapture] GET /calendar-feed error:', err.message);
+        return res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+router.delete('/govcapture/calendar-feed', featureGate, pursuitsGate, requireAuth, async (req, res) => {
+    try {
+        const { revokeFeed } = require('../services/govcapture/govCalendarFeedService');
+        await revokeFeed(req.userId);
+        return res.json({ success: true });
+    } catch (err) {
+        const status = err.code === 'FEED_NOT_FOUND' ? 404 : 500;
+        if (status === 500) console.error('[GovCapture] DELETE /calendar-feed error:', err.message);
+        return res.status(status).json({ success: false, error: err.message });
+    }
+});
+
+router.get('/govcapture/calendar/:token.ics', featureGate, pursuitsGate, async (req, res) => {
+    try {
+        const { renderFeed } = require('../services/govcapture/govCalendarFeedService');
+        const ics = await renderFeed(req.params.token);
+        if (ics === null) {
+            return res.status(404).json({ success: false, error: 'Not found' });
+        }
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Content-Disposition', 'inline; filename="synchgov-bid-calendar.ics"');
+        res.setHeader('Cache-Control', 'private, max-age=300');
+        return res.send(ics);
+    } catch (err) {
+        console.error('[GovCapture] GET /calendar/:token.ics error:', err.message);
+        return res.status(500).json({ success: false, error: 'Calendar unavailable' });
+    }
+});
+
 // ── GET /api/govcapture/analytics ─────────────────────────────────────────────
 // PR-C3 analytics card set. Computed on-read from govOpportunities + govPursuits
 // (+ govProfiles for avgContractValue/goal). Owner-scoped; behind analyticsGate.
@@ -1434,6 +1772,29 @@ router.get('/govcapture/pursuits/:pursuitId/evaluations', featureGate, evaluator
     }
 });
 
+// ── GET /api/govcapture/pursuits/:pursuitId/compliance-matrix ─────────────────
+// Section L/M compliance matrix from an evaluation's Pass A requirements.
+// Query: ?format=xlsx|csv|docx (default xlsx) & ?evaluationId= (default latest).
+
+router.get('/govcapture/pursuits/:pursuitId/compliance-matrix', featureGate, evaluatorGate, requireAuth, async (req, res) => {
+    try {
+        const { exportComplianceMatrix } = require('../services/govcapture/complianceMatrix');
+        const { buffer, contentType, filename } = await exportComplianceMatrix(req.params.pursuitId, req.govUserId, {
+            format:       req.query.format ? String(req.query.format).toLowerCase() : undefined,
+            evaluationId: req.query.evaluationId || undefined,
+        });
+
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.setHeader('Content-Length', buffer.length);
+        return res.send(buffer);
+    } catch (err) {
+        const status = _evaluatorErrorStatus(err.code);
+        if (status === 500) console.error('[GovCapture] GET /pursuits/:id/compliance-matrix error:', err.message);
+        return res.status(status).json({ success: false, error: err.message });
+    }
+});
+
 // ── PUT /api/govcapture/evaluations/:evalId/fix-first/:index/ack ─────────────
 // v2.2 fix-first ack state (§10 "evaluator trusted" instrumentation).
 // Body: { ackState: 'open' | 'acknowledged' | 'addressed' }
@@ -71,6 +71,7 @@ function getRouteList() {
 const AVAILABLE_ENDPOINTS = [
     // Pitch endpoints (template-based)
     'POST /api/v1/generate-pitch',
+    'POST /api/v1/pitch/stream',
     'GET  /api/v1/pitches',
     'GET  /api/v1/pitch/:pitchId',
     'PUT  /api/v1/pitch/:pitchId',
@@ -78,6 +79,7 @@ const AVAILABLE_ENDPOINTS = [
     'GET  /api/v1/pitch/share/:shareId',
     // Narrative endpoints (AI-powered)
     'POST /api/v1/narratives/generate',
+    'POST /api/v1/narratives/stream',
     'GET  /api/v1/narratives',
     'GET  /api/v1/narratives/:id',
     'POST /api/v1/narratives/:id/regenerate',
@@ -119,9 +121,15 @@ const AVAILABLE_ENDPOINTS = [
     // Bulk upload
     'GET  /api/v1/bulk/template',
     'POST /api/v1/bulk/upload',
+    'POST /api/v1/bulk/preview',
+    'GET  /api/v1/bulk/mapping-presets',
+    'POST /api/v1/bulk/mapping-presets',
+    'DELETE /api/v1/bulk/mapping-presets/:presetId',
     'GET  /api/v1/bulk/jobs',
     'GET  /api/v1/bulk/jobs/:jobId',
     'GET  /api/v1/bulk/jobs/:jobId/download',
+    'POST /api/v1/bulk/jobs/:jobId/resume',
+    'POST /api/v1/bulk/jobs/:jobId/retry',
     // Market intelligence
     'POST /api/v1/market/report',
     'GET  /api/v1/market/reports',
@@ -152,6 +160,7 @@ const AVAILABLE_ENDPOINTS = [
     'GET  /api/v1/admin/revenue',
     'GET  /api/v1/admin/pitches',
     'GET  /api/v1/admin/usage',
+    'GET  /api/v1/admin/llm-costs',
     // Admin - Discount Codes
     'POST /api/v1/admin/discount-codes',
     'GET  /api/v1/admin/discount-codes',
@@ -176,6 +185,7 @@ const AVAILABLE_ENDPOINTS = [
     'GET  /api/v1/pitches/:pitchId/outcome',
     // Transcript parsing (Leave-Behind)
     'POST /api/v1/transcript/parse',
+    'POST /api/v1/transcript/analytics',
     'POST /api/v1/transcript/summary',
     'POST /api/v1/transcript/extract',
     'POST /api/v1/transcript/leave-behind',
@@ -184,11 +194,14 @@ const AVAILABLE_ENDPOINTS = [
     'GET  /api/v1/precall-forms/defaults',
     'POST /api/v1/precall-forms',
     'GET  /api/v1/precall-forms',
+    'GET  /api/v1/precall-forms/rubric',
+    'PUT  /api/v1/precall-forms/rubric',
     'GET  /api/v1/precall-forms/:formId',
     'PUT  /api/v1/precall-forms/:formId/questions',
     'POST /api/v1/precall-forms/:formId/send',
     'DELETE /api/v1/precall-forms/:formId',
     'GET  /api/v1/precall-forms/public/:shareId',
+    'POST /api/v1/precall-forms/public/:shareId/evaluate',
     'POST /api/v1/precall-forms/public/:shareId/submit',
     'GET  /api/v1/precall-forms/:formId/pitch-data',
     // Pre-Call Briefs (Growth+)
@@ -203,6 +216,9 @@ const AVAILABLE_ENDPOINTS = [
     'GET  /api/v1/landing-pages/:id',
     'PUT  /api/v1/landing-pages/:id',
     'DELETE /api/v1/landing-pages/:id',
+    'PUT  /api/v1/landing-pages/:id/variants',
+    'GET  /api/v1/landing-pages/:id/variants',
+    'POST /api/v1/landing-pages/:id/variants/promote',
     'POST /api/v1/landing-pages/track',
     'GET  /api/v1/landing-pages/public/:slug',
     // Website Visitor Identification (Starter+)
@@ -280,6 +296,7 @@ const AVAILABLE_ENDPOINTS = [
     'GET  /api/v1/account360/:accountKey',
     'POST /api/v1/account360/:accountKey/outbound',
     'GET  /api/v1/account360/:accountKey/history',
+    'GET  /api/v1/account360/:accountKey/timeline',
     // Attio CRM (Visitor Intel push)
     'POST /api/v1/attio/push-account',
     // Instantly (Visitor Intel sequence trigger)
@@ -760,3 +760,4 @@ router.post('/instantly/trigger-sequence', async (req, res) => {
 });
 
 module.exports = router;
+module.exports.getInstantlyApiKey = getInstantlyApiKey;
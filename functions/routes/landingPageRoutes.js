@@ -11,6 +11,8 @@ const { createRouter } = require('../utils/router');
 const { handleError, ApiError, ErrorCodes, badRequest, notFound } = require('../middleware/errorHandler');
 const { getUserPlan } = require('../middleware/planGate');
 const modelRouter = require('../services/modelRouter');
+const experiments = require('../services/landingPageExperiments');
+const { escapeHtml } = require('../api/pitch/htmlBuilder');
 
 const router = createRouter();
 const db = admin.firestore();
@@ -45,6 +47,16 @@ function hashIP(ip) {
     return crypto.createHash('sha256').update(ip + 'synchintro-salt').digest('hex').substring(0, 16);
 }
 
+/**
+ * Experiment bucketing key, stable across visits: an explicit ?vid= from a
+ * tracked link, else IP + user agent. Tracking calls echo the vid so views and
+ * clicks are deduplicated on the same key the visitor was bucketed by.
+ */
+function visitorBucketKey(req, vid) {
+    const ip = req.headers['x-forwarded-for']?.split(',')[0] || req.ip || 'unknown';
+    return vid || hashIP(`${ip}|${req.headers['user-agent'] || ''}`);
+}
+
 /**
  * Get user's tier and check landing page limits
  */
@@ -245,11 +257,62 @@ Return ONLY this JSON object (no other text):
     return prompt;
 }
 
+/**
+ * Render the content sections in the page's section order
+ */
+function renderSections(pageContent) {
+    const renderers = {
+        painPoints: () => pageContent.painPoints && pageContent.painPoints.length > 0 ? `
+        <section class="lp-section">
+            <h2 class="lp-section-title">Sound Familiar?</h2>
+            <ul class="lp-pain-points">
+                ${pageContent.painPoints.map(p => `<li>${p}</li>`).join('')}
+            </ul>
+        </section>
+        ` : '',
+        solution: () => pageContent.solution ? `
+        <section class="lp-section">
+            <h2 class="lp-section-title">Here's How We Help</h2>
+            <div class="lp-solution">${pageContent.solution}</div>
+        </section>
+        ` : '',
+        stats: () => pageContent.stats && pageContent.stats.length > 0 ? `
+        <section class="lp-section">
+            <h2 class="lp-section-title">The Results</h2>
+            <div class="lp-stats">
+                ${pageContent.stats.map(s => `
+                <div class="lp-stat">
+                    <div class="lp-stat-value">${s.value}</div>
+                    <div class="lp-stat-label">${s.label}</div>
+                </div>
+                `).join('')}
+            </div>
+        </section>
+        ` : '',
+        socialProof: () => pageContent.socialProof && pageContent.socialProof.length > 0 ? `
+        <section class="lp-section">
+            <div class="lp-social-proof">
+                ${pageContent.socialProof.map(p => `<div class="lp-proof-item">${p}</div>`).join('')}
+            </div>
+        </section>
+        ` : ''
+    };
+
+    return (pageContent.sectionOrder || experiments.SECTION_KEYS)
+        .filter(key => renderers[key])
+        .map(key => renderers[key]())
+        .join('');
+}
+
 /**
  * Generate HTML template for landing page
+ * @param {Object} pageData - Landing page document (pageContent already has any variant applied)
+ * @param {string|null} [variantId] - Experiment variant being served, echoed in tracking calls
+ * @param {string|null} [vid] - Visitor id from the page link, echoed in tracking calls
  */
-function generateLandingPageHTML(pageData) {
-    const { pageContent, prospectCompany, prospectLogo, sellerCompany, sellerLogo, showBadge, ctaType, ctaDestination } = pageData;
+function generateLandingPageHTML(pageData, variantId = null, vid = null) {
+    const vidJson = vid ? JSON.stringify(String(vid)).replace(/</g, '\\u003c') : 'null';
+    const { pageContent, prospectCompany, prospectLogo, sellerCompany, sellerLogo, showBadge, ctaType, ctaDestination, accentColor } = pageData;
 
     const ctaButton = ctaType === 'calendly'
         ? `<a href="${ctaDestination}" target="_blank" class="lp-cta-button">${pageContent.cta?.text || 'Schedule a Call'}</a>`
@@ -272,6 +335,7 @@ function generateLandingPageHTML(pageData) {
         .lp-logo { height: 40px; max-width: 120px; object-fit: contain; }
         .lp-headline { font-size: 2.5rem; font-weight: 700; color: #1a1a2e; margin-bottom: 16px; }
         .lp-subheadline { font-size: 1.25rem; color: #4a5568; }
+        .lp-hero { display: block; width: 100%; max-height: 360px; object-fit: cover; border-radius: 12px; margin-top: 30px; }
         .lp-section { margin-bottom: 40px; }
         .lp-section-title { font-size: 1.5rem; font-weight: 600; margin-bottom: 20px; color: #0A9933; }
         .lp-pain-points { list-style: none; }
@@ -295,12 +359,16 @@ function generateLandingPageHTML(pageData) {
             .lp-stats { grid-template-columns: 1fr; }
             .lp-logos { flex-direction: column; }
         }
+        ${accentColor ? `.lp-section-title, .lp-stat-value, .lp-badge a { color: ${accentColor}; }
+        .lp-cta-button { background: ${accentColor}; }` : ''}
     </style>
     <script>
         // Track page view
         (function() {
             var data = {
                 slug: '${pageData.slug}',
+                variantId: ${variantId ? `'${variantId}'` : 'null'},
+                vid: ${vidJson},
                 referrer: document.referrer,
                 userAgent: navigator.userAgent
             };
@@ -316,6 +384,7 @@ function generateLandingPageHTML(pageData) {
                 var timeOnPage = Math.round((Date.now() - startTime) / 1000);
                 navigator.sendBeacon('${process.env.FUNCTIONS_EMULATOR ? 'http://localhost:5001/pathsynch-pitch-creation/us-central1/api/v1' : 'https://us-central1-pathsynch-pitch-creation.cloudfunctions.net/api/v1'}/landing-pages/track', JSON.stringify({
                     slug: '${pageData.slug}',
+                    variantId: ${variantId ? `'${variantId}'` : 'null'},
                     event: 'time_on_page',
                     duration: timeOnPage
                 }));
@@ -328,7 +397,7 @@ function generateLandingPageHTML(pageData) {
                 fetch('${process.env.FUNCTIONS_EMULATOR ? 'http://localhost:5001/pathsynch-pitch-creation/us-central1/api/v1' : 'https://us-central1-pathsynch-pitch-creation.cloudfunctions.net/api/v1'}/landing-pages/track', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ slug: '${pageData.slug}', event: 'cta_click' })
+                    body: JSON.stringify({ slug: '${pageData.slug}', variantId: ${variantId ? `'${variantId}'` : 'null'}, vid: ${vidJson}, event: 'cta_click' })
                 }).catch(function() {});
             }
         });
@@ -343,45 +412,10 @@ function generateLandingPageHTML(pageData) {
             </div>
             <h1 class="lp-headline">${pageContent.headline || 'A Custom Solution for ' + prospectCompany}</h1>
             <p class="lp-subheadline">${pageContent.subheadline || ''}</p>
+            ${pageContent.heroImageUrl ? `<img src="${escapeHtml(pageContent.heroImageUrl)}" alt="" class="lp-hero">` : ''}
         </header>
 
-        ${pageContent.painPoints && pageContent.painPoints.length > 0 ? `
-        <section class="lp-section">
-            <h2 class="lp-section-title">Sound Familiar?</h2>
-            <ul class="lp-pain-points">
-                ${pageContent.painPoints.map(p => `<li>${p}</li>`).join('')}
-            </ul>
-        </section>
-        ` : ''}
-
-        ${pageContent.solution ? `
-        <section class="lp-section">
-            <h2 class="lp-section-title">Here's How We Help</h2>
-            <div class="lp-solution">${pageContent.solution}</div>
-        </section>
-        ` : ''}
-
-        ${pageContent.stats && pageContent.stats.length > 0 ? `
-        <section class="lp-section">
-            <h2 class="lp-section-title">The Results</h2>
-            <div class="lp-stats">
-                ${pageContent.stats.map(s => `
-                <div class="lp-stat">
-                    <div class="lp-stat-value">${s.value}</div>
-                    <div class="lp-stat-label">${s.label}</div>
-                </div>
-                `).join('')}
-            </div>
-        </section>
-        ` : ''}
-
-        ${pageContent.socialProof && pageContent.socialProof.length > 0 ? `
-        <section class="lp-section">
-            <div class="lp-social-proof">
-                ${pageContent.socialProof.map(p => `<div class="lp-proof-item">${p}</div>`).join('')}
-            </div>
-        </section>
-        ` : ''}
+        ${renderSections(pageContent)}
 
         <section class="lp-cta-section">
             ${ctaButton}
@@ -785,13 +819,120 @@ router.delete('/landing-pages/:id', async (req, res) => {
     }
 });
 
+/**
+ * Load a landing page owned by the caller
+ */
+async function getOwnedPage(req) {
+    const userId = req.userId;
+    if (!userId) {
+        throw new ApiError(ErrorCodes.UNAUTHORIZED, 'Authentication required');
+    }
+
+    const pageDoc = await db.collection('landingPages').doc(req.params.id).get();
+
+    if (!pageDoc.exists) {
+        throw new ApiError(ErrorCodes.NOT_FOUND, 'Landing page not found');
+    }
+
+    const pageData = pageDoc.data();
+
+    if (pageData.userId !== userId) {
+        throw new ApiError(ErrorCodes.AUTHORIZATION_ERROR, 'Access denied');
+    }
+
+    return { pageId: pageDoc.id, pageData };
+}
+
+/**
+ * PUT /landing-pages/:id/variants
+ * Start an A/B test. The current content is the control; body.variants are the
+ * challengers. Replaces any previous experiment and resets its stats.
+ */
+router.put('/landing-pages/:id/variants', async (req, res) => {
+    try {
+        const { pageId, pageData } = await getOwnedPage(req);
+        const { variants, autoPromote, controlWeight, minSamplesPerVariant, plannedSamplesPerVariant } = req.body;
+
+        const statsConfig = {};
+        if (minSamplesPerVariant !== undefined) statsConfig.minSamplesPerVariant = minSamplesPerVariant;
+        if (plannedSamplesPerVariant !== undefined) statsConfig.plannedSamplesPerVariant = plannedSamplesPerVariant;
+
+        const experiment = await experiments.startExperiment(pageId, pageData, {
+            variants, autoPromote, controlWeight, statsConfig
+        });
+
+        return res.status(200).json({
+            success: true,
+            data: experiment
+        });
+
+    } catch (error) {
+        return handleError(error, res, 'PUT /landing-pages/:id/variants');
+    }
+});
+
+/**
+ * GET /landing-pages/:id/variants
+ * Per-variant views, CTA clicks and conversion rate with significance analysis
+ */
+router.get('/landing-pages/:id/variants', async (req, res) => {
+    try {
+        const { pageId, pageData } = await getOwnedPage(req);
+
+        if (!pageData.experiment) {
+            return res.status(200).json({ success: true, data: null });
+        }
+
+        const { variants, analysis } = await experiments.analyzeExperiment(pageId, pageData.experiment);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                ...pageData.experiment,
+                variants,
+                analysis
+            }
+        });
+
+    } catch (error) {
+        return handleError(error, res, 'GET /landing-pages/:id/variants');
+    }
+});
+
+/**
+ * POST /landing-pages/:id/variants/promote
+ * Make a variant the page's content for every visitor and end the test
+ */
+router.post('/landing-pages/:id/variants/promote', async (req, res) => {
+    try {
+        const { pageId, pageData } = await getOwnedPage(req);
+
+        if (pageData.experiment?.status !== experiments.ExperimentStatus.RUNNING) {
+            throw new ApiError(ErrorCodes.CONFLICT, 'No A/B test is running on this page');
+        }
+        if (!req.body.variantId) {
+            throw badRequest('variantId required');
+        }
+
+        const experiment = await experiments.promoteVariant(pageId, pageData, req.body.variantId, 'manual');
+
+        return res.status(200).json({
+            success: true,
+            data: experiment
+        });
+
+    } catch (error) {
+        return handleError(error, res, 'POST /landing-pages/:id/variants/promote');
+    }
+});
+
 /**
  * POST /landing-pages/track
  * Track landing page analytics (public endpoint, no auth)
  */
 router.post('/landing-pages/track', async (req, res) => {
     try {
-        const { slug, event, duration, referrer, userAgent } = req.body;
+        const { slug, event, duration, referrer, userAgent, variantId, vid } = req.body;
 
         if (!slug) {
             throw badRequest('Slug required');
@@ -820,12 +961,27 @@ router.post('/landing-pages/track', async (req, res) => {
         const ip = req.headers['x-forwarded-for']?.split(',')[0] || req.ip || 'unknown';
         const ipHash = hashIP(ip);
 
+        // Only attribute events to the arm of the running experiment this visitor
+        // is bucketed into; a variantId that doesn't match it is not counted
+        const experiment = pageData.experiment;
+        const bucketKey = visitorBucketKey(req, vid);
+        const assigned = experiment?.status === experiments.ExperimentStatus.RUNNING
+            ? experiments.assignVariant(slug, experiment, bucketKey)
+            : null;
+        const trackedVariantId = assigned && assigned.variantId === variantId ? variantId : null;
+        const visitorKey = trackedVariantId ? hashIP(bucketKey) : null;
+
         if (event === 'cta_click') {
             // Track CTA click
             await db.collection('landingPages').doc(pageId).update({
                 ctaClicks: admin.firestore.FieldValue.increment(1),
                 updatedAt: admin.firestore.FieldValue.serverTimestamp()
             });
+
+            if (trackedVariantId &&
+                await experiments.recordVariantEvent(pageId, experiment, trackedVariantId, 'cta_click', visitorKey)) {
+                await experiments.maybeAutoPromote(pageId);
+            }
         } else if (event === 'time_on_page' && duration) {
             // Update average time on page
             const currentAvg = pageData.avgTimeOnPage || 0;
@@ -859,6 +1015,11 @@ router.post('/landing-pages/track', async (req, res) => {
             }
 
             await db.collection('landingPages').doc(pageId).update(updates);
+
+            // Variant conversion rates are per visitor, so reloads don't dilute them
+            if (trackedVariantId) {
+                await experiments.recordVariantEvent(pageId, experiment, trackedVariantId, 'view', visitorKey);
+            }
         }
 
         return res.status(200).json({ success: true });
@@ -895,9 +1056,32 @@ router.get('/landing-pages/public/:slug', async (req, res) => {
             return res.status(410).send('<html><body><h1>This page has expired</h1></body></html>');
         }
 
+        // Bucket the visitor when an experiment is running
+        let variant = null;
+        if (pageData.experiment?.status === experiments.ExperimentStatus.RUNNING) {
+            variant = experiments.assignVariant(slug, pageData.experiment, visitorBucketKey(req, req.query.vid));
+        }
+
+        // Served from a workspace custom domain: use the workspace branding
+        const brand = req.customDomain?.brand;
+        const branding = brand ? {
+            sellerCompany: brand.companyName || pageData.sellerCompany,
+            sellerLogo: brand.logoUrl || pageData.sellerLogo,
+            accentColor: brand.accentColor || null,
+            showBadge: pageData.showBadge && brand.showPoweredByPathSynch !== false
+        } : {};
+
         // Generate and return HTML
-        const html = generateLandingPageHTML(pageData);
+        const html = generateLandingPageHTML(
+            { ...pageData, ...branding, pageContent: experiments.applyVariant(pageData.pageContent, variant) },
+            variant?.variantId || null,
+            variant ? req.query.vid || null : null
+        );
         res.setHeader('Content-Type', 'text/html');
+        if (variant) {
+            // Each visitor may see different content, so shared caches must not store it
+            res.setHeader('Cache-Control', 'private, no-store');
+        }
         return res.send(html);
 
     } catch (error) {
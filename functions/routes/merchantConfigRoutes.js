@@ -90,7 +90,8 @@ router.post('/merchant-config', async (req, res) => {
             thresholds,
             duplicateSuppressionHours,
             companyIdEnabled,
-            modules
+            modules,
+            learnedWeightsEnabled
         } = req.body;
 
         const docRef = db.collection('merchantConfig').doc(userId);
@@ -140,6 +141,7 @@ router.post('/merchant-config', async (req, res) => {
         if (duplicateSuppressionHours !== undefined) updates.duplicateSuppressionHours = duplicateSuppressionHours;
         if (companyIdEnabled !== undefined) updates.companyIdEnabled = companyIdEnabled;
         if (modules !== undefined) updates.modules = modules;
+        if (learnedWeightsEnabled !== undefined) updates.learnedWeightsEnabled = learnedWeightsEnabled === true;
 
         // Always update planTier on save to keep it current
         updates.planTier = planTier;
@@ -222,7 +224,8 @@ router.get('/merchant-config/top-pages', async (req, res) => {
 
 /**
  * GET /merchant-config/calibration-report
- * Read the latest calibration report for the authenticated user.
+ * Read the latest calibration report for the authenticated user, with the
+ * before/after report from the last learned-weight refit under `learnedWeights`.
  */
 router.get('/merchant-config/calibration-report', async (req, res) => {
     try {
@@ -231,11 +234,13 @@ router.get('/merchant-config/calibration-report', async (req, res) => {
             throw new ApiError(ErrorCodes.UNAUTHORIZED, 'Authentication required');
         }
 
-        const reportRef = db.collection('merchantConfig').doc(userId)
-            .collection('calibrationReport').doc('latest');
-        const doc = await reportRef.get();
+        const reportsRef = db.collection('merchantConfig').doc(userId).collection('calibrationReport');
+        const [doc, weightsDoc] = await Promise.all([
+            reportsRef.doc('latest').get(),
+            reportsRef.doc('weights').get()
+        ]);
 
-        if (!doc.exists) {
+        if (!doc.exists && !weightsDoc.exists) {
             return res.status(200).json({
                 success: true,
                 data: null,
@@ -245,7 +250,10 @@ router.get('/merchant-config/calibration-report', async (req, res) => {
 
         return res.status(200).json({
             success: true,
-            data: doc.data()
+            data: {
+                ...(doc.exists ? doc.data() : {}),
+                learnedWeights: weightsDoc.exists ? weightsDoc.data() : null
+            }
         });
 
     } catch (error) {
@@ -8,6 +8,7 @@
 const admin = require('firebase-admin');
 const { createRouter } = require('../utils/router');
 const { handleError } = require('../middleware/errorHandler');
+const { computeAccountKey } = require('../services/visitorIdentityGraph');
 
 const router = createRouter();
 const db = admin.firestore();
@@ -15,6 +16,18 @@ const db = admin.firestore();
 // Valid outcome statuses
 const VALID_STATUSES = ['no_outcome', 'meeting_booked', 'won', 'lost'];
 
+/**
+ * Hostname of a prospect website URL, or null
+ */
+function websiteHost(websiteUrl) {
+    if (!websiteUrl) return null;
+    try {
+        return new URL(/^https?:\/\//i.test(websiteUrl) ? websiteUrl : `https://${websiteUrl}`).hostname;
+    } catch {
+        return null;
+    }
+}
+
 /**
  * PUT /pitches/:pitchId/outcome
  * Update pitch outcome status
@@ -50,6 +63,9 @@ router.put('/pitches/:pitchId/outcome', async (req, res) => {
         const outcomeRef = db.collection('pitchOutcomes').doc(pitchId);
         const outcomeDoc = await outcomeRef.get();
 
+        // Owner and visitor account let the intent weight learner link won deals to sessions
+        const accountKey = pitchData.accountKey || computeAccountKey(websiteHost(pitchData.websiteUrl));
+
         const now = admin.firestore.FieldValue.serverTimestamp();
         const historyEntry = {
             status,
@@ -65,6 +81,8 @@ router.put('/pitches/:pitchId/outcome', async (req, res) => {
 
             await outcomeRef.update({
                 status,
+                userId: req.userId,
+                accountKey,
                 statusHistory,
                 notes: notes !== undefined ? notes : existingData.notes,
                 updatedAt: now
@@ -73,6 +91,8 @@ router.put('/pitches/:pitchId/outcome', async (req, res) => {
             // Create new outcome document
             await outcomeRef.set({
                 pitchId,
+                userId: req.userId,
+                accountKey,
                 status,
                 statusHistory: [historyEntry],
                 notes: notes || null,
@@ -13,6 +13,8 @@ const { L2_STYLES, L3_STYLES, getAvailableStyles } = require('../api/pitch/valid
 const { getUserPlan } = require('../middleware/planGate');
 const { requireRole, canAccessResource, scopeQueryToWorkspace } = require('../middleware/workspaceRoleGuard');
 const { hashToken, projectPublicFields } = require('../utils/pitchShare');
+const { ensureUserExists, checkAndUpdateUsage, incrementUsage } = require('../services/pitchMetrics');
+const { openEventStream, captureJsonResponse } = require('../utils/sse');
 
 const router = createRouter();
 const db = admin.firestore();
@@ -102,6 +104,70 @@ router.post('/generate-pitch', async (req, res) => {
     }
 });
 
+/**
+ * POST /pitch/stream
+ * Server-Sent Events variant of POST /generate-pitch.
+ *
+ * Emits `progress` events as each stage (enrichment, narrative, validation, render) starts and
+ * finishes — completed stages carry their partial output — then a single `complete` event with the
+ * same payload /generate-pitch returns, or an `error` event. Validation, auth and usage failures
+ * happen before the stream opens and return plain JSON with the usual status codes.
+ */
+router.post('/pitch/stream', async (req, res) => {
+    try {
+        const validation = validateBody(req.body, 'generatePitch');
+        if (!validation.valid) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: validation.errors
+            });
+        }
+        req.body = validation.value;
+
+        if (!req.userId || req.userId === 'anonymous') {
+            throw unauthorized('Authentication required');
+        }
+
+        await ensureUserExists(req.userId, req.userEmail);
+
+        const usageCheck = await checkAndUpdateUsage(req.userId);
+        if (!usageCheck.allowed) {
+            return res.status(429).json({
+                success: false,
+                message: usageCheck.message,
+                usage: { used: usageCheck.used, limit: usageCheck.limit }
+            });
+        }
+    } catch (error) {
+        return handleError(error, res, 'POST /pitch/stream');
+    }
+
+    const stream = openEventStream(res);
+    try {
+        stream.send('progress', { stage: 'queued', status: 'started', progress: 0 });
+
+        const result = captureJsonResponse();
+        await pitchGenerator.generatePitch(req, result, {
+            onProgress: (update) => stream.send('progress', update)
+        });
+
+        if (result.statusCode === 200 && result.body?.success) {
+            // Usage is only counted for pitches that were actually produced
+            await incrementUsage(req.userId);
+            stream.send('progress', { stage: 'complete', status: 'complete', progress: 100 });
+            stream.send('complete', result.body);
+        } else {
+            stream.send('error', { status: result.statusCode, ...result.body });
+        }
+    } catch (error) {
+        console.error('POST /pitch/stream failed:', error);
+        stream.send('error', { status: 500, success: false, error: 'Failed to generate pitch', message: error.message });
+    } finally {
+        stream.close();
+    }
+});
+
 /**
  * GET /pitch/:pitchId
  * Get a pitch by ID
@@ -8,6 +8,9 @@
 const admin = require('firebase-admin');
 const { createRouter } = require('../utils/router');
 const precallForm = require('../services/precallForm');
+const precallFormLogic = require('../services/precallFormLogic');
+const precallQualification = require('../services/precallQualification');
+const { getInstantlyApiKey } = require('./instantlyRoutes');
 const emailService = require('../services/email');
 const { handleError, ApiError, ErrorCodes } = require('../middleware/errorHandler');
 const { getUserPlan } = require('../middleware/planGate');
@@ -140,6 +143,53 @@ router.get('/precall-forms', async (req, res) => {
     }
 });
 
+/**
+ * GET /precall-forms/rubric
+ * Get the qualification rubric used to score responses (defaults filled in)
+ */
+router.get('/precall-forms/rubric', async (req, res) => {
+    try {
+        const userId = req.userId;
+        if (!userId) {
+            throw new ApiError(ErrorCodes.UNAUTHORIZED, 'Authentication required');
+        }
+
+        await requireEnterprise(userId);
+
+        return res.status(200).json({
+            success: true,
+            data: await precallQualification.getRubric(userId)
+        });
+    } catch (error) {
+        return handleError(error, res, 'GET /precall-forms/rubric');
+    }
+});
+
+/**
+ * PUT /precall-forms/rubric
+ * Update the qualification rubric
+ * Body: any of { framework, questions, disqualifiers, icpWeight, tiers, instantlyCampaignId, bookingUrl }
+ */
+router.put('/precall-forms/rubric', async (req, res) => {
+    try {
+        const userId = req.userId;
+        if (!userId) {
+            throw new ApiError(ErrorCodes.UNAUTHORIZED, 'Authentication required');
+        }
+
+        await requireEnterprise(userId);
+
+        const rubric = await precallQualification.saveRubric(userId, req.body || {});
+
+        return res.status(200).json({
+            success: true,
+            data: rubric
+        });
+    } catch (error) {
+        return handleError(error, res, 'PUT /precall-forms/rubric');
+    }
+});
+
 /**
  * GET /precall-forms/:formId
  * Get a specific form
@@ -300,12 +350,14 @@ router.get('/precall-forms/public/:shareId', async (req, res) => {
             });
         }
 
-        // Return only what's needed for the public form
+        // Return only what's needed for the public form. questions carries the
+        // showIf/validation rules; initialQuestions is what to show before any answers.
         return res.status(200).json({
             success: true,
             data: {
                 shareId: form.shareId,
                 questions: form.questions,
+                initialQuestions: precallFormLogic.evaluateForm(form.questions || []).questions,
                 prospectName: form.prospectName,
                 sellerCompany: form.sellerCompany,
                 sellerName: form.sellerName,
@@ -317,6 +369,47 @@ router.get('/precall-forms/public/:shareId', async (req, res) => {
     }
 });
 
+/**
+ * POST /precall-forms/public/:shareId/evaluate
+ * Re-evaluate branching as the prospect answers - No auth required
+ * Body: { responses } (answers so far)
+ * Returns the questions to show with earlier answers piped in, the branch path
+ * and any validation errors. Nothing is saved.
+ */
+router.post('/precall-forms/public/:shareId/evaluate', async (req, res) => {
+    try {
+        const { shareId } = req.params;
+        const responses = req.body.responses || {};
+
+        if (typeof responses !== 'object' || Array.isArray(responses)) {
+            throw new ApiError(ErrorCodes.VALIDATION_ERROR, 'Responses must be an object');
+        }
+
+        const form = await precallForm.getFormByShareId(shareId);
+
+        if (!form) {
+            throw new ApiError(ErrorCodes.NOT_FOUND, 'Form not found');
+        }
+
+        if (form.status === 'expired') {
+            throw new ApiError(ErrorCodes.EXPIRED, 'This form has expired');
+        }
+
+        const evaluation = precallFormLogic.evaluateForm(form.questions || [], responses);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                questions: evaluation.questions,
+                branchPath: evaluation.branchPath,
+                errors: evaluation.errors
+            }
+        });
+    } catch (error) {
+        return handleError(error, res, 'POST /precall-forms/public/:shareId/evaluate');
+    }
+});
+
 /**
  * POST /precall-forms/public/:shareId/submit
  * Submit form responses (prospect submission) - No auth required
@@ -330,17 +423,30 @@ router.post('/precall-forms/public/:shareId/submit', async (req, res) => {
             throw new ApiError(ErrorCodes.VALIDATION_ERROR, 'Responses are required');
         }
 
-        const result = await precallForm.submitResponses(shareId, responses);
+        await precallForm.submitResponses(shareId, responses);
 
         // Notify form owner
         const form = await precallForm.getFormByShareId(shareId);
+        let nextStep = null;
         if (form) {
             await notifyFormOwner(form);
+
+            // Scoring and routing must never fail the prospect's submission
+            try {
+                const qualification = await precallQualification.qualifyAndRoute(form, {
+                    resolveInstantlyApiKey: getInstantlyApiKey
+                });
+                nextStep = qualification.nextStep;
+            } catch (error) {
+                console.error('Failed to qualify pre-call form:', error.message);
+            }
         }
 
+        // The score stays private to the seller; the prospect only sees the next step
         return res.status(200).json({
             success: true,
-            message: 'Thank you! Your responses have been submitted.'
+            message: 'Thank you! Your responses have been submitted.',
+            data: { nextStep }
         });
     } catch (error) {
         return handleError(error, res, 'POST /precall-forms/public/:shareId/submit');
@@ -371,7 +477,7 @@ router.get('/precall-forms/:formId/pitch-data', async (req, res) => {
             throw new ApiError(ErrorCodes.VALIDATION_ERROR, 'Form has not been completed yet');
         }
 
-        const pitchData = precallForm.mapResponsesToPitchData(form.responses);
+        const pitchData = precallForm.mapResponsesToPitchData(form.responses, form.branchPath);
 
         return res.status(200).json({
             success: true,
@@ -381,7 +487,9 @@ router.get('/precall-forms/:formId/pitch-data', async (req, res) => {
                 prospectEmail: form.prospectEmail,
                 completedAt: form.completedAt,
                 pitchEnhancement: pitchData,
-                rawResponses: form.responses
+                rawResponses: form.responses,
+                branchPath: form.branchPath || null,
+                qualification: form.qualification || null
             }
         });
     } catch (error) {
@@ -7,6 +7,7 @@
 const admin = require('firebase-admin');
 const { createRouter } = require('../utils/router');
 const transcriptParser = require('../services/transcriptParser');
+const transcriptAnalytics = require('../services/transcriptAnalytics');
 const { getUserPlan } = require('../middleware/planGate');
 const { handleError, ApiError, ErrorCodes } = require('../middleware/errorHandler');
 
@@ -17,40 +18,89 @@ const db = admin.firestore();
 // ROUTES
 // ============================================
 
+// Teams .docx downloads are larger than their text, so only they may exceed the text cap
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+const MAX_TRANSCRIPT_CHARS = 500000;
+
 /**
- * POST /transcript/parse
- * Parse a transcript and detect its format
- * Returns parsed entries without AI analysis (quick operation)
+ * True for a multipart/form-data upload
+ * @param {Object} req - Request
+ * @returns {boolean}
  */
-router.post('/transcript/parse', async (req, res) => {
-    try {
-        const { content, format } = req.body;
+function isMultipartRequest(req) {
+    const contentType = (req.headers && (req.headers['content-type'] || req.headers['Content-Type'])) || '';
+    return contentType.includes('multipart/form-data');
+}
 
-        if (!content || typeof content !== 'string') {
-            throw new ApiError(
-                'Transcript content is required',
-                400,
-                ErrorCodes.VALIDATION_ERROR
-            );
+/**
+ * Read and parse the transcript in a request: a JSON body ({ content, format }, where
+ * content may be a Chorus/Grain JSON export object) or a multipart upload (field "file")
+ * for Teams .docx and JSON files. Parsing keeps the speakers and timestamps that a
+ * .docx's extracted text would lose, so every route takes the upload itself.
+ * @param {Object} req - Request
+ * @returns {Promise<{ parsed: Object, fields: Object }>} The parsed transcript and the
+ *   other request fields (the multipart text fields for an upload)
+ */
+async function readTranscript(req) {
+    if (isMultipartRequest(req)) {
+        const { parseMultipart } = require('../services/govcapture/manualUploadService');
+        const { file, fields } = await parseMultipart(req, { fileSize: MAX_UPLOAD_BYTES }).catch(error => {
+            throw new ApiError(ErrorCodes.VALIDATION_ERROR, error.message);
+        });
+
+        if (!file || !file.buffer.length) {
+            throw new ApiError(ErrorCodes.VALIDATION_ERROR, 'file is required (multipart field "file")');
         }
 
-        if (content.length > 500000) {
-            throw new ApiError(
-                'Transcript too large. Maximum size is 500KB.',
-                400,
-                ErrorCodes.VALIDATION_ERROR
-            );
+        const fileOptions = {
+            filename: file.originalname,
+            mimetype: file.mimetype,
+            format: fields.format || null
+        };
+        if (!transcriptParser.isDocxFile(file.buffer, fileOptions) && file.buffer.length > MAX_TRANSCRIPT_CHARS) {
+            throw new ApiError(ErrorCodes.VALIDATION_ERROR, 'Transcript too large. Maximum size is 500KB.');
         }
 
-        const result = transcriptParser.parseTranscript(content, format);
+        const parsed = await transcriptParser.parseTranscriptFile(file.buffer, fileOptions).catch(error => {
+            throw new ApiError(ErrorCodes.VALIDATION_ERROR, `Could not read transcript file: ${error.message}`);
+        });
+        if (parsed.plainText.length > MAX_TRANSCRIPT_CHARS) {
+            throw new ApiError(ErrorCodes.VALIDATION_ERROR, 'Transcript too large. Maximum size is 500KB of text.');
+        }
+        return { parsed, fields };
+    }
+
+    const body = req.body || {};
+    const { content, format } = body;
+    const isExport = content && typeof content === 'object';
+
+    if (!content || (typeof content !== 'string' && !isExport)) {
+        throw new ApiError(ErrorCodes.VALIDATION_ERROR, 'Transcript content is required');
+    }
+
+    if ((isExport ? JSON.stringify(content) : content).length > MAX_TRANSCRIPT_CHARS) {
+        throw new ApiError(ErrorCodes.VALIDATION_ERROR, 'Transcript too large. Maximum size is 500KB.');
+    }
+
+    return { parsed: transcriptParser.parseTranscript(content, format), fields: body };
+}
+
+/**
+ * POST /transcript/parse
+ * Parse a transcript and detect its format (see readTranscript for the accepted bodies)
+ * Returns the detected format, counts and a preview without AI analysis (quick operation)
+ */
+router.post('/transcript/parse', async (req, res) => {
+    try {
+        const { parsed } = await readTranscript(req);
 
         return res.status(200).json({
             success: true,
             data: {
-                format: result.format,
-                speakerCount: result.speakerCount,
-                entryCount: result.entryCount,
-                preview: result.plainText.substring(0, 500) + (result.plainText.length > 500 ? '...' : '')
+                format: parsed.format,
+                speakerCount: parsed.speakerCount,
+                entryCount: parsed.entryCount,
+                preview: parsed.plainText.substring(0, 500) + (parsed.plainText.length > 500 ? '...' : '')
             }
         });
     } catch (error) {
@@ -58,31 +108,36 @@ router.post('/transcript/parse', async (req, res) => {
     }
 });
 
+/**
+ * POST /transcript/analytics
+ * Deterministic talk-track analytics from the parsed timestamps (no AI):
+ * talk/listen ratio per speaker, longest monologue, questions, interruptions
+ * and next-step commitments
+ */
+router.post('/transcript/analytics', async (req, res) => {
+    try {
+        const { parsed, fields } = await readTranscript(req);
+        const analytics = transcriptAnalytics.computeAnalytics(parsed, { sellerName: fields.sellerName });
+
+        return res.status(200).json({
+            success: true,
+            data: analytics,
+            format: parsed.format
+        });
+    } catch (error) {
+        return handleError(error, res, 'POST /transcript/analytics');
+    }
+});
+
 /**
  * POST /transcript/summary
  * Get a quick summary of the transcript (fast AI call)
  */
 router.post('/transcript/summary', async (req, res) => {
     try {
-        const { content } = req.body;
-
-        if (!content || typeof content !== 'string') {
-            throw new ApiError(
-                'Transcript content is required',
-                400,
-                ErrorCodes.VALIDATION_ERROR
-            );
-        }
+        const { parsed } = await readTranscript(req);
 
-        if (content.length > 500000) {
-            throw new ApiError(
-                'Transcript too large. Maximum size is 500KB.',
-                400,
-                ErrorCodes.VALIDATION_ERROR
-            );
-        }
-
-        const result = await transcriptParser.getQuickSummary(content);
+        const result = await transcriptParser.getQuickSummary(parsed);
 
         if (!result.success) {
             throw new ApiError(
@@ -119,23 +174,9 @@ router.post('/transcript/extract', async (req, res) => {
             );
         }
 
-        const { content, context } = req.body;
-
-        if (!content || typeof content !== 'string') {
-            throw new ApiError(
-                'Transcript content is required',
-                400,
-                ErrorCodes.VALIDATION_ERROR
-            );
-        }
-
-        if (content.length > 500000) {
-            throw new ApiError(
-                'Transcript too large. Maximum size is 500KB.',
-                400,
-                ErrorCodes.VALIDATION_ERROR
-            );
-        }
+        const { parsed, fields } = await readTranscript(req);
+        // An upload sends the context as flat multipart fields
+        const context = fields.context && typeof fields.context === 'object' ? fields.context : fields;
 
         // Check user tier - transcript extraction requires Growth+
         // F-1014: resolve via canonical getUserPlan (subscription.plan first).
@@ -152,10 +193,10 @@ router.post('/transcript/extract', async (req, res) => {
         }
 
         // Extract meeting data using AI
-        const result = await transcriptParser.extractMeetingData(content, {
-            sellerName: context?.sellerName,
-            prospectCompany: context?.prospectCompany,
-            meetingDate: context?.meetingDate
+        const result = await transcriptParser.extractMeetingData(parsed, {
+            sellerName: context.sellerName,
+            prospectCompany: context.prospectCompany,
+            meetingDate: context.meetingDate
         });
 
         if (!result.success) {
@@ -179,6 +220,7 @@ router.post('/transcript/extract', async (req, res) => {
         return res.status(200).json({
             success: true,
             data: result.data,
+            analytics: result.analytics,
             metadata: result.metadata
         });
     } catch (error) {
@@ -188,7 +230,9 @@ router.post('/transcript/extract', async (req, res) => {
 
 /**
  * POST /transcript/leave-behind
- * Generate leave-behind content from extracted meeting data
+ * Generate leave-behind content from extracted meeting data.
+ * The leave-behind is saved with the call's talk-track analytics, taken from
+ * `analytics` (as returned by /transcript/extract) or computed from `content`.
  */
 router.post('/transcript/leave-behind', async (req, res) => {
     try {
@@ -202,7 +246,7 @@ router.post('/transcript/leave-behind', async (req, res) => {
             );
         }
 
-        const { meetingData } = req.body;
+        const { meetingData, analytics, content, sellerName } = req.body;
 
         if (!meetingData || typeof meetingData !== 'object') {
             throw new ApiError(
@@ -240,9 +284,28 @@ router.post('/transcript/leave-behind', async (req, res) => {
             );
         }
 
+        let callAnalytics = analytics && typeof analytics === 'object' ? analytics : null;
+        if (!callAnalytics && typeof content === 'string' && content) {
+            callAnalytics = transcriptAnalytics.computeAnalytics(
+                transcriptParser.parseTranscript(content),
+                { sellerName }
+            );
+        }
+
+        const leaveBehindRef = await db.collection('leaveBehinds').add({
+            userId,
+            content: result.content,
+            meetingData,
+            analytics: callAnalytics,
+            tokensUsed: result.tokensUsed || null,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
         return res.status(200).json({
             success: true,
+            leaveBehindId: leaveBehindRef.id,
             data: result.content,
+            analytics: callAnalytics,
             tokensUsed: result.tokensUsed
         });
     } catch (error) {
@@ -3,6 +3,7 @@
  *
  * POST /visitor-signal/ingest — batched visitor events, full 10-rule contract
  * GET  /visitor-accounts       — account-level scoring summaries for the UI
+ * GET  /account360/:accountKey/timeline — stitched cross-device account timeline
  *
  * Contract rules:
  *  1. Input validation (batch size, event age, required fields)
@@ -23,6 +24,7 @@ const { FieldValue } = require('firebase-admin/firestore');
 const { createRouter } = require('../utils/router');
 const { handleError, ApiError, ErrorCodes, badRequest } = require('../middleware/errorHandler');
 const { scoreSession, buildScoreExplanation } = require('../services/visitorSignalService');
+const identityGraph = require('../services/visitorIdentityGraph');
 const { isKnownISP, getConfidenceTier } = require('../utils/visitorConfidence');
 const entity360Bridge = require('../services/entity360Bridge');
 const { checkRateLimit } = require('../middleware/rateLimiter');
@@ -95,14 +97,7 @@ const HIGH_INTENT_TAGS = ['pricing', 'demo', 'booking', 'high_intent'];
 
 // ── Helpers ──────────────────────────────────────────────────────────────────
 
-/**
- * SHA-256 of normalized domain (first 32 hex chars).
- */
-function computeAccountKey(domain) {
-    if (!domain) return null;
-    const normalized = domain.toLowerCase().replace(/^www\./, '').replace(/\/+$/, '');
-    return crypto.createHash('sha256').update(normalized).digest('hex').substring(0, 32);
-}
+const { computeAccountKey } = identityGraph;
 
 /**
  * Deterministic eventId = SHA-256(merchantId + sessionId + timestamp + eventType).
@@ -309,6 +304,8 @@ router.post('/visitor-signal/ingest', async (req, res) => {
         }
 
         const merchantMappings = config?.urlMappings || [];
+        // Per-merchant weights learned from conversions (services/intentWeightLearner.js)
+        const learnedWeights   = config?.learnedWeightsEnabled === false ? null : config?.learnedWeights;
         const thresholds       = config?.thresholds  || DEFAULT_THRESHOLDS;
         const suppHours        = config?.duplicateSuppressionHours || 4;
         const isLearningMode   = learningMode !== undefined
@@ -367,7 +364,11 @@ router.post('/visitor-signal/ingest', async (req, res) => {
         );
 
         // ── Scoring engine ────────────────────────────────────────────────
-        const scoreResult    = scoreSession({ pages, merchantMappings, events: eventFlags, isISP, lastSeenAt });
+        const scoreResult    = scoreSession({
+            pages, merchantMappings, events: eventFlags, isISP, lastSeenAt,
+            tagWeights:   learnedWeights?.tagWeights,
+            eventWeights: learnedWeights?.eventWeights
+        });
         const scoreExplanation = buildScoreExplanation(scoreResult);
 
         const eventTypes = [...new Set(
@@ -376,11 +377,43 @@ router.post('/visitor-signal/ingest', async (req, res) => {
 
         const sessionMeta = { identitySource, identityConfidenceScore, identitySource };
 
+        // ── Identity graph: stitch visitor IDs, emails, taps and scans ────
+        // Non-critical: on failure the session is rolled up by company domain alone.
+        let stitched = null;
+        try {
+            stitched = await identityGraph.stitchSession(merchantId, {
+                visitorId,
+                events,
+                companyName,
+                halfLifeDays: config?.intentHalfLifeDays,
+                touch: {
+                    eventId,
+                    sessionId,
+                    score:          scoreResult.score,
+                    timestamp:      (startTime || new Date()).toISOString(),
+                    eventTypes:     [...new Set(eventTypes)],
+                    identitySource,
+                    tagBreakdown:   scoreResult.tagBreakdown
+                }
+            });
+        } catch (err) {
+            console.warn(`[visitorSignal] identity stitching failed for ${merchantId}`, err.message);
+        }
+
         // ── Rule 5: Low-confidence guardrail ──────────────────────────────
         const lowConfidence = identityConfidenceScore < 20;
 
         // ── Account key ───────────────────────────────────────────────────
-        const accountKey = companyDomain ? computeAccountKey(companyDomain) : null;
+        // A stitched company account covers sessions that carried no domain of
+        // their own (a returning device, a colleague who scanned the same QR).
+        const accountKey = stitched && !stitched.anonymous
+            ? stitched.accountKey
+            : (companyDomain ? computeAccountKey(companyDomain) : null);
+        const stitchedAccount = stitched && stitched.accountKey === accountKey ? stitched : null;
+        if (stitchedAccount) {
+            companyDomain = stitchedAccount.domain || companyDomain;
+            companyName   = companyName || stitchedAccount.companyName;
+        }
         let isDuplicateEvent = false;
 
         // ── Build account aggregation (needed for write order) ────────────
@@ -396,7 +429,10 @@ router.post('/visitor-signal/ingest', async (req, res) => {
             const accountSnap = await accountRef.get();
             existingAccountData = accountSnap.exists ? accountSnap.data() : {};
 
-            const existingSessions = existingAccountData.sessions || [];
+            // The stitched timeline includes every device and contact on the account
+            const existingSessions = stitchedAccount
+                ? stitchedAccount.priorTimeline
+                : (existingAccountData.sessions || []);
             const thirtyDaysAgo   = now - 30 * 864e5;
 
             const allSessions = [
@@ -415,7 +451,10 @@ router.post('/visitor-signal/ingest', async (req, res) => {
                 new Date(s.timestamp).getTime() >= thirtyDaysAgo
             );
 
-            accountScore = recentSessions.reduce((sum, s) => sum + (s.score || 0), 0);
+            // Cumulative, time-decayed intent across the whole buying committee
+            accountScore = stitchedAccount
+                ? stitchedAccount.intentScore
+                : recentSessions.reduce((sum, s) => sum + (s.score || 0), 0);
 
             const highIntentPages = new Set();
             for (const s of recentSessions) {
@@ -457,6 +496,14 @@ router.post('/visitor-signal/ingest', async (req, res) => {
                 updatedAt: FieldValue.serverTimestamp()
             };
 
+            if (stitchedAccount) {
+                accountUpdate.cumulativeScore   = stitchedAccount.cumulativeScore;
+                accountUpdate.visitorCount      = stitchedAccount.visitorIds.length;
+                accountUpdate.contactCount      = stitchedAccount.contacts.length;
+                accountUpdate.touchpoints       = stitchedAccount.touchpoints;
+                accountUpdate.mergedAccountKeys = stitchedAccount.mergedAccountKeys;
+            }
+
             if (!accountSnap.exists) {
                 accountUpdate.firstSeen  = FieldValue.serverTimestamp();
                 accountUpdate.createdAt  = FieldValue.serverTimestamp();
@@ -532,16 +579,22 @@ router.post('/visitor-signal/ingest', async (req, res) => {
                     }
                 }
 
-                // Build identified contacts list
+                // Build identified contacts list — every contact stitched onto the account
                 const existingContacts = existing.identity?.identifiedContacts || [];
                 const updatedContacts = [...existingContacts];
-                if (visitorEmail && !updatedContacts.find(c => c.email === visitorEmail)) {
+                const stitchedContacts = stitchedAccount ? stitchedAccount.contacts : [];
+                const incomingContacts = [
+                    ...(visitorEmail ? [{ email: visitorEmail.toLowerCase(), identitySource, firstSeen: new Date().toISOString() }] : []),
+                    ...stitchedContacts
+                ];
+                for (const contact of incomingContacts) {
+                    if (updatedContacts.find(c => c.email === contact.email)) continue;
                     updatedContacts.push({
-                        email: visitorEmail,
+                        email: contact.email,
                         name: null,
-                        identitySource,
+                        identitySource: contact.identitySource || identitySource,
                         confidence: identityConfidenceScore,
-                        firstSeen: new Date().toISOString()
+                        firstSeen: contact.firstSeen
                     });
                 }
 
@@ -592,10 +645,14 @@ router.post('/visitor-signal/ingest', async (req, res) => {
                         confidence:         identityConfidenceScore,
                         tier:               getConfidenceTier(identityConfidenceScore),
                         source:             identitySource,
-                        identifiedContacts: updatedContacts
+                        identifiedContacts: updatedContacts,
+                        visitorCount:       stitchedAccount?.visitorIds.length ?? existing.identity?.visitorCount ?? 1,
+                        mergedAccountKeys:  stitchedAccount?.mergedAccountKeys || existing.identity?.mergedAccountKeys || []
                     },
                     intentSignals: {
                         currentScore:      resolvedScore,
+                        cumulativeScore:   stitchedAccount?.cumulativeScore ?? accountScore,
+                        touchpoints:       stitchedAccount?.touchpoints ?? null,
                         status:            accountStatus,
                         scoreExplanation:  scoreResult.explanation || [],
                         highIntentPages:   mergedHighIntentPages,
@@ -749,7 +806,9 @@ router.post('/visitor-signal/ingest', async (req, res) => {
                 lowConfidence,
                 scoreExplanation,
                 eventId,
-                duplicateEventSkipped: isDuplicateEvent
+                duplicateEventSkipped: isDuplicateEvent,
+                identityAccountKey:    stitched?.accountKey || null,
+                mergedAccountKeys:     stitched?.mergedFrom || []
             }
         });
 
@@ -777,11 +836,13 @@ router.get('/visitor-accounts', async (req, res) => {
             .limit(200)
             .get();
 
-        const accounts = snap.docs.map(d => {
-            const data = d.data();
-            const { sessions, ...rest } = data; // omit bulky sessions array
-            return rest;
-        });
+        const accounts = snap.docs
+            .map(d => d.data())
+            .filter(data => !data.mergedInto) // folded into another account by identity stitching
+            .map(data => {
+                const { sessions, ...rest } = data; // omit bulky sessions array
+                return rest;
+            });
 
         return res.status(200).json({ success: true, data: accounts });
 
@@ -940,6 +1001,54 @@ router.get('/account360/:accountKey/history', async (req, res) => {
     }
 });
 
+// ── GET /account360/:accountKey/timeline ────────────────────────────────────
+
+/**
+ * Return the stitched identity-graph timeline for an account: every session
+ * from every device and contact on the buying committee, with decayed intent.
+ * Scoped to the authenticated merchant's graph; merged keys resolve to the survivor.
+ */
+router.get('/account360/:accountKey/timeline', async (req, res) => {
+    try {
+        const userId = req.userId;
+        if (!userId || userId === 'anonymous') {
+            return res.status(401).json({ success: false, error: 'Authentication required' });
+        }
+
+        const { accountKey } = req.params;
+        if (!isSafeDocSegment(accountKey)) {
+            return res.status(400).json({ success: false, error: 'accountKey is required' });
+        }
+
+        const account = await identityGraph.getAccount(userId, accountKey);
+        if (!account) {
+            return res.status(404).json({ success: false, error: 'Account timeline not found' });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                accountKey:        account.accountKey,
+                domain:            account.domain,
+                companyName:       account.companyName,
+                anonymous:         account.anonymous,
+                intentScore:       identityGraph.decayedIntent(account.timeline || [], {
+                    halfLifeDays: account.intentHalfLifeDays
+                }),
+                cumulativeScore:   account.cumulativeScore,
+                visitorCount:      (account.visitorIds || []).length,
+                contacts:          account.contacts || [],
+                touchpoints:       account.touchpoints,
+                mergedAccountKeys: account.mergedAccountKeys || [],
+                timeline:          [...(account.timeline || [])].reverse()
+            }
+        });
+
+    } catch (error) {
+        return handleError(error, res, 'GET /account360/:accountKey/timeline');
+    }
+});
+
 module.exports = router;
 // F-1005 test helpers (pure functions; exported for unit tests only).
 module.exports._f1005 = { isSafeDocSegment, checkOriginAllowed, requestOriginHost };
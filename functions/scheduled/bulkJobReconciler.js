@@ -0,0 +1,85 @@
+'use strict';
+
+/**
+ * Bulk Job Reconciler
+ *
+ * Scheduled resume for bulk pitch jobs (api/bulk.js). uploadCSV() starts processJob()
+ * fire-and-forget after responding, so a function timeout or recycled instance can kill
+ * the runner mid-job. Before checkpointing, that left the `bulkJobs` doc in 'processing'
+ * forever; now every row is its own checkpoint doc and the runner holds a lease that it
+ * extends on each completed row.
+ *
+ * This sweep finds 'pending'/'processing' jobs whose lease is absent or expired and hands
+ * them back to processJob(), which only regenerates rows that never reached a terminal
+ * state. Jobs are resumed one at a time — each resume can itself run for minutes, and a
+ * job not reached this run is picked up on the next.
+ *
+ * The core `resumeStaleBulkJobs()` is a plain async function (no firebase-functions
+ * dependency) so it is unit-testable; index.js wraps it in the onSchedule trigger.
+ */
+
+const admin = require('firebase-admin');
+const { processJob, isLeaseActive, RUNNABLE_JOB_STATUSES } = require('../api/bulk');
+
+/**
+ * Resume bulk jobs whose runner died.
+ *
+ * @param {object} [options]
+ * @param {number} [options.now]     Epoch millis "now" (defaults to Date.now(); injectable for tests).
+ * @param {number} [options.maxJobs] Cap on jobs resumed per run (default 5).
+ * @returns {Promise<{scanned:number, resumed:number, skipped:number, failed:number,
+ *                    resumedIds:string[], queryError?:string}>}
+ */
+async function resumeStaleBulkJobs(options = {}) {
+    const db = admin.firestore();
+    const now = typeof options.now === 'number' ? options.now : Date.now();
+    const maxJobs = Number.isFinite(options.maxJobs) ? options.maxJobs : 5;
+
+    const summary = { scanned: 0, resumed: 0, skipped: 0, failed: 0, resumedIds: [] };
+
+    let snap;
+    try {
+        snap = await db.collection('bulkJobs')
+            .where('status', 'in', RUNNABLE_JOB_STATUSES)
+            .get();
+    } catch (err) {
+        console.error('[BulkJobReconciler] Runnable-job query failed:', err.message);
+        summary.queryError = err.message;
+        return summary;
+    }
+
+    summary.scanned = snap.size;
+
+    for (const doc of snap.docs) {
+        if (summary.resumed >= maxJobs || isLeaseActive(doc.data(), now)) {
+            summary.skipped += 1;
+            continue;
+        }
+
+        try {
+            const result = await processJob(doc.id);
+            if (!result.started) {
+                // Another runner claimed it between the query and our lease attempt
+                summary.skipped += 1;
+                continue;
+            }
+            summary.resumed += 1;
+            summary.resumedIds.push(doc.id);
+            console.log(`[BulkJobReconciler] Resumed bulk job ${doc.id} — ${result.processed ?? 0} rows re-run`);
+        } catch (err) {
+            // One bad job must never wedge the sweep — record and continue.
+            summary.failed += 1;
+            console.error(`[BulkJobReconciler] Failed to resume bulk job ${doc.id}:`, err.message);
+        }
+    }
+
+    console.log(
+        `[BulkJobReconciler] Run complete — scanned=${summary.scanned} resumed=${summary.resumed} ` +
+        `skipped=${summary.skipped} failed=${summary.failed}`
+    );
+    return summary;
+}
+
+module.exports = {
+    resumeStaleBulkJobs,
+};
@@ -0,0 +1,359 @@
+/**
+ * A/B Test Statistics
+ *
+ * Pure hypothesis-testing helpers behind abTestingService.analyzeResults():
+ * confidence intervals, a two-proportion z-test for rate metrics (error rate,
+ * positive-feedback rate), Welch's t-test for mean metrics (quality, latency,
+ * feedback score) and an O'Brien-Fleming-type sequential boundary so a running
+ * test can be checked repeatedly without inflating the false-positive rate.
+ * Also provides the Beta sampling behind Thompson-sampling bandit tests.
+ *
+ * Everything here works from the aggregate counters kept on the test doc
+ * (count, sum, sum of squares), never from raw events.
+ */
+
+/**
+ * Standard normal CDF (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7)
+ * @param {number} z
+ * @returns {number}
+ */
+function normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Inverse standard normal CDF (Acklam's rational approximation)
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number}
+ */
+function normalQuantile(p) {
+    if (p <= 0) return -Infinity;
+    if (p >= 1) return Infinity;
+
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const low = 0.02425;
+
+    if (p < low) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - low) {
+        return -normalQuantile(1 - p);
+    }
+
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ */
+function logGamma(x) {
+    const coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+        -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let series = 1.000000000190015;
+    for (const coefficient of coefficients) {
+        series += coefficient / ++y;
+    }
+    return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+/**
+ * Continued fraction for the incomplete beta function (modified Lentz)
+ */
+function betaContinuedFraction(x, a, b) {
+    const tiny = 1e-30;
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    if (Math.abs(d) < tiny) d = tiny;
+    d = 1 / d;
+    let h = d;
+
+    for (let m = 1; m <= 200; m++) {
+        const m2 = 2 * m;
+        let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+        d = 1 + aa * d;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = 1 + aa / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        h *= d * c;
+
+        aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+        d = 1 + aa * d;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = 1 + aa / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-12) break;
+    }
+    return h;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ */
+function incompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    return x < (a + 1) / (a + b + 2)
+        ? front * betaContinuedFraction(x, a, b) / a
+        : 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+/**
+ * Two-sided p-value for a Student t statistic
+ * @param {number} t
+ * @param {number} df - Degrees of freedom (may be fractional, as in Welch's test)
+ * @returns {number}
+ */
+function studentTTwoSidedP(t, df) {
+    if (!Number.isFinite(t)) return 0;
+    if (!Number.isFinite(df) || df > 1e6) return 2 * (1 - normalCdf(Math.abs(t)));
+    return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+/**
+ * Critical t value for a two-sided interval at the given confidence
+ * @param {number} confidence - e.g. 0.95
+ * @param {number} df
+ * @returns {number}
+ */
+function studentTQuantile(confidence, df) {
+    const alpha = 1 - confidence;
+    if (!Number.isFinite(df) || df > 1e6) return normalQuantile(1 - alpha / 2);
+
+    // p(t) falls monotonically in t, so bisect between 0 and a generous upper bound
+    let low = 0;
+    let high = 1000;
+    for (let i = 0; i < 100; i++) {
+        const mid = (low + high) / 2;
+        if (studentTTwoSidedP(mid, df) > alpha) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return (low + high) / 2;
+}
+
+/**
+ * Mean and sample variance from aggregate counters
+ * @param {number} count
+ * @param {number} sum
+ * @param {number|undefined} sumSquares - Missing on tests created before variance was tracked
+ * @returns {{ n: number, mean: number, variance: number|null }}
+ */
+function summarizeMean(count, sum, sumSquares) {
+    const n = count || 0;
+    const mean = n > 0 ? (sum || 0) / n : 0;
+    let variance = null;
+    if (n > 1 && typeof sumSquares === 'number') {
+        // Guard against tiny negative values from floating-point cancellation
+        variance = Math.max(0, (sumSquares - n * mean * mean) / (n - 1));
+    }
+    return { n, mean, variance };
+}
+
+/**
+ * Wilson score interval for a proportion (well-behaved near 0 and 1, unlike Wald)
+ * @param {number} successes
+ * @param {number} n
+ * @param {number} [confidence=0.95]
+ * @returns {{ lower: number, upper: number }|null}
+ */
+function proportionInterval(successes, n, confidence = 0.95) {
+    if (!n) return null;
+    const z = normalQuantile(1 - (1 - confidence) / 2);
+    const p = successes / n;
+    const denominator = 1 + z * z / n;
+    const centre = (p + z * z / (2 * n)) / denominator;
+    const margin = z * Math.sqrt(p * (1 - p) / n + z * z / (4 * n * n)) / denominator;
+    return { lower: Math.max(0, centre - margin), upper: Math.min(1, centre + margin) };
+}
+
+/**
+ * t-based confidence interval for a mean
+ * @param {{ n: number, mean: number, variance: number|null }} summary
+ * @param {number} [confidence=0.95]
+ * @returns {{ lower: number, upper: number }|null}
+ */
+function meanInterval(summary, confidence = 0.95) {
+    if (!summary || summary.n < 2 || summary.variance === null) return null;
+    const margin = studentTQuantile(confidence, summary.n - 1) * Math.sqrt(summary.variance / summary.n);
+    return { lower: summary.mean - margin, upper: summary.mean + margin };
+}
+
+/**
+ * Two-proportion z-test (treatment minus control)
+ * @param {{ successes: number, n: number }} control
+ * @param {{ successes: number, n: number }} treatment
+ * @param {number} [confidence=0.95]
+ * @returns {Object|null} null when either arm is empty
+ */
+function twoProportionZTest(control, treatment, confidence = 0.95) {
+    if (!control.n || !treatment.n) return null;
+
+    const p1 = control.successes / control.n;
+    const p2 = treatment.successes / treatment.n;
+    const difference = p2 - p1;
+
+    // Pooled standard error for the test, unpooled for the interval
+    const pooled = (control.successes + treatment.successes) / (control.n + treatment.n);
+    const pooledSe = Math.sqrt(pooled * (1 - pooled) * (1 / control.n + 1 / treatment.n));
+    const se = Math.sqrt(p1 * (1 - p1) / control.n + p2 * (1 - p2) / treatment.n);
+    const zCritical = normalQuantile(1 - (1 - confidence) / 2);
+
+    const statistic = pooledSe > 0 ? difference / pooledSe : 0;
+    return {
+        test: 'two-proportion-z',
+        controlValue: p1,
+        treatmentValue: p2,
+        difference,
+        relativeLift: p1 > 0 ? difference / p1 : null,
+        statistic,
+        pValue: pooledSe > 0 ? 2 * (1 - normalCdf(Math.abs(statistic))) : 1,
+        interval: { lower: difference - zCritical * se, upper: difference + zCritical * se }
+    };
+}
+
+/**
+ * Welch's unequal-variance t-test (treatment minus control)
+ * @param {{ n: number, mean: number, variance: number|null }} control
+ * @param {{ n: number, mean: number, variance: number|null }} treatment
+ * @param {number} [confidence=0.95]
+ * @returns {Object|null} null when either arm lacks a variance estimate
+ */
+function welchTTest(control, treatment, confidence = 0.95) {
+    if (control.n < 2 || treatment.n < 2 || control.variance === null || treatment.variance === null) {
+        return null;
+    }
+
+    const v1 = control.variance / control.n;
+    const v2 = treatment.variance / treatment.n;
+    const se = Math.sqrt(v1 + v2);
+    const difference = treatment.mean - control.mean;
+
+    // Welch-Satterthwaite degrees of freedom
+    const df = se > 0
+        ? Math.pow(v1 + v2, 2) / (Math.pow(v1, 2) / (control.n - 1) + Math.pow(v2, 2) / (treatment.n - 1))
+        : control.n + treatment.n - 2;
+
+    const statistic = se > 0 ? difference / se : 0;
+    const margin = studentTQuantile(confidence, df) * se;
+    return {
+        test: 'welch-t',
+        controlValue: control.mean,
+        treatmentValue: treatment.mean,
+        difference,
+        relativeLift: control.mean !== 0 ? difference / control.mean : null,
+        statistic,
+        degreesOfFreedom: df,
+        pValue: se > 0 ? studentTTwoSidedP(statistic, df) : 1,
+        interval: { lower: difference - margin, upper: difference + margin }
+    };
+}
+
+/**
+ * O'Brien-Fleming-type alpha spending (Lan-DeMets). Almost nothing is spent on
+ * early looks, so a test only stops early on an overwhelming effect, and the full
+ * alpha is available once the planned sample is reached.
+ * @param {number} alpha - Overall two-sided significance level
+ * @param {number} informationFraction - Share of the planned sample observed, (0, 1]
+ * @returns {{ informationFraction: number, nominalAlpha: number, boundaryZ: number }}
+ */
+function sequentialBoundary(alpha, informationFraction) {
+    const fraction = Math.min(1, Math.max(0, informationFraction));
+    if (fraction === 0) {
+        return { informationFraction: 0, nominalAlpha: 0, boundaryZ: Infinity };
+    }
+    const boundaryZ = normalQuantile(1 - alpha / 2) / Math.sqrt(fraction);
+    return {
+        informationFraction: fraction,
+        nominalAlpha: 2 * (1 - normalCdf(boundaryZ)),
+        boundaryZ
+    };
+}
+
+/**
+ * Standard normal draw (Box-Muller)
+ * @param {Function} rng - Uniform [0, 1) generator
+ */
+function sampleNormal(rng) {
+    const u = 1 - rng(); // (0, 1] so the log is finite
+    const v = rng();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Gamma(shape, 1) draw (Marsaglia-Tsang)
+ * @param {number} shape - > 0
+ * @param {Function} [rng=Math.random]
+ * @returns {number}
+ */
+function sampleGamma(shape, rng = Math.random) {
+    if (shape < 1) {
+        // Boost to shape + 1, then scale back down
+        return sampleGamma(shape + 1, rng) * Math.pow(rng(), 1 / shape);
+    }
+
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    for (;;) {
+        let x;
+        let v;
+        do {
+            x = sampleNormal(rng);
+            v = 1 + c * x;
+        } while (v <= 0);
+        v = v * v * v;
+        const u = rng();
+        if (u < 1 - 0.0331 * x * x * x * x || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) {
+            return d * v;
+        }
+    }
+}
+
+/**
+ * Beta(alpha, beta) draw via two Gamma draws
+ * @param {number} alpha
+ * @param {number} beta
+ * @param {Function} [rng=Math.random]
+ * @returns {number}
+ */
+function sampleBeta(alpha, beta, rng = Math.random) {
+    const x = sampleGamma(alpha, rng);
+    const y = sampleGamma(beta, rng);
+    return x / (x + y);
+}
+
+module.exports = {
+    normalCdf,
+    normalQuantile,
+    studentTTwoSidedP,
+    studentTQuantile,
+    summarizeMean,
+    proportionInterval,
+    meanInterval,
+    twoProportionZTest,
+    welchTTest,
+    sequentialBoundary,
+    sampleGamma,
+    sampleBeta
+};
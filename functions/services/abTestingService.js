@@ -7,6 +7,7 @@
 
 const admin = require('firebase-admin');
 const { GEMINI_CONFIG, isFeatureEnabled } = require('../config/gemini');
+const stats = require('./abTestStatistics');
 
 const db = admin.firestore();
 
@@ -26,7 +27,9 @@ const TestStatus = {
  */
 const TestType = {
     PROMPT: 'prompt',
-    MODEL: 'model'
+    MODEL: 'model',
+    // Thompson-sampling allocation instead of fixed weights (variants may differ by model or prompt)
+    BANDIT: 'bandit'
 };
 
 /**
@@ -39,31 +42,102 @@ const EventType = {
     LATENCY: 'latency'
 };
 
+// Feedback without a rating only counts towards feedbackCount; tests created
+// before ratedFeedbackCount was tracked fall back to feedbackCount
+const ratedFeedbackCount = s => s.ratedFeedbackCount ?? s.feedbackCount ?? 0;
+
 /**
- * Create a new A/B test
- * @param {Object} testConfig - Test configuration
- * @returns {Promise<Object>} Created test document
+ * Metrics analyzeResults() can test, mapped onto the variantStats counters.
+ * Mean metrics use Welch's t-test, rate metrics the two-proportion z-test.
+ * `fallbackCount` covers tests created before per-metric counts were tracked.
  */
-async function createTest(testConfig) {
-    const {
-        name,
-        description,
-        testType,
-        operation, // e.g., 'narrativeGeneration', 'validation'
-        variants,
-        targetAudience = {},
-        metrics = ['qualityScore', 'latencyMs', 'errorRate']
-    } = testConfig;
+const METRICS = {
+    qualityScore: {
+        kind: 'mean', higherIsBetter: true,
+        count: 'qualityCount', fallbackCount: 'generations', sum: 'totalQualityScore', sumSquares: 'sumSqQualityScore'
+    },
+    latencyMs: {
+        kind: 'mean', higherIsBetter: false,
+        count: 'latencyCount', fallbackCount: 'generations', sum: 'totalLatencyMs', sumSquares: 'sumSqLatencyMs'
+    },
+    feedbackScore: {
+        kind: 'mean', higherIsBetter: true,
+        count: 'ratedFeedbackCount', fallbackCount: 'feedbackCount', sum: 'totalFeedbackScore', sumSquares: 'sumSqFeedbackScore'
+    },
+    errorRate: {
+        kind: 'proportion', higherIsBetter: false,
+        successes: s => s.errors || 0,
+        trials: s => (s.generations || 0) + (s.errors || 0)
+    },
+    positiveFeedbackRate: {
+        kind: 'proportion', higherIsBetter: true,
+        successes: s => s.positiveFeedbackCount || 0,
+        trials: ratedFeedbackCount
+    },
+    // Landing page variants: visitors who clicked the CTA per visitor who viewed
+    conversionRate: {
+        kind: 'proportion', higherIsBetter: true,
+        successes: s => s.conversions || 0,
+        trials: s => s.views || 0
+    }
+};
 
-    const testId = `test_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 6)}`;
+// Ratings at or above this count towards positiveFeedbackRate (1-5 stars)
+const POSITIVE_RATING = 4;
 
-    // Validate variants
-    if (!Array.isArray(variants) || variants.length < 2) {
-        throw new Error('A/B test must have at least 2 variants');
+// Validator scores at or above this count as a bandit success (narrativeValidator isValid threshold)
+const QUALITY_PASS_SCORE = 70;
+
+// Bandit tests fall back to fixed weights until every arm has this many rewards
+const BANDIT_WARMUP_OBSERVATIONS = 20;
+
+// Monte Carlo draws used to estimate each arm's probability of being best
+const BANDIT_SIMULATION_DRAWS = 2000;
+
+// Error rate is always checked so a "winning" variant can't ship while failing more
+const GUARDRAIL_METRIC = 'errorRate';
+
+const DEFAULT_STATS_CONFIG = {
+    primaryMetric: 'qualityScore',
+    alpha: 0.05,
+    minSamplesPerVariant: 100,
+    plannedSamplesPerVariant: 1000
+};
+
+/**
+ * Merge a test's statsConfig over the defaults and validate it
+ * @param {Object} [config]
+ * @returns {Object} Complete stats config
+ * @throws {Error} On an unknown metric or out-of-range value
+ */
+function resolveStatsConfig(config = {}) {
+    const resolved = { ...DEFAULT_STATS_CONFIG, ...config };
+
+    if (!METRICS[resolved.primaryMetric]) {
+        throw new Error(`Unknown primary metric: ${resolved.primaryMetric}. Valid metrics: ${Object.keys(METRICS).join(', ')}`);
+    }
+    if (!(resolved.alpha > 0 && resolved.alpha < 0.5)) {
+        throw new Error('alpha must be between 0 and 0.5');
+    }
+    if (!Number.isInteger(resolved.minSamplesPerVariant) || resolved.minSamplesPerVariant < 2) {
+        throw new Error('minSamplesPerVariant must be an integer of at least 2');
     }
+    if (!Number.isInteger(resolved.plannedSamplesPerVariant) || resolved.plannedSamplesPerVariant < resolved.minSamplesPerVariant) {
+        throw new Error('plannedSamplesPerVariant must be an integer no smaller than minSamplesPerVariant');
+    }
+
+    return resolved;
+}
 
+/**
+ * Give variants weights that sum to 100 and IDs, marking the first as control.
+ * Mutates and returns the array.
+ * @param {Object[]} variants
+ * @returns {Object[]}
+ */
+function normalizeVariants(variants) {
     // Ensure variants have weights that sum to 100
-    let totalWeight = variants.reduce((sum, v) => sum + (v.weight || 0), 0);
+    const totalWeight = variants.reduce((sum, v) => sum + (v.weight || 0), 0);
     if (totalWeight !== 100) {
         // Auto-distribute weights evenly
         const evenWeight = Math.floor(100 / variants.length);
@@ -81,6 +155,37 @@ async function createTest(testConfig) {
         v.isControl = i === 0;
     });
 
+    return variants;
+}
+
+/**
+ * Create a new A/B test
+ * @param {Object} testConfig - Test configuration
+ * @returns {Promise<Object>} Created test document
+ */
+async function createTest(testConfig) {
+    const {
+        name,
+        description,
+        testType,
+        operation, // e.g., 'narrativeGeneration', 'validation'
+        variants,
+        targetAudience = {},
+        metrics = ['qualityScore', 'latencyMs', 'errorRate'],
+        statsConfig
+    } = testConfig;
+
+    const testId = `test_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 6)}`;
+
+    // Validate variants
+    if (!Array.isArray(variants) || variants.length < 2) {
+        throw new Error('A/B test must have at least 2 variants');
+    }
+
+    const resolvedStatsConfig = resolveStatsConfig(statsConfig);
+
+    normalizeVariants(variants);
+
     const testDoc = {
         testId,
         name,
@@ -91,6 +196,7 @@ async function createTest(testConfig) {
         variants,
         targetAudience,
         metrics,
+        statsConfig: resolvedStatsConfig,
         results: {
             totalAssignments: 0,
             variantStats: variants.reduce((acc, v) => {
@@ -98,10 +204,18 @@ async function createTest(testConfig) {
                     assignments: 0,
                     generations: 0,
                     errors: 0,
+                    latencyCount: 0,
                     totalLatencyMs: 0,
+                    sumSqLatencyMs: 0,
+                    qualityCount: 0,
                     totalQualityScore: 0,
+                    sumSqQualityScore: 0,
+                    qualityPassCount: 0,
                     feedbackCount: 0,
-                    totalFeedbackScore: 0
+                    ratedFeedbackCount: 0,
+                    totalFeedbackScore: 0,
+                    sumSqFeedbackScore: 0,
+                    positiveFeedbackCount: 0
                 };
                 return acc;
             }, {})
@@ -246,14 +360,17 @@ async function getVariantForUser(testId, userId) {
         return variant || null;
     }
 
-    // Assign new variant based on weights
-    const variant = selectVariant(test.variants, userId);
+    // Assign new variant: Thompson sampling for bandit tests, weights otherwise.
+    // Either way the assignment is stored, so the bandit only steers new users.
+    const banditVariant = test.testType === TestType.BANDIT ? selectBanditVariant(test) : null;
+    const variant = banditVariant || selectVariant(test.variants, userId);
 
     // Store assignment
     await db.collection('abTestAssignments').doc(assignmentId).set({
         userId,
         testId,
         variantId: variant.variantId,
+        allocation: banditVariant ? 'thompson' : 'weighted',
         assignedAt: admin.firestore.FieldValue.serverTimestamp()
     });
 
@@ -292,6 +409,98 @@ function selectVariant(variants, userId) {
     return variants[0];
 }
 
+/**
+ * Beta posterior over a variant's success rate. Each passing quality score and
+ * positive rating is a success; each failing score, negative rating and error is
+ * a failure. Starts from a uniform Beta(1, 1) prior.
+ * @param {Object} variantStats - Aggregate counters for one variant
+ * @returns {{ alpha: number, beta: number, observations: number }}
+ */
+function banditPosterior(variantStats = {}) {
+    const qualityCount = variantStats.qualityCount || 0;
+    const qualityPass = variantStats.qualityPassCount || 0;
+    const feedbackCount = ratedFeedbackCount(variantStats);
+    const positiveFeedback = variantStats.positiveFeedbackCount || 0;
+    const errors = variantStats.errors || 0;
+
+    const successes = qualityPass + positiveFeedback;
+    const failures = (qualityCount - qualityPass) + (feedbackCount - positiveFeedback) + errors;
+
+    return {
+        alpha: 1 + successes,
+        beta: 1 + failures,
+        observations: successes + failures
+    };
+}
+
+/**
+ * Pick a variant by Thompson sampling: draw once from each variant's posterior
+ * and take the highest draw. Returns null during warm-up so the caller falls back
+ * to weighted assignment until every arm has enough rewards to compare.
+ * @param {Object} test - Test document with results.variantStats
+ * @param {Function} [rng=Math.random]
+ * @returns {Object|null} Chosen variant
+ */
+function selectBanditVariant(test, rng = Math.random) {
+    const variantStats = test.results?.variantStats || {};
+    const posteriors = test.variants.map(v => ({ variant: v, ...banditPosterior(variantStats[v.variantId]) }));
+
+    if (posteriors.some(p => p.observations < BANDIT_WARMUP_OBSERVATIONS)) {
+        return null;
+    }
+
+    let best = null;
+    let bestDraw = -1;
+    for (const posterior of posteriors) {
+        const draw = stats.sampleBeta(posterior.alpha, posterior.beta, rng);
+        if (draw > bestDraw) {
+            best = posterior.variant;
+            bestDraw = draw;
+        }
+    }
+    return best;
+}
+
+/**
+ * Posterior summary for a bandit test: each arm's expected success rate and the
+ * share of new traffic it currently receives (its probability of being best)
+ * @param {Object} test
+ * @param {Function} [rng=Math.random]
+ * @returns {{ warmingUp: boolean, arms: Object }}
+ */
+function getBanditAllocation(test, rng = Math.random) {
+    const variantStats = test.results?.variantStats || {};
+    const posteriors = test.variants.map(v => ({ variantId: v.variantId, ...banditPosterior(variantStats[v.variantId]) }));
+    const wins = Object.fromEntries(posteriors.map(p => [p.variantId, 0]));
+
+    for (let i = 0; i < BANDIT_SIMULATION_DRAWS; i++) {
+        let bestId = null;
+        let bestDraw = -1;
+        for (const posterior of posteriors) {
+            const draw = stats.sampleBeta(posterior.alpha, posterior.beta, rng);
+            if (draw > bestDraw) {
+                bestId = posterior.variantId;
+                bestDraw = draw;
+            }
+        }
+        wins[bestId]++;
+    }
+
+    const warmingUp = posteriors.some(p => p.observations < BANDIT_WARMUP_OBSERVATIONS);
+    const arms = {};
+    for (const posterior of posteriors) {
+        arms[posterior.variantId] = {
+            alpha: posterior.alpha,
+            beta: posterior.beta,
+            observations: posterior.observations,
+            expectedSuccessRate: Math.round(posterior.alpha / (posterior.alpha + posterior.beta) * 10000) / 10000,
+            probabilityBest: Math.round(wins[posterior.variantId] / BANDIT_SIMULATION_DRAWS * 10000) / 10000
+        };
+    }
+
+    return { warmingUp, warmupObservations: BANDIT_WARMUP_OBSERVATIONS, arms };
+}
+
 /**
  * Check if user matches target audience
  */
@@ -338,18 +547,32 @@ async function recordEvent(testId, variantId, userId, eventType, metrics = {}) {
     switch (eventType) {
         case EventType.GENERATION:
             updates[`results.variantStats.${variantId}.generations`] = admin.firestore.FieldValue.increment(1);
+            // Counts and sums of squares feed the variance estimates in analyzeResults()
             if (metrics.latencyMs) {
+                updates[`results.variantStats.${variantId}.latencyCount`] = admin.firestore.FieldValue.increment(1);
                 updates[`results.variantStats.${variantId}.totalLatencyMs`] = admin.firestore.FieldValue.increment(metrics.latencyMs);
+                updates[`results.variantStats.${variantId}.sumSqLatencyMs`] = admin.firestore.FieldValue.increment(metrics.latencyMs * metrics.latencyMs);
             }
-            if (metrics.qualityScore) {
+            // Absent means not scored; a real score of 0 is a failing sample
+            if (typeof metrics.qualityScore === 'number') {
+                updates[`results.variantStats.${variantId}.qualityCount`] = admin.firestore.FieldValue.increment(1);
                 updates[`results.variantStats.${variantId}.totalQualityScore`] = admin.firestore.FieldValue.increment(metrics.qualityScore);
+                updates[`results.variantStats.${variantId}.sumSqQualityScore`] = admin.firestore.FieldValue.increment(metrics.qualityScore * metrics.qualityScore);
+                if (metrics.qualityScore >= QUALITY_PASS_SCORE) {
+                    updates[`results.variantStats.${variantId}.qualityPassCount`] = admin.firestore.FieldValue.increment(1);
+                }
             }
             break;
 
         case EventType.FEEDBACK:
             updates[`results.variantStats.${variantId}.feedbackCount`] = admin.firestore.FieldValue.increment(1);
             if (metrics.rating) {
+                updates[`results.variantStats.${variantId}.ratedFeedbackCount`] = admin.firestore.FieldValue.increment(1);
                 updates[`results.variantStats.${variantId}.totalFeedbackScore`] = admin.firestore.FieldValue.increment(metrics.rating);
+                updates[`results.variantStats.${variantId}.sumSqFeedbackScore`] = admin.firestore.FieldValue.increment(metrics.rating * metrics.rating);
+                if (metrics.rating >= POSITIVE_RATING) {
+                    updates[`results.variantStats.${variantId}.positiveFeedbackCount`] = admin.firestore.FieldValue.increment(1);
+                }
             }
             break;
 
@@ -364,100 +587,288 @@ async function recordEvent(testId, variantId, userId, eventType, metrics = {}) {
 }
 
 /**
- * Analyze test results and calculate statistical significance
+ * Round for display without turning numbers into strings
+ */
+function round(value, digits = 4) {
+    if (value === null || value === undefined || !Number.isFinite(value)) return value ?? null;
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Summarize one metric for one variant from its aggregate counters
+ * @returns {{ n: number, value: number, interval: Object|null, variance?: number|null, successes?: number }}
+ */
+function summarizeMetric(metricName, variantStats, confidence) {
+    const metric = METRICS[metricName];
+
+    if (metric.kind === 'proportion') {
+        const n = metric.trials(variantStats);
+        const successes = metric.successes(variantStats);
+        return {
+            n,
+            successes,
+            value: n > 0 ? successes / n : 0,
+            interval: stats.proportionInterval(successes, n, confidence)
+        };
+    }
+
+    const count = variantStats[metric.count] ?? variantStats[metric.fallbackCount] ?? 0;
+    const summary = stats.summarizeMean(count, variantStats[metric.sum], variantStats[metric.sumSquares]);
+    return {
+        n: summary.n,
+        value: summary.mean,
+        variance: summary.variance,
+        interval: stats.meanInterval(summary, confidence)
+    };
+}
+
+/**
+ * Test one metric for treatment against control
+ * @returns {Object|null} Test result, null when the data can't support the test
+ */
+function compareMetric(metricName, control, treatment, confidence) {
+    const metric = METRICS[metricName];
+    const result = metric.kind === 'proportion'
+        ? stats.twoProportionZTest(control, treatment, confidence)
+        : stats.welchTTest(
+            { n: control.n, mean: control.value, variance: control.variance },
+            { n: treatment.n, mean: treatment.value, variance: treatment.variance },
+            confidence
+        );
+
+    if (!result) return null;
+
+    return {
+        ...result,
+        improved: metric.higherIsBetter ? result.difference > 0 : result.difference < 0
+    };
+}
+
+/**
+ * Analyze test results and calculate statistical significance.
+ *
+ * Every treatment is compared with the control on the test's metrics. The
+ * primary metric decides the winner: alpha is Bonferroni-split across
+ * treatments, and until the planned sample is reached a result must also
+ * clear the O'Brien-Fleming sequential boundary, so results can be checked on
+ * every dashboard refresh without the repeated looks producing false winners.
+ * Error rate is always checked as a guardrail.
  */
 function analyzeResults(test) {
     const { variants, results } = test;
-    const stats = results.variantStats;
+    const variantStats = results.variantStats || {};
+    const config = resolveStatsConfig(test.statsConfig);
+    const confidence = 1 - config.alpha;
+    const primaryMetric = config.primaryMetric;
+
+    const metricNames = [...new Set([primaryMetric, GUARDRAIL_METRIC, ...(test.metrics || [])])]
+        .filter(name => METRICS[name]);
 
     const analysis = {
         variants: {},
+        comparisons: {},
+        primaryMetric,
+        config,
+        sequential: null,
+        guardrails: [],
+        warnings: [],
         winner: null,
         isSignificant: false,
         confidenceLevel: 0,
+        stopRecommended: false,
         recommendation: ''
     };
 
+    const warn = message => {
+        if (!analysis.warnings.includes(message)) analysis.warnings.push(message);
+    };
+
     // Calculate metrics for each variant
+    const summaries = {};
     for (const variant of variants) {
-        const variantStats = stats[variant.variantId] || {};
-
-        const generations = variantStats.generations || 0;
-        const errors = variantStats.errors || 0;
-        const feedbackCount = variantStats.feedbackCount || 0;
+        const s = variantStats[variant.variantId] || {};
+
+        const generations = s.generations || 0;
+        const errors = s.errors || 0;
+        const feedbackCount = ratedFeedbackCount(s);
+        const qualityCount = s.qualityCount ?? generations;
+        const latencyCount = s.latencyCount ?? generations;
+
+        summaries[variant.variantId] = {};
+        const metrics = {};
+        for (const name of metricNames) {
+            const summary = summarizeMetric(name, s, confidence);
+            summaries[variant.variantId][name] = summary;
+            metrics[name] = {
+                sampleSize: summary.n,
+                value: round(summary.value),
+                interval: summary.interval
+                    ? { lower: round(summary.interval.lower), upper: round(summary.interval.upper) }
+                    : null
+            };
+        }
 
         analysis.variants[variant.variantId] = {
             name: variant.name || variant.variantId,
             isControl: variant.isControl,
             sampleSize: generations,
             errorRate: generations > 0 ? (errors / generations * 100).toFixed(2) : 0,
-            avgLatencyMs: generations > 0 ? Math.round(variantStats.totalLatencyMs / generations) : 0,
-            avgQualityScore: generations > 0 ? (variantStats.totalQualityScore / generations).toFixed(2) : 0,
-            avgFeedbackScore: feedbackCount > 0 ? (variantStats.totalFeedbackScore / feedbackCount).toFixed(2) : 0
+            avgLatencyMs: latencyCount > 0 ? Math.round((s.totalLatencyMs || 0) / latencyCount) : 0,
+            avgQualityScore: qualityCount > 0 ? ((s.totalQualityScore || 0) / qualityCount).toFixed(2) : 0,
+            avgFeedbackScore: feedbackCount > 0 ? ((s.totalFeedbackScore || 0) / feedbackCount).toFixed(2) : 0,
+            metrics
         };
     }
 
-    // Find control and treatment for comparison
+    // Find control and treatments for comparison
     const control = variants.find(v => v.isControl);
-    const treatment = variants.find(v => !v.isControl);
+    const treatments = variants.filter(v => !v.isControl);
 
-    if (!control || !treatment) {
+    if (!control || treatments.length === 0) {
         analysis.recommendation = 'Insufficient data for analysis';
         return analysis;
     }
 
-    const controlStats = analysis.variants[control.variantId];
-    const treatmentStats = analysis.variants[treatment.variantId];
+    if (test.testType === TestType.BANDIT) {
+        warn('Traffic in this test is allocated adaptively (Thompson sampling), so p-values and intervals are approximate');
+    }
 
-    // Calculate statistical significance (simplified chi-squared approximation)
-    const minSampleSize = 100;
+    const comparisonAlpha = config.alpha / treatments.length;
+    const controlPrimary = summaries[control.variantId][primaryMetric];
+    const smallestSample = Math.min(...variants.map(v => summaries[v.variantId][primaryMetric].n));
+    const reachedPlannedSample = smallestSample >= config.plannedSamplesPerVariant;
+    const boundary = stats.sequentialBoundary(comparisonAlpha, smallestSample / config.plannedSamplesPerVariant);
+    const decisionAlpha = reachedPlannedSample ? comparisonAlpha : boundary.nominalAlpha;
+
+    analysis.sequential = {
+        samplesPerVariant: smallestSample,
+        plannedSamplesPerVariant: config.plannedSamplesPerVariant,
+        informationFraction: round(boundary.informationFraction),
+        comparisonAlpha: round(comparisonAlpha, 6),
+        nominalAlpha: round(decisionAlpha, 6),
+        boundaryZ: Number.isFinite(boundary.boundaryZ) ? round(boundary.boundaryZ) : null,
+        reachedPlannedSample
+    };
 
-    if (controlStats.sampleSize < minSampleSize || treatmentStats.sampleSize < minSampleSize) {
-        analysis.recommendation = `Need at least ${minSampleSize} samples per variant (current: control=${controlStats.sampleSize}, treatment=${treatmentStats.sampleSize})`;
-        return analysis;
+    // Minimum-sample warnings
+    for (const variant of variants) {
+        const n = summaries[variant.variantId][primaryMetric].n;
+        if (n < config.minSamplesPerVariant) {
+            warn(
+                `${variant.name || variant.variantId} has ${n} ${primaryMetric} samples; at least ${config.minSamplesPerVariant} are needed before results can be trusted`
+            );
+        }
     }
+    const belowMinimum = smallestSample < config.minSamplesPerVariant;
+
+    const better = [];
+    const worse = [];
+    let strongestP = 1;
+
+    for (const treatment of treatments) {
+        const comparisons = {};
+
+        for (const name of metricNames) {
+            const controlSummary = summaries[control.variantId][name];
+            const treatmentSummary = summaries[treatment.variantId][name];
+            const result = compareMetric(name, controlSummary, treatmentSummary, 1 - comparisonAlpha);
+
+            if (!result) {
+                if (METRICS[name].kind === 'mean' && controlSummary.n > 1 && treatmentSummary.n > 1) {
+                    warn(`${name} variance is not tracked for this test, so it cannot be significance-tested`);
+                }
+                comparisons[name] = null;
+                continue;
+            }
 
-    // Compare quality scores
-    const controlQuality = parseFloat(controlStats.avgQualityScore);
-    const treatmentQuality = parseFloat(treatmentStats.avgQualityScore);
-    const qualityDiff = treatmentQuality - controlQuality;
-    const qualityDiffPercent = controlQuality > 0 ? (qualityDiff / controlQuality * 100).toFixed(2) : 0;
-
-    // Simple significance test (z-test approximation)
-    const pooledSamples = controlStats.sampleSize + treatmentStats.sampleSize;
-    const standardError = Math.sqrt(
-        (controlQuality * (100 - controlQuality) / controlStats.sampleSize) +
-        (treatmentQuality * (100 - treatmentQuality) / treatmentStats.sampleSize)
-    );
-
-    const zScore = standardError > 0 ? Math.abs(qualityDiff) / standardError : 0;
-
-    // z-score thresholds: 1.96 = 95% confidence, 2.58 = 99% confidence
-    if (zScore >= 2.58) {
-        analysis.confidenceLevel = 99;
-        analysis.isSignificant = true;
-    } else if (zScore >= 1.96) {
-        analysis.confidenceLevel = 95;
-        analysis.isSignificant = true;
-    } else if (zScore >= 1.65) {
-        analysis.confidenceLevel = 90;
-        analysis.isSignificant = false;
-    } else {
-        analysis.confidenceLevel = Math.round(zScore / 1.96 * 95);
-        analysis.isSignificant = false;
-    }
-
-    // Determine winner
-    if (analysis.isSignificant) {
-        if (treatmentQuality > controlQuality) {
-            analysis.winner = treatment.variantId;
-            analysis.recommendation = `Treatment (${treatment.name}) wins with ${qualityDiffPercent}% improvement in quality score at ${analysis.confidenceLevel}% confidence. Consider rolling out.`;
-        } else {
-            analysis.winner = control.variantId;
-            analysis.recommendation = `Control performs better. Treatment shows ${Math.abs(qualityDiffPercent)}% degradation. Recommend keeping control.`;
+            if (METRICS[name].kind === 'proportion') {
+                const sparse = [controlSummary, treatmentSummary]
+                    .some(p => p.successes < 5 || p.n - p.successes < 5);
+                if (sparse) {
+                    warn(`${name} has fewer than 5 events or non-events in an arm; the z-test approximation is unreliable`);
+                }
+            }
+
+            const threshold = name === primaryMetric ? decisionAlpha : comparisonAlpha;
+            comparisons[name] = {
+                test: result.test,
+                controlValue: round(result.controlValue),
+                treatmentValue: round(result.treatmentValue),
+                difference: round(result.difference),
+                relativeLift: round(result.relativeLift),
+                statistic: round(result.statistic),
+                ...(result.degreesOfFreedom !== undefined ? { degreesOfFreedom: round(result.degreesOfFreedom, 1) } : {}),
+                pValue: round(result.pValue, 6),
+                interval: { lower: round(result.interval.lower), upper: round(result.interval.upper) },
+                improved: result.improved,
+                significant: !belowMinimum && result.pValue < threshold
+            };
+        }
+
+        analysis.comparisons[treatment.variantId] = comparisons;
+
+        const guardrail = comparisons[GUARDRAIL_METRIC];
+        if (guardrail && guardrail.pValue < comparisonAlpha && !guardrail.improved) {
+            analysis.guardrails.push({
+                variantId: treatment.variantId,
+                metric: GUARDRAIL_METRIC,
+                controlValue: guardrail.controlValue,
+                treatmentValue: guardrail.treatmentValue,
+                pValue: guardrail.pValue
+            });
         }
+
+        const primary = comparisons[primaryMetric];
+        if (!primary) continue;
+
+        strongestP = Math.min(strongestP, primary.pValue);
+        if (!primary.significant) {
+            if (!belowMinimum && !reachedPlannedSample && primary.pValue < comparisonAlpha) {
+                warn(
+                    `${treatment.name || treatment.variantId} would be significant in a fixed-horizon test but has not crossed the sequential boundary (p=${primary.pValue} vs ${analysis.sequential.nominalAlpha}); keep collecting data`
+                );
+            }
+            continue;
+        }
+
+        (primary.improved ? better : worse).push({ variant: treatment, primary });
+    }
+
+    const blocked = new Set(analysis.guardrails.map(g => g.variantId));
+    const winning = better
+        .filter(b => !blocked.has(b.variant.variantId))
+        .sort((x, y) => Math.abs(y.primary.relativeLift ?? y.primary.difference) - Math.abs(x.primary.relativeLift ?? x.primary.difference))[0];
+
+    if (winning) {
+        analysis.winner = winning.variant.variantId;
+        strongestP = winning.primary.pValue;
+    } else if (worse.length === treatments.length) {
+        analysis.winner = control.variantId;
+        strongestP = Math.max(...worse.map(w => w.primary.pValue));
+    }
+
+    analysis.isSignificant = analysis.winner !== null;
+    analysis.confidenceLevel = controlPrimary.n > 0 ? Math.round((1 - strongestP) * 1000) / 10 : 0;
+    analysis.stopRecommended = analysis.isSignificant || analysis.guardrails.length > 0 || reachedPlannedSample;
+
+    // Recommendation
+    if (analysis.guardrails.length > 0 && !winning) {
+        const names = analysis.guardrails.map(g => g.variantId).join(', ');
+        analysis.recommendation = `Guardrail breached: ${names} has a significantly higher error rate than control. Stop the test and keep control.`;
+    } else if (winning) {
+        const lift = winning.primary.relativeLift !== null
+            ? `${(winning.primary.relativeLift * 100).toFixed(2)}%`
+            : `${winning.primary.difference}`;
+        analysis.recommendation = `Treatment (${winning.variant.name || winning.variant.variantId}) wins on ${primaryMetric} (${lift} change, p=${winning.primary.pValue}). Consider rolling out.`;
+    } else if (analysis.winner === control.variantId) {
+        analysis.recommendation = `Control performs better on ${primaryMetric} than every treatment. Recommend keeping control.`;
+    } else if (belowMinimum) {
+        analysis.recommendation = `Need at least ${config.minSamplesPerVariant} ${primaryMetric} samples per variant (current minimum: ${smallestSample}). Continue collecting data.`;
+    } else if (reachedPlannedSample) {
+        analysis.recommendation = `Planned sample reached with no significant difference in ${primaryMetric}. Stop the test; the variants perform equivalently.`;
     } else {
-        analysis.recommendation = `Results not statistically significant (${analysis.confidenceLevel}% confidence). Quality difference: ${qualityDiffPercent}%. Continue collecting data.`;
+        analysis.recommendation = `Results not yet significant (${Math.round(boundary.informationFraction * 100)}% of planned sample). Continue collecting data.`;
     }
 
     return analysis;
@@ -477,11 +888,13 @@ async function getTestResults(testId) {
     return {
         testId: test.testId,
         name: test.name,
+        testType: test.testType,
         status: test.status,
         startedAt: test.startedAt,
         completedAt: test.completedAt,
         totalAssignments: test.results.totalAssignments,
-        analysis
+        analysis,
+        ...(test.testType === TestType.BANDIT ? { bandit: getBanditAllocation(test) } : {})
     };
 }
 
@@ -502,6 +915,10 @@ module.exports = {
     TestStatus,
     TestType,
     EventType,
+    METRICS,
+    DEFAULT_STATS_CONFIG,
+    resolveStatsConfig,
+    normalizeVariants,
     createTest,
     getTest,
     listTests,
@@ -509,6 +926,10 @@ module.exports = {
     pauseTest,
     stopTest,
     getVariantForUser,
+    selectVariant,
+    banditPosterior,
+    selectBanditVariant,
+    getBanditAllocation,
     recordEvent,
     analyzeResults,
     getTestResults,
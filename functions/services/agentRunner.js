@@ -16,6 +16,7 @@
  */
 
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { wrapClient } = require('./providerReplay');
 
 const GEMINI_MODEL = 'gemini-3-flash-preview';
 
@@ -245,8 +246,8 @@ async function runAgentAndParseJson(systemPrompt, userMessage, toolDefinitions,
     };
 }
 
-module.exports = {
+module.exports = wrapClient('agentRunner', {
     runAgent,
     runAgentAndParseJson,
     getGenAI,
-};
+});
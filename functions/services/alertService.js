@@ -249,6 +249,7 @@ async function processThresholdQueue() {
 }
 
 module.exports = {
+    THRESHOLD_CONFIG,
     createAlert,
     classifyThreshold,
     checkSuppression,
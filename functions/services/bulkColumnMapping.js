@@ -0,0 +1,211 @@
+/**
+ * Bulk Upload Column Mapping Service
+ *
+ * Maps arbitrary spreadsheet headers (HubSpot, Salesforce and Apollo exports, or any
+ * hand-built list) onto the bulk-upload template fields in api/bulk.js, so a CRM
+ * export can go straight to processJob() without hand-editing.
+ *
+ * A mapping is { templateField: header | header[] } — an array joins several source
+ * columns with a space (CRM exports split the contact into First Name / Last Name).
+ */
+
+// Lowercase, strip punctuation/whitespace: "Company Name" / "company_name" -> "companyname"
+function normalizeHeader(header) {
+    return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Template fields and the header aliases each one is recognised by, in priority order.
+ * Aliases are compared after normalizeHeader(). `split` lists multi-column fallbacks.
+ */
+const FIELD_ALIASES = {
+    businessName: [
+        'businessname', 'companyname', 'company', 'accountname', 'account', 'organization',
+        'organizationname', 'business', 'name'
+    ],
+    segment: [
+        'segment', 'industry', 'vertical', 'companyindustry', 'accountindustry', 'category', 'sector'
+    ],
+    subIndustry: ['subindustry', 'subcategory', 'subvertical', 'keywords', 'companykeywords'],
+    state: [
+        'state', 'stateregion', 'region', 'province', 'billingstateprovince', 'billingstate',
+        'companystate', 'mailingstate', 'shippingstate'
+    ],
+    city: ['city', 'billingcity', 'companycity', 'mailingcity', 'shippingcity', 'town'],
+    ownerName: [
+        'ownername', 'contactname', 'fullname', 'contactfullname', 'name', 'primarycontact',
+        'contact'
+    ],
+    email: ['email', 'emailaddress', 'contactemail', 'workemail', 'primaryemail'],
+    phone: [
+        'phone', 'phonenumber', 'companyphone', 'mainphone', 'workphone', 'mobilephone',
+        'corporatephone', 'businessphone'
+    ],
+    customMessage: ['custommessage', 'message', 'notes', 'note', 'description'],
+    websiteUrl: ['websiteurl', 'website', 'companywebsite', 'domain', 'companydomain', 'url'],
+    googleRating: ['googlerating', 'rating', 'stars', 'averagerating'],
+    numReviews: ['numreviews', 'reviews', 'reviewcount', 'numberofreviews', 'totalreviews']
+};
+
+// Multi-column fallbacks tried when no single-column alias matched
+const SPLIT_FIELDS = {
+    ownerName: [['firstname', 'lastname'], ['contactfirstname', 'contactlastname']]
+};
+
+const REQUIRED_FIELDS = ['businessName', 'segment'];
+
+/**
+ * Header fingerprints used to recognise where an export came from. Informational —
+ * suggestMapping() relies on the aliases either way.
+ */
+const SOURCE_SIGNATURES = {
+    template: ['businessname', 'segment'],
+    hubspot: ['recordid', 'companyname'],
+    salesforce: ['accountname', 'billingcity'],
+    apollo: ['companyname', 'apolloaccountid']
+};
+
+/**
+ * Guess which tool produced an export from its headers
+ * @param {string[]} headers
+ * @returns {'template'|'hubspot'|'salesforce'|'apollo'|'unknown'}
+ */
+function detectSource(headers) {
+    const normalized = new Set(headers.map(normalizeHeader));
+    for (const [source, signature] of Object.entries(SOURCE_SIGNATURES)) {
+        if (signature.every(h => normalized.has(h))) return source;
+    }
+    if (normalized.has('apolloaccountid') || normalized.has('apollocontactid')) return 'apollo';
+    return 'unknown';
+}
+
+/**
+ * Suggest a mapping from source headers onto template fields
+ * @param {string[]} headers - Source spreadsheet headers
+ * @returns {{ source: string, mapping: Object, matchedBy: Object, unmappedHeaders: string[], missingRequired: string[] }}
+ */
+function suggestMapping(headers) {
+    const byNormalized = new Map();
+    headers.forEach(h => {
+        const key = normalizeHeader(h);
+        if (key && !byNormalized.has(key)) byNormalized.set(key, h);
+    });
+
+    const used = new Set();
+    const mapping = {};
+    const matchedBy = {};
+
+    // Exact template headers first so they can never be claimed by a looser alias
+    for (const field of Object.keys(FIELD_ALIASES)) {
+        const header = byNormalized.get(normalizeHeader(field));
+        if (header) {
+            mapping[field] = header;
+            matchedBy[field] = 'exact';
+            used.add(header);
+        }
+    }
+
+    for (const [field, aliases] of Object.entries(FIELD_ALIASES)) {
+        if (mapping[field]) continue;
+
+        const alias = aliases.find(a => byNormalized.has(a) && !used.has(byNormalized.get(a)));
+        if (alias) {
+            mapping[field] = byNormalized.get(alias);
+            matchedBy[field] = 'alias';
+            used.add(mapping[field]);
+            continue;
+        }
+
+        for (const parts of SPLIT_FIELDS[field] || []) {
+            if (parts.every(p => byNormalized.has(p) && !used.has(byNormalized.get(p)))) {
+                mapping[field] = parts.map(p => byNormalized.get(p));
+                matchedBy[field] = 'combined';
+                mapping[field].forEach(h => used.add(h));
+                break;
+            }
+        }
+    }
+
+    return {
+        source: detectSource(headers),
+        mapping,
+        matchedBy,
+        unmappedHeaders: headers.filter(h => !used.has(h)),
+        missingRequired: REQUIRED_FIELDS.filter(f => !mapping[f])
+    };
+}
+
+/**
+ * Check a client-supplied mapping against the headers it will be applied to
+ * @param {Object} mapping
+ * @param {string[]} headers
+ * @returns {string[]} Error messages (empty when valid)
+ */
+function validateMapping(mapping, headers) {
+    const errors = [];
+
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return ['Mapping must be an object of { templateField: sourceHeader }'];
+    }
+
+    const headerSet = new Set(headers);
+    for (const [field, source] of Object.entries(mapping)) {
+        if (!FIELD_ALIASES[field]) {
+            errors.push(`Unknown template field: ${field}`);
+            continue;
+        }
+        const sources = Array.isArray(source) ? source : [source];
+        if (sources.length === 0 || sources.some(s => typeof s !== 'string' || s === '')) {
+            errors.push(`Field ${field} must map to a column name`);
+            continue;
+        }
+        sources.filter(s => !headerSet.has(s))
+            .forEach(s => errors.push(`Column "${s}" (mapped to ${field}) is not in the file`));
+    }
+
+    REQUIRED_FIELDS.filter(f => !mapping[f])
+        .forEach(f => errors.push(`Required field ${f} is not mapped`));
+
+    return errors;
+}
+
+/**
+ * Reshape source records into template records using a mapping
+ * @param {Object[]} records - Records keyed by source header
+ * @param {Object} mapping
+ * @returns {Object[]} Records keyed by template field
+ */
+function applyMapping(records, mapping) {
+    return records.map(record => {
+        const mapped = {};
+        for (const [field, source] of Object.entries(mapping)) {
+            const sources = Array.isArray(source) ? source : [source];
+            mapped[field] = sources
+                .map(s => String(record[s] ?? '').trim())
+                .filter(Boolean)
+                .join(' ');
+        }
+        return mapped;
+    });
+}
+
+/**
+ * Order-insensitive fingerprint of a header row, used to offer the preset saved
+ * for the same export layout
+ * @param {string[]} headers
+ * @returns {string}
+ */
+function headersSignature(headers) {
+    return headers.map(normalizeHeader).filter(Boolean).sort().join('|');
+}
+
+module.exports = {
+    FIELD_ALIASES,
+    REQUIRED_FIELDS,
+    normalizeHeader,
+    detectSource,
+    suggestMapping,
+    validateMapping,
+    applyMapping,
+    headersSignature
+};
@@ -6,6 +6,7 @@
  */
 
 const axios = require('axios');
+const { wrapClient } = require('./providerReplay');
 
 const CBP_BASE_URL = 'https://api.census.gov/data';
 const CBP_YEAR = 2021; // Most recent complete CBP data
@@ -421,10 +422,10 @@ function getMockTrendData() {
     };
 }
 
-module.exports = {
+module.exports = wrapClient('cbp', {
     getEstablishmentCount,
     getEstablishmentsBySize,
     getEstablishmentTrend,
     SIZE_CLASSES,
     CBP_YEAR
-};
+});
@@ -9,6 +9,7 @@
 const axios = require('axios');
 const geography = require('./geography');
 const marketCache = require('./marketCache');
+const { wrapClient } = require('./providerReplay');
 
 const CENSUS_BASE_URL = 'https://api.census.gov/data';
 const CENSUS_YEAR = 2022; // Most recent complete ACS 5-year data
@@ -1008,7 +1009,7 @@ function getDefaultCommutePatterns() {
     };
 }
 
-module.exports = {
+module.exports = wrapClient('census', {
     getDemographics,
     getDemographicsAtPlace,
     getDemographicsAtCounty,
@@ -1019,4 +1020,4 @@ module.exports = {
     estimateMarketSize,
     estimateGrowthRate,
     ACS_VARIABLES
-};
+});
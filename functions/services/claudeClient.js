@@ -6,6 +6,7 @@
 
 const Anthropic = require('@anthropic-ai/sdk');
 const { CLAUDE_CONFIG } = require('../config/claude');
+const { wrapClient } = require('./providerReplay');
 
 // Initialize Anthropic client
 let anthropicClient = null;
@@ -250,11 +251,11 @@ function calculateCost(usage, model = CLAUDE_CONFIG.model) {
     return (usage.inputTokens * rates.input) + (usage.outputTokens * rates.output);
 }
 
-module.exports = {
+module.exports = wrapClient('claude', {
     sendMessage,
     generateNarrative,
     validateNarrative,
     formatNarrative,
     estimateTokens,
     calculateCost
-};
+});
@@ -1,33 +1,54 @@
 /**
  * Cloud Export Service
  *
- * Generates export files (PDF/PPTX), uploads to Firebase Storage,
+ * Generates export files (PDF/PPTX/ODP/DOCX), uploads to Firebase Storage,
  * and returns short-lived signed URLs for download.
  */
 
 const admin = require('firebase-admin');
 const pdfGenerator = require('./pdfGenerator');
+const { resolveBrand } = require('./brandResolver');
+const { DOCX_MIME_TYPE } = require('./docxWriter');
+const { renderAssetDocx } = require('../formatters/formatterRegistry');
 
 /**
  * Generate a file, upload to GCS, and return a 1-hour signed URL
  * @param {Object} options
  * @param {string} options.userId - Owner's UID
- * @param {string} options.pitchId - Pitch document ID
- * @param {Object} options.pitchData - Firestore pitch document data
- * @param {'pdf'|'pptx'} options.format - Desired export format
+ * @param {string} [options.pitchId] - Pitch document ID
+ * @param {Object} [options.pitchData] - Firestore pitch document data
+ * @param {string} [options.assetId] - Formatted asset ID (docx)
+ * @param {Object} [options.assetData] - Firestore formattedAssets document data (docx)
+ * @param {string} [options.workspaceId] - Workspace context for brand resolution (docx)
+ * @param {'pdf'|'pptx'|'slides'|'odp'|'docx'} options.format - Desired export format
+ *   ('slides' is the Google Slides-friendly PPTX profile, see api/export.js;
+ *   'docx' exports a formatted asset such as a proposal or executive summary)
  * @returns {Promise<{signedUrl: string, filename: string, contentType: string}>}
  */
-async function prepareExport({ userId, pitchId, pitchData, format }) {
+async function prepareExport({ userId, pitchId, pitchData, assetId, assetData, workspaceId, format }) {
     // Generate file buffer
     let buffer;
     let contentType;
     let ext;
+    let exportId = pitchId;
+    let baseName = pitchData?.businessName || 'pitch';
+    let suffix = 'pitch';
 
-    if (format === 'pptx') {
-        const { buildPptxBuffer } = require('../api/export');
-        buffer = await buildPptxBuffer(pitchData);
-        contentType = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
-        ext = 'pptx';
+    const { buildPptxBuffer, PRESENTATION_FORMATS } = require('../api/export');
+    if (format === 'docx') {
+        if (!assetData?.content?.markdown) {
+            throw new Error('DOCX export requires a formatted asset');
+        }
+        const brand = await resolveBrand(userId, { workspaceId });
+        buffer = renderAssetDocx(assetData.assetType, assetData.content.markdown, brand);
+        contentType = DOCX_MIME_TYPE;
+        ext = 'docx';
+        exportId = assetId;
+        baseName = pitchData?.businessName || 'document';
+        suffix = assetData.assetType;
+    } else if (PRESENTATION_FORMATS[format]) {
+        buffer = await buildPptxBuffer(pitchData, format);
+        ({ contentType, ext } = PRESENTATION_FORMATS[format]);
     } else {
         // Default to PDF
         const htmlContent = pitchData.htmlContent || pitchData.content;
@@ -42,9 +63,9 @@ async function prepareExport({ userId, pitchId, pitchData, format }) {
     // Upload to Firebase Storage
     const bucket = admin.storage().bucket();
     const timestamp = Date.now();
-    const safeName = (pitchData.businessName || 'pitch').replace(/[^a-z0-9]/gi, '_');
-    const filename = `${safeName}_pitch.${ext}`;
-    const storagePath = `exports/${userId}/${pitchId}/${timestamp}.${ext}`;
+    const safeName = baseName.replace(/[^a-z0-9]/gi, '_');
+    const filename = `${safeName}_${suffix}.${ext}`;
+    const storagePath = `exports/${userId}/${exportId}/${timestamp}.${ext}`;
 
     const file = bucket.file(storagePath);
     await file.save(buffer, {
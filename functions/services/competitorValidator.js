@@ -12,6 +12,7 @@
  */
 
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { wrapGenerativeAI } = require('./providerReplay');
 const validationConfig = require('../config/competitorValidation.json');
 
 const { BLOCKLIST_TYPES, NAME_BLOCKLIST_PATTERNS, CATEGORY_ALLOWLISTS } = validationConfig;
@@ -178,7 +179,7 @@ async function runGeminiValidation(candidates, { city, state, industry, subIndus
         return null;
     }
 
-    const genAI = new GoogleGenerativeAI(apiKey);
+    const genAI = wrapGenerativeAI(new GoogleGenerativeAI(apiKey));
     const model = genAI.getGenerativeModel({
         model: 'gemini-3-flash-preview',
         generationConfig: { thinkingConfig: { thinkingBudget: 0 } }
@@ -10,6 +10,7 @@
 
 const coresignalConfig = require('../config/coresignal');
 const marketCache = require('./marketCache');
+const { wrapClient } = require('./providerReplay');
 
 const { CORESIGNAL_CONFIG } = coresignalConfig;
 
@@ -319,9 +320,9 @@ function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-module.exports = {
+module.exports = wrapClient('coresignal', {
     findCompetitors,
     collectCompany,
     mapToCompetitor,
     parseEmployeeCount
-};
+});
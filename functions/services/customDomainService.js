@@ -0,0 +1,472 @@
+'use strict';
+
+/**
+ * customDomainService.js — Workspace custom domains and vanity paths.
+ *
+ * A workspace registers a hostname (e.g. pitch.acme.com), proves control of it
+ * with a DNS TXT record, then maps vanity slugs on it to shared pitches,
+ * landing pages and one-pagers:
+ *
+ *   customDomainClaims/{workspaceId}_{hostname} — pending registration + its TXT token
+ *   customDomains/{hostname}                    — verified owner workspace
+ *   customDomains/{hostname}/paths/{slug}       — { type, targetId }
+ *
+ * Any number of workspaces may hold a pending claim on a hostname; the first to
+ * pass TXT verification gets customDomains/{hostname}. The hostname is that doc's
+ * ID, so a verified hostname can only belong to one workspace, and an
+ * unverified registration never blocks anyone. All writes go through Admin SDK.
+ *
+ * Consumers:
+ *   - routes/customDomainRoutes.js (management endpoints + host-header routing)
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const admin = require('firebase-admin');
+const { ApiError, ErrorCodes } = require('../middleware/errorHandler');
+
+const COLLECTION = 'customDomains';
+const CLAIMS_COLLECTION = 'customDomainClaims';
+
+// TXT record the customer publishes to prove control of the hostname
+const VERIFICATION_PREFIX = '_synchintro';
+const VERIFICATION_VALUE_PREFIX = 'synchintro-domain-verification=';
+
+// Where the customer points the hostname once verified
+const CNAME_TARGET = process.env.CUSTOM_DOMAIN_CNAME_TARGET || 'domains.synchintro.ai';
+
+// Hosts we serve ourselves — never looked up as custom domains
+const APP_HOST_SUFFIXES = [
+    'synchintro.ai', 'pathsynch.com', 'cloudfunctions.net', 'run.app', 'web.app', 'firebaseapp.com', 'localhost',
+];
+
+const VANITY_TYPES = ['pitch', 'landing_page', 'onepager'];
+
+const HOSTNAME_PATTERN = /^(?=.{4,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{0,62}$/;
+
+const DomainStatus = {
+    PENDING: 'pending',
+    VERIFIED: 'verified',
+};
+
+// In-process cache of verified domains — Map<hostname, { domain, expiresAt }>.
+// Keys come from the request Host header, so only verified hosts are cached
+// (never misses) and the map is capped, evicting the oldest entry.
+const _hostCache = new Map();
+const HOST_CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const HOST_CACHE_MAX_ENTRIES = 500;
+
+/**
+ * Lowercase a hostname and strip scheme, port, path and trailing dot.
+ *
+ * @param {string} input
+ * @returns {string}
+ */
+function normalizeHostname(input) {
+    return String(input || '')
+        .trim()
+        .toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .split('/')[0]
+        .split(':')[0]
+        .replace(/\.$/, '');
+}
+
+/**
+ * Whether a hostname is one of ours rather than a customer domain.
+ *
+ * @param {string} hostname - Normalized
+ * @returns {boolean}
+ */
+function isAppHost(hostname) {
+    if (!hostname || /^\d+(\.\d+){3}$/.test(hostname)) return true;
+    return APP_HOST_SUFFIXES.some(suffix => hostname === suffix || hostname.endsWith(`.${suffix}`));
+}
+
+/**
+ * DNS records the customer needs to publish.
+ *
+ * @param {object} domain - customDomains doc data
+ * @returns {object[]}
+ */
+function dnsInstructions(domain) {
+    return [
+        {
+            purpose: 'verification',
+            type: 'TXT',
+            name: `${VERIFICATION_PREFIX}.${domain.hostname}`,
+            value: `${VERIFICATION_VALUE_PREFIX}${domain.verificationToken}`,
+        },
+        {
+            purpose: 'routing',
+            type: 'CNAME',
+            name: domain.hostname,
+            value: CNAME_TARGET,
+        },
+    ];
+}
+
+/**
+ * Pending registration of a hostname by one workspace.
+ *
+ * @param {string} workspaceId
+ * @param {string} hostname - Normalized
+ * @returns {object} DocumentReference
+ */
+function claimRef(workspaceId, hostname) {
+    return admin.firestore().collection(CLAIMS_COLLECTION).doc(`${workspaceId}_${hostname}`);
+}
+
+/**
+ * Load a domain — verified, or the workspace's own pending claim — and check it
+ * belongs to the workspace.
+ *
+ * @param {string} workspaceId
+ * @param {string} hostname
+ * @returns {Promise<{ref: object, domain: object}>}
+ */
+async function getOwnedDomain(workspaceId, hostname) {
+    const db = admin.firestore();
+    const normalized = normalizeHostname(hostname);
+    const ref = db.collection(COLLECTION).doc(normalized);
+    const doc = await ref.get();
+
+    if (doc.exists && doc.data().workspaceId === workspaceId) {
+        return { ref, domain: doc.data() };
+    }
+
+    const claim = await claimRef(workspaceId, normalized).get();
+    if (!claim.exists) {
+        throw new ApiError(ErrorCodes.NOT_FOUND, 'Domain not found');
+    }
+
+    return { ref: claim.ref, domain: claim.data() };
+}
+
+/**
+ * Register a hostname for a workspace. Returns the DNS records to publish.
+ * Only a hostname already verified by another workspace is refused; pending
+ * registrations elsewhere don't block this one.
+ *
+ * @param {string} workspaceId
+ * @param {string} hostname
+ * @param {string} createdByUid
+ * @returns {Promise<object>} Domain with dnsRecords
+ */
+async function addDomain(workspaceId, hostname, createdByUid) {
+    const normalized = normalizeHostname(hostname);
+
+    if (!HOSTNAME_PATTERN.test(normalized)) {
+        throw new ApiError(ErrorCodes.VALIDATION_ERROR, `Invalid hostname: ${hostname}`);
+    }
+    if (isAppHost(normalized)) {
+        throw new ApiError(ErrorCodes.VALIDATION_ERROR, `${normalized} cannot be used as a custom domain`);
+    }
+
+    const db = admin.firestore();
+    const existing = await db.collection(COLLECTION).doc(normalized).get();
+
+    if (existing.exists && existing.data().workspaceId === workspaceId) {
+        return { ...existing.data(), dnsRecords: dnsInstructions(existing.data()) };
+    }
+    if (existing.exists && existing.data().status === DomainStatus.VERIFIED) {
+        throw new ApiError(ErrorCodes.CONFLICT, `${normalized} is already registered to another workspace`);
+    }
+
+    const ref = claimRef(workspaceId, normalized);
+    const claim = await ref.get();
+    if (claim.exists) {
+        return { ...claim.data(), dnsRecords: dnsInstructions(claim.data()) };
+    }
+
+    const domain = {
+        hostname: normalized,
+        workspaceId,
+        status: DomainStatus.PENDING,
+        verificationToken: crypto.randomBytes(16).toString('hex'),
+        createdByUid,
+        createdAt: new Date().toISOString(),
+        verifiedAt: null,
+        lastCheckedAt: null,
+        lastCheckError: null,
+    };
+
+    await ref.set(domain);
+
+    return { ...domain, dnsRecords: dnsInstructions(domain) };
+}
+
+/**
+ * Look up the verification TXT record and mark the domain verified when the
+ * token matches. Records the failure reason otherwise.
+ *
+ * Verifying a pending claim takes customDomains/{hostname} in a transaction,
+ * replacing another workspace's stale pending doc if there is one; a hostname
+ * already verified by another workspace stays theirs.
+ *
+ * @param {string} workspaceId
+ * @param {string} hostname
+ * @returns {Promise<object>} Updated domain with dnsRecords
+ */
+async function verifyDomain(workspaceId, hostname) {
+    const { ref, domain } = await getOwnedDomain(workspaceId, hostname);
+    const recordName = `${VERIFICATION_PREFIX}.${domain.hostname}`;
+    const expected = `${VERIFICATION_VALUE_PREFIX}${domain.verificationToken}`;
+
+    let lastCheckError = null;
+    try {
+        // Long TXT values arrive split into 255-byte chunks
+        const records = await dns.promises.resolveTxt(recordName);
+        if (!records.some(chunks => chunks.join('').trim() === expected)) {
+            lastCheckError = `TXT record at ${recordName} does not contain ${expected}`;
+        }
+    } catch (error) {
+        lastCheckError = ['ENOTFOUND', 'ENODATA'].includes(error.code)
+            ? `No TXT record found at ${recordName}`
+            : `DNS lookup failed: ${error.code || error.message}`;
+    }
+
+    const now = new Date().toISOString();
+    const updates = lastCheckError
+        ? { lastCheckedAt: now, lastCheckError }
+        : {
+            status: DomainStatus.VERIFIED,
+            verifiedAt: domain.verifiedAt || now,
+            lastCheckedAt: now,
+            lastCheckError: null,
+        };
+
+    if (lastCheckError || domain.status === DomainStatus.VERIFIED) {
+        await ref.update(updates);
+    } else {
+        const db = admin.firestore();
+        const domainRef = db.collection(COLLECTION).doc(domain.hostname);
+        await db.runTransaction(async (t) => {
+            const current = await t.get(domainRef);
+            if (current.exists && current.data().workspaceId !== workspaceId
+                && current.data().status === DomainStatus.VERIFIED) {
+                throw new ApiError(ErrorCodes.CONFLICT, `${domain.hostname} is already verified by another workspace`);
+            }
+            t.set(domainRef, { ...domain, ...updates });
+            if (ref.path !== domainRef.path) t.delete(ref);
+        });
+    }
+    invalidateHostCache(domain.hostname);
+
+    const updated = { ...domain, ...updates };
+    return { ...updated, dnsRecords: dnsInstructions(updated) };
+}
+
+/**
+ * Remove a domain and its vanity paths.
+ *
+ * @param {string} workspaceId
+ * @param {string} hostname
+ */
+async function removeDomain(workspaceId, hostname) {
+    const { ref, domain } = await getOwnedDomain(workspaceId, hostname);
+    const db = admin.firestore();
+
+    const paths = await ref.collection('paths').get();
+    const batch = db.batch();
+    paths.docs.forEach(doc => batch.delete(ref.collection('paths').doc(doc.id)));
+    batch.delete(ref);
+    await batch.commit();
+
+    invalidateHostCache(domain.hostname);
+}
+
+/**
+ * List a workspace's domains, verified and pending.
+ *
+ * @param {string} workspaceId
+ * @returns {Promise<object[]>}
+ */
+async function listDomains(workspaceId) {
+    const db = admin.firestore();
+    const [verified, pending] = await Promise.all([
+        db.collection(COLLECTION).where('workspaceId', '==', workspaceId).get(),
+        db.collection(CLAIMS_COLLECTION).where('workspaceId', '==', workspaceId).get(),
+    ]);
+
+    return [...verified.docs, ...pending.docs]
+        .map(doc => ({ ...doc.data(), dnsRecords: dnsInstructions(doc.data()) }))
+        .sort((a, b) => a.hostname.localeCompare(b.hostname));
+}
+
+/**
+ * Find the document a vanity path points at and check the workspace owns it.
+ *
+ * @param {string} workspaceId
+ * @param {string} type - One of VANITY_TYPES
+ * @param {string} targetId - pitches, landingPages or onepagers doc ID
+ * @returns {Promise<object>} Target doc data
+ */
+async function loadOwnedTarget(workspaceId, type, targetId) {
+    const db = admin.firestore();
+    const collection = { pitch: 'pitches', landing_page: 'landingPages', onepager: 'onepagers' }[type];
+    const doc = await db.collection(collection).doc(targetId).get();
+
+    if (!doc.exists) {
+        throw new ApiError(ErrorCodes.NOT_FOUND, `${type} ${targetId} not found`);
+    }
+
+    const data = doc.data();
+    if (data.workspaceId === workspaceId) return data;
+
+    // Landing pages and older docs carry only the creator's userId
+    const ownerUid = data.createdByUid || data.userId;
+    const member = ownerUid
+        ? await db.collection('workspaceMembers').doc(`${workspaceId}_${ownerUid}`).get()
+        : null;
+    if (!member?.exists || member.data().status !== 'active') {
+        throw new ApiError(ErrorCodes.AUTHORIZATION_ERROR, `${type} ${targetId} does not belong to this workspace`);
+    }
+
+    return data;
+}
+
+/**
+ * Point a vanity slug on a domain at a pitch, landing page or one-pager.
+ *
+ * @param {string} workspaceId
+ * @param {string} hostname
+ * @param {string} slug
+ * @param {{type: string, targetId: string}} target
+ * @param {string} updatedByUid
+ * @returns {Promise<object>} Vanity path with its public URL
+ */
+async function setVanityPath(workspaceId, hostname, slug, { type, targetId } = {}, updatedByUid) {
+    const { ref, domain } = await getOwnedDomain(workspaceId, hostname);
+    const normalizedSlug = String(slug || '').toLowerCase();
+
+    if (domain.status !== DomainStatus.VERIFIED) {
+        throw new ApiError(ErrorCodes.CONFLICT, `Verify ${domain.hostname} before adding vanity paths`);
+    }
+
+    if (!SLUG_PATTERN.test(normalizedSlug)) {
+        throw new ApiError(ErrorCodes.VALIDATION_ERROR, 'Slug must be 1-63 lowercase letters, digits or hyphens, starting with a letter or digit');
+    }
+    if (!VANITY_TYPES.includes(type)) {
+        throw new ApiError(ErrorCodes.VALIDATION_ERROR, `type must be one of: ${VANITY_TYPES.join(', ')}`);
+    }
+    if (!targetId) {
+        throw new ApiError(ErrorCodes.VALIDATION_ERROR, 'targetId is required');
+    }
+
+    await loadOwnedTarget(workspaceId, type, targetId);
+
+    const path = {
+        slug: normalizedSlug,
+        type,
+        targetId,
+        updatedByUid,
+        updatedAt: new Date().toISOString(),
+    };
+    await ref.collection('paths').doc(normalizedSlug).set(path);
+
+    return { ...path, url: `https://${domain.hostname}/${normalizedSlug}` };
+}
+
+/**
+ * Remove a vanity slug.
+ *
+ * @param {string} workspaceId
+ * @param {string} hostname
+ * @param {string} slug
+ */
+async function removeVanityPath(workspaceId, hostname, slug) {
+    const { ref } = await getOwnedDomain(workspaceId, hostname);
+    const pathRef = ref.collection('paths').doc(String(slug).toLowerCase());
+    const doc = await pathRef.get();
+
+    if (!doc.exists) {
+        throw new ApiError(ErrorCodes.NOT_FOUND, 'Vanity path not found');
+    }
+
+    await pathRef.delete();
+}
+
+/**
+ * List the vanity slugs on a domain.
+ *
+ * @param {string} workspaceId
+ * @param {string} hostname
+ * @returns {Promise<object[]>}
+ */
+async function listVanityPaths(workspaceId, hostname) {
+    const { ref, domain } = await getOwnedDomain(workspaceId, hostname);
+    const snap = await ref.collection('paths').get();
+
+    return snap.docs
+        .map(doc => ({ ...doc.data(), url: `https://${domain.hostname}/${doc.id}` }))
+        .sort((a, b) => a.slug.localeCompare(b.slug));
+}
+
+/**
+ * Resolve a request host to its verified custom domain. Cached per host.
+ *
+ * @param {string} host - Raw Host / X-Forwarded-Host value
+ * @returns {Promise<object|null>} Domain doc data, or null when not a verified custom domain
+ */
+async function resolveHost(host) {
+    const hostname = normalizeHostname(host);
+    if (isAppHost(hostname)) return null;
+
+    const cached = _hostCache.get(hostname);
+    if (cached && cached.expiresAt > Date.now()) return cached.domain;
+    if (cached) _hostCache.delete(hostname);
+
+    const db = admin.firestore();
+    const doc = await db.collection(COLLECTION).doc(hostname).get();
+    if (!doc.exists || doc.data().status !== DomainStatus.VERIFIED) return null;
+
+    if (_hostCache.size >= HOST_CACHE_MAX_ENTRIES) {
+        _hostCache.delete(_hostCache.keys().next().value);
+    }
+    _hostCache.set(hostname, { domain: doc.data(), expiresAt: Date.now() + HOST_CACHE_TTL_MS });
+    return doc.data();
+}
+
+/**
+ * Look up a vanity slug on a verified domain.
+ *
+ * @param {string} hostname - Normalized
+ * @param {string} slug
+ * @returns {Promise<object|null>} { slug, type, targetId } or null
+ */
+async function resolveVanityPath(hostname, slug) {
+    const db = admin.firestore();
+    const doc = await db.collection(COLLECTION).doc(hostname)
+        .collection('paths').doc(String(slug).toLowerCase())
+        .get();
+
+    return doc.exists ? doc.data() : null;
+}
+
+// Exported for testing / forced cache invalidation
+function invalidateHostCache(hostname) {
+    if (hostname) _hostCache.delete(normalizeHostname(hostname));
+    else _hostCache.clear();
+}
+
+module.exports = {
+    COLLECTION,
+    CLAIMS_COLLECTION,
+    VANITY_TYPES,
+    DomainStatus,
+    normalizeHostname,
+    isAppHost,
+    dnsInstructions,
+    addDomain,
+    verifyDomain,
+    removeDomain,
+    listDomains,
+    setVanityPath,
+    removeVanityPath,
+    listVanityPaths,
+    resolveHost,
+    resolveVanityPath,
+    invalidateHostCache,
+};
@@ -615,9 +615,17 @@ function slide10(pptx, d) {
 }
 
 // ── Main PPTX export ─────────────────────────────────────────────────────────
-async function renderDataAnalystDeck(pitch, sellerProfile, marketReport) {
-    const d    = extractData(pitch, sellerProfile, marketReport);
-    const pptx = new PptxGenJS();
+// Level 3 speaker note slot (templates/pptTemplate SPEAKER_NOTE_KEYS) for each briefing slide
+const SLIDE_NOTE_KEYS = ['title', null, null, null, 'sentiment', 'roi', null, 'solution', 'rollout', 'nextSteps'];
+
+/**
+ * Draw the 10 briefing slides into a PptxGenJS-compatible presentation
+ * (PptxGenJS itself, or services/odpWriter for ODP export)
+ * @param {Object} [options]
+ * @param {Object} [options.speakerNotes] - Level 3 notes keyed by slot, attached to the matching slides
+ */
+function buildDataAnalystSlides(pptx, pitch, sellerProfile, marketReport, options = {}) {
+    const d = extractData(pitch, sellerProfile, marketReport);
 
     pptx.layout  = 'LAYOUT_16x9';
     pptx.author  = 'PathSynch SynchIntro';
@@ -625,16 +633,21 @@ async function renderDataAnalystDeck(pitch, sellerProfile, marketReport) {
     pptx.subject = 'Market Intelligence Analysis';
     pptx.company = 'PathSynch Labs';
 
-    slide1(pptx, d);
-    slide2(pptx, d);
-    slide3(pptx, d);
-    slide4(pptx, d);
-    slide5(pptx, d);
-    slide6(pptx, d);
-    slide7(pptx, d);
-    slide8(pptx, d);
-    slide9(pptx, d);
-    slide10(pptx, d);
+    const slides = [slide1, slide2, slide3, slide4, slide5, slide6, slide7, slide8, slide9, slide10]
+        .map(build => build(pptx, d));
+
+    const notes = options.speakerNotes || {};
+    slides.forEach((slide, i) => {
+        const note = SLIDE_NOTE_KEYS[i] && notes[SLIDE_NOTE_KEYS[i]];
+        if (note) slide.addNotes(note);
+    });
+
+    return d;
+}
+
+async function renderDataAnalystDeck(pitch, sellerProfile, marketReport) {
+    const pptx = new PptxGenJS();
+    const d    = buildDataAnalystSlides(pptx, pitch, sellerProfile, marketReport);
 
     const buffer   = await pptx.write({ outputType: 'nodebuffer' });
     const safeName = (d.businessName || 'pitch').replace(/[^a-z0-9]/gi, '_').toLowerCase();
@@ -1003,4 +1016,4 @@ td:first-child{text-align:left}
 </html>`;
 }
 
-module.exports = { renderDataAnalystDeck, renderDataAnalystHTML };
+module.exports = { renderDataAnalystDeck, buildDataAnalystSlides, renderDataAnalystHTML };
@@ -5,6 +5,8 @@
  * Env: DATAFORSEO_LOGIN, DATAFORSEO_PASSWORD (required)
  */
 
+const { wrapClient } = require('./providerReplay');
+
 const DATAFORSEO_LOGIN = process.env.DATAFORSEO_LOGIN;
 const DATAFORSEO_PASSWORD = process.env.DATAFORSEO_PASSWORD;
 const BASE_URL = 'https://api.dataforseo.com/v3';
@@ -281,11 +283,11 @@ async function getBacklinksReferringDomains(domain, limit) {
     }
 }
 
-module.exports = {
+module.exports = wrapClient('dataforseo', {
     getGoogleReviews,
     getLocalSERPRankings,
     getBusinessInfo,
     getOnPageAudit,
     getBacklinksSummary,
     getBacklinksReferringDomains
-};
+});
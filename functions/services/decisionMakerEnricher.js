@@ -8,6 +8,7 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 const { getOrgChart } = require('./theOrgClient');
+const { wrapClient } = require('./providerReplay');
 
 const SERPER_API_KEY = process.env.SERPER_API_KEY;
 const SERPER_BASE = 'https://google.serper.dev';
@@ -226,4 +227,4 @@ function classifyVelocity(reviewCount, yearsInBusiness) {
     return { label: 'Stalled', color: '#dc2626', signal: `${yearsInBusiness} years open, only ${reviewCount} reviews \u2014 review engine has stalled.` };
 }
 
-module.exports = { enrichDecisionMaker, findLinkedInURL, findTimeInBusiness, classifyVelocity };
+module.exports = wrapClient('decisionMakerEnricher', { enrichDecisionMaker, findLinkedInURL, findTimeInBusiness, classifyVelocity });
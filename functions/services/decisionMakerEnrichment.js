@@ -11,10 +11,11 @@
  */
 
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { wrapGenerativeAI } = require('./providerReplay');
 const { serperSearch } = require('./serperClient');
 const { getOrgChart } = require('./theOrgClient');
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const genAI = wrapGenerativeAI(new GoogleGenerativeAI(process.env.GEMINI_API_KEY));
 
 /**
  * Canonical functional departments and their alias variants.
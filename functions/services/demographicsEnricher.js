@@ -4,6 +4,7 @@
  */
 
 const fetch = require('node-fetch');
+const { wrapClient } = require('./providerReplay');
 
 const STATE_FIPS = {
     'AL': '01', 'AK': '02', 'AZ': '04', 'AR': '05', 'CA': '06',
@@ -152,4 +153,4 @@ async function enrichDemographics(city, state, existingCommunities, existingGrow
     return result;
 }
 
-module.exports = { enrichDemographics, fetchCensusData, parseGrowthFromSnippets, STATE_FIPS };
+module.exports = wrapClient('demographicsEnricher', { enrichDemographics, fetchCensusData, parseGrowthFromSnippets, STATE_FIPS });
@@ -1,6 +1,7 @@
 /**
  * Diff Calculator Service
- * Calculates structured diffs between pitch versions using fast-json-patch
+ * Calculates structured diffs between pitch versions using fast-json-patch,
+ * plus word-level content diffs for side-by-side version comparison.
  */
 
 const jsonpatch = require('fast-json-patch');
@@ -122,8 +123,241 @@ function detectChangeType(diff) {
     return 'edited';
 }
 
+/**
+ * Compare two full snapshots for the side-by-side view: every changed field
+ * (old and new values, unsummarized) plus a word-level diff of the pitch content.
+ *
+ * @param {Object} oldSnapshot - Earlier pitch state
+ * @param {Object} newSnapshot - Later pitch state
+ * @returns {Object} { fields: [], content: { segments, html, stats } }
+ */
+function compareSnapshots(oldSnapshot, newSnapshot) {
+    const oldSnap = oldSnapshot || {};
+    const newSnap = newSnapshot || {};
+
+    const fields = [];
+    const allFields = new Set([...Object.keys(oldSnap), ...Object.keys(newSnap)]);
+    for (const field of allFields) {
+        if (CONTENT_FIELDS.includes(field) || COMPARE_IGNORED_FIELDS.includes(field)) continue;
+        if (JSON.stringify(oldSnap[field]) === JSON.stringify(newSnap[field])) continue;
+
+        fields.push({
+            field,
+            label: friendlyFieldName(field),
+            category: categoryOf(field),
+            oldValue: oldSnap[field] === undefined ? null : oldSnap[field],
+            newValue: newSnap[field] === undefined ? null : newSnap[field]
+        });
+    }
+
+    const segments = diffWords(htmlToText(contentOf(oldSnap)), htmlToText(contentOf(newSnap)));
+
+    return {
+        fields,
+        content: {
+            changed: segments.some(s => s.type !== 'equal'),
+            segments,
+            html: renderDiffHtml(segments),
+            stats: diffStats(segments)
+        }
+    };
+}
+
+/**
+ * Word-level diff of two plain-text strings.
+ * Whitespace is kept as its own token so the segments re-join to the inputs exactly.
+ *
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{ type: 'equal'|'insert'|'delete', text: string }>}
+ */
+function diffWords(oldText, newText) {
+    return mergeSegments(diffTokens(tokenize(oldText || '', WORD_TOKEN), tokenize(newText || '', WORD_TOKEN)));
+}
+
+/**
+ * Render diff segments as HTML: unchanged text escaped, insertions in <ins>,
+ * deletions in <del>.
+ *
+ * @param {Array} segments - Output of diffWords
+ * @returns {string}
+ */
+function renderDiffHtml(segments) {
+    return segments.map(seg => {
+        const text = escapeHtml(seg.text);
+        if (seg.type === 'insert') return `<ins class="diff-insert">${text}</ins>`;
+        if (seg.type === 'delete') return `<del class="diff-delete">${text}</del>`;
+        return text;
+    }).join('');
+}
+
+/**
+ * Reduce pitch HTML to readable text: drop script/style, turn block boundaries
+ * into newlines, strip tags, decode common entities, collapse whitespace.
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+    if (!html) return '';
+    return String(html)
+        .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|h[1-6]|li|tr|section|header|footer|table)>/gi, '\n')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .replace(/[ \t]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{2,}/g, '\n\n')
+        .trim();
+}
+
 // --- Helpers ---
 
+// Pitch body lives in htmlContent on edited pitches and html on generated ones
+const CONTENT_FIELDS = ['htmlContent', 'html'];
+
+// Bookkeeping fields that change on every save and would only add noise to a comparison
+const COMPARE_IGNORED_FIELDS = ['analytics', 'createdAt', 'updatedAt', 'lastViewedAt', 'forkedFrom'];
+
+// Words (runs of non-space) or whitespace runs; sentences (up to terminal punctuation
+// or a newline) for the coarse fallback on very large rewrites
+const WORD_TOKEN = /\S+|\s+/g;
+const SENTENCE_TOKEN = /[^.!?\n]+[.!?]*\s*|\n+/g;
+
+// Cap on the LCS table (cells) before falling back to sentence-level granularity
+const MAX_LCS_CELLS = 2000000;
+
+function contentOf(snapshot) {
+    return snapshot.htmlContent ?? snapshot.html ?? '';
+}
+
+function categoryOf(field) {
+    for (const [category, fields] of Object.entries(FIELD_CATEGORIES)) {
+        if (fields.includes(field)) return category;
+    }
+    return 'structure';
+}
+
+function tokenize(text, pattern) {
+    return text.match(pattern) || [];
+}
+
+/**
+ * Token diff: trim the shared prefix/suffix, then LCS over the middle. When the
+ * middle is too large for the LCS table, re-diff it at sentence granularity, and
+ * failing that report it as a straight replacement.
+ */
+function diffTokens(oldTokens, newTokens, coarse = false) {
+    let start = 0;
+    while (start < oldTokens.length && start < newTokens.length && oldTokens[start] === newTokens[start]) {
+        start++;
+    }
+    let oldEnd = oldTokens.length;
+    let newEnd = newTokens.length;
+    while (oldEnd > start && newEnd > start && oldTokens[oldEnd - 1] === newTokens[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    const prefix = oldTokens.slice(0, start).map(text => ({ type: 'equal', text }));
+    const suffix = oldTokens.slice(oldEnd).map(text => ({ type: 'equal', text }));
+    const oldMid = oldTokens.slice(start, oldEnd);
+    const newMid = newTokens.slice(start, newEnd);
+
+    let middle;
+    if (oldMid.length === 0 || newMid.length === 0) {
+        middle = [
+            ...oldMid.map(text => ({ type: 'delete', text })),
+            ...newMid.map(text => ({ type: 'insert', text }))
+        ];
+    } else if ((oldMid.length + 1) * (newMid.length + 1) <= MAX_LCS_CELLS) {
+        middle = lcsDiff(oldMid, newMid);
+    } else if (!coarse) {
+        middle = diffTokens(
+            tokenize(oldMid.join(''), SENTENCE_TOKEN),
+            tokenize(newMid.join(''), SENTENCE_TOKEN),
+            true
+        );
+    } else {
+        middle = [{ type: 'delete', text: oldMid.join('') }, { type: 'insert', text: newMid.join('') }];
+    }
+
+    return [...prefix, ...middle, ...suffix];
+}
+
+function lcsDiff(a, b) {
+    const cols = b.length + 1;
+    const table = new Uint32Array((a.length + 1) * cols);
+
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            table[i * cols + j] = a[i] === b[j]
+                ? table[(i + 1) * cols + j + 1] + 1
+                : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+        }
+    }
+
+    const out = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            out.push({ type: 'equal', text: a[i] });
+            i++;
+            j++;
+        } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+            out.push({ type: 'delete', text: a[i++] });
+        } else {
+            out.push({ type: 'insert', text: b[j++] });
+        }
+    }
+    while (i < a.length) out.push({ type: 'delete', text: a[i++] });
+    while (j < b.length) out.push({ type: 'insert', text: b[j++] });
+    return out;
+}
+
+/**
+ * Join adjacent same-type tokens into single segments
+ */
+function mergeSegments(tokens) {
+    const merged = [];
+    for (const tok of tokens) {
+        const last = merged[merged.length - 1];
+        if (last && last.type === tok.type) {
+            last.text += tok.text;
+        } else {
+            merged.push({ type: tok.type, text: tok.text });
+        }
+    }
+    return merged;
+}
+
+function diffStats(segments) {
+    const words = text => (text.match(/\S+/g) || []).length;
+    const stats = { wordsAdded: 0, wordsRemoved: 0, wordsUnchanged: 0 };
+    for (const seg of segments) {
+        if (seg.type === 'insert') stats.wordsAdded += words(seg.text);
+        else if (seg.type === 'delete') stats.wordsRemoved += words(seg.text);
+        else stats.wordsUnchanged += words(seg.text);
+    }
+    return stats;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 function getNestedValue(obj, path) {
     return path.split('/').reduce((acc, key) => acc && acc[key], obj);
 }
@@ -161,5 +395,9 @@ module.exports = {
     calculateDiff,
     generateDescription,
     detectChangeType,
+    compareSnapshots,
+    diffWords,
+    renderDiffHtml,
+    htmlToText,
     FIELD_CATEGORIES
 };
@@ -0,0 +1,369 @@
+/**
+ * DOCX Writer
+ *
+ * Builds editable Word (.docx) documents for formatted assets. Formatters already render
+ * their content as markdown, so the writer converts that markdown (headings, paragraphs,
+ * bullet/numbered lists, tables, block quotes, rules) into WordprocessingML and styles it
+ * with the resolved brand (see services/brandResolver.js).
+ */
+
+const AdmZip = require('adm-zip');
+const { PATHSYNCH_DEFAULT_BRAND } = require('./brandResolver');
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const NS_W = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const NS_R = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const NS_PKG_RELS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const REL_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+// '#0D9488' -> '0D9488'
+function hex(color, fallback) {
+    const value = String(color || fallback || '').replace(/^#/, '').toUpperCase();
+    return /^[0-9A-F]{6}$/.test(value) ? value : String(fallback).replace(/^#/, '').toUpperCase();
+}
+
+// ============================================
+// MARKDOWN -> BLOCKS
+// ============================================
+
+/**
+ * Parse inline markdown (**bold**, *italic*, [text](url)) into runs
+ * @param {string} text
+ * @returns {Array<{text: string, bold?: boolean, italic?: boolean}>}
+ */
+function parseInline(text) {
+    const runs = [];
+    const pattern = /(\*\*[^*]+\*\*|\*[^*\s][^*]*\*|\[[^\]]+\]\([^)]+\))/g;
+    let last = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        if (match.index > last) runs.push({ text: text.slice(last, match.index) });
+        const token = match[0];
+        if (token.startsWith('**')) {
+            runs.push({ text: token.slice(2, -2), bold: true });
+        } else if (token.startsWith('*')) {
+            runs.push({ text: token.slice(1, -1), italic: true });
+        } else {
+            const [, label, url] = token.match(/\[([^\]]+)\]\(([^)]+)\)/);
+            runs.push({ text: `${label} (${url})` });
+        }
+        last = match.index + token.length;
+    }
+    if (last < text.length) runs.push({ text: text.slice(last) });
+    return runs.filter(run => run.text);
+}
+
+function splitTableRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+/**
+ * Convert markdown to document blocks
+ * @param {string} markdown
+ * @param {Object} [options]
+ * @param {boolean|string[]} [options.sectionPageBreaks=false] - Turn a `---` rule that precedes an
+ *   H2 heading into a page break: true for every section, or a list of section titles
+ * @returns {Array<Object>} blocks
+ */
+function markdownToBlocks(markdown, options = {}) {
+    const { sectionPageBreaks = false } = options;
+    const lines = String(markdown || '').replace(/\r\n/g, '\n').split('\n');
+    const blocks = [];
+    let paragraph = [];
+
+    const flushParagraph = () => {
+        if (paragraph.length) {
+            blocks.push({ type: 'paragraph', runs: parseInline(paragraph.join(' ')) });
+            paragraph = [];
+        }
+    };
+
+    const nextNonBlank = (from) => {
+        for (let j = from; j < lines.length; j++) {
+            if (lines[j].trim()) return lines[j].trim();
+        }
+        return '';
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+
+        if (!line) {
+            flushParagraph();
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,3})\s+(.*)$/);
+        if (heading) {
+            flushParagraph();
+            blocks.push({ type: 'heading', level: heading[1].length, runs: parseInline(heading[2]) });
+            continue;
+        }
+
+        if (/^(-{3,}|\*{3,})$/.test(line)) {
+            flushParagraph();
+            const next = nextNonBlank(i + 1).match(/^##\s+(.*)$/);
+            const breaks = next && (sectionPageBreaks === true ||
+                (Array.isArray(sectionPageBreaks) && sectionPageBreaks.includes(next[1].trim())));
+            blocks.push({ type: breaks ? 'pageBreak' : 'rule' });
+            continue;
+        }
+
+        if (line.startsWith('|')) {
+            flushParagraph();
+            const rows = [];
+            let hasHeader = false;
+            while (i < lines.length && lines[i].trim().startsWith('|')) {
+                const row = splitTableRow(lines[i]);
+                if (row.every(cell => /^:?-{2,}:?$/.test(cell))) {
+                    hasHeader = rows.length === 1;
+                } else {
+                    rows.push(row);
+                }
+                i++;
+            }
+            i--;
+            // An all-blank header row (e.g. `| | |`) is a key/value table with no header
+            const header = hasHeader && rows[0].some(Boolean) ? rows[0] : null;
+            blocks.push({ type: 'table', header, rows: hasHeader ? rows.slice(1) : rows });
+            continue;
+        }
+
+        const listItem = line.match(/^(?:[-*]|(\d+)\.)\s+(.*)$/);
+        if (listItem) {
+            flushParagraph();
+            const ordered = Boolean(listItem[1]);
+            const items = [];
+            while (i < lines.length) {
+                const item = lines[i].trim().match(/^(?:[-*]|(\d+)\.)\s+(.*)$/);
+                if (!item || Boolean(item[1]) !== ordered) break;
+                items.push(parseInline(item[2]));
+                i++;
+            }
+            i--;
+            blocks.push({ type: 'list', ordered, items });
+            continue;
+        }
+
+        if (line.startsWith('>')) {
+            flushParagraph();
+            const quoted = [];
+            while (i < lines.length && lines[i].trim().startsWith('>')) {
+                const text = lines[i].trim().replace(/^>\s?/, '');
+                if (text) quoted.push(text);
+                i++;
+            }
+            i--;
+            quoted.forEach(text => blocks.push({ type: 'quote', runs: parseInline(text) }));
+            continue;
+        }
+
+        paragraph.push(line);
+    }
+    flushParagraph();
+
+    return blocks;
+}
+
+// ============================================
+// BLOCKS -> WORDPROCESSINGML
+// ============================================
+
+// rPr children must stay in schema order (b, i, color) or Word reports the file as corrupt
+function runXml(run, override = {}) {
+    const props = [
+        run.bold || override.bold ? '<w:b/>' : '',
+        run.italic ? '<w:i/>' : '',
+        override.color ? `<w:color w:val="${override.color}"/>` : ''
+    ].join('');
+    return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(run.text)}</w:t></w:r>`;
+}
+
+function paragraphXml(runs, pPr = '', runOverride = {}) {
+    return `<w:p>${pPr ? `<w:pPr>${pPr}</w:pPr>` : ''}${runs.map(run => runXml(run, runOverride)).join('')}</w:p>`;
+}
+
+// block.plain: cells are literal text (e.g. quoted RFP language), not inline markdown
+function tableXml(block, theme) {
+    const columnCount = Math.max(block.header?.length || 0, ...block.rows.map(row => row.length), 1);
+    const width = Math.floor(9360 / columnCount); // 6.5in text width in twentieths of a point
+
+    const cell = (text, isHeader) => {
+        const shading = isHeader ? `<w:shd w:val="clear" w:color="auto" w:fill="${theme.accent}"/>` : '';
+        return `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/>${shading}</w:tcPr>` +
+            paragraphXml(block.plain ? [{ text: text || '' }] : parseInline(text || ''), '<w:spacing w:before="40" w:after="40"/>',
+                isHeader ? { bold: true, color: 'FFFFFF' } : {}) +
+            '</w:tc>';
+    };
+    const row = (cells, isHeader) => {
+        const padded = [...cells, ...new Array(columnCount - cells.length).fill('')];
+        return `<w:tr>${isHeader ? '<w:trPr><w:tblHeader/></w:trPr>' : ''}${padded.map(c => cell(c, isHeader)).join('')}</w:tr>`;
+    };
+
+    return '<w:tbl><w:tblPr><w:tblStyle w:val="BrandTable"/><w:tblW w:w="5000" w:type="pct"/></w:tblPr>' +
+        `<w:tblGrid>${new Array(columnCount).fill(`<w:gridCol w:w="${width}"/>`).join('')}</w:tblGrid>` +
+        (block.header ? row(block.header, true) : '') +
+        block.rows.map(r => row(r, false)).join('') +
+        '</w:tbl><w:p/>';
+}
+
+function blocksToBody(blocks, theme, numbering) {
+    return blocks.map(block => {
+        switch (block.type) {
+            case 'heading':
+                return paragraphXml(block.runs, `<w:pStyle w:val="Heading${block.level}"/>`);
+            case 'list': {
+                const numId = block.ordered ? numbering.nextOrdered() : 1;
+                return block.items
+                    .map(runs => paragraphXml(runs, `<w:pStyle w:val="ListParagraph"/><w:numPr><w:ilvl w:val="0"/><w:numId w:val="${numId}"/></w:numPr>`))
+                    .join('');
+            }
+            case 'table':
+                return tableXml(block, theme);
+            case 'quote':
+                return paragraphXml(block.runs, '<w:pStyle w:val="Quote"/>');
+            case 'rule':
+                return `<w:p><w:pPr><w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="${theme.rule}"/></w:pBdr></w:pPr></w:p>`;
+            case 'pageBreak':
+                return '<w:p><w:r><w:br w:type="page"/></w:r></w:p>';
+            default:
+                return paragraphXml(block.runs || []);
+        }
+    }).join('');
+}
+
+function stylesXml(theme) {
+    const heading = (level, size, color) =>
+        `<w:style w:type="paragraph" w:styleId="Heading${level}"><w:name w:val="heading ${level}"/><w:basedOn w:val="Normal"/>` +
+        '<w:next w:val="Normal"/><w:uiPriority w:val="9"/><w:qFormat/>' +
+        `<w:pPr><w:keepNext/><w:spacing w:before="${level === 1 ? 240 : 200}" w:after="80"/><w:outlineLvl w:val="${level - 1}"/></w:pPr>` +
+        `<w:rPr><w:b/><w:color w:val="${color}"/><w:sz w:val="${size}"/></w:rPr></w:style>`;
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:styles xmlns:w="${NS_W}">` +
+        '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/>' +
+        '<w:sz w:val="22"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+        '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>' +
+        heading(1, 36, theme.accent) +
+        heading(2, 28, theme.accent) +
+        heading(3, 24, theme.secondary) +
+        '<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/>' +
+        '<w:pPr><w:spacing w:after="60"/><w:ind w:left="720"/></w:pPr></w:style>' +
+        '<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/>' +
+        `<w:pPr><w:pBdr><w:left w:val="single" w:sz="18" w:space="8" w:color="${theme.accent}"/></w:pBdr><w:ind w:left="360"/></w:pPr>` +
+        '<w:rPr><w:i/><w:color w:val="374151"/></w:rPr></w:style>' +
+        '<w:style w:type="paragraph" w:styleId="Footer"><w:name w:val="footer"/><w:basedOn w:val="Normal"/>' +
+        '<w:pPr><w:jc w:val="center"/></w:pPr><w:rPr><w:color w:val="6B7280"/><w:sz w:val="16"/></w:rPr></w:style>' +
+        '<w:style w:type="table" w:styleId="BrandTable"><w:name w:val="Brand Table"/><w:tblPr>' +
+        `<w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV']
+            .map(side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="${theme.rule}"/>`).join('')}</w:tblBorders>` +
+        '<w:tblCellMar><w:left w:w="100" w:type="dxa"/><w:right w:w="100" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>' +
+        '</w:styles>';
+}
+
+function numberingXml(orderedCount) {
+    const level = (fmt, text) =>
+        `<w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="${fmt}"/><w:lvlText w:val="${text}"/><w:lvlJc w:val="left"/>` +
+        '<w:pPr><w:ind w:left="720" w:hanging="360"/></w:pPr></w:lvl>';
+
+    // numId 1 = bullets; each numbered list gets its own numId so it restarts at 1
+    const orderedNums = Array.from({ length: orderedCount }, (_, i) =>
+        `<w:num w:numId="${i + 2}"><w:abstractNumId w:val="1"/><w:lvlOverride w:ilvl="0"><w:startOverride w:val="1"/></w:lvlOverride></w:num>`
+    ).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:numbering xmlns:w="${NS_W}">` +
+        `<w:abstractNum w:abstractNumId="0">${level('bullet', '•')}</w:abstractNum>` +
+        `<w:abstractNum w:abstractNumId="1">${level('decimal', '%1.')}</w:abstractNum>` +
+        '<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>' +
+        orderedNums +
+        '</w:numbering>';
+}
+
+function relationshipsXml(relationships) {
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="${NS_PKG_RELS}">` +
+        relationships.map(([id, type, target]) => `<Relationship Id="${id}" Type="${type}" Target="${target}"/>`).join('') +
+        '</Relationships>';
+}
+
+/**
+ * Build a .docx from blocks
+ * @param {Array<Object>} blocks - From markdownToBlocks()
+ * @param {Object} [options]
+ * @param {Object} [options.brand] - resolvedBrand contract from brandResolver
+ * @param {string} [options.title] - Document title (core properties)
+ * @returns {Buffer}
+ */
+function buildDocx(blocks, options = {}) {
+    const brand = options.brand || PATHSYNCH_DEFAULT_BRAND;
+    const theme = {
+        accent: hex(brand.accentColor, PATHSYNCH_DEFAULT_BRAND.accentColor),
+        secondary: hex(brand.secondaryColor || brand.accentColor, PATHSYNCH_DEFAULT_BRAND.accentColor),
+        rule: 'D1D5DB'
+    };
+
+    let orderedCount = 0;
+    const numbering = { nextOrdered: () => ++orderedCount + 1 };
+    const body = blocksToBody(blocks, theme, numbering);
+
+    const footerText = brand.footerText || PATHSYNCH_DEFAULT_BRAND.footerText;
+    const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:document xmlns:w="${NS_W}" xmlns:r="${NS_R}">` +
+        `<w:body>${body}<w:sectPr><w:footerReference w:type="default" r:id="rId3"/>` +
+        '<w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/>' +
+        '</w:sectPr></w:body></w:document>';
+    const footer = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:ftr xmlns:w="${NS_W}">` +
+        paragraphXml([{ text: footerText }], '<w:pStyle w:val="Footer"/>') +
+        '</w:ftr>';
+    const core = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ' +
+        'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+        'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+        `<dc:title>${escapeXml(options.title || '')}</dc:title>` +
+        `<dc:creator>${escapeXml(brand.companyName || PATHSYNCH_DEFAULT_BRAND.companyName)}</dc:creator>` +
+        `<dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d{3}Z$/, 'Z')}</dcterms:created>` +
+        '</cp:coreProperties>';
+    const contentTypes = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+        '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+        '<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>' +
+        '<Override PartName="/word/footer1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml"/>' +
+        '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+        '</Types>';
+
+    const zip = new AdmZip();
+    zip.addFile('[Content_Types].xml', Buffer.from(contentTypes));
+    zip.addFile('_rels/.rels', Buffer.from(relationshipsXml([
+        ['rId1', `${REL_TYPE}/officeDocument`, 'word/document.xml'],
+        ['rId2', 'http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties', 'docProps/core.xml']
+    ])));
+    zip.addFile('docProps/core.xml', Buffer.from(core));
+    zip.addFile('word/document.xml', Buffer.from(document));
+    zip.addFile('word/styles.xml', Buffer.from(stylesXml(theme)));
+    zip.addFile('word/numbering.xml', Buffer.from(numberingXml(orderedCount)));
+    zip.addFile('word/footer1.xml', Buffer.from(footer));
+    zip.addFile('word/_rels/document.xml.rels', Buffer.from(relationshipsXml([
+        ['rId1', `${REL_TYPE}/styles`, 'styles.xml'],
+        ['rId2', `${REL_TYPE}/numbering`, 'numbering.xml'],
+        ['rId3', `${REL_TYPE}/footer`, 'footer1.xml']
+    ])));
+    return zip.toBuffer();
+}
+
+module.exports = {
+    DOCX_MIME_TYPE,
+    markdownToBlocks,
+    parseInline,
+    buildDocx
+};
@@ -5,6 +5,7 @@
  */
 
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { wrapClient } = require('./providerReplay');
 
 // Configuration
 // Available models: gemini-3-flash-preview (primary), gemini-3.1-pro-preview (advanced), gemini-2.5-flash (simple)
@@ -153,8 +154,8 @@ async function generateJSON(systemPrompt, userMessage) {
     }
 }
 
-module.exports = {
+module.exports = wrapClient('gemini-v1', {
     sendMessage,
     generateJSON,
     GEMINI_CONFIG
-};
+});
@@ -12,6 +12,7 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const { GEMINI_CONFIG, getModelConfig, calculateCost } = require('../config/gemini');
 const promptCache = require('./promptCache');
+const { wrapClient } = require('./providerReplay');
 
 // Initialize clients cache (one per model)
 const modelClients = new Map();
@@ -380,6 +381,7 @@ Return a valid JSON object matching the NarrativeSchema.`;
             onChunk: (chunk) => {
                 fullContent = chunk.fullContent;
                 onProgress({
+                    content: chunk.content,
                     progress: chunk.progress,
                     done: chunk.done,
                     error: chunk.error
@@ -526,7 +528,7 @@ function estimateTokens(text) {
     return Math.ceil(text.length / 4);
 }
 
-module.exports = {
+module.exports = wrapClient('gemini', {
     sendMessage,
     streamMessage,
     sendMessageWithFallback,
@@ -536,4 +538,7 @@ module.exports = {
     formatNarrative,
     estimateTokens,
     calculateCost
-};
+}, {
+    // Replay has no chunks to re-emit; streamed narratives go through generateNarrative
+    exclude: ['streamMessage']
+});
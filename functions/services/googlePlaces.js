@@ -8,6 +8,7 @@
 const { Client } = require('@googlemaps/google-maps-services-js');
 const marketCache = require('./marketCache');
 const { extractAdminAreaLevel2 } = require('./countyResolver');
+const { wrapClient } = require('./providerReplay');
 
 const client = new Client({});
 
@@ -714,7 +715,7 @@ async function lookupProspectPlace(businessName, city, state) {
     }
 }
 
-module.exports = {
+module.exports = wrapClient('googlePlaces', {
     findCompetitors,
     findHeadquarters,
     getPlaceDetails,
@@ -722,4 +723,4 @@ module.exports = {
     findCompanyLocation,
     enrichCompetitorsWithWebsites,
     lookupProspectPlace,
-};
+});
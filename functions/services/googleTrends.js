@@ -8,6 +8,7 @@
 
 const https = require('https');
 const marketCache = require('./marketCache');
+const { wrapClient } = require('./providerReplay');
 
 /**
  * Company size definitions and their seasonality sensitivity
@@ -734,7 +735,7 @@ function getCompanySizeOptions() {
     }));
 }
 
-module.exports = {
+module.exports = wrapClient('googleTrends', {
     getDemandSignals,
     getSearchKeywords,
     getTrendsGeoCode,
@@ -747,4 +748,4 @@ module.exports = {
     DEFAULT_DEMAND_SIGNALS,
     STATE_TO_DMA,
     COMPANY_SIZE_CONFIG
-};
+});
@@ -0,0 +1,243 @@
+'use strict';
+
+/**
+ * amendmentTracker.js — Field-level change detection for watched opportunities.
+ *
+ * Sources re-post amended notices (deadline moves, new attachments, Q&A added
+ * to the description). When a sync upserts an opportunity the user is
+ * watching, the diff is kept in govOpportunities/{oppId}/amendments and the
+ * newest one is mirrored onto the opportunity as `latestAmendment` so the
+ * digest and pursuit timeline can show it without a subcollection read.
+ *
+ * diffOpportunity / summarizeChanges / buildPursuitTimeline are pure.
+ */
+
+const admin = require('firebase-admin');
+const { scoreOpportunity } = require('./govScoringEngine');
+
+// Fields compared between the stored opportunity and an incoming record
+const TRACKED_FIELDS = [
+    'title',
+    'description',
+    'solicitationNumber',
+    'noticeType',
+    'dueDate',
+    'archiveDate',
+    'setAside',
+    'naicsCodes',
+    'estimatedValue',
+    'location',
+    'attachments',
+];
+
+// Inputs to govHardFilters / govScoringEngine — a change re-runs scoring
+const MATERIAL_FIELDS = ['title', 'dueDate', 'setAside', 'naicsCodes', 'estimatedValue', 'location'];
+
+// Coarse statuses that count as "watching" even without an active pursuit
+const WATCHED_PURSUIT_STATUSES = ['reviewing', 'pursuing', 'bid_submitted'];
+
+const AMENDMENT_TYPES = ['deadline_moved', 'new_attachment', 'description_updated', 'fields_changed'];
+
+const MAX_DESCRIPTION_EXCERPT = 300;
+
+// ── Pure helpers ─────────────────────────────────────────────────────────────
+
+/**
+ * Does the user have an active pursuit on, or a watch status for, this opportunity?
+ */
+function isWatched(opp) {
+    if (!opp || opp.archived) return false;
+    return opp.pursuitActive === true || WATCHED_PURSUIT_STATUSES.includes(opp.pursuitStatus);
+}
+
+function _comparable(field, value) {
+    if (value === null || value === undefined) return null;
+    if (field === 'naicsCodes' || field === 'attachments') return JSON.stringify([...value].map(String).sort());
+    if (field === 'dueDate' || field === 'archiveDate') {
+        const d = new Date(value);
+        return isNaN(d.getTime()) ? String(value) : d.toISOString();
+    }
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value).trim();
+}
+
+/**
+ * Compare tracked fields. An incoming null/empty value is treated as "not
+ * reported" rather than a removal — feeds routinely omit fields.
+ *
+ * @param {object} existing — stored GovOpportunity
+ * @param {object} incoming — freshly normalized GovOpportunity
+ * @returns {Array<{ field: string, from: *, to: * }>}
+ */
+function diffOpportunity(existing, incoming) {
+    const changes = [];
+    for (const field of TRACKED_FIELDS) {
+        const to = incoming[field];
+        if (to === null || to === undefined || to === '' || (Array.isArray(to) && to.length === 0)) continue;
+
+        const from = existing[field] ?? null;
+        if (_comparable(field, from) !== _comparable(field, to)) {
+            changes.push({ field, from, to });
+        }
+    }
+    return changes;
+}
+
+/**
+ * Turn raw field changes into the alert items shown in digests and timelines.
+ *
+ * @param {Array} changes — from diffOpportunity
+ * @returns {Array<object>} — { type, ... } with type in AMENDMENT_TYPES
+ */
+function summarizeChanges(changes) {
+    const items = [];
+    const other = [];
+
+    for (const change of changes) {
+        if (change.field === 'dueDate') {
+            items.push({ type: 'deadline_moved', from: change.from, to: change.to });
+        } else if (change.field === 'attachments') {
+            // Stored before attachments were tracked — no baseline to compare
+            if (!Array.isArray(change.from)) continue;
+            const before = new Set((change.from || []).map(String));
+            const added = (change.to || []).filter(a => !before.has(String(a)));
+            if (added.length > 0) items.push({ type: 'new_attachment', attachments: added });
+        } else if (change.field === 'description') {
+            items.push({ type: 'description_updated', excerpt: String(change.to).substring(0, MAX_DESCRIPTION_EXCERPT) });
+        } else {
+            other.push(change.field);
+        }
+    }
+
+    if (other.length > 0) items.push({ type: 'fields_changed', fields: other });
+    return items;
+}
+
+function isMaterialChange(changes) {
+    return changes.some(c => MATERIAL_FIELDS.includes(c.field));
+}
+
+/**
+ * Merge a pursuit's stage history and its opportunity's amendments into one
+ * chronological timeline (oldest first).
+ *
+ * @param {object} pursuit — govPursuits doc
+ * @param {Array} amendments — govOpportunities/{id}/amendments docs
+ * @returns {Array<{ kind: 'stage'|'amendment', at: string, ... }>}
+ */
+function buildPursuitTimeline(pursuit, amendments) {
+    const toIso = v => (v?.toDate ? v.toDate() : new Date(v)).toISOString();
+
+    const entries = [
+        ...(pursuit.stageHistory || []).map(h => ({ kind: 'stage', at: toIso(h.at), stage: h.stage, byUid: h.byUid || null })),
+        ...(amendments || []).map(a => ({
+            kind:        'amendment',
+            at:          a.detectedAt,
+            amendmentId: a.id || null,
+            items:       a.items || [],
+            source:      a.source || null,
+            rescored:    a.rescored || null,
+        })),
+    ];
+    return entries.sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+// ── Recording ────────────────────────────────────────────────────────────────
+
+/**
+ * Record an amendment on a watched opportunity: re-score when material fields
+ * changed, append to the amendments subcollection, and mirror the summary.
+ * Never throws — a failed amendment write must not fail the sync.
+ *
+ * @param {object} oppRef — DocumentReference of the stored opportunity
+ * @param {object} existing — stored data before the update
+ * @param {object} merged — stored data with this sync's updates applied
+ * @param {Array} changes — from diffOpportunity
+ * @param {object} ctx — { profile (with id), source }
+ * @returns {Promise<object|null>} — the amendment, or null when nothing was recorded
+ */
+async function recordAmendment(oppRef, existing, merged, changes, { profile, source }) {
+    const items = summarizeChanges(changes);
+    if (items.length === 0) return null;
+
+    try {
+        const detectedAt = new Date().toISOString();
+        const oppUpdates = {};
+
+        let rescored = null;
+        if (isMaterialChange(changes) && profile) {
+            const fit = await scoreOpportunity(merged, profile, { allowSemantic: false });
+            rescored = { from: existing.fit?.score ?? null, to: fit.score, label: fit.label };
+            oppUpdates.fit = fit;
+        }
+
+        const amendment = {
+            detectedAt,
+            source: source || null,
+            changes: changes.map(c => ({ field: c.field, from: c.from ?? null, to: c.to ?? null })),
+            items,
+            rescored,
+        };
+
+        const amendmentRef = await oppRef.collection('amendments').add(amendment);
+
+        await oppRef.update({
+            ...oppUpdates,
+            latestAmendment: { id: amendmentRef.id, detectedAt, items, rescored },
+            amendmentCount:  admin.firestore.FieldValue.increment(1),
+            lastAmendedAt:   detectedAt,
+        });
+
+        await _logAmendmentActivity(existing, oppRef.id, items);
+        return { id: amendmentRef.id, ...amendment };
+    } catch (err) {
+        console.error(`[AmendmentTracker] Record failed for ${oppRef.id}:`, err.message);
+        return null;
+    }
+}
+
+/**
+ * Fire-and-forget activity entry, alongside gov_pursuit_stage entries.
+ */
+async function _logAmendmentActivity(opp, oppId, items) {
+    try {
+        await admin.firestore().collection('users').doc(opp.userId)
+            .collection('activityFeed').add({
+                timestamp:     admin.firestore.FieldValue.serverTimestamp(),
+                type:          'gov_opportunity_amended',
+                pursuitId:     opp.activePursuitId || null,
+                opportunityId: oppId,
+                title:         opp.title || 'Opportunity',
+                isRead:        false,
+                metadata:      { amendmentTypes: items.map(i => i.type) },
+            });
+    } catch (err) {
+        console.warn('[AmendmentTracker] activity log failed:', err.message);
+    }
+}
+
+/**
+ * Amendments for an opportunity, oldest first.
+ */
+async function listAmendments(db, oppId, limit = 50) {
+    const snap = await db.collection('govOpportunities').doc(oppId)
+        .collection('amendments')
+        .orderBy('detectedAt', 'desc')
+        .limit(limit)
+        .get();
+    return snap.docs.map(d => ({ id: d.id, ...d.data() })).reverse();
+}
+
+module.exports = {
+    TRACKED_FIELDS,
+    MATERIAL_FIELDS,
+    WATCHED_PURSUIT_STATUSES,
+    AMENDMENT_TYPES,
+    isWatched,
+    diffOpportunity,
+    summarizeChanges,
+    isMaterialChange,
+    buildPursuitTimeline,
+    recordAmendment,
+    listAmendments,
+};
@@ -83,6 +83,7 @@ async function generateBidBrief(opportunity, profile, options = {}) {
             confidence:             _constrainEnum(raw.confidence, CONFIDENCE_LEVELS, 'low'),
             checklistAnswers:       _sanitizeChecklistAnswers(raw.checklistAnswers),
             capStatementUsed:       !!(profile.credentials?.capStatementText),
+            competitorIntel:        opportunity.competitorIntel || null, // USAspending data, shown as-is
             humanReviewRequired:    true, // HARDCODED — never AI-determined
         };
 
@@ -170,6 +171,11 @@ Incumbent Vendors: ${(award.incumbentVendors || []).join(', ') || 'None identifi
 Confidence: ${award.confidence || 'low'}`;
     }
 
+    const intel = opportunity.competitorIntel;
+    if (intel && (intel.incumbent || intel.topVendors?.length)) {
+        prompt += `\n\n${_formatCompetitorIntel(intel)}`;
+    }
+
     // Checklist questions
     const questions = _getChecklistQuestions(checklist);
     if (questions.length > 0) {
@@ -183,6 +189,24 @@ Confidence: ${award.confidence || 'low'}`;
     return prompt;
 }
 
+function _formatCompetitorIntel(intel) {
+    const lines = ['Competitive Landscape (USAspending award history):'];
+    const inc = intel.incumbent;
+    if (inc) {
+        lines.push(`Incumbent (${inc.match === 'referenced' ? 'referenced in notice' : 'inferred'}): ${inc.name}, award ${inc.awardId || 'unknown'}, $${(inc.awardValue || 0).toLocaleString()}, period of performance ${inc.startDate || '?'} to ${inc.endDate || '?'}`);
+    } else {
+        lines.push('Incumbent: Not identified');
+    }
+    if (intel.recompete) {
+        lines.push(`Predecessor contract ends ${intel.recompete.popEndDate} (${intel.recompete.window})`);
+    }
+    if (intel.topVendors?.length) {
+        const years = intel.window ? `${intel.window.start} to ${intel.window.end}` : 'last five years';
+        lines.push(`Top vendors for this NAICS/agency (${years}): ${intel.topVendors.slice(0, 5).map(v => `${v.name} (${v.share}%)`).join(', ')}`);
+    }
+    return lines.join('\n');
+}
+
 function _getChecklistQuestions(checklist) {
     if (checklist && Array.isArray(checklist.questions)) {
         return checklist.questions;
@@ -250,6 +274,7 @@ module.exports = {
     // Exported for testing
     _buildSystemPrompt,
     _buildUserPrompt,
+    _formatCompetitorIntel,
     _constrainEnum,
     _sanitizeChecklistAnswers,
     _estimateCost,
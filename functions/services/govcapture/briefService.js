@@ -9,6 +9,7 @@
 
 const admin = require('firebase-admin');
 const { generateBidBrief, PROMPT_VERSION } = require('./briefGenerator');
+const { isStale, refreshCompetitorIntel } = require('./competitorIntelService');
 
 /**
  * Create a bid/no-bid brief for an opportunity.
@@ -60,6 +61,12 @@ async function createBidBriefForOpportunity(oppId, profileId, userId, options =
         if (checkDoc.exists) checklist = checkDoc.data();
     } catch { /* non-blocking */ }
 
+    // 5b. Incumbent / competitor intel — refreshed when stale; never blocks the brief
+    if (process.env.GOVCAPTURE_USASPENDING_ENABLED === 'true' && isStale(opp.competitorIntel)) {
+        const intel = await refreshCompetitorIntel(db.collection('govOpportunities').doc(oppId), opp);
+        if (intel) opp.competitorIntel = intel;
+    }
+
     // 6. Generate brief
     const result = await generateBidBrief(opp, profile, { checklist });
 
@@ -0,0 +1,292 @@
+'use strict';
+
+/**
+ * competitorIntelService.js — Incumbent / competitor panel for an opportunity.
+ *
+ * usaspendingService's awardContext is a one-fiscal-year summary that only
+ * feeds Pass 2 scoring. This builds the capture view from five years of
+ * USAspending award history for the opportunity's NAICS + agency:
+ *
+ *   incumbent  — the predecessor contract: referenced by PIID in the notice when
+ *                it's quoted, otherwise inferred from same-office awards whose
+ *                description overlaps the title and whose period of performance
+ *                ends around now
+ *   recompete  — when that contract's period of performance runs out
+ *   topVendors — who has been winning that NAICS/agency combo, by obligations
+ *
+ * Persisted on the opportunity as `competitorIntel` (no updatedAt bump, so it
+ * doesn't resurface the opportunity in the digest) and passed to the bid/no-bid
+ * brief. Fetching never throws — null when USAspending has nothing usable.
+ */
+
+const admin = require('firebase-admin');
+const { searchSimilarAwards, searchTopRecipients, _currentFiscalYear } = require('./usaspendingClient');
+const { CACHE_TTL_DAYS } = require('./usaspendingService');
+
+const INTEL_YEARS           = 5;
+const MAX_TOP_VENDORS       = 10;
+const PREDECESSOR_CANDIDATES = 100;
+const MIN_INFERRED_SCORE    = 3;
+
+// USAspending's contract data starts in FY2008
+const EARLIEST_AWARD_DATE = '2007-10-01';
+
+const RECOMPETE_WINDOWS = ['expired', 'imminent', 'upcoming', 'future'];
+
+const STOP_WORDS = new Set([
+    'services', 'service', 'support', 'contract', 'requirement', 'requirements', 'federal',
+    'agency', 'department', 'office', 'with', 'from', 'that', 'this', 'for', 'the', 'and',
+    'provide', 'provides', 'various', 'other', 'base', 'option', 'year', 'years',
+]);
+
+// ── Pure helpers (exported for tests) ────────────────────────────────────────
+
+/**
+ * The last INTEL_YEARS federal fiscal years, ending with the current one.
+ */
+function intelWindow(now = new Date()) {
+    const fy = now.getMonth() >= 9 ? now.getFullYear() + 1 : now.getFullYear();
+    return { start_date: `${fy - INTEL_YEARS}-10-01`, end_date: `${fy}-09-30` };
+}
+
+/**
+ * Prior contract numbers quoted in the notice ("incumbent contract W912DY-20-C-0012").
+ * Dashes are dropped — USAspending stores PIIDs without them.
+ *
+ * @returns {Array<string>}
+ */
+function extractPriorContractIds(opp) {
+    const text = `${opp.title || ''}\n${opp.description || ''}`;
+    const pattern = /\b(?:contract|award|piid|task order|delivery order)\s*(?:number|no\.?|#|id)?\s*[:#]?\s*([A-Z0-9]{4,6}(?:-?[A-Z0-9]+){1,5})\b/gi;
+    const ids = new Set();
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const id = match[1].replace(/-/g, '').toUpperCase();
+        if (id.length >= 10 && /\d/.test(id) && /[A-Z]/.test(id) && id !== String(opp.solicitationNumber || '').replace(/-/g, '').toUpperCase()) {
+            ids.add(id);
+        }
+    }
+    return [...ids].slice(0, 5);
+}
+
+function _tokens(text) {
+    return new Set(String(text || '').toLowerCase().split(/[^a-z0-9]+/)
+        .filter(w => w.length >= 4 && !STOP_WORDS.has(w)));
+}
+
+/**
+ * Choose the predecessor award.
+ *
+ * @param {Array} awards — normalized USAspending awards
+ * @param {object} opp — GovOpportunity
+ * @param {object} [options]
+ * @param {Array<string>} [options.priorIds] — from extractPriorContractIds
+ * @param {Date} [options.now]
+ * @returns {{ award: object, match: 'referenced'|'inferred' }|null}
+ */
+function pickPredecessor(awards, opp, { priorIds = [], now = new Date() } = {}) {
+    if (priorIds.length > 0) {
+        const referenced = awards.find(a => priorIds.includes(String(a.awardId || '').replace(/-/g, '').toUpperCase()));
+        if (referenced) return { award: referenced, match: 'referenced' };
+    }
+
+    const titleTokens = _tokens(opp.title);
+    const office = String(opp.agencyName || '').toLowerCase();
+    const due = opp.dueDate ? new Date(opp.dueDate) : now;
+    const earliestEnd = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
+    const latestEnd = new Date(due.getTime() + 2 * 365 * 24 * 60 * 60 * 1000);
+
+    let best = null;
+    for (const award of awards) {
+        if (!award.endDate || !award.recipientName) continue;
+        const overlap = [..._tokens(award.description)].filter(t => titleTokens.has(t)).length;
+        if (overlap === 0) continue;
+
+        const end = new Date(award.endDate);
+        let score = Math.min(overlap, 3);
+        if (office && String(award.awardingSubAgency || '').toLowerCase() === office) score += 2;
+        if (!isNaN(end.getTime()) && end >= earliestEnd && end <= latestEnd) score += 2;
+
+        if (score < MIN_INFERRED_SCORE) continue;
+        // Ties go to the contract ending closest to the new one's response deadline
+        const gap = Math.abs(end - due);
+        if (!best || score > best.score || (score === best.score && gap < best.gap)) {
+            best = { award, score, gap };
+        }
+    }
+    return best ? { award: best.award, match: 'inferred' } : null;
+}
+
+/**
+ * Recompete timing from the predecessor's period-of-performance end.
+ *
+ * @returns {{ popEndDate: string, monthsRemaining: number, window: string }|null}
+ */
+function recompeteTiming(endDate, now = new Date()) {
+    const end = endDate ? new Date(endDate) : null;
+    if (!end || isNaN(end.getTime())) return null;
+
+    const monthsRemaining = Math.round(((end - now) / (30.44 * 24 * 60 * 60 * 1000)) * 10) / 10;
+    let window;
+    if (monthsRemaining < 0) window = 'expired';
+    else if (monthsRemaining <= 6) window = 'imminent';
+    else if (monthsRemaining <= 18) window = 'upcoming';
+    else window = 'future';
+
+    return { popEndDate: end.toISOString().split('T')[0], monthsRemaining, window };
+}
+
+/**
+ * Top recipients with their share of the combined obligations listed.
+ */
+function summarizeTopVendors(recipients) {
+    const named = (recipients || []).filter(r => r.name);
+    const total = named.reduce((sum, r) => sum + (r.amount || 0), 0);
+    return named.slice(0, MAX_TOP_VENDORS).map(r => ({
+        name:   r.name,
+        uei:    r.uei || null,
+        amount: Math.round(r.amount || 0),
+        share:  total > 0 ? Math.round(((r.amount || 0) / total) * 1000) / 10 : 0,
+    }));
+}
+
+/**
+ * Assemble the persisted competitorIntel object.
+ */
+function buildCompetitorIntel({ opp, awards, recipients, priorIds = [], window, naicsCode, agencyName, now = new Date() }) {
+    const predecessor = pickPredecessor(awards, opp, { priorIds, now });
+    const award = predecessor?.award;
+
+    return {
+        incumbent: award ? {
+            name:              award.recipientName,
+            awardId:           award.awardId,
+            awardValue:        award.awardAmount || 0,
+            startDate:         award.startDate || null,
+            endDate:           award.endDate || null,
+            awardingSubAgency: award.awardingSubAgency || null,
+            match:             predecessor.match,
+        } : null,
+        recompete:        award ? recompeteTiming(award.endDate, now) : null,
+        topVendors:       summarizeTopVendors(recipients),
+        naicsCode:        naicsCode || null,
+        agencyName:       agencyName || null,
+        window:           { start: window.start_date, end: window.end_date },
+        awardsConsidered: awards.length,
+        generatedAt:      now.toISOString(),
+    };
+}
+
+function isStale(intel, now = new Date()) {
+    if (!intel?.generatedAt) return true;
+    return (now - new Date(intel.generatedAt)) / (24 * 60 * 60 * 1000) > CACHE_TTL_DAYS;
+}
+
+// ── USAspending fetch ────────────────────────────────────────────────────────
+
+/**
+ * Fetch award history and build the intel for an opportunity.
+ *
+ * @param {object} opp — GovOpportunity
+ * @returns {Promise<object|null>} — competitorIntel, or null on failure / no lookup keys
+ */
+async function fetchCompetitorIntel(opp) {
+    try {
+        const naicsCode  = (opp.naicsCodes || [])[0] || null;
+        // USAspending filters on the top-tier agency; SAM puts that in departmentName
+        const agencyName = opp.departmentName || opp.agencyName || null;
+        if (!naicsCode && !agencyName) {
+            console.log('[CompetitorIntel] Insufficient data (no NAICS or agency)');
+            return null;
+        }
+
+        const window = intelWindow();
+        const priorIds = extractPriorContractIds(opp);
+
+        const [awardsResult, recipientsResult, referencedResult] = await Promise.all([
+            searchSimilarAwards({ naicsCode, agencyName, timePeriod: window, limit: PREDECESSOR_CANDIDATES }),
+            searchTopRecipients({ naicsCode, agencyName, timePeriod: window }),
+            priorIds.length > 0
+                ? searchSimilarAwards({
+                    awardIds: priorIds,
+                    timePeriod: { start_date: EARLIEST_AWARD_DATE, end_date: `${_currentFiscalYear()}-09-30` },
+                })
+                : Promise.resolve(null),
+        ]);
+
+        if (!awardsResult.success && !recipientsResult.success) {
+            console.warn('[CompetitorIntel] USAspending unavailable:', awardsResult.error);
+            return null;
+        }
+
+        const awards = [
+            ...(referencedResult?.success ? referencedResult.data.awards : []),
+            ...(awardsResult.success ? awardsResult.data.awards : []),
+        ];
+        const recipients = recipientsResult.success ? recipientsResult.data.recipients : [];
+
+        return buildCompetitorIntel({ opp, awards, recipients, priorIds, window, naicsCode, agencyName });
+    } catch (err) {
+        console.error('[CompetitorIntel] Build error (non-blocking):', err.message);
+        return null;
+    }
+}
+
+// ── Persistence ──────────────────────────────────────────────────────────────
+
+/**
+ * Stored intel for an opportunity, refreshed when missing, stale or forced.
+ *
+ * @param {string} oppId
+ * @param {string} userId — gov identity (workspace owner uid)
+ * @param {object} [options]
+ * @param {boolean} [options.refresh=false]
+ * @returns {Promise<{ competitorIntel: object|null, refreshed: boolean }>}
+ * @throws on ownership failures ({ status })
+ */
+async function getCompetitorIntel(oppId, userId, options = {}) {
+    const db = admin.firestore();
+    const oppRef = db.collection('govOpportunities').doc(oppId);
+    const oppDoc = await oppRef.get();
+    if (!oppDoc.exists) throw Object.assign(new Error('Opportunity not found'), { status: 404 });
+
+    const opp = oppDoc.data();
+    if (opp.userId !== userId) throw Object.assign(new Error('Access denied'), { status: 403 });
+
+    if (!options.refresh && !isStale(opp.competitorIntel)) {
+        return { competitorIntel: opp.competitorIntel, refreshed: false };
+    }
+
+    const competitorIntel = await refreshCompetitorIntel(oppRef, opp);
+    return { competitorIntel: competitorIntel || opp.competitorIntel || null, refreshed: !!competitorIntel };
+}
+
+/**
+ * Fetch and persist. Returns null (leaving any stored intel in place) on failure.
+ */
+async function refreshCompetitorIntel(oppRef, opp) {
+    const competitorIntel = await fetchCompetitorIntel(opp);
+    if (!competitorIntel) return null;
+
+    try {
+        await oppRef.update({ competitorIntel });
+    } catch (err) {
+        console.warn(`[CompetitorIntel] Write failed for ${oppRef.id}:`, err.message);
+    }
+    return competitorIntel;
+}
+
+module.exports = {
+    INTEL_YEARS,
+    RECOMPETE_WINDOWS,
+    intelWindow,
+    extractPriorContractIds,
+    pickPredecessor,
+    recompeteTiming,
+    summarizeTopVendors,
+    buildCompetitorIntel,
+    isStale,
+    fetchCompetitorIntel,
+    refreshCompetitorIntel,
+    getCompetitorIntel,
+};
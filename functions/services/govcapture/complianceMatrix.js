@@ -0,0 +1,374 @@
+'use strict';
+
+/**
+ * complianceMatrix.js — Section L/M compliance matrix export for a pursuit.
+ *
+ * One row per Pass A requirement (govEvaluationService): the RFP paragraph it
+ * comes from, the proposal section that answers it, its present / unclear /
+ * missing status and the teammate who owns it. Exported as XLSX, CSV or DOCX
+ * — the deliverable capture managers hand to reviewers.
+ *
+ * The proposal section is found by locating the requirement's matched keywords
+ * in the evaluated draft and taking the nearest heading above them. The owner
+ * is the assignee of the requirement's checklist task (govPursuitTaskService),
+ * falling back to the owner of the section the requirement belongs to.
+ *
+ * Row building and the three writers are pure; exportComplianceMatrix does
+ * the Firestore reads.
+ */
+
+const AdmZip = require('adm-zip');
+const admin = require('firebase-admin');
+const { buildDocx, DOCX_MIME_TYPE } = require('../docxWriter');
+const { REQUIREMENT_PLACEMENT } = require('./govPursuitTaskService');
+
+const MATRIX_FORMATS = ['xlsx', 'csv', 'docx'];
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const MATRIX_COLUMNS = [
+    { key: 'requirementId',   label: 'Req ID',           width: 10 },
+    { key: 'rfpSection',      label: 'RFP Reference',    width: 14 },
+    { key: 'requirement',     label: 'Requirement',      width: 60 },
+    { key: 'category',        label: 'Category',         width: 20 },
+    { key: 'proposalSection', label: 'Proposal Section', width: 32 },
+    { key: 'status',          label: 'Status',           width: 12 },
+    { key: 'owner',           label: 'Owner',            width: 20 },
+];
+
+const STATUS_LABELS = { present: 'Present', unclear: 'Unclear', missing: 'Missing' };
+
+const CATEGORY_LABELS = {
+    submission_instructions: 'Submission instructions',
+    required_forms:          'Required forms',
+    page_limits:             'Page limits',
+    certifications:          'Certifications',
+    deadlines:               'Deadlines',
+    other:                   'Other',
+};
+
+const MAX_HEADING_LEN = 90;
+
+function _db() {
+    return admin.firestore();
+}
+
+function _err(code, message) {
+    const e = new Error(message || code);
+    e.code = code;
+    return e;
+}
+
+// ── Cross-walk (pure) ────────────────────────────────────────────────────────
+
+/**
+ * RFP paragraph reference for a requirement: the extractor's sectionRef, else
+ * a Section L/M-style reference quoted in the requirement text.
+ */
+function rfpReference(req) {
+    if (req.sectionRef && String(req.sectionRef).trim()) return String(req.sectionRef).trim();
+    const match = String(req.text || '').match(/\b(?:Section\s+)?([A-M](?:\.\d+)+(?:\.[a-z])?)\b/);
+    return match ? match[1] : '';
+}
+
+/**
+ * Heading-like lines in a draft, with their character offsets. Recognizes
+ * markdown headings, numbered headings ("3.2 Staffing Plan"), "Volume/Section/
+ * Part/Attachment" labels and short ALL-CAPS lines.
+ *
+ * @param {string} draftText
+ * @returns {Array<{ offset: number, title: string }>}
+ */
+function findDraftHeadings(draftText) {
+    const headings = [];
+    let offset = 0;
+    for (const rawLine of String(draftText || '').split('\n')) {
+        const line = rawLine.trim();
+        if (line && line.length <= MAX_HEADING_LEN && !/[.,;:]$/.test(line)) {
+            const markdown = line.match(/^#{1,6}\s+(.+)$/);
+            const isHeading = markdown
+                || /^\d+(\.\d+)*\.?\s+[A-Z]/.test(line)
+                || /^(Volume|Section|Part|Attachment|Tab)\s+[\w.-]+\b/i.test(line)
+                || (/[A-Z]/.test(line) && line === line.toUpperCase() && line.length >= 4);
+            if (isHeading) headings.push({ offset, title: markdown ? markdown[1].trim() : line });
+        }
+        offset += rawLine.length + 1;
+    }
+    return headings;
+}
+
+/**
+ * The heading above the first place any of the keywords appears in the draft.
+ *
+ * @returns {string} heading title, or '' when no keyword is found or no heading precedes it
+ */
+function locateProposalSection(draftText, headings, keywords) {
+    const draft = String(draftText || '').toLowerCase();
+    let first = -1;
+    for (const keyword of keywords || []) {
+        const i = draft.indexOf(String(keyword).toLowerCase());
+        if (i !== -1 && (first === -1 || i < first)) first = i;
+    }
+    if (first === -1) return '';
+
+    let section = '';
+    for (const h of headings) {
+        if (h.offset > first) break;
+        section = h.title;
+    }
+    return section;
+}
+
+/**
+ * Build matrix rows from an evaluation's checked requirements.
+ *
+ * @param {object} input
+ * @param {Array}  input.requirements — passA.requirements (with status, matchedKeywords)
+ * @param {string} [input.draftText] — the evaluated proposal's extracted text
+ * @param {Array}  [input.tasks] — pursuit tasks (requirement tasks carry requirementId)
+ * @param {object} [input.sectionOwners] — pursuit.sectionOwners
+ * @returns {Array<object>} rows keyed by MATRIX_COLUMNS
+ */
+function buildMatrixRows({ requirements = [], draftText = '', tasks = [], sectionOwners = {} }) {
+    const headings = findDraftHeadings(draftText);
+    const taskByRequirement = new Map(
+        tasks.filter(t => t.requirementId).map(t => [t.requirementId, t])
+    );
+
+    return requirements.map(req => {
+        const task = taskByRequirement.get(req.id);
+        const placement = REQUIREMENT_PLACEMENT[req.category] || REQUIREMENT_PLACEMENT.other;
+        const sectionOwner = sectionOwners[task?.section || placement.section];
+
+        return {
+            requirementId:   req.id || '',
+            rfpSection:      rfpReference(req),
+            requirement:     req.text || '',
+            category:        CATEGORY_LABELS[req.category] || req.category || '',
+            proposalSection: req.status === 'missing' ? '' : locateProposalSection(draftText, headings, req.matchedKeywords),
+            status:          STATUS_LABELS[req.status] || 'Not evaluated',
+            owner:           (task ? task.assigneeName : null) || sectionOwner?.name || '',
+        };
+    });
+}
+
+// ── Writers (pure) ───────────────────────────────────────────────────────────
+
+// Spreadsheet apps execute cells starting with these as formulas
+function _neutralizeFormula(value) {
+    const s = String(value ?? '');
+    return /^[=+\-@\t\r]/.test(s) ? `'${s}` : s;
+}
+
+/**
+ * RFC 4180 CSV with a header row.
+ */
+function toCsv(rows) {
+    const cell = value => {
+        const s = _neutralizeFormula(value);
+        return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    const lines = [MATRIX_COLUMNS.map(c => cell(c.label)).join(',')];
+    for (const row of rows) lines.push(MATRIX_COLUMNS.map(c => cell(row[c.key])).join(','));
+    return Buffer.from(lines.join('\r\n') + '\r\n', 'utf-8');
+}
+
+function _xml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function _columnLetter(index) {
+    let n = index + 1;
+    let letters = '';
+    while (n > 0) {
+        const rem = (n - 1) % 26;
+        letters = String.fromCharCode(65 + rem) + letters;
+        n = Math.floor((n - 1) / 26);
+    }
+    return letters;
+}
+
+/**
+ * Single-sheet XLSX (inline strings, bold frozen header row, autofilter).
+ *
+ * @param {Array<object>} rows
+ * @param {object} [options]
+ * @param {string} [options.sheetName='Compliance Matrix']
+ * @returns {Buffer}
+ */
+function toXlsx(rows, options = {}) {
+    const sheetName = _xml(String(options.sheetName || 'Compliance Matrix').replace(/[\\/?*[\]:]/g, ' ').substring(0, 31));
+    const lastCol = _columnLetter(MATRIX_COLUMNS.length - 1);
+
+    const rowXml = (values, r, style) => `<row r="${r}">${values.map((v, c) =>
+        `<c r="${_columnLetter(c)}${r}" t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${_xml(v)}</t></is></c>`
+    ).join('')}</row>`;
+
+    const sheetRows = [
+        rowXml(MATRIX_COLUMNS.map(c => c.label), 1, 1),
+        ...rows.map((row, i) => rowXml(MATRIX_COLUMNS.map(c => row[c.key]), i + 2, 2)),
+    ].join('');
+
+    const sheet = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+        + `<cols>${MATRIX_COLUMNS.map((c, i) => `<col min="${i + 1}" max="${i + 1}" width="${c.width}" customWidth="1"/>`).join('')}</cols>`
+        + `<sheetData>${sheetRows}</sheetData>`
+        + `<autoFilter ref="A1:${lastCol}${rows.length + 1}"/>`
+        + '</worksheet>';
+
+    const workbook = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + `<sheets><sheet name="${sheetName}" sheetId="1" r:id="rId1"/></sheets>`
+        + `<definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">'${sheetName.replace(/'/g, "''")}'!$A$1:$${lastCol}$${rows.length + 1}</definedName></definedNames>`
+        + '</workbook>';
+
+    // 0 = default, 1 = bold header, 2 = wrapped body text aligned top
+    const styles = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="3">'
+        + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+        + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+        + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" applyAlignment="1"><alignment vertical="top" wrapText="1"/></xf>'
+        + '</cellXfs>'
+        + '</styleSheet>';
+
+    const zip = new AdmZip();
+    zip.addFile('[Content_Types].xml', Buffer.from('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + '</Types>'));
+    zip.addFile('_rels/.rels', Buffer.from('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>'));
+    zip.addFile('xl/workbook.xml', Buffer.from(workbook));
+    zip.addFile('xl/_rels/workbook.xml.rels', Buffer.from('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+        + '</Relationships>'));
+    zip.addFile('xl/worksheets/sheet1.xml', Buffer.from(sheet));
+    zip.addFile('xl/styles.xml', Buffer.from(styles));
+    return zip.toBuffer();
+}
+
+/**
+ * Word table version, with a title and a status summary line.
+ *
+ * @param {Array<object>} rows
+ * @param {object} [options]
+ * @param {string} [options.title]
+ * @param {string} [options.subtitle]
+ * @returns {Buffer}
+ */
+function toDocx(rows, options = {}) {
+    const title = options.title || 'Compliance Matrix';
+    const counts = ['Present', 'Unclear', 'Missing'].map(s => `${rows.filter(r => r.status === s).length} ${s.toLowerCase()}`);
+
+    const blocks = [
+        { type: 'heading', level: 1, runs: [{ text: title }] },
+        ...(options.subtitle ? [{ type: 'paragraph', runs: [{ text: options.subtitle }] }] : []),
+        { type: 'paragraph', runs: [{ text: `${rows.length} requirements: ${counts.join(', ')}` }] },
+        {
+            type:   'table',
+            plain:  true, // requirement text is quoted from the RFP, not markdown
+            header: MATRIX_COLUMNS.map(c => c.label),
+            rows:   rows.map(row => MATRIX_COLUMNS.map(c => String(row[c.key] ?? ''))),
+        },
+    ];
+    return buildDocx(blocks, { title });
+}
+
+// ── Export ───────────────────────────────────────────────────────────────────
+
+/**
+ * Build the compliance matrix file for a pursuit.
+ *
+ * @param {string} pursuitId
+ * @param {string} userId — gov identity (workspace owner uid)
+ * @param {object} [opts]
+ * @param {string} [opts.format='xlsx'] — one of MATRIX_FORMATS
+ * @param {string} [opts.evaluationId] — defaults to the pursuit's latest evaluation
+ * @returns {Promise<{ buffer: Buffer, contentType: string, filename: string, rowCount: number }>}
+ */
+async function exportComplianceMatrix(pursuitId, userId, opts = {}) {
+    const format = opts.format || 'xlsx';
+    if (!MATRIX_FORMATS.includes(format)) {
+        throw _err('INVALID_FORMAT', `format must be one of: ${MATRIX_FORMATS.join(', ')}`);
+    }
+
+    const db = _db();
+    const pursuitSnap = await db.collection('govPursuits').doc(pursuitId).get();
+    if (!pursuitSnap.exists) throw _err('PURSUIT_NOT_FOUND', 'Pursuit not found');
+    const pursuit = pursuitSnap.data();
+    if (pursuit.userId !== userId) throw _err('FORBIDDEN', 'Access denied');
+
+    const evaluationId = opts.evaluationId || pursuit.latestEvaluationId;
+    if (!evaluationId) throw _err('NO_EVALUATION', 'Run an evaluation on this pursuit first');
+    const evalSnap = await db.collection('govEvaluations').doc(evaluationId).get();
+    const evaluation = evalSnap.exists ? evalSnap.data() : null;
+    if (!evaluation || evaluation.userId !== userId || evaluation.pursuitId !== pursuitId) {
+        throw _err('EVALUATION_NOT_FOUND', 'Evaluation not found');
+    }
+
+    // The draft may have been deleted since — rows still export, without sections
+    let draftText = '';
+    if (evaluation.proposalDocId) {
+        const proposalSnap = await db.collection('govProposalDocs').doc(evaluation.proposalDocId).get();
+        if (proposalSnap.exists) draftText = proposalSnap.data().extractedText || '';
+    }
+
+    const rows = buildMatrixRows({
+        requirements:  evaluation.passA?.requirements || [],
+        draftText,
+        tasks:         pursuit.tasks || [],
+        sectionOwners: pursuit.sectionOwners || {},
+    });
+
+    const title = `Compliance Matrix — ${pursuit.title || 'Pursuit'}`;
+    const safeTitle = (pursuit.title || 'pursuit').replace(/[^a-zA-Z0-9]/g, '_').substring(0, 40);
+    const filename = `Compliance_Matrix_${safeTitle}_${new Date().toISOString().split('T')[0]}.${format}`;
+
+    let buffer;
+    let contentType;
+    if (format === 'csv') {
+        buffer = toCsv(rows);
+        contentType = 'text/csv; charset=utf-8';
+    } else if (format === 'docx') {
+        buffer = toDocx(rows, { title, subtitle: pursuit.buyerName || undefined });
+        contentType = DOCX_MIME_TYPE;
+    } else {
+        buffer = toXlsx(rows);
+        contentType = XLSX_MIME_TYPE;
+    }
+
+    return { buffer, contentType, filename, rowCount: rows.length };
+}
+
+module.exports = {
+    MATRIX_FORMATS,
+    MATRIX_COLUMNS,
+    XLSX_MIME_TYPE,
+    rfpReference,
+    findDraftHeadings,
+    locateProposalSection,
+    buildMatrixRows,
+    toCsv,
+    toXlsx,
+    toDocx,
+    exportComplianceMatrix,
+};
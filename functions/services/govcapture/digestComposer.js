@@ -46,10 +46,14 @@ function _scoreBadgeColor(label) {
  * @param {object} [options={}]
  * @param {boolean} [options.sendEmptyDigest=false]
  * @param {string} [options.frequency='daily']
- * @returns {{ subject, htmlBody, textBody, opportunityCount, opportunityIds }|null}
+ * @param {Array} [options.amendments=[]] — watched GovOpportunities with a latestAmendment in the window
+ * @param {Array} [options.overdueTasks=[]] — open pursuit tasks past due (govPursuitTaskService.listOverdueTasks)
+ * @returns {{ subject, htmlBody, textBody, opportunityCount, opportunityIds, amendmentCount, overdueTaskCount }|null}
  */
 function composeDigest(profile, opportunities, options = {}) {
     const { sendEmptyDigest = false, frequency = 'daily' } = options;
+    const amended = (options.amendments || []).filter(o => o.latestAmendment?.items?.length > 0);
+    const overdue = options.overdueTasks || [];
     const companyName = _esc(profile.profileName || 'Your Company');
     const dateStr = new Date().toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
 
@@ -60,7 +64,7 @@ function composeDigest(profile, opportunities, options = {}) {
 
     const count = sorted.length;
 
-    if (count === 0) {
+    if (count === 0 && amended.length === 0 && overdue.length === 0) {
         if (!sendEmptyDigest) return null;
 
         const subject = _stripCRLF(`SynchGov ${frequency} digest: 0 opportunities for ${profile.profileName || 'your profile'}`);
@@ -70,29 +74,119 @@ function composeDigest(profile, opportunities, options = {}) {
         `, companyName, dateStr);
         const textBody = `SynchGov ${frequency} digest for ${profile.profileName || 'your profile'}\n\nNo new opportunities matched your criteria since the last digest.`;
 
-        return { subject, htmlBody, textBody, opportunityCount: 0, opportunityIds: [] };
+        return { subject, htmlBody, textBody, opportunityCount: 0, opportunityIds: [], amendmentCount: 0, overdueTaskCount: 0 };
     }
 
-    const subject = _stripCRLF(`SynchGov ${frequency} digest: ${count} opportunit${count === 1 ? 'y' : 'ies'} for ${profile.profileName || 'your profile'}`);
+    const subjectParts = [];
+    if (count > 0) subjectParts.push(`${count} opportunit${count === 1 ? 'y' : 'ies'}`);
+    if (amended.length) subjectParts.push(`${amended.length} update${amended.length === 1 ? '' : 's'} to tracked opportunities`);
+    if (overdue.length) subjectParts.push(`${overdue.length} overdue pursuit task${overdue.length === 1 ? '' : 's'}`);
+    const subject = _stripCRLF(`SynchGov ${frequency} digest: ${subjectParts.join(' + ')} for ${profile.profileName || 'your profile'}`);
     const opportunityIds = sorted.map(o => o._id || o.id || o.canonicalKey).filter(Boolean);
 
     // Build HTML rows
     const rows = sorted.map(opp => _renderOppRow(opp)).join('');
+    const updates = amended.length ? `
+        <h2 style="color:#1F2937;margin:0 0 8px">Updates to Tracked Opportunities</h2>
+        <p style="color:#6B7280;font-size:13px;margin:0 0 16px">Amendments posted since the last digest</p>
+        ${amended.map(opp => _renderAmendmentRow(opp)).join('')}` : '';
+    const reminders = overdue.length ? `
+        <h2 style="color:#1F2937;margin:${amended.length ? '24px' : '0'} 0 8px">Overdue Pursuit Tasks</h2>
+        <p style="color:#6B7280;font-size:13px;margin:0 0 16px">Open checklist items past their due date</p>
+        ${_renderOverdueTable(overdue)}` : '';
     const htmlBody = _wrapHtml(`
-        <h2 style="color:#1F2937;margin:0 0 8px">${count} Opportunit${count === 1 ? 'y' : 'ies'} Found</h2>
+        ${updates}
+        ${reminders}
+        ${count > 0 ? `<h2 style="color:#1F2937;margin:${amended.length || overdue.length ? '24px' : '0'} 0 8px">${count} Opportunit${count === 1 ? 'y' : 'ies'} Found</h2>
         <p style="color:#6B7280;font-size:13px;margin:0 0 24px">${_esc(frequency)} digest for ${companyName}</p>
-        ${rows}
+        ${rows}` : ''}
     `, companyName, dateStr);
 
     // Plain text (generated separately — not HTML-stripped)
-    const textRows = sorted.map(opp => _renderOppText(opp)).join('\n---\n');
-    const textBody = `SynchGov ${frequency} digest for ${profile.profileName || 'your profile'}\n${count} opportunities found\n\n${textRows}\n\n---\nGenerated by SynchGov · ${dateStr}`;
+    const textSections = [];
+    if (amended.length) {
+        textSections.push(`Updates to tracked opportunities\n\n${amended.map(opp => _renderAmendmentText(opp)).join('\n---\n')}`);
+    }
+    if (overdue.length) {
+        textSections.push(`Overdue pursuit tasks\n\n${overdue.map(task => _renderOverdueText(task)).join('\n')}`);
+    }
+    if (count > 0) {
+        textSections.push(`${count} opportunities found\n\n${sorted.map(opp => _renderOppText(opp)).join('\n---\n')}`);
+    }
+    const textBody = `SynchGov ${frequency} digest for ${profile.profileName || 'your profile'}\n${textSections.join('\n\n===\n\n')}\n\n---\nGenerated by SynchGov · ${dateStr}`;
+
+    return {
+        subject, htmlBody, textBody,
+        opportunityCount: count, opportunityIds,
+        amendmentCount: amended.length,
+        overdueTaskCount: overdue.length,
+    };
+}
+
+// ── Amendment items ──────────────────────────────────────────────────────────
+
+function _formatDate(value) {
+    if (!value) return 'none';
+    const d = new Date(value);
+    return isNaN(d.getTime()) ? String(value) : d.toLocaleDateString('en-US');
+}
 
-    return { subject, htmlBody, textBody, opportunityCount: count, opportunityIds };
+/**
+ * One-line description of an amendmentTracker item.
+ */
+function describeAmendmentItem(item) {
+    switch (item.type) {
+        case 'deadline_moved':
+            return `Deadline moved: ${_formatDate(item.from)} → ${_formatDate(item.to)}`;
+        case 'new_attachment': {
+            const names = (item.attachments || []).map(a => String(a).split('/').pop() || String(a));
+            return `New attachment${names.length === 1 ? '' : 's'}: ${names.join(', ')}`;
+        }
+        case 'description_updated':
+            return 'Description updated';
+        case 'fields_changed':
+            return `Updated: ${(item.fields || []).join(', ')}`;
+        default:
+            return 'Updated';
+    }
+}
+
+function _amendmentLines(opp) {
+    const amendment = opp.latestAmendment;
+    const lines = amendment.items.map(describeAmendmentItem);
+    if (amendment.rescored && amendment.rescored.from !== amendment.rescored.to) {
+        lines.push(`Fit re-scored: ${amendment.rescored.from ?? '—'} → ${amendment.rescored.to}`);
+    }
+    return lines;
 }
 
 // ── HTML Renderers ───────────────────────────────────────────────────────────
 
+function _renderAmendmentRow(opp) {
+    const title = _esc(opp.title || 'Untitled');
+    const buyer = _esc(opp.buyerName || '');
+    const items = _amendmentLines(opp).map(line =>
+        `<li style="margin:2px 0">${_esc(line)}</li>`
+    ).join('');
+
+    return `
+    <div style="border:1px solid #FDE68A;background:#FFFBEB;border-radius:8px;padding:16px;margin-bottom:12px">
+        <h3 style="margin:0 0 4px;font-size:15px;color:#111827">${title}</h3>
+        <p style="margin:0 0 8px;font-size:13px;color:#6B7280">${buyer}</p>
+        <ul style="margin:0;padding-left:18px;font-size:13px;color:#92400E">${items}</ul>
+    </div>`;
+}
+
+function _renderOverdueTable(tasks) {
+    const rows = tasks.map(task => `
+        <tr>
+            <td style="padding:6px 8px;border-bottom:1px solid #F3F4F6;color:#111827">${_esc(task.title)}<br><span style="color:#6B7280;font-size:12px">${_esc(task.pursuitTitle)}</span></td>
+            <td style="padding:6px 8px;border-bottom:1px solid #F3F4F6;color:#DC2626;white-space:nowrap">${_esc(_formatDate(task.dueDate))}</td>
+            <td style="padding:6px 8px;border-bottom:1px solid #F3F4F6;color:#4B5563">${_esc(task.assigneeName || 'Unassigned')}</td>
+        </tr>`).join('');
+    return `<table style="width:100%;border-collapse:collapse;font-size:13px;margin-bottom:12px">${rows}</table>`;
+}
+
 function _renderOppRow(opp) {
     const fit       = opp.fit || {};
     const score     = fit.score || 0;
@@ -147,6 +241,14 @@ function _wrapHtml(bodyContent, companyName, dateStr) {
 
 // ── Plain Text Renderer ──────────────────────────────────────────────────────
 
+function _renderAmendmentText(opp) {
+    return [`${opp.title || 'Untitled'}${opp.buyerName ? ' — ' + opp.buyerName : ''}`, ..._amendmentLines(opp).map(l => `  • ${l}`)].join('\n');
+}
+
+function _renderOverdueText(task) {
+    return `  • ${task.title} (${task.pursuitTitle}) — due ${_formatDate(task.dueDate)} · ${task.assigneeName || 'Unassigned'}`;
+}
+
 function _renderOppText(opp) {
     const fit = opp.fit || {};
     const lines = [
@@ -163,6 +265,7 @@ function _renderOppText(opp) {
 
 module.exports = {
     composeDigest,
+    describeAmendmentItem,
     // Exported for testing
     _esc,
     _stripCRLF,
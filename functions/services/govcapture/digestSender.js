@@ -10,6 +10,7 @@
 const admin  = require('firebase-admin');
 const sgMail = require('@sendgrid/mail');
 const { composeDigest } = require('./digestComposer');
+const { listOverdueTasks } = require('./govPursuitTaskService');
 
 // ── Window Helpers ───────────────────────────────────────────────────────────
 
@@ -88,6 +89,7 @@ async function sendDigest(profile, options = {}) {
 
     // ── 2. Query opportunities ───────────────────────────────────────────
     let opportunities = [];
+    let amendments = [];
     try {
         // Two queries: created since window + updated since window, merge/dedupe
         const baseQuery = db.collection('govOpportunities')
@@ -110,8 +112,17 @@ async function sendDigest(profile, options = {}) {
             }
         }
 
+        // Amendments to watched opportunities are listed on their own,
+        // regardless of score — the user already chose to track them
+        amendments = all.filter(opp => {
+            const detectedAt = opp.latestAmendment?.detectedAt;
+            return detectedAt && new Date(detectedAt) >= window.start;
+        });
+        const amendedIds = new Set(amendments.map(opp => opp.id));
+
         // Filter by score + sources
         opportunities = all.filter(opp => {
+            if (amendedIds.has(opp.id)) return false;
             if ((opp.fit?.score || 0) < minScore) return false;
             if (includeSources.length > 0 && !includeSources.includes(opp.primarySource)) return false;
             return true;
@@ -123,8 +134,16 @@ async function sendDigest(profile, options = {}) {
         return log;
     }
 
+    // Overdue pursuit checklist items — a reminder, never a reason to fail the digest
+    let overdueTasks = [];
+    try {
+        overdueTasks = await listOverdueTasks(profileId);
+    } catch (err) {
+        console.warn(`[DigestSender] Overdue task lookup failed for ${profileId}:`, err.message);
+    }
+
     // ── 3. Compose ───────────────────────────────────────────────────────
-    const composed = composeDigest(profile, opportunities, { sendEmptyDigest: sendEmpty, frequency });
+    const composed = composeDigest(profile, opportunities, { sendEmptyDigest: sendEmpty, frequency, amendments, overdueTasks });
 
     if (!composed) {
         const log = _buildLog(profileId, digestWindowKey, frequency, recipients, 0, [], 'skipped', 'no_qualifying_opportunities');
@@ -163,7 +182,7 @@ async function sendDigest(profile, options = {}) {
         const log = _buildLog(profileId, digestWindowKey, frequency, recipients, composed.opportunityCount, composed.opportunityIds, 'sent', null);
         await _writeLog(db, log);
 
-        console.log(`[DigestSender] ✅ Sent ${frequency} digest for ${profileId}: ${composed.opportunityCount} opportunities to ${recipients.length} recipients`);
+        console.log(`[DigestSender] ✅ Sent ${frequency} digest for ${profileId}: ${composed.opportunityCount} opportunities, ${composed.amendmentCount} amendments, ${composed.overdueTaskCount} overdue tasks to ${recipients.length} recipients`);
         return log;
 
     } catch (err) {
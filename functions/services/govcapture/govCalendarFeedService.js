@@ -0,0 +1,429 @@
+'use strict';
+
+/**
+ * govCalendarFeedService.js — ICS subscription feed of pursuit deadlines.
+ *
+ * Each user can mint a private feed URL (one per user, in govCalendarFeeds/{uid})
+ * that Outlook / Google Calendar / Apple Calendar poll. The feed lists, for every
+ * active pursuit in the user's gov workspace:
+ *
+ *   deadline — the opportunity's response deadline (timed, with a 1-day alarm)
+ *   key dates — Q&A cutoff, site visit and pre-proposal conference, read from
+ *               the full notice text (all-day; the sentence they came from
+ *               rides in the event description)
+ *
+ * Everything is rendered from the live opportunity on each poll, so an amended
+ * deadline shows up on the next refresh. Key dates need the RFP text (for
+ * SAM.gov that's a separate fetch), so they're extracted once when the
+ * opportunity is pursued and again when it's amended, and stored on the
+ * opportunity as `keyDates`. Event UIDs are stable per pursuit and
+ * kind, and SEQUENCE follows the opportunity's amendmentCount so clients
+ * replace rather than duplicate the event.
+ *
+ * Token design (same as workspace invites / pitch share links):
+ *   - 32-byte random token → hex, returned once to the caller
+ *   - only the SHA-256 hash is stored; minting again rotates the URL
+ *   - revocation deletes nothing — revokedAt makes the hash dead
+ *   - a member's feed stops working when they leave the workspace
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+
+const FEED_COLLECTION = 'govCalendarFeeds';
+const MAX_FEED_PURSUITS = 200;
+const REFRESH_INTERVAL = 'PT1H';
+const PRODID = '-//PathSynch//SynchGov Bid Calendar//EN';
+
+const KEY_DATE_KINDS = {
+    qa_cutoff:  { label: 'Q&A cutoff',               pattern: /\b(?:questions?|inquir(?:y|ies)|q\s*&\s*a)\b[\s\S]*\b(?:due|deadline|no later than|cut-?off|submit(?:ted)?|received)\b|\b(?:due|deadline|cut-?off)\b[\s\S]*\b(?:questions?|inquir(?:y|ies))\b/i },
+    site_visit: { label: 'Site visit',               pattern: /\bsite (?:visit|walk)|\bwalk-?through\b/i },
+    conference: { label: 'Pre-proposal conference',  pattern: /\bpre-?(?:bid|proposal|solicitation) (?:conference|meeting)|\bindustry day\b/i },
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const DATE_PATTERNS = [
+    // 2026-11-02
+    [/\b(\d{4})-(\d{2})-(\d{2})\b/, m => [m[1], m[2], m[3]]],
+    // 11/02/2026
+    [/\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/, m => [m[3], m[1], m[2]]],
+    // November 2, 2026 / Nov. 2nd 2026
+    [/\b(jan|feb|mar|apr|may|jun|jul|aug|sept?|oct|nov|dec)[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/i,
+        m => [m[3], MONTHS.indexOf(m[1].slice(0, 3).toLowerCase()) + 1, m[2]]],
+    // 2 November 2026
+    [/\b(\d{1,2})\s+(jan|feb|mar|apr|may|jun|jul|aug|sept?|oct|nov|dec)[a-z]*\.?,?\s+(\d{4})\b/i,
+        m => [m[3], MONTHS.indexOf(m[2].slice(0, 3).toLowerCase()) + 1, m[1]]],
+];
+
+function _db() {
+    return admin.firestore();
+}
+
+/** Coded error so routes can map to the right HTTP status. */
+function _err(code, message) {
+    const e = new Error(message || code);
+    e.code = code;
+    return e;
+}
+
+// ── Token helpers ────────────────────────────────────────────────────────────
+
+function generateToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function hashToken(plainToken) {
+    return crypto.createHash('sha256').update(plainToken).digest('hex');
+}
+
+function isWellFormedToken(token) {
+    return typeof token === 'string' && /^[a-f0-9]{64}$/.test(token);
+}
+
+/**
+ * Subscription URLs for a token. The host comes from API_BASE_URL — a guessed
+ * default would hand out links to the wrong deployment.
+ */
+function feedUrls(token) {
+    if (!process.env.API_BASE_URL) throw _err('NOT_CONFIGURED', 'API_BASE_URL is not configured');
+    const base = process.env.API_BASE_URL.replace(/\/+$/, '');
+    const url = `${base}/api/v1/govcapture/calendar/${token}.ics`;
+    return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+}
+
+// ── Key dates (pure) ─────────────────────────────────────────────────────────
+
+/**
+ * First calendar date in a piece of text, as YYYY-MM-DD. Year-less dates are
+ * ignored — guessing the year is how deadlines land in the wrong month.
+ */
+function parseDate(text) {
+    for (const [pattern, parts] of DATE_PATTERNS) {
+        const m = pattern.exec(text || '');
+        if (!m) continue;
+        const [y, mo, d] = parts(m).map(Number);
+        const date = new Date(Date.UTC(y, mo - 1, d));
+        if (y < 2000 || date.getUTCMonth() !== mo - 1 || date.getUTCDate() !== d) continue;
+        return date.toISOString().slice(0, 10);
+    }
+    return null;
+}
+
+/**
+ * Q&A cutoff, site visit and conference dates mentioned in the notice text.
+ * One per kind — the first sentence naming it with a date.
+ *
+ * @param {string} text — opportunity description
+ * @returns {Array<{ kind: string, date: string, source: string }>}
+ */
+function extractKeyDates(text) {
+    const sentences = String(text || '')
+        .split(/\n+|(?<=[.;!?])\s+(?=[A-Z])/)
+        .map(s => s.trim())
+        .filter(Boolean);
+
+    const found = new Map();
+    for (const sentence of sentences) {
+        const date = parseDate(sentence);
+        if (!date) continue;
+        const kind = Object.keys(KEY_DATE_KINDS).find(k => KEY_DATE_KINDS[k].pattern.test(sentence));
+        if (kind && !found.has(kind)) {
+            found.set(kind, { kind, date, source: sentence.length > 300 ? `${sentence.slice(0, 300)}…` : sentence });
+        }
+    }
+    return [...found.values()];
+}
+
+// ── Key date storage ─────────────────────────────────────────────────────────
+
+/**
+ * Re-read the opportunity's RFP text and store its key dates. Called when an
+ * opportunity is pursued and when a watched one is amended. Never throws — a
+ * failed extraction must not fail pursuit creation or a sync.
+ *
+ * @param {object} oppRef — DocumentReference of the opportunity
+ * @param {object} opp — its current data
+ * @returns {Promise<Array|null>} — the stored key dates, or null on failure
+ */
+async function refreshKeyDates(oppRef, opp) {
+    try {
+        const { _getRfpText } = require('./govEvaluationService');
+        const keyDates = extractKeyDates(await _getRfpText(opp));
+        await oppRef.update({ keyDates, keyDatesExtractedAt: new Date().toISOString() });
+        return keyDates;
+    } catch (err) {
+        console.warn(`[GovCalendar] key date extraction failed for ${oppRef.id}:`, err.message);
+        return null;
+    }
+}
+
+// ── ICS rendering (pure) ─────────────────────────────────────────────────────
+
+/** RFC 5545 TEXT escaping. */
+function escapeText(value) {
+    return String(value == null ? '' : value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/** Fold a content line at 75 octets without splitting a UTF-8 character. */
+function foldLine(line) {
+    const out = [];
+    let current = '';
+    let octets = 0;
+    for (const ch of line) {
+        const size = Buffer.byteLength(ch, 'utf-8');
+        const limit = out.length === 0 ? 75 : 74; // continuation lines start with a space
+        if (octets + size > limit) {
+            out.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += ch;
+        octets += size;
+    }
+    out.push(current);
+    return out.join('\r\n ');
+}
+
+function _icsDateTime(value) {
+    return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function _toDate(value) {
+    if (!value) return null;
+    const d = value.toDate ? value.toDate() : new Date(value);
+    return isNaN(d.getTime()) ? null : d;
+}
+
+// Notices that give a deadline without a time (11022026, 11/02/2026) mean the day
+function _isDateOnly(raw) {
+    return typeof raw === 'string' && raw.trim() !== '' && !/\d:\d{2}|T\d/.test(raw);
+}
+
+/**
+ * Calendar events for one active pursuit.
+ *
+ * @param {object} pursuit — { id, title, stage, ... }
+ * @param {object} opp — source GovOpportunity (may be {})
+ * @returns {Array<object>} — events for buildCalendar
+ */
+function buildPursuitEvents(pursuit, opp = {}) {
+    const title = opp.title || pursuit.title || 'Untitled pursuit';
+    const details = [
+        opp.agencyName || opp.buyerName || pursuit.buyerName ? `Buyer: ${opp.agencyName || opp.buyerName || pursuit.buyerName}` : null,
+        opp.solicitationNumber ? `Solicitation: ${opp.solicitationNumber}` : null,
+        pursuit.stage ? `Pursuit stage: ${pursuit.stage.replace(/_/g, ' ')}` : null,
+    ].filter(Boolean);
+
+    const amendedAt = _toDate(opp.lastAmendedAt);
+    if (amendedAt) details.push(`Amended ${amendedAt.toISOString().slice(0, 10)} — check the notice for changes.`);
+
+    const common = {
+        sequence:     Number.isInteger(opp.amendmentCount) ? opp.amendmentCount : 0,
+        lastModified: amendedAt,
+        url:          ((opp.sourceRefs || []).find(r => r && r.sourceUrl) || {}).sourceUrl || null,
+    };
+
+    const events = [];
+    const due = _toDate(opp.dueDate || pursuit.responseDeadline);
+    if (due) {
+        const rawDue = opp.dueDate ? opp.rawDates?.dueDateRaw : null;
+        const when = _isDateOnly(rawDue)
+            ? { date: parseDate(rawDue) || due.toISOString().slice(0, 10) }
+            : { start: due };
+        events.push({
+            ...common,
+            ...when,
+            uid:         `${pursuit.id}-deadline@synchgov`,
+            summary:     `Proposal due: ${title}`,
+            description: details.join('\n'),
+            alarm:       'P1D',
+        });
+    }
+
+    // Opportunities pursued before keyDates was stored fall back to the description
+    const keyDates = Array.isArray(opp.keyDates) ? opp.keyDates : extractKeyDates(opp.description);
+    for (const keyDate of keyDates) {
+        if (!KEY_DATE_KINDS[keyDate.kind]) continue;
+        events.push({
+            ...common,
+            uid:         `${pursuit.id}-${keyDate.kind}@synchgov`,
+            date:        keyDate.date,
+            summary:     `${KEY_DATE_KINDS[keyDate.kind].label}: ${title}`,
+            description: [`From the notice: "${keyDate.source}"`, ...details].join('\n'),
+        });
+    }
+    return events;
+}
+
+/**
+ * Serialize events into a VCALENDAR document (CRLF line endings, folded).
+ *
+ * @param {Array<object>} events — { uid, start?: Date, date?: 'YYYY-MM-DD', summary, description, url, sequence, lastModified, alarm }
+ * @param {object} [options]
+ * @param {string} [options.name]
+ * @param {Date} [options.now]
+ * @returns {string}
+ */
+function buildCalendar(events, { name = 'SynchGov bid calendar', now = new Date() } = {}) {
+    const stamp = _icsDateTime(now);
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+        `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    ];
+
+    for (const event of events) {
+        lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${stamp}`);
+        if (event.date) {
+            const next = new Date(`${event.date}T00:00:00Z`);
+            next.setUTCDate(next.getUTCDate() + 1);
+            lines.push(
+                `DTSTART;VALUE=DATE:${event.date.replace(/-/g, '')}`,
+                `DTEND;VALUE=DATE:${next.toISOString().slice(0, 10).replace(/-/g, '')}`,
+                'TRANSP:TRANSPARENT',
+            );
+        } else {
+            lines.push(`DTSTART:${_icsDateTime(event.start)}`, `DTEND:${_icsDateTime(event.start)}`);
+        }
+        lines.push(`SUMMARY:${escapeText(event.summary)}`);
+        if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        if (event.url) lines.push(`URL:${event.url}`);
+        lines.push(`SEQUENCE:${event.sequence || 0}`);
+        if (event.lastModified) lines.push(`LAST-MODIFIED:${_icsDateTime(event.lastModified)}`);
+        if (event.alarm) {
+            lines.push(
+                'BEGIN:VALARM', 'ACTION:DISPLAY', `TRIGGER:-${event.alarm}`,
+                `DESCRIPTION:${escapeText(event.summary)}`, 'END:VALARM',
+            );
+        }
+        lines.push('END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// ── Feed management ──────────────────────────────────────────────────────────
+
+/**
+ * Mint (or rotate) the caller's feed URL. Any previous URL stops working.
+ *
+ * @param {string} uid — the calling user (req.userId)
+ * @param {string} govUserId — whose pursuits the feed shows (workspace owner uid)
+ * @param {string|null} workspaceId
+ * @returns {Promise<{ url: string, webcalUrl: string, createdAt: string }>}
+ */
+async function createFeed(uid, govUserId, workspaceId) {
+    const token = generateToken();
+    const urls = feedUrls(token); // before the write, so a misconfigured host rotates nothing
+    const createdAt = new Date().toISOString();
+    await _db().collection(FEED_COLLECTION).doc(uid).set({
+        uid,
+        govUserId,
+        workspaceId:   workspaceId || null,
+        tokenHash:     hashToken(token),
+        createdAt,
+        revokedAt:     null,
+        lastFetchedAt: null,
+    });
+    return { ...urls, createdAt };
+}
+
+/**
+ * Feed status for the settings screen. The URL itself can't be shown again —
+ * only its hash is stored.
+ */
+async function getFeedStatus(uid) {
+    const snap = await _db().collection(FEED_COLLECTION).doc(uid).get();
+    if (!snap.exists || snap.data().revokedAt) return { active: false };
+    const feed = snap.data();
+    return { active: true, createdAt: feed.createdAt, lastFetchedAt: feed.lastFetchedAt || null };
+}
+
+async function revokeFeed(uid) {
+    const ref = _db().collection(FEED_COLLECTION).doc(uid);
+    const snap = await ref.get();
+    if (!snap.exists || snap.data().revokedAt) throw _err('FEED_NOT_FOUND', 'No active calendar feed');
+    await ref.update({ revokedAt: new Date().toISOString() });
+}
+
+// ── Feed rendering ───────────────────────────────────────────────────────────
+
+/**
+ * Render the ICS document for a presented token.
+ *
+ * @param {string} token — plaintext token from the URL
+ * @returns {Promise<string|null>} — null when the token is unknown, revoked or
+ *          its owner has left the workspace
+ */
+async function renderFeed(token) {
+    if (!isWellFormedToken(token)) return null;
+    const db = _db();
+
+    const snap = await db.collection(FEED_COLLECTION)
+        .where('tokenHash', '==', hashToken(token))
+        .limit(1)
+        .get();
+    if (snap.empty) return null;
+
+    const feedDoc = snap.docs[0];
+    const feed = feedDoc.data();
+    if (feed.revokedAt) return null;
+
+    // Members see the owner's pursuits only while they're still on the workspace
+    if (feed.uid !== feed.govUserId) {
+        if (!feed.workspaceId) return null;
+        const { getMembership } = require('../workspaceService');
+        const membership = await getMembership(feed.workspaceId, feed.uid);
+        if (!membership || membership.status !== 'active') return null;
+    }
+
+    const pursuitsSnap = await db.collection('govPursuits')
+        .where('userId', '==', feed.govUserId)
+        .where('active', '==', true)
+        .limit(MAX_FEED_PURSUITS)
+        .get();
+    const pursuits = pursuitsSnap.docs.map(d => ({ id: d.id, ...d.data() }));
+
+    const opps = await Promise.all(pursuits.map(async (p) => {
+        if (!p.sourceOpportunityId) return {};
+        const oppSnap = await db.collection('govOpportunities').doc(p.sourceOpportunityId).get();
+        return oppSnap.exists && oppSnap.data().userId === feed.govUserId ? oppSnap.data() : {};
+    }));
+
+    const events = pursuits.flatMap((p, i) => buildPursuitEvents(p, opps[i]));
+
+    // Non-blocking — a failed stamp never breaks a calendar refresh
+    feedDoc.ref.update({ lastFetchedAt: new Date().toISOString() }).catch(() => {});
+
+    return buildCalendar(events);
+}
+
+module.exports = {
+    FEED_COLLECTION,
+    KEY_DATE_KINDS,
+    hashToken,
+    isWellFormedToken,
+    feedUrls,
+    parseDate,
+    extractKeyDates,
+    refreshKeyDates,
+    escapeText,
+    foldLine,
+    buildPursuitEvents,
+    buildCalendar,
+    createFeed,
+    getFeedStatus,
+    revokeFeed,
+    renderFeed,
+};
@@ -59,7 +59,9 @@ function _err(code, message) {
 
 // ── RFP text resolution ───────────────────────────────────────────────────────
 // Prefer the full raw payload in Storage (sourceRefs[0].rawPayloadRef); fall
-// back to the (5,000-char-capped) description on the opportunity doc.
+// back to the (5,000-char-capped) description on the opportunity doc. SAM.gov
+// records carry no description — their text sits behind the newest ref's
+// descriptionUrl.
 
 async function _getRfpText(opp) {
     const ref = Array.isArray(opp.sourceRefs) ? opp.sourceRefs[0] : null;
@@ -77,7 +79,17 @@ async function _getRfpText(opp) {
             console.warn(`[GovEval] raw payload read failed (${path}):`, err.message);
         }
     }
-    return [opp.title, opp.description].filter(Boolean).join('\n\n');
+    let description = opp.description;
+    const samRef = !description && Array.isArray(opp.sourceRefs)
+        ? [...opp.sourceRefs].reverse().find(r => r && r.source === 'sam_gov' && r.descriptionUrl)
+        : null;
+    if (samRef) {
+        const { fetchNoticeDescription } = require('./samGovClient');
+        const fetched = await fetchNoticeDescription(samRef.descriptionUrl);
+        if (fetched.success) description = fetched.data.text.substring(0, RFP_TEXT_CAP);
+        else console.warn(`[GovEval] SAM description fetch failed (${samRef.descriptionUrl}):`, fetched.error);
+    }
+    return [opp.title, description].filter(Boolean).join('\n\n');
 }
 
 // ── Pass A, step 1 — requirement extraction (SIMPLE) ─────────────────────────
@@ -94,6 +106,8 @@ const REQUIREMENTS_SCHEMA = {
                     category: { type: 'string', enum: REQUIREMENT_CATEGORIES },
                     text:     { type: 'string' },
                     keywords: { type: 'array', items: { type: 'string' } },
+                    // Where the RFP states it (e.g. "L.4.2") — feeds the compliance matrix
+                    sectionRef: { type: 'string' },
                 },
                 required: ['id', 'category', 'text', 'keywords'],
             },
@@ -111,7 +125,9 @@ async function extractRequirements(rfpText) {
             + 'lowercase keywords that would appear in a compliant response. Prefer SPECIFIC '
             + 'multi-word phrases and exact identifiers (form numbers like "sf-1449", standard '
             + 'names like "nist 800-53", section titles) over short generic single words — a bare '
-            + 'token like "nist" or "form" matches too loosely. Only list requirements the '
+            + 'token like "nist" or "form" matches too loosely. When the RFP numbers the '
+            + 'paragraph a requirement comes from (e.g. "L.4.2", "Section M.3"), put that '
+            + 'reference in sectionRef. Only list requirements the '
             + 'document actually states — never invent requirements.',
         userPrompt: `RFP TEXT:\n\n${rfpText.substring(0, RFP_TEXT_CAP)}`,
         responseSchema: REQUIREMENTS_SCHEMA,
@@ -131,13 +131,17 @@ async function createPursuit(userId, oppId, opts = {}) {
             updatedAt:        now,
         });
 
-        return { pursuit: { id: newRef.id, ...pursuit }, created: true };
+        return { pursuit: { id: newRef.id, ...pursuit }, created: true, opp };
     });
 
-    if (result.created) {
-        await _logPursuitActivity(userId, result.pursuit, null, INITIAL_STAGE);
+    const { opp, ...outcome } = result;
+    if (outcome.created) {
+        await _logPursuitActivity(userId, outcome.pursuit, null, INITIAL_STAGE);
+        // Calendar key dates need the full notice text — read it once, now that it matters
+        const { refreshKeyDates } = require('./govCalendarFeedService');
+        await refreshKeyDates(oppRef, opp);
     }
-    return result;
+    return outcome;
 }
 
 // ── transitionStage ─────────────────────────────────────────────────────────────
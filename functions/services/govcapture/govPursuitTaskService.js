@@ -0,0 +1,449 @@
+'use strict';
+
+/**
+ * govPursuitTaskService.js — Team collaboration on pursuits: section owners,
+ * a per-stage task checklist and back-scheduled due dates.
+ *
+ * Pursuits are already shared across a workspace (every gov route keys on the
+ * workspace owner's uid — see effectiveGovUserId in govcaptureRoutes), so
+ * collaboration here means who owns what: each proposal section
+ * (govPursuits.PURSUIT_SECTIONS) has an owner, and tasks inherit their
+ * section's owner unless assigned by hand. Assignees must be the owner or an
+ * active member of the pursuit's workspace.
+ *
+ * The checklist comes from the RFP requirements Pass A extracts
+ * (govEvaluationService) — reused from the latest evaluation when there is
+ * one — plus a fixed set of template tasks per stage. Due dates count back
+ * from the opportunity's response deadline.
+ *
+ * Tasks live on the pursuit doc (`tasks`, bounded by MAX_TASKS) and are
+ * written in transactions, like stageHistory.
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { NON_TERMINAL_STAGES, PURSUIT_SECTIONS, MAX_TASKS } = require('./govPursuits');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Each stage finishes `days` before the deadline — or `share` of the remaining
+// lead time when that's shorter, so a two-week RFP still gets a usable plan.
+const STAGE_DUE_OFFSETS = {
+    planning:         { days: 21, share: 0.75 },
+    drafting:         { days: 10, share: 0.4 },
+    compliance_check: { days: 4,  share: 0.15 },
+    ready_to_submit:  { days: 1,  share: 0.05 },
+    submitted:        { days: 0,  share: 0 },
+    awaiting_result:  null,
+};
+
+// Pass A requirement category → where the work lands
+const REQUIREMENT_PLACEMENT = {
+    submission_instructions: { stage: 'ready_to_submit',  section: 'submission' },
+    required_forms:          { stage: 'compliance_check', section: 'compliance' },
+    page_limits:             { stage: 'compliance_check', section: 'compliance' },
+    certifications:          { stage: 'compliance_check', section: 'compliance' },
+    deadlines:               { stage: 'planning',         section: 'management' },
+    other:                   { stage: 'drafting',         section: 'technical' },
+};
+
+const TEMPLATE_TASKS = [
+    { key: 'bid_decision',       stage: 'planning',         section: 'management',       title: 'Confirm bid / no-bid decision' },
+    { key: 'assign_sections',    stage: 'planning',         section: 'management',       title: 'Assign section owners' },
+    { key: 'technical_approach', stage: 'drafting',         section: 'technical',        title: 'Draft technical approach' },
+    { key: 'past_performance',   stage: 'drafting',         section: 'past_performance', title: 'Draft past performance references' },
+    { key: 'pricing',            stage: 'drafting',         section: 'pricing',          title: 'Build pricing volume' },
+    { key: 'compliance_review',  stage: 'compliance_check', section: 'compliance',       title: 'Review draft against the compliance matrix' },
+    { key: 'final_signoff',      stage: 'ready_to_submit',  section: 'management',       title: 'Final review and sign-off' },
+    { key: 'submit',             stage: 'ready_to_submit',  section: 'submission',       title: 'Submit through the buyer portal' },
+];
+
+function _db() {
+    return admin.firestore();
+}
+
+/** Coded error so routes can map to the right HTTP status. */
+function _err(code, message) {
+    const e = new Error(message || code);
+    e.code = code;
+    return e;
+}
+
+// ── Pure helpers (exported for tests) ────────────────────────────────────────
+
+/**
+ * Due date per stage, counted back from the response deadline.
+ *
+ * @param {string|null} deadline — ISO response deadline
+ * @param {Date} [now]
+ * @returns {object} — { [stage]: ISO string | null }
+ */
+function backScheduleDueDates(deadline, now = new Date()) {
+    const due = deadline ? new Date(deadline) : null;
+    const dates = {};
+    for (const stage of NON_TERMINAL_STAGES) {
+        const offset = STAGE_DUE_OFFSETS[stage];
+        if (!due || isNaN(due.getTime()) || !offset) {
+            dates[stage] = null;
+            continue;
+        }
+        const leadMs = Math.max(0, due.getTime() - now.getTime());
+        const offsetMs = Math.min(offset.days * DAY_MS, offset.share * leadMs);
+        dates[stage] = new Date(due.getTime() - offsetMs).toISOString();
+    }
+    return dates;
+}
+
+/**
+ * Build the generated checklist: template tasks plus one per extracted requirement.
+ *
+ * @param {object} input
+ * @param {Array}  input.requirements — Pass A requirements ({ id, category, text })
+ * @param {string|null} input.deadline — response deadline
+ * @param {object} [input.sectionOwners] — { [section]: { uid, name } }
+ * @param {Date}   [input.now]
+ * @returns {Array<object>} tasks
+ */
+function buildTaskChecklist({ requirements = [], deadline = null, sectionOwners = {}, now = new Date() }) {
+    const dueDates = backScheduleDueDates(deadline, now);
+
+    const task = (id, fields) => {
+        const owner = sectionOwners[fields.section] || null;
+        return {
+            id,
+            ...fields,
+            assigneeUid:      owner ? owner.uid : null,
+            assigneeName:     owner ? owner.name : null,
+            assignedManually: false,
+            dueDate:          dueDates[fields.stage],
+            status:           'open',
+            doneAt:           null,
+            doneByUid:        null,
+        };
+    };
+
+    const tasks = TEMPLATE_TASKS.map(t => task(`tpl_${t.key}`, {
+        title: t.title, stage: t.stage, section: t.section, source: 'template', requirementId: null,
+    }));
+
+    for (const req of requirements) {
+        if (!req || !req.text) continue;
+        const placement = REQUIREMENT_PLACEMENT[req.category] || REQUIREMENT_PLACEMENT.other;
+        const key = req.id || crypto.createHash('sha1').update(req.text).digest('hex').substring(0, 12);
+        tasks.push(task(`req_${String(key).replace(/[^A-Za-z0-9_-]/g, '_')}`, {
+            title: req.text.substring(0, 300), stage: placement.stage, section: placement.section,
+            source: 'requirement', requirementId: req.id || null,
+        }));
+    }
+    return tasks;
+}
+
+/**
+ * Open tasks past due on active pursuits.
+ *
+ * @param {Array<object>} pursuits — govPursuits docs with id
+ * @param {Date} [now]
+ */
+function collectOverdueTasks(pursuits, now = new Date()) {
+    const overdue = [];
+    for (const pursuit of pursuits) {
+        if (!pursuit.active) continue;
+        for (const t of pursuit.tasks || []) {
+            if (t.status !== 'open' || !t.dueDate || new Date(t.dueDate) >= now) continue;
+            overdue.push({
+                pursuitId:    pursuit.id,
+                pursuitTitle: pursuit.title || 'Pursuit',
+                taskId:       t.id,
+                title:        t.title,
+                stage:        t.stage,
+                dueDate:      t.dueDate,
+                assigneeName: t.assigneeName || null,
+            });
+        }
+    }
+    return overdue.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+}
+
+// ── Assignees ────────────────────────────────────────────────────────────────
+
+/**
+ * Resolve an assignee to { uid, name }. The pursuit owner is always valid;
+ * anyone else must be an active member of the pursuit's workspace.
+ */
+async function _resolveAssignee(pursuit, uid) {
+    if (uid === pursuit.userId) {
+        const userSnap = await _db().collection('users').doc(uid).get();
+        const user = userSnap.exists ? userSnap.data() : {};
+        return { uid, name: user.displayName || user.email || null };
+    }
+    if (pursuit.workspaceId) {
+        const { getMembership } = require('../workspaceService');
+        const membership = await getMembership(pursuit.workspaceId, uid);
+        if (membership && membership.status === 'active') {
+            return { uid, name: membership.displayName || membership.email || null };
+        }
+    }
+    throw _err('INVALID_ASSIGNEE', `${uid} is not a member of this pursuit's workspace`);
+}
+
+async function _loadOwnedPursuit(pursuitId, userId) {
+    const snap = await _db().collection('govPursuits').doc(pursuitId).get();
+    if (!snap.exists) throw _err('PURSUIT_NOT_FOUND', 'Pursuit not found');
+    const pursuit = snap.data();
+    if (pursuit.userId !== userId) throw _err('FORBIDDEN', 'Access denied');
+    return { id: snap.id, ...pursuit };
+}
+
+/**
+ * Read-modify-write the pursuit's tasks inside a transaction.
+ *
+ * @param {Function} mutate — (pursuit) => { tasks, extra? } ; may throw coded errors
+ */
+async function _updateTasks(pursuitId, userId, mutate) {
+    const db  = _db();
+    const ref = db.collection('govPursuits').doc(pursuitId);
+
+    return db.runTransaction(async (t) => {
+        const snap = await t.get(ref);
+        if (!snap.exists) throw _err('PURSUIT_NOT_FOUND', 'Pursuit not found');
+        const pursuit = snap.data();
+        if (pursuit.userId !== userId) throw _err('FORBIDDEN', 'Access denied');
+
+        const { tasks, extra = {} } = mutate({ id: snap.id, ...pursuit });
+        if (tasks.length > MAX_TASKS) throw _err('TASK_LIMIT', `A pursuit can hold at most ${MAX_TASKS} tasks`);
+
+        const updates = { tasks, ...extra, updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+        t.update(ref, updates);
+        return { id: snap.id, ...pursuit, ...updates };
+    });
+}
+
+// ── Section owners ───────────────────────────────────────────────────────────
+
+/**
+ * Set section owners and hand their open, non-manually-assigned tasks over.
+ *
+ * @param {string} pursuitId
+ * @param {string} userId — gov identity (workspace owner uid)
+ * @param {object} sectionOwners — { [section]: uid | null }
+ * @returns {Promise<object>} the updated pursuit
+ */
+async function setSectionOwners(pursuitId, userId, sectionOwners) {
+    const pursuit = await _loadOwnedPursuit(pursuitId, userId);
+
+    const resolved = {};
+    for (const [section, uid] of Object.entries(sectionOwners)) {
+        resolved[section] = uid ? await _resolveAssignee(pursuit, uid) : null;
+    }
+
+    return _updateTasks(pursuitId, userId, (current) => {
+        const owners = { ...(current.sectionOwners || {}), ...resolved };
+        for (const section of Object.keys(owners)) {
+            if (!owners[section]) delete owners[section];
+        }
+
+        const tasks = (current.tasks || []).map(t => {
+            if (t.status !== 'open' || t.assignedManually || !(t.section in resolved)) return t;
+            const owner = resolved[t.section];
+            return { ...t, assigneeUid: owner ? owner.uid : null, assigneeName: owner ? owner.name : null };
+        });
+        return { tasks, extra: { sectionOwners: owners } };
+    });
+}
+
+// ── Checklist generation ─────────────────────────────────────────────────────
+
+/**
+ * Requirements to build the checklist from: the latest evaluation's Pass A,
+ * else requirements already extracted for this pursuit (unless the notice has
+ * been amended since), else a fresh Pass A extraction of the RFP text. The
+ * extraction is an LLM call, so it only runs when the evaluator is enabled;
+ * otherwise the checklist is the stage templates alone.
+ *
+ * @returns {Promise<{ requirements: Array, source: string, usageMetadata: object|null, extractedAt?: string }>}
+ */
+async function _requirementsFor(pursuit) {
+    const db = _db();
+    const none = { requirements: [], source: 'none', usageMetadata: null };
+
+    if (pursuit.latestEvaluationId) {
+        const evalSnap = await db.collection('govEvaluations').doc(pursuit.latestEvaluationId).get();
+        const requirements = evalSnap.exists ? evalSnap.data().passA?.requirements : null;
+        if (Array.isArray(requirements) && requirements.length > 0) {
+            return { requirements, source: 'evaluation', usageMetadata: null };
+        }
+    }
+
+    if (!pursuit.sourceOpportunityId) return none;
+    const oppSnap = await db.collection('govOpportunities').doc(pursuit.sourceOpportunityId).get();
+    if (!oppSnap.exists) return none;
+    const opp = oppSnap.data();
+
+    const stored = pursuit.extractedRequirements;
+    const amendedSince = opp.lastAmendedAt && pursuit.requirementsExtractedAt
+        && opp.lastAmendedAt > pursuit.requirementsExtractedAt;
+    if (Array.isArray(stored) && stored.length > 0 && !amendedSince) {
+        return { requirements: stored, source: 'extracted', usageMetadata: null };
+    }
+
+    if (process.env.GOVCAPTURE_EVALUATOR_ENABLED !== 'true') return none;
+
+    const { _getRfpText, extractRequirements } = require('./govEvaluationService');
+    const rfpText = await _getRfpText(opp);
+    if (!rfpText.trim()) return none;
+
+    const extracted = await extractRequirements(rfpText);
+    return {
+        requirements:  extracted.requirements,
+        source:        'extracted',
+        usageMetadata: extracted.usageMetadata || null,
+        extractedAt:   new Date().toISOString(),
+    };
+}
+
+/**
+ * Generate (or top up) the pursuit's checklist. Idempotent: tasks already on
+ * the pursuit keep their status, assignee and due date; only new ones are added.
+ *
+ * @param {string} pursuitId
+ * @param {string} userId — gov identity (workspace owner uid)
+ * @returns {Promise<{ pursuit: object, added: number, requirementsSource: string, usageMetadata: object|null }>}
+ */
+async function generateTasks(pursuitId, userId) {
+    const pursuit = await _loadOwnedPursuit(pursuitId, userId);
+
+    const { requirements, source, usageMetadata, extractedAt } = await _requirementsFor(pursuit);
+
+    let deadline = null;
+    if (pursuit.sourceOpportunityId) {
+        const oppSnap = await _db().collection('govOpportunities').doc(pursuit.sourceOpportunityId).get();
+        if (oppSnap.exists) deadline = oppSnap.data().dueDate || null;
+    }
+
+    let added = 0;
+    const updated = await _updateTasks(pursuitId, userId, (current) => {
+        const generated = buildTaskChecklist({ requirements, deadline, sectionOwners: current.sectionOwners || {} });
+        const existing = current.tasks || [];
+        const known = new Set(existing.map(t => t.id));
+        const fresh = generated.filter(t => !known.has(t.id));
+        added = fresh.length;
+        const extra = { tasksGeneratedAt: new Date().toISOString(), requirementsSource: source, responseDeadline: deadline };
+        // Keep a fresh extraction so the next run doesn't pay for it again
+        if (extractedAt) Object.assign(extra, { extractedRequirements: requirements, requirementsExtractedAt: extractedAt });
+        return { tasks: [...existing, ...fresh], extra };
+    });
+
+    return { pursuit: updated, added, requirementsSource: source, usageMetadata };
+}
+
+// ── Manual tasks ─────────────────────────────────────────────────────────────
+
+/**
+ * Add a task by hand. Without an explicit assignee it goes to the section owner.
+ *
+ * @param {string} pursuitId
+ * @param {string} userId — gov identity (workspace owner uid)
+ * @param {object} data — validated by govPursuits.validateTaskInput
+ * @returns {Promise<{ pursuit: object, task: object }>}
+ */
+async function addTask(pursuitId, userId, data) {
+    const pursuit = await _loadOwnedPursuit(pursuitId, userId);
+    const assignee = data.assigneeUid ? await _resolveAssignee(pursuit, data.assigneeUid) : null;
+
+    let task;
+    const updated = await _updateTasks(pursuitId, userId, (current) => {
+        const owner = !assignee && data.section ? (current.sectionOwners || {})[data.section] : null;
+        task = {
+            id:               `t_${crypto.randomBytes(6).toString('hex')}`,
+            title:            data.title.trim(),
+            stage:            data.stage,
+            section:          data.section || null,
+            source:           'manual',
+            requirementId:    null,
+            assigneeUid:      (assignee || owner)?.uid || null,
+            assigneeName:     (assignee || owner)?.name || null,
+            assignedManually: !!assignee,
+            dueDate:          data.dueDate || backScheduleDueDates(current.responseDeadline || null)[data.stage],
+            status:           'open',
+            doneAt:           null,
+            doneByUid:        null,
+        };
+        return { tasks: [...(current.tasks || []), task] };
+    });
+
+    return { pursuit: updated, task };
+}
+
+/**
+ * Update a task's title, stage, section, assignee, due date or status.
+ *
+ * @param {string} pursuitId
+ * @param {string} userId — gov identity (workspace owner uid)
+ * @param {string} actorUid — the signed-in user (recorded on completion)
+ * @param {string} taskId
+ * @param {object} data — validated by govPursuits.validateTaskInput({ isUpdate: true })
+ * @returns {Promise<{ pursuit: object, task: object }>}
+ */
+async function updateTask(pursuitId, userId, actorUid, taskId, data) {
+    const pursuit = await _loadOwnedPursuit(pursuitId, userId);
+    const assignee = data.assigneeUid ? await _resolveAssignee(pursuit, data.assigneeUid) : null;
+
+    let task;
+    const updated = await _updateTasks(pursuitId, userId, (current) => {
+        const tasks = (current.tasks || []).slice();
+        const i = tasks.findIndex(t => t.id === taskId);
+        if (i === -1) throw _err('TASK_NOT_FOUND', 'Task not found');
+
+        const next = { ...tasks[i] };
+        for (const field of ['title', 'stage', 'section', 'dueDate']) {
+            if (data[field] !== undefined) next[field] = typeof data[field] === 'string' ? data[field].trim() : data[field];
+        }
+        if (data.assigneeUid !== undefined) {
+            next.assigneeUid = assignee ? assignee.uid : null;
+            next.assigneeName = assignee ? assignee.name : null;
+            next.assignedManually = true;
+        }
+        if (data.status !== undefined && data.status !== next.status) {
+            next.status = data.status;
+            next.doneAt = data.status === 'done' ? new Date().toISOString() : null;
+            next.doneByUid = data.status === 'done' ? actorUid : null;
+        }
+
+        tasks[i] = next;
+        task = next;
+        return { tasks };
+    });
+
+    return { pursuit: updated, task };
+}
+
+// ── Digest ───────────────────────────────────────────────────────────────────
+
+/**
+ * Overdue open tasks across a profile's active pursuits (digest reminders).
+ *
+ * @param {string} profileId
+ * @param {Date} [now]
+ */
+async function listOverdueTasks(profileId, now = new Date()) {
+    const snap = await _db().collection('govPursuits')
+        .where('profileId', '==', profileId)
+        .where('active', '==', true)
+        .get();
+    return collectOverdueTasks(snap.docs.map(d => ({ id: d.id, ...d.data() })), now);
+}
+
+module.exports = {
+    PURSUIT_SECTIONS,
+    TEMPLATE_TASKS,
+    REQUIREMENT_PLACEMENT,
+    STAGE_DUE_OFFSETS,
+    backScheduleDueDates,
+    buildTaskChecklist,
+    collectOverdueTasks,
+    setSectionOwners,
+    generateTasks,
+    addTask,
+    updateTask,
+    listOverdueTasks,
+};
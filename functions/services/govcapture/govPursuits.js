@@ -55,6 +55,15 @@ const MAX_PORTAL_LEN      = 200;
 const MAX_NOTE_LEN        = 1000;
 const MAX_STAGE_HISTORY   = 200; // hard bound to keep the array small
 
+// ── Team collaboration (sections, tasks) ─────────────────────────────────────
+
+// Proposal sections a teammate can own; tasks inherit the section's owner.
+const PURSUIT_SECTIONS = ['management', 'technical', 'past_performance', 'pricing', 'compliance', 'submission'];
+
+const TASK_STATUSES   = ['open', 'done'];
+const MAX_TASKS       = 200;
+const MAX_TASK_TITLE_LEN = 300;
+
 // ── Pure predicates ───────────────────────────────────────────────────────────
 
 function isTerminalStage(stage) {
@@ -146,6 +155,61 @@ function validateOutcomeInput(data) {
     return validateStageTransitionInput({ ...data, toStage: data.outcome });
 }
 
+/**
+ * Validate a task create/update body. Create requires a title and stage.
+ *
+ * @param {object} data
+ * @param {object} [options]
+ * @param {boolean} [options.isUpdate=false]
+ */
+function validateTaskInput(data, options = {}) {
+    if (!data || typeof data !== 'object') {
+        return { valid: false, error: 'Request body required' };
+    }
+    if (!options.isUpdate || data.title !== undefined) {
+        if (typeof data.title !== 'string' || !data.title.trim()) return { valid: false, error: 'title is required' };
+        if (data.title.length > MAX_TASK_TITLE_LEN) return { valid: false, error: `title exceeds ${MAX_TASK_TITLE_LEN} characters` };
+    }
+    if (!options.isUpdate || data.stage !== undefined) {
+        if (!NON_TERMINAL_STAGES.includes(data.stage)) {
+            return { valid: false, error: `stage must be one of: ${NON_TERMINAL_STAGES.join(', ')}` };
+        }
+    }
+    if (data.section !== undefined && data.section !== null && !PURSUIT_SECTIONS.includes(data.section)) {
+        return { valid: false, error: `section must be one of: ${PURSUIT_SECTIONS.join(', ')}` };
+    }
+    if (data.status !== undefined && !TASK_STATUSES.includes(data.status)) {
+        return { valid: false, error: `status must be one of: ${TASK_STATUSES.join(', ')}` };
+    }
+    if (data.assigneeUid !== undefined && data.assigneeUid !== null && typeof data.assigneeUid !== 'string') {
+        return { valid: false, error: 'assigneeUid must be a string or null' };
+    }
+    if (data.dueDate !== undefined && data.dueDate !== null) {
+        if (typeof data.dueDate !== 'string' || isNaN(Date.parse(data.dueDate))) {
+            return { valid: false, error: 'dueDate must be an ISO date string' };
+        }
+    }
+    return { valid: true };
+}
+
+/**
+ * Validate a section-owner map: { [section]: uid | null }.
+ */
+function validateSectionOwnersInput(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { valid: false, error: 'sectionOwners must be an object' };
+    }
+    for (const [section, uid] of Object.entries(data)) {
+        if (!PURSUIT_SECTIONS.includes(section)) {
+            return { valid: false, error: `section must be one of: ${PURSUIT_SECTIONS.join(', ')}` };
+        }
+        if (uid !== null && (typeof uid !== 'string' || !uid)) {
+            return { valid: false, error: `sectionOwners.${section} must be a uid or null` };
+        }
+    }
+    return { valid: true };
+}
+
 module.exports = {
     PURSUIT_STAGES,
     NON_TERMINAL_STAGES,
@@ -156,9 +220,15 @@ module.exports = {
     MAX_PORTAL_LEN,
     MAX_NOTE_LEN,
     MAX_STAGE_HISTORY,
+    PURSUIT_SECTIONS,
+    TASK_STATUSES,
+    MAX_TASKS,
+    MAX_TASK_TITLE_LEN,
     isTerminalStage,
     stageToPursuitStatus,
     isValidTransition,
     validateStageTransitionInput,
     validateOutcomeInput,
+    validateTaskInput,
+    validateSectionOwnersInput,
 };
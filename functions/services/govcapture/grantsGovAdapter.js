@@ -0,0 +1,195 @@
+'use strict';
+
+/**
+ * grantsGovAdapter.js — grants.gov XML database extracts as a source adapter
+ * (see sourceAdapters.js for the interface).
+ *
+ * Configured on the profile as { id, type: 'grants_gov', name, url } where url
+ * points at an extract (.xml, or the .zip grants.gov publishes). Only
+ * OpportunitySynopsisDetail_1_0 records are read — forecasts carry no close
+ * date. Extracts cover every open grant, so records are limited to those
+ * posted or updated since the last run before the profile prefilter. The XML
+ * is inflated and scanned as a stream, so only kept records stay in memory.
+ */
+
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const AdmZip = require('adm-zip');
+const { registerAdapter, fetchFeed, validateFeedUrl, buildOpportunity, _safeParseDate } = require('./sourceAdapters');
+
+const RECORD_TAG = 'OpportunitySynopsisDetail_1_0';
+const MAX_EXTRACT_BYTES = 100 * 1024 * 1024;   // download, usually zipped
+const MAX_XML_BYTES     = 2 * 1024 * 1024 * 1024; // inflated XML
+const MAX_RECORD_CHARS  = 1024 * 1024;
+const CHUNK_BYTES       = 1024 * 1024;
+const DEFAULT_LOOKBACK_DAYS = 30;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function _decodeXml(text) {
+    return text
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+            if (entity[0] === '#') {
+                const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+                return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+            }
+            return XML_ENTITIES[entity.toLowerCase()] ?? match;
+        })
+        .trim();
+}
+
+/**
+ * Parse synopsis records out of an extract. Records are flat, so each child
+ * element becomes a field; repeated elements (CFDANumbers) become arrays.
+ *
+ * @param {string} xml
+ * @returns {Array<object>}
+ */
+function parseExtract(xml) {
+    const records = [];
+    const recordRe = new RegExp(`<(?:\\w+:)?${RECORD_TAG}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${RECORD_TAG}>`, 'g');
+    const fieldRe = /<(?:\w+:)?(\w+)\b[^>]*>([\s\S]*?)<\/(?:\w+:)?\1>/g;
+
+    for (const [, body] of xml.matchAll(recordRe)) {
+        const record = {};
+        for (const [, name, value] of body.matchAll(fieldRe)) {
+            const decoded = _decodeXml(value);
+            if (record[name] === undefined) record[name] = decoded;
+            else record[name] = [].concat(record[name], decoded);
+        }
+        records.push(record);
+    }
+    return records;
+}
+
+function* _chunks(buffer) {
+    for (let i = 0; i < buffer.length; i += CHUNK_BYTES) yield buffer.subarray(i, i + CHUNK_BYTES);
+}
+
+/**
+ * Open the XML in an extract as a byte stream, inflating a zipped entry as it
+ * is read. The entry's declared size is checked before anything is inflated.
+ *
+ * @param {Buffer} buffer
+ * @returns {Readable}
+ */
+function _openXml(buffer) {
+    // ZIP local file header
+    if (buffer[0] !== 0x50 || buffer[1] !== 0x4b) return Readable.from(_chunks(buffer));
+
+    const entry = new AdmZip(buffer).getEntries().find(e => /\.xml$/i.test(e.entryName));
+    if (!entry) throw new Error('Extract archive has no XML file');
+    if (entry.header.encrypted) throw new Error('Extract archive is encrypted');
+    if (entry.header.size > MAX_XML_BYTES) throw new Error('Extract XML is too large');
+
+    const compressed = Readable.from(_chunks(entry.getCompressedData()));
+    if (entry.header.method === 0) return compressed;
+    if (entry.header.method === 8) return compressed.pipe(zlib.createInflateRaw());
+    throw new Error(`Unsupported compression method ${entry.header.method}`);
+}
+
+/**
+ * Scan synopsis records out of an XML byte stream, keeping those that pass
+ * `keep`. Text outside a record is dropped as it is read, and the inflated size
+ * is counted as well, since a zip header's declared size can't be trusted.
+ *
+ * @param {Readable} source
+ * @param {Function} keep — (record) => boolean
+ * @returns {Promise<Array<object>>}
+ */
+async function _scanRecords(source, keep) {
+    const openRe = new RegExp(`<(?:\\w+:)?${RECORD_TAG}\\b`);
+    const closeRe = new RegExp(`</(?:\\w+:)?${RECORD_TAG}>`, 'g');
+    const decoder = new StringDecoder('utf8');
+    const records = [];
+    let bytes = 0;
+    let pending = '';
+
+    const drain = () => {
+        let end = 0;
+        for (const match of pending.matchAll(closeRe)) end = match.index + match[0].length;
+        if (end > 0) {
+            records.push(...parseExtract(pending.slice(0, end)).filter(keep));
+            pending = pending.slice(end);
+        }
+        const open = pending.search(openRe);
+        // Keep enough of a trailing partial tag to match on the next chunk
+        pending = open >= 0 ? pending.slice(open) : pending.slice(-(RECORD_TAG.length + 32));
+        if (pending.length > MAX_RECORD_CHARS) throw new Error('Extract record is too large');
+    };
+
+    for await (const chunk of source) {
+        bytes += chunk.length;
+        if (bytes > MAX_XML_BYTES) throw new Error('Extract XML is too large');
+        pending += decoder.write(chunk);
+        drain();
+    }
+    pending += decoder.end();
+    drain();
+    return records;
+}
+
+function _sinceDate(lastSyncDate) {
+    const last = _safeParseDate(lastSyncDate);
+    if (last) return last;
+    const d = new Date();
+    d.setDate(d.getDate() - DEFAULT_LOOKBACK_DAYS);
+    return d;
+}
+
+const grantsGovAdapter = {
+    type:              'grants_gov',
+    label:             'Grants.gov XML extract',
+    profileConfigured: true,
+    filterByProfile:   true,
+
+    validateConfig(config) {
+        return validateFeedUrl(config?.url);
+    },
+
+    async fetchRecords({ config, lastSyncDate }) {
+        const fetched = await fetchFeed(config.url, { maxBytes: MAX_EXTRACT_BYTES });
+        if (!fetched.success) return { success: false, records: [], error: fetched.error };
+
+        try {
+            const since = _sinceDate(lastSyncDate);
+            const records = await _scanRecords(_openXml(fetched.data), r => {
+                const touched = _safeParseDate(r.LastUpdatedDate) || _safeParseDate(r.PostDate);
+                return !touched || touched >= since;
+            });
+            return { success: true, records };
+        } catch (err) {
+            return { success: false, records: [], error: `Extract parse error: ${err.message}` };
+        }
+    },
+
+    normalize(record, { profileId, userId, config }) {
+        if (!record || !record.OpportunityTitle) return null;
+
+        const id = record.OpportunityID || null;
+        return buildOpportunity({
+            externalId:         id,
+            title:              record.OpportunityTitle,
+            description:        record.Description || null,
+            buyerName:          record.AgencyName || null,
+            agencyName:         record.AgencyName || null,
+            departmentName:     record.AgencyCode ? String(record.AgencyCode).split('-')[0] : null,
+            solicitationNumber: record.OpportunityNumber || null,
+            noticeType:         'grant',
+            estimatedValue:     record.AwardCeiling || record.EstimatedTotalProgramFunding || null,
+            dueDateRaw:         record.CloseDate || null,
+            postedDateRaw:      record.PostDate || null,
+            sourceUrl:          id ? `https://www.grants.gov/search-results-detail/${id}` : null,
+            descriptionUrl:     record.AdditionalInformationURL || null,
+        }, { source: 'grants_gov', sourceId: config.id, profileId, userId, confidence: 'high' });
+    },
+};
+
+registerAdapter(grantsGovAdapter);
+
+module.exports = {
+    grantsGovAdapter,
+    parseExtract,
+};
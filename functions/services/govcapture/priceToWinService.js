@@ -0,0 +1,409 @@
+'use strict';
+
+/**
+ * priceToWinService.js — Competitive price range for a pursuit.
+ *
+ * Scoring tells a user whether to bid; this tells them roughly what to bid.
+ * The estimate comes from comparable historical awards in USAspending — same
+ * NAICS, awarding agency and set-aside over the last five fiscal years,
+ * optionally narrowed to one pricing type (firm fixed price, T&M, cost-plus) —
+ * and is read as percentiles of the award amounts:
+ *
+ *   low / high — P25 / P75 of the comparables (the competitive range)
+ *   target     — the median
+ *   confidence — high | medium | low, from how many comparables were found,
+ *                how tightly they cluster and how far the search had to widen
+ *
+ * Awards are pulled most recent first and paged up to MAX_SEARCH_PAGES, never
+ * ordered by amount: the top-N largest awards would drag every percentile up.
+ *
+ * When the tight search turns up fewer than MIN_COMPARABLES awards it widens
+ * (drop the set-aside, then the agency) and each comparable records what it
+ * matched on. The profile's avgContractValue fills in when comparables are
+ * thin and is reported alongside the range otherwise.
+ *
+ * Persisted on the pursuit as `priceToWin` and handed to govTailoringService
+ * for the pricing narrative (formatPriceToWin).
+ */
+
+const admin = require('firebase-admin');
+const { searchSimilarAwards } = require('./usaspendingClient');
+const { intelWindow } = require('./competitorIntelService');
+
+const MIN_COMPARABLES     = 5;
+const HIGH_CONFIDENCE_MIN = 10;
+const MAX_LISTED          = 25;
+const SEARCH_LIMIT        = 100;   // USAspending page size
+const MAX_SEARCH_PAGES    = 5;
+const PROFILE_BAND        = 0.3;   // ± around avgContractValue when it's the only anchor
+
+// Requested contract (pricing) type → FPDS type-of-contract-pricing codes,
+// filtered on USAspending's contract_pricing_type_codes
+const CONTRACT_TYPES = {
+    firm_fixed_price:      ['J', 'K'],                 // FFP, FP with economic price adjustment
+    fixed_price_incentive: ['L', 'M', 'A', 'B'],       // FP incentive / award fee / redetermination / level of effort
+    time_and_materials:    ['Y', 'Z'],                 // T&M, labor hours
+    cost_plus:             ['R', 'U', 'V', 'S', 'T'],  // CPAF, CPFF, CPIF, cost no fee, cost sharing
+};
+
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+// SAM set-aside codes USAspending filters on (set_aside_type_codes)
+const SET_ASIDE_CODES = [
+    'SBA', 'SBP', '8A', '8AN', 'HZC', 'HZS', 'SDVOSBC', 'SDVOSBS',
+    'WOSB', 'WOSBSS', 'EDWOSB', 'EDWOSBSS', 'VSA', 'VSS', 'ISBEE',
+];
+
+// Free-text set-aside descriptions (state feeds, manual uploads) → code. Order matters.
+const SET_ASIDE_PATTERNS = [
+    [/economically disadvantaged wom[ae]n|\bedwosb\b/i, 'EDWOSB'],
+    [/wom[ae]n[- ]owned|\bwosb\b/i,                      'WOSB'],
+    [/service[- ]disabled|\bsdvosb\b/i,                  'SDVOSBC'],
+    [/hubzone/i,                                         'HZC'],
+    [/\b8\s*\(a\)|\b8a\b/i,                              '8A'],
+    [/veteran/i,                                         'VSA'],
+    [/partial small business/i,                          'SBP'],
+    [/small business/i,                                  'SBA'],
+];
+
+function _db() {
+    return admin.firestore();
+}
+
+/** Coded error so routes can map to the right HTTP status. */
+function _err(code, message) {
+    const e = new Error(message || code);
+    e.code = code;
+    return e;
+}
+
+// ── Pure helpers (exported for tests) ────────────────────────────────────────
+
+/**
+ * USAspending set-aside code for an opportunity's setAside (a SAM code or a
+ * description). Null when unrestricted or unrecognized.
+ */
+function setAsideCode(setAside) {
+    if (!setAside) return null;
+    const raw = String(setAside).trim();
+    if (SET_ASIDE_CODES.includes(raw.toUpperCase())) return raw.toUpperCase();
+    const hit = SET_ASIDE_PATTERNS.find(([pattern]) => pattern.test(raw));
+    return hit ? hit[1] : null;
+}
+
+/**
+ * Searches to run, tightest first: every criterion we have, then without the
+ * set-aside, then without the agency (NAICS alone is still "same work").
+ *
+ * @returns {Array<{ level: string, matchedOn: Array<string> }>}
+ */
+function searchTiers({ naicsCode, agencyName, setAside }) {
+    const dims = [];
+    if (naicsCode) dims.push('naics');
+    if (agencyName) dims.push('agency');
+    if (setAside) dims.push('setAside');
+
+    const tiers = [];
+    const add = (matchedOn) => {
+        if (!matchedOn.includes('naics') && !matchedOn.includes('agency')) return;
+        if (tiers.some(t => t.matchedOn.join() === matchedOn.join())) return;
+        tiers.push({ level: matchedOn.join('_'), matchedOn });
+    };
+    add(dims);
+    add(dims.filter(d => d !== 'setAside'));
+    if (naicsCode) add(['naics']);
+    return tiers;
+}
+
+/**
+ * Linear-interpolated percentile of an ascending-sorted array.
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const idx = (sorted.length - 1) * p;
+    const lo = Math.floor(idx);
+    const hi = Math.ceil(idx);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+/**
+ * Confidence band for a comparables-based range.
+ *
+ * @returns {{ confidence: string, reasons: Array<string> }}
+ */
+function confidenceBand({ count, spread, matchedOn }) {
+    const reasons = [];
+    if (count < MIN_COMPARABLES) reasons.push(`Only ${count} comparable award${count === 1 ? '' : 's'} found`);
+    if (spread != null && spread > 3) reasons.push(`Wide spread: P75 is ${spread}× P25`);
+    if (!matchedOn.includes('agency')) reasons.push('Comparables are not limited to this agency');
+    else if (!matchedOn.includes('naics')) reasons.push('Comparables are not limited to this NAICS');
+
+    let confidence = 'low';
+    if (count >= HIGH_CONFIDENCE_MIN && spread <= 3 && matchedOn.includes('agency') && matchedOn.includes('naics')) {
+        confidence = 'high';
+    } else if (count >= MIN_COMPARABLES && spread <= 6) {
+        confidence = 'medium';
+    }
+    return { confidence, reasons };
+}
+
+function _comparable(award, matchedOn) {
+    const description = award.description ? String(award.description) : null;
+    return {
+        awardId:           award.awardId,
+        recipientName:     award.recipientName || null,
+        awardAmount:       Math.round(award.awardAmount || 0),
+        startDate:         award.startDate || null,
+        endDate:           award.endDate || null,
+        awardingAgency:    award.awardingAgency || null,
+        awardingSubAgency: award.awardingSubAgency || null,
+        contractType:      award.contractType || null,
+        description:       description && description.length > 200 ? `${description.slice(0, 200)}…` : description,
+        matchedOn,
+    };
+}
+
+/**
+ * Assemble the persisted priceToWin object.
+ *
+ * @param {object} params
+ * @param {Array<{ award: object, matchedOn: Array<string> }>} params.matches — deduped, tightest match first
+ * @param {object} params.criteria — { naicsCode, agencyName, setAside, contractType }
+ * @param {string} params.matchLevel — widest search tier that was run
+ * @param {number|null} [params.profileAvgContractValue]
+ * @param {object} params.window — { start_date, end_date }
+ * @param {Date} [params.now]
+ * @returns {object|null} — null when there's neither a comparable nor a profile average
+ */
+function buildPriceToWin({ matches, criteria, matchLevel, profileAvgContractValue = null, window, now = new Date() }) {
+    const priced = matches.filter(m => (m.award.awardAmount || 0) > 0);
+    const amounts = priced.map(m => m.award.awardAmount).sort((a, b) => a - b);
+    const avg = Number.isFinite(profileAvgContractValue) && profileAvgContractValue > 0 ? profileAvgContractValue : null;
+
+    if (amounts.length === 0 && !avg) return null;
+
+    let low, target, high, basis, spread = null;
+    let confidence = 'low';
+    let reasons = [];
+    const widest = matchLevel ? matchLevel.split('_') : [];
+
+    if (amounts.length === 0) {
+        basis  = 'profile';
+        low    = avg * (1 - PROFILE_BAND);
+        target = avg;
+        high   = avg * (1 + PROFILE_BAND);
+        reasons = ['No comparable awards found — range is based on the profile\'s average contract value'];
+    } else {
+        low    = percentile(amounts, 0.25);
+        target = percentile(amounts, 0.5);
+        high   = percentile(amounts, 0.75);
+        spread = low > 0 ? Math.round((high / low) * 10) / 10 : null;
+        ({ confidence, reasons } = confidenceBand({ count: amounts.length, spread, matchedOn: widest }));
+        basis = 'comparables';
+
+        // Too few to stand alone: pull the range toward the profile's typical size
+        if (amounts.length < MIN_COMPARABLES && avg) {
+            basis  = 'blended';
+            target = (target + avg) / 2;
+            low    = Math.min(low, avg);
+            high   = Math.max(high, avg);
+            reasons.push('Blended with the profile\'s average contract value');
+        }
+    }
+
+    const comparables = priced
+        .map(m => _comparable(m.award, m.matchedOn))
+        .sort((a, b) => b.matchedOn.length - a.matchedOn.length
+            || Math.abs(a.awardAmount - target) - Math.abs(b.awardAmount - target))
+        .slice(0, MAX_LISTED);
+
+    return {
+        low:    Math.round(low),
+        target: Math.round(target),
+        high:   Math.round(high),
+        confidence,
+        confidenceReasons: reasons,
+        basis,
+        spread,
+        comparableCount: amounts.length,
+        comparables,
+        criteria: {
+            naicsCode:    criteria.naicsCode || null,
+            agencyName:   criteria.agencyName || null,
+            setAside:     criteria.setAside || null,
+            contractType: criteria.contractType || null,
+        },
+        matchLevel: matchLevel || null,
+        profileAvgContractValue: avg,
+        targetVsProfileAvg: avg ? Math.round((target / avg) * 100) / 100 : null,
+        window:      { start: window.start_date, end: window.end_date },
+        generatedAt: now.toISOString(),
+    };
+}
+
+/**
+ * Prompt-ready summary for the tailored pricing narrative.
+ */
+function formatPriceToWin(ptw) {
+    const money = (v) => `$${Math.round(v || 0).toLocaleString('en-US')}`;
+    const c = ptw.criteria || {};
+    const scope = [
+        c.naicsCode ? `NAICS ${c.naicsCode}` : null,
+        c.agencyName,
+        c.setAside ? `set-aside ${c.setAside}` : null,
+        c.contractType ? c.contractType.replace(/_/g, ' ') : null,
+    ].filter(Boolean).join(', ');
+
+    const lines = [
+        `Competitive range: ${money(ptw.low)} to ${money(ptw.high)}, target ${money(ptw.target)} (confidence: ${ptw.confidence})`,
+    ];
+    if (ptw.comparableCount > 0) {
+        lines.push(`Based on ${ptw.comparableCount} comparable award${ptw.comparableCount === 1 ? '' : 's'} (${scope || 'all contracts'}), ${ptw.window.start} to ${ptw.window.end}`);
+    }
+    if (ptw.confidenceReasons && ptw.confidenceReasons.length) {
+        lines.push(`Caveats: ${ptw.confidenceReasons.join('; ')}`);
+    }
+    if (ptw.profileAvgContractValue) {
+        lines.push(`Vendor's average contract value: ${money(ptw.profileAvgContractValue)}`);
+    }
+    const listed = (ptw.comparables || []).slice(0, 5);
+    if (listed.length) {
+        lines.push('Closest comparable awards:');
+        for (const a of listed) {
+            lines.push(`- ${a.recipientName || 'Unknown'}: ${money(a.awardAmount)} (${a.awardId || 'no award id'}, ${a.startDate || '?'} to ${a.endDate || '?'})`);
+        }
+    }
+    return lines.join('\n');
+}
+
+// ── USAspending fetch ────────────────────────────────────────────────────────
+
+/**
+ * Run the search tiers until MIN_COMPARABLES awards are in hand. Each tier is
+ * read most recent first, a page at a time, up to MAX_SEARCH_PAGES.
+ *
+ * @returns {Promise<{ matches: Array, matchLevel: string|null, failed: boolean }>}
+ */
+async function fetchComparables(criteria, window) {
+    const tiers = searchTiers(criteria);
+    const pricingTypeCodes = criteria.contractType ? CONTRACT_TYPES[criteria.contractType] : undefined;
+
+    const seen = new Map();
+    let matchLevel = null;
+    let succeeded = 0;
+
+    for (const tier of tiers) {
+        matchLevel = tier.level;
+        const matchedOn = criteria.contractType ? [...tier.matchedOn, 'contractType'] : tier.matchedOn;
+
+        for (let page = 1; page <= MAX_SEARCH_PAGES; page++) {
+            const result = await searchSimilarAwards({
+                naicsCode:     tier.matchedOn.includes('naics') ? criteria.naicsCode : undefined,
+                agencyName:    tier.matchedOn.includes('agency') ? criteria.agencyName : undefined,
+                setAsideCodes: tier.matchedOn.includes('setAside') ? [criteria.setAside] : undefined,
+                pricingTypeCodes,
+                timePeriod:    window,
+                limit:         SEARCH_LIMIT,
+                page,
+                sort:          'Start Date',
+                order:         'desc',
+            });
+            if (!result.success) {
+                console.warn(`[PriceToWin] ${tier.level} search page ${page} failed:`, result.error);
+                break;
+            }
+            if (page === 1) succeeded++;
+
+            for (const award of result.data.awards) {
+                const key = award.awardId || award.internalId;
+                if (key && !seen.has(key)) seen.set(key, { award, matchedOn });
+            }
+            if (!result.data.hasNext) break;
+        }
+        if (seen.size >= MIN_COMPARABLES) break;
+    }
+
+    return { matches: [...seen.values()], matchLevel, failed: tiers.length > 0 && succeeded === 0 };
+}
+
+// ── Orchestrator ─────────────────────────────────────────────────────────────
+
+/**
+ * Estimate and persist the price-to-win for a pursuit.
+ *
+ * @param {string} pursuitId
+ * @param {string} userId — gov identity (workspace owner uid)
+ * @param {object} [options]
+ * @param {string} [options.contractType] — key of CONTRACT_TYPES
+ * @returns {Promise<object>} — priceToWin
+ * @throws coded errors (PURSUIT_NOT_FOUND, FORBIDDEN, OPP_NOT_FOUND, NO_LOOKUP_KEYS,
+ *         USASPENDING_UNAVAILABLE, NO_PRICE_DATA)
+ */
+async function estimatePriceToWin(pursuitId, userId, options = {}) {
+    const db = _db();
+    const pursuitRef = db.collection('govPursuits').doc(pursuitId);
+    const pursuitSnap = await pursuitRef.get();
+    if (!pursuitSnap.exists) throw _err('PURSUIT_NOT_FOUND', 'Pursuit not found');
+    const pursuit = pursuitSnap.data();
+    if (pursuit.userId !== userId) throw _err('FORBIDDEN', 'Access denied');
+
+    const oppSnap = pursuit.sourceOpportunityId
+        ? await db.collection('govOpportunities').doc(pursuit.sourceOpportunityId).get()
+        : null;
+    if (!oppSnap || !oppSnap.exists) throw _err('OPP_NOT_FOUND', 'Source opportunity not found');
+    const opp = oppSnap.data();
+
+    const criteria = {
+        naicsCode:    (opp.naicsCodes || [])[0] || null,
+        // USAspending filters on the top-tier agency; SAM puts that in departmentName
+        agencyName:   opp.departmentName || opp.agencyName || null,
+        setAside:     setAsideCode(opp.setAside),
+        contractType: options.contractType || null,
+    };
+    if (!criteria.naicsCode && !criteria.agencyName) {
+        throw _err('NO_LOOKUP_KEYS', 'The opportunity has no NAICS code or agency to find comparable awards');
+    }
+
+    let profileAvgContractValue = null;
+    if (pursuit.profileId) {
+        try {
+            const profileSnap = await db.collection('govProfiles').doc(pursuit.profileId).get();
+            if (profileSnap.exists && profileSnap.data().userId === userId) {
+                profileAvgContractValue = profileSnap.data().avgContractValue ?? null;
+            }
+        } catch (err) {
+            console.warn('[PriceToWin] profile load failed (continuing):', err.message);
+        }
+    }
+
+    const window = intelWindow();
+    const { matches, matchLevel, failed } = await fetchComparables(criteria, window);
+    if (failed && !profileAvgContractValue) {
+        throw _err('USASPENDING_UNAVAILABLE', 'USAspending is unavailable — try again later');
+    }
+
+    const priceToWin = buildPriceToWin({ matches, criteria, matchLevel, profileAvgContractValue, window });
+    if (!priceToWin) {
+        throw _err('NO_PRICE_DATA', 'No comparable awards found and the profile has no average contract value');
+    }
+
+    await pursuitRef.update({
+        priceToWin,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return priceToWin;
+}
+
+module.exports = {
+    MIN_COMPARABLES,
+    CONTRACT_TYPES,
+    CONFIDENCE_LEVELS,
+    setAsideCode,
+    searchTiers,
+    percentile,
+    confidenceBand,
+    buildPriceToWin,
+    formatPriceToWin,
+    fetchComparables,
+    estimatePriceToWin,
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * samGovAdapter.js — SAM.gov as a source adapter (see sourceAdapters.js).
+ *
+ * Query buckets come from samQueryBuilder, fetching from samGovClient and
+ * normalization from samNormalizer; this file only fits them to the adapter
+ * interface. Configured by env (SAM_GOV_API_KEY), not per profile.
+ */
+
+const { registerAdapter, buildDedupKey } = require('./sourceAdapters');
+const { searchOpportunities } = require('./samGovClient');
+const { buildQueriesForProfile } = require('./samQueryBuilder');
+const { normalizeOpportunity } = require('./samNormalizer');
+
+const MAX_RECORDS_PER_SYNC = 500;
+
+const samGovAdapter = {
+    type:              'sam_gov',
+    label:             'SAM.gov',
+    profileConfigured: false,
+    filterByProfile:   false, // queries are already profile-scoped
+
+    validateConfig() {
+        return { valid: true };
+    },
+
+    async fetchRecords({ profile, lastSyncDate }) {
+        const queries = buildQueriesForProfile(profile, lastSyncDate);
+        const queriesUsed = queries.map(q => ({
+            bucket: q.bucket,
+            keyword: q.keyword || null,
+            naicsCode: q.naicsCode || null,
+            noticeType: q.noticeType || null,
+        }));
+
+        const records = [];
+        const errors = [];
+        for (const query of queries) {
+            if (records.length >= MAX_RECORDS_PER_SYNC) break;
+
+            try {
+                const result = await searchOpportunities(query);
+                if (!result.success) {
+                    errors.push(`Query failed: ${result.error}`);
+                    continue;
+                }
+                records.push(...(result.data?.opportunities || []));
+            } catch (queryErr) {
+                errors.push(`Query execution error: ${queryErr.message}`);
+            }
+        }
+
+        return { success: true, records: records.slice(0, MAX_RECORDS_PER_SYNC), queriesUsed, errors };
+    },
+
+    normalize(record, { profileId, userId }) {
+        const opp = normalizeOpportunity(record, profileId, userId);
+        if (opp) opp.dedupKey = buildDedupKey(opp);
+        return opp;
+    },
+};
+
+registerAdapter(samGovAdapter);
+
+module.exports = samGovAdapter;
@@ -9,6 +9,7 @@
  */
 
 const SAM_BASE_URL = 'https://api.sam.gov/opportunities/v2/search';
+const SAM_API_HOST = 'api.sam.gov';
 const TIMEOUT_MS   = 30000;
 const THROTTLE_MS  = 500;
 
@@ -160,6 +161,79 @@ async function searchOpportunities(params = {}) {
     }
 }
 
+// ── Notice Description ──────────────────────────────────────────────────────
+
+/**
+ * Fetch the full notice text behind a search record's `description` link
+ * (stored as sourceRefs[].descriptionUrl). The link needs the API key, so only
+ * api.sam.gov URLs are followed.
+ *
+ * @param {string} descriptionUrl — e.g. https://api.sam.gov/prod/opportunities/v1/noticedesc?noticeid=…
+ * @returns {Promise<{success: boolean, data?: {text: string}, error?: string}>}
+ */
+async function fetchNoticeDescription(descriptionUrl) {
+    const apiKey = process.env.SAM_GOV_API_KEY;
+    if (!apiKey) {
+        return { success: false, data: null, error: 'SAM_GOV_API_KEY not configured' };
+    }
+
+    let url;
+    try {
+        url = new URL(descriptionUrl);
+    } catch {
+        return { success: false, data: null, error: 'Invalid description URL' };
+    }
+    if (url.protocol !== 'https:' || url.hostname !== SAM_API_HOST) {
+        return { success: false, data: null, error: `Description URL is not on ${SAM_API_HOST}` };
+    }
+    url.searchParams.set('api_key', apiKey);
+
+    await _throttle();
+
+    try {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), TIMEOUT_MS);
+
+        const response = await fetch(url.toString(), {
+            method: 'GET',
+            headers: { 'Accept': 'application/json' },
+            signal: controller.signal,
+        });
+
+        clearTimeout(timeout);
+
+        if (response.status === 404) {
+            return { success: true, data: { text: '' }, error: null };
+        }
+        if (!response.ok) {
+            return { success: false, data: null, error: `SAM.gov HTTP ${response.status}` };
+        }
+
+        // { description: "<p>…</p>" } — HTML, flattened to lines of text
+        const json = await response.json();
+        const text = String(json.description || '')
+            .replace(/<(?:br|\/p|\/div|\/li|\/h\d)\s*\/?>/gi, '\n')
+            .replace(/<[^>]*>/g, ' ')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&amp;/g, '&')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/[ \t]+/g, ' ')
+            .replace(/ *\n */g, '\n')
+            .trim();
+
+        return { success: true, data: { text }, error: null };
+
+    } catch (err) {
+        if (err.name === 'AbortError') {
+            return { success: false, data: null, error: 'SAM.gov request timed out (30s)' };
+        }
+        return { success: false, data: null, error: `SAM.gov fetch error: ${err.message}` };
+    }
+}
+
 /**
  * Reset the throttle timer (for testing).
  */
@@ -169,6 +243,7 @@ function _resetThrottle() {
 
 module.exports = {
     searchOpportunities,
+    fetchNoticeDescription,
     formatSamDate,
     NOTICE_TYPE_MAP,
     _resetThrottle,
@@ -85,6 +85,9 @@ function normalizeOpportunity(samRecord, profileId, userId) {
         },
         dateParseStatus,
 
+        // Attachment URLs — compared across syncs by amendmentTracker
+        attachments:       (samRecord.resourceLinks || []).filter(l => typeof l === 'string'),
+
         sourceRefs: [{
             source:           'sam_gov',
             sourceExternalId: noticeId,
@@ -22,6 +22,7 @@
  * @property {object}   digestSettings
  * @property {number}   autoArchiveDays
  * @property {Array}    negativeKeywords    — scoring only, never source queries
+ * @property {Array}    opportunitySources  — state feeds / grants.gov extracts (set via PUT /profiles/:id/sources)
  * @property {Date}     createdAt
  * @property {Date}     updatedAt
  */
@@ -67,8 +68,10 @@ const NUMERIC_PROFILE_FIELDS = ['avgContractValue', 'weeklySubmissionGoal'];
  * @typedef {object} GovOpportunity
  * @property {string}   userId
  * @property {Array}    profileIds          — array-contains for multi-profile
- * @property {string}   primarySource       — 'sam_gov' | 'manual_upload' | 'rfpmart'
- * @property {string}   canonicalKey        — dedup key
+ * @property {string}   primarySource       — 'sam_gov' | 'manual_upload' | 'rfpmart' | 'state_rss' | 'state_csv' | 'grants_gov'
+ * @property {string}   canonicalKey        — same-source dedup key
+ * @property {string}   dedupKey            — cross-source key (solicitation number, else title + buyer + due day)
+ * @property {Array}    sourceRefs          — one entry per source the opportunity was seen on
  * @property {string}   title
  * @property {string}   buyerName
  * @property {string}   description
@@ -80,7 +83,10 @@ const NUMERIC_PROFILE_FIELDS = ['avgContractValue', 'weeklySubmissionGoal'];
  * @property {number}   estimatedValue
  * @property {object}   fit                 — { score, label, pass, reasons[], risks[], dimensions }
  * @property {object}   awardContext        — Pass 2 enrichment from USAspending
+ * @property {object}   competitorIntel     — { incumbent, recompete, topVendors[], window, generatedAt } (competitorIntelService)
  * @property {object}   checklistAnswers
+ * @property {Array}    attachments         — attachment URLs as last reported by the source
+ * @property {object}   latestAmendment     — { id, detectedAt, items[], rescored } (history in amendments subcollection)
  * @property {string}   pursuitStatus       — 'new' | 'reviewing' | 'pursuing' | 'bid_submitted' | 'won' | 'lost' | 'no_bid'
  * @property {boolean}  archived
  * @property {Date}     createdAt
@@ -0,0 +1,331 @@
+'use strict';
+
+/**
+ * sourceAdapters.js — Registry + shared helpers for opportunity source adapters.
+ *
+ * Every source (SAM.gov, state procurement feeds, grants.gov extracts) plugs
+ * into sourceSyncService through the same interface:
+ *
+ *   {
+ *     type:           'state_rss',              — stored as primarySource / sourceRefs[].source
+ *     label:          'State procurement RSS feed',
+ *     profileConfigured: true,                  — false for env-configured sources (SAM.gov)
+ *     filterByProfile:   true,                  — feed is not query-scoped; keep only prefilter hits
+ *     validateConfig(config)                    → { valid: true } | { valid: false, error }
+ *     fetchRecords({ profile, config, lastSyncDate })
+ *                                               → { success, records, queriesUsed?, errors?, error? }
+ *                                                 (never throws)
+ *     normalize(record, { profileId, userId, config }) → GovOpportunity | null
+ *   }
+ *
+ * Profile-configured sources live on govProfiles/{id}.opportunitySources as
+ *   { id, type, name, url, state?, agencyName?, columnMap?, enabled }.
+ */
+
+const crypto = require('crypto');
+const { parseSafeUrl, ssrfSafeRequest } = require('../../utils/ssrfGuard');
+
+const FETCH_TIMEOUT_MS = 30000;
+const MAX_FEED_BYTES   = 25 * 1024 * 1024;
+
+const _adapters = new Map();
+
+/**
+ * Register an adapter. Later registrations of the same type replace earlier ones.
+ */
+function registerAdapter(adapter) {
+    if (!adapter || !adapter.type || typeof adapter.fetchRecords !== 'function' || typeof adapter.normalize !== 'function') {
+        throw new Error('Source adapter needs type, fetchRecords and normalize');
+    }
+    _adapters.set(adapter.type, adapter);
+}
+
+function getAdapter(type) {
+    return _adapters.get(type) || null;
+}
+
+/**
+ * Adapter metadata for the sources UI.
+ */
+function listAdapters() {
+    return Array.from(_adapters.values()).map(a => ({
+        type:              a.type,
+        label:             a.label,
+        profileConfigured: !!a.profileConfigured,
+    }));
+}
+
+// ── Shared helpers ───────────────────────────────────────────────────────────
+
+/**
+ * GET a feed as a Buffer. Never throws — returns { success, data, error }.
+ *
+ * Feed URLs are profile-supplied, so the request goes through the SSRF guard:
+ * private and metadata addresses are refused, the connection is pinned to the
+ * validated address, and redirects are not followed. The body is streamed and
+ * the download abandoned as soon as it passes maxBytes.
+ *
+ * @param {string} url
+ * @param {object} [options]
+ * @param {number} [options.maxBytes=MAX_FEED_BYTES]
+ */
+async function fetchFeed(url, { maxBytes = MAX_FEED_BYTES } = {}) {
+    try {
+        const response = await ssrfSafeRequest(url, {
+            method:       'GET',
+            timeout:      FETCH_TIMEOUT_MS,
+            maxRedirects: 0,
+            responseType: 'stream',
+        });
+
+        if (response.status < 200 || response.status >= 300) {
+            response.data.destroy();
+            return { success: false, data: null, error: `HTTP ${response.status} from ${url}` };
+        }
+
+        const chunks = [];
+        let received = 0;
+        for await (const chunk of response.data) {
+            received += chunk.length;
+            if (received > maxBytes) {
+                response.data.destroy();
+                return { success: false, data: null, error: `Feed exceeds ${Math.round(maxBytes / (1024 * 1024))} MB` };
+            }
+            chunks.push(chunk);
+        }
+        return { success: true, data: Buffer.concat(chunks, received), error: null };
+    } catch (err) {
+        if (err.reason === 'too_many_redirects') {
+            return { success: false, data: null, error: `Feed at ${url} redirects; configure the final URL` };
+        }
+        if (err.name === 'SsrfError' && err.reason !== 'request_failed') {
+            return { success: false, data: null, error: `Feed URL not allowed (${err.message})` };
+        }
+        return { success: false, data: null, error: `Feed fetch error: ${err.message}` };
+    }
+}
+
+/**
+ * Validate the URL of a profile-configured feed: https only, and not an address
+ * the SSRF guard would refuse (private, loopback, metadata IPs, credentials).
+ */
+function validateFeedUrl(url) {
+    if (!url || typeof url !== 'string') return { valid: false, error: 'url is required' };
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return { valid: false, error: 'url is not a valid URL' };
+    }
+    if (parsed.protocol !== 'https:') return { valid: false, error: 'url must use https' };
+    try {
+        parseSafeUrl(url);
+    } catch (err) {
+        return { valid: false, error: `url is not allowed (${err.message})` };
+    }
+    return { valid: true };
+}
+
+function _normalizeKeyPart(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Cross-source dedup key. The same solicitation posted on SAM.gov and a state
+ * portal shares a solicitation number; without one, fall back to
+ * title + buyer + due day.
+ *
+ * @returns {string|null}
+ */
+function buildDedupKey({ solicitationNumber, title, buyerName, dueDate }) {
+    const sol = _normalizeKeyPart(solicitationNumber);
+    if (sol.length >= 4) {
+        return crypto.createHash('sha1').update(`sol:${sol}`).digest('hex');
+    }
+    const t = _normalizeKeyPart(title);
+    if (!t || !buyerName) return null;
+    const day = dueDate ? String(dueDate).substring(0, 10) : '';
+    return crypto.createHash('sha1').update(`tbd:${t}|${_normalizeKeyPart(buyerName)}|${day}`).digest('hex');
+}
+
+function _safeParseDate(raw) {
+    if (!raw) return null;
+    if (raw instanceof Date) return isNaN(raw.getTime()) ? null : raw;
+    const s = String(raw).trim();
+    // grants.gov extracts use MMDDYYYY
+    const compact = s.match(/^(\d{2})(\d{2})(\d{4})$/);
+    if (compact) {
+        const d = new Date(Date.UTC(+compact[3], +compact[1] - 1, +compact[2]));
+        return isNaN(d.getTime()) ? null : d;
+    }
+    const d = new Date(s);
+    return isNaN(d.getTime()) ? null : d;
+}
+
+function _parseNumber(val) {
+    if (val === null || val === undefined || val === '') return null;
+    const n = parseFloat(String(val).replace(/[$,\s]/g, ''));
+    return isNaN(n) ? null : n;
+}
+
+/**
+ * Build a GovOpportunity (same shape as samNormalizer.normalizeOpportunity) from
+ * already-extracted fields.
+ *
+ * @param {object} fields — title, description, buyerName, agencyName, departmentName,
+ *   solicitationNumber, noticeType, location, naicsCodes, setAside, estimatedValue,
+ *   dueDateRaw, postedDateRaw, externalId, sourceUrl, descriptionUrl, attachments
+ * @param {object} ctx — { source, sourceId, profileId, userId, confidence }
+ * @returns {object}
+ */
+function buildOpportunity(fields, { source, sourceId, profileId, userId, confidence = 'medium' }) {
+    const externalId = fields.externalId || fields.sourceUrl || null;
+    const canonicalKey = crypto.createHash('sha1')
+        .update(externalId ? `${source}:${sourceId || ''}:${externalId}` : `${source}:${Date.now()}:${Math.random()}`)
+        .digest('hex');
+
+    const dueDate    = _safeParseDate(fields.dueDateRaw);
+    const postedDate = _safeParseDate(fields.postedDateRaw);
+
+    const rawDesc = fields.description || '';
+    const isDescUrl = typeof rawDesc === 'string' && /^https?:\/\//i.test(rawDesc.trim());
+    const title = (fields.title || '').trim() || 'Untitled Opportunity';
+    const buyerName = fields.buyerName || fields.agencyName || null;
+
+    return {
+        userId,
+        profileIds:        [profileId],
+        primarySource:     source,
+        sourceConfidence:  confidence,
+        canonicalKey,
+        dedupKey:          buildDedupKey({
+            solicitationNumber: fields.solicitationNumber,
+            title,
+            buyerName,
+            dueDate: dueDate ? dueDate.toISOString() : null,
+        }),
+
+        title,
+        description:       isDescUrl ? null : (rawDesc || '').substring(0, 5000) || null,
+        buyerName,
+        agencyName:        fields.agencyName || null,
+        departmentName:    fields.departmentName || null,
+        solicitationNumber: fields.solicitationNumber || null,
+        noticeType:        fields.noticeType || null,
+
+        location:          fields.location || null,
+        naicsCodes:        (fields.naicsCodes || []).map(String),
+        setAside:          fields.setAside || null,
+        estimatedValue:    _parseNumber(fields.estimatedValue),
+
+        dueDate:           dueDate ? dueDate.toISOString() : null,
+        postedDate:        postedDate ? postedDate.toISOString() : null,
+        archiveDate:       null,
+        rawDates: {
+            dueDateRaw:     fields.dueDateRaw || null,
+            postedDateRaw:  fields.postedDateRaw || null,
+            archiveDateRaw: null,
+        },
+        dateParseStatus:   !fields.dueDateRaw ? 'missing' : (dueDate ? 'parsed' : 'needs_review'),
+        attachments:       fields.attachments || [],
+
+        sourceRefs: [{
+            source,
+            sourceId:         sourceId || null,
+            sourceExternalId: externalId,
+            sourceUrl:        fields.sourceUrl || null,
+            descriptionUrl:   fields.descriptionUrl || (isDescUrl ? rawDesc.trim() : null),
+            fetchedAt:        new Date().toISOString(),
+        }],
+
+        fit:              null,
+        awardContext:     null,
+        checklistAnswers: null,
+
+        analysisStatus:   'pending',
+        pursuitStatus:    'new',
+        archived:         false,
+
+        createdAt:        null,
+        updatedAt:        null,
+    };
+}
+
+// ── Profile source config ────────────────────────────────────────────────────
+
+const MAX_PROFILE_SOURCES = 10;
+const SOURCE_ID_RE = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const MAX_SOURCE_NAME_LEN = 120;
+
+/**
+ * Validate govProfiles.opportunitySources from client input.
+ * Returns { valid: false, error } or { valid: true, value } with the cleaned list.
+ */
+function validateSourceConfigs(sources) {
+    if (!Array.isArray(sources)) {
+        return { valid: false, error: 'sources must be an array' };
+    }
+    if (sources.length > MAX_PROFILE_SOURCES) {
+        return { valid: false, error: `Maximum ${MAX_PROFILE_SOURCES} sources per profile` };
+    }
+
+    const seen = new Set();
+    const value = [];
+    for (const [i, source] of sources.entries()) {
+        if (!source || typeof source !== 'object') {
+            return { valid: false, error: `sources[${i}] must be an object` };
+        }
+        if (typeof source.id !== 'string' || !SOURCE_ID_RE.test(source.id)) {
+            return { valid: false, error: `sources[${i}].id must be lowercase letters, digits, - or _` };
+        }
+        if (seen.has(source.id)) {
+            return { valid: false, error: `Duplicate source id: ${source.id}` };
+        }
+        seen.add(source.id);
+
+        const adapter = getAdapter(source.type);
+        if (!adapter || !adapter.profileConfigured) {
+            return { valid: false, error: `sources[${i}].type must be one of: ${listAdapters().filter(a => a.profileConfigured).map(a => a.type).join(', ')}` };
+        }
+        if (typeof source.name !== 'string' || !source.name.trim() || source.name.length > MAX_SOURCE_NAME_LEN) {
+            return { valid: false, error: `sources[${i}].name is required (max ${MAX_SOURCE_NAME_LEN} characters)` };
+        }
+
+        const check = adapter.validateConfig(source);
+        if (!check.valid) {
+            return { valid: false, error: `sources[${i}]: ${check.error}` };
+        }
+
+        value.push({
+            id:         source.id,
+            type:       source.type,
+            name:       source.name.trim(),
+            url:        source.url,
+            state:      source.state || null,
+            agencyName: source.agencyName || null,
+            columnMap:  source.columnMap || null,
+            enabled:    source.enabled !== false,
+        });
+    }
+    return { valid: true, value };
+}
+
+module.exports = {
+    MAX_PROFILE_SOURCES,
+    registerAdapter,
+    getAdapter,
+    listAdapters,
+    fetchFeed,
+    validateFeedUrl,
+    buildDedupKey,
+    buildOpportunity,
+    validateSourceConfigs,
+    // Exported for testing
+    _safeParseDate,
+    _parseNumber,
+};
+
+// Built-in adapters register themselves on load
+require('./samGovAdapter');
+require('./stateProcurementAdapters');
+require('./grantsGovAdapter');
@@ -0,0 +1,426 @@
+'use strict';
+
+/**
+ * sourceSyncService.js — Orchestrates a sync of one opportunity source for a
+ * single profile, whatever the adapter (see sourceAdapters.js).
+ *
+ * Sequence: acquire lock → load profile → resolve source → fetch → normalize →
+ * prefilter → upsert/dedup → release lock → write SourceRun.
+ *
+ * Dedup is two-level: canonicalKey matches the same record from the same
+ * source (an update); dedupKey matches the same solicitation already captured
+ * from another source for this user, which is merged into the existing
+ * opportunity as an extra sourceRef instead of creating a duplicate.
+ * Changes to opportunities the user is watching are recorded as amendments
+ * (see amendmentTracker.js).
+ */
+
+const admin = require('firebase-admin');
+const { getAdapter } = require('./sourceAdapters');
+const { scoreRelevance } = require('./govPrefilter');
+const { isWatched, diffOpportunity, recordAmendment } = require('./amendmentTracker');
+
+// Upserts per run; a run that hits the cap keeps its window so the next run resumes
+const MAX_RECORDS_PER_SYNC = 500;
+const LOCK_LEASE_MINUTES   = 10;
+
+// ── Sync Lock ────────────────────────────────────────────────────────────────
+
+async function _acquireLock(db, profileId, sourceId) {
+    const lockRef = db.collection('govSyncLocks').doc(`${profileId}:${sourceId}`);
+
+    try {
+        const acquired = await db.runTransaction(async (t) => {
+            const snap = await t.get(lockRef);
+
+            if (snap.exists) {
+                const data       = snap.data();
+                const acquiredAt = data.acquiredAt?.toDate ? data.acquiredAt.toDate() : new Date(data.acquiredAt);
+                const elapsed    = (Date.now() - acquiredAt.getTime()) / 60000; // minutes
+
+                if (elapsed < LOCK_LEASE_MINUTES) {
+                    return false; // Still locked
+                }
+                // Expired lock — overwrite
+            }
+
+            t.set(lockRef, {
+                profileId,
+                source:     sourceId,
+                acquiredAt: admin.firestore.FieldValue.serverTimestamp(),
+                expiresAt:  new Date(Date.now() + LOCK_LEASE_MINUTES * 60000),
+            });
+            return true;
+        });
+
+        return acquired;
+    } catch (err) {
+        console.error(`[SourceSync] Lock acquisition failed for ${profileId}:${sourceId}:`, err.message);
+        return false;
+    }
+}
+
+async function _releaseLock(db, profileId, sourceId) {
+    try {
+        await db.collection('govSyncLocks').doc(`${profileId}:${sourceId}`).delete();
+    } catch (err) {
+        console.warn(`[SourceSync] Lock release failed for ${profileId}:${sourceId}:`, err.message);
+    }
+}
+
+// ── Source resolution ────────────────────────────────────────────────────────
+
+/**
+ * SAM.gov is built in for every profile; everything else must be configured
+ * (and enabled) on profile.opportunitySources.
+ *
+ * @returns {object|null} source config — { id, type, ... }
+ */
+function resolveSourceConfig(profile, sourceId) {
+    if (sourceId === 'sam_gov') return { id: 'sam_gov', type: 'sam_gov', name: 'SAM.gov', enabled: true };
+    const config = (profile.opportunitySources || []).find(s => s.id === sourceId);
+    return config && config.enabled !== false ? config : null;
+}
+
+function _hasProfileCriteria(profile) {
+    return (profile.credentials?.naicsCodes || []).length > 0 ||
+        (profile.solutions || []).some(s => (s.keywords || []).length > 0 || (s.naicsCodes || []).length > 0);
+}
+
+// ── Sync Orchestrator ────────────────────────────────────────────────────────
+
+/**
+ * Sync a single profile against one of its sources.
+ *
+ * @param {string} profileId
+ * @param {string} userId
+ * @param {string} sourceId — 'sam_gov' or an opportunitySources[].id
+ * @returns {Promise<object>} — SourceRun summary
+ */
+async function syncProfileSource(profileId, userId, sourceId) {
+    const db = admin.firestore();
+
+    const sourceRun = {
+        profileId,
+        userId,
+        source:       sourceId,
+        sourceType:   null,
+        status:       'running',
+        queriesUsed:  [],
+        totalFetched: 0,
+        filtered:     0,
+        created:      0,
+        updated:      0,
+        deduped:      0,
+        amended:      0,
+        truncated:    false,
+        resumeFrom:   0,
+        syncedFrom:   null,
+        errors:       [],
+        startedAt:    new Date().toISOString(),
+        completedAt:  null,
+    };
+
+    // ── 1. Acquire lock ──────────────────────────────────────────────────
+    const locked = await _acquireLock(db, profileId, sourceId);
+    if (!locked) {
+        sourceRun.status = 'already_running';
+        sourceRun.completedAt = new Date().toISOString();
+        await _writeSourceRun(db, sourceRun);
+        return sourceRun;
+    }
+
+    try {
+        // ── 2. Load profile + source ─────────────────────────────────────
+        const profileDoc = await db.collection('govProfiles').doc(profileId).get();
+        if (!profileDoc.exists || profileDoc.data().status !== 'active') {
+            sourceRun.status = 'failed';
+            sourceRun.errors.push('Profile not found or inactive');
+            sourceRun.completedAt = new Date().toISOString();
+            return sourceRun;
+        }
+
+        const profile = profileDoc.data();
+        const config  = resolveSourceConfig(profile, sourceId);
+        const adapter = config ? getAdapter(config.type) : null;
+        if (!adapter) {
+            sourceRun.status = 'failed';
+            sourceRun.errors.push(`Source ${sourceId} is not configured or disabled`);
+            sourceRun.completedAt = new Date().toISOString();
+            return sourceRun;
+        }
+        sourceRun.sourceType = adapter.type;
+
+        // ── 3. Determine last sync date ──────────────────────────────────
+        // A run cut short by the cap leaves its window open and says where to pick up
+        let lastSyncDate = null;
+        let resumeFrom = 0;
+        try {
+            const runsSnap = await db.collection('govSourceRuns')
+                .where('profileId', '==', profileId)
+                .where('source', '==', sourceId)
+                .orderBy('createdAt', 'desc')
+                .limit(1)
+                .get();
+
+            if (!runsSnap.empty) {
+                const lastRun = runsSnap.docs[0].data();
+                if (lastRun.truncated) {
+                    lastSyncDate = lastRun.syncedFrom || null;
+                    resumeFrom = lastRun.resumeFrom || 0;
+                } else {
+                    lastSyncDate = lastRun.completedAt || lastRun.startedAt;
+                }
+            }
+        } catch {
+            // No previous runs — adapter uses its default lookback
+        }
+        sourceRun.syncedFrom = lastSyncDate;
+
+        // ── 4. Fetch ─────────────────────────────────────────────────────
+        const fetched = await adapter.fetchRecords({ profile, config, lastSyncDate });
+        sourceRun.queriesUsed = fetched.queriesUsed || [];
+        sourceRun.errors.push(...(fetched.errors || []));
+        if (!fetched.success) {
+            sourceRun.status = 'failed';
+            sourceRun.errors.push(fetched.error || 'Fetch failed');
+            sourceRun.completedAt = new Date().toISOString();
+            return sourceRun;
+        }
+
+        const records = fetched.records || [];
+        sourceRun.totalFetched = records.length;
+
+        // ── 5. Normalize + prefilter + upsert ────────────────────────────
+        // Feeds aren't query-scoped, so keep only what the profile would match
+        const prefilter = adapter.filterByProfile && _hasProfileCriteria(profile);
+        let upserted = 0;
+
+        for (let i = Math.min(resumeFrom, records.length); i < records.length; i++) {
+            if (upserted >= MAX_RECORDS_PER_SYNC) {
+                sourceRun.truncated = true;
+                sourceRun.resumeFrom = i;
+                sourceRun.errors.push(`Stopped after ${MAX_RECORDS_PER_SYNC} records; ${records.length - i} left for the next sync`);
+                break;
+            }
+            try {
+                const normalized = adapter.normalize(records[i], { profileId, userId, config });
+                if (!normalized) continue;
+
+                if (prefilter && scoreRelevance(normalized, profile).score <= 0) {
+                    sourceRun.filtered++;
+                    continue;
+                }
+
+                const { outcome, amended } = await upsertOpportunity(db, normalized, profileId, { profile: { id: profileId, ...profile } });
+                sourceRun[outcome]++;
+                upserted++;
+                if (amended) sourceRun.amended++;
+            } catch (normErr) {
+                sourceRun.errors.push(`Normalize error: ${normErr.message}`);
+            }
+        }
+
+        // ── 6. Finalize ──────────────────────────────────────────────────
+        sourceRun.status = sourceRun.errors.length > 0 ? 'partial' : 'completed';
+        sourceRun.completedAt = new Date().toISOString();
+
+    } catch (err) {
+        console.error(`[SourceSync] ❌ Sync failed for ${profileId}:${sourceId}:`, err.message);
+        sourceRun.status = 'failed';
+        sourceRun.errors.push(err.message);
+        sourceRun.completedAt = new Date().toISOString();
+    } finally {
+        // MUST release lock even on error
+        await _releaseLock(db, profileId, sourceId);
+        if (sourceRun.status !== 'already_running') await _writeSourceRun(db, sourceRun);
+    }
+
+    console.log(`[SourceSync] ${profileId}:${sourceId}: ${sourceRun.status} — ${sourceRun.created} created, ${sourceRun.updated} updated, ${sourceRun.deduped} deduped, ${sourceRun.amended} amended, ${sourceRun.filtered} filtered, ${sourceRun.errors.length} errors`);
+    return sourceRun;
+}
+
+// ── Upsert Opportunity ───────────────────────────────────────────────────────
+
+/**
+ * Fields an alternate source may fill in when the primary left them empty.
+ */
+const MERGE_FILL_FIELDS = ['description', 'solicitationNumber', 'dueDate', 'postedDate', 'estimatedValue', 'setAside', 'location', 'noticeType'];
+
+/**
+ * Updates for the tracked fields that changed, keeping rawDates and
+ * dateParseStatus in step with a moved deadline.
+ */
+function _changedFieldUpdates(changes, normalized) {
+    const updates = {};
+    for (const { field, to } of changes) updates[field] = to;
+    if (updates.dueDate) {
+        updates.rawDates = normalized.rawDates;
+        updates.dateParseStatus = normalized.dateParseStatus;
+    }
+    return updates;
+}
+
+// Amendments that can move a Q&A cutoff or site visit
+const KEY_DATE_FIELDS = ['description', 'attachments'];
+
+async function _trackAmendment(ref, data, updates, changes, normalized, profile) {
+    if (changes.length === 0 || !isWatched(data)) return null;
+    const merged = { ...data, ...updates };
+    const amendment = await recordAmendment(ref, data, merged, changes, { profile, source: normalized.primarySource });
+    if (amendment && changes.some(c => KEY_DATE_FIELDS.includes(c.field))) {
+        const { refreshKeyDates } = require('./govCalendarFeedService');
+        await refreshKeyDates(ref, merged);
+    }
+    return amendment;
+}
+
+/**
+ * @param {object} db
+ * @param {object} normalized — GovOpportunity from an adapter
+ * @param {string} profileId
+ * @param {object} [options]
+ * @param {object} [options.profile] — GovProfile (with id) for re-scoring amended opportunities
+ * @returns {Promise<{ outcome: 'created'|'updated'|'deduped', amended: boolean }>}
+ */
+async function upsertOpportunity(db, normalized, profileId, { profile = null } = {}) {
+    // Scoped to the user: the inbox lists by userId, so a match in another
+    // tenant's opportunity would never show up for this one
+    const existing = await db.collection('govOpportunities')
+        .where('userId', '==', normalized.userId)
+        .where('canonicalKey', '==', normalized.canonicalKey)
+        .limit(1)
+        .get();
+
+    if (!existing.empty) {
+        const doc = existing.docs[0];
+        const data = doc.data();
+
+        // Merge profileIds
+        const mergedProfileIds = Array.from(new Set([
+            ...(data.profileIds || []),
+            profileId,
+        ]));
+
+        // Update with newer data
+        const changes = diffOpportunity(data, normalized);
+        const updates = {
+            ..._changedFieldUpdates(changes, normalized),
+            profileIds:  mergedProfileIds,
+            dedupKey:    data.dedupKey || normalized.dedupKey || null,
+            updatedAt:   admin.firestore.FieldValue.serverTimestamp(),
+        };
+        await doc.ref.update(updates);
+
+        const amendment = await _trackAmendment(doc.ref, data, updates, changes, normalized, profile);
+        return { outcome: 'updated', amended: !!amendment };
+    }
+
+    // Same solicitation under another record
+    if (normalized.dedupKey) {
+        const dupes = await db.collection('govOpportunities')
+            .where('userId', '==', normalized.userId)
+            .where('dedupKey', '==', normalized.dedupKey)
+            .limit(1)
+            .get();
+
+        if (!dupes.empty) {
+            const doc = dupes.docs[0];
+            const data = doc.data();
+            const ref = normalized.sourceRefs[0];
+            const refs = data.sourceRefs || [];
+            const known = refs.some(r => r.source === ref.source && (r.sourceId || null) === ref.sourceId && r.sourceExternalId === ref.sourceExternalId);
+
+            const updates = {
+                profileIds: Array.from(new Set([...(data.profileIds || []), profileId])),
+                sourceRefs: known ? refs : [...refs, ref],
+                updatedAt:  admin.firestore.FieldValue.serverTimestamp(),
+            };
+
+            // The primary source re-posting under a new notice ID is an
+            // amendment; other sources only fill gaps
+            let changes = [];
+            if (data.primarySource === normalized.primarySource) {
+                changes = diffOpportunity(data, normalized);
+                Object.assign(updates, _changedFieldUpdates(changes, normalized));
+            } else {
+                for (const field of MERGE_FILL_FIELDS) {
+                    if ((data[field] === null || data[field] === undefined) && normalized[field] != null) {
+                        updates[field] = normalized[field];
+                    }
+                }
+                if ((data.naicsCodes || []).length === 0 && normalized.naicsCodes.length > 0) {
+                    updates.naicsCodes = normalized.naicsCodes;
+                }
+            }
+
+            await doc.ref.update(updates);
+
+            const amendment = await _trackAmendment(doc.ref, data, updates, changes, normalized, profile);
+            return { outcome: 'deduped', amended: !!amendment };
+        }
+    }
+
+    // New opportunity
+    await db.collection('govOpportunities').add({
+        ...normalized,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return { outcome: 'created', amended: false };
+}
+
+// ── Write SourceRun ──────────────────────────────────────────────────────────
+
+async function _writeSourceRun(db, sourceRun) {
+    try {
+        await db.collection('govSourceRuns').add({
+            ...sourceRun,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+    } catch (err) {
+        console.error('[SourceSync] SourceRun write failed:', err.message);
+    }
+}
+
+// ── syncAllProfileSources ────────────────────────────────────────────────────
+
+/**
+ * Sync every enabled profile-configured source (state feeds, grants.gov) of
+ * every active profile, sequentially. SAM.gov keeps its own loop in
+ * samSyncService.syncAllActiveProfiles. One source's failure never blocks the rest.
+ *
+ * @param {Function} [syncFn] — injectable for tests; defaults to syncProfileSource
+ * @returns {Promise<Array>} per-source results
+ */
+async function syncAllProfileSources(syncFn = syncProfileSource) {
+    const db = admin.firestore();
+    const snap = await db.collection('govProfiles')
+        .where('status', '==', 'active')
+        .get();
+
+    const results = [];
+    for (const doc of snap.docs) {
+        const sources = (doc.data().opportunitySources || []).filter(s => s.enabled !== false);
+        for (const source of sources) {
+            try {
+                const result = await syncFn(doc.id, doc.data().userId, source.id);
+                results.push({ profileId: doc.id, sourceId: source.id, ...result });
+            } catch (err) {
+                results.push({ profileId: doc.id, sourceId: source.id, status: 'failed', error: err.message });
+            }
+        }
+    }
+    return results;
+}
+
+module.exports = {
+    syncProfileSource,
+    syncAllProfileSources,
+    resolveSourceConfig,
+    upsertOpportunity,
+    // Exported for testing
+    _acquireLock,
+    _releaseLock,
+};
@@ -0,0 +1,180 @@
+'use strict';
+
+/**
+ * stateProcurementAdapters.js — State procurement portals that publish RSS or
+ * CSV bid feeds (see sourceAdapters.js for the adapter interface).
+ *
+ * Portals differ in layout, so each feed is configured on the profile:
+ *   { id, type: 'state_rss' | 'state_csv', name, url, state, agencyName?, columnMap? }
+ * columnMap (CSV only) maps GovOpportunity fields to the portal's column headers
+ * when the defaults in CSV_COLUMN_CANDIDATES don't match.
+ */
+
+const Parser = require('rss-parser');
+const { parse } = require('csv-parse/sync');
+const { registerAdapter, fetchFeed, validateFeedUrl, buildOpportunity } = require('./sourceAdapters');
+
+const rssParser = new Parser({
+    customFields: {
+        item: ['dueDate', 'closingDate', 'closeDate', 'bidNumber', 'solicitationNumber', 'agency'],
+    },
+});
+
+const US_STATE_RE = /^[A-Z]{2}$/;
+
+// Header names seen on state portals, checked case-insensitively in order
+const CSV_COLUMN_CANDIDATES = {
+    externalId:         ['Bid ID', 'Solicitation ID', 'ID', 'Event ID'],
+    title:              ['Title', 'Bid Title', 'Solicitation Title', 'Event Name', 'Description'],
+    description:        ['Description', 'Summary', 'Details', 'Scope'],
+    solicitationNumber: ['Solicitation Number', 'Bid Number', 'Solicitation #', 'Bid #', 'RFP Number', 'Event ID'],
+    buyerName:          ['Agency', 'Department', 'Buyer', 'Organization', 'Issuing Agency'],
+    dueDateRaw:         ['Due Date', 'Closing Date', 'Close Date', 'Response Due', 'Bid Due Date', 'End Date'],
+    postedDateRaw:      ['Posted Date', 'Open Date', 'Issue Date', 'Published', 'Start Date'],
+    naicsCodes:         ['NAICS', 'NAICS Code', 'Commodity Code'],
+    estimatedValue:     ['Estimated Value', 'Estimated Amount', 'Value'],
+    sourceUrl:          ['URL', 'Link', 'Bid URL', 'Details URL'],
+    setAside:           ['Set Aside', 'Set-Aside', 'Small Business'],
+};
+
+function validateStateConfig(config) {
+    const urlCheck = validateFeedUrl(config?.url);
+    if (!urlCheck.valid) return urlCheck;
+    if (config.state && !US_STATE_RE.test(config.state)) {
+        return { valid: false, error: 'state must be a two-letter code' };
+    }
+    if (config.columnMap !== undefined && (typeof config.columnMap !== 'object' || Array.isArray(config.columnMap))) {
+        return { valid: false, error: 'columnMap must be an object' };
+    }
+    return { valid: true };
+}
+
+function _stripHtml(text) {
+    return String(text || '').replace(/<[^>]+>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function _location(config) {
+    return config.state ? { city: null, state: config.state, country: 'US' } : null;
+}
+
+// ── RSS ──────────────────────────────────────────────────────────────────────
+
+const DUE_DATE_RE = /(?:due|closing|close|response)\s*date\s*[:-]?\s*([A-Za-z]{3,9}\.? \d{1,2},? \d{4}|\d{1,2}\/\d{1,2}\/\d{2,4}|\d{4}-\d{2}-\d{2})/i;
+const SOLICITATION_RE = /(?:solicitation|bid|rfp|rfq|ifb)\s*(?:number|no\.?|#)\s*[:-]?\s*([A-Z0-9][A-Z0-9\-_.\/]{2,})/i;
+
+const stateRssAdapter = {
+    type:              'state_rss',
+    label:             'State procurement RSS feed',
+    profileConfigured: true,
+    filterByProfile:   true,
+
+    validateConfig: validateStateConfig,
+
+    async fetchRecords({ config }) {
+        const fetched = await fetchFeed(config.url);
+        if (!fetched.success) return { success: false, records: [], error: fetched.error };
+
+        try {
+            const feed = await rssParser.parseString(fetched.data.toString('utf8'));
+            const records = (feed.items || []).map(item => ({ ...item, _feedTitle: feed.title || null }));
+            return { success: true, records };
+        } catch (err) {
+            return { success: false, records: [], error: `RSS parse error: ${err.message}` };
+        }
+    },
+
+    normalize(item, { profileId, userId, config }) {
+        if (!item || !item.title) return null;
+
+        const body = _stripHtml(item.content || item.contentSnippet || item.summary || '');
+        const dueMatch = body.match(DUE_DATE_RE);
+        const solMatch = `${item.title} ${body}`.match(SOLICITATION_RE);
+
+        return buildOpportunity({
+            externalId:         item.guid || item.link || null,
+            title:              item.title,
+            description:        body,
+            buyerName:          item.agency || config.agencyName || item._feedTitle || null,
+            agencyName:         item.agency || config.agencyName || null,
+            solicitationNumber: item.solicitationNumber || item.bidNumber || (solMatch ? solMatch[1].replace(/[-_.\/]+$/, '') : null),
+            dueDateRaw:         item.dueDate || item.closingDate || item.closeDate || (dueMatch ? dueMatch[1] : null),
+            postedDateRaw:      item.isoDate || item.pubDate || null,
+            location:           _location(config),
+            sourceUrl:          item.link || null,
+        }, { source: 'state_rss', sourceId: config.id, profileId, userId });
+    },
+};
+
+// ── CSV ──────────────────────────────────────────────────────────────────────
+
+function _resolveColumns(headers, columnMap = {}) {
+    const byLower = new Map(headers.map(h => [h.trim().toLowerCase(), h]));
+    const resolved = {};
+    for (const [field, candidates] of Object.entries(CSV_COLUMN_CANDIDATES)) {
+        const wanted = columnMap[field] ? [columnMap[field]] : candidates;
+        const hit = wanted.find(name => byLower.has(String(name).trim().toLowerCase()));
+        if (hit) resolved[field] = byLower.get(String(hit).trim().toLowerCase());
+    }
+    return resolved;
+}
+
+const stateCsvAdapter = {
+    type:              'state_csv',
+    label:             'State procurement CSV export',
+    profileConfigured: true,
+    filterByProfile:   true,
+
+    validateConfig: validateStateConfig,
+
+    async fetchRecords({ config }) {
+        const fetched = await fetchFeed(config.url);
+        if (!fetched.success) return { success: false, records: [], error: fetched.error };
+
+        try {
+            const rows = parse(fetched.data, { columns: true, skip_empty_lines: true, trim: true, bom: true, relax_column_count: true });
+            if (rows.length === 0) return { success: true, records: [] };
+
+            const columns = _resolveColumns(Object.keys(rows[0]), config.columnMap);
+            if (!columns.title) {
+                return { success: false, records: [], error: 'CSV has no recognizable title column — set columnMap.title' };
+            }
+            return { success: true, records: rows.map(row => ({ row, columns })) };
+        } catch (err) {
+            return { success: false, records: [], error: `CSV parse error: ${err.message}` };
+        }
+    },
+
+    normalize({ row, columns }, { profileId, userId, config }) {
+        const get = field => (columns[field] ? row[columns[field]] || null : null);
+        if (!get('title')) return null;
+
+        const naics = get('naicsCodes');
+        return buildOpportunity({
+            externalId:         get('externalId') || get('solicitationNumber') || get('sourceUrl'),
+            title:              get('title'),
+            // Title may fall back to the Description column; don't repeat it
+            description:        columns.description !== columns.title ? get('description') : null,
+            buyerName:          get('buyerName') || config.agencyName || null,
+            agencyName:         get('buyerName') || config.agencyName || null,
+            solicitationNumber: get('solicitationNumber'),
+            dueDateRaw:         get('dueDateRaw'),
+            postedDateRaw:      get('postedDateRaw'),
+            naicsCodes:         naics ? naics.split(/[,;\s]+/).filter(Boolean) : [],
+            estimatedValue:     get('estimatedValue'),
+            setAside:           get('setAside'),
+            location:           _location(config),
+            sourceUrl:          get('sourceUrl'),
+        }, { source: 'state_csv', sourceId: config.id, profileId, userId });
+    },
+};
+
+registerAdapter(stateRssAdapter);
+registerAdapter(stateCsvAdapter);
+
+module.exports = {
+    stateRssAdapter,
+    stateCsvAdapter,
+    CSV_COLUMN_CANDIDATES,
+    // Exported for testing
+    _resolveColumns,
+};
@@ -12,6 +12,7 @@ const USASPENDING_BASE = 'https://api.usaspending.gov';
 const TIMEOUT_MS       = 30000;
 
 // Default: contracts only (exclude grants, loans, etc.)
+// A = BPA call, B = purchase order, C = delivery order, D = definitive contract
 const DEFAULT_AWARD_TYPE_CODES = ['A', 'B', 'C', 'D'];
 
 // Official USAspending display field names for spending_by_award
@@ -39,12 +40,21 @@ const AWARD_FIELDS = [
  * @param {string} [params.naicsCode]
  * @param {string} [params.agencyName]
  * @param {string} [params.keyword]
+ * @param {Array<string>} [params.awardIds] — PIIDs / FAIN; enough on their own
+ * @param {Array<string>} [params.awardTypeCodes] — subset of DEFAULT_AWARD_TYPE_CODES
+ * @param {Array<string>} [params.setAsideCodes] — USAspending set-aside type codes (SBA, 8A, …)
+ * @param {Array<string>} [params.pricingTypeCodes] — FPDS type-of-contract-pricing codes (J = FFP, Y = T&M, …)
  * @param {number} [params.fiscalYear] — defaults to current FY
- * @returns {Promise<{success: boolean, data?: {awards: Array, totalCount: number}, error?: string}>}
+ * @param {object} [params.timePeriod] — { start_date, end_date } overriding the fiscal year
+ * @param {number} [params.limit=10] — max 100 (USAspending page size)
+ * @param {number} [params.page=1]
+ * @param {string} [params.sort='Award Amount'] — one of AWARD_FIELDS
+ * @param {string} [params.order='desc']
+ * @returns {Promise<{success: boolean, data?: {awards: Array, totalCount: number, hasNext: boolean}, error?: string}>}
  */
 async function searchSimilarAwards(params = {}) {
-    if (!params.naicsCode && !params.agencyName) {
-        return { success: false, data: null, error: 'naicsCode or agencyName required' };
+    if (!params.naicsCode && !params.agencyName && !(params.awardIds || []).length) {
+        return { success: false, data: null, error: 'naicsCode, agencyName or awardIds required' };
     }
 
     const fy = params.fiscalYear || _currentFiscalYear();
@@ -53,10 +63,10 @@ async function searchSimilarAwards(params = {}) {
     const body = {
         filters,
         fields: AWARD_FIELDS,
-        limit:  10,
-        page:   1,
-        sort:   'Award Amount',
-        order:  'desc',
+        limit:  Math.min(params.limit || 10, 100),
+        page:   params.page || 1,
+        sort:   AWARD_FIELDS.includes(params.sort) ? params.sort : 'Award Amount',
+        order:  params.order === 'asc' ? 'asc' : 'desc',
     };
 
     try {
@@ -66,12 +76,13 @@ async function searchSimilarAwards(params = {}) {
 
         const results = response.data?.results || [];
         const total   = response.data?.page_metadata?.total || results.length;
+        const hasNext = !!response.data?.page_metadata?.hasNext;
 
         const awards = results.map(_normalizeAward);
 
         return {
             success: true,
-            data: { awards, totalCount: total },
+            data: { awards, totalCount: total, hasNext },
             error: null,
         };
     } catch (err) {
@@ -88,6 +99,7 @@ async function searchSimilarAwards(params = {}) {
  * @param {string} [params.naicsCode]
  * @param {string} [params.agencyName]
  * @param {number} [params.fiscalYear]
+ * @param {object} [params.timePeriod] — { start_date, end_date } overriding the fiscal year
  * @returns {Promise<{success: boolean, data?: {recipients: Array}, error?: string}>}
  */
 async function searchTopRecipients(params = {}) {
@@ -132,14 +144,19 @@ async function searchTopRecipients(params = {}) {
 // ── Internal Helpers ─────────────────────────────────────────────────────────
 
 function _buildFilters(params, fiscalYear) {
+    const awardTypes = (params.awardTypeCodes || []).filter(c => DEFAULT_AWARD_TYPE_CODES.includes(c));
     const filters = {
-        award_type_codes: DEFAULT_AWARD_TYPE_CODES,
-        time_period: [{
+        award_type_codes: awardTypes.length > 0 ? awardTypes : DEFAULT_AWARD_TYPE_CODES,
+        time_period: [params.timePeriod || {
             start_date: `${fiscalYear - 1}-10-01`,
             end_date:   `${fiscalYear}-09-30`,
         }],
     };
 
+    if (Array.isArray(params.awardIds) && params.awardIds.length > 0) {
+        filters.award_ids = params.awardIds.map(String);
+    }
+
     if (params.naicsCode) {
         filters.naics_codes = [String(params.naicsCode)];
     }
@@ -152,6 +169,14 @@ function _buildFilters(params, fiscalYear) {
         }];
     }
 
+    if (Array.isArray(params.setAsideCodes) && params.setAsideCodes.length > 0) {
+        filters.set_aside_type_codes = params.setAsideCodes.map(String);
+    }
+
+    if (Array.isArray(params.pricingTypeCodes) && params.pricingTypeCodes.length > 0) {
+        filters.contract_pricing_type_codes = params.pricingTypeCodes.map(String);
+    }
+
     if (params.keyword) {
         filters.keywords = [params.keyword];
     }
@@ -218,6 +243,7 @@ module.exports = {
     searchTopRecipients,
     AWARD_FIELDS,
     DEFAULT_AWARD_TYPE_CODES,
+    _buildFilters,
     _normalizeAward,
     _currentFiscalYear,
 };
@@ -18,6 +18,7 @@
 const admin = require('firebase-admin');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const { checkAndDeductCredits } = require('../api/billing');
+const { wrapClient } = require('./providerReplay');
 
 const KE_API_KEY          = process.env.KEYWORDS_EVERYWHERE_API_KEY;
 const DATAFORSEO_LOGIN    = process.env.DATAFORSEO_LOGIN;
@@ -599,4 +600,10 @@ async function refreshIntentSignals(vertical, market, state, reportId, merchantI
     return Object.assign({}, signals, { fromCache: false });
 }
 
-module.exports = { generateIntentSignals, refreshIntentSignals };
+module.exports = wrapClient('intentSignals', { generateIntentSignals, refreshIntentSignals }, {
+    // reportId / merchantId are per-run; key on the market and report context only
+    keys: {
+        generateIntentSignals: args => [args[0], args[1], args[2], args[5]],
+        refreshIntentSignals: args => [args[0], args[1], args[2], args[5]]
+    }
+});
@@ -0,0 +1,345 @@
+/**
+ * Intent Weight Learner
+ *
+ * Learns per-merchant page-tag and event weights for Visitor Intel from which
+ * sessions actually converted. A session converts when it submitted a form or
+ * belongs to an account whose pitch was marked won (pitchOutcomes).
+ *
+ * The model is deliberately simple so every number can be explained: each
+ * feature's default weight is scaled by its conversion lift (conversion rate of
+ * sessions with the feature ÷ overall conversion rate), shrunk toward 1× for
+ * rarely seen features and clamped to 0.5×–2×.
+ *
+ * Writes:
+ *   merchantConfig/{merchantId}.learnedWeights            → read by /visitor-signal/ingest
+ *   merchantConfig/{merchantId}/calibrationReport/weights → before/after report
+ *
+ * Runs weekly via the refitIntentWeights scheduled function in index.js.
+ */
+
+const admin = require('firebase-admin');
+const { FieldValue } = require('firebase-admin/firestore');
+const { TAG_WEIGHTS, EVENT_WEIGHTS } = require('./visitorSignalService');
+const identityGraph = require('./visitorIdentityGraph');
+
+const db = admin.firestore();
+
+// Training window
+const TRAINING_DAYS = 90;
+
+// Below these the merchant keeps the global defaults
+const MIN_SESSIONS = 100;
+const MIN_CONVERSIONS = 10;
+const MIN_FEATURE_SESSIONS = 10;
+
+// Pseudo-sessions at the baseline rate added to every feature (shrinkage toward 1×)
+const PRIOR_SESSIONS = 20;
+
+// Learned weights never move more than this far from the defaults
+const MIN_FACTOR = 0.5;
+const MAX_FACTOR = 2.0;
+
+// Events learned from data. page_view is implied by the tags.
+const LEARNED_EVENTS = [
+    'form_submit', 'return_visit', 'multi_page_session', 'repeat_high_intent',
+    'nfc_tap', 'qr_scan', 'identified_contact'
+];
+
+function round(value, places = 2) {
+    const f = Math.pow(10, places);
+    return Math.round(value * f) / f;
+}
+
+function percent(rate) {
+    return `${(rate * 100).toFixed(1)}%`;
+}
+
+// ============================================
+// TRAINING DATA
+// ============================================
+
+/**
+ * Session IDs belonging to accounts with a won pitch.
+ * @param {string} merchantId
+ * @returns {Promise<{ sessionIds: Set<string>, wonDeals: number }>}
+ */
+async function loadWonSessionIds(merchantId) {
+    const outcomesSnap = await db.collection('pitchOutcomes')
+        .where('userId', '==', merchantId)
+        .where('status', '==', 'won')
+        .get();
+
+    const accountKeys = [...new Set(outcomesSnap.docs.map(d => d.data().accountKey).filter(Boolean))];
+    const sessionIds = new Set();
+
+    for (const accountKey of accountKeys) {
+        const [stitched, summarySnap] = await Promise.all([
+            identityGraph.getAccount(merchantId, accountKey),
+            db.collection('visitorIntelSummary').doc(merchantId).collection('accounts').doc(accountKey).get()
+        ]);
+        const sessions = [
+            ...(stitched?.timeline || []),
+            ...(summarySnap.exists ? summarySnap.data().sessions || [] : [])
+        ];
+        sessions.forEach(s => s.sessionId && sessionIds.add(s.sessionId));
+    }
+
+    return { sessionIds, wonDeals: outcomesSnap.size };
+}
+
+/**
+ * Turn a stored session into features and conversion labels.
+ */
+function toExample(session, wonSessionIds) {
+    const tags = Object.entries(session.tagBreakdown || {})
+        .filter(([, v]) => (v?.count || 0) > 0)
+        .map(([tag]) => tag);
+    const events = (session.eventTypes || []).filter(e => LEARNED_EVENTS.includes(e));
+    const formSubmit = events.includes('form_submit');
+    const won = wonSessionIds.has(session.sessionId);
+
+    return {
+        session,
+        features: [...tags.map(t => `tag:${t}`), ...events.map(e => `event:${e}`)],
+        converted: formSubmit || won,
+        won
+    };
+}
+
+// ============================================
+// FITTING
+// ============================================
+
+/**
+ * Re-score a stored session from its tag breakdown and event list.
+ * Mirrors visitorSignalService.scoreSession() without re-classifying pages.
+ */
+function scoreStoredSession(session, tagWeights, eventWeights) {
+    let score = 0;
+    for (const [tag, { count = 0 } = {}] of Object.entries(session.tagBreakdown || {})) {
+        if (count <= 0) continue;
+        const weight = tagWeights[tag] || tagWeights.unclassified;
+        score += weight.base + (count > 1 ? Math.round(weight.base * weight.multiplier * (count - 1)) : 0);
+    }
+    for (const event of new Set(session.eventTypes || [])) {
+        score += eventWeights[event] || 0;
+    }
+    return score;
+}
+
+/**
+ * Average score of converting vs. other sessions, and the ratio between them.
+ */
+function separation(examples, tagWeights, eventWeights) {
+    const mean = list => list.length
+        ? list.reduce((sum, e) => sum + scoreStoredSession(e.session, tagWeights, eventWeights), 0) / list.length
+        : 0;
+    const converted = mean(examples.filter(e => e.converted));
+    const other = mean(examples.filter(e => !e.converted));
+
+    return {
+        convertedAvgScore: round(converted, 1),
+        otherAvgScore: round(other, 1),
+        ratio: other > 0 ? round(converted / other) : null
+    };
+}
+
+/**
+ * Fit weights from labelled examples.
+ *
+ * form_submit is itself a conversion, so its own lift is measured against won
+ * deals only; every other feature is measured against any conversion.
+ *
+ * @param {Object[]} examples - From toExample()
+ * @returns {{ tagWeights: Object, eventWeights: Object, features: Object[] }}
+ */
+function fitWeights(examples) {
+    const tagWeights = JSON.parse(JSON.stringify(TAG_WEIGHTS));
+    const eventWeights = { ...EVENT_WEIGHTS };
+    const features = [];
+
+    const candidates = [
+        ...Object.keys(TAG_WEIGHTS).map(tag => ({ key: `tag:${tag}`, kind: 'tag', name: tag, before: TAG_WEIGHTS[tag].base })),
+        ...LEARNED_EVENTS.map(event => ({ key: `event:${event}`, kind: 'event', name: event, before: EVENT_WEIGHTS[event] }))
+    ];
+
+    for (const feature of candidates) {
+        const label = feature.name === 'form_submit' ? (e => e.won) : (e => e.converted);
+        const baseline = examples.filter(label).length / examples.length;
+        const withFeature = examples.filter(e => e.features.includes(feature.key));
+        const conversions = withFeature.filter(label).length;
+        const conversionRate = withFeature.length ? conversions / withFeature.length : 0;
+
+        const entry = {
+            feature: feature.name,
+            kind: feature.kind,
+            before: feature.before,
+            after: feature.before,
+            sessions: withFeature.length,
+            conversions,
+            conversionRate: round(conversionRate, 3),
+            baselineRate: round(baseline, 3),
+            lift: null,
+            factor: 1
+        };
+
+        if (!feature.before) {
+            entry.reason = `Default weight is 0 for ${feature.name}; left unchanged`;
+        } else if (withFeature.length < MIN_FEATURE_SESSIONS) {
+            entry.reason = `Only ${withFeature.length} sessions with ${feature.name}; kept default`;
+        } else if (baseline === 0) {
+            entry.reason = feature.name === 'form_submit'
+                ? 'No won deals linked to visitor sessions yet; kept default'
+                : 'No conversions to learn from; kept default';
+        } else {
+            const lift = conversionRate / baseline;
+            const smoothed = ((conversions + PRIOR_SESSIONS * baseline) / (withFeature.length + PRIOR_SESSIONS)) / baseline;
+            const factor = Math.min(MAX_FACTOR, Math.max(MIN_FACTOR, smoothed));
+
+            entry.lift = round(lift);
+            entry.factor = round(factor);
+            entry.after = Math.round(feature.before * factor);
+            entry.reason = `Sessions with ${feature.name} converted at ${percent(conversionRate)} vs ${percent(baseline)} overall ` +
+                `(${round(lift).toFixed(2)}× lift over ${withFeature.length} sessions) → weight ${feature.before} → ${entry.after}`;
+        }
+
+        entry.change = entry.after - entry.before;
+        if (feature.kind === 'tag') {
+            tagWeights[feature.name].base = entry.after;
+        } else {
+            eventWeights[feature.name] = entry.after;
+        }
+        features.push(entry);
+    }
+
+    features.sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+
+    return { tagWeights, eventWeights, features };
+}
+
+// ============================================
+// MERCHANT REFIT
+// ============================================
+
+/**
+ * Re-fit a merchant's learned weights and write the before/after report.
+ * With too little data the report is still written, the current weights are left as they are.
+ *
+ * @param {string} merchantId
+ * @returns {Promise<Object>} The weights report
+ */
+async function refitMerchantWeights(merchantId) {
+    if (!merchantId) throw new Error('merchantId is required');
+
+    const cutoff = new Date(Date.now() - TRAINING_DAYS * 864e5);
+    const sessionsSnap = await db.collection('websiteVisitors').doc(merchantId)
+        .collection('sessions')
+        .where('startTime', '>=', cutoff)
+        .get();
+
+    const sessions = sessionsSnap.docs.map(d => d.data());
+
+    const { sessionIds: wonSessionIds, wonDeals } = await loadWonSessionIds(merchantId);
+    const examples = sessions.map(s => toExample(s, wonSessionIds));
+    const conversions = examples.filter(e => e.converted).length;
+
+    const configRef = db.collection('merchantConfig').doc(merchantId);
+    const configSnap = await configRef.get();
+    const current = configSnap.exists ? configSnap.data().learnedWeights : null;
+
+    const report = {
+        merchantId,
+        trainingDays: TRAINING_DAYS,
+        sessionCount: examples.length,
+        conversionCount: conversions,
+        formSubmitSessions: examples.filter(e => e.features.includes('event:form_submit')).length,
+        wonDeals,
+        wonSessions: examples.filter(e => e.won).length,
+        baselineRate: examples.length ? round(conversions / examples.length, 3) : 0,
+        fittedAt: new Date().toISOString()
+    };
+
+    if (examples.length < MIN_SESSIONS || conversions < MIN_CONVERSIONS) {
+        Object.assign(report, {
+            status: 'insufficient_data',
+            message: `Need ${MIN_SESSIONS} sessions and ${MIN_CONVERSIONS} conversions in the last ${TRAINING_DAYS} days ` +
+                `(have ${examples.length} and ${conversions}); using ${current ? 'previously learned' : 'default'} weights`,
+            features: []
+        });
+        await configRef.collection('calibrationReport').doc('weights').set(report);
+        console.log(`[IntentWeights] ${merchantId}: insufficient data (${examples.length} sessions, ${conversions} conversions)`);
+        return report;
+    }
+
+    const fitted = fitWeights(examples);
+    const beforeTags = current?.tagWeights || TAG_WEIGHTS;
+    const beforeEvents = current?.eventWeights || EVENT_WEIGHTS;
+
+    Object.assign(report, {
+        status: 'fitted',
+        features: fitted.features,
+        separation: {
+            before: separation(examples, beforeTags, beforeEvents),
+            after: separation(examples, fitted.tagWeights, fitted.eventWeights)
+        }
+    });
+
+    await configRef.set({
+        learnedWeights: {
+            tagWeights: fitted.tagWeights,
+            eventWeights: fitted.eventWeights,
+            fittedAt: report.fittedAt,
+            sessionCount: report.sessionCount,
+            conversionCount: report.conversionCount
+        },
+        updatedAt: FieldValue.serverTimestamp()
+    }, { merge: true });
+    await configRef.collection('calibrationReport').doc('weights').set(report);
+
+    console.log(`[IntentWeights] ${merchantId}: fitted on ${examples.length} sessions, ${conversions} conversions`);
+
+    return report;
+}
+
+/**
+ * Weekly refit for every merchant out of learning mode.
+ * @returns {Promise<{ fitted: number, skipped: number, errors: number }>}
+ */
+async function refitAllMerchants() {
+    const configSnap = await db.collection('merchantConfig')
+        .where('learningModeActive', '==', false)
+        .limit(500)
+        .get();
+
+    let fitted = 0;
+    let skipped = 0;
+    let errors = 0;
+
+    for (const configDoc of configSnap.docs) {
+        if (configDoc.data()?.learnedWeightsEnabled === false) {
+            skipped++;
+            continue;
+        }
+        try {
+            const report = await refitMerchantWeights(configDoc.id);
+            if (report.status === 'fitted') fitted++;
+            else skipped++;
+        } catch (err) {
+            console.error(`[IntentWeights] Refit failed for ${configDoc.id}:`, err.message);
+            errors++;
+            // Continue to next merchant — never abort the whole run
+        }
+    }
+
+    return { fitted, skipped, errors };
+}
+
+module.exports = {
+    TRAINING_DAYS,
+    MIN_SESSIONS,
+    MIN_CONVERSIONS,
+    fitWeights,
+    scoreStoredSession,
+    refitMerchantWeights,
+    refitAllMerchants
+};
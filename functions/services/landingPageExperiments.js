@@ -0,0 +1,337 @@
+/**
+ * Landing Page Experiments
+ *
+ * A/B variants for landing pages (headline, CTA, hero image, section order).
+ * Bucketing, variant normalization and significance testing reuse
+ * abTestingService; per-variant counters live under
+ * landingPages/{pageId}/variantStats/{variantId}.
+ */
+
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const abTestingService = require('./abTestingService');
+const { badRequest } = require('../middleware/errorHandler');
+
+const db = admin.firestore();
+
+// Page sections in their default render order
+const SECTION_KEYS = ['painPoints', 'solution', 'stats', 'socialProof'];
+
+// Fields a variant may override
+const VARIANT_FIELDS = ['headline', 'subheadline', 'ctaText', 'heroImageUrl', 'sectionOrder'];
+
+const MAX_VARIANTS = 4;
+
+// Landing pages see far less traffic than generation tests, so the horizon is shorter
+const LANDING_PAGE_STATS_CONFIG = {
+    primaryMetric: 'conversionRate',
+    minSamplesPerVariant: 50,
+    plannedSamplesPerVariant: 500
+};
+
+const ExperimentStatus = {
+    RUNNING: 'running',
+    COMPLETED: 'completed'
+};
+
+/**
+ * Validate a variant's section order: a permutation of a subset of SECTION_KEYS
+ */
+function validateSectionOrder(sectionOrder) {
+    if (sectionOrder === undefined || sectionOrder === null) return null;
+    if (!Array.isArray(sectionOrder) || sectionOrder.some(key => !SECTION_KEYS.includes(key))) {
+        throw badRequest(`sectionOrder must list sections from: ${SECTION_KEYS.join(', ')}`);
+    }
+    if (new Set(sectionOrder).size !== sectionOrder.length) {
+        throw badRequest('sectionOrder cannot repeat a section');
+    }
+    return sectionOrder;
+}
+
+/**
+ * Build the experiment stored on a landing page. The page's current content
+ * becomes the control, so only the challengers are passed in.
+ * @param {Object} pageContent - Current landingPages.pageContent
+ * @param {Object} options
+ * @param {Object[]} options.variants - Challengers: { name?, weight?, headline?, subheadline?, ctaText?, heroImageUrl?, sectionOrder? }
+ * @param {boolean} [options.autoPromote=false] - Promote a significant winner automatically
+ * @param {Object} [options.statsConfig] - Overrides for LANDING_PAGE_STATS_CONFIG
+ * @param {number} [options.controlWeight] - Traffic share for the control
+ * @returns {Object} Experiment
+ */
+function buildExperiment(pageContent = {}, { variants, autoPromote = false, statsConfig = {}, controlWeight } = {}) {
+    if (!Array.isArray(variants) || variants.length === 0) {
+        throw badRequest('At least one variant is required');
+    }
+    if (variants.length + 1 > MAX_VARIANTS) {
+        throw badRequest(`A landing page can test at most ${MAX_VARIANTS} variants including the control`);
+    }
+
+    const challengers = variants.map((variant, i) => {
+        const content = {};
+        for (const field of VARIANT_FIELDS) {
+            if (variant[field] !== undefined && variant[field] !== null && variant[field] !== '') {
+                content[field] = field === 'sectionOrder' ? validateSectionOrder(variant[field]) : String(variant[field]);
+            }
+        }
+        if (Object.keys(content).length === 0) {
+            throw badRequest(`Variant ${i + 1} must change at least one of: ${VARIANT_FIELDS.join(', ')}`);
+        }
+        return { name: variant.name || `Variant ${String.fromCharCode(66 + i)}`, weight: variant.weight, ...content };
+    });
+
+    const control = {
+        variantId: 'control',
+        name: 'Original',
+        weight: controlWeight,
+        headline: pageContent.headline || null,
+        subheadline: pageContent.subheadline || null,
+        ctaText: pageContent.cta?.text || null,
+        heroImageUrl: pageContent.heroImageUrl || null,
+        sectionOrder: pageContent.sectionOrder || SECTION_KEYS
+    };
+
+    let resolvedStatsConfig;
+    try {
+        resolvedStatsConfig = abTestingService.resolveStatsConfig({
+            ...LANDING_PAGE_STATS_CONFIG,
+            ...statsConfig,
+            primaryMetric: LANDING_PAGE_STATS_CONFIG.primaryMetric
+        });
+    } catch (error) {
+        throw badRequest(error.message);
+    }
+
+    return {
+        experimentId: crypto.randomUUID(),
+        status: ExperimentStatus.RUNNING,
+        variants: abTestingService.normalizeVariants([control, ...challengers]),
+        autoPromote: autoPromote === true,
+        statsConfig: resolvedStatsConfig,
+        startedAt: new Date().toISOString(),
+        winner: null,
+        promotedAt: null,
+        promotedBy: null
+    };
+}
+
+/**
+ * Start (or restart) an experiment on a landing page with zeroed counters
+ * @param {string} pageId
+ * @param {Object} pageData - Current landing page document
+ * @param {Object} options - See buildExperiment()
+ * @returns {Promise<Object>} Experiment
+ */
+async function startExperiment(pageId, pageData, options) {
+    const experiment = buildExperiment(pageData.pageContent, options);
+    const pageRef = db.collection('landingPages').doc(pageId);
+
+    const batch = db.batch();
+    batch.update(pageRef, {
+        experiment,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    for (const variant of experiment.variants) {
+        batch.set(pageRef.collection('variantStats').doc(variant.variantId), {
+            variantId: variant.variantId,
+            views: 0,
+            conversions: 0,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    }
+    await batch.commit();
+
+    return experiment;
+}
+
+/**
+ * Deterministically bucket a visitor. The slug is part of the key so one
+ * visitor is not always in the same arm across every page.
+ * @param {string} slug
+ * @param {Object} experiment
+ * @param {string} visitorId
+ * @returns {Object} Variant
+ */
+function assignVariant(slug, experiment, visitorId) {
+    return abTestingService.selectVariant(experiment.variants, `${slug}:${visitorId}`);
+}
+
+/**
+ * Page content with a variant's overrides applied
+ * @param {Object} pageContent
+ * @param {Object} variant
+ * @returns {Object}
+ */
+function applyVariant(pageContent = {}, variant) {
+    if (!variant) return pageContent;
+
+    const content = { ...pageContent };
+    if (variant.headline) content.headline = variant.headline;
+    if (variant.subheadline) content.subheadline = variant.subheadline;
+    if (variant.ctaText) content.cta = { ...(pageContent.cta || {}), text: variant.ctaText };
+    if (variant.heroImageUrl) content.heroImageUrl = variant.heroImageUrl;
+    if (variant.sectionOrder) content.sectionOrder = variant.sectionOrder;
+    return content;
+}
+
+/**
+ * Count a view or CTA click against a variant, at most once each per visitor.
+ * Visitors are keyed the same way they were bucketed, and markers live under
+ * variantStats/{variantId}/visitors/{visitorKey}, tagged with the experimentId
+ * so a restarted test counts everyone afresh. A click also counts as
+ * a view, so conversions never exceed views.
+ * @param {string} pageId
+ * @param {Object} experiment - Running experiment
+ * @param {string} variantId
+ * @param {'view'|'cta_click'} event
+ * @param {string} visitorKey - Hashed bucketing key (document-id safe)
+ * @returns {Promise<boolean>} Whether a counter moved
+ */
+async function recordVariantEvent(pageId, experiment, variantId, event, visitorKey) {
+    const statsRef = db.collection('landingPages').doc(pageId).collection('variantStats').doc(variantId);
+    const visitorRef = statsRef.collection('visitors').doc(visitorKey);
+
+    return db.runTransaction(async (transaction) => {
+        const visitorDoc = await transaction.get(visitorRef);
+        const seen = visitorDoc.exists && visitorDoc.data().experimentId === experiment.experimentId
+            ? visitorDoc.data()
+            : {};
+        const converts = event === 'cta_click' && !seen.converted;
+        if (seen.viewed && !converts) return false;
+
+        const counters = {};
+        if (!seen.viewed) counters.views = admin.firestore.FieldValue.increment(1);
+        if (converts) counters.conversions = admin.firestore.FieldValue.increment(1);
+
+        transaction.set(visitorRef, {
+            experimentId: experiment.experimentId,
+            viewed: true,
+            converted: Boolean(seen.converted) || converts
+        });
+        transaction.update(statsRef, {
+            ...counters,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return true;
+    });
+}
+
+/**
+ * Load per-variant counters
+ * @returns {Promise<Object>} variantId -> { views, conversions }
+ */
+async function getVariantStats(pageId, experiment) {
+    const snapshot = await db.collection('landingPages').doc(pageId).collection('variantStats').get();
+    const stats = {};
+    for (const variant of experiment.variants) {
+        stats[variant.variantId] = { views: 0, conversions: 0 };
+    }
+    snapshot.docs.forEach(doc => {
+        const data = doc.data();
+        if (!stats[doc.id]) return;
+        stats[doc.id] = { views: data.views || 0, conversions: data.conversions || 0 };
+    });
+    return stats;
+}
+
+/**
+ * Per-variant conversion stats plus abTestingService's significance analysis
+ * @param {string} pageId
+ * @param {Object} experiment
+ * @returns {Promise<{ variants: Object[], analysis: Object }>}
+ */
+async function analyzeExperiment(pageId, experiment) {
+    const variantStats = await getVariantStats(pageId, experiment);
+
+    const analysis = abTestingService.analyzeResults({
+        variants: experiment.variants,
+        results: { variantStats },
+        statsConfig: experiment.statsConfig,
+        metrics: [LANDING_PAGE_STATS_CONFIG.primaryMetric]
+    });
+
+    const variants = experiment.variants.map(variant => {
+        const { views, conversions } = variantStats[variant.variantId];
+        return {
+            ...variant,
+            views,
+            ctaClicks: conversions,
+            conversionRate: views > 0 ? Math.round(conversions / views * 10000) / 10000 : 0,
+            interval: analysis.variants[variant.variantId]?.metrics.conversionRate.interval || null
+        };
+    });
+
+    return { variants, analysis };
+}
+
+/**
+ * Make a variant the page's permanent content and end the experiment
+ * @param {string} pageId
+ * @param {Object} pageData - Current landing page document
+ * @param {string} variantId
+ * @param {'auto'|'manual'} promotedBy
+ * @returns {Promise<Object>} Updated experiment
+ */
+async function promoteVariant(pageId, pageData, variantId, promotedBy) {
+    const experiment = pageData.experiment;
+    const variant = experiment?.variants.find(v => v.variantId === variantId);
+    if (!variant) {
+        throw badRequest(`Unknown variant: ${variantId}`);
+    }
+
+    const promoted = {
+        ...experiment,
+        status: ExperimentStatus.COMPLETED,
+        winner: variantId,
+        promotedAt: new Date().toISOString(),
+        promotedBy
+    };
+
+    await db.collection('landingPages').doc(pageId).update({
+        pageContent: applyVariant(pageData.pageContent, variant),
+        experiment: promoted,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return promoted;
+}
+
+/**
+ * Promote the winner of a running auto-promote experiment once the result is
+ * significant and no guardrail is breached
+ * @param {string} pageId
+ * @returns {Promise<Object|null>} Updated experiment when promoted, otherwise null
+ */
+async function maybeAutoPromote(pageId) {
+    const pageDoc = await db.collection('landingPages').doc(pageId).get();
+    if (!pageDoc.exists) return null;
+
+    const pageData = pageDoc.data();
+    const experiment = pageData.experiment;
+    if (!experiment || experiment.status !== ExperimentStatus.RUNNING || !experiment.autoPromote) {
+        return null;
+    }
+
+    const { analysis } = await analyzeExperiment(pageId, experiment);
+    if (!analysis.isSignificant || !analysis.winner || analysis.guardrails.length > 0) {
+        return null;
+    }
+
+    console.log(`[LandingPages] Auto-promoting ${analysis.winner} on ${pageId}: ${analysis.recommendation}`);
+    return promoteVariant(pageId, pageData, analysis.winner, 'auto');
+}
+
+module.exports = {
+    SECTION_KEYS,
+    VARIANT_FIELDS,
+    LANDING_PAGE_STATS_CONFIG,
+    ExperimentStatus,
+    buildExperiment,
+    startExperiment,
+    assignVariant,
+    applyVariant,
+    recordVariantEvent,
+    analyzeExperiment,
+    promoteVariant,
+    maybeAutoPromote
+};
@@ -0,0 +1,330 @@
+/**
+ * LLM Cost Ledger Service
+ *
+ * Persists LLM spend per tenant per calendar month and enforces the monthly
+ * budget for the tenant's plan tier (config/stripe.js llmMonthlyBudgetUsd).
+ *
+ * A tenant is the caller's workspace when they belong to one, otherwise the
+ * user alone — so every member of a workspace draws on the owner's budget,
+ * matching how planGate.getUserPlan() resolves entitlements.
+ *
+ * Ledger doc: llmCostLedger/{tenantId}_{YYYY-MM}
+ *   tenantId, workspaceId, ownerUid, plan, month,
+ *   totalCostUsd, inputTokens, outputTokens, calls,
+ *   byOperation.{operation}.{costUsd, calls, inputTokens, outputTokens},
+ *   byModel.{modelId}.{...same},
+ *   softWarningAt, hardStopAt, updatedAt
+ *
+ * Thresholds: a soft warning at SOFT_LIMIT_RATIO of the budget (logged once and
+ * surfaced on results), a hard stop at HARD_LIMIT_RATIO (new calls refused).
+ * Ledger and budget lookups fail open: a Firestore hiccup never blocks generation.
+ */
+
+const admin = require('firebase-admin');
+const { getPlanLimits } = require('../config/stripe');
+const { getUserPlan } = require('../middleware/planGate');
+const { getWorkspaceForUser } = require('./workspaceService');
+const { ApiError, ErrorCodes } = require('../middleware/errorHandler');
+
+const db = admin.firestore();
+
+const LEDGER_COLLECTION = 'llmCostLedger';
+
+const SOFT_LIMIT_RATIO = 0.8;
+const HARD_LIMIT_RATIO = 1.0;
+
+/**
+ * Budget status values
+ */
+const BudgetStatus = {
+    OK: 'ok',
+    WARNING: 'warning',
+    EXCEEDED: 'exceeded',
+    UNLIMITED: 'unlimited'
+};
+
+// Tenant lookups cost two reads; an LLM-heavy pitch makes several calls in a row
+const TENANT_CACHE_TTL_MS = 5 * 60 * 1000;
+const tenantCache = new Map();
+
+/**
+ * Calendar month key in UTC
+ * @param {Date} [date]
+ * @returns {string} e.g. '2026-10'
+ */
+function monthKey(date = new Date()) {
+    return date.toISOString().slice(0, 7);
+}
+
+/**
+ * Resolve who pays for a user's LLM calls
+ * @param {string} userId
+ * @returns {Promise<{ tenantId: string, workspaceId: string|null, ownerUid: string, plan: string }>}
+ */
+async function resolveTenant(userId) {
+    const cached = tenantCache.get(userId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.tenant;
+    }
+
+    const workspace = await getWorkspaceForUser(userId);
+    const workspaceId = workspace ? workspace.id : null;
+    const plan = await getUserPlan(userId, { workspaceId });
+
+    const tenant = workspace
+        ? { tenantId: workspaceId, workspaceId, ownerUid: workspace.entitlementOwnerUid || workspace.ownerId, plan }
+        : { tenantId: `user_${userId}`, workspaceId: null, ownerUid: userId, plan };
+
+    tenantCache.set(userId, { tenant, expiresAt: Date.now() + TENANT_CACHE_TTL_MS });
+    return tenant;
+}
+
+/**
+ * Monthly budget in USD for a plan (null = no cap)
+ * @param {string} plan
+ * @returns {number|null}
+ */
+function getMonthlyBudget(plan) {
+    const budget = getPlanLimits(plan).llmMonthlyBudgetUsd;
+    return typeof budget === 'number' && budget >= 0 ? budget : null;
+}
+
+/**
+ * Classify spend against a budget
+ * @param {number} spentUsd
+ * @param {number|null} budgetUsd
+ * @returns {{ status: string, budgetUsd: number|null, spentUsd: number, percentUsed: number|null }}
+ */
+function evaluateBudget(spentUsd, budgetUsd) {
+    const spent = Math.round(spentUsd * 1e6) / 1e6;
+    if (budgetUsd === null) {
+        return { status: BudgetStatus.UNLIMITED, budgetUsd: null, spentUsd: spent, percentUsed: null };
+    }
+
+    const ratio = budgetUsd > 0 ? spentUsd / budgetUsd : Infinity;
+    let status = BudgetStatus.OK;
+    if (ratio >= HARD_LIMIT_RATIO) {
+        status = BudgetStatus.EXCEEDED;
+    } else if (ratio >= SOFT_LIMIT_RATIO) {
+        status = BudgetStatus.WARNING;
+    }
+
+    return {
+        status,
+        budgetUsd,
+        spentUsd: spent,
+        percentUsed: Number.isFinite(ratio) ? Math.round(ratio * 1000) / 10 : 100
+    };
+}
+
+/**
+ * Current month's budget position for a user's tenant
+ * @param {string} userId
+ * @returns {Promise<Object>} evaluateBudget() result plus tenantId, plan, month
+ */
+async function getBudgetStatus(userId) {
+    const tenant = await resolveTenant(userId);
+    const month = monthKey();
+    const doc = await db.collection(LEDGER_COLLECTION).doc(`${tenant.tenantId}_${month}`).get();
+    const spentUsd = doc.exists ? (doc.data().totalCostUsd || 0) : 0;
+
+    return {
+        tenantId: tenant.tenantId,
+        plan: tenant.plan,
+        month,
+        ...evaluateBudget(spentUsd, getMonthlyBudget(tenant.plan))
+    };
+}
+
+/**
+ * Refuse a new LLM call once the tenant is past its hard-stop threshold
+ * @param {string|null} userId - System calls (no user) are never budgeted
+ * @returns {Promise<Object|null>} Budget status, or null when not checked
+ * @throws {ApiError} LIMIT_EXCEEDED when the monthly budget is spent
+ */
+async function enforceBudget(userId) {
+    if (!userId) return null;
+
+    let budget;
+    try {
+        budget = await getBudgetStatus(userId);
+    } catch (error) {
+        console.warn('[LLMCostLedger] Budget check failed — allowing call:', error.message);
+        return null;
+    }
+
+    if (budget.status === BudgetStatus.EXCEEDED) {
+        throw new ApiError(
+            ErrorCodes.LIMIT_EXCEEDED,
+            `Monthly AI budget reached ($${budget.spentUsd.toFixed(2)} of $${budget.budgetUsd.toFixed(2)}). Upgrade your plan or wait until next month.`,
+            { tenantId: budget.tenantId, plan: budget.plan, month: budget.month, budgetUsd: budget.budgetUsd, spentUsd: budget.spentUsd }
+        );
+    }
+
+    return budget;
+}
+
+/**
+ * Add one call's cost to the tenant's monthly ledger
+ * @param {Object} entry
+ * @param {string|null} entry.userId
+ * @param {string} entry.operation - modelRouter OperationType or custom operation name
+ * @param {string} entry.provider - 'claude' | 'gemini'
+ * @param {string} entry.modelId
+ * @param {{ inputTokens?: number, outputTokens?: number }} [entry.usage]
+ * @param {number} entry.costUsd
+ * @returns {Promise<Object|null>} Budget status after the call, null when not recorded
+ */
+async function recordCost({ userId, operation, provider, modelId, usage = {}, costUsd }) {
+    if (!userId) return null;
+
+    try {
+        const tenant = await resolveTenant(userId);
+        const month = monthKey();
+        const budgetUsd = getMonthlyBudget(tenant.plan);
+        const ref = db.collection(LEDGER_COLLECTION).doc(`${tenant.tenantId}_${month}`);
+
+        const cost = Number.isFinite(costUsd) ? costUsd : 0;
+        const inputTokens = usage.inputTokens || 0;
+        const outputTokens = usage.outputTokens || 0;
+        const addTo = (bucket = {}) => ({
+            costUsd: (bucket.costUsd || 0) + cost,
+            calls: (bucket.calls || 0) + 1,
+            inputTokens: (bucket.inputTokens || 0) + inputTokens,
+            outputTokens: (bucket.outputTokens || 0) + outputTokens
+        });
+
+        // Read-modify-write so threshold crossings are detected exactly once
+        const result = await db.runTransaction(async (tx) => {
+            const snap = await tx.get(ref);
+            const current = snap.exists ? snap.data() : {};
+            const before = evaluateBudget(current.totalCostUsd || 0, budgetUsd);
+            const after = evaluateBudget((current.totalCostUsd || 0) + cost, budgetUsd);
+            const modelKey = modelId || provider || 'unknown';
+
+            const next = {
+                tenantId: tenant.tenantId,
+                workspaceId: tenant.workspaceId,
+                ownerUid: tenant.ownerUid,
+                plan: tenant.plan,
+                month,
+                totalCostUsd: (current.totalCostUsd || 0) + cost,
+                inputTokens: (current.inputTokens || 0) + inputTokens,
+                outputTokens: (current.outputTokens || 0) + outputTokens,
+                calls: (current.calls || 0) + 1,
+                byOperation: { ...(current.byOperation || {}), [operation]: addTo(current.byOperation?.[operation]) },
+                byModel: { ...(current.byModel || {}), [modelKey]: { provider, ...addTo(current.byModel?.[modelKey]) } },
+                softWarningAt: current.softWarningAt || null,
+                hardStopAt: current.hardStopAt || null,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            };
+
+            const crossedSoft = before.status === BudgetStatus.OK && after.status !== BudgetStatus.OK;
+            const crossedHard = before.status !== BudgetStatus.EXCEEDED && after.status === BudgetStatus.EXCEEDED;
+            if (crossedSoft && !next.softWarningAt) next.softWarningAt = admin.firestore.FieldValue.serverTimestamp();
+            if (crossedHard && !next.hardStopAt) next.hardStopAt = admin.firestore.FieldValue.serverTimestamp();
+
+            tx.set(ref, next);
+            return { after, crossedSoft, crossedHard };
+        });
+
+        if (result.crossedHard) {
+            console.warn(`[LLMCostLedger] ${tenant.tenantId} reached its ${month} budget ($${budgetUsd}); further calls will be refused`);
+        } else if (result.crossedSoft) {
+            console.warn(`[LLMCostLedger] ${tenant.tenantId} passed ${SOFT_LIMIT_RATIO * 100}% of its ${month} budget ($${budgetUsd})`);
+        }
+
+        return { tenantId: tenant.tenantId, plan: tenant.plan, month, ...result.after };
+    } catch (error) {
+        console.warn('[LLMCostLedger] Failed to record cost:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Sum per-key cost buckets across ledger docs
+ */
+function mergeBuckets(target, buckets = {}) {
+    for (const [key, bucket] of Object.entries(buckets)) {
+        const merged = target[key] || { costUsd: 0, calls: 0, inputTokens: 0, outputTokens: 0 };
+        merged.costUsd += bucket.costUsd || 0;
+        merged.calls += bucket.calls || 0;
+        merged.inputTokens += bucket.inputTokens || 0;
+        merged.outputTokens += bucket.outputTokens || 0;
+        target[key] = merged;
+    }
+    return target;
+}
+
+/**
+ * Spend report for one month: every tenant with its budget position and
+ * breakdown, plus platform-wide totals by feature (operation), model and plan
+ * @param {Object} [options]
+ * @param {string} [options.month] - 'YYYY-MM' (defaults to the current month)
+ * @param {string} [options.status] - Only tenants in this budget status
+ * @returns {Promise<Object>}
+ */
+async function getCostReport({ month = monthKey(), status } = {}) {
+    const snapshot = await db.collection(LEDGER_COLLECTION).where('month', '==', month).get();
+
+    const totals = { costUsd: 0, calls: 0, inputTokens: 0, outputTokens: 0, byOperation: {}, byModel: {}, byPlan: {} };
+    let tenants = snapshot.docs.map(doc => {
+        const data = doc.data();
+        const budget = evaluateBudget(data.totalCostUsd || 0, getMonthlyBudget(data.plan));
+
+        totals.costUsd += data.totalCostUsd || 0;
+        totals.calls += data.calls || 0;
+        totals.inputTokens += data.inputTokens || 0;
+        totals.outputTokens += data.outputTokens || 0;
+        mergeBuckets(totals.byOperation, data.byOperation);
+        mergeBuckets(totals.byModel, data.byModel);
+        mergeBuckets(totals.byPlan, { [data.plan || 'unknown']: { costUsd: data.totalCostUsd, calls: data.calls, inputTokens: data.inputTokens, outputTokens: data.outputTokens } });
+
+        return {
+            tenantId: data.tenantId,
+            workspaceId: data.workspaceId || null,
+            ownerUid: data.ownerUid || null,
+            plan: data.plan,
+            ...budget,
+            calls: data.calls || 0,
+            inputTokens: data.inputTokens || 0,
+            outputTokens: data.outputTokens || 0,
+            byOperation: data.byOperation || {},
+            byModel: data.byModel || {}
+        };
+    });
+
+    if (status) {
+        tenants = tenants.filter(t => t.status === status);
+    }
+    tenants.sort((a, b) => b.spentUsd - a.spentUsd);
+
+    return {
+        month,
+        thresholds: { softLimitRatio: SOFT_LIMIT_RATIO, hardLimitRatio: HARD_LIMIT_RATIO },
+        totals,
+        tenantCount: tenants.length,
+        tenants
+    };
+}
+
+// Exported for testing / forced invalidation after a plan or workspace change
+function invalidateTenantCache(userId) {
+    if (userId) tenantCache.delete(userId);
+    else tenantCache.clear();
+}
+
+module.exports = {
+    BudgetStatus,
+    SOFT_LIMIT_RATIO,
+    HARD_LIMIT_RATIO,
+    monthKey,
+    resolveTenant,
+    getMonthlyBudget,
+    evaluateBudget,
+    getBudgetStatus,
+    enforceBudget,
+    recordCost,
+    getCostReport,
+    invalidateTenantCache
+};
@@ -19,6 +19,7 @@ const { CLAUDE_CONFIG } = require('../config/claude');
 const claudeClient = require('./claudeClient');
 const geminiClientV2 = require('./geminiClientV2');
 const abTestingService = require('./abTestingService');
+const llmCostLedger = require('./llmCostLedger');
 
 /**
  * Operation types for routing
@@ -42,6 +43,7 @@ async function selectModel(operation, userId = null, context = {}) {
     if (userId && isFeatureEnabled('enableAbTesting')) {
         const activeTest = await abTestingService.getActiveTestForOperation(operation);
         if (activeTest) {
+            // Sticky per user; bandit tests steer new users toward the better-scoring variant
             abTestVariant = await abTestingService.getVariantForUser(activeTest.testId, userId);
             if (abTestVariant) {
                 return {
@@ -81,13 +83,26 @@ async function selectModel(operation, userId = null, context = {}) {
     };
 }
 
+/**
+ * Add a completed call's cost to the caller's tenant ledger
+ * @returns {Promise<Object|null>} Budget status after the call
+ */
+async function recordUsage(userId, operation, provider, modelId, result) {
+    const usage = result?.usage || {};
+    const costUsd = typeof result?.cost === 'number' ? result.cost : calculateCost(usage, provider, modelId);
+    return llmCostLedger.recordCost({ userId, operation, provider, modelId, usage, costUsd });
+}
+
 /**
  * Generate a narrative using the selected model
  * Unified interface for Claude and Gemini
+ * @throws {ApiError} LIMIT_EXCEEDED when the tenant's monthly LLM budget is spent
  */
 async function generateNarrative(systemPrompt, businessData, options = {}) {
     const { userId, stream = false, onProgress = null } = options;
 
+    await llmCostLedger.enforceBudget(userId);
+
     const modelSelection = await selectModel(OperationType.NARRATIVE_GENERATION, userId);
     const startTime = Date.now();
 
@@ -132,17 +147,22 @@ async function generateNarrative(systemPrompt, businessData, options = {}) {
             modelSelection.abTestVariant.variantId,
             userId,
             abTestingService.EventType.GENERATION,
-            { latencyMs, qualityScore: 0 } // Quality score set later after validation
+            { latencyMs } // Quality is scored by validateNarrative, which records its own event
         );
     }
 
+    const provider = fallbackUsed ? 'claude' : modelSelection.provider;
+    const modelId = fallbackUsed ? CLAUDE_CONFIG.model : modelSelection.modelId;
+    const budget = await recordUsage(userId, OperationType.NARRATIVE_GENERATION, provider, modelId, result);
+
     return {
         ...result,
-        provider: fallbackUsed ? 'claude' : modelSelection.provider,
-        modelId: fallbackUsed ? CLAUDE_CONFIG.model : modelSelection.modelId,
+        provider,
+        modelId,
         abTestVariant: modelSelection.abTestVariant,
         latencyMs,
-        fallbackUsed
+        fallbackUsed,
+        budget
     };
 }
 
@@ -156,6 +176,7 @@ async function validateNarrative(systemPrompt, narrative, originalData, options
     const startTime = Date.now();
 
     let result;
+    let fallbackUsed = false;
 
     try {
         if (modelSelection.provider === 'gemini') {
@@ -175,6 +196,7 @@ async function validateNarrative(systemPrompt, narrative, originalData, options
         if (modelSelection.provider === 'gemini' && isFeatureEnabled('fallbackToClaude')) {
             try {
                 result = await claudeClient.validateNarrative(systemPrompt, narrative, originalData);
+                fallbackUsed = true;
             } catch (fallbackError) {
                 throw error;
             }
@@ -192,10 +214,22 @@ async function validateNarrative(systemPrompt, narrative, originalData, options
             modelSelection.abTestVariant.variantId,
             userId,
             abTestingService.EventType.GENERATION,
-            { latencyMs, qualityScore: result.validation?.score || 0 }
+            // Only a real validator score is a bandit reward; a missing one is not a failure
+            typeof result.validation?.score === 'number'
+                ? { latencyMs, qualityScore: result.validation.score }
+                : { latencyMs }
         );
     }
 
+    // Validation and formatting finish work already paid for, so they are recorded but never refused
+    await recordUsage(
+        userId,
+        OperationType.NARRATIVE_VALIDATION,
+        fallbackUsed ? 'claude' : modelSelection.provider,
+        fallbackUsed ? CLAUDE_CONFIG.model : modelSelection.modelId,
+        result
+    );
+
     return {
         ...result,
         provider: modelSelection.provider,
@@ -218,6 +252,7 @@ async function formatNarrative(systemPrompt, narrative, assetType, options = {})
 
     const startTime = Date.now();
     let result;
+    let fallbackUsed = false;
 
     try {
         if (modelSelection.provider === 'gemini') {
@@ -237,6 +272,7 @@ async function formatNarrative(systemPrompt, narrative, assetType, options = {})
         if (modelSelection.provider === 'gemini' && isFeatureEnabled('fallbackToClaude')) {
             try {
                 result = await claudeClient.formatNarrative(systemPrompt, narrative, assetType, { branding });
+                fallbackUsed = true;
             } catch (fallbackError) {
                 throw error;
             }
@@ -247,6 +283,14 @@ async function formatNarrative(systemPrompt, narrative, assetType, options = {})
 
     const latencyMs = Date.now() - startTime;
 
+    await recordUsage(
+        userId,
+        operationType,
+        fallbackUsed ? 'claude' : modelSelection.provider,
+        fallbackUsed ? CLAUDE_CONFIG.model : modelSelection.modelId,
+        result
+    );
+
     return {
         ...result,
         provider: modelSelection.provider,
@@ -259,6 +303,7 @@ async function formatNarrative(systemPrompt, narrative, assetType, options = {})
 /**
  * Send a generic message using the selected model
  * For custom operations not covered by specific functions
+ * @throws {ApiError} LIMIT_EXCEEDED when the tenant's monthly LLM budget is spent
  */
 async function sendMessage(options = {}) {
     const {
@@ -270,6 +315,8 @@ async function sendMessage(options = {}) {
         temperature
     } = options;
 
+    await llmCostLedger.enforceBudget(userId);
+
     const modelSelection = await selectModel(operation, userId);
     const routing = modelSelection.routing;
 
@@ -281,6 +328,7 @@ async function sendMessage(options = {}) {
     };
 
     let result;
+    let fallbackUsed = false;
 
     try {
         if (modelSelection.provider === 'gemini') {
@@ -296,6 +344,7 @@ async function sendMessage(options = {}) {
         if (modelSelection.provider === 'gemini' && isFeatureEnabled('fallbackToClaude')) {
             try {
                 result = await claudeClient.sendMessage(messageOptions);
+                fallbackUsed = true;
             } catch (fallbackError) {
                 throw error;
             }
@@ -304,16 +353,24 @@ async function sendMessage(options = {}) {
         }
     }
 
+    const provider = fallbackUsed ? 'claude' : modelSelection.provider;
+    const modelId = fallbackUsed ? CLAUDE_CONFIG.model : modelSelection.modelId;
+    const budget = await recordUsage(userId, operation, provider, modelId, result);
+
     return {
         ...result,
-        provider: modelSelection.provider,
-        modelId: modelSelection.modelId,
-        abTestVariant: modelSelection.abTestVariant
+        provider,
+        modelId,
+        abTestVariant: modelSelection.abTestVariant,
+        budget
     };
 }
 
 /**
  * Stream narrative generation (Gemini only, Claude fallback is non-streaming)
+ *
+ * options.onProgress receives { content, progress, done, error } per chunk, where
+ * content is the text delta since the previous call.
  */
 async function streamNarrative(systemPrompt, businessData, options = {}) {
     const { userId, onProgress } = options;
@@ -331,6 +388,8 @@ async function streamNarrative(systemPrompt, businessData, options = {}) {
         return generateNarrative(systemPrompt, businessData, { userId });
     }
 
+    await llmCostLedger.enforceBudget(userId);
+
     const startTime = Date.now();
 
     try {
@@ -341,6 +400,7 @@ async function streamNarrative(systemPrompt, businessData, options = {}) {
         });
 
         const latencyMs = Date.now() - startTime;
+        const budget = await recordUsage(userId, OperationType.NARRATIVE_GENERATION, 'gemini', modelSelection.modelId, result);
 
         // Record A/B test event
         if (modelSelection.abTestVariant && userId) {
@@ -359,7 +419,8 @@ async function streamNarrative(systemPrompt, businessData, options = {}) {
             modelId: modelSelection.modelId,
             abTestVariant: modelSelection.abTestVariant,
             latencyMs,
-            streamed: true
+            streamed: true,
+            budget
         };
     } catch (error) {
         console.error('Streaming failed, falling back to non-streaming:', error.message);
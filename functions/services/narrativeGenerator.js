@@ -4,9 +4,10 @@
  */
 
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { wrapGenerativeAI } = require('./providerReplay');
 const { identifyMarketLeader, getDominanceLanguage } = require('./opportunityScorer');
 const { stripInstructionMarkerLines } = require('../utils/bannedLanguage');
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const genAI = wrapGenerativeAI(new GoogleGenerativeAI(process.env.GEMINI_API_KEY));
 
 // Return a clean, human-readable industry label safe to interpolate into customer-facing copy.
 // Strips any internal steering text (precision-targeting / prompt scaffolding) that may have been
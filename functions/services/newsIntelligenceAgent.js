@@ -12,6 +12,7 @@ const { runAgentAndParseJson } = require('./agentRunner');
 const { newsdataSearch } = require('./tools/newsdataSearch');
 const { googleNewsRss } = require('./tools/googleNewsRss');
 const { websiteScrape } = require('./tools/websiteScrape');
+const { wrapClient } = require('./providerReplay');
 
 // System prompt for the News Intelligence Agent
 const NEWS_AGENT_SYSTEM_PROMPT = `You are a Sales Intelligence Research Agent for SynchIntro. Your job is to find recent, relevant news about a prospect company that a salesperson can use as conversation openers, trigger events, or evidence of market shifts.
@@ -226,8 +227,8 @@ Find the most relevant recent news, press releases, funding announcements, leade
     }
 }
 
-module.exports = {
+module.exports = wrapClient('newsIntelligenceAgent', {
     researchNews,
     NEWS_AGENT_SYSTEM_PROMPT,
     NEWS_AGENT_TOOL_DEFS,
-};
+});
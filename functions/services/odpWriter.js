@@ -0,0 +1,366 @@
+/**
+ * ODP Writer
+ *
+ * Minimal OpenDocument Presentation (.odp) writer that implements the subset of the
+ * PptxGenJS API our deck builders use (addSlide, addText, addShape, addTable, addChart,
+ * addNotes, slide.background). The same slide functions in templates/pptTemplate.js and
+ * services/dataAnalystDeckRenderer.js can therefore draw into either a PptxGenJS instance
+ * or an OdpPresentation.
+ *
+ * Everything is emitted as native ODF drawing objects (text frames and custom shapes), so
+ * the file opens editable in LibreOffice Impress and imports cleanly into Google Slides.
+ * Charts have no native equivalent here and are written as a labelled text list.
+ */
+
+const AdmZip = require('adm-zip');
+
+const ODP_MIME_TYPE = 'application/vnd.oasis.opendocument.presentation';
+
+// PptxGenJS layout sizes in inches
+const LAYOUTS = {
+    LAYOUT_16x9: { width: 10, height: 5.625 },
+    LAYOUT_16x10: { width: 10, height: 6.25 },
+    LAYOUT_4x3: { width: 10, height: 7.5 },
+    LAYOUT_WIDE: { width: 13.333, height: 7.5 }
+};
+
+// PptxGenJS shape name -> ODF enhanced-geometry type
+const SHAPE_GEOMETRY = {
+    rect: 'rectangle',
+    roundRect: 'round-rectangle',
+    ellipse: 'ellipse',
+    rightArrow: 'right-arrow'
+};
+
+const NAMESPACES = [
+    'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"',
+    'xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0"',
+    'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"',
+    'xmlns:draw="urn:oasis:names:tc:opendocument:xmlns:drawing:1.0"',
+    'xmlns:fo="urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0"',
+    'xmlns:svg="urn:oasis:names:tc:opendocument:xmlns:svg-compatible:1.0"',
+    'xmlns:presentation="urn:oasis:names:tc:opendocument:xmlns:presentation:1.0"',
+    'xmlns:dc="http://purl.org/dc/elements/1.1/"',
+    'xmlns:meta="urn:oasis:names:tc:opendocument:xmlns:meta:1.0"'
+].join(' ');
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+// Accepts '#3A6746' (pptTemplate) and '3A6746' (dataAnalystDeckRenderer)
+function toColor(color) {
+    if (!color) return null;
+    return `#${String(color).replace(/^#/, '').toUpperCase()}`;
+}
+
+function inches(value) {
+    return `${Number(value || 0).toFixed(3)}in`;
+}
+
+/**
+ * Split PptxGenJS text (a string or an array of { text, options } runs) into paragraphs of runs.
+ * Newlines and `breakLine: true` start a new paragraph.
+ */
+function toParagraphs(text, baseOptions) {
+    const runs = Array.isArray(text)
+        ? text.map(run => ({ text: run.text, options: { ...baseOptions, ...(run.options || {}) } }))
+        : [{ text, options: baseOptions }];
+
+    const paragraphs = [[]];
+    runs.forEach(run => {
+        String(run.text ?? '').split('\n').forEach((part, i) => {
+            if (i > 0) paragraphs.push([]);
+            if (part) paragraphs[paragraphs.length - 1].push({ text: part, options: run.options });
+        });
+        if (run.options.breakLine) paragraphs.push([]);
+    });
+    return paragraphs;
+}
+
+class OdpSlide {
+    constructor() {
+        this.background = null;
+        this.elements = [];
+        this.notes = null;
+    }
+
+    addText(text, options = {}) {
+        this.elements.push({ kind: 'text', text, options });
+        return this;
+    }
+
+    addShape(shapeType, options = {}) {
+        this.elements.push({ kind: 'shape', shapeType, options });
+        return this;
+    }
+
+    /**
+     * Tables are laid out as a grid of filled text frames
+     */
+    addTable(rows, options = {}) {
+        const colCount = Math.max(...rows.map(row => row.length), 1);
+        const colW = Array.isArray(options.colW)
+            ? options.colW
+            : new Array(colCount).fill((options.w || 9) / colCount);
+        let y = options.y || 0;
+
+        rows.forEach((row, r) => {
+            const rowH = Array.isArray(options.rowH) ? options.rowH[r] : (options.rowH || 0.4);
+            let x = options.x || 0;
+            row.forEach((cell, c) => {
+                const cellObj = typeof cell === 'object' && cell !== null ? cell : { text: cell };
+                const cellOptions = cellObj.options || {};
+                this.addText(cellObj.text, {
+                    fontSize: options.fontSize,
+                    fontFace: options.fontFace,
+                    color: options.color,
+                    valign: 'middle',
+                    border: options.border,
+                    ...cellOptions,
+                    x, y, w: colW[c], h: rowH
+                });
+                x += colW[c];
+            });
+            y += rowH;
+        });
+        return this;
+    }
+
+    /**
+     * Charts are written as one "Label: value" line per data point
+     */
+    addChart(chartType, data, options = {}) {
+        const lines = [];
+        (data || []).forEach(series => {
+            (series.labels || []).forEach((label, i) => {
+                lines.push(`${label}: ${series.values?.[i] ?? ''}`);
+            });
+        });
+        this.addText(lines.join('\n'), {
+            x: options.x, y: options.y, w: options.w, h: options.h,
+            fontSize: 14,
+            valign: 'middle'
+        });
+        return this;
+    }
+
+    addNotes(notes) {
+        this.notes = notes;
+        return this;
+    }
+}
+
+class OdpPresentation {
+    constructor() {
+        this.author = '';
+        this.title = '';
+        this.subject = '';
+        this.company = '';
+        this.slides = [];
+        this.layouts = { ...LAYOUTS };
+        this.layout = 'LAYOUT_16x9';
+        this.ShapeType = Object.fromEntries(Object.keys(SHAPE_GEOMETRY).map(name => [name, name]));
+        this.ChartType = { doughnut: 'doughnut', pie: 'pie', bar: 'bar', line: 'line' };
+    }
+
+    defineLayout({ name, width, height }) {
+        this.layouts[name] = { width, height };
+    }
+
+    addSlide() {
+        const slide = new OdpSlide();
+        this.slides.push(slide);
+        return slide;
+    }
+
+    get pageSize() {
+        return this.layouts[this.layout] || LAYOUTS.LAYOUT_16x9;
+    }
+
+    /**
+     * Serialize to an .odp buffer. Mirrors pptx.write({ outputType: 'nodebuffer' }).
+     * @returns {Promise<Buffer>}
+     */
+    async write() {
+        const content = renderContent(this);
+
+        // mimetype must be the first entry and stored uncompressed
+        const zip = new AdmZip({ noSort: true });
+        zip.addFile('mimetype', Buffer.from(ODP_MIME_TYPE));
+        zip.getEntry('mimetype').header.method = 0;
+        zip.addFile('content.xml', Buffer.from(content));
+        zip.addFile('styles.xml', Buffer.from(renderStyles(this)));
+        zip.addFile('meta.xml', Buffer.from(renderMeta(this)));
+        zip.addFile('META-INF/manifest.xml', Buffer.from(renderManifest()));
+        return zip.toBuffer();
+    }
+}
+
+/**
+ * Collects automatic styles, reusing a name for identical property sets
+ */
+function createStyleRegistry() {
+    const styles = new Map();
+    const counters = {};
+
+    function register(prefix, family, body) {
+        const key = `${family}|${body}`;
+        if (!styles.has(key)) {
+            counters[prefix] = (counters[prefix] || 0) + 1;
+            styles.set(key, { name: `${prefix}${counters[prefix]}`, family, body });
+        }
+        return styles.get(key).name;
+    }
+
+    return {
+        page(background) {
+            const fill = background?.color
+                ? `draw:fill="solid" draw:fill-color="${toColor(background.color)}"`
+                : 'draw:fill="none"';
+            return register('dp', 'drawing-page',
+                `<style:drawing-page-properties ${fill} presentation:background-visible="true" presentation:background-objects-visible="true"/>`);
+        },
+        graphic(options, isShape) {
+            const fill = options.fill?.color
+                ? `draw:fill="solid" draw:fill-color="${toColor(options.fill.color)}"`
+                : 'draw:fill="none"';
+            const line = isShape ? options.line : options.border;
+            const stroke = line && line.type !== 'none' && (line.color || line.pt)
+                ? `draw:stroke="solid" svg:stroke-color="${toColor(line.color || '000000')}" svg:stroke-width="${(line.pt || line.width || 1) / 72}in"`
+                : 'draw:stroke="none"';
+            const valign = { middle: 'middle', bottom: 'bottom' }[options.valign] || 'top';
+            return register('gr', 'graphic',
+                `<style:graphic-properties ${fill} ${stroke} draw:textarea-vertical-align="${valign}" draw:auto-grow-height="false" fo:padding-left="0.05in" fo:padding-right="0.05in" fo:padding-top="0.03in" fo:padding-bottom="0.03in"/>`);
+        },
+        paragraph(options) {
+            const align = { center: 'center', right: 'end', justify: 'justify' }[options.align] || 'start';
+            return register('P', 'paragraph', `<style:paragraph-properties fo:text-align="${align}"/>`);
+        },
+        text(options) {
+            const props = [
+                `fo:font-size="${options.fontSize || 18}pt"`,
+                `fo:color="${toColor(options.color) || '#000000'}"`,
+                options.bold ? 'fo:font-weight="bold"' : null,
+                options.italic ? 'fo:font-style="italic"' : null,
+                options.fontFace ? `fo:font-family="${escapeXml(options.fontFace)}"` : null
+            ].filter(Boolean).join(' ');
+            return register('T', 'text', `<style:text-properties ${props}/>`);
+        },
+        toXml() {
+            return [...styles.values()]
+                .map(s => `<style:style style:name="${s.name}" style:family="${s.family}">${s.body}</style:style>`)
+                .join('');
+        }
+    };
+}
+
+function renderParagraphs(text, options, styles) {
+    return toParagraphs(text, options).map(runs => {
+        const pStyle = styles.paragraph(runs[0]?.options || options);
+        const spans = runs
+            .map(run => `<text:span text:style-name="${styles.text(run.options)}">${escapeXml(run.text)}</text:span>`)
+            .join('');
+        return `<text:p text:style-name="${pStyle}">${spans}</text:p>`;
+    }).join('');
+}
+
+function frameAttrs(options, styleName) {
+    return `draw:style-name="${styleName}" svg:x="${inches(options.x)}" svg:y="${inches(options.y)}" ` +
+        `svg:width="${inches(options.w)}" svg:height="${inches(options.h)}"`;
+}
+
+function renderElement(element, styles) {
+    const { options } = element;
+    if (element.kind === 'shape') {
+        const geometry = SHAPE_GEOMETRY[element.shapeType] || 'rectangle';
+        return `<draw:custom-shape ${frameAttrs(options, styles.graphic(options, true))}>` +
+            `<draw:enhanced-geometry svg:viewBox="0 0 21600 21600" draw:type="${geometry}"/>` +
+            '</draw:custom-shape>';
+    }
+    return `<draw:frame ${frameAttrs(options, styles.graphic(options, false))}>` +
+        `<draw:text-box>${renderParagraphs(element.text, options, styles)}</draw:text-box>` +
+        '</draw:frame>';
+}
+
+function renderNotes(notes, size, styles) {
+    if (!notes) return '';
+    const options = { x: 0.5, y: size.height * 0.5, w: size.width - 1, h: size.height * 0.45, fontSize: 12 };
+    return '<presentation:notes>' +
+        `<draw:frame presentation:class="notes" ${frameAttrs(options, styles.graphic({}, false))}>` +
+        `<draw:text-box>${renderParagraphs(notes, options, styles)}</draw:text-box>` +
+        '</draw:frame></presentation:notes>';
+}
+
+function renderContent(presentation) {
+    const styles = createStyleRegistry();
+    const size = presentation.pageSize;
+
+    const pages = presentation.slides.map((slide, i) => {
+        const body = slide.elements.map(element => renderElement(element, styles)).join('');
+        return `<draw:page draw:name="Slide ${i + 1}" draw:style-name="${styles.page(slide.background)}" ` +
+            `draw:master-page-name="Default">${body}${renderNotes(slide.notes, size, styles)}</draw:page>`;
+    }).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8"?>' +
+        `<office:document-content ${NAMESPACES} office:version="1.2">` +
+        `<office:automatic-styles>${styles.toXml()}</office:automatic-styles>` +
+        `<office:body><office:presentation>${pages}</office:presentation></office:body>` +
+        '</office:document-content>';
+}
+
+function renderStyles(presentation) {
+    const size = presentation.pageSize;
+    return '<?xml version="1.0" encoding="UTF-8"?>' +
+        `<office:document-styles ${NAMESPACES} office:version="1.2">` +
+        '<office:automatic-styles>' +
+        '<style:page-layout style:name="PM1"><style:page-layout-properties fo:margin-top="0in" fo:margin-bottom="0in" ' +
+        `fo:margin-left="0in" fo:margin-right="0in" fo:page-width="${inches(size.width)}" fo:page-height="${inches(size.height)}" ` +
+        'style:print-orientation="landscape"/></style:page-layout>' +
+        '<style:style style:name="Mdp1" style:family="drawing-page"><style:drawing-page-properties draw:fill="none"/></style:style>' +
+        '</office:automatic-styles>' +
+        '<office:master-styles><style:master-page style:name="Default" style:page-layout-name="PM1" draw:style-name="Mdp1"/></office:master-styles>' +
+        '</office:document-styles>';
+}
+
+function renderMeta(presentation) {
+    return '<?xml version="1.0" encoding="UTF-8"?>' +
+        `<office:document-meta ${NAMESPACES} office:version="1.2"><office:meta>` +
+        '<meta:generator>PathSynch</meta:generator>' +
+        `<dc:title>${escapeXml(presentation.title)}</dc:title>` +
+        `<dc:subject>${escapeXml(presentation.subject)}</dc:subject>` +
+        `<meta:initial-creator>${escapeXml(presentation.author)}</meta:initial-creator>` +
+        `<meta:creation-date>${new Date().toISOString().replace(/\.\d{3}Z$/, '')}</meta:creation-date>` +
+        '</office:meta></office:document-meta>';
+}
+
+function renderManifest() {
+    const entry = (fullPath, mediaType) =>
+        `<manifest:file-entry manifest:full-path="${fullPath}" manifest:media-type="${mediaType}"/>`;
+    return '<?xml version="1.0" encoding="UTF-8"?>' +
+        '<manifest:manifest xmlns:manifest="urn:oasis:names:tc:opendocument:xmlns:manifest:1.0" manifest:version="1.2">' +
+        `<manifest:file-entry manifest:full-path="/" manifest:version="1.2" manifest:media-type="${ODP_MIME_TYPE}"/>` +
+        entry('content.xml', 'text/xml') +
+        entry('styles.xml', 'text/xml') +
+        entry('meta.xml', 'text/xml') +
+        '</manifest:manifest>';
+}
+
+/**
+ * Create an empty presentation with the PptxGenJS-compatible surface
+ * @returns {OdpPresentation}
+ */
+function createOdpPresentation() {
+    return new OdpPresentation();
+}
+
+module.exports = {
+    ODP_MIME_TYPE,
+    OdpPresentation,
+    createOdpPresentation
+};
@@ -8,6 +8,8 @@
  * Never throws into the handler — always returns { success, data, error }.
  */
 
+const { wrapClient } = require('./providerReplay');
+
 const OUTSCRAPER_BASE = 'https://api.app.outscraper.com';
 const TIMEOUT_MS      = 30000;
 
@@ -99,4 +101,4 @@ async function fetchReviews(placeIdOrQuery, options = {}) {
     return { success: false, data: null, error: 'Outscraper request failed after retry' };
 }
 
-module.exports = { fetchReviews };
+module.exports = wrapClient('outscraper', { fetchReviews });
@@ -6,10 +6,13 @@
  */
 
 const admin = require('firebase-admin');
+const { ApiError, ErrorCodes } = require('../middleware/errorHandler');
+const precallFormLogic = require('./precallFormLogic');
 const db = admin.firestore();
 
 /**
- * Default form questions for pre-call qualification
+ * Default form questions for pre-call qualification.
+ * showIf / validation / {{questionId}} piping are described in precallFormLogic.js.
  */
 const DEFAULT_QUESTIONS = [
     {
@@ -18,7 +21,8 @@ const DEFAULT_QUESTIONS = [
         question: "What's your biggest challenge right now?",
         required: true,
         feedsInto: 'painPoints',
-        placeholder: 'Describe the main problem you\'re trying to solve...'
+        placeholder: 'Describe the main problem you\'re trying to solve...',
+        validation: { minLength: 10, maxLength: 2000 }
     },
     {
         id: 'current_solution',
@@ -28,6 +32,25 @@ const DEFAULT_QUESTIONS = [
         customOption: true,
         feedsInto: 'competitiveContext'
     },
+    {
+        id: 'competitor_name',
+        type: 'text',
+        question: "Which competitor's software are you using?",
+        required: true,
+        feedsInto: 'competitors',
+        placeholder: 'e.g., Product or vendor name',
+        showIf: { questionId: 'current_solution', operator: 'includes', value: 'Competitor software' },
+        validation: { maxLength: 200 }
+    },
+    {
+        id: 'competitor_gaps',
+        type: 'textarea',
+        question: "What's missing from {{competitor_name}} today?",
+        required: false,
+        feedsInto: 'painPoints',
+        showIf: { questionId: 'competitor_name', operator: 'answered' },
+        validation: { maxLength: 2000 }
+    },
     {
         id: 'timeline',
         type: 'radio',
@@ -42,7 +65,8 @@ const DEFAULT_QUESTIONS = [
         question: "Who else will be involved in this decision?",
         required: false,
         feedsInto: 'stakeholders',
-        placeholder: 'e.g., CEO, Operations Manager, Finance Director'
+        placeholder: 'e.g., CEO, Operations Manager, Finance Director',
+        validation: { maxLength: 500 }
     },
     {
         id: 'budget',
@@ -119,6 +143,8 @@ async function createForm(userId, formData) {
         formQuestions = [...formQuestions, ...customQuestions];
     }
 
+    precallFormLogic.validateQuestionDefinitions(formQuestions);
+
     const shareId = generateFormShareId();
     const now = admin.firestore.FieldValue.serverTimestamp();
     const expiresAt = new Date();
@@ -133,6 +159,7 @@ async function createForm(userId, formData) {
         questions: formQuestions,
         status: 'draft', // draft -> pending -> completed | expired
         responses: null,
+        branchPath: null,
         createdAt: now,
         updatedAt: now,
         sentAt: null,
@@ -267,9 +294,12 @@ async function markFormSent(formId, userId) {
 }
 
 /**
- * Submit form responses (from prospect)
+ * Submit form responses (from prospect). Answers are checked against the form's
+ * show/hide and validation rules; answers to hidden questions are dropped and the
+ * branch path (shown / skipped / unanswered question ids) is stored with them.
  * @param {string} shareId - Form share ID
  * @param {Object} responses - Prospect's responses
+ * @throws {ApiError} VALIDATION_ERROR with per-question details
  */
 async function submitResponses(shareId, responses) {
     const form = await getFormByShareId(shareId);
@@ -286,23 +316,30 @@ async function submitResponses(shareId, responses) {
         throw new Error('This form has already been submitted');
     }
 
+    const evaluation = precallFormLogic.evaluateForm(form.questions || DEFAULT_QUESTIONS, responses);
+    if (evaluation.errors.length > 0) {
+        throw new ApiError(ErrorCodes.VALIDATION_ERROR, 'Some answers need attention', evaluation.errors);
+    }
+
     const formRef = db.collection('precallForms').doc(form.id);
 
     await formRef.update({
         status: 'completed',
-        responses,
+        responses: evaluation.responses,
+        branchPath: evaluation.branchPath,
         completedAt: admin.firestore.FieldValue.serverTimestamp(),
         updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
 
     // If linked to a pitch, update the pitch with form data
     if (form.pitchId) {
-        await linkFormToPitch(form.id, form.pitchId, responses);
+        await linkFormToPitch(form.id, form.pitchId, evaluation.responses, evaluation.branchPath);
     }
 
     return {
         success: true,
-        formId: form.id
+        formId: form.id,
+        branchPath: evaluation.branchPath
     };
 }
 
@@ -311,8 +348,9 @@ async function submitResponses(shareId, responses) {
  * @param {string} formId - Form ID
  * @param {string} pitchId - Pitch ID
  * @param {Object} responses - Form responses
+ * @param {Object} [branchPath] - Shown / skipped / unanswered question ids
  */
-async function linkFormToPitch(formId, pitchId, responses) {
+async function linkFormToPitch(formId, pitchId, responses, branchPath = null) {
     try {
         const pitchRef = db.collection('pitches').doc(pitchId);
         const pitchDoc = await pitchRef.get();
@@ -325,14 +363,18 @@ async function linkFormToPitch(formId, pitchId, responses) {
         await pitchRef.update({
             precallFormId: formId,
             precallResponses: responses,
+            precallBranchPath: branchPath,
             'enrichment.precallForm': {
                 formId,
                 completedAt: admin.firestore.FieldValue.serverTimestamp(),
                 challenge: responses.challenge || null,
                 currentSolution: responses.current_solution || [],
+                competitor: responses.competitor_name || null,
                 timeline: responses.timeline || null,
                 budget: responses.budget || null,
-                priorityFeatures: responses.priority_features || []
+                priorityFeatures: responses.priority_features || [],
+                skippedQuestions: branchPath?.skipped || [],
+                unansweredQuestions: branchPath?.unanswered || []
             },
             updatedAt: admin.firestore.FieldValue.serverTimestamp()
         });
@@ -375,6 +417,8 @@ async function updateFormQuestions(formId, userId, questions) {
         throw new Error('Cannot update questions after form has been sent');
     }
 
+    precallFormLogic.validateQuestionDefinitions(questions);
+
     await formRef.update({
         questions,
         updatedAt: admin.firestore.FieldValue.serverTimestamp()
@@ -384,16 +428,21 @@ async function updateFormQuestions(formId, userId, questions) {
 /**
  * Map form responses to pitch enhancement data
  * @param {Object} responses - Form responses
+ * @param {Object} [branchPath] - Recorded branch path; questions the prospect never
+ *   saw (skipped) are kept apart from ones they saw and left blank (unanswered)
  * @returns {Object} Pitch enhancement data
  */
-function mapResponsesToPitchData(responses) {
+function mapResponsesToPitchData(responses, branchPath = null) {
     const result = {
         painPoints: [],
         competitiveContext: [],
+        competitors: [],
         urgency: 'medium',
         stakeholders: [],
         pricingTier: null,
-        featurePriority: []
+        featurePriority: [],
+        skippedQuestions: branchPath?.skipped || [],
+        unansweredQuestions: branchPath?.unanswered || []
     };
 
     // Map challenge to pain points
@@ -405,6 +454,14 @@ function mapResponsesToPitchData(responses) {
         });
     }
 
+    if (responses.competitor_gaps) {
+        result.painPoints.push({
+            source: 'precall_form',
+            text: responses.competitor_gaps,
+            isProspectQuote: true
+        });
+    }
+
     // Map current solution to competitive context
     if (responses.current_solution) {
         result.competitiveContext = Array.isArray(responses.current_solution)
@@ -412,6 +469,10 @@ function mapResponsesToPitchData(responses) {
             : [responses.current_solution];
     }
 
+    if (responses.competitor_name) {
+        result.competitors = [responses.competitor_name.trim()];
+    }
+
     // Map timeline to urgency
     const timelineMap = {
         'This month': 'high',
@@ -0,0 +1,424 @@
+/**
+ * Pre-Call Form Logic
+ *
+ * Conditional display, validation and answer piping for pre-call form questions.
+ * Pure functions shared by the service (submission), the public form endpoints
+ * (live evaluation) and pitch generation (branch path).
+ *
+ * Question fields understood here, all optional:
+ *   showIf:     { questionId, operator, value } or { all: [...] } / { any: [...] }
+ *   validation: { minLength, maxLength, pattern, patternMessage, minSelections, maxSelections }
+ *   {{questionId}} tokens in question/placeholder are replaced with earlier answers.
+ *
+ * Patterns come from the form owner but run on prospect input, so only short
+ * patterns without nested or overlapping repeats, backreferences or lookarounds
+ * are accepted, and each test runs under a hard time limit.
+ */
+
+const vm = require('vm');
+const { ApiError, ErrorCodes } = require('../middleware/errorHandler');
+
+const OPERATORS = {
+    equals: (answer, value) => (Array.isArray(answer) ? sameList(answer, normalizeList(value)) : answer === value),
+    notEquals: (answer, value) => !OPERATORS.equals(answer, value),
+    includes: (answer, value) => normalizeList(answer).includes(value),
+    notIncludes: (answer, value) => !OPERATORS.includes(answer, value),
+    in: (answer, value) => Array.isArray(value) && normalizeList(answer).some(a => value.includes(a)),
+    answered: answer => isAnswered(answer),
+    notAnswered: answer => !isAnswered(answer)
+};
+
+const CHOICE_TYPES = ['radio', 'multiselect', 'select'];
+const PIPE_PATTERN = /\{\{\s*([a-zA-Z0-9_-]+)\s*\}\}/g;
+
+// Owner-supplied validation patterns run against prospect input
+const MAX_PATTERN_LENGTH = 200;
+const MAX_PATTERN_INPUT_LENGTH = 200;
+const PATTERN_TIMEOUT_MS = 50;
+const patternContext = vm.createContext({});
+const patternScript = new vm.Script('new RegExp(pattern).test(text)');
+
+// Branch path states recorded on submission
+const BranchState = {
+    SHOWN: 'shown',
+    SKIPPED: 'skipped',
+    UNANSWERED: 'unanswered'
+};
+
+function normalizeList(answer) {
+    if (answer === undefined || answer === null) return [];
+    return Array.isArray(answer) ? answer : [answer];
+}
+
+function sameList(answer, value) {
+    return answer.length === value.length && answer.every(a => value.includes(a));
+}
+
+/**
+ * Whether a response value counts as an answer
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isAnswered(value) {
+    if (value === undefined || value === null) return false;
+    if (typeof value === 'string') return value.trim().length > 0;
+    if (Array.isArray(value)) return value.some(isAnswered);
+    return true;
+}
+
+/**
+ * Evaluate a showIf rule against the answers given so far
+ * @param {Object} rule - Condition or { all } / { any } group
+ * @param {Object} responses - Answers keyed by question id
+ * @returns {boolean}
+ */
+function evaluateCondition(rule, responses) {
+    if (!rule) return true;
+    if (Array.isArray(rule.all)) return rule.all.every(r => evaluateCondition(r, responses));
+    if (Array.isArray(rule.any)) return rule.any.some(r => evaluateCondition(r, responses));
+
+    const operator = OPERATORS[rule.operator || 'equals'];
+    return operator(responses[rule.questionId], rule.value);
+}
+
+/**
+ * Operators in a rule that evaluateCondition() doesn't know
+ * @param {Object} rule - Condition or { all } / { any } group
+ * @returns {Array<string>}
+ */
+function unknownOperators(rule) {
+    if (!rule || typeof rule !== 'object') return [];
+    if (Array.isArray(rule.all)) return rule.all.flatMap(unknownOperators);
+    if (Array.isArray(rule.any)) return rule.any.flatMap(unknownOperators);
+    return rule.operator && !Object.hasOwn(OPERATORS, rule.operator) ? [String(rule.operator)] : [];
+}
+
+/**
+ * Question ids a rule depends on
+ */
+function ruleQuestionIds(rule) {
+    if (!rule) return [];
+    if (Array.isArray(rule.all)) return rule.all.flatMap(ruleQuestionIds);
+    if (Array.isArray(rule.any)) return rule.any.flatMap(ruleQuestionIds);
+    return [rule.questionId];
+}
+
+function formatAnswer(value) {
+    return normalizeList(value).filter(isAnswered).join(', ');
+}
+
+/**
+ * Replace {{questionId}} tokens with the answers given so far
+ * @param {string} text
+ * @param {Object} responses
+ * @returns {string}
+ */
+function pipeAnswers(text, responses) {
+    if (typeof text !== 'string') return text;
+    return text.replace(PIPE_PATTERN, (match, questionId) => formatAnswer(responses[questionId]));
+}
+
+// Characters used to test whether two single-character atoms can match the same input
+const OVERLAP_SAMPLE = Array.from({ length: 0x7f - 0x09 }, (_, i) => String.fromCharCode(0x09 + i))
+    .concat(['\u00a0', '\u00e9', '\u4e2d']);
+
+/**
+ * Whether two atoms (a character, escape, class or group) can match the same
+ * character. Groups and anything that does not compile on its own are assumed to.
+ */
+function atomsOverlap(a, b) {
+    if (a.startsWith('(') || b.startsWith('(')) return true;
+    try {
+        const ra = new RegExp(`^(?:${a})$`);
+        const rb = new RegExp(`^(?:${b})$`);
+        return OVERLAP_SAMPLE.some(ch => ra.test(ch) && rb.test(ch));
+    } catch (error) {
+        return true;
+    }
+}
+
+/**
+ * Read the quantifier at pattern[i], if any
+ * @returns {{ length: number, min: number, unbounded: boolean }|null}
+ */
+function readQuantifier(pattern, i) {
+    const match = /^(?:([*+?])|\{(\d+)(,(\d*))?\})\??/.exec(pattern.slice(i));
+    if (!match) return null;
+    if (match[1]) {
+        return { length: match[0].length, min: match[1] === '+' ? 1 : 0, unbounded: match[1] !== '?' };
+    }
+    return { length: match[0].length, min: Number(match[2]), unbounded: Boolean(match[3]) && match[4] === '' };
+}
+
+/**
+ * Whether a validation pattern is safe to run on prospect input: it compiles,
+ * is short, and has none of the constructs that make backtracking blow up —
+ * a repeated group that itself repeats or alternates (`(a+)+`, `(a|ab)*`),
+ * unbounded repeats of overlapping atoms with nothing required between them
+ * (`\d*\d*`, `\w+\d+`), backreferences or lookarounds. runPattern() still
+ * enforces a hard time limit, so this is about rejecting bad patterns early.
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function isSafePattern(pattern) {
+    if (typeof pattern !== 'string' || pattern.length > MAX_PATTERN_LENGTH) return false;
+    try {
+        new RegExp(pattern);
+    } catch (error) {
+        return false;
+    }
+    if (/\\[1-9]|\\k<|\(\?<?[=!]/.test(pattern)) return false;
+
+    // Per open group: whether it repeats or alternates inside, and the last
+    // unbounded atom not yet followed by a required one
+    const newGroup = (start, lastUnbounded) => ({ start, quantified: false, alternates: false, entry: lastUnbounded, lastUnbounded });
+    const groups = [newGroup(0, null)];
+
+    for (let i = 0; i < pattern.length; i++) {
+        const current = groups[groups.length - 1];
+        const ch = pattern[i];
+        let atom = null;
+        let group = null;
+
+        if (ch === '(') {
+            const start = i;
+            // Step over a (?: or (?<name> prefix so its ? is not read as a quantifier
+            if (pattern[i + 1] === '?') i = pattern[i + 2] === '<' ? pattern.indexOf('>', i) : i + 2;
+            groups.push(newGroup(start, current.lastUnbounded));
+            continue;
+        } else if (ch === '|') {
+            current.alternates = true;
+            current.lastUnbounded = current.entry;
+            continue;
+        } else if (ch === '^' || ch === '$') {
+            continue;
+        } else if (ch === ')') {
+            group = groups.pop();
+            atom = pattern.slice(group.start, i + 1);
+        } else if (ch === '\\') {
+            atom = pattern.slice(i, i + 2);
+            i++;
+        } else if (ch === '[') {
+            const start = i;
+            for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+                if (pattern[i] === '\\') i++;
+            }
+            atom = pattern.slice(start, i + 1);
+        } else {
+            atom = ch;
+        }
+
+        const owner = groups[groups.length - 1];
+        const quantifier = readQuantifier(pattern, i + 1);
+        if (quantifier) i += quantifier.length;
+
+        if (group) {
+            if (quantifier?.unbounded && (group.quantified || group.alternates)) return false;
+            if (group.quantified || quantifier) owner.quantified = true;
+            if (!quantifier) {
+                // An unrepeated group passes its trailing repeat through to what follows
+                owner.lastUnbounded = group.lastUnbounded;
+                continue;
+            }
+        } else if (quantifier) {
+            owner.quantified = true;
+        }
+
+        if (quantifier?.unbounded) {
+            if (owner.lastUnbounded && atomsOverlap(owner.lastUnbounded, atom)) return false;
+            owner.lastUnbounded = atom;
+        } else if (!quantifier || quantifier.min > 0) {
+            owner.lastUnbounded = null;
+        }
+    }
+    return true;
+}
+
+/**
+ * Test prospect input against an owner pattern with a hard time limit, in a
+ * shared context so the cost stays small. A pattern that runs out of time is
+ * treated as a non-match.
+ * @param {string} pattern
+ * @param {string} text
+ * @returns {boolean}
+ */
+function runPattern(pattern, text) {
+    patternContext.pattern = pattern;
+    patternContext.text = text;
+    try {
+        return patternScript.runInContext(patternContext, { timeout: PATTERN_TIMEOUT_MS }) === true;
+    } catch (error) {
+        console.warn(`[PrecallForm] Validation pattern gave up: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Check question definitions before they are saved: rules and piping may only
+ * reference questions that come earlier in the form, operators must be known and
+ * patterns must compile and pass isSafePattern.
+ * @param {Object[]} questions
+ * @throws {ApiError} VALIDATION_ERROR listing every problem
+ */
+function validateQuestionDefinitions(questions) {
+    const errors = [];
+    const seen = new Set();
+
+    questions.forEach((question, index) => {
+        const label = question.id || `#${index + 1}`;
+        if (!question.id) {
+            errors.push(`Question ${label} is missing an id`);
+        } else if (seen.has(question.id)) {
+            errors.push(`Question id ${question.id} is used more than once`);
+        }
+
+        if (question.showIf) {
+            for (const operator of unknownOperators(question.showIf)) {
+                errors.push(`Question ${label} uses unknown operator: ${operator}`);
+            }
+            for (const id of ruleQuestionIds(question.showIf)) {
+                if (!seen.has(id)) errors.push(`Question ${label} shows based on ${id}, which must come earlier in the form`);
+            }
+        }
+
+        for (const field of ['question', 'placeholder']) {
+            for (const [, id] of String(question[field] || '').matchAll(PIPE_PATTERN)) {
+                if (!seen.has(id)) errors.push(`Question ${label} pipes ${id}, which must come earlier in the form`);
+            }
+        }
+
+        if (question.validation?.pattern) {
+            let compiles = true;
+            try {
+                new RegExp(question.validation.pattern);
+            } catch (error) {
+                compiles = false;
+                errors.push(`Question ${label} has an invalid pattern`);
+            }
+            if (compiles && !isSafePattern(question.validation.pattern)) {
+                errors.push(`Question ${label} has a pattern that is too long or too complex (nested repeats, backreferences and lookarounds are not allowed)`);
+            }
+        }
+
+        if (question.id) seen.add(question.id);
+    });
+
+    if (errors.length > 0) {
+        throw new ApiError(ErrorCodes.VALIDATION_ERROR, errors[0], errors);
+    }
+}
+
+/**
+ * Validate one shown, answered question
+ * @returns {string|null} Error message
+ */
+function validateAnswer(question, answer) {
+    const rules = question.validation || {};
+    const values = normalizeList(answer).filter(isAnswered);
+
+    if (question.type === 'multiselect') {
+        if (rules.minSelections && values.length < rules.minSelections) {
+            return `Select at least ${rules.minSelections}`;
+        }
+        if (rules.maxSelections && values.length > rules.maxSelections) {
+            return `Select at most ${rules.maxSelections}`;
+        }
+    }
+
+    if (CHOICE_TYPES.includes(question.type) && question.options?.length > 0) {
+        const unknown = values.find(v => !question.options.includes(v) && !(question.customOption && typeof v === 'string'));
+        if (unknown !== undefined) return `"${unknown}" is not one of the options`;
+        return null;
+    }
+
+    const text = typeof answer === 'string' ? answer.trim() : String(answer);
+    if (rules.minLength && text.length < rules.minLength) {
+        return `Must be at least ${rules.minLength} characters`;
+    }
+    if (rules.maxLength && text.length > rules.maxLength) {
+        return `Must be at most ${rules.maxLength} characters`;
+    }
+    // Forms saved before patterns were vetted are re-checked here; an unsafe one is not run
+    if (rules.pattern && isSafePattern(rules.pattern)) {
+        if (text.length > MAX_PATTERN_INPUT_LENGTH || !runPattern(rules.pattern, text)) {
+            return rules.patternMessage || 'Invalid format';
+        }
+    }
+    return null;
+}
+
+/**
+ * Walk the form in order against a set of answers. Answers to hidden questions
+ * are ignored, so a question depending on a hidden one is hidden too.
+ * @param {Object[]} questions
+ * @param {Object} responses
+ * @returns {{ questions: Object[], responses: Object, branchPath: Object, errors: Object[] }}
+ *   questions: shown questions with answers piped into their text
+ *   responses: answers to shown questions only
+ *   branchPath: { shown, skipped, unanswered } question ids
+ *   errors: [{ questionId, message }] for required or invalid answers
+ */
+function evaluateForm(questions, responses = {}) {
+    const accepted = {};
+    const shown = [];
+    const branchPath = { shown: [], skipped: [], unanswered: [] };
+    const errors = [];
+
+    for (const question of questions) {
+        if (!evaluateCondition(question.showIf, accepted)) {
+            branchPath.skipped.push(question.id);
+            continue;
+        }
+
+        shown.push({
+            ...question,
+            question: pipeAnswers(question.question, accepted),
+            placeholder: pipeAnswers(question.placeholder, accepted)
+        });
+        branchPath.shown.push(question.id);
+
+        const answer = responses[question.id];
+        if (!isAnswered(answer)) {
+            branchPath.unanswered.push(question.id);
+            if (question.required) errors.push({ questionId: question.id, message: 'This question is required' });
+            continue;
+        }
+
+        const message = validateAnswer(question, answer);
+        if (message) {
+            errors.push({ questionId: question.id, message });
+            continue;
+        }
+        accepted[question.id] = answer;
+    }
+
+    return { questions: shown, responses: accepted, branchPath, errors };
+}
+
+/**
+ * State of one question in a recorded branch path
+ * @param {Object} branchPath
+ * @param {string} questionId
+ * @returns {'shown'|'skipped'|'unanswered'|null}
+ */
+function getBranchState(branchPath, questionId) {
+    if (!branchPath) return null;
+    if (branchPath.skipped?.includes(questionId)) return BranchState.SKIPPED;
+    if (branchPath.unanswered?.includes(questionId)) return BranchState.UNANSWERED;
+    if (branchPath.shown?.includes(questionId)) return BranchState.SHOWN;
+    return null;
+}
+
+module.exports = {
+    OPERATORS,
+    BranchState,
+    isAnswered,
+    evaluateCondition,
+    unknownOperators,
+    pipeAnswers,
+    isSafePattern,
+    validateQuestionDefinitions,
+    validateAnswer,
+    evaluateForm,
+    getBranchState
+};
@@ -0,0 +1,432 @@
+/**
+ * Pre-Call Qualification
+ *
+ * Scores submitted pre-call form responses against a per-user rubric
+ * (BANT/MEDDIC-style category weights per question), blends in the learned
+ * ICP fit from icpRefiner.scoreProspect(), and routes the prospect according
+ * to the tier the score lands in: an in-app alert, an Instantly push, and/or a
+ * booking link shown to the prospect on submit.
+ *
+ * Rubrics live in precallRubrics/{userId}; results are written to
+ * precallForms/{formId}.qualification.
+ */
+
+const admin = require('firebase-admin');
+const { ApiError, ErrorCodes } = require('../middleware/errorHandler');
+const { evaluateCondition, unknownOperators, isAnswered } = require('./precallFormLogic');
+const icpRefiner = require('./salesIntelligence/icpRefiner');
+const alertService = require('./alertService');
+const instantlyService = require('./instantlyService');
+
+const db = admin.firestore();
+
+const RoutingActions = {
+    ALERT: 'alert',
+    INSTANTLY: 'instantly',
+    BOOK_MEETING: 'book_meeting'
+};
+
+const DISQUALIFIED_TIER = 'disqualified';
+
+/**
+ * Default rubric, BANT categories over the default questions.
+ * questions[id].answers maps option -> 0..1; questions without an answers map
+ * score 1 when answered. Multiselects take their best option.
+ */
+const DEFAULT_RUBRIC = {
+    framework: 'BANT',
+    questions: {
+        challenge: { category: 'need', weight: 25 },
+        current_solution: {
+            category: 'need',
+            weight: 10,
+            answers: { 'Competitor software': 1, 'Spreadsheets/Manual process': 0.8, 'Nothing yet': 0.6, 'Built in-house': 0.4 }
+        },
+        timeline: {
+            category: 'timeline',
+            weight: 25,
+            answers: { 'This month': 1, 'This quarter': 0.75, '6+ months': 0.3, 'Just exploring': 0 }
+        },
+        stakeholders: { category: 'authority', weight: 15 },
+        budget: {
+            category: 'budget',
+            weight: 25,
+            answers: { 'Under $100/mo': 0.2, '$100-300/mo': 0.5, '$300-500/mo': 0.8, '$500+/mo': 1, 'Not sure yet': 0.3 }
+        }
+    },
+    // showIf-style rules (see precallFormLogic); the first match disqualifies
+    disqualifiers: [
+        {
+            rule: { all: [{ questionId: 'timeline', value: 'Just exploring' }, { questionId: 'budget', value: 'Under $100/mo' }] },
+            reason: 'No near-term timeline and budget below the entry plan'
+        }
+    ],
+    // Share of the final score taken from the ICP fit when icpRefiner has evidence
+    icpWeight: 0.3,
+    // Highest minScore first; alertThreshold is an alertService threshold
+    tiers: [
+        { id: 'hot', minScore: 75, actions: [RoutingActions.BOOK_MEETING, RoutingActions.ALERT], alertThreshold: 'outreach_now' },
+        { id: 'warm', minScore: 50, actions: [RoutingActions.ALERT], alertThreshold: 'hot' },
+        { id: 'nurture', minScore: 25, actions: [RoutingActions.INSTANTLY] },
+        { id: 'cold', minScore: 0, actions: [] }
+    ],
+    // The INSTANTLY action is skipped until a campaign is chosen; leads are never pushed campaign-less
+    instantlyCampaignId: null,
+    bookingUrl: null
+};
+
+function isHttpUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Check a rubric before saving
+ * @param {Object} rubric
+ * @throws {ApiError} VALIDATION_ERROR listing every problem
+ */
+function validateRubric(rubric) {
+    const errors = [];
+
+    for (const [questionId, config] of Object.entries(rubric.questions || {})) {
+        if (typeof config.weight !== 'number' || config.weight < 0) {
+            errors.push(`${questionId}: weight must be a non-negative number`);
+        }
+        if (!config.category) {
+            errors.push(`${questionId}: category is required`);
+        }
+        for (const [option, value] of Object.entries(config.answers || {})) {
+            if (typeof value !== 'number' || value < 0 || value > 1) {
+                errors.push(`${questionId}: score for "${option}" must be between 0 and 1`);
+            }
+        }
+    }
+
+    (rubric.disqualifiers || []).forEach((disqualifier, i) => {
+        if (!disqualifier.rule || !disqualifier.reason) {
+            errors.push(`disqualifiers[${i}] needs a rule and a reason`);
+        }
+        for (const operator of unknownOperators(disqualifier.rule)) {
+            errors.push(`disqualifiers[${i}] uses unknown operator: ${operator}`);
+        }
+    });
+
+    if (rubric.bookingUrl != null && !isHttpUrl(rubric.bookingUrl)) {
+        errors.push('bookingUrl must be an http(s) URL');
+    }
+
+    if (typeof rubric.icpWeight !== 'number' || rubric.icpWeight < 0 || rubric.icpWeight > 1) {
+        errors.push('icpWeight must be between 0 and 1');
+    }
+
+    const tiers = rubric.tiers || [];
+    if (tiers.length === 0 || !tiers.some(t => t.minScore === 0)) {
+        errors.push('tiers must include one with minScore 0');
+    }
+    tiers.forEach(tier => {
+        if (!tier.id || tier.id === DISQUALIFIED_TIER) {
+            errors.push(`Tier id "${tier.id}" is not allowed`);
+        }
+        for (const action of tier.actions || []) {
+            if (!Object.values(RoutingActions).includes(action)) {
+                errors.push(`Tier ${tier.id}: unknown action ${action}`);
+            }
+        }
+        if ((tier.actions || []).includes(RoutingActions.ALERT) && !alertService.THRESHOLD_CONFIG[tier.alertThreshold]) {
+            errors.push(`Tier ${tier.id}: alertThreshold must be one of ${Object.keys(alertService.THRESHOLD_CONFIG).join(', ')}`);
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new ApiError(ErrorCodes.VALIDATION_ERROR, errors[0], errors);
+    }
+}
+
+/**
+ * Get a user's rubric, falling back to DEFAULT_RUBRIC for anything unset
+ * @param {string} userId
+ * @returns {Promise<Object>}
+ */
+async function getRubric(userId) {
+    const doc = await db.collection('precallRubrics').doc(userId).get();
+    const saved = doc.exists ? doc.data() : {};
+    const { updatedAt, ...rubric } = saved;
+    return { ...DEFAULT_RUBRIC, ...rubric };
+}
+
+/**
+ * Save a user's rubric
+ * @param {string} userId
+ * @param {Object} updates - Any DEFAULT_RUBRIC fields
+ * @returns {Promise<Object>} Saved rubric
+ */
+async function saveRubric(userId, updates) {
+    const allowed = Object.keys(DEFAULT_RUBRIC);
+    const rubric = { ...(await getRubric(userId)) };
+    for (const key of allowed) {
+        if (updates[key] !== undefined) rubric[key] = updates[key];
+    }
+    rubric.tiers = [...rubric.tiers].sort((a, b) => b.minScore - a.minScore);
+
+    validateRubric(rubric);
+
+    await db.collection('precallRubrics').doc(userId).set({
+        ...rubric,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return rubric;
+}
+
+function scoreAnswer(config, answer) {
+    if (!isAnswered(answer)) return 0;
+    if (!config.answers) return 1;
+
+    const values = Array.isArray(answer) ? answer : [answer];
+    return Math.max(0, ...values.map(v => config.answers[v] ?? 0));
+}
+
+/**
+ * Score responses against a rubric. Questions the prospect never saw (skipped
+ * in the branch path) drop out of the denominator; shown-but-blank ones score 0.
+ * @param {Object} responses
+ * @param {Object|null} branchPath
+ * @param {Object} rubric
+ * @returns {{ rubricScore: number, breakdown: Object, disqualified: boolean, disqualifyReason: string|null }}
+ */
+function scoreResponses(responses, branchPath, rubric) {
+    const skipped = new Set(branchPath?.skipped || []);
+    const breakdown = {};
+    let earned = 0;
+    let possible = 0;
+
+    for (const [questionId, config] of Object.entries(rubric.questions || {})) {
+        if (skipped.has(questionId) || !config.weight) continue;
+
+        const points = scoreAnswer(config, responses[questionId]) * config.weight;
+        earned += points;
+        possible += config.weight;
+
+        const category = breakdown[config.category] || (breakdown[config.category] = { earned: 0, possible: 0 });
+        category.earned += points;
+        category.possible += config.weight;
+    }
+
+    for (const category of Object.values(breakdown)) {
+        category.score = Math.round(category.earned / category.possible * 100);
+        category.earned = Math.round(category.earned * 10) / 10;
+    }
+
+    const disqualifier = (rubric.disqualifiers || []).find(d => evaluateCondition(d.rule, responses));
+
+    return {
+        rubricScore: possible > 0 ? Math.round(earned / possible * 100) : 0,
+        breakdown,
+        disqualified: !!disqualifier,
+        disqualifyReason: disqualifier?.reason || null
+    };
+}
+
+/**
+ * Tier for a score (tiers sorted highest minScore first)
+ * @param {number} score
+ * @param {Object[]} tiers
+ * @returns {Object}
+ */
+function selectTier(score, tiers) {
+    return [...tiers].sort((a, b) => b.minScore - a.minScore).find(t => score >= t.minScore) || { id: 'cold', actions: [] };
+}
+
+/**
+ * ICP fit for the prospect behind a form. Only counts when icpRefiner had
+ * learned patterns or custom criteria to score against (factors non-empty);
+ * otherwise it returns a neutral 50 that would only dilute the rubric.
+ */
+async function scoreIcpFit(form) {
+    let pitch = {};
+    if (form.pitchId) {
+        const pitchDoc = await db.collection('pitches').doc(form.pitchId).get();
+        if (pitchDoc.exists) pitch = pitchDoc.data();
+    }
+
+    const responses = form.responses || {};
+    const icp = await icpRefiner.scoreProspect(form.userId, {
+        company: pitch.businessName || null,
+        industry: pitch.industry || null,
+        contactName: form.prospectName,
+        contactTitle: pitch.contactTitle || null,
+        painPoints: responses.challenge || null,
+        useCase: Array.isArray(responses.priority_features) ? responses.priority_features.join(', ') : null,
+        budget: responses.budget || null
+    });
+
+    return icp.factors?.length > 0 ? icp : null;
+}
+
+/**
+ * Score a completed form
+ * @param {Object} form - precallForms doc with id
+ * @param {Object} rubric
+ * @returns {Promise<Object>} Qualification (without routing results)
+ */
+async function qualifyForm(form, rubric) {
+    const scored = scoreResponses(form.responses || {}, form.branchPath, rubric);
+    const icp = await scoreIcpFit(form);
+
+    const score = icp
+        ? Math.round(scored.rubricScore * (1 - rubric.icpWeight) + icp.score * rubric.icpWeight)
+        : scored.rubricScore;
+    const tier = scored.disqualified ? { id: DISQUALIFIED_TIER, actions: [] } : selectTier(score, rubric.tiers);
+
+    return {
+        score,
+        rubricScore: scored.rubricScore,
+        icpScore: icp ? icp.score : null,
+        icpFitLevel: icp ? icp.fitLevel : null,
+        framework: rubric.framework,
+        breakdown: scored.breakdown,
+        disqualified: scored.disqualified,
+        disqualifyReason: scored.disqualifyReason,
+        tier: tier.id,
+        tierConfig: tier
+    };
+}
+
+function emailDomain(email) {
+    return (email || '').split('@')[1]?.toLowerCase() || '';
+}
+
+async function routeAlert(form, qualification) {
+    const alert = await alertService.createAlert(form.userId, {
+        accountKey: `precall:${form.id}`,
+        domain: emailDomain(form.prospectEmail),
+        companyName: form.prospectName,
+        threshold: qualification.tierConfig.alertThreshold,
+        accountScore: qualification.score,
+        scoreExplanation: `Pre-call form scored ${qualification.score}/100 (${qualification.tier}). ` +
+            `Timeline: ${form.responses?.timeline || 'not given'}. Budget: ${form.responses?.budget || 'not given'}.`
+    });
+    return { alertId: alert.alertId };
+}
+
+async function routeInstantly(form, qualification, rubric, resolveInstantlyApiKey) {
+    if (!rubric.instantlyCampaignId) {
+        return { status: 'skipped', reason: 'No Instantly campaign configured' };
+    }
+    const apiKey = resolveInstantlyApiKey ? await resolveInstantlyApiKey(form.userId) : null;
+    if (!apiKey) {
+        return { status: 'skipped', reason: 'Instantly API key not configured' };
+    }
+
+    const [firstName, ...rest] = (form.prospectName || '').split(' ');
+    const responses = form.responses || {};
+    const customVariables = {
+        synchintro_precall_score: String(qualification.score),
+        synchintro_precall_tier: qualification.tier,
+        synchintro_challenge: (responses.challenge || '').substring(0, 250),
+        synchintro_timeline: responses.timeline || ''
+    };
+
+    const result = await instantlyService.pushLead(apiKey, {
+        email: form.prospectEmail,
+        firstName,
+        lastName: rest.join(' '),
+        campaignId: rubric.instantlyCampaignId,
+        customVariables
+    });
+
+    await db.collection('instantlyPushLogs').add({
+        userId: form.userId,
+        precallFormId: form.id,
+        prospectEmail: form.prospectEmail,
+        campaignId: rubric.instantlyCampaignId,
+        customVariables,
+        instantlyResponse: result.data || null,
+        status: result.success ? 'success' : 'failed',
+        error: result.error || null,
+        pushedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    if (!result.success) {
+        return { status: 'failed', reason: result.error?.message || 'Instantly push failed' };
+    }
+    return {};
+}
+
+async function routeBookMeeting(form, rubric) {
+    let url = rubric.bookingUrl;
+    if (!url) {
+        const userDoc = await db.collection('users').doc(form.userId).get();
+        url = userDoc.exists ? userDoc.data().sellerProfile?.bookingUrl || null : null;
+    }
+    if (!url) {
+        return { status: 'skipped', reason: 'No booking URL configured' };
+    }
+    return { url };
+}
+
+/**
+ * Score a completed form, run its tier's routing actions and store the result
+ * on the form. A failing action is recorded and does not stop the others.
+ * @param {Object} form - Completed precallForms doc with id
+ * @param {Object} [options]
+ * @param {Function} [options.resolveInstantlyApiKey] - async (userId) => decrypted key
+ * @returns {Promise<Object>} Stored qualification; nextStep is what the prospect sees
+ */
+async function qualifyAndRoute(form, { resolveInstantlyApiKey } = {}) {
+    const rubric = await getRubric(form.userId);
+    const { tierConfig, ...qualification } = await qualifyForm(form, rubric);
+
+    const routedActions = [];
+    let nextStep = null;
+
+    for (const action of tierConfig.actions || []) {
+        let outcome;
+        try {
+            if (action === RoutingActions.ALERT) {
+                outcome = await routeAlert(form, { ...qualification, tierConfig });
+            } else if (action === RoutingActions.INSTANTLY) {
+                outcome = await routeInstantly(form, qualification, rubric, resolveInstantlyApiKey);
+            } else if (action === RoutingActions.BOOK_MEETING) {
+                outcome = await routeBookMeeting(form, rubric);
+                if (outcome.url) nextStep = { type: RoutingActions.BOOK_MEETING, url: outcome.url };
+            }
+        } catch (error) {
+            console.error(`[PrecallQualification] ${action} failed for form ${form.id}:`, error.message);
+            outcome = { status: 'failed', reason: error.message };
+        }
+        routedActions.push({ action, status: 'done', ...outcome });
+    }
+
+    const stored = {
+        ...qualification,
+        routedActions,
+        nextStep,
+        scoredAt: new Date().toISOString()
+    };
+
+    await db.collection('precallForms').doc(form.id).update({
+        qualification: stored,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    console.log(`[PrecallQualification] Form ${form.id} scored ${stored.score} (${stored.tier}); actions: ${routedActions.map(a => `${a.action}:${a.status}`).join(', ') || 'none'}`);
+
+    return stored;
+}
+
+module.exports = {
+    DEFAULT_RUBRIC,
+    RoutingActions,
+    DISQUALIFIED_TIER,
+    validateRubric,
+    getRubric,
+    saveRubric,
+    scoreResponses,
+    selectTier,
+    qualifyForm,
+    qualifyAndRoute
+};
@@ -26,6 +26,7 @@ const { detectTechStack } = require('./tools/techStackDetector');
 const { gradeGBP } = require('./tools/gbpGrader');
 const { getPlacesLookup, setPlacesLookup } = require('./enrichmentCache');
 const { matchProspectToReport } = require('./marketContextResolver');
+const providerReplay = require('./providerReplay');
 
 const AGENT_BASE_URL = process.env.PROSPECT_AGENT_URL
     || 'https://prospect-research-218613212853.us-central1.run.app';
@@ -346,36 +347,38 @@ function buildSourceAttribution(value, source, confidence) {
  *                               decisionMaker, socialProfiles, buyingSignals, confidence }
  */
 async function callResearchAgent(businessName, city, state, seedData = {}) {
-    const controller = new AbortController();
-    const timeout    = setTimeout(() => controller.abort(), 30000);
+    const payload = {
+        businessName,
+        city:  city  || '',
+        state: state || '',
+    };
 
-    try {
-        const payload = {
-            businessName,
-            city:  city  || '',
-            state: state || '',
-        };
+    // Pass seed data so the agent can skip redundant searches
+    if (seedData.website) payload.website = seedData.website;
+    if (seedData.phone)   payload.phone   = seedData.phone;
 
-        // Pass seed data so the agent can skip redundant searches
-        if (seedData.website) payload.website = seedData.website;
-        if (seedData.phone)   payload.phone   = seedData.phone;
+    return providerReplay.run('researchAgent', 'research', [payload], async () => {
+        const controller = new AbortController();
+        const timeout    = setTimeout(() => controller.abort(), 30000);
 
-        const response = await fetch(`${AGENT_BASE_URL}/api/research`, {
-            method:  'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body:    JSON.stringify(payload),
-            signal:  controller.signal
-        });
+        try {
+            const response = await fetch(`${AGENT_BASE_URL}/api/research`, {
+                method:  'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body:    JSON.stringify(payload),
+                signal:  controller.signal
+            });
 
-        if (!response.ok) {
-            const text = await response.text().catch(() => '');
-            throw new Error(`Agent HTTP ${response.status}: ${text.substring(0, 300)}`);
-        }
+            if (!response.ok) {
+                const text = await response.text().catch(() => '');
+                throw new Error(`Agent HTTP ${response.status}: ${text.substring(0, 300)}`);
+            }
 
-        return await response.json();
-    } finally {
-        clearTimeout(timeout);
-    }
+            return await response.json();
+        } finally {
+            clearTimeout(timeout);
+        }
+    });
 }
 
 // ── Core Prospect Processor ────────────────────────────────────────────────────
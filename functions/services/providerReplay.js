@@ -0,0 +1,281 @@
+'use strict';
+
+/**
+ * Provider Replay — record/replay layer for external data and AI providers.
+ *
+ * Every outbound provider client (Google Places, Serper, DataForSEO, SpyFu, Census, Outscraper,
+ * TheOrg, Gemini, Claude and the research agents built on them) wraps its exported async
+ * functions with wrapClient(). The wrapper is a pass-through unless PROVIDER_MODE says otherwise:
+ *
+ *   live   (default) — call the provider.
+ *   record           — call the provider and write the response (or error) to a fixture file.
+ *   replay           — never touch the network; return the recorded fixture, or throw
+ *                      ProviderFixtureMissingError if there is none.
+ *
+ * Fixtures live at <PROVIDER_FIXTURES_DIR>/<provider>/<operation>-<hash>.json, where the hash is
+ * taken over a stable serialization of the call arguments (callbacks and abort signals are
+ * ignored), so the same call always maps to the same file. Recorded failures replay as the same
+ * error, which keeps the fail-open paths in the enrichment stack deterministic too.
+ *
+ * Responses round-trip through JSON: Dates come back as ISO strings and functions are dropped.
+ * Callers that need SDK response objects (GoogleGenerativeAI) use wrapGenerativeAI(), which
+ * records the text and rebuilds the response shape on replay.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ProviderMode = {
+    LIVE: 'live',
+    RECORD: 'record',
+    REPLAY: 'replay',
+};
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'tests', 'fixtures', 'providers');
+
+class ProviderFixtureMissingError extends Error {
+    constructor(provider, operation, fixturePath) {
+        super(`No recorded ${provider}.${operation} fixture at ${fixturePath} (PROVIDER_MODE=replay)`);
+        this.name = 'ProviderFixtureMissingError';
+        this.code = 'PROVIDER_FIXTURE_MISSING';
+        this.provider = provider;
+        this.operation = operation;
+        this.fixturePath = fixturePath;
+    }
+}
+
+/**
+ * Current mode. Read on every call so tests and scripts can switch modes at runtime.
+ */
+function getMode() {
+    const mode = String(process.env.PROVIDER_MODE || ProviderMode.LIVE).toLowerCase();
+    if (!Object.values(ProviderMode).includes(mode)) {
+        throw new Error(`Unknown PROVIDER_MODE: ${process.env.PROVIDER_MODE}`);
+    }
+    return mode;
+}
+
+function getFixturesDir() {
+    return process.env.PROVIDER_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+}
+
+/**
+ * JSON with sorted keys, so argument order inside objects does not change the fixture key.
+ * Functions, undefined and non-plain objects (AbortSignal, SDK clients) are left out.
+ */
+function stableSerialize(value, seen = new WeakSet()) {
+    if (value === null || typeof value !== 'object') {
+        return typeof value === 'function' || value === undefined ? undefined : JSON.stringify(value);
+    }
+    if (value instanceof Date) return JSON.stringify(value.toISOString());
+    if (Buffer.isBuffer(value)) return JSON.stringify(`buffer:${crypto.createHash('sha256').update(value).digest('hex')}`);
+    if (seen.has(value)) return '"[Circular]"';
+    seen.add(value);
+
+    let out;
+    if (Array.isArray(value)) {
+        out = `[${value.map(v => stableSerialize(v, seen) ?? 'null').join(',')}]`;
+    } else {
+        const proto = Object.getPrototypeOf(value);
+        if (proto !== Object.prototype && proto !== null) {
+            out = undefined;
+        } else {
+            const entries = Object.keys(value).sort()
+                .map(k => [k, stableSerialize(value[k], seen)])
+                .filter(([, v]) => v !== undefined)
+                .map(([k, v]) => `${JSON.stringify(k)}:${v}`);
+            out = `{${entries.join(',')}}`;
+        }
+    }
+    seen.delete(value);
+    return out;
+}
+
+/**
+ * Fixture file for a call
+ */
+function fixturePath(provider, operation, args) {
+    const hash = crypto.createHash('sha256').update(stableSerialize(args) || '').digest('hex').slice(0, 16);
+    return path.join(getFixturesDir(), provider, `${operation}-${hash}.json`);
+}
+
+function readFixture(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+/**
+ * Write a fixture directly. Used by record mode, and by tests that seed fixtures by hand.
+ *
+ * @param {Object} outcome - { response } or { error: { name, message, code, status } }
+ */
+function saveFixture(provider, operation, args, outcome) {
+    return writeFixture(fixturePath(provider, operation, args), provider, operation, requestOf(args), outcome);
+}
+
+/**
+ * The key arguments as stored in the fixture (what stableSerialize kept)
+ */
+function requestOf(args) {
+    return JSON.parse(stableSerialize(args) || 'null');
+}
+
+function writeFixture(file, provider, operation, request, outcome) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+        provider,
+        operation,
+        request,
+        ...outcome,
+        recordedAt: new Date().toISOString()
+    }, null, 2) + '\n');
+    return file;
+}
+
+function errorFromFixture(recorded) {
+    const error = new Error(recorded.message);
+    if (recorded.name) error.name = recorded.name;
+    if (recorded.code !== undefined) error.code = recorded.code;
+    if (recorded.status !== undefined) error.status = recorded.status;
+    error.replayed = true;
+    return error;
+}
+
+function toJson(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Run one provider call under the current mode.
+ *
+ * @param {string} provider - fixture namespace, e.g. 'serper'
+ * @param {string} operation - function name, e.g. 'serperSearch'
+ * @param {Array} args - what identifies the call (the fixture key); keep secrets and per-run ids out
+ * @param {Function} liveCall - performs the real call
+ * @param {Object} [codec] - { encode, decode } for responses that are not plain JSON
+ */
+async function run(provider, operation, args, liveCall, codec = null) {
+    const mode = getMode();
+    if (mode === ProviderMode.LIVE) return liveCall();
+
+    // Keyed before the call: some providers mutate their arguments
+    const file = fixturePath(provider, operation, args);
+    const request = requestOf(args);
+
+    if (mode === ProviderMode.REPLAY) {
+        const recorded = readFixture(file);
+        if (!recorded) throw new ProviderFixtureMissingError(provider, operation, file);
+        if (recorded.error) throw errorFromFixture(recorded.error);
+        return codec ? codec.decode(recorded.response) : recorded.response;
+    }
+
+    // RECORD
+    try {
+        const response = await liveCall();
+        writeFixture(file, provider, operation, request, { response: toJson(codec ? codec.encode(response) : response) });
+        return response;
+    } catch (error) {
+        writeFixture(file, provider, operation, request, {
+            error: { name: error.name, message: error.message, code: error.code, status: error.status }
+        });
+        throw error;
+    }
+}
+
+/**
+ * Wrap every async function on a client module so it goes through run().
+ * Sync helpers (cost estimators) still run directly, but one that hands back a
+ * promise can't be recorded, so outside live mode that throws rather than
+ * letting the call reach the network unrecorded. Declare such functions async.
+ *
+ * @param {string} provider
+ * @param {Object} client - the module's export object
+ * @param {Object} [options]
+ * @param {string[]} [options.exclude] - async functions to leave unwrapped (e.g. streaming calls)
+ * @param {Object<string, Function>} [options.keys] - per-function (args) => key args, for calls
+ *   whose arguments carry per-run values (report ids, timestamps) that must not affect the key
+ * @returns {Object} the same export shape
+ */
+function wrapClient(provider, client, options = {}) {
+    const exclude = new Set(options.exclude || []);
+    const keys = options.keys || {};
+    const wrapped = { ...client };
+    for (const [name, fn] of Object.entries(client)) {
+        if (typeof fn !== 'function' || exclude.has(name)) continue;
+        if (fn.constructor.name !== 'AsyncFunction') {
+            wrapped[name] = function (...args) {
+                const result = fn.apply(this, args);
+                if (result && typeof result.then === 'function' && getMode() !== ProviderMode.LIVE) {
+                    result.then(null, () => {});
+                    throw new Error(`${provider}.${name} returned a promise but is not async, so it can't be recorded or replayed`);
+                }
+                return result;
+            };
+            continue;
+        }
+        const keyOf = keys[name] || (args => args);
+        wrapped[name] = function (...args) {
+            return run(provider, name, keyOf(args), () => fn.apply(this, args));
+        };
+    }
+    return wrapped;
+}
+
+const generateContentCodec = {
+    encode: (result) => ({
+        text: result.response.text(),
+        usageMetadata: result.response.usageMetadata || null
+    }),
+    decode: (recorded) => ({
+        response: {
+            text: () => recorded.text,
+            usageMetadata: recorded.usageMetadata
+        }
+    })
+};
+
+/**
+ * Wrap a GoogleGenerativeAI instance so model.generateContent() is recordable.
+ * Only generateContent is intercepted; the returned result supports response.text().
+ */
+function wrapGenerativeAI(genAI, provider = 'gemini') {
+    return new Proxy(genAI, {
+        get(target, prop, receiver) {
+            if (prop !== 'getGenerativeModel') return Reflect.get(target, prop, receiver);
+            return (...modelArgs) => {
+                const model = target.getGenerativeModel(...modelArgs);
+                if (!model || typeof model !== 'object') return model;
+                return new Proxy(model, {
+                    get(modelTarget, modelProp, modelReceiver) {
+                        if (modelProp !== 'generateContent') return Reflect.get(modelTarget, modelProp, modelReceiver);
+                        return (...requestArgs) => run(
+                            provider,
+                            'generateContent',
+                            [modelArgs[0], requestArgs[0]],
+                            () => modelTarget.generateContent(...requestArgs),
+                            generateContentCodec
+                        );
+                    }
+                });
+            };
+        }
+    });
+}
+
+module.exports = {
+    ProviderMode,
+    ProviderFixtureMissingError,
+    DEFAULT_FIXTURES_DIR,
+    getMode,
+    stableSerialize,
+    fixturePath,
+    saveFixture,
+    run,
+    wrapClient,
+    wrapGenerativeAI,
+};
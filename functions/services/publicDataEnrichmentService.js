@@ -27,6 +27,7 @@
 const admin = require('firebase-admin');
 const axios = require('axios');
 const { safeNumber } = require('../utils/numericSafety');
+const { wrapClient } = require('./providerReplay');
 
 // ─── Caching ─────────────────────────────────────────────────────────────────
 
@@ -612,7 +613,7 @@ async function enrichReport(reportData, industryConfig, options) {
   }
 }
 
-module.exports = {
+module.exports = wrapClient('publicData', {
   enrichReport,
   enrichGovernmentReport,
   enrichNonprofitReport,
@@ -622,4 +623,7 @@ module.exports = {
   stateNameToCode,
   formatCurrency,
   formatRevenueband
-};
+}, {
+  // reportData carries per-run timestamps; the options hold the market inputs
+  keys: { enrichReport: function (args) { return args.slice(1); } }
+});
@@ -4,8 +4,9 @@
  */
 
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { wrapGenerativeAI } = require('./providerReplay');
 const { identifyMarketLeader } = require('./opportunityScorer');
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const genAI = wrapGenerativeAI(new GoogleGenerativeAI(process.env.GEMINI_API_KEY));
 
 async function generateSalesIntel(city, industry, competitors, leads, trends, benchmarks, news, verticalConfig, profileGuidance = '') {
     try {
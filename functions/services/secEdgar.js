@@ -11,6 +11,7 @@
 
 const https = require('https');
 const marketCache = require('./marketCache');
+const { wrapClient } = require('./providerReplay');
 
 // User agent required by SEC - must include contact info
 const USER_AGENT = 'PathSynch/1.0 (contact@pathsynch.com)';
@@ -566,11 +567,11 @@ async function enrichCompetitorsWithSec(competitors, maxEnrich = 5) {
     return enriched;
 }
 
-module.exports = {
+module.exports = wrapClient('secEdgar', {
     getCompanyIntelligence,
     getCompetitorSummary,
     enrichCompetitorsWithSec,
     findTickerByName,
     formatFinancialValue,
     KNOWN_TICKERS
-};
+});
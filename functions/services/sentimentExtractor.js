@@ -4,7 +4,8 @@
  */
 
 const { GoogleGenerativeAI } = require('@google/generative-ai');
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const { wrapGenerativeAI } = require('./providerReplay');
+const genAI = wrapGenerativeAI(new GoogleGenerativeAI(process.env.GEMINI_API_KEY));
 
 /**
  * Extract sentiment themes from review texts
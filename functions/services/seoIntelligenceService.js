@@ -21,12 +21,13 @@
 const { getBacklinksSummary, getBacklinksReferringDomains } = require('./dataForSEOClient');
 const { getDomainStats, getTopOrganicKeywords, getTopPaidKeywords } = require('./spyFuClient');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { wrapGenerativeAI } = require('./providerReplay');
 
 // Lazy-init so the module can be required in tests without GEMINI_API_KEY set
 let _genAI = null;
 function getGenAI() {
     if (!_genAI) {
-        _genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+        _genAI = wrapGenerativeAI(new GoogleGenerativeAI(process.env.GEMINI_API_KEY));
     }
     return _genAI;
 }
@@ -7,6 +7,8 @@
  * Env: SERPER_API_KEY (required)
  */
 
+const { wrapClient } = require('./providerReplay');
+
 const SERPER_API_KEY = process.env.SERPER_API_KEY;
 const SERPER_BASE = 'https://google.serper.dev';
 
@@ -549,7 +551,7 @@ async function getWebsiteTrafficTier(lead) {
     }
 }
 
-module.exports = {
+module.exports = wrapClient('serper', {
     serperSearch,
     searchBusinessNews,
     searchOwnerInfo,
@@ -563,4 +565,4 @@ module.exports = {
     searchMarketTrends,
     fetchGoogleReviews,
     getWebsiteTrafficTier
-};
+});
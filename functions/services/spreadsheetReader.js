@@ -0,0 +1,250 @@
+/**
+ * Spreadsheet Reader Service
+ *
+ * Turns an uploaded CSV or XLSX file into { headers, records } for bulk upload.
+ * XLSX files are ZIP archives of SpreadsheetML parts, read the same way
+ * api/salesLibrary/textExtractor.js reads PPTX: adm-zip plus targeted regexes over
+ * the workbook, relationship, shared-string and worksheet XML.
+ */
+
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const { parse } = require('csv-parse/sync');
+
+const SPREADSHEET_TYPES = ['csv', 'xlsx'];
+
+// Excel's own limit (column XFD), and how far any one XML part may inflate
+const MAX_COLUMNS = 16384;
+const MAX_PART_BYTES = 32 * 1024 * 1024;
+
+/**
+ * Decode the five predefined XML entities plus numeric character references
+ * @param {string} value
+ * @returns {string}
+ */
+function decodeXmlEntities(value) {
+    return value
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Concatenate every <t> run inside a shared-string or inline-string element
+ * (rich-text cells split their text across several runs)
+ * @param {string} xml
+ * @returns {string}
+ */
+function joinTextRuns(xml) {
+    const runs = xml.match(/<t(?:\s[^>]*)?>[\s\S]*?<\/t>/g) || [];
+    return decodeXmlEntities(runs.map(run => run.replace(/<t(?:\s[^>]*)?>|<\/t>/g, '')).join(''));
+}
+
+/**
+ * Zero-based column index from an A1-style cell reference ("C7" -> 2)
+ * @param {string} ref
+ * @returns {number}
+ */
+function columnIndex(ref) {
+    const letters = (ref.match(/^[A-Z]+/i) || ['A'])[0].toUpperCase();
+    let index = 0;
+    for (const ch of letters) {
+        index = index * 26 + (ch.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+/**
+ * Read an XML part from the archive as UTF-8 (null when absent). Inflation stops
+ * at MAX_PART_BYTES whatever size the entry header claims.
+ */
+function readPart(zip, name) {
+    const entry = zip.getEntry(name);
+    if (!entry) return null;
+
+    const tooLarge = () => new Error(`XLSX part ${name} is too large`);
+    if (entry.header.size > MAX_PART_BYTES) throw tooLarge();
+
+    const compressed = entry.getCompressedData();
+    if (entry.header.method === 0) {
+        if (compressed.length > MAX_PART_BYTES) throw tooLarge();
+        return compressed.toString('utf8');
+    }
+    try {
+        return zlib.inflateRawSync(compressed, { maxOutputLength: MAX_PART_BYTES }).toString('utf8');
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+        throw new Error(`Not a valid XLSX file: ${error.message}`);
+    }
+}
+
+/**
+ * List worksheets in workbook order with the archive path of each
+ * @param {AdmZip} zip
+ * @returns {Array<{ name: string, path: string }>}
+ */
+function listSheets(zip) {
+    const workbook = readPart(zip, 'xl/workbook.xml');
+    if (!workbook) {
+        throw new Error('Not a valid XLSX file (missing workbook)');
+    }
+
+    const rels = readPart(zip, 'xl/_rels/workbook.xml.rels') || '';
+    const targets = {};
+    for (const rel of rels.match(/<Relationship\b[^>]*>/g) || []) {
+        const id = (rel.match(/\bId="([^"]+)"/) || [])[1];
+        const target = (rel.match(/\bTarget="([^"]+)"/) || [])[1];
+        if (id && target) {
+            targets[id] = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+        }
+    }
+
+    return (workbook.match(/<sheet\b[^>]*>/g) || []).map((tag, i) => {
+        const name = decodeXmlEntities((tag.match(/\bname="([^"]*)"/) || [])[1] || `Sheet${i + 1}`);
+        const relId = (tag.match(/\br:id="([^"]+)"/) || [])[1];
+        return { name, path: targets[relId] || `xl/worksheets/sheet${i + 1}.xml` };
+    });
+}
+
+/**
+ * Parse an XLSX buffer into a grid of cell strings
+ * @param {Buffer} buffer - XLSX file buffer
+ * @param {Object} [options]
+ * @param {string} [options.sheet] - Worksheet name (defaults to the first sheet)
+ * @returns {{ sheetNames: string[], sheetName: string, rows: string[][] }}
+ */
+function readXlsx(buffer, options = {}) {
+    let zip;
+    try {
+        zip = new AdmZip(buffer);
+    } catch (error) {
+        throw new Error(`Not a valid XLSX file: ${error.message}`);
+    }
+
+    const sheets = listSheets(zip);
+    if (sheets.length === 0) {
+        throw new Error('XLSX file has no worksheets');
+    }
+
+    const sheet = options.sheet
+        ? sheets.find(s => s.name === options.sheet)
+        : sheets[0];
+    if (!sheet) {
+        throw new Error(`Worksheet "${options.sheet}" not found`);
+    }
+
+    const sharedXml = readPart(zip, 'xl/sharedStrings.xml') || '';
+    const sharedStrings = (sharedXml.match(/<si>[\s\S]*?<\/si>/g) || []).map(joinTextRuns);
+
+    const sheetXml = readPart(zip, sheet.path);
+    if (!sheetXml) {
+        throw new Error(`Worksheet "${sheet.name}" is missing from the archive`);
+    }
+
+    const rows = [];
+    for (const rowXml of sheetXml.match(/<row\b[^>]*>[\s\S]*?<\/row>|<row\b[^>]*\/>/g) || []) {
+        const row = [];
+        const cells = rowXml.match(/<c\b[^>]*\/>|<c\b[^>]*>[\s\S]*?<\/c>/g) || [];
+
+        cells.forEach((cellXml, position) => {
+            const open = cellXml.match(/^<c\b[^>]*>/)[0];
+            const ref = (open.match(/\br="([^"]+)"/) || [])[1];
+            const type = (open.match(/\bt="([^"]+)"/) || [])[1];
+            const rawValue = (cellXml.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+            let value = '';
+            if (type === 's') {
+                value = sharedStrings[parseInt(rawValue, 10)] ?? '';
+            } else if (type === 'inlineStr') {
+                value = joinTextRuns((cellXml.match(/<is>[\s\S]*?<\/is>/) || [''])[0]);
+            } else if (type === 'b') {
+                value = rawValue === '1' ? 'TRUE' : 'FALSE';
+            } else if (rawValue !== undefined) {
+                value = decodeXmlEntities(rawValue);
+            }
+
+            const column = ref ? columnIndex(ref) : position;
+            if (column >= MAX_COLUMNS) {
+                throw new Error(`Cell ${ref || position + 1} is past the last column (XFD)`);
+            }
+            row[column] = value;
+        });
+
+        rows.push(Array.from(row, cell => cell ?? ''));
+    }
+
+    return {
+        sheetNames: sheets.map(s => s.name),
+        sheetName: sheet.name,
+        rows
+    };
+}
+
+/**
+ * Convert a grid whose first non-empty row is the header into keyed records.
+ * Blank header cells become "Column N"; fully blank rows are dropped.
+ * @param {string[][]} rows
+ * @returns {{ headers: string[], records: Object[] }}
+ */
+function gridToRecords(rows) {
+    const isBlank = row => row.every(cell => String(cell ?? '').trim() === '');
+    const headerIndex = rows.findIndex(row => !isBlank(row));
+    if (headerIndex === -1) {
+        return { headers: [], records: [] };
+    }
+
+    const headers = rows[headerIndex].map((h, i) => String(h ?? '').trim() || `Column ${i + 1}`);
+    const records = rows.slice(headerIndex + 1)
+        .filter(row => !isBlank(row))
+        .map(row => Object.fromEntries(headers.map((h, i) => [h, String(row[i] ?? '').trim()])));
+
+    return { headers, records };
+}
+
+/**
+ * Read an uploaded spreadsheet into headers + records
+ * @param {Object} input
+ * @param {string} [input.csvData] - Raw CSV text
+ * @param {Buffer} [input.buffer] - File bytes (CSV or XLSX)
+ * @param {string} [input.fileType] - 'csv' | 'xlsx' (inferred from fileName when omitted)
+ * @param {string} [input.fileName]
+ * @param {string} [input.sheet] - XLSX worksheet name
+ * @returns {{ fileType: string, headers: string[], records: Object[], sheetNames?: string[], sheetName?: string }}
+ */
+function readSpreadsheet({ csvData, buffer, fileType, fileName, sheet } = {}) {
+    const type = (fileType || (fileName || '').split('.').pop() || 'csv').toLowerCase();
+
+    if (!SPREADSHEET_TYPES.includes(type)) {
+        throw new Error(`Unsupported file type: ${type}. Upload a CSV or XLSX file.`);
+    }
+
+    if (type === 'xlsx') {
+        if (!buffer || buffer.length === 0) {
+            throw new Error('Empty file provided');
+        }
+        const { sheetNames, sheetName, rows } = readXlsx(buffer, { sheet });
+        return { fileType: 'xlsx', sheetNames, sheetName, ...gridToRecords(rows) };
+    }
+
+    const text = csvData ?? (buffer ? buffer.toString('utf8') : '');
+    const rows = parse(text, {
+        bom: true,
+        skip_empty_lines: true,
+        relax_column_count: true,
+        trim: true
+    });
+    return { fileType: 'csv', ...gridToRecords(rows) };
+}
+
+module.exports = {
+    SPREADSHEET_TYPES,
+    readSpreadsheet,
+    readXlsx,
+    gridToRecords,
+    columnIndex,
+    decodeXmlEntities
+};
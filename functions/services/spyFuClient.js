@@ -10,6 +10,8 @@
  * All functions return null on failure — never throws.
  */
 
+const { wrapClient } = require('./providerReplay');
+
 const BASE_URL   = 'https://api.spyfu.com/apis';
 const SPYFU_PASS = 'SYDM0E4D'; // Fixed password component per SpyFu API docs
 
@@ -160,8 +162,8 @@ async function getTopPaidKeywords(domain, limit) {
     }
 }
 
-module.exports = {
+module.exports = wrapClient('spyfu', {
     getDomainStats,
     getTopOrganicKeywords,
     getTopPaidKeywords
-};
+});
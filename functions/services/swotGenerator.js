@@ -4,7 +4,8 @@
  */
 
 const { GoogleGenerativeAI } = require('@google/generative-ai');
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const { wrapGenerativeAI } = require('./providerReplay');
+const genAI = wrapGenerativeAI(new GoogleGenerativeAI(process.env.GEMINI_API_KEY));
 
 // A lead is "high opportunity" once it reaches the Strong band (opportunityScore >= 60),
 // matching the interpretation bands in opportunityScorer.calculateOpportunityScore
@@ -7,6 +7,8 @@
  * Env: THEORG_API_KEY (Secret Manager — graceful skip if missing)
  */
 
+const { wrapClient } = require('./providerReplay');
+
 const THEORG_API_KEY = process.env.THEORG_API_KEY;
 const THEORG_BASE = 'https://api.theorg.com/v1';
 
@@ -148,4 +150,4 @@ function getSeniorityLevel(title) {
     return 'Individual Contributor';
 }
 
-module.exports = { searchOrganization, getOrgMembers, getOrgChart, getCompanyDecisionMakers, isRecentHire };
+module.exports = wrapClient('theorg', { searchOrganization, getOrgMembers, getOrgChart, getCompanyDecisionMakers, isRecentHire });
@@ -7,6 +7,7 @@
  */
 
 const Parser = require('rss-parser');
+const { wrapClient } = require('../providerReplay');
 const parser = new Parser({
     timeout: 10000,
     headers: {
@@ -71,4 +72,4 @@ async function googleNewsRss({ query, maxResults = 10 }) {
     }
 }
 
-module.exports = { googleNewsRss };
+module.exports = wrapClient('googleNewsRss', { googleNewsRss });
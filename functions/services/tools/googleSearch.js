@@ -11,6 +11,7 @@
  */
 
 const axios = require('axios');
+const { wrapClient } = require('../providerReplay');
 
 /**
  * Search the web via Google Custom Search
@@ -81,4 +82,4 @@ async function googleSearch({ query, maxResults = 10 }) {
     }
 }
 
-module.exports = { googleSearch };
+module.exports = wrapClient('googleSearch', { googleSearch });
@@ -8,6 +8,7 @@
  */
 
 const axios = require('axios');
+const { wrapClient } = require('../providerReplay');
 
 /**
  * Search NewsData.io for recent news articles
@@ -78,4 +79,4 @@ async function newsdataSearch({ query, country, category, timeframe }) {
     }
 }
 
-module.exports = { newsdataSearch };
+module.exports = wrapClient('newsdata', { newsdataSearch });
@@ -3,6 +3,7 @@
 const axios = require('axios');
 const { URL } = require('url');
 const { getTechDetection, setTechDetection, normalizeHostname } = require('../enrichmentCache');
+const { wrapClient } = require('../providerReplay');
 
 // ── SSRF Guard ───────────────────────────────────────────────────────────────
 
@@ -238,11 +239,11 @@ async function detectTechStack(url) {
     return result;
 }
 
-module.exports = {
+module.exports = wrapClient('techStackDetector', {
     detectTechStack,
     // Exported for testing only
     _validateUrl,
     _matchFingerprints,
     _classifyTools,
     FINGERPRINTS,
-};
+});
@@ -7,6 +7,7 @@
  */
 
 const axios = require('axios');
+const { wrapClient } = require('../providerReplay');
 
 /**
  * Extract text content from HTML, removing tags
@@ -20,6 +21,28 @@ function stripHtml(html) {
         .trim();
 }
 
+/**
+ * Fetch one page's HTML. Callers that parse a page themselves use this rather
+ * than axios so the fetch is recorded and replayed with the other providers.
+ *
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {number} [options.timeout=8000]
+ * @returns {Promise<string>} The response body
+ */
+async function fetchHtml(url, { timeout = 8000 } = {}) {
+    const response = await axios.get(url, {
+        timeout,
+        headers: {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        },
+        maxRedirects: 3,
+        validateStatus: s => s < 400,
+    });
+    return response.data;
+}
+
 /**
  * Scrape a website for content
  *
@@ -180,4 +203,4 @@ async function websiteScrape({ websiteUrl, pages }) {
     };
 }
 
-module.exports = { websiteScrape };
+module.exports = wrapClient('websiteScrape', { websiteScrape, fetchHtml });
@@ -0,0 +1,305 @@
+/**
+ * Transcript Analytics Service
+ *
+ * Deterministic talk-track analytics computed from parsed transcript entries
+ * (see transcriptParser.parseTranscript). No AI involved: everything is derived
+ * from speaker labels, timestamps and text, so the same call always produces the
+ * same numbers and managers can coach reps on real call behaviour.
+ */
+
+/**
+ * Typical speaking rate, used to estimate utterance length when a format only
+ * carries start times (Gong, Otter, Fireflies) or for the final utterance
+ */
+const WORDS_PER_MINUTE = 150;
+
+/**
+ * Same-speaker utterances separated by less than this are merged into one turn
+ */
+const MERGE_GAP_SECONDS = 2;
+
+/**
+ * A speaker change is counted as an interruption when the next speaker starts
+ * before the current one finishes (timestamped formats) or when the current
+ * utterance trails off with a cut-off marker ("--", "—", "...").
+ */
+const CUT_OFF_PATTERN = /(--|—|–|\.\.\.|…)\s*$/;
+
+/**
+ * Phrases that commit someone to a concrete follow-up
+ */
+const COMMITMENT_PATTERNS = [
+    /\b(i|we)('ll| will| can| am going to| are going to)\s+(send|share|follow up|get back|circle back|schedule|set up|book|put together|prepare|draft|loop in|introduce|email|call)\b/i,
+    /\blet'?s\s+(schedule|set up|book|plan|meet|reconvene|regroup|touch base|follow up)\b/i,
+    /\bnext steps?\b/i,
+    /\bfollow[- ]up\b.*\b(on|by|next|this|tomorrow|monday|tuesday|wednesday|thursday|friday)\b/i,
+    /\b(by|before|on)\s+(end of (the )?(day|week|month)|eod|eow|tomorrow|monday|tuesday|wednesday|thursday|friday|next week)\b/i
+];
+
+const UNKNOWN_SPEAKER = 'Unknown';
+
+/**
+ * Convert a transcript timestamp to seconds
+ * Accepts "HH:MM:SS.mmm", "HH:MM:SS", "MM:SS" and "M:SS".
+ * @param {string|null} timestamp - Timestamp string
+ * @returns {number|null} Seconds, or null when unparseable
+ */
+function toSeconds(timestamp) {
+    if (!timestamp || typeof timestamp !== 'string') return null;
+
+    const parts = timestamp.trim().replace(',', '.').split(':');
+    if (parts.length < 2 || parts.length > 3) return null;
+
+    const values = parts.map(Number);
+    if (values.some(v => Number.isNaN(v))) return null;
+
+    return values.reduce((total, value) => total * 60 + value, 0);
+}
+
+/**
+ * Normalize a diarized speaker label
+ * Strips caption markers (">>", "-"), collapses whitespace, turns Otter's
+ * "Speaker_1" back into "Speaker 1" and title-cases all-caps names.
+ * @param {string} speaker - Raw speaker label
+ * @returns {string} Normalized label
+ */
+function normalizeSpeaker(speaker) {
+    if (!speaker || typeof speaker !== 'string') return UNKNOWN_SPEAKER;
+
+    let label = speaker
+        .replace(/^[>\-\s]+/, '')
+        .replace(/_/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    if (!label || /^(unknown|unidentified)( speaker)?$/i.test(label)) return UNKNOWN_SPEAKER;
+
+    if (label === label.toUpperCase() && /[A-Z]/.test(label)) {
+        label = label.toLowerCase().replace(/\b\w/g, c => c.toUpperCase());
+    }
+
+    return label;
+}
+
+/**
+ * Count words in a piece of text
+ * @param {string} text - Text
+ * @returns {number} Word count
+ */
+function countWords(text) {
+    return (text || '').split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Clean up diarized entries into speaker turns
+ * Normalizes speaker labels (matching case-insensitively so "john smith" and
+ * "John Smith" are one person), resolves start/end seconds, and merges
+ * consecutive same-speaker entries that captioning split mid-turn.
+ * @param {Array} entries - Entries from parseTranscript
+ * @returns {Array} Turns of {speaker, start, end, text, words, cutOff, estimated}
+ */
+function cleanupDiarization(entries = []) {
+    const canonical = new Map();
+    const turns = [];
+
+    const timed = entries
+        .filter(e => e && typeof e.text === 'string' && e.text.trim())
+        .map(e => ({
+            speaker: normalizeSpeaker(e.speaker),
+            start: toSeconds(e.startTime),
+            end: toSeconds(e.endTime),
+            text: e.text.trim()
+        }));
+
+    timed.forEach((entry, index) => {
+        const key = entry.speaker.toLowerCase();
+        if (!canonical.has(key)) canonical.set(key, entry.speaker);
+        entry.speaker = canonical.get(key);
+
+        // Formats without end times run until the next utterance starts,
+        // capped at a speaking-rate estimate so long silences are not counted as talk
+        const wordsSeconds = countWords(entry.text) / WORDS_PER_MINUTE * 60;
+        entry.estimated = entry.end === null;
+        if (entry.start !== null && entry.end === null) {
+            const next = timed.slice(index + 1).find(e => e.start !== null);
+            const estimate = entry.start + wordsSeconds;
+            entry.end = next && next.start >= entry.start ? Math.min(next.start, estimate) : estimate;
+        }
+    });
+
+    for (const entry of timed) {
+        const previous = turns[turns.length - 1];
+        const gap = previous && previous.end !== null && entry.start !== null ? entry.start - previous.end : 0;
+
+        if (previous && previous.speaker === entry.speaker && gap <= MERGE_GAP_SECONDS) {
+            previous.text += ' ' + entry.text;
+            previous.words += countWords(entry.text);
+            if (entry.end !== null) previous.end = Math.max(previous.end ?? entry.end, entry.end);
+            previous.cutOff = CUT_OFF_PATTERN.test(entry.text);
+            previous.estimated = previous.estimated || entry.estimated;
+            continue;
+        }
+
+        turns.push({
+            speaker: entry.speaker,
+            start: entry.start,
+            end: entry.end,
+            text: entry.text,
+            words: countWords(entry.text),
+            cutOff: CUT_OFF_PATTERN.test(entry.text),
+            estimated: entry.estimated
+        });
+    }
+
+    return turns;
+}
+
+/**
+ * Length of a turn in seconds, falling back to a speaking-rate estimate
+ * @param {Object} turn - Turn from cleanupDiarization
+ * @returns {number} Seconds
+ */
+function turnDuration(turn) {
+    if (turn.start !== null && turn.end !== null && turn.end >= turn.start) {
+        return turn.end - turn.start;
+    }
+    return turn.words / WORDS_PER_MINUTE * 60;
+}
+
+/**
+ * Count questions in a turn (sentences ending in "?")
+ * @param {string} text - Turn text
+ * @returns {number} Question count
+ */
+function countQuestions(text) {
+    return (text.match(/\?+/g) || []).length;
+}
+
+/**
+ * Find next-step commitments in a turn, one per sentence
+ * @param {Object} turn - Turn from cleanupDiarization
+ * @returns {Array} Commitments of {speaker, text, timestamp}
+ */
+function findCommitments(turn) {
+    const sentences = turn.text.match(/[^.!?]+[.!?]*/g) || [];
+
+    return sentences
+        .map(s => s.trim())
+        .filter(s => s && !s.endsWith('?') && COMMITMENT_PATTERNS.some(p => p.test(s)))
+        .map(text => ({ speaker: turn.speaker, text, timestamp: turn.start }));
+}
+
+/**
+ * Round to two decimals
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Compute talk-track analytics for a parsed transcript
+ * @param {Object|Array} parsed - Result of parseTranscript, or its entries array
+ * @param {Object} options - Options
+ * @param {string} options.sellerName - Rep's speaker label, to report rep vs. prospect talk share
+ * @returns {Object} Analytics: speakers, talk/listen ratios, longest monologue,
+ *   questions, interruptions and next-step commitments
+ */
+function computeAnalytics(parsed, options = {}) {
+    const entries = Array.isArray(parsed) ? parsed : (parsed?.entries || []);
+    const turns = cleanupDiarization(entries);
+
+    const speakers = new Map();
+    const commitments = [];
+    let longestMonologue = null;
+    let interruptions = 0;
+
+    turns.forEach((turn, index) => {
+        const duration = turnDuration(turn);
+        const stats = speakers.get(turn.speaker) || {
+            speaker: turn.speaker,
+            talkSeconds: 0,
+            words: 0,
+            turns: 0,
+            questions: 0,
+            longestMonologueSeconds: 0,
+            interruptionsMade: 0
+        };
+
+        stats.talkSeconds += duration;
+        stats.words += turn.words;
+        stats.turns++;
+        stats.questions += countQuestions(turn.text);
+        stats.longestMonologueSeconds = Math.max(stats.longestMonologueSeconds, duration);
+        speakers.set(turn.speaker, stats);
+
+        if (!longestMonologue || duration > longestMonologue.durationSeconds) {
+            longestMonologue = {
+                speaker: turn.speaker,
+                durationSeconds: round(duration),
+                startSeconds: turn.start,
+                words: turn.words
+            };
+        }
+
+        const previous = turns[index - 1];
+        if (previous && previous.speaker !== turn.speaker) {
+            const overlapped = !previous.estimated && previous.end !== null && turn.start !== null && turn.start < previous.end;
+            if (overlapped || previous.cutOff) {
+                interruptions++;
+                stats.interruptionsMade++;
+            }
+        }
+
+        commitments.push(...findCommitments(turn));
+    });
+
+    const totalTalk = [...speakers.values()].reduce((sum, s) => sum + s.talkSeconds, 0);
+    const starts = turns.map(t => t.start).filter(s => s !== null);
+    const ends = turns.map(t => t.end).filter(e => e !== null);
+    const hasTimestamps = starts.length > 0;
+
+    const speakerStats = [...speakers.values()]
+        .map(s => {
+            const talkRatio = totalTalk > 0 ? s.talkSeconds / totalTalk : 0;
+            return {
+                ...s,
+                talkSeconds: round(s.talkSeconds),
+                longestMonologueSeconds: round(s.longestMonologueSeconds),
+                talkRatio: round(talkRatio),
+                listenRatio: round(1 - talkRatio)
+            };
+        })
+        .sort((a, b) => b.talkSeconds - a.talkSeconds);
+
+    let seller = null;
+    if (options.sellerName) {
+        const key = normalizeSpeaker(options.sellerName).toLowerCase();
+        seller = speakerStats.find(s => s.speaker.toLowerCase() === key) || null;
+    }
+
+    return {
+        hasTimestamps,
+        durationSeconds: hasTimestamps ? round(Math.max(...ends, ...starts) - Math.min(...starts)) : null,
+        totalTalkSeconds: round(totalTalk),
+        turnCount: turns.length,
+        speakerCount: speakerStats.length,
+        speakers: speakerStats,
+        seller: seller
+            ? { speaker: seller.speaker, talkRatio: seller.talkRatio, listenRatio: seller.listenRatio }
+            : null,
+        longestMonologue,
+        questionCount: speakerStats.reduce((sum, s) => sum + s.questions, 0),
+        interruptionCount: interruptions,
+        nextStepCommitments: commitments
+    };
+}
+
+module.exports = {
+    WORDS_PER_MINUTE,
+    toSeconds,
+    normalizeSpeaker,
+    cleanupDiarization,
+    computeAnalytics
+};
@@ -1,11 +1,12 @@
 /**
  * Transcript Parser Service
  *
- * Parses meeting transcripts from various platforms (Zoom, Gong, Otter.ai, Teams, Fireflies)
- * and uses Gemini AI to extract structured data for Leave-Behind one-pagers.
+ * Parses meeting transcripts from various platforms (Zoom, Gong, Otter.ai, Teams, Fireflies,
+ * Chorus, Grain) and uses Gemini AI to extract structured data for Leave-Behind one-pagers.
  */
 
 const geminiClient = require('./geminiClient');
+const { computeAnalytics } = require('./transcriptAnalytics');
 
 /**
  * Supported transcript formats and their characteristics
@@ -41,6 +42,33 @@ const TRANSCRIPT_FORMATS = {
         pattern: /^\w+\s+\(\d{1,2}:\d{2}\)/m,
         timestampPattern: /^(\w+)\s+\((\d{1,2}:\d{2})\)/
     },
+    // Teams "Download as .docx". Current layout puts "Name   0:03" above each
+    // utterance; older downloads use "0:0:0.0 --> 0:0:3.510" then the name.
+    // A speaker line is the whole line: a short name (not starting with a digit)
+    // then the offset. Pasted text needs two such lines before it counts as Teams.
+    TEAMS_DOCX: {
+        extension: '.docx',
+        platforms: ['Microsoft Teams'],
+        binary: true,
+        pattern: /^(?:\d+:\d+:\d+\.\d+[ \t]*-->[ \t]*\d+:\d+:\d+\.\d+|[^\s\d][^\t\r\n]{0,79}?(?: {2,}|\t)\d{1,2}(?::\d{2}){1,2})[ \t]*\r?$/m,
+        minMatches: 2,
+        timestampPattern: /^(\d+:\d+:\d+(?:\.\d+)?)\s*-->\s*(\d+:\d+:\d+(?:\.\d+)?)$/,
+        speakerLinePattern: /^([^\s\d][^\t]{0,79}?)(?: {2,}|\t)(\d{1,2}(?::\d{2}){1,2})$/
+    },
+    CHORUS: {
+        extension: '.json',
+        platforms: ['Chorus'],
+        json: true,
+        pattern: null,
+        timestampPattern: null
+    },
+    GRAIN: {
+        extension: '.json',
+        platforms: ['Grain'],
+        json: true,
+        pattern: null,
+        timestampPattern: null
+    },
     PLAIN: {
         extension: '.txt',
         platforms: ['Manual', 'Other'],
@@ -55,12 +83,20 @@ const TRANSCRIPT_FORMATS = {
  * @returns {string} Format key from TRANSCRIPT_FORMATS
  */
 function detectFormat(content) {
+    const jsonFormat = detectJsonFormat(content);
+    if (jsonFormat) {
+        return jsonFormat;
+    }
+
     const trimmedContent = content.trim();
 
     // Check each format's pattern
     for (const [formatKey, format] of Object.entries(TRANSCRIPT_FORMATS)) {
-        if (formatKey === 'PLAIN') continue; // Check PLAIN last
-        if (format.pattern.test(trimmedContent)) {
+        if (formatKey === 'PLAIN' || !format.pattern) continue; // Check PLAIN last
+        if (format.minMatches) {
+            const matches = trimmedContent.match(new RegExp(format.pattern.source, 'gm')) || [];
+            if (matches.length >= format.minMatches) return formatKey;
+        } else if (format.pattern.test(trimmedContent)) {
             return formatKey;
         }
     }
@@ -68,6 +104,86 @@ function detectFormat(content) {
     return 'PLAIN';
 }
 
+/**
+ * Parse JSON transcript content, returning null when it is not JSON
+ * @param {string|Object} content - Raw JSON string or already-parsed export
+ * @returns {Object|Array|null} Parsed JSON
+ */
+function parseJsonContent(content) {
+    if (content && typeof content === 'object') return content;
+    if (typeof content !== 'string' || !/^\s*[[{]/.test(content)) return null;
+
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Find the utterance list in a Chorus conversation export
+ * @param {Object} json - Parsed Chorus export
+ * @returns {Array|null} Utterances
+ */
+function chorusUtterances(json) {
+    const candidates = [
+        json?.recording?.utterances,
+        json?.data?.attributes?.recording?.utterances,
+        json?.utterances
+    ];
+    const utterances = candidates.find(Array.isArray);
+    if (!utterances || !utterances.length) return null;
+
+    return utterances.some(u => u && ('snippet' in u || 'speaker_name' in u)) ? utterances : null;
+}
+
+/**
+ * Find the segment list in a Grain transcript export
+ * @param {Object|Array} json - Parsed Grain export
+ * @returns {Array|null} Segments
+ */
+function grainSegments(json) {
+    const candidates = Array.isArray(json)
+        ? [json]
+        : [json?.transcript, json?.recording?.transcript, json?.segments];
+    const segments = candidates.find(Array.isArray);
+    if (!segments || !segments.length) return null;
+
+    return segments.some(s => s && typeof s.text === 'string' && 'start' in s) ? segments : null;
+}
+
+/**
+ * Detect Chorus or Grain JSON exports
+ * @param {string|Object} content - Raw content
+ * @returns {string|null} 'CHORUS', 'GRAIN' or null
+ */
+function detectJsonFormat(content) {
+    const json = parseJsonContent(content);
+    if (!json) return null;
+    if (chorusUtterances(json)) return 'CHORUS';
+    if (grainSegments(json)) return 'GRAIN';
+    return null;
+}
+
+/**
+ * Format seconds as an HH:MM:SS.mmm timestamp, the shape VTT entries carry
+ * @param {number} totalSeconds - Offset in seconds
+ * @returns {string|null} Timestamp
+ */
+function formatTimestamp(totalSeconds) {
+    if (typeof totalSeconds !== 'number' || !Number.isFinite(totalSeconds) || totalSeconds < 0) {
+        return null;
+    }
+
+    const ms = Math.round(totalSeconds * 1000);
+    const hours = Math.floor(ms / 3600000);
+    const minutes = Math.floor((ms % 3600000) / 60000);
+    const seconds = Math.floor((ms % 60000) / 1000);
+    const pad = (n, size = 2) => String(n).padStart(size, '0');
+
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(ms % 1000, 3)}`;
+}
+
 /**
  * Parse VTT format (WebVTT - Zoom, Teams)
  * @param {string} content - VTT content
@@ -268,6 +384,119 @@ function parseFireflies(content) {
     return entries;
 }
 
+/**
+ * Parse Microsoft Teams DOCX transcript text (as extracted from the .docx)
+ * @param {string} content - Document text, one paragraph per line
+ * @returns {Array} Array of {timestamp, speaker, text}
+ */
+function parseTeamsDocx(content) {
+    const lines = content.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    const { timestampPattern, speakerLinePattern } = TRANSCRIPT_FORMATS.TEAMS_DOCX;
+    const entries = [];
+    let currentEntry = null;
+    let awaitingSpeaker = false;
+
+    for (const line of lines) {
+        const rangeMatch = timestampPattern.exec(line);
+        if (rangeMatch) {
+            if (currentEntry) entries.push(currentEntry);
+            currentEntry = {
+                startTime: formatTimestamp(teamsSeconds(rangeMatch[1])),
+                endTime: formatTimestamp(teamsSeconds(rangeMatch[2])),
+                speaker: 'Unknown',
+                text: ''
+            };
+            awaitingSpeaker = true;
+            continue;
+        }
+
+        const speakerMatch = speakerLinePattern.exec(line);
+        if (speakerMatch) {
+            if (currentEntry) entries.push(currentEntry);
+            currentEntry = {
+                startTime: formatTimestamp(teamsSeconds(speakerMatch[2])),
+                speaker: speakerMatch[1].trim(),
+                text: ''
+            };
+            awaitingSpeaker = false;
+            continue;
+        }
+
+        if (!currentEntry) continue; // Title, date and duration header
+
+        if (awaitingSpeaker) {
+            currentEntry.speaker = line;
+            awaitingSpeaker = false;
+        } else {
+            currentEntry.text += (currentEntry.text ? ' ' : '') + line;
+        }
+    }
+
+    if (currentEntry) {
+        entries.push(currentEntry);
+    }
+
+    // "started transcription" notices carry a speaker but no speech
+    return entries.filter(e => e.text);
+}
+
+/**
+ * Convert a Teams offset ("0:0:3.51", "1:02:03" or "0:03") to seconds
+ * @param {string} value - Teams offset
+ * @returns {number} Seconds
+ */
+function teamsSeconds(value) {
+    return value.split(':').map(Number).reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * Parse a Chorus JSON export
+ * Utterance times are seconds from the start of the recording.
+ * @param {string|Object} content - Chorus JSON
+ * @returns {Array} Array of {timestamp, speaker, text}
+ */
+function parseChorus(content) {
+    const utterances = chorusUtterances(parseJsonContent(content)) || [];
+
+    return utterances
+        .filter(u => u && (u.snippet || u.text))
+        .map(u => {
+            const start = Number(u.snippet_time ?? u.start_time ?? u.start);
+            const end = Number(u.end_time ?? u.end);
+            const entry = {
+                startTime: formatTimestamp(start),
+                speaker: u.speaker_name || u.speaker || 'Unknown',
+                text: String(u.snippet || u.text).trim()
+            };
+            if (Number.isFinite(end) && end >= start) entry.endTime = formatTimestamp(end);
+            if (u.speaker_type) entry.speakerRole = u.speaker_type;
+            return entry;
+        });
+}
+
+/**
+ * Parse a Grain JSON export
+ * Segment times are milliseconds from the start of the recording.
+ * @param {string|Object} content - Grain JSON
+ * @returns {Array} Array of {timestamp, speaker, text}
+ */
+function parseGrain(content) {
+    const segments = grainSegments(parseJsonContent(content)) || [];
+
+    return segments
+        .filter(s => s && s.text && s.text.trim())
+        .map(s => {
+            const speaker = typeof s.speaker === 'object' && s.speaker ? s.speaker.name : s.speaker;
+            const entry = {
+                startTime: formatTimestamp(Number(s.start) / 1000),
+                speaker: speaker || s.speaker_name || 'Unknown',
+                text: s.text.trim()
+            };
+            if (s.end !== null && s.end !== undefined) entry.endTime = formatTimestamp(Number(s.end) / 1000);
+            return entry;
+        });
+}
+
 /**
  * Parse plain text format (manual or unknown)
  * @param {string} content - Plain text content
@@ -283,11 +512,18 @@ function parsePlain(content) {
 
 /**
  * Parse raw transcript content into structured entries
- * @param {string} content - Raw transcript content
+ * @param {string|Object} content - Raw transcript content, or a parsed Chorus/Grain JSON export
  * @param {string} format - Optional format override
  * @returns {Object} { format, entries, plainText }
  */
 function parseTranscript(content, format = null) {
+    if (content && typeof content === 'object' && !Buffer.isBuffer(content)) {
+        content = JSON.stringify(content);
+    }
+    if (typeof content !== 'string') {
+        throw new Error('Binary transcripts must be parsed with parseTranscriptFile()');
+    }
+
     const detectedFormat = format || detectFormat(content);
     let entries = [];
 
@@ -307,6 +543,15 @@ function parseTranscript(content, format = null) {
         case 'FIREFLIES':
             entries = parseFireflies(content);
             break;
+        case 'TEAMS_DOCX':
+            entries = parseTeamsDocx(content);
+            break;
+        case 'CHORUS':
+            entries = parseChorus(content);
+            break;
+        case 'GRAIN':
+            entries = parseGrain(content);
+            break;
         case 'PLAIN':
         default:
             entries = parsePlain(content);
@@ -327,6 +572,40 @@ function parseTranscript(content, format = null) {
     };
 }
 
+/**
+ * Whether an uploaded transcript file is a Word document
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - Same options as parseTranscriptFile()
+ * @returns {boolean}
+ */
+function isDocxFile(buffer, options = {}) {
+    const { filename = '', mimetype = '', format = null } = options;
+    return format === 'TEAMS_DOCX'
+        || /\.docx$/i.test(filename)
+        || mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+        // DOCX is a ZIP container ("PK\x03\x04")
+        || (buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50);
+}
+
+/**
+ * Parse an uploaded transcript file (Teams .docx, Chorus/Grain .json or any text format)
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - Options
+ * @param {string} options.filename - Original filename, used to recognise .docx uploads
+ * @param {string} options.mimetype - Upload MIME type
+ * @param {string} options.format - Optional format override
+ * @returns {Promise<Object>} Same shape as parseTranscript()
+ */
+async function parseTranscriptFile(buffer, options = {}) {
+    if (!isDocxFile(buffer, options)) {
+        return parseTranscript(buffer.toString('utf8').replace(/^\uFEFF/, ''), options.format || null);
+    }
+
+    const mammoth = require('mammoth');
+    const { value } = await mammoth.extractRawText({ buffer });
+    return parseTranscript(value, 'TEAMS_DOCX');
+}
+
 /**
  * AI Extraction Prompt for meeting analysis
  */
@@ -422,12 +701,16 @@ async function extractMeetingData(transcriptContent, options = {}) {
 
     const userMessage = `${contextPrefix}TRANSCRIPT:\n\n${parsed.plainText}`;
 
+    // Talk-track numbers come from the timestamps, not the model
+    const analytics = computeAnalytics(parsed, { sellerName });
+
     try {
         const result = await geminiClient.generateJSON(EXTRACTION_PROMPT, userMessage);
 
         return {
             success: true,
             data: result.data,
+            analytics,
             metadata: {
                 format: parsed.format,
                 speakerCount: parsed.speakerCount,
@@ -442,6 +725,7 @@ async function extractMeetingData(transcriptContent, options = {}) {
             success: false,
             error: error.message,
             data: null,
+            analytics,
             metadata: {
                 format: parsed.format,
                 speakerCount: parsed.speakerCount,
@@ -517,7 +801,7 @@ Guidelines:
 
 /**
  * Quick summary extraction for preview
- * @param {string} transcriptContent - Raw transcript content
+ * @param {string|Object} transcriptContent - Raw or parsed transcript content
  * @returns {Promise<Object>} Quick summary
  */
 async function getQuickSummary(transcriptContent) {
@@ -532,7 +816,10 @@ Output valid JSON:
     "oneSentenceSummary": "One sentence summary of the meeting"
 }`;
 
-    const parsed = parseTranscript(transcriptContent);
+    // Parse transcript if it's raw content
+    const parsed = typeof transcriptContent === 'string'
+        ? parseTranscript(transcriptContent)
+        : transcriptContent;
 
     try {
         const result = await geminiClient.generateJSON(SUMMARY_PROMPT, parsed.plainText);
@@ -554,7 +841,10 @@ Output valid JSON:
 module.exports = {
     TRANSCRIPT_FORMATS,
     detectFormat,
+    formatTimestamp,
     parseTranscript,
+    isDocxFile,
+    parseTranscriptFile,
     extractMeetingData,
     generateLeaveBeindContent,
     getQuickSummary
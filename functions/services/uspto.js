@@ -12,6 +12,7 @@
  */
 
 const admin = require('firebase-admin');
+const { wrapClient } = require('./providerReplay');
 
 // Cache duration: 7 days (patent data doesn't change frequently)
 const CACHE_DURATION_MS = 7 * 24 * 60 * 60 * 1000;
@@ -469,11 +470,11 @@ async function cacheData(type, key, data) {
     }
 }
 
-module.exports = {
+module.exports = wrapClient('uspto', {
     searchPatentsByCompany,
     getRecentPatents,
     getCompanyPatentStats,
     enrichCompetitorsWithPatents,
     getIndustryPatentTrends,
     buildPatentIntelligence
-};
+});
@@ -1,13 +1,14 @@
 /**
  * Version History Service
- * Core logic for pitch version management: create, list, get, restore, cleanup.
+ * Core logic for pitch version management: create, list, get, restore, compare,
+ * fork, cleanup.
  *
  * Uses Firestore transactions for atomic version numbering.
  * Versions are stored in the `pitchVersions` collection.
  */
 
 const admin = require('firebase-admin');
-const { calculateDiff, generateDescription, detectChangeType } = require('./diffCalculator');
+const { calculateDiff, generateDescription, detectChangeType, compareSnapshots } = require('./diffCalculator');
 const { getUserPlan } = require('../middleware/planGate');
 
 const db = admin.firestore();
@@ -20,6 +21,14 @@ const RESTORABLE_FIELDS = [
     'sellerContext'
 ];
 
+// Fields never carried into a forked pitch: identity, sharing links, usage counters
+const FORK_EXCLUDED_FIELDS = [
+    'pitchId', 'shareId', 'analytics', 'bulkJobId', 'createdAt', 'updatedAt', 'forkedFrom'
+];
+
+// Pseudo version reference for the pitch's live state in compareVersions()
+const CURRENT_VERSION_REF = 'current';
+
 // Version limits by plan tier
 const VERSION_LIMITS = {
     free: 3,
@@ -185,6 +194,109 @@ async function restoreVersion(pitchId, versionId, userId, userName) {
     };
 }
 
+/**
+ * Resolve a version reference (version ID or 'current') to a snapshot plus
+ * the metadata shown above each side of a comparison.
+ */
+async function resolveVersionRef(pitchId, ref) {
+    if (ref === CURRENT_VERSION_REF) {
+        const pitchDoc = await db.collection('pitches').doc(pitchId).get();
+        if (!pitchDoc.exists) {
+            throw new Error('Pitch not found');
+        }
+        const pitchData = pitchDoc.data();
+        return {
+            meta: { versionId: CURRENT_VERSION_REF, versionNumber: null, createdAt: pitchData.updatedAt || null },
+            snapshot: sanitizeSnapshot(pitchData)
+        };
+    }
+
+    const versionDoc = await db.collection('pitchVersions').doc(ref).get();
+    if (!versionDoc.exists) {
+        throw new Error('Version not found');
+    }
+
+    const versionData = versionDoc.data();
+    if (versionData.pitchId !== pitchId) {
+        throw new Error('Version does not belong to this pitch');
+    }
+
+    return {
+        meta: { versionId: ref, versionNumber: versionData.versionNumber, createdAt: versionData.createdAt || null },
+        snapshot: versionData.snapshot || {}
+    };
+}
+
+/**
+ * Compare any two versions of a pitch (either side may be 'current').
+ * Returns the changed fields and a rendered word-level diff of the content.
+ *
+ * @param {string} pitchId - The pitch document ID
+ * @param {string} fromRef - Older side: version ID or 'current'
+ * @param {string} toRef - Newer side: version ID or 'current'
+ * @returns {Object} { from, to, fields, content }
+ */
+async function compareVersions(pitchId, fromRef, toRef) {
+    const [from, to] = await Promise.all([
+        resolveVersionRef(pitchId, fromRef),
+        resolveVersionRef(pitchId, toRef)
+    ]);
+
+    return {
+        from: from.meta,
+        to: to.meta,
+        ...compareSnapshots(from.snapshot, to.snapshot)
+    };
+}
+
+/**
+ * Create a new pitch from a stored version, leaving the source pitch untouched.
+ * The fork gets its own IDs and share link, starts unshared, and records where
+ * it came from. Callers enforce the plan's pitch limit (see api/versionRoutes).
+ *
+ * @param {string} pitchId - The source pitch document ID
+ * @param {string} versionId - The version to fork from
+ * @param {string} userId - ID of the user creating the fork (becomes the owner)
+ * @param {Object} [options]
+ * @param {string} [options.businessName] - Override the fork's business name
+ * @returns {Object} { pitchId, shareId, forkedFrom }
+ */
+async function forkFromVersion(pitchId, versionId, userId, options = {}) {
+    const { meta, snapshot } = await resolveVersionRef(pitchId, versionId);
+
+    const forkData = { ...snapshot };
+    for (const field of FORK_EXCLUDED_FIELDS) {
+        delete forkData[field];
+    }
+
+    const forkRef = db.collection('pitches').doc();
+    const shareId = generateShareId();
+    const forkedFrom = {
+        pitchId,
+        versionId,
+        versionNumber: meta.versionNumber
+    };
+
+    Object.assign(forkData, {
+        pitchId: forkRef.id,
+        shareId,
+        userId,
+        status: 'Draft',
+        shared: false,
+        forkedFrom,
+        analytics: { views: 0, uniqueViewers: 0, lastViewedAt: null },
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    if (options.businessName) {
+        forkData.businessName = options.businessName;
+    }
+
+    await forkRef.set(forkData);
+
+    return { pitchId: forkRef.id, shareId, forkedFrom };
+}
+
 /**
  * Cleanup old versions beyond the plan limit.
  * Only runs if version count exceeds the limit.
@@ -237,6 +349,11 @@ async function scheduleCleanup(pitchId, userId) {
 
 // --- Helpers ---
 
+// Same format as pitch share IDs minted in api/pitchGenerator.js
+function generateShareId() {
+    return Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+}
+
 /**
  * Remove system/sensitive fields from a snapshot before storing.
  */
@@ -254,6 +371,9 @@ module.exports = {
     listVersions,
     getVersion,
     restoreVersion,
+    compareVersions,
+    forkFromVersion,
+    CURRENT_VERSION_REF,
     VERSION_LIMITS,
     RESTORABLE_FIELDS
 };
@@ -11,6 +11,7 @@
  */
 
 const { GoogleAuth } = require('google-auth-library');
+const { wrapClient } = require('./providerReplay');
 
 const GCP_PROJECT = process.env.GCP_PROJECT_ID || 'pathconnect-442522';
 const DATA_STORE_ID = process.env.VERTEX_SEARCH_DATA_STORE_ID ||
@@ -124,4 +125,4 @@ async function groundedSearch(query, context = '') {
     return searchKnowledgeBase(enrichedQuery, { maxResults: 5 });
 }
 
-module.exports = { searchKnowledgeBase, groundedSearch };
+module.exports = wrapClient('vertexSearch', { searchKnowledgeBase, groundedSearch });
@@ -20,6 +20,7 @@ const { enrichMapPack }        = require('./providers/mapPackProvider');
 const { enrichAdSpend }        = require('./providers/adSpendProvider');
 const { enrichWebsiteSignals } = require('./providers/websiteSignalsProvider');
 const { enrichAiVisibility }   = require('./providers/aiVisibilityProvider');
+const { wrapClient } = require('./providerReplay');
 
 async function enrichVisibility(reportData, options) {
   const results = {};
@@ -100,4 +101,7 @@ async function enrichVisibility(reportData, options) {
   return Object.keys(results).length > 0 ? results : null;
 }
 
-module.exports = { enrichVisibility };
+module.exports = wrapClient('visibility', { enrichVisibility }, {
+  // reportData carries per-run timestamps; the options hold the market inputs
+  keys: { enrichVisibility: function (args) { return args.slice(1); } }
+});
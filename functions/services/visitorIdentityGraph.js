@@ -0,0 +1,434 @@
+/**
+ * Visitor Identity Graph
+ *
+ * Stitches anonymous visitor IDs, form-submit emails, NFC taps and QR/referral
+ * codes into one account per buying committee. Every identifier becomes a node
+ * that points at an account; when a batch carries identifiers that already
+ * point at different accounts, anonymous ones are merged into one timeline;
+ * accounts with a company domain are never merged into each other.
+ *
+ * Firestore layout (per merchant):
+ *   visitorIdentityGraph/{merchantId}/identifiers/{identifierKey} → { type, accountKey, ... }
+ *   visitorIdentityGraph/{merchantId}/accounts/{accountKey}       → stitched timeline + intent
+ *
+ * Account keys are the same SHA-256 domain keys used by visitorIntelSummary and
+ * Account360. Visitors with no company domain yet live under an "anon_" key
+ * until an email, tap or scan ties them to a company.
+ *
+ * Used by: visitorSignalRoutes (POST /visitor-signal/ingest, GET /account360/:accountKey/timeline)
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+// Days for an old session's intent to count half as much as today's
+const INTENT_HALF_LIFE_DAYS = 14;
+
+// Sessions older than this drop off the stitched timeline
+const TIMELINE_RETENTION_DAYS = 90;
+const MAX_TIMELINE_ENTRIES = 200;
+
+const ANONYMOUS_PREFIX = 'anon_';
+
+// Personal mailboxes say nothing about the visitor's company
+const FREE_EMAIL_DOMAINS = new Set([
+    'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com',
+    'live.com', 'msn.com', 'icloud.com', 'me.com', 'aol.com', 'proton.me',
+    'protonmail.com', 'gmx.com', 'mail.com', 'yandex.com', 'zoho.com'
+]);
+
+// Identifier types, strongest first. A touch is labelled by its strongest identifier.
+const IDENTIFIER_TYPES = ['email', 'nfc', 'qr', 'referral', 'domain', 'visitor'];
+
+// Codes printed once and scanned by many people — they link a visitor to a
+// campaign, not to a company
+const SHARED_IDENTIFIER_TYPES = new Set(['qr', 'referral']);
+
+// ============================================
+// KEYS
+// ============================================
+
+function getDb() {
+    return admin.firestore();
+}
+
+function sha256(value, length = 32) {
+    return crypto.createHash('sha256').update(value).digest('hex').substring(0, length);
+}
+
+/**
+ * SHA-256 of normalized domain (first 32 hex chars).
+ * @param {string} domain
+ * @returns {string|null}
+ */
+function computeAccountKey(domain) {
+    if (!domain) return null;
+    const normalized = domain.toLowerCase().replace(/^www\./, '').replace(/\/+$/, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex').substring(0, 32);
+}
+
+/**
+ * Document id for an identifier node. Values are hashed so raw emails and
+ * device IDs never appear in document paths.
+ * @param {string} type - One of IDENTIFIER_TYPES
+ * @param {string} value - Normalized identifier value
+ * @returns {string}
+ */
+function identifierKey(type, value) {
+    return `${type}_${sha256(`${type}:${value}`)}`;
+}
+
+function isAnonymousKey(accountKey) {
+    return typeof accountKey === 'string' && accountKey.startsWith(ANONYMOUS_PREFIX);
+}
+
+/**
+ * Whether a value has the shape of an account key: computeAccountKey() output,
+ * optionally with the anonymous prefix.
+ * @param {*} accountKey
+ * @returns {boolean}
+ */
+function isValidAccountKey(accountKey) {
+    return typeof accountKey === 'string' && /^(anon_)?[0-9a-f]{32}$/.test(accountKey);
+}
+
+/**
+ * Company domain of a business email, or null for personal mailboxes.
+ * @param {string} email
+ * @returns {string|null}
+ */
+function businessDomain(email) {
+    const domain = (email || '').split('@')[1];
+    if (!domain) return null;
+    const normalized = domain.toLowerCase().trim();
+    return FREE_EMAIL_DOMAINS.has(normalized) ? null : normalized;
+}
+
+// ============================================
+// IDENTIFIER EXTRACTION
+// ============================================
+
+/**
+ * Collect the identifiers present in an ingest batch.
+ * @param {Object} opts
+ * @param {string} opts.visitorId - Anonymous device/browser ID
+ * @param {Object[]} opts.events - Batch events (ps-core, qr-referral.js, NFC landing)
+ * @returns {{ type: string, value: string }[]} Deduplicated identifiers
+ */
+function extractIdentifiers({ visitorId, events = [] }) {
+    const found = new Map();
+    const add = (type, raw) => {
+        if (raw === undefined || raw === null || raw === '') return;
+        const value = String(raw).trim();
+        const normalized = type === 'email' || type === 'domain'
+            ? value.toLowerCase().replace(/^www\./, '').replace(/\/+$/, '')
+            : value;
+        if (normalized) found.set(`${type}:${normalized}`, { type, value: normalized });
+    };
+
+    add('visitor', visitorId);
+
+    for (const evt of events) {
+        if (evt.email) {
+            add('email', evt.email);
+            add('domain', businessDomain(evt.email));
+        }
+        // An ISP-resolved domain is the visitor's carrier, not their company
+        if (evt.companyDomain && !evt.isISP) add('domain', evt.companyDomain);
+        if (evt.type === 'nfc_tap') add('nfc', evt.nfcTagId || evt.tagId);
+        if (evt.type === 'qr_entry' || evt.type === 'qr_scan') add('qr', evt.qrScanId);
+        if (evt.referralCode) add('referral', evt.referralCode);
+    }
+
+    return [...found.values()];
+}
+
+// ============================================
+// INTENT DECAY
+// ============================================
+
+/**
+ * Cumulative session score with exponential time decay.
+ * @param {Object[]} timeline - Entries with { score, timestamp }
+ * @param {Object} [options]
+ * @param {number} [options.halfLifeDays]
+ * @param {number} [options.now] - Epoch ms (for tests)
+ * @returns {number} Decayed intent, rounded
+ */
+function decayedIntent(timeline, { halfLifeDays = INTENT_HALF_LIFE_DAYS, now = Date.now() } = {}) {
+    const total = timeline.reduce((sum, entry) => {
+        const ageDays = Math.max(0, (now - new Date(entry.timestamp).getTime()) / 864e5);
+        return sum + (entry.score || 0) * Math.pow(0.5, ageDays / halfLifeDays);
+    }, 0);
+    return Math.round(total);
+}
+
+/**
+ * Sort, dedupe (by eventId) and trim a timeline.
+ * @param {Object[]} entries
+ * @param {number} now - Epoch ms
+ * @returns {Object[]}
+ */
+function normalizeTimeline(entries, now) {
+    const byEvent = new Map();
+    for (const entry of entries) {
+        byEvent.set(entry.eventId || entry.sessionId, entry);
+    }
+    const cutoff = now - TIMELINE_RETENTION_DAYS * 864e5;
+
+    return [...byEvent.values()]
+        .filter(e => new Date(e.timestamp).getTime() >= cutoff)
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+        .slice(-MAX_TIMELINE_ENTRIES);
+}
+
+function mergeContacts(...lists) {
+    const byEmail = new Map();
+    for (const contact of lists.flat()) {
+        if (!contact?.email) continue;
+        const existing = byEmail.get(contact.email);
+        if (!existing || new Date(contact.firstSeen) < new Date(existing.firstSeen)) {
+            byEmail.set(contact.email, contact);
+        }
+    }
+    return [...byEmail.values()];
+}
+
+// ============================================
+// STITCHING
+// ============================================
+
+/**
+ * Pick the account a batch belongs to.
+ * A company domain in the batch wins; otherwise the company account the
+ * visitor's own identifiers (device, email, NFC card) point at; otherwise the
+ * company a shared QR/referral code points at, when only one does; otherwise an
+ * existing anonymous account; otherwise a new anonymous account for this visitor.
+ *
+ * @param {Object[]} identifiers - This batch's identifiers
+ * @param {Map<string, Object>} linkedAccounts - accountKey → account, with a
+ *   `linkedVia` set of the identifier types that reached it
+ * @returns {string}
+ */
+function chooseAccountKey(identifiers, linkedAccounts) {
+    const domain = identifiers.find(i => i.type === 'domain');
+    if (domain) return computeAccountKey(domain.value);
+
+    const byAge = [...linkedAccounts.values()]
+        .sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+    const companies = byAge.filter(a => !isAnonymousKey(a.accountKey));
+    const personal = companies.find(a => [...a.linkedVia].some(type => !SHARED_IDENTIFIER_TYPES.has(type)));
+    if (personal) return personal.accountKey;
+    if (companies.length === 1) return companies[0].accountKey;
+
+    const anonymous = byAge.find(a => isAnonymousKey(a.accountKey));
+    if (anonymous) return anonymous.accountKey;
+
+    const visitor = identifiers.find(i => i.type === 'visitor');
+    return ANONYMOUS_PREFIX + sha256(`visitor:${visitor.value}`);
+}
+
+/**
+ * Attach a scored session to the identity graph and return the stitched account.
+ *
+ * Only anonymous accounts are ever folded into another account. Two accounts
+ * that each carry a company domain stay separate even when a shared code links
+ * them — a QR flyer scanned at two companies must not collapse them into one.
+ * The read-merge-write runs in a transaction so concurrent batches for the same
+ * identifiers cannot interleave.
+ *
+ * @param {string} merchantId
+ * @param {Object} opts
+ * @param {string} opts.visitorId
+ * @param {Object[]} opts.events - Raw batch events
+ * @param {Object} opts.touch - Timeline entry for this batch:
+ *   { eventId, sessionId, timestamp, score, eventTypes, identitySource, tagBreakdown }
+ * @param {string|null} [opts.companyName]
+ * @param {number} [opts.halfLifeDays] - Merchant override for intent decay
+ * @returns {Promise<Object>} { accountKey, anonymous, domain, companyName, timeline, priorTimeline,
+ *   visitorIds, contacts, touchpoints, cumulativeScore, intentScore, mergedFrom, createdAt }
+ */
+async function stitchSession(merchantId, opts) {
+    const {
+        visitorId,
+        events = [],
+        touch,
+        companyName = null,
+        halfLifeDays = INTENT_HALF_LIFE_DAYS
+    } = opts;
+
+    const db = getDb();
+    const graphRef = db.collection('visitorIdentityGraph').doc(merchantId);
+    const identifiersCol = graphRef.collection('identifiers');
+    const accountsCol = graphRef.collection('accounts');
+    const now = Date.now();
+    const nowIso = new Date(now).toISOString();
+
+    const identifiers = extractIdentifiers({ visitorId, events });
+
+    const result = await db.runTransaction(async (t) => {
+        // ── Resolve every identifier to the account it already belongs to ──
+        const nodeSnaps = await Promise.all(
+            identifiers.map(i => t.get(identifiersCol.doc(identifierKey(i.type, i.value))))
+        );
+
+        const linkedAccounts = new Map();
+        const nodeOwners = identifiers.map(() => null);
+        for (const [index, snap] of nodeSnaps.entries()) {
+            let key = snap.exists ? snap.data()?.accountKey : null;
+            // Follow a previous merge rather than resurrecting the old account
+            for (let hops = 0; key && hops < 5; hops++) {
+                const cached = linkedAccounts.get(key);
+                const data = cached || (await t.get(accountsCol.doc(key))).data();
+                if (!data) break;
+                if (data.mergedInto) {
+                    key = data.mergedInto;
+                    continue;
+                }
+                if (!cached) linkedAccounts.set(key, { ...data, accountKey: key, linkedVia: new Set() });
+                linkedAccounts.get(key).linkedVia.add(identifiers[index].type);
+                nodeOwners[index] = key;
+                break;
+            }
+        }
+
+        const accountKey = chooseAccountKey(identifiers, linkedAccounts);
+        const accountSnap = await t.get(accountsCol.doc(accountKey));
+        const existing = accountSnap.exists ? accountSnap.data() : {};
+        const mergedFrom = [...linkedAccounts.keys()].filter(key => key !== accountKey && isAnonymousKey(key));
+        const merged = mergedFrom.map(key => linkedAccounts.get(key));
+
+        const orphanSnaps = await Promise.all(
+            mergedFrom.map(oldKey => t.get(identifiersCol.where('accountKey', '==', oldKey)))
+        );
+
+        // ── Build the stitched account ──
+        const priorTimeline = normalizeTimeline(
+            [...(existing.timeline || []), ...merged.flatMap(a => a.timeline || [])],
+            now
+        ).filter(e => (e.eventId || e.sessionId) !== (touch.eventId || touch.sessionId));
+
+        const touchTypes = identifiers.map(i => i.type);
+        const entry = {
+            ...touch,
+            visitorId,
+            touch: IDENTIFIER_TYPES.find(t => t !== 'domain' && touchTypes.includes(t)) || 'visitor'
+        };
+        const timeline = normalizeTimeline([...priorTimeline, entry], now);
+
+        const newContacts = identifiers
+            .filter(i => i.type === 'email')
+            .map(i => ({ email: i.value, visitorId, identitySource: touch.identitySource || 'form_submit', firstSeen: nowIso }));
+        const contacts = mergeContacts(existing.contacts || [], ...merged.map(a => a.contacts || []), newContacts);
+
+        const visitorIds = [...new Set([
+            ...(existing.visitorIds || []),
+            ...merged.flatMap(a => a.visitorIds || []),
+            ...(visitorId ? [visitorId] : [])
+        ])];
+
+        const domainIdentifier = identifiers.find(i => i.type === 'domain');
+        const domain = domainIdentifier?.value || existing.domain || merged.find(a => a.domain)?.domain || null;
+        const createdAt = [existing.createdAt, ...merged.map(a => a.createdAt), nowIso]
+            .filter(Boolean)
+            .sort()[0];
+
+        const account = {
+            accountKey,
+            merchantId,
+            anonymous: isAnonymousKey(accountKey),
+            domain,
+            companyName: companyName || existing.companyName || merged.find(a => a.companyName)?.companyName || null,
+            visitorIds,
+            contacts,
+            touchpoints: timeline.length,
+            cumulativeScore: timeline.reduce((sum, e) => sum + (e.score || 0), 0),
+            intentScore: decayedIntent(timeline, { halfLifeDays, now }),
+            intentHalfLifeDays: halfLifeDays,
+            timeline,
+            mergedAccountKeys: [...new Set([
+                ...(existing.mergedAccountKeys || []),
+                ...mergedFrom,
+                ...merged.flatMap(a => a.mergedAccountKeys || [])
+            ])],
+            createdAt,
+            lastSeen: touch.timestamp || nowIso,
+            updatedAt: nowIso
+        };
+
+        t.set(accountsCol.doc(accountKey), account);
+
+        // ── Point identifiers (this batch's and the merged accounts') at the survivor ──
+        // A node that belongs to another company account keeps its owner: shared
+        // codes are claimed by the first company seen with them.
+        identifiers.forEach((identifier, index) => {
+            const previous = nodeSnaps[index].exists ? nodeSnaps[index].data() : null;
+            const owner = nodeOwners[index];
+            if (owner && owner !== accountKey && !isAnonymousKey(owner)) return;
+            t.set(identifiersCol.doc(identifierKey(identifier.type, identifier.value)), {
+                type: identifier.type,
+                accountKey,
+                firstSeen: previous?.firstSeen || nowIso,
+                lastSeen: nowIso
+            });
+        });
+
+        mergedFrom.forEach((oldKey, index) => {
+            for (const doc of orphanSnaps[index].docs) {
+                t.update(identifiersCol.doc(doc.id), { accountKey, mergedFrom: oldKey });
+            }
+            t.set(accountsCol.doc(oldKey), {
+                accountKey: oldKey,
+                mergedInto: accountKey,
+                mergedAt: nowIso,
+                timeline: [],
+                updatedAt: nowIso
+            });
+        });
+
+        return { ...account, priorTimeline, mergedFrom };
+    });
+
+    if (result.mergedFrom.length) {
+        console.log(`[identityGraph] ${merchantId}: merged ${result.mergedFrom.join(', ')} into ${result.accountKey}`);
+    }
+
+    return result;
+}
+
+/**
+ * Read a stitched account, following merges.
+ * @param {string} merchantId
+ * @param {string} accountKey
+ * @returns {Promise<Object|null>}
+ */
+async function getAccount(merchantId, accountKey) {
+    const accountsCol = getDb().collection('visitorIdentityGraph').doc(merchantId).collection('accounts');
+    let snap = await accountsCol.doc(accountKey).get();
+
+    // Merges only ever point at a surviving account, but guard against cycles
+    for (let hops = 0; snap.exists && snap.data().mergedInto && hops < 5; hops++) {
+        snap = await accountsCol.doc(snap.data().mergedInto).get();
+    }
+
+    return snap.exists ? snap.data() : null;
+}
+
+module.exports = {
+    INTENT_HALF_LIFE_DAYS,
+    TIMELINE_RETENTION_DAYS,
+    FREE_EMAIL_DOMAINS,
+    computeAccountKey,
+    isValidAccountKey,
+    identifierKey,
+    isAnonymousKey,
+    businessDomain,
+    extractIdentifiers,
+    decayedIntent,
+    stitchSession,
+    getAccount
+};
@@ -95,6 +95,8 @@ function classifyPages(pageUrls, merchantMappings = []) {
  * @param {Object} [opts.events] - Map of event names that occurred, e.g. { form_submit: true, return_visit: true }
  * @param {boolean} [opts.isISP] - Whether the visitor resolved to a known ISP
  * @param {Date|null} [opts.lastSeenAt] - Last activity timestamp (for staleness check)
+ * @param {Object} [opts.tagWeights] - Per-merchant learned tag weights (defaults to TAG_WEIGHTS)
+ * @param {Object} [opts.eventWeights] - Per-merchant learned event weights (defaults to EVENT_WEIGHTS)
  * @returns {{ score: number, signals: Object[], negatives: Object[], explanation: string[], tagBreakdown: Object }}
  */
 function scoreSession(opts) {
@@ -105,6 +107,8 @@ function scoreSession(opts) {
         isISP = false,
         lastSeenAt = null
     } = opts;
+    const tagWeights = { ...TAG_WEIGHTS, ...(opts.tagWeights || {}) };
+    const eventWeights = { ...EVENT_WEIGHTS, ...(opts.eventWeights || {}) };
 
     let score = 0;
     const signals = [];
@@ -122,7 +126,7 @@ function scoreSession(opts) {
     }
 
     for (const [tag, count] of Object.entries(tagCounts)) {
-        const weight = TAG_WEIGHTS[tag] || TAG_WEIGHTS.unclassified;
+        const weight = tagWeights[tag] || tagWeights.unclassified;
         // First view gets base weight; subsequent views get base × multiplier
         const firstViewPoints = weight.base;
         const repeatPoints = count > 1 ? Math.round(weight.base * weight.multiplier * (count - 1)) : 0;
@@ -151,7 +155,7 @@ function scoreSession(opts) {
     // --- 2. Event scoring ---
     for (const [event, occurred] of Object.entries(events)) {
         if (!occurred) continue;
-        const weight = EVENT_WEIGHTS[event];
+        const weight = eventWeights[event];
         if (weight) {
             score += weight;
             signals.push({
@@ -167,24 +171,24 @@ function scoreSession(opts) {
     // --- 3. Auto-detect events from page data ---
     // Multi-page session (3+ unique pages)
     if (pages.length >= 3 && !events.multi_page_session) {
-        score += EVENT_WEIGHTS.multi_page_session;
+        score += eventWeights.multi_page_session;
         signals.push({
             type: 'event',
             event: 'multi_page_session',
-            points: EVENT_WEIGHTS.multi_page_session,
-            description: `Multi-page session (+${EVENT_WEIGHTS.multi_page_session})`
+            points: eventWeights.multi_page_session,
+            description: `Multi-page session (+${eventWeights.multi_page_session})`
         });
     }
 
     // Repeat high-intent visits
     const highIntentRepeat = ['pricing', 'demo', 'booking'].some(t => (tagCounts[t] || 0) > 1);
     if (highIntentRepeat && !events.repeat_high_intent) {
-        score += EVENT_WEIGHTS.repeat_high_intent;
+        score += eventWeights.repeat_high_intent;
         signals.push({
             type: 'event',
             event: 'repeat_high_intent',
-            points: EVENT_WEIGHTS.repeat_high_intent,
-            description: `Repeat high-intent visit (+${EVENT_WEIGHTS.repeat_high_intent})`
+            points: eventWeights.repeat_high_intent,
+            description: `Repeat high-intent visit (+${eventWeights.repeat_high_intent})`
         });
     }
 
@@ -13,12 +13,18 @@
  *   - Workspace branding update route (creates version + audit)
  *   - pitchGenerator.js (reads latest version to stamp brandingVersionId)
  *   - brandResolver.js (reads owner branding, NOT this — branding source is still agencyBrandOverrides)
+ *   - customDomainRoutes.js (public branding for pages served on a workspace custom domain)
  */
 
 const admin = require('firebase-admin');
 
 const COLLECTION = 'workspaceBrandingVersions';
 
+// Brand fields safe to expose on unauthenticated pages
+const PUBLIC_BRAND_FIELDS = [
+    'companyName', 'logoUrl', 'accentColor', 'secondaryColor', 'footerText', 'websiteUrl', 'showPoweredByPathSynch',
+];
+
 /**
  * Create a new immutable branding version snapshot.
  *
@@ -105,9 +111,27 @@ async function listBrandingVersions(workspaceId, limit = 20) {
     return snap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
 }
 
+/**
+ * Public-facing subset of the latest branding version.
+ *
+ * @param {string} workspaceId
+ * @returns {Promise<object|null>} Brand fields + brandingVersionId, or null if no versions
+ */
+async function getPublicBranding(workspaceId) {
+    const latest = await getLatestBrandingVersion(workspaceId);
+    if (!latest || !latest.brand) return null;
+
+    const brand = { brandingVersionId: latest.id };
+    for (const field of PUBLIC_BRAND_FIELDS) {
+        if (latest.brand[field] !== undefined) brand[field] = latest.brand[field];
+    }
+    return brand;
+}
+
 module.exports = {
     createBrandingVersion,
     getLatestBrandingVersion,
     getBrandingVersion,
     listBrandingVersions,
+    getPublicBranding,
 };
@@ -91,7 +91,7 @@ function createTitleSlide(pptx, data, colors) {
 }
 
 // Slide 2: What Makes Them Special (Sentiment Analysis)
-function createSentimentSlide(pptx, data, colors) {
+function createSentimentSlide(pptx, data, colors, options = {}) {
     const slide = pptx.addSlide();
 
     // Title
@@ -126,23 +126,27 @@ function createSentimentSlide(pptx, data, colors) {
 
     const sentiment = data.reviewAnalysis?.sentiment || { positive: 65, neutral: 25, negative: 10 };
 
-    // Donut chart (simplified as a pie chart)
-    slide.addChart(pptx.ChartType.doughnut, [
-        {
-            name: 'Sentiment',
-            labels: ['Positive', 'Neutral', 'Negative'],
-            values: [sentiment.positive, sentiment.neutral, sentiment.negative]
-        }
-    ], {
-        x: 0.5,
-        y: 1.5,
-        w: 4,
-        h: 3,
-        chartColors: [colors.positive, colors.neutral, colors.negative],
-        showLegend: true,
-        legendPos: 'b',
-        holeSize: 50
-    });
+    if (options.nativeCharts) {
+        addSentimentBars(pptx, slide, sentiment, colors);
+    } else {
+        // Donut chart (simplified as a pie chart)
+        slide.addChart(pptx.ChartType.doughnut, [
+            {
+                name: 'Sentiment',
+                labels: ['Positive', 'Neutral', 'Negative'],
+                values: [sentiment.positive, sentiment.neutral, sentiment.negative]
+            }
+        ], {
+            x: 0.5,
+            y: 1.5,
+            w: 4,
+            h: 3,
+            chartColors: [colors.positive, colors.neutral, colors.negative],
+            showLegend: true,
+            legendPos: 'b',
+            holeSize: 50
+        });
+    }
 
     // What Customers Say
     const themes = data.reviewAnalysis?.topThemes || ['Quality products', 'Excellent service', 'Great atmosphere'];
@@ -181,6 +185,46 @@ function createSentimentSlide(pptx, data, colors) {
     return slide;
 }
 
+// Sentiment breakdown as native bars + text boxes. Google Slides and Keynote import
+// embedded charts as flat images, so the Slides/ODP profiles use this instead.
+function addSentimentBars(pptx, slide, sentiment, colors) {
+    const rows = [
+        { label: 'Positive', value: sentiment.positive || 0, color: colors.positive },
+        { label: 'Neutral', value: sentiment.neutral || 0, color: colors.neutral },
+        { label: 'Negative', value: sentiment.negative || 0, color: colors.negative }
+    ];
+
+    rows.forEach((row, i) => {
+        const y = 1.8 + (i * 0.85);
+
+        slide.addText(`${row.label}: ${row.value}%`, {
+            x: 0.5,
+            y: y,
+            w: 4,
+            h: 0.35,
+            fontSize: 13,
+            bold: true,
+            color: colors.black
+        });
+
+        slide.addShape(pptx.ShapeType.rect, {
+            x: 0.5,
+            y: y + 0.38,
+            w: 4,
+            h: 0.22,
+            fill: { color: colors.lightGray }
+        });
+
+        slide.addShape(pptx.ShapeType.rect, {
+            x: 0.5,
+            y: y + 0.38,
+            w: Math.max(0.05, 4 * Math.min(row.value, 100) / 100),
+            h: 0.22,
+            fill: { color: row.color }
+        });
+    });
+}
+
 // Slide 3: Growth Challenges
 function createChallengesSlide(pptx, data, colors) {
     const slide = pptx.addSlide();
@@ -1209,6 +1253,110 @@ function createClosingSlide(pptx, data, colors) {
     return slide;
 }
 
+// Speaker note slots, in deck order. The Level 3 content generator writes its
+// per-slide presenter notes under these keys (stored on the pitch as speakerNotes).
+const SPEAKER_NOTE_KEYS = [
+    'title',
+    'sentiment',
+    'challenges',
+    'solution',
+    'roi',
+    'strategy',
+    'rollout',
+    'pricing',
+    'nextSteps',
+    'closing'
+];
+
+/**
+ * Keep the known note slots that hold text; null when none do
+ * @param {Object} notes - Speaker notes keyed by SPEAKER_NOTE_KEYS (e.g. model output)
+ * @returns {Object|null}
+ */
+function normalizeSpeakerNotes(notes) {
+    if (!notes || typeof notes !== 'object' || Array.isArray(notes)) return null;
+    const clean = {};
+    for (const key of SPEAKER_NOTE_KEYS) {
+        if (typeof notes[key] === 'string' && notes[key].trim()) {
+            clean[key] = notes[key].trim().substring(0, 1000);
+        }
+    }
+    return Object.keys(clean).length > 0 ? clean : null;
+}
+
+/**
+ * Presenter notes built from the Level 3 slide fields, for pitches generated
+ * without library content (which is what writes model-authored notes)
+ * @param {Object} data - Slide data: businessName, industry, googleRating, numReviews, statedProblem, roiData, reviewAnalysis
+ * @returns {Object|null} Notes keyed by SPEAKER_NOTE_KEYS
+ */
+function deriveSpeakerNotes(data = {}) {
+    const name = data.businessName || 'the business';
+    const themes = (data.reviewAnalysis?.topThemes || []).filter(t => typeof t === 'string').slice(0, 3);
+    const positive = data.reviewAnalysis?.sentiment?.positive;
+    const roi = data.roiData || {};
+    const money = n => `$${Math.round(n).toLocaleString('en-US')}`;
+
+    return normalizeSpeakerNotes({
+        title: `Open by thanking ${name} for their time and framing this as a growth plan built from their own customer feedback.`,
+        sentiment: [
+            data.numReviews ? `${name} has ${data.numReviews} Google reviews${data.googleRating ? ` at ${data.googleRating} stars` : ''}.` : null,
+            typeof positive === 'number' ? `About ${Math.round(positive)}% of them are positive.` : null,
+            themes.length ? `Customers keep coming back to: ${themes.join(', ')}.` : null,
+        ].filter(Boolean).join(' '),
+        challenges: data.statedProblem
+            ? `Tie the common ${data.industry || 'local'} barriers back to what they told us: ${data.statedProblem}.`
+            : `Ask which of these ${data.industry || 'local'} barriers they feel most.`,
+        solution: 'Walk through each piece and connect it to the challenge they picked on the last slide.',
+        roi: typeof roi.sixMonthRevenue === 'number' && typeof roi.sixMonthCost === 'number'
+            ? `The conservative scenario returns ${money(roi.sixMonthRevenue)} over six months against ${money(roi.sixMonthCost)} in cost${typeof roi.roi === 'number' ? `, a ${Math.round(roi.roi)}% ROI` : ''}. Invite them to adjust the assumptions.`
+            : 'Invite them to adjust the assumptions to their own numbers.',
+        strategy: 'Explain how the products work together rather than as separate tools.',
+        rollout: 'Stress that each phase has a clear owner and checkpoint, so nothing lands on their team at once.',
+        pricing: 'Present the bundle as one package, then pause for questions before moving on.',
+        nextSteps: 'Agree on the first step and a date before the call ends.',
+        closing: `Close by asking ${name} to book the follow-up while everyone is still on the call.`,
+    });
+}
+
+// Per-slide notes from the Level 3 slide data, one entry per deck slide (null where there are none)
+function buildSpeakerNotes(data) {
+    const notes = normalizeSpeakerNotes(data.speakerNotes) || {};
+    return SPEAKER_NOTE_KEYS.map(key => notes[key] || null);
+}
+
+const DECK_SLIDES = [
+    createTitleSlide,
+    createSentimentSlide,
+    createChallengesSlide,
+    createSolutionSlide,
+    createROISlide,
+    createStrategySlide,
+    createRolloutSlide,
+    createPricingSlide,
+    createNextStepsSlide,
+    createClosingSlide
+];
+
+/**
+ * Build the full 10-slide deck into a PptxGenJS (or OdpPresentation) instance
+ * @param {Object} pptx - Presentation to draw into
+ * @param {Object} data - Slide data
+ * @param {Object} colors - From getColorScheme()
+ * @param {Object} [options]
+ * @param {boolean} [options.nativeCharts=false] - Draw charts as shapes + text boxes instead of chart objects
+ * @param {boolean} [options.speakerNotes=false] - Attach data.speakerNotes to their slides
+ * @returns {Array} The created slides
+ */
+function buildDeck(pptx, data, colors, options = {}) {
+    const notes = options.speakerNotes ? buildSpeakerNotes(data) : null;
+    return DECK_SLIDES.map((createSlide, i) => {
+        const slide = createSlide(pptx, data, colors, options);
+        if (notes && notes[i]) slide.addNotes(notes[i]);
+        return slide;
+    });
+}
+
 module.exports = {
     getColorScheme,
     createTitleSlide,
@@ -1220,5 +1368,10 @@ module.exports = {
     createRolloutSlide,
     createPricingSlide,
     createNextStepsSlide,
-    createClosingSlide
+    createClosingSlide,
+    SPEAKER_NOTE_KEYS,
+    normalizeSpeakerNotes,
+    deriveSpeakerNotes,
+    buildSpeakerNotes,
+    buildDeck
 };
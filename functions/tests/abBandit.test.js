@@ -0,0 +1,187 @@
+'use strict';
+
+/**
+ * Tests for Thompson-sampling bandit tests: Beta sampling in
+ * services/abTestStatistics.js, bandit allocation in abTestingService and the
+ * traffic shift seen through modelRouter.selectModel().
+ */
+
+process.env.ENABLE_AB_TESTING = 'true';
+
+jest.mock('firebase-admin');
+jest.mock('../services/claudeClient', () => ({}));
+jest.mock('../services/geminiClientV2', () => ({}));
+
+const admin = require('firebase-admin');
+const { sampleBeta } = require('../services/abTestStatistics');
+const abTestingService = require('../services/abTestingService');
+const modelRouter = require('../services/modelRouter');
+
+/**
+ * Deterministic uniform generator (mulberry32)
+ */
+function seededRng(seed) {
+    let a = seed;
+    return () => {
+        a = (a + 0x6D2B79F5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const VARIANTS = [
+    { variantId: 'control', name: 'Claude', provider: 'claude', modelId: 'claude-x', weight: 50, isControl: true },
+    { variantId: 'variant_1', name: 'Gemini', provider: 'gemini', modelId: 'gemini-x', weight: 50, isControl: false },
+];
+
+function arm({ quality = 0, pass = 0, feedback = 0, positive = 0, errors = 0 }) {
+    return {
+        assignments: 0, generations: quality, errors,
+        qualityCount: quality, qualityPassCount: pass, totalQualityScore: 0,
+        feedbackCount: feedback, positiveFeedbackCount: positive, totalFeedbackScore: 0,
+    };
+}
+
+function banditTest(controlArm, variantArm) {
+    return {
+        testId: 'bandit1',
+        name: 'Claude vs Gemini',
+        testType: 'bandit',
+        operation: 'narrativeGeneration',
+        status: 'running',
+        variants: VARIANTS,
+        metrics: ['qualityScore', 'errorRate'],
+        targetAudience: {},
+        createdAt: new Date(),
+        results: { totalAssignments: 0, variantStats: { control: arm(controlArm), variant_1: arm(variantArm) } },
+    };
+}
+
+beforeEach(() => {
+    admin._resetMockData();
+});
+
+describe('sampleBeta', () => {
+    test('draws average to the Beta mean, including shapes below 1', () => {
+        const rng = seededRng(7);
+        for (const [a, b] of [[3, 7], [0.5, 0.5], [40, 10]]) {
+            let total = 0;
+            for (let i = 0; i < 4000; i++) total += sampleBeta(a, b, rng);
+            expect(total / 4000).toBeCloseTo(a / (a + b), 1);
+        }
+    });
+});
+
+describe('bandit allocation', () => {
+    test('posterior counts quality passes and positive ratings as successes, errors as failures', () => {
+        expect(abTestingService.banditPosterior(arm({ quality: 10, pass: 7, feedback: 4, positive: 1, errors: 2 })))
+            .toEqual({ alpha: 9, beta: 9, observations: 16 });
+    });
+
+    test('falls back to weighted assignment while any arm is warming up', () => {
+        const test = banditTest({ quality: 100, pass: 90 }, { quality: 5, pass: 1 });
+        expect(abTestingService.selectBanditVariant(test, seededRng(1))).toBeNull();
+    });
+
+    test('sends most new traffic to the better-scoring arm', () => {
+        const test = banditTest({ quality: 60, pass: 24 }, { quality: 60, pass: 48 });
+        const rng = seededRng(42);
+        const picks = { control: 0, variant_1: 0 };
+        for (let i = 0; i < 500; i++) picks[abTestingService.selectBanditVariant(test, rng).variantId]++;
+
+        expect(picks.variant_1).toBeGreaterThan(480);
+    });
+
+    test('still explores when the arms are close', () => {
+        const test = banditTest({ quality: 40, pass: 20 }, { quality: 40, pass: 21 });
+        const rng = seededRng(3);
+        const picks = { control: 0, variant_1: 0 };
+        for (let i = 0; i < 500; i++) picks[abTestingService.selectBanditVariant(test, rng).variantId]++;
+
+        expect(picks.control).toBeGreaterThan(150);
+        expect(picks.variant_1).toBeGreaterThan(150);
+    });
+
+    test('getBanditAllocation reports the probability each arm is best', () => {
+        const allocation = abTestingService.getBanditAllocation(
+            banditTest({ quality: 60, pass: 24 }, { quality: 60, pass: 48 }), seededRng(9)
+        );
+
+        expect(allocation.warmingUp).toBe(false);
+        expect(allocation.arms.variant_1.expectedSuccessRate).toBeCloseTo(49 / 62, 4);
+        expect(allocation.arms.variant_1.probabilityBest).toBeGreaterThan(0.99);
+        expect(allocation.arms.control.probabilityBest + allocation.arms.variant_1.probabilityBest).toBeCloseTo(1, 6);
+    });
+});
+
+describe('getVariantForUser on a bandit test', () => {
+    test('assigns new users by Thompson sampling and keeps existing users sticky', async () => {
+        admin._setMockCollection('abTests', { bandit1: banditTest({ quality: 200, pass: 20 }, { quality: 200, pass: 190 }) });
+        admin._setMockCollection('abTestAssignments', {
+            veteran_bandit1: { userId: 'veteran', testId: 'bandit1', variantId: 'control', allocation: 'weighted' },
+        });
+
+        const veteran = await abTestingService.getVariantForUser('bandit1', 'veteran');
+        const newcomer = await abTestingService.getVariantForUser('bandit1', 'newcomer');
+
+        expect(veteran.variantId).toBe('control');
+        expect(newcomer.variantId).toBe('variant_1');
+        expect(admin._mockData.collections.abTestAssignments.newcomer_bandit1)
+            .toMatchObject({ variantId: 'variant_1', allocation: 'thompson' });
+    });
+
+    test('modelRouter.selectModel routes new users to the winning model', async () => {
+        admin._setMockCollection('abTests', { bandit1: banditTest({ quality: 200, pass: 20 }, { quality: 200, pass: 190 }) });
+
+        const selection = await modelRouter.selectModel('narrativeGeneration', 'fresh-user');
+
+        expect(selection).toMatchObject({
+            provider: 'gemini',
+            modelId: 'gemini-x',
+            abTestVariant: { testId: 'bandit1', variantId: 'variant_1' },
+        });
+    });
+
+    test('getTestResults includes the bandit allocation', async () => {
+        admin._setMockCollection('abTests', { bandit1: banditTest({ quality: 60, pass: 24 }, { quality: 60, pass: 48 }) });
+
+        const results = await abTestingService.getTestResults('bandit1');
+
+        expect(results.testType).toBe('bandit');
+        expect(results.bandit.arms.variant_1.probabilityBest).toBeGreaterThan(0.9);
+        expect(results.analysis.warnings).toEqual(expect.arrayContaining([
+            expect.stringMatching(/allocated adaptively/),
+        ]));
+    });
+});
+
+describe('recordEvent', () => {
+    test('counts passing quality scores for the bandit reward', async () => {
+        const test = await abTestingService.createTest({
+            name: 'Bandit', testType: 'bandit', operation: 'narrativeValidation', variants: [{}, {}],
+        });
+
+        await abTestingService.recordEvent(test.testId, 'control', 'u1', 'generation', { qualityScore: 85 });
+        await abTestingService.recordEvent(test.testId, 'control', 'u2', 'generation', { qualityScore: 55 });
+
+        const stored = admin._mockData.collections.abTests[test.testId];
+        // The mock applies dotted update paths as flat keys
+        expect(stored['results.variantStats.control.qualityCount']).toBe(2);
+        expect(stored['results.variantStats.control.qualityPassCount']).toBe(1);
+    });
+
+    test('unscored generations are not rewards; a validator score of 0 is a failure', async () => {
+        const test = await abTestingService.createTest({
+            name: 'Bandit', testType: 'bandit', operation: 'narrativeGeneration', variants: [{}, {}],
+        });
+
+        await abTestingService.recordEvent(test.testId, 'control', 'u1', 'generation', { latencyMs: 900 });
+        await abTestingService.recordEvent(test.testId, 'control', 'u2', 'generation', { latencyMs: 900, qualityScore: 0 });
+
+        const stored = admin._mockData.collections.abTests[test.testId];
+        expect(stored['results.variantStats.control.generations']).toBe(2);
+        expect(stored['results.variantStats.control.qualityCount']).toBe(1);
+        expect(stored['results.variantStats.control.qualityPassCount']).toBeUndefined();
+    });
+});
@@ -0,0 +1,241 @@
+'use strict';
+
+/**
+ * Tests for the A/B test statistics engine: services/abTestStatistics.js and
+ * abTestingService.analyzeResults() / recordEvent(), plus statsConfig
+ * validation in api/abTests.js.
+ */
+
+process.env.ENABLE_AB_TESTING = 'true';
+
+jest.mock('firebase-admin');
+
+const admin = require('firebase-admin');
+const stats = require('../services/abTestStatistics');
+const abTestingService = require('../services/abTestingService');
+const abTestsApi = require('../api/abTests');
+
+const VARIANTS = [
+    { variantId: 'control', name: 'Current prompt', isControl: true },
+    { variantId: 'variant_1', name: 'New prompt', isControl: false },
+];
+
+/**
+ * Aggregate counters for a variant whose quality scores alternate mean ± spread
+ */
+function variantStats({ n, quality, spread = 10, errors = 0 }) {
+    const scores = Array.from({ length: n }, (_, i) => quality + (i % 2 === 0 ? spread : -spread));
+    return {
+        generations: n,
+        errors,
+        qualityCount: n,
+        totalQualityScore: scores.reduce((a, b) => a + b, 0),
+        sumSqQualityScore: scores.reduce((a, b) => a + b * b, 0),
+        latencyCount: n,
+        totalLatencyMs: n * 1000,
+        sumSqLatencyMs: n * 1000 * 1000 + n * 100 * 100,
+        feedbackCount: 0,
+        totalFeedbackScore: 0,
+        sumSqFeedbackScore: 0,
+        positiveFeedbackCount: 0,
+    };
+}
+
+function buildTest(control, treatment, statsConfig = {}) {
+    return {
+        testId: 't1',
+        variants: VARIANTS,
+        metrics: ['qualityScore', 'latencyMs', 'errorRate'],
+        statsConfig,
+        results: { variantStats: { control: variantStats(control), variant_1: variantStats(treatment) } },
+    };
+}
+
+beforeEach(() => {
+    admin._resetMockData();
+});
+
+describe('abTestStatistics', () => {
+    test('normal distribution helpers match reference values', () => {
+        expect(stats.normalCdf(1.96)).toBeCloseTo(0.975, 4);
+        expect(stats.normalCdf(-1.645)).toBeCloseTo(0.05, 3);
+        expect(stats.normalQuantile(0.975)).toBeCloseTo(1.959964, 5);
+    });
+
+    test('Student t quantile and p-value match reference values', () => {
+        expect(stats.studentTQuantile(0.95, 10)).toBeCloseTo(2.228, 3);
+        expect(stats.studentTQuantile(0.99, 5)).toBeCloseTo(4.032, 3);
+        expect(stats.studentTTwoSidedP(2.228, 10)).toBeCloseTo(0.05, 3);
+    });
+
+    test('Wilson interval stays inside [0, 1] with zero successes', () => {
+        const interval = stats.proportionInterval(0, 20);
+        expect(interval.lower).toBe(0);
+        expect(interval.upper).toBeCloseTo(0.161, 3);
+    });
+
+    test('two-proportion z-test', () => {
+        const result = stats.twoProportionZTest({ successes: 50, n: 1000 }, { successes: 80, n: 1000 });
+        expect(result.difference).toBeCloseTo(0.03, 6);
+        expect(result.statistic).toBeCloseTo(2.721, 3);
+        expect(result.pValue).toBeCloseTo(0.0065, 4);
+        expect(result.interval.lower).toBeGreaterThan(0);
+    });
+
+    test('Welch t-test uses the Welch-Satterthwaite degrees of freedom', () => {
+        const control = { n: 20, mean: 10, variance: 4 };
+        const treatment = { n: 30, mean: 11.5, variance: 9 };
+        const result = stats.welchTTest(control, treatment);
+
+        expect(result.statistic).toBeCloseTo(2.1213, 3);
+        expect(result.degreesOfFreedom).toBeCloseTo(48.0, 1);
+        expect(result.pValue).toBeCloseTo(0.039, 2);
+        expect(stats.welchTTest({ n: 20, mean: 10, variance: null }, treatment)).toBeNull();
+    });
+
+    test('sequential boundary is strict early and reaches alpha at the planned sample', () => {
+        const early = stats.sequentialBoundary(0.05, 0.25);
+        expect(early.boundaryZ).toBeCloseTo(3.92, 2);
+        expect(early.nominalAlpha).toBeLessThan(0.001);
+        expect(stats.sequentialBoundary(0.05, 1).nominalAlpha).toBeCloseTo(0.05, 4);
+    });
+});
+
+describe('analyzeResults', () => {
+    test('warns and declares no winner below the minimum sample', () => {
+        const analysis = abTestingService.analyzeResults(buildTest({ n: 40, quality: 70 }, { n: 40, quality: 90 }));
+
+        expect(analysis.winner).toBeNull();
+        expect(analysis.isSignificant).toBe(false);
+        expect(analysis.warnings).toEqual(expect.arrayContaining([
+            expect.stringMatching(/Current prompt has 40 qualityScore samples; at least 100/),
+        ]));
+        expect(analysis.comparisons.variant_1.qualityScore.significant).toBe(false);
+        expect(analysis.recommendation).toMatch(/Need at least 100/);
+    });
+
+    test('declares a winner with intervals once the planned sample is reached', () => {
+        const analysis = abTestingService.analyzeResults(
+            buildTest({ n: 1000, quality: 70 }, { n: 1000, quality: 72 })
+        );
+
+        expect(analysis.sequential.reachedPlannedSample).toBe(true);
+        expect(analysis.winner).toBe('variant_1');
+        expect(analysis.isSignificant).toBe(true);
+        expect(analysis.stopRecommended).toBe(true);
+
+        const quality = analysis.comparisons.variant_1.qualityScore;
+        expect(quality).toMatchObject({ test: 'welch-t', improved: true, significant: true });
+        expect(quality.difference).toBeCloseTo(2, 6);
+        expect(quality.interval.lower).toBeGreaterThan(0);
+        expect(analysis.variants.control.metrics.qualityScore.interval.lower).toBeLessThan(70);
+        expect(analysis.recommendation).toMatch(/New prompt.*wins on qualityScore/);
+    });
+
+    test('a fixed-horizon result does not stop the test before the sequential boundary', () => {
+        // z ≈ 2.6: significant at 0.05, but only 20% of the planned sample is in
+        const analysis = abTestingService.analyzeResults(
+            buildTest({ n: 200, quality: 70 }, { n: 200, quality: 72.6 })
+        );
+
+        const quality = analysis.comparisons.variant_1.qualityScore;
+        expect(quality.pValue).toBeLessThan(0.05);
+        expect(quality.significant).toBe(false);
+        expect(analysis.winner).toBeNull();
+        expect(analysis.stopRecommended).toBe(false);
+        expect(analysis.sequential.informationFraction).toBeCloseTo(0.2, 6);
+        expect(analysis.warnings).toEqual(expect.arrayContaining([
+            expect.stringMatching(/has not crossed the sequential boundary/),
+        ]));
+    });
+
+    test('an overwhelming effect stops early', () => {
+        const analysis = abTestingService.analyzeResults(
+            buildTest({ n: 200, quality: 70 }, { n: 200, quality: 80 })
+        );
+        expect(analysis.winner).toBe('variant_1');
+        expect(analysis.sequential.reachedPlannedSample).toBe(false);
+    });
+
+    test('an error-rate guardrail breach blocks the winner', () => {
+        const analysis = abTestingService.analyzeResults(
+            buildTest({ n: 1000, quality: 70, errors: 10 }, { n: 1000, quality: 75, errors: 60 })
+        );
+
+        expect(analysis.guardrails).toEqual([expect.objectContaining({ variantId: 'variant_1', metric: 'errorRate' })]);
+        expect(analysis.winner).toBeNull();
+        expect(analysis.stopRecommended).toBe(true);
+        expect(analysis.recommendation).toMatch(/Guardrail breached/);
+    });
+
+    test('legacy tests without variance counters still report averages', () => {
+        const test = buildTest({ n: 150, quality: 70 }, { n: 150, quality: 75 });
+        for (const s of Object.values(test.results.variantStats)) {
+            delete s.sumSqQualityScore;
+            delete s.qualityCount;
+        }
+
+        const analysis = abTestingService.analyzeResults(test);
+
+        expect(analysis.variants.control.avgQualityScore).toBe('70.00');
+        expect(analysis.comparisons.variant_1.qualityScore).toBeNull();
+        expect(analysis.warnings).toEqual(expect.arrayContaining([
+            'qualityScore variance is not tracked for this test, so it cannot be significance-tested',
+        ]));
+    });
+});
+
+describe('recordEvent', () => {
+    test('tracks counts and sums of squares for variance', async () => {
+        const test = await abTestingService.createTest({ name: 'Prompt v2', operation: 'narrativeGeneration', variants: [{}, {}] });
+
+        await abTestingService.recordEvent(test.testId, 'control', 'u1', 'generation', { latencyMs: 100, qualityScore: 80 });
+        await abTestingService.recordEvent(test.testId, 'control', 'u2', 'generation', { latencyMs: 300 });
+        await abTestingService.recordEvent(test.testId, 'control', 'u1', 'feedback', { rating: 5 });
+
+        const stored = admin._mockData.collections.abTests[test.testId];
+        expect(stored.statsConfig).toEqual(abTestingService.DEFAULT_STATS_CONFIG);
+        // The mock applies dotted update paths as flat keys
+        const counter = name => stored[`results.variantStats.control.${name}`];
+        expect(counter('generations')).toBe(2);
+        expect(counter('latencyCount')).toBe(2);
+        expect(counter('sumSqLatencyMs')).toBe(100000);
+        expect(counter('qualityCount')).toBe(1);
+        expect(counter('sumSqQualityScore')).toBe(6400);
+        expect(counter('sumSqFeedbackScore')).toBe(25);
+        expect(counter('positiveFeedbackCount')).toBe(1);
+    });
+
+    test('feedback without a rating does not pull the average rating down', async () => {
+        const test = await abTestingService.createTest({ name: 'Prompt v2', operation: 'narrativeGeneration', variants: [{}, {}] });
+
+        await abTestingService.recordEvent(test.testId, 'control', 'u1', 'feedback', { rating: 4 });
+        await abTestingService.recordEvent(test.testId, 'control', 'u2', 'feedback', {});
+
+        const stored = admin._mockData.collections.abTests[test.testId];
+        expect(stored['results.variantStats.control.feedbackCount']).toBe(2);
+        expect(stored['results.variantStats.control.ratedFeedbackCount']).toBe(1);
+
+        const analysis = abTestingService.analyzeResults({
+            variants: VARIANTS,
+            metrics: ['feedbackScore', 'positiveFeedbackRate'],
+            results: { variantStats: { control: { feedbackCount: 2, ratedFeedbackCount: 1, totalFeedbackScore: 4, sumSqFeedbackScore: 16, positiveFeedbackCount: 1 } } },
+        });
+        expect(analysis.variants.control.avgFeedbackScore).toBe('4.00');
+        expect(analysis.variants.control.metrics.feedbackScore).toMatchObject({ sampleSize: 1, value: 4 });
+        expect(analysis.variants.control.metrics.positiveFeedbackRate).toMatchObject({ sampleSize: 1, value: 1 });
+    });
+});
+
+describe('POST /admin/ab-tests statsConfig', () => {
+    test('rejects an unknown primary metric', async () => {
+        const res = testUtils.mockResponse();
+        await abTestsApi.createTest(testUtils.mockRequest({
+            body: { name: 'x', operation: 'narrativeGeneration', variants: [{}, {}], statsConfig: { primaryMetric: 'vibes' } },
+        }), res);
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.error).toBe('Invalid statsConfig');
+        expect(res.body.message).toMatch(/Unknown primary metric: vibes/);
+    });
+});
@@ -0,0 +1,215 @@
+'use strict';
+
+/**
+ * Tests for bulk-upload column mapping and XLSX ingestion:
+ * services/spreadsheetReader.js, services/bulkColumnMapping.js and the
+ * preview / preset / mapped-upload paths in api/bulk.js.
+ */
+
+jest.mock('firebase-admin');
+jest.mock('../api/pitchGenerator', () => ({ generatePitchDirect: jest.fn().mockResolvedValue({ success: true, pitchId: 'p1' }) }));
+jest.mock('../services/email', () => ({ sendBulkJobCompleteEmail: jest.fn().mockResolvedValue(true) }));
+jest.mock('../middleware/planGate', () => ({ getUserPlanForRequest: jest.fn().mockResolvedValue('growth') }));
+
+const AdmZip = require('adm-zip');
+const admin = require('firebase-admin');
+const { readSpreadsheet, readXlsx, columnIndex } = require('../services/spreadsheetReader');
+const { suggestMapping, validateMapping, applyMapping, detectSource, headersSignature } = require('../services/bulkColumnMapping');
+const bulk = require('../api/bulk');
+
+/**
+ * Minimal SpreadsheetML workbook: shared strings for the header row, an inline
+ * string, a rich-text shared string, a number and a sparse row (skipped column).
+ */
+function buildXlsx() {
+    const zip = new AdmZip();
+    zip.addFile('xl/workbook.xml', Buffer.from(
+        '<workbook xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+        '<sheet name="Companies" sheetId="1" r:id="rId1"/><sheet name="Notes" sheetId="2" r:id="rId2"/>' +
+        '</sheets></workbook>'));
+    zip.addFile('xl/_rels/workbook.xml.rels', Buffer.from(
+        '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/>' +
+        '<Relationship Id="rId2" Target="worksheets/sheet2.xml"/></Relationships>'));
+    zip.addFile('xl/sharedStrings.xml', Buffer.from(
+        '<sst><si><t>Company name</t></si><si><t>Industry</t></si><si><t>City</t></si>' +
+        '<si><r><t>Smith &amp; </t></r><r><t xml:space="preserve">Sons</t></r></si></sst>'));
+    zip.addFile('xl/worksheets/sheet1.xml', Buffer.from(
+        '<worksheet><sheetData>' +
+        '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="s"><v>2</v></c><c r="D1" t="inlineStr"><is><t>Rating</t></is></c></row>' +
+        '<row r="2"><c r="A2" t="s"><v>3</v></c><c r="B2" t="inlineStr"><is><t>Plumbing</t></is></c><c r="C2" t="inlineStr"><is><t>Austin</t></is></c><c r="D2"><v>4.5</v></c></row>' +
+        '<row r="3"><c r="A3" t="inlineStr"><is><t>Beta Dental</t></is></c><c r="D3"><v>3</v></c></row>' +
+        '</sheetData></worksheet>'));
+    zip.addFile('xl/worksheets/sheet2.xml', Buffer.from(
+        '<worksheet><sheetData><row r="1"><c r="A1" t="inlineStr"><is><t>Note</t></is></c></row></sheetData></worksheet>'));
+    return zip.toBuffer();
+}
+
+beforeEach(() => {
+    admin._resetMockData();
+});
+
+describe('spreadsheetReader', () => {
+    test('columnIndex handles multi-letter references', () => {
+        expect(columnIndex('A1')).toBe(0);
+        expect(columnIndex('Z9')).toBe(25);
+        expect(columnIndex('AB12')).toBe(27);
+    });
+
+    test('reads shared, inline, rich-text and numeric cells from the first sheet', () => {
+        const { sheetNames, sheetName, rows } = readXlsx(buildXlsx());
+
+        expect(sheetNames).toEqual(['Companies', 'Notes']);
+        expect(sheetName).toBe('Companies');
+        expect(rows[1]).toEqual(['Smith & Sons', 'Plumbing', 'Austin', '4.5']);
+        expect(rows[2]).toEqual(['Beta Dental', '', '', '3']);
+    });
+
+    test('readSpreadsheet returns keyed records and honours the sheet option', () => {
+        const result = readSpreadsheet({ buffer: buildXlsx(), fileName: 'export.xlsx' });
+        expect(result.headers).toEqual(['Company name', 'Industry', 'City', 'Rating']);
+        expect(result.records[0]).toMatchObject({ 'Company name': 'Smith & Sons', Industry: 'Plumbing' });
+
+        const notes = readSpreadsheet({ buffer: buildXlsx(), fileType: 'xlsx', sheet: 'Notes' });
+        expect(notes.headers).toEqual(['Note']);
+    });
+
+    test('rejects unsupported file types and non-zip XLSX payloads', () => {
+        expect(() => readSpreadsheet({ buffer: Buffer.from('x'), fileName: 'list.numbers' })).toThrow(/Unsupported file type/);
+        expect(() => readSpreadsheet({ buffer: Buffer.from('not a zip'), fileType: 'xlsx' })).toThrow(/XLSX/);
+    });
+
+    test('rejects cells past column XFD and sheets that inflate past the cap', () => {
+        const withSheet = sheetXml => {
+            const zip = new AdmZip(buildXlsx());
+            zip.updateFile('xl/worksheets/sheet1.xml', Buffer.from(sheetXml));
+            return zip.toBuffer();
+        };
+
+        const lastColumn = readXlsx(withSheet('<worksheet><sheetData><row r="1"><c r="XFD1"><v>1</v></c></row></sheetData></worksheet>'));
+        expect(lastColumn.rows[0]).toHaveLength(16384);
+        expect(() => readXlsx(withSheet('<worksheet><sheetData><row r="1"><c r="ZZZZZZ1"><v>1</v></c></row></sheetData></worksheet>')))
+            .toThrow('Cell ZZZZZZ1 is past the last column (XFD)');
+
+        const padded = `<worksheet><sheetData>${' '.repeat(33 * 1024 * 1024)}</sheetData></worksheet>`;
+        expect(() => readXlsx(withSheet(padded))).toThrow('XLSX part xl/worksheets/sheet1.xml is too large');
+    });
+});
+
+describe('bulkColumnMapping', () => {
+    test('maps a HubSpot company export and combines first/last name', () => {
+        const headers = ['Record ID', 'Company name', 'Industry', 'City', 'State/Region', 'Phone Number', 'Website URL', 'First Name', 'Last Name'];
+        const suggestion = suggestMapping(headers);
+
+        expect(suggestion.source).toBe('hubspot');
+        expect(suggestion.missingRequired).toEqual([]);
+        expect(suggestion.mapping).toMatchObject({
+            businessName: 'Company name',
+            segment: 'Industry',
+            state: 'State/Region',
+            phone: 'Phone Number',
+            websiteUrl: 'Website URL',
+            ownerName: ['First Name', 'Last Name'],
+        });
+        expect(suggestion.matchedBy.ownerName).toBe('combined');
+        expect(suggestion.unmappedHeaders).toEqual(['Record ID']);
+    });
+
+    test('maps Salesforce billing-address columns', () => {
+        const suggestion = suggestMapping(['Account Name', 'Industry', 'Billing City', 'Billing State/Province', 'Website']);
+        expect(suggestion.source).toBe('salesforce');
+        expect(suggestion.mapping).toMatchObject({ businessName: 'Account Name', city: 'Billing City', state: 'Billing State/Province' });
+    });
+
+    test('template headers map to themselves', () => {
+        const suggestion = suggestMapping(['businessName', 'segment', 'ownerName', 'name']);
+        expect(detectSource(['businessName', 'segment'])).toBe('template');
+        expect(suggestion.mapping.businessName).toBe('businessName');
+        expect(suggestion.mapping.ownerName).toBe('ownerName');
+        expect(Object.values(suggestion.matchedBy).every(m => m === 'exact')).toBe(true);
+    });
+
+    test('reports required fields it could not match', () => {
+        expect(suggestMapping(['Company', 'Phone']).missingRequired).toEqual(['segment']);
+    });
+
+    test('validateMapping flags unknown fields, missing columns and unmapped required fields', () => {
+        const errors = validateMapping({ businessName: 'Company', favouriteColour: 'Colour', city: 'Town' }, ['Company']);
+        expect(errors).toEqual(expect.arrayContaining([
+            'Unknown template field: favouriteColour',
+            'Column "Town" (mapped to city) is not in the file',
+            'Required field segment is not mapped',
+        ]));
+    });
+
+    test('applyMapping reshapes records and joins combined columns', () => {
+        const [record] = applyMapping(
+            [{ Company: 'Acme', Vertical: 'Retail', First: 'Jo', Last: 'Ng' }],
+            { businessName: 'Company', segment: 'Vertical', ownerName: ['First', 'Last'] }
+        );
+        expect(record).toEqual({ businessName: 'Acme', segment: 'Retail', ownerName: 'Jo Ng' });
+    });
+
+    test('headersSignature ignores order and formatting', () => {
+        expect(headersSignature(['Company name', 'Industry'])).toBe(headersSignature(['industry', 'company_name']));
+    });
+});
+
+describe('bulk upload with column mapping', () => {
+    test('uploads an XLSX export using the auto-suggested mapping', async () => {
+        const res = testUtils.mockResponse();
+        await bulk.uploadCSV(testUtils.mockRequest({
+            userId: 'u1',
+            body: { fileData: buildXlsx().toString('base64'), fileName: 'hubspot.xlsx' },
+        }), res);
+
+        expect(res.statusCode).toBe(202);
+        expect(res.body.mappingSource).toBe('auto');
+        // "Beta Dental" has no industry, so it fails template validation
+        expect(res.body.validRows).toBe(1);
+        const rows = admin._mockData.collections[`bulkJobs/${res.body.jobId}/rows`];
+        expect(Object.values(rows)[0].record).toMatchObject({ businessName: 'Smith & Sons', segment: 'Plumbing', city: 'Austin', googleRating: '4.5' });
+    });
+
+    test('returns the suggestion when required columns cannot be matched', async () => {
+        const res = testUtils.mockResponse();
+        await bulk.uploadCSV(testUtils.mockRequest({
+            userId: 'u1',
+            body: { csvData: 'Company,Owner\nAcme,Jo' },
+        }), res);
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.error).toBe('Column mapping required');
+        expect(res.body.suggestedMapping.mapping.businessName).toBe('Company');
+    });
+
+    test('saves a preset, offers it on preview and applies it on upload', async () => {
+        const headers = ['Org', 'Kind'];
+        const saveRes = testUtils.mockResponse();
+        await bulk.saveMappingPreset(testUtils.mockRequest({
+            userId: 'u1',
+            body: { name: 'Trade show list', headers, mapping: { businessName: 'Org', segment: 'Kind' } },
+        }), saveRes);
+        expect(saveRes.statusCode).toBe(201);
+        const presetId = saveRes.body.data.id;
+
+        const previewRes = testUtils.mockResponse();
+        await bulk.previewUpload(testUtils.mockRequest({ userId: 'u1', body: { csvData: 'Kind,Org\nRetail,Acme' } }), previewRes);
+        expect(previewRes.body.data.matchingPreset.id).toBe(presetId);
+        expect(previewRes.body.data.suggestion.missingRequired).toEqual(['businessName', 'segment']);
+
+        const uploadRes = testUtils.mockResponse();
+        await bulk.uploadCSV(testUtils.mockRequest({ userId: 'u1', body: { csvData: 'Org,Kind\nAcme,Retail', presetId } }), uploadRes);
+        expect(uploadRes.statusCode).toBe(202);
+        expect(uploadRes.body.mappingSource).toBe('preset');
+    });
+
+    test('will not apply another user\'s preset', async () => {
+        admin._setMockCollection('bulkMappingPresets', {
+            theirs: { userId: 'u2', name: 'x', mapping: { businessName: 'Org', segment: 'Kind' } },
+        });
+        const res = testUtils.mockResponse();
+        await bulk.uploadCSV(testUtils.mockRequest({ userId: 'u1', body: { csvData: 'Org,Kind\nAcme,Retail', presetId: 'theirs' } }), res);
+        expect(res.statusCode).toBe(400);
+        expect(res.body.message).toBe('Mapping preset not found');
+    });
+});
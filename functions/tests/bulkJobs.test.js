@@ -0,0 +1,272 @@
+'use strict';
+
+/**
+ * Tests for checkpointed bulk pitch jobs (functions/api/bulk.js) and the scheduled
+ * resume sweep (functions/scheduled/bulkJobReconciler.js).
+ *
+ * Proves: upload checkpoints one row doc per valid row; processJob runs rows through a
+ * bounded worker pool and retries a transient failure; a crashed run resumes from the
+ * rows that never finished without regenerating completed ones; an active lease blocks
+ * a second runner and a runner that loses its lease stops taking rows; failed rows can
+ * be re-queued; getJob exposes per-row status.
+ */
+
+jest.mock('firebase-admin');
+jest.mock('../api/pitchGenerator', () => ({ generatePitchDirect: jest.fn() }));
+jest.mock('../services/email', () => ({ sendBulkJobCompleteEmail: jest.fn().mockResolvedValue(true) }));
+jest.mock('../middleware/planGate', () => ({ getUserPlanForRequest: jest.fn().mockResolvedValue('growth') }));
+
+const admin = require('firebase-admin');
+const pitchGenerator = require('../api/pitchGenerator');
+const bulk = require('../api/bulk');
+const { resumeStaleBulkJobs } = require('../scheduled/bulkJobReconciler');
+
+const JOB_ID = 'job1';
+const ROWS = `bulkJobs/${JOB_ID}/rows`;
+
+function collection(name) {
+    return admin._mockData.collections[name] || {};
+}
+
+function seedJob(jobFields, rows) {
+    admin._setMockCollection('bulkJobs', {
+        [JOB_ID]: {
+            userId: 'u1', status: 'pending', totalRows: rows.length, validRows: rows.length,
+            processedRows: 0, successCount: 0, failedCount: 0, pitchLevel: 2, pitchIds: [],
+            errors: [], validationErrors: [], concurrency: 2, runCount: 0,
+            leaseOwner: null, leaseExpiresAt: null,
+            ...jobFields,
+        },
+    });
+    admin._setMockCollection(ROWS, Object.fromEntries(rows.map(r => [String(r.rowNumber), {
+        businessName: `Biz ${r.rowNumber}`,
+        record: { businessName: `Biz ${r.rowNumber}`, segment: 'Retail' },
+        attempts: 0, pitchId: null, error: null,
+        ...r,
+    }])));
+}
+
+function flush() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+beforeEach(() => {
+    admin._resetMockData();
+    pitchGenerator.generatePitchDirect.mockReset();
+    // Collapse the per-row retry backoff
+    jest.spyOn(global, 'setTimeout').mockImplementation((fn) => { fn(); return 0; });
+});
+
+afterEach(() => {
+    global.setTimeout.mockRestore();
+});
+
+describe('uploadCSV', () => {
+    test('checkpoints one row doc per valid row, keyed by CSV row number', async () => {
+        pitchGenerator.generatePitchDirect.mockResolvedValue({ success: true, pitchId: 'p' });
+        const req = testUtils.mockRequest({
+            userId: 'u1',
+            body: { csvData: 'businessName,segment\nAcme,Retail\n,Retail\nBeta,Dental' },
+        });
+        const res = testUtils.mockResponse();
+
+        await bulk.uploadCSV(req, res);
+
+        expect(res.statusCode).toBe(202);
+        const jobId = res.body.jobId;
+        const rows = collection(`bulkJobs/${jobId}/rows`);
+        expect(Object.keys(rows).sort()).toEqual(['2', '4']);
+        expect(rows['2'].record.businessName).toBe('Acme');
+        expect(collection('bulkJobs')[jobId].validationErrors).toHaveLength(1);
+    });
+});
+
+describe('processJob', () => {
+    test('generates every pending row and completes the job', async () => {
+        seedJob({}, [{ rowNumber: 2, status: 'pending' }, { rowNumber: 3, status: 'pending' }, { rowNumber: 4, status: 'pending' }]);
+        pitchGenerator.generatePitchDirect.mockImplementation(async (data) => ({ success: true, pitchId: `p_${data.businessName}` }));
+
+        const result = await bulk.processJob(JOB_ID);
+
+        expect(result).toMatchObject({ started: true, processed: 3, succeeded: 3 });
+        const job = collection('bulkJobs')[JOB_ID];
+        expect(job.status).toBe('completed');
+        expect(job.successCount).toBe(3);
+        expect(job.processedRows).toBe(3);
+        expect(job.leaseOwner).toBeNull();
+        expect(Object.values(collection(ROWS)).every(r => r.status === 'succeeded')).toBe(true);
+    });
+
+    test('never runs more rows at once than the job concurrency', async () => {
+        seedJob({ concurrency: 2 }, [2, 3, 4, 5, 6].map(n => ({ rowNumber: n, status: 'pending' })));
+        let inFlight = 0;
+        let peak = 0;
+        pitchGenerator.generatePitchDirect.mockImplementation(async () => {
+            inFlight++;
+            peak = Math.max(peak, inFlight);
+            await flush();
+            inFlight--;
+            return { success: true, pitchId: `p${Math.random()}` };
+        });
+
+        await bulk.processJob(JOB_ID);
+
+        expect(peak).toBe(2);
+        expect(pitchGenerator.generatePitchDirect).toHaveBeenCalledTimes(5);
+    });
+
+    test('retries a transient failure before marking the row failed', async () => {
+        seedJob({}, [{ rowNumber: 2, status: 'pending' }, { rowNumber: 3, status: 'pending' }]);
+        pitchGenerator.generatePitchDirect
+            .mockImplementation(async (data) => (data.businessName === 'Biz 3'
+                ? { success: false, error: 'LLM overloaded' }
+                : { success: true, pitchId: 'p2' }));
+
+        await bulk.processJob(JOB_ID);
+
+        const rows = collection(ROWS);
+        expect(rows['3']).toMatchObject({ status: 'failed', attempts: 2, error: 'LLM overloaded' });
+        const job = collection('bulkJobs')[JOB_ID];
+        expect(job.failedCount).toBe(1);
+        expect(job.errors).toEqual([{ row: 3, error: 'LLM overloaded' }]);
+    });
+
+    test('resumes a crashed run from the rows that never finished', async () => {
+        seedJob(
+            { status: 'processing', processedRows: 1, successCount: 1, pitchIds: ['p2'],
+              leaseOwner: 'dead', leaseExpiresAt: admin.firestore.Timestamp.fromDate(new Date(Date.now() - 1000)) },
+            [
+                { rowNumber: 2, status: 'succeeded', pitchId: 'p2', attempts: 1 },
+                { rowNumber: 3, status: 'processing', attempts: 1 },
+                { rowNumber: 4, status: 'pending' },
+            ]
+        );
+        pitchGenerator.generatePitchDirect.mockImplementation(async (data) => ({ success: true, pitchId: `p_${data.businessName}` }));
+
+        const result = await bulk.processJob(JOB_ID);
+
+        expect(result.processed).toBe(2);
+        const called = pitchGenerator.generatePitchDirect.mock.calls.map(c => c[0].businessName);
+        expect(called.sort()).toEqual(['Biz 3', 'Biz 4']);
+        const job = collection('bulkJobs')[JOB_ID];
+        expect(job.status).toBe('completed');
+        expect(job.successCount).toBe(3);
+        expect(job.runCount).toBe(1);
+    });
+
+    test('stops picking up rows once another runner takes over the lease', async () => {
+        seedJob({ concurrency: 1 }, [2, 3, 4].map(n => ({ rowNumber: n, status: 'pending' })));
+        pitchGenerator.generatePitchDirect.mockImplementation(async () => {
+            // This run stalled past its lease and a resumed runner claimed the job
+            Object.assign(collection('bulkJobs')[JOB_ID], { leaseOwner: 'other' });
+            return { success: true, pitchId: 'p2' };
+        });
+
+        const result = await bulk.processJob(JOB_ID);
+
+        expect(result).toMatchObject({ started: true, leaseLost: true, processed: 1, succeeded: 1 });
+        expect(pitchGenerator.generatePitchDirect).toHaveBeenCalledTimes(1);
+        const rows = collection(ROWS);
+        expect(rows['2'].status).toBe('succeeded');
+        expect([rows['3'].status, rows['4'].status]).toEqual(['pending', 'pending']);
+        const job = collection('bulkJobs')[JOB_ID];
+        expect(job).toMatchObject({ status: 'processing', leaseOwner: 'other', successCount: 1 });
+    });
+
+    test('does not start while another runner holds an unexpired lease', async () => {
+        seedJob(
+            { status: 'processing', leaseOwner: 'other',
+              leaseExpiresAt: admin.firestore.Timestamp.fromDate(new Date(Date.now() + 60000)) },
+            [{ rowNumber: 2, status: 'pending' }]
+        );
+
+        const result = await bulk.processJob(JOB_ID);
+
+        expect(result.started).toBe(false);
+        expect(pitchGenerator.generatePitchDirect).not.toHaveBeenCalled();
+    });
+});
+
+describe('retryFailedRows', () => {
+    test('re-queues failed rows and regenerates only those', async () => {
+        seedJob(
+            { status: 'completed', processedRows: 2, successCount: 1, failedCount: 1, pitchIds: ['p2'] },
+            [
+                { rowNumber: 2, status: 'succeeded', pitchId: 'p2' },
+                { rowNumber: 3, status: 'failed', error: 'timeout', attempts: 2 },
+            ]
+        );
+        pitchGenerator.generatePitchDirect.mockResolvedValue({ success: true, pitchId: 'p3' });
+        const req = testUtils.mockRequest({ userId: 'u1', params: { jobId: JOB_ID }, body: {} });
+        const res = testUtils.mockResponse();
+
+        await bulk.retryFailedRows(req, res);
+        for (let i = 0; i < 20; i++) await flush();
+
+        expect(res.statusCode).toBe(202);
+        expect(res.body.retriedRows).toEqual([3]);
+        expect(pitchGenerator.generatePitchDirect).toHaveBeenCalledTimes(1);
+        const job = collection('bulkJobs')[JOB_ID];
+        expect(job).toMatchObject({ status: 'completed', successCount: 2, failedCount: 0, processedRows: 2 });
+        expect(collection(ROWS)['3']).toMatchObject({ status: 'succeeded', attempts: 3 });
+    });
+
+    test('rejects a retry while the job is still running', async () => {
+        seedJob({ status: 'processing' }, [{ rowNumber: 2, status: 'failed' }]);
+        const req = testUtils.mockRequest({ userId: 'u1', params: { jobId: JOB_ID }, body: {} });
+        const res = testUtils.mockResponse();
+
+        await bulk.retryFailedRows(req, res);
+
+        expect(res.statusCode).toBe(409);
+    });
+});
+
+describe('getJob', () => {
+    test('includes per-row status, filterable by rowStatus', async () => {
+        seedJob({ status: 'completed' }, [
+            { rowNumber: 3, status: 'failed', error: 'boom' },
+            { rowNumber: 2, status: 'succeeded', pitchId: 'p2' },
+        ]);
+        const res = testUtils.mockResponse();
+        await bulk.getJob(testUtils.mockRequest({ userId: 'u1', params: { jobId: JOB_ID } }), res);
+
+        expect(res.body.data.rows.map(r => [r.rowNumber, r.status])).toEqual([[2, 'succeeded'], [3, 'failed']]);
+        expect(res.body.data.resumable).toBe(false);
+
+        const filtered = testUtils.mockResponse();
+        await bulk.getJob(testUtils.mockRequest({ userId: 'u1', params: { jobId: JOB_ID }, query: { rowStatus: 'failed' } }), filtered);
+        expect(filtered.body.data.rows).toEqual([
+            { rowNumber: 3, businessName: 'Biz 3', status: 'failed', attempts: 0, pitchId: null, error: 'boom' },
+        ]);
+    });
+
+    test('denies access to another user\'s job', async () => {
+        seedJob({}, []);
+        const res = testUtils.mockResponse();
+        await bulk.getJob(testUtils.mockRequest({ userId: 'u2', params: { jobId: JOB_ID } }), res);
+        expect(res.statusCode).toBe(403);
+    });
+});
+
+describe('resumeStaleBulkJobs', () => {
+    test('resumes a job with a lapsed lease and leaves a live one alone', async () => {
+        seedJob(
+            { status: 'processing', leaseOwner: 'dead',
+              leaseExpiresAt: admin.firestore.Timestamp.fromDate(new Date(Date.now() - 1000)) },
+            [{ rowNumber: 2, status: 'pending' }]
+        );
+        admin._mockData.collections.bulkJobs.live = {
+            userId: 'u1', status: 'processing', leaseOwner: 'alive',
+            leaseExpiresAt: admin.firestore.Timestamp.fromDate(new Date(Date.now() + 60000)),
+        };
+        pitchGenerator.generatePitchDirect.mockResolvedValue({ success: true, pitchId: 'p2' });
+
+        const summary = await resumeStaleBulkJobs();
+
+        expect(summary.resumedIds).toEqual([JOB_ID]);
+        expect(summary.skipped).toBe(1);
+        expect(collection('bulkJobs')[JOB_ID].status).toBe('completed');
+        expect(collection('bulkJobs').live.status).toBe('processing');
+    });
+});
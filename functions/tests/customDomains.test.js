@@ -0,0 +1,252 @@
+'use strict';
+
+/**
+ * Workspace custom domains: services/customDomainService.js, the /workspace/domains
+ * endpoints and host-header routing of vanity paths in routes/customDomainRoutes.js.
+ */
+
+jest.mock('firebase-admin');
+jest.mock('../services/modelRouter', () => ({}));
+jest.mock('../middleware/planGate', () => ({
+    ...jest.requireActual('../middleware/planGate'),
+    getUserPlanForRequest: jest.fn(async () => 'enterprise'),
+}));
+
+const dns = require('dns');
+const admin = require('firebase-admin');
+const { getUserPlanForRequest } = require('../middleware/planGate');
+const customDomains = require('../services/customDomainService');
+const customDomainRoutes = require('../routes/customDomainRoutes');
+
+const WORKSPACE = 'ws1';
+const ADMIN_UID = 'admin1';
+const HOST = 'pitch.acme.com';
+
+async function call(method, path, { body = {}, params = {}, userId = ADMIN_UID } = {}) {
+    const res = testUtils.mockResponse();
+    await customDomainRoutes.handle(testUtils.mockRequest({ method, path, body, params, userId, workspaceId: WORKSPACE }), res);
+    return res;
+}
+
+async function visit(slug, host = HOST) {
+    const res = testUtils.mockResponse();
+    const handled = await customDomainRoutes.handleHostRequest(testUtils.mockRequest({
+        path: `/${slug}`,
+        headers: { 'x-forwarded-host': host, 'user-agent': 'jest' },
+    }), res);
+    return { handled, res };
+}
+
+function seedVerifiedDomain(paths = {}) {
+    admin._setMockCollection('customDomains', {
+        [HOST]: { hostname: HOST, workspaceId: WORKSPACE, status: 'verified', verificationToken: 'tok' },
+    });
+    admin._setMockCollection(`customDomains/${HOST}/paths`, paths);
+}
+
+beforeEach(() => {
+    admin._resetMockData();
+    customDomains.invalidateHostCache();
+    getUserPlanForRequest.mockResolvedValue('enterprise');
+    admin._setMockCollection('workspaceMembers', {
+        [`${WORKSPACE}_${ADMIN_UID}`]: { workspaceId: WORKSPACE, uid: ADMIN_UID, role: 'admin', status: 'active' },
+        [`${WORKSPACE}_rep1`]: { workspaceId: WORKSPACE, uid: 'rep1', role: 'contributor', status: 'active' },
+    });
+    admin._setMockCollection('workspaceBrandingVersions', {
+        v1: { workspaceId: WORKSPACE, version: 1, brand: { companyName: 'Acme Sales', logoUrl: 'https://cdn.acme.com/logo.png', accentColor: '#FF5500', showPoweredByPathSynch: false, contactEmail: 'ops@acme.com' } },
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('domain registration and verification', () => {
+    test('registering a hostname returns the TXT and CNAME records to publish', async () => {
+        const res = await call('POST', '/workspace/domains', { body: { hostname: 'https://Pitch.Acme.com/' } });
+
+        expect(res.statusCode).toBe(201);
+        expect(res.body.data).toMatchObject({ hostname: HOST, status: 'pending', workspaceId: WORKSPACE });
+        expect(res.body.data.dnsRecords[0]).toEqual({
+            purpose: 'verification',
+            type: 'TXT',
+            name: `_synchintro.${HOST}`,
+            value: `synchintro-domain-verification=${res.body.data.verificationToken}`,
+        });
+    });
+
+    test('rejects our own hosts and hostnames owned by another workspace', async () => {
+        expect((await call('POST', '/workspace/domains', { body: { hostname: 'app.synchintro.ai' } })).statusCode).toBe(400);
+
+        admin._setMockCollection('customDomains', { [HOST]: { hostname: HOST, workspaceId: 'other', status: 'verified' } });
+        expect((await call('POST', '/workspace/domains', { body: { hostname: HOST } })).statusCode).toBe(409);
+    });
+
+    test('a pending registration does not lock the hostname; the first to verify owns it', async () => {
+        // Another workspace registered the hostname but never proved control of it
+        await customDomains.addDomain('squatter', HOST, 'someone');
+        expect(admin._mockData.collections.customDomains?.[HOST]).toBeUndefined();
+
+        const { body, statusCode } = await call('POST', '/workspace/domains', { body: { hostname: HOST } });
+        expect(statusCode).toBe(201);
+        expect((await call('GET', '/workspace/domains')).body.data.domains).toEqual([
+            expect.objectContaining({ hostname: HOST, workspaceId: WORKSPACE, status: 'pending' }),
+        ]);
+
+        // Vanity paths wait for verification
+        const early = await call('PUT', `/workspace/domains/${HOST}/paths/deal`, {
+            params: { hostname: HOST, slug: 'deal' }, body: { type: 'pitch', targetId: 'p1' },
+        });
+        expect(early.statusCode).toBe(409);
+
+        const resolveTxt = jest.spyOn(dns.promises, 'resolveTxt')
+            .mockResolvedValue([[`synchintro-domain-verification=${body.data.verificationToken}`]]);
+        const verified = await call('POST', `/workspace/domains/${HOST}/verify`, { params: { hostname: HOST } });
+
+        expect(verified.body.data).toMatchObject({ status: 'verified', workspaceId: WORKSPACE });
+        expect(admin._mockData.collections.customDomains[HOST]).toMatchObject({ workspaceId: WORKSPACE, status: 'verified' });
+        expect(admin._mockData.collections.customDomainClaims[`${WORKSPACE}_${HOST}`]).toBeUndefined();
+
+        // The squatter can no longer take it, even with a matching record
+        const squatterClaim = admin._mockData.collections.customDomainClaims[`squatter_${HOST}`];
+        resolveTxt.mockResolvedValue([[`synchintro-domain-verification=${squatterClaim.verificationToken}`]]);
+        await expect(customDomains.verifyDomain('squatter', HOST)).rejects.toMatchObject({ code: 'CONFLICT' });
+        await expect(customDomains.addDomain('squatter', HOST, 'someone')).rejects.toMatchObject({ code: 'CONFLICT' });
+        expect(admin._mockData.collections.customDomains[HOST].workspaceId).toBe(WORKSPACE);
+    });
+
+    test('verifies once the TXT record carries the token', async () => {
+        const { body } = await call('POST', '/workspace/domains', { body: { hostname: HOST } });
+        const token = body.data.verificationToken;
+        const resolveTxt = jest.spyOn(dns.promises, 'resolveTxt');
+
+        resolveTxt.mockRejectedValueOnce(Object.assign(new Error('queryTxt ENOTFOUND'), { code: 'ENOTFOUND' }));
+        const missing = await call('POST', `/workspace/domains/${HOST}/verify`, { params: { hostname: HOST } });
+        expect(missing.body.data).toMatchObject({ status: 'pending', lastCheckError: `No TXT record found at _synchintro.${HOST}` });
+
+        // Resolvers may split long values into chunks
+        resolveTxt.mockResolvedValueOnce([['v=spf1 -all'], ['synchintro-domain-verification=', token]]);
+        const verified = await call('POST', `/workspace/domains/${HOST}/verify`, { params: { hostname: HOST } });
+
+        expect(resolveTxt).toHaveBeenLastCalledWith(`_synchintro.${HOST}`);
+        expect(verified.body.data).toMatchObject({ status: 'verified', lastCheckError: null });
+        expect(verified.body.data.verifiedAt).toBeTruthy();
+    });
+
+    test('only Enterprise workspace Admins can manage domains', async () => {
+        expect((await call('POST', '/workspace/domains', { body: { hostname: HOST }, userId: 'rep1' })).statusCode).toBe(403);
+        expect((await call('GET', '/workspace/domains', { userId: 'rep1' })).statusCode).toBe(200);
+
+        getUserPlanForRequest.mockResolvedValue('growth');
+        expect((await call('GET', '/workspace/domains')).statusCode).toBe(403);
+    });
+});
+
+describe('vanity paths', () => {
+    test('maps a slug to a landing page created by a workspace member', async () => {
+        seedVerifiedDomain();
+        admin._setMockCollection('landingPages', { lp1: { userId: 'rep1', slug: 'acme-abc' } });
+
+        const res = await call('PUT', `/workspace/domains/${HOST}/paths/Acme-Q3`, {
+            params: { hostname: HOST, slug: 'Acme-Q3' }, body: { type: 'landing_page', targetId: 'lp1' },
+        });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data).toMatchObject({ slug: 'acme-q3', type: 'landing_page', targetId: 'lp1', url: `https://${HOST}/acme-q3` });
+    });
+
+    test('refuses targets from outside the workspace and malformed slugs', async () => {
+        seedVerifiedDomain();
+        admin._setMockCollection('pitches', { p1: { userId: 'stranger', workspaceId: 'other' } });
+
+        const foreign = await call('PUT', `/workspace/domains/${HOST}/paths/deal`, {
+            params: { hostname: HOST, slug: 'deal' }, body: { type: 'pitch', targetId: 'p1' },
+        });
+        expect(foreign.statusCode).toBe(403);
+
+        const badSlug = await call('PUT', `/workspace/domains/${HOST}/paths/-deal`, {
+            params: { hostname: HOST, slug: '-deal' }, body: { type: 'pitch', targetId: 'p1' },
+        });
+        expect(badSlug.statusCode).toBe(400);
+    });
+});
+
+describe('host-header routing', () => {
+    test('serves a landing page with the workspace branding', async () => {
+        seedVerifiedDomain({ 'acme-q3': { slug: 'acme-q3', type: 'landing_page', targetId: 'lp1' } });
+        admin._setMockCollection('landingPages', {
+            lp1: {
+                userId: 'rep1', slug: 'acme-abc', isActive: true, showBadge: true, sellerCompany: 'Rep Co',
+                pageContent: { headline: 'Hello Acme', cta: { text: 'Book' } }, ctaType: 'calendly', ctaDestination: '',
+            },
+        });
+
+        const { handled, res } = await visit('acme-q3');
+
+        expect(handled).toBe(true);
+        expect(res.body).toContain('Hello Acme');
+        expect(res.body).toContain('src="https://cdn.acme.com/logo.png" alt="Acme Sales"');
+        expect(res.body).toContain('.lp-cta-button { background: #FF5500; }');
+        expect(res.body).not.toContain('Powered by');
+    });
+
+    test('serves a shared pitch as its rendered HTML page', async () => {
+        seedVerifiedDomain({ deal: { slug: 'deal', type: 'pitch', targetId: 'p1' } });
+        admin._setMockCollection('pitches', {
+            p1: {
+                businessName: 'Acme', userId: 'rep1', formData: { secret: true }, sharing: { shareTokenHash: 'h' },
+                html: '<!DOCTYPE html><html><body><h1>Pitch for Acme</h1></body></html>',
+            },
+        });
+
+        const { res } = await visit('deal');
+
+        expect(res.statusCode).toBe(200);
+        expect(res.headers['Content-Type']).toBe('text/html');
+        expect(res.body).toBe('<!DOCTYPE html><html><body><h1>Pitch for Acme</h1></body></html>');
+    });
+
+    test('serves a public one-pager as its rendered HTML page', async () => {
+        seedVerifiedDomain({
+            brief: { slug: 'brief', type: 'onepager', targetId: 'op1' },
+            hidden: { slug: 'hidden', type: 'onepager', targetId: 'op2' },
+        });
+        admin._setMockCollection('onepagers', {
+            op1: { shareId: 'abcd1234', userId: 'rep1', html: '<html><body>One pager</body></html>' },
+            op2: { shareId: 'efgh5678', userId: 'rep1', isPublic: false, html: '<html><body>Private</body></html>' },
+        });
+
+        const { res } = await visit('brief');
+        expect(res.headers['Content-Type']).toBe('text/html');
+        expect(res.body).toBe('<html><body>One pager</body></html>');
+
+        const hidden = (await visit('hidden')).res;
+        expect(hidden.statusCode).toBe(404);
+        expect(hidden.body).toContain('Page not found');
+    });
+
+    test('revoked shares and unknown slugs are 404s', async () => {
+        seedVerifiedDomain({ deal: { slug: 'deal', type: 'pitch', targetId: 'p1' } });
+        admin._setMockCollection('pitches', { p1: { sharing: { shareTokenHash: 'h', revokedAt: '2026-10-01' } } });
+
+        expect((await visit('deal')).res.statusCode).toBe(404);
+        expect((await visit('nope')).res.statusCode).toBe(404);
+    });
+
+    test('leaves our own and unverified hosts to the normal dispatcher', async () => {
+        admin._setMockCollection('customDomains', {
+            [HOST]: { hostname: HOST, workspaceId: WORKSPACE, status: 'pending' },
+        });
+
+        expect((await visit('deal')).handled).toBe(false);
+        expect((await visit('user', 'us-central1-app.cloudfunctions.net')).handled).toBe(false);
+    });
+
+    test('misses are not cached, so a host is served as soon as it verifies', async () => {
+        expect(await customDomains.resolveHost('pitch.acme.com')).toBeNull();
+
+        seedVerifiedDomain();
+        expect(await customDomains.resolveHost('pitch.acme.com')).toMatchObject({ hostname: HOST, workspaceId: WORKSPACE });
+    });
+});
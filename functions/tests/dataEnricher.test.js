@@ -40,7 +40,8 @@ jest.mock('../services/precallForm', () => ({
 const {
     buildSellerContext,
     getPrecallFormEnhancement,
-    enhanceInputsWithPrecallData
+    enhanceInputsWithPrecallData,
+    buildPrecallPromptBlock
 } = require('../api/pitch/dataEnricher');
 
 describe('pitch/dataEnricher', () => {
@@ -355,5 +356,36 @@ describe('pitch/dataEnricher', () => {
             expect(result.urgencyLevel).toBe('medium');
             expect(result.stakeholders).toEqual(['Owner']);
         });
+
+        test('keeps skipped and unanswered questions apart, by question text', () => {
+            const result = enhanceInputsWithPrecallData({ businessName: 'Test' }, {
+                prospectCompetitor: 'Birdeye',
+                branchPath: { shown: ['budget', 'pos'], skipped: ['pos'], unanswered: ['budget'] },
+                questionLabels: { budget: 'What is your monthly budget?' },
+            });
+
+            expect(result.incumbentCompetitor).toBe('Birdeye');
+            expect(result.precallUnansweredQuestions).toEqual(['What is your monthly budget?']);
+            expect(result.precallSkippedQuestions).toEqual(['pos']);
+        });
+    });
+
+    describe('buildPrecallPromptBlock', () => {
+        test('tells the model which questions are open and which never applied', () => {
+            const block = buildPrecallPromptBlock({
+                incumbentCompetitor: 'Birdeye',
+                precallUnansweredQuestions: ['What is your monthly budget?'],
+                precallSkippedQuestions: ['Which POS do you use?'],
+            });
+
+            expect(block).toContain('PRE-CALL FORM:');
+            expect(block).toContain('Current provider they named: Birdeye');
+            expect(block).toMatch(/left blank \(open questions.*What is your monthly budget\?/);
+            expect(block).toMatch(/ruled these out \(do not raise\): Which POS do you use\?/);
+        });
+
+        test('is empty without pre-call data', () => {
+            expect(buildPrecallPromptBlock({ businessName: 'Test' })).toBe('');
+        });
     });
 });
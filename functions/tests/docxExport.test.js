@@ -0,0 +1,190 @@
+'use strict';
+
+/**
+ * DOCX output for formatters: services/docxWriter.js, BaseFormatter.toDocx(),
+ * formatterRegistry.formatNarrative({ outputTypes: ['docx'] }), GET /assets/:id?format=docx and
+ * POST /export/prepare/:pitchId { format: 'docx' }.
+ */
+
+jest.mock('firebase-admin');
+jest.mock('../services/modelRouter', () => ({ formatNarrative: jest.fn() }));
+jest.mock('../middleware/planGate', () => ({ getUserPlanForRequest: jest.fn() }));
+
+const AdmZip = require('adm-zip');
+const admin = require('firebase-admin');
+const modelRouter = require('../services/modelRouter');
+const { invalidateCache } = require('../services/brandResolver');
+const { markdownToBlocks } = require('../services/docxWriter');
+const registry = require('../formatters/formatterRegistry');
+const formatterApi = require('../api/formatterApi');
+const exportApi = require('../api/export');
+
+const NARRATIVE = {
+    businessStory: { headline: 'Acme Dental: trusted family care' },
+    solutionFit: { primaryProducts: ['PathConnect', 'LocalSynch'] },
+    roiStory: { headline: 'Twice the new-patient bookings in 90 days' },
+};
+
+function documentXml(buffer) {
+    return new AdmZip(buffer).readAsText('word/document.xml');
+}
+
+beforeEach(() => {
+    admin._resetMockData();
+    invalidateCache();
+    jest.clearAllMocks();
+    // Unparseable model output sends each formatter down its fallbackFormat() path
+    modelRouter.formatNarrative.mockResolvedValue({ content: 'not json', usage: { inputTokens: 1, outputTokens: 1 } });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    console.error.mockRestore();
+});
+
+describe('markdownToBlocks', () => {
+    test('parses headings, tables, lists and quotes, and breaks pages before sections', () => {
+        const blocks = markdownToBlocks([
+            '# Proposal',
+            '',
+            '| | |',
+            '|---|---|',
+            '| **Prepared For** | Acme |',
+            '',
+            '---',
+            '',
+            '## Pricing',
+            '',
+            '| Item | Price |',
+            '|------|-------|',
+            '| Setup | $500 |',
+            '',
+            '1. Sign',
+            '2. Kick off',
+            '',
+            '> **Note:** valid 30 days',
+            '',
+            '---',
+            '',
+            '*Proposal #1*',
+        ].join('\n'), { sectionPageBreaks: true });
+
+        expect(blocks.map(b => b.type)).toEqual(['heading', 'table', 'pageBreak', 'heading', 'table', 'list', 'quote', 'rule', 'paragraph']);
+        expect(blocks[1]).toMatchObject({ header: null, rows: [['**Prepared For**', 'Acme']] });
+        expect(blocks[4]).toMatchObject({ header: ['Item', 'Price'], rows: [['Setup', '$500']] });
+        expect(blocks[5]).toMatchObject({ ordered: true });
+        expect(blocks[6].runs).toEqual([{ text: 'Note:', bold: true }, { text: ' valid 30 days' }]);
+    });
+
+    test('only breaks before the named sections when given a list', () => {
+        const blocks = markdownToBlocks('Intro\n\n---\n\n## Next Steps\n\n---\n\n## Appendix', { sectionPageBreaks: ['Appendix'] });
+        expect(blocks.map(b => b.type)).toEqual(['paragraph', 'rule', 'heading', 'pageBreak', 'heading']);
+    });
+});
+
+describe('formatNarrative docx output', () => {
+    test('proposal renders a Word document with tables and a page per section', async () => {
+        const result = await registry.formatNarrative('proposal', NARRATIVE, {
+            outputTypes: ['docx'],
+            brand: { accentColor: '#7C3AED', footerText: 'Acme Agency · Confidential' },
+        });
+
+        const zip = new AdmZip(Buffer.from(result.content.docx, 'base64'));
+        const doc = zip.readAsText('word/document.xml');
+        expect(doc).toContain('<w:pStyle w:val="Heading1"/>');
+        expect(doc).toContain('<w:tbl>');
+        expect(doc.match(/w:type="page"/g).length).toBeGreaterThanOrEqual(6);
+        expect(zip.readAsText('word/styles.xml')).toContain('w:val="7C3AED"');
+        expect(zip.readAsText('word/footer1.xml')).toContain('Acme Agency · Confidential');
+        expect(zip.readAsText('docProps/core.xml')).toContain('<dc:title>Business Growth Proposal</dc:title>');
+    });
+
+    test('executive summary keeps sections on one flow and breaks only before the appendix', async () => {
+        const formatter = registry.getFormatter('executive_summary');
+        const doc = documentXml(formatter.toDocx(formatter.fallbackFormat(NARRATIVE)));
+
+        expect(doc.match(/w:type="page"/g)).toHaveLength(1);
+        expect(doc).toContain('w:fill="0D9488"'); // default brand accent on table headers
+    });
+
+    test('is opt-in and advertised for every formatter', async () => {
+        const result = await registry.formatNarrative('executive_summary', NARRATIVE);
+        expect(result.content.docx).toBeUndefined();
+
+        Object.values(registry.FORMATTER_INFO).forEach(info => expect(info.outputTypes).toContain('docx'));
+    });
+});
+
+describe('GET /assets/:assetId?format=docx', () => {
+    beforeEach(() => {
+        const formatter = registry.getFormatter('proposal');
+        admin._setMockCollection('formattedAssets', {
+            asset_1: {
+                assetId: 'asset_1',
+                userId: 'user1',
+                assetType: 'proposal',
+                content: { markdown: formatter.toMarkdown(formatter.fallbackFormat(NARRATIVE)) },
+            },
+        });
+        admin._setMockCollection('agencyBrandOverrides', { user1: { accentColor: '#B45309' } });
+        admin._setMockCollection('agencyEntitlements', { user1: { planTier: 'scale', canUseCustomColors: true } });
+    });
+
+    test('downloads the stored asset as a branded Word file', async () => {
+        const res = testUtils.mockResponse();
+        await formatterApi.getAsset(testUtils.mockRequest({ userId: 'user1', params: { assetId: 'asset_1' }, query: { format: 'docx' } }), res);
+
+        expect(res.headers['Content-Type']).toBe('application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+        expect(res.headers['Content-Disposition']).toContain('proposal_asset_1.docx');
+        const zip = new AdmZip(res.body);
+        expect(zip.readAsText('word/styles.xml')).toContain('w:val="B45309"');
+        expect(zip.readAsText('word/document.xml')).toContain('Investment &amp; ROI');
+    });
+
+    test('still enforces ownership', async () => {
+        const res = testUtils.mockResponse();
+        await formatterApi.getAsset(testUtils.mockRequest({ userId: 'someone', params: { assetId: 'asset_1' }, query: { format: 'docx' } }), res);
+        expect(res.statusCode).toBe(403);
+    });
+});
+
+describe('POST /export/prepare/:pitchId with format docx', () => {
+    beforeEach(() => {
+        const formatter = registry.getFormatter('executive_summary');
+        admin._setMockCollection('pitches', { pitch_1: { userId: 'user1', businessName: 'Acme Dental' } });
+        admin._setMockCollection('formattedAssets', {
+            asset_2: {
+                assetId: 'asset_2',
+                userId: 'user1',
+                assetType: 'executive_summary',
+                content: { markdown: formatter.toMarkdown(formatter.fallbackFormat(NARRATIVE)) },
+            },
+            asset_other: { assetId: 'asset_other', userId: 'someone', assetType: 'proposal', content: { markdown: '# Theirs' } },
+        });
+    });
+
+    function prepare(body) {
+        const res = testUtils.mockResponse();
+        return exportApi.prepareCloudExport(
+            testUtils.mockRequest({ method: 'POST', userId: 'user1', params: { pitchId: 'pitch_1' }, body }), res
+        ).then(() => res);
+    }
+
+    test('uploads the asset as a Word file and returns a signed URL', async () => {
+        const res = await prepare({ format: 'docx', assetId: 'asset_2' });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toMatchObject({ success: true, filename: 'Acme_Dental_executive_summary.docx' });
+        const [path] = Object.keys(admin._mockData.storageFiles);
+        expect(path).toMatch(/^exports\/user1\/asset_2\/\d+\.docx$/);
+        expect(res.body.signedUrl).toBe(`https://storage.mock/${path}`);
+        expect(documentXml(admin._mockData.storageFiles[path])).toContain('Acme Dental');
+    });
+
+    test('needs an asset the caller owns', async () => {
+        expect((await prepare({ format: 'docx' })).statusCode).toBe(400);
+        expect((await prepare({ format: 'docx', assetId: 'missing' })).statusCode).toBe(404);
+        expect((await prepare({ format: 'docx', assetId: 'asset_other' })).statusCode).toBe(403);
+        expect(admin._mockData.storageFiles).toEqual({});
+    });
+});
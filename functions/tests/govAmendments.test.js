@@ -0,0 +1,219 @@
+'use strict';
+
+/**
+ * Amendment tracking: field diffs on watched opportunities during sync,
+ * re-scoring on material changes, the digest "updates" section and the
+ * pursuit timeline.
+ */
+
+jest.mock('firebase-admin');
+jest.mock('../services/govcapture/samGovClient', () => ({ searchOpportunities: jest.fn() }));
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { searchOpportunities } = require('../services/govcapture/samGovClient');
+const { diffOpportunity, summarizeChanges, buildPursuitTimeline } = require('../services/govcapture/amendmentTracker');
+const { syncProfileFromSam } = require('../services/govcapture/samSyncService');
+const { composeDigest } = require('../services/govcapture/digestComposer');
+const govcaptureRoutes = require('../routes/govcaptureRoutes');
+
+const USER = 'user-amend';
+const DAY = 24 * 60 * 60 * 1000;
+const inDays = n => new Date(Date.now() + n * DAY).toISOString();
+
+const ORIGINAL_DUE = inDays(45);
+const SOW = 'https://sam.gov/api/prod/opps/v3/opportunities/resources/files/sow.pdf';
+const QA  = 'https://sam.gov/api/prod/opps/v3/opportunities/resources/files/qa-responses.pdf';
+
+function seed(oppOverrides = {}) {
+    admin._setMockCollection('govProfiles', {
+        'prof-1': {
+            userId: USER, status: 'active',
+            solutions: [{ name: 'Facilities', keywords: ['janitorial'] }],
+            filters: { deadlineMinimumDays: 14 },
+        },
+    });
+    admin._setMockCollection('govOpportunities', {
+        'opp-1': {
+            userId:        USER,
+            profileIds:    ['prof-1'],
+            primarySource: 'sam_gov',
+            canonicalKey:  crypto.createHash('sha1').update('sam_gov:notice-1').digest('hex'),
+            title:         'Janitorial Services, Building 12',
+            buyerName:     'GSA',
+            dueDate:       ORIGINAL_DUE,
+            attachments:   [SOW],
+            fit:           { score: 72, label: 'Good Fit' },
+            pursuitStatus: 'pursuing',
+            pursuitActive: true,
+            activePursuitId: 'pur-1',
+            archived:      false,
+            ...oppOverrides,
+        },
+    });
+}
+
+// The profile builds more than one query bucket; only the first returns the notice
+function samReturns(record) {
+    searchOpportunities.mockResolvedValue({ success: true, data: { opportunities: [] } });
+    searchOpportunities.mockResolvedValueOnce({
+        success: true,
+        data: { opportunities: [{
+            noticeId: 'notice-1', title: 'Janitorial Services, Building 12', fullParentPathName: 'GSA',
+            responseDeadLine: ORIGINAL_DUE, resourceLinks: [SOW], ...record,
+        }] },
+    });
+}
+
+function stored() {
+    return admin._mockData.collections.govOpportunities['opp-1'];
+}
+
+function amendments() {
+    return Object.values(admin._mockData.collections['govOpportunities/opp-1/amendments'] || {});
+}
+
+beforeEach(() => {
+    admin._resetMockData();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('diffOpportunity / summarizeChanges', () => {
+    test('reports moved deadlines and only the newly added attachments', () => {
+        const changes = diffOpportunity(
+            { dueDate: '2026-11-01T17:00:00.000Z', attachments: [SOW], setAside: 'SBA', naicsCodes: ['561720'] },
+            { dueDate: '2026-11-15T17:00:00.000Z', attachments: [QA, SOW], setAside: null, naicsCodes: ['561720'] }
+        );
+
+        expect(changes.map(c => c.field)).toEqual(['dueDate', 'attachments']); // null setAside = not reported
+        expect(summarizeChanges(changes)).toEqual([
+            { type: 'deadline_moved', from: '2026-11-01T17:00:00.000Z', to: '2026-11-15T17:00:00.000Z' },
+            { type: 'new_attachment', attachments: [QA] },
+        ]);
+    });
+
+    test('no attachment alert without a stored baseline', () => {
+        const changes = diffOpportunity({ title: 'A' }, { title: 'A', attachments: [SOW] });
+        expect(summarizeChanges(changes)).toEqual([]);
+    });
+});
+
+describe('sync of a watched opportunity', () => {
+    test('records the amendment, mirrors it onto the opportunity and re-scores', async () => {
+        seed();
+        const newDue = inDays(7);
+        samReturns({ responseDeadLine: newDue, resourceLinks: [SOW, QA] });
+
+        const run = await syncProfileFromSam('prof-1', USER);
+
+        expect(run).toMatchObject({ status: 'completed', updated: 1, amended: 1 });
+        expect(stored().dueDate).toBe(new Date(newDue).toISOString());
+        expect(stored().attachments).toEqual([SOW, QA]);
+
+        const [amendment] = amendments();
+        expect(amendment.items).toEqual([
+            { type: 'deadline_moved', from: ORIGINAL_DUE, to: new Date(newDue).toISOString() },
+            { type: 'new_attachment', attachments: [QA] },
+        ]);
+        // Seven days now falls inside the profile's 14-day minimum lead time
+        expect(amendment.rescored).toEqual({ from: 72, to: 0, label: 'Disqualified' });
+        expect(stored().fit.reasonCodes).toEqual(['DISQ_SHORT_DEADLINE']);
+        expect(stored()).toMatchObject({ amendmentCount: 1, latestAmendment: expect.objectContaining({ items: amendment.items }) });
+
+        const activity = Object.values(admin._mockData.collections[`users/${USER}/activityFeed`]);
+        expect(activity).toEqual([expect.objectContaining({ type: 'gov_opportunity_amended', pursuitId: 'pur-1', opportunityId: 'opp-1' })]);
+    });
+
+    test('an amended description re-reads the calendar key dates', async () => {
+        seed({ keyDates: [] });
+        samReturns({ description: 'Questions are due 11/2/2026. A site visit will be held on 10/28/2026.' });
+
+        expect(await syncProfileFromSam('prof-1', USER)).toMatchObject({ amended: 1 });
+        expect(stored().keyDates.map(k => [k.kind, k.date])).toEqual([['qa_cutoff', '2026-11-02'], ['site_visit', '2026-10-28']]);
+    });
+
+    test('unchanged records and unwatched opportunities leave no history', async () => {
+        seed();
+        samReturns({});
+        expect(await syncProfileFromSam('prof-1', USER)).toMatchObject({ updated: 1, amended: 0 });
+
+        seed({ pursuitStatus: 'new', pursuitActive: false });
+        const newDue = inDays(30);
+        samReturns({ responseDeadLine: newDue });
+        expect(await syncProfileFromSam('prof-1', USER)).toMatchObject({ updated: 1, amended: 0 });
+
+        expect(stored().dueDate).toBe(new Date(newDue).toISOString()); // still kept current
+        expect(amendments()).toEqual([]);
+    });
+});
+
+describe('digest + pursuit timeline', () => {
+    const amendedOpp = {
+        id: 'opp-1', title: 'Janitorial Services, Building 12', buyerName: 'GSA',
+        latestAmendment: {
+            detectedAt: '2026-10-19T06:00:00.000Z',
+            items: [
+                { type: 'deadline_moved', from: '2026-11-01T17:00:00.000Z', to: '2026-11-15T17:00:00.000Z' },
+                { type: 'new_attachment', attachments: [QA] },
+            ],
+            rescored: { from: 72, to: 64, label: 'Possible Fit' },
+        },
+    };
+
+    test('the digest sends for amendments alone and lists each change', () => {
+        const digest = composeDigest({ profileName: 'Acme' }, [], { amendments: [amendedOpp] });
+
+        expect(digest.subject).toBe('SynchGov daily digest: 1 update to tracked opportunities for Acme');
+        expect(digest.amendmentCount).toBe(1);
+        expect(digest.textBody).toContain('Deadline moved: 11/1/2026 → 11/15/2026');
+        expect(digest.textBody).toContain('New attachment: qa-responses.pdf');
+        expect(digest.htmlBody).toContain('Fit re-scored: 72 → 64');
+    });
+
+    test('GET /govcapture/pursuits/:pursuitId interleaves stages and amendments', async () => {
+        const prev = { enabled: process.env.GOVCAPTURE_ENABLED, pursuits: process.env.GOVCAPTURE_PURSUITS_ENABLED };
+        process.env.GOVCAPTURE_ENABLED = 'true';
+        process.env.GOVCAPTURE_PURSUITS_ENABLED = 'true';
+        try {
+            seed();
+            admin._setMockCollection('govPursuits', {
+                'pur-1': {
+                    userId: USER, sourceOpportunityId: 'opp-1',
+                    stageHistory: [
+                        { stage: 'planning', at: new Date('2026-10-01T12:00:00Z') },
+                        { stage: 'drafting', at: new Date('2026-10-20T12:00:00Z') },
+                    ],
+                },
+            });
+            admin._setMockCollection('govOpportunities/opp-1/amendments', {
+                a1: { detectedAt: '2026-10-19T06:00:00.000Z', items: amendedOpp.latestAmendment.items, source: 'sam_gov' },
+            });
+
+            const res = testUtils.mockResponse();
+            await govcaptureRoutes.handle(testUtils.mockRequest({
+                method: 'GET', path: '/govcapture/pursuits/pur-1', params: { pursuitId: 'pur-1' }, userId: USER,
+            }), res);
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.timeline.map(e => e.stage || e.kind)).toEqual(['planning', 'amendment', 'drafting']);
+            expect(res.body.timeline[1]).toMatchObject({ amendmentId: 'a1', source: 'sam_gov' });
+        } finally {
+            for (const [key, name] of [['enabled', 'GOVCAPTURE_ENABLED'], ['pursuits', 'GOVCAPTURE_PURSUITS_ENABLED']]) {
+                if (prev[key] !== undefined) process.env[name] = prev[key];
+                else delete process.env[name];
+            }
+        }
+    });
+
+    test('buildPursuitTimeline handles Firestore timestamps', () => {
+        const timeline = buildPursuitTimeline(
+            { stageHistory: [{ stage: 'planning', at: { toDate: () => new Date('2026-10-01T00:00:00Z') } }] },
+            []
+        );
+        expect(timeline).toEqual([{ kind: 'stage', at: '2026-10-01T00:00:00.000Z', stage: 'planning', byUid: null }]);
+    });
+});
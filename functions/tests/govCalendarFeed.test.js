@@ -0,0 +1,299 @@
+'use strict';
+
+/**
+ * ICS calendar feed of pursuit deadlines: key-date extraction from the notice,
+ * VCALENDAR rendering, and the token-protected subscription URL lifecycle.
+ */
+
+jest.mock('firebase-admin');
+
+const admin = require('firebase-admin');
+const {
+    parseDate, extractKeyDates, refreshKeyDates, escapeText, foldLine, buildPursuitEvents, buildCalendar,
+} = require('../services/govcapture/govCalendarFeedService');
+const { createPursuit } = require('../services/govcapture/govPursuitService');
+const samGovClient = require('../services/govcapture/samGovClient');
+const govcaptureRoutes = require('../routes/govcaptureRoutes');
+
+const OWNER = 'owner-cal';
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+const DESCRIPTION = [
+    'The Army requires custodial services for Building 12.',
+    'Questions are due November 2, 2026 at 2:00 PM ET. A site visit will be held on 10/28/2026 at Building 12.',
+    'Offers due 2026-11-20.',
+].join('\n');
+
+const OPP = {
+    userId:             OWNER,
+    title:              'Custodial Services, Building 12',
+    agencyName:         'Dept of the Army',
+    solicitationNumber: 'W912DY-26-R-0007',
+    description:        DESCRIPTION,
+    dueDate:            '2026-11-20T17:00:00.000Z',
+    sourceRefs:         [{ source: 'sam_gov', sourceUrl: 'https://sam.gov/opp/abc/view' }],
+};
+
+function seed() {
+    admin._setMockCollection('govOpportunities', {
+        'opp-1': { ...OPP },
+        'opp-2': { ...OPP, title: 'Lost bid', description: '' },
+        'opp-x': { ...OPP, userId: 'someone-else', title: 'Not mine' },
+    });
+    admin._setMockCollection('govPursuits', {
+        'pur-1': { userId: OWNER, sourceOpportunityId: 'opp-1', stage: 'drafting', active: true },
+        'pur-2': { userId: OWNER, sourceOpportunityId: 'opp-2', stage: 'lost', active: false },
+        'pur-x': { userId: 'someone-else', sourceOpportunityId: 'opp-x', stage: 'planning', active: true },
+    });
+}
+
+async function call(method, path, { userId = OWNER, ...extra } = {}) {
+    const res = testUtils.mockResponse();
+    await govcaptureRoutes.handle(testUtils.mockRequest({ method, path, userId, ...extra }), res);
+    return res;
+}
+
+const tokenOf = url => url.match(/calendar\/([a-f0-9]{64})\.ics$/)[1];
+const fetchIcs = token => call('GET', `/govcapture/calendar/${token}.ics`, { userId: null });
+
+let prevEnv;
+
+beforeEach(() => {
+    admin._resetMockData();
+    prevEnv = ['GOVCAPTURE_ENABLED', 'GOVCAPTURE_PURSUITS_ENABLED', 'API_BASE_URL', 'SAM_GOV_API_KEY'].map(name => [name, process.env[name]]);
+    process.env.GOVCAPTURE_ENABLED = 'true';
+    process.env.GOVCAPTURE_PURSUITS_ENABLED = 'true';
+    process.env.API_BASE_URL = 'https://api.example.test/';
+});
+
+afterEach(() => {
+    for (const [name, value] of prevEnv) {
+        if (value !== undefined) process.env[name] = value;
+        else delete process.env[name];
+    }
+});
+
+describe('key dates', () => {
+    test('dates in ISO, US numeric and written-out forms; no year, no date', () => {
+        expect(parseDate('due 2026-11-02 at noon')).toBe('2026-11-02');
+        expect(parseDate('by 11/2/2026')).toBe('2026-11-02');
+        expect(parseDate('on Nov. 2nd, 2026')).toBe('2026-11-02');
+        expect(parseDate('on 2 November 2026')).toBe('2026-11-02');
+        expect(parseDate('on November 2')).toBeNull();
+        expect(parseDate('on 02/30/2026')).toBeNull();
+    });
+
+    test('Q&A cutoff and site visit come from the sentences that name them', () => {
+        expect(extractKeyDates(DESCRIPTION)).toEqual([
+            { kind: 'qa_cutoff', date: '2026-11-02', source: 'Questions are due November 2, 2026 at 2:00 PM ET.' },
+            { kind: 'site_visit', date: '2026-10-28', source: 'A site visit will be held on 10/28/2026 at Building 12.' },
+        ]);
+        expect(extractKeyDates('A pre-proposal conference is scheduled for 2026-10-30.'))
+            .toEqual([expect.objectContaining({ kind: 'conference', date: '2026-10-30' })]);
+        expect(extractKeyDates('Offers due 2026-11-20.')).toEqual([]);
+    });
+});
+
+describe('stored key dates', () => {
+    // SAM.gov search records carry no description — the text is behind descriptionUrl
+    const SAM_OPP = {
+        ...OPP,
+        description: null,
+        sourceRefs:  [{
+            source:         'sam_gov',
+            sourceUrl:      'https://sam.gov/opp/abc/view',
+            descriptionUrl: 'https://api.sam.gov/prod/opportunities/v1/noticedesc?noticeid=abc',
+        }],
+    };
+
+    beforeEach(() => {
+        process.env.SAM_GOV_API_KEY = 'sam-key';
+        samGovClient._resetThrottle();
+        jest.spyOn(global, 'fetch').mockResolvedValue({
+            ok:     true,
+            status: 200,
+            json:   async () => ({ description: `<p>${DESCRIPTION.split('\n').join('</p><p>')}</p>` }),
+        });
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        global.fetch.mockRestore();
+        console.warn.mockRestore();
+    });
+
+    test('pursuing a SAM.gov opportunity reads the notice text and stores its key dates', async () => {
+        admin._setMockCollection('govOpportunities', { 'opp-sam': { ...SAM_OPP } });
+
+        await createPursuit(OWNER, 'opp-sam');
+
+        const [url] = global.fetch.mock.calls[0];
+        expect(new URL(url).searchParams.get('api_key')).toBe('sam-key');
+        const stored = admin._mockData.collections.govOpportunities['opp-sam'];
+        expect(stored.keyDates.map(k => [k.kind, k.date])).toEqual([['qa_cutoff', '2026-11-02'], ['site_visit', '2026-10-28']]);
+        expect(stored.keyDatesExtractedAt).toEqual(expect.any(String));
+
+        const uids = buildPursuitEvents({ id: 'pur-9' }, stored).map(e => e.uid);
+        expect(uids).toEqual(['pur-9-deadline@synchgov', 'pur-9-qa_cutoff@synchgov', 'pur-9-site_visit@synchgov']);
+    });
+
+    test('the API key is never sent off api.sam.gov; a failed fetch does not throw', async () => {
+        admin._setMockCollection('govOpportunities', { 'opp-sam': { ...SAM_OPP } });
+        const ref = admin.firestore().collection('govOpportunities').doc('opp-sam');
+        const foreign = { ...SAM_OPP, sourceRefs: [{ source: 'sam_gov', descriptionUrl: 'https://evil.example/desc' }] };
+
+        expect(await refreshKeyDates(ref, foreign)).toEqual([]);
+        expect(global.fetch).not.toHaveBeenCalled();
+
+        global.fetch.mockResolvedValueOnce({ ok: false, status: 500 });
+        expect(await refreshKeyDates(ref, SAM_OPP)).toEqual([]);
+    });
+
+    test('stored key dates win over the description', () => {
+        const opp = { ...OPP, keyDates: [{ kind: 'conference', date: '2026-10-30', source: 'Industry day on 2026-10-30.' }] };
+        expect(buildPursuitEvents({ id: 'pur-1' }, opp).map(e => e.uid))
+            .toEqual(['pur-1-deadline@synchgov', 'pur-1-conference@synchgov']);
+    });
+});
+
+describe('ICS rendering', () => {
+    test('escapes text and folds long lines at 75 octets without splitting characters', () => {
+        expect(escapeText('a,b;c\\d\ne')).toBe('a\\,b\\;c\\\\d\\ne');
+
+        const line = `DESCRIPTION:${'Überprüfung — '.repeat(12)}`;
+        const folded = foldLine(line);
+        for (const physical of folded.split('\r\n')) {
+            expect(Buffer.byteLength(physical, 'utf-8')).toBeLessThanOrEqual(75);
+        }
+        expect(folded.replace(/\r\n /g, '')).toBe(line);
+    });
+
+    test('deadline is timed with an alarm; key dates are all-day; amendments bump SEQUENCE', () => {
+        const opp = { ...OPP, amendmentCount: 2, lastAmendedAt: '2026-10-15T08:00:00.000Z' };
+        const ics = buildCalendar(buildPursuitEvents({ id: 'pur-1', stage: 'compliance_check' }, opp), { now: NOW });
+        const lines = ics.replace(/\r\n /g, '').split('\r\n');
+
+        expect(lines[0]).toBe('BEGIN:VCALENDAR');
+        expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+        expect(lines.filter(l => l === 'BEGIN:VEVENT')).toHaveLength(3);
+        expect(lines).toEqual(expect.arrayContaining([
+            'UID:pur-1-deadline@synchgov',
+            'DTSTAMP:20261019T120000Z',
+            'DTSTART:20261120T170000Z',
+            'SUMMARY:Proposal due: Custodial Services\\, Building 12',
+            'DESCRIPTION:Buyer: Dept of the Army\\nSolicitation: W912DY-26-R-0007\\nPursuit stage: compliance check\\nAmended 2026-10-15 — check the notice for changes.',
+            'URL:https://sam.gov/opp/abc/view',
+            'SEQUENCE:2',
+            'LAST-MODIFIED:20261015T080000Z',
+            'TRIGGER:-P1D',
+            'UID:pur-1-qa_cutoff@synchgov',
+            'DTSTART;VALUE=DATE:20261102',
+            'DTEND;VALUE=DATE:20261103',
+            'SUMMARY:Q&A cutoff: Custodial Services\\, Building 12',
+            'UID:pur-1-site_visit@synchgov',
+            'DTSTART;VALUE=DATE:20261028',
+        ]));
+    });
+
+    test('a deadline posted without a time is an all-day event, not midnight UTC', () => {
+        for (const [dueDateRaw, dueDate] of [['11022026', '2026-11-02T00:00:00.000Z'], ['11/02/2026', '2026-11-02T00:00:00.000Z']]) {
+            const opp = { ...OPP, description: '', dueDate, rawDates: { dueDateRaw } };
+            const lines = buildCalendar(buildPursuitEvents({ id: 'pur-1' }, opp), { now: NOW }).split('\r\n');
+
+            expect(lines).toEqual(expect.arrayContaining([
+                'UID:pur-1-deadline@synchgov',
+                'DTSTART;VALUE=DATE:20261102',
+                'DTEND;VALUE=DATE:20261103',
+                'TRIGGER:-P1D',
+            ]));
+            expect(lines.some(l => /^DTSTART:/.test(l))).toBe(false);
+        }
+
+        const timed = { ...OPP, description: '', rawDates: { dueDateRaw: '2026-11-20T12:00:00-05:00' } };
+        expect(buildCalendar(buildPursuitEvents({ id: 'pur-1' }, timed), { now: NOW })).toContain('DTSTART:20261120T170000Z');
+    });
+});
+
+describe('calendar feed endpoints', () => {
+    test('mints a URL that serves the active pursuits only, and tracks amendments', async () => {
+        seed();
+        const created = await call('POST', '/govcapture/calendar-feed');
+
+        expect(created.statusCode).toBe(201);
+        const { url, webcalUrl } = created.body.feed;
+        expect(url).toMatch(/^https:\/\/api\.example\.test\/api\/v1\/govcapture\/calendar\/[a-f0-9]{64}\.ics$/);
+        expect(webcalUrl).toBe(url.replace('https:', 'webcal:'));
+
+        const stored = admin._mockData.collections.govCalendarFeeds[OWNER];
+        expect(JSON.stringify(stored)).not.toContain(tokenOf(url)); // only the hash is kept
+
+        const res = await fetchIcs(tokenOf(url));
+        expect(res.statusCode).toBe(200);
+        expect(res.headers['Content-Type']).toBe('text/calendar; charset=utf-8');
+        expect(res.body).toContain('UID:pur-1-deadline@synchgov');
+        expect(res.body).not.toContain('pur-2');
+        expect(res.body).not.toContain('pur-x');
+        expect(admin._mockData.collections.govCalendarFeeds[OWNER].lastFetchedAt).toEqual(expect.any(String));
+
+        // An amendment moves the deadline — the next poll carries it
+        Object.assign(admin._mockData.collections.govOpportunities['opp-1'], {
+            dueDate: '2026-12-04T17:00:00.000Z', amendmentCount: 1, lastAmendedAt: '2026-10-20T09:00:00.000Z',
+        });
+        const amended = (await fetchIcs(tokenOf(url))).body;
+        expect(amended).toContain('DTSTART:20261204T170000Z');
+        expect(amended).toContain('SEQUENCE:1');
+    });
+
+    test('minting again rotates the URL; revoking kills it', async () => {
+        seed();
+        const first = tokenOf((await call('POST', '/govcapture/calendar-feed')).body.feed.url);
+        const second = tokenOf((await call('POST', '/govcapture/calendar-feed')).body.feed.url);
+
+        expect((await fetchIcs(first)).statusCode).toBe(404);
+        expect((await fetchIcs(second)).statusCode).toBe(200);
+        expect((await call('GET', '/govcapture/calendar-feed')).body.feed).toMatchObject({ active: true });
+
+        expect((await call('DELETE', '/govcapture/calendar-feed')).statusCode).toBe(200);
+        expect((await fetchIcs(second)).statusCode).toBe(404);
+        expect((await call('GET', '/govcapture/calendar-feed')).body.feed).toEqual({ active: false });
+        expect((await call('DELETE', '/govcapture/calendar-feed')).statusCode).toBe(404);
+
+        expect((await fetchIcs('not-a-token')).statusCode).toBe(404);
+    });
+
+    test("a member's feed shows the workspace pursuits until they leave", async () => {
+        seed();
+        admin._setMockCollection('workspaceMembers', { 'ws-1_member-1': { status: 'active' } });
+        const created = await call('POST', '/govcapture/calendar-feed', {
+            userId: 'member-1', entitlementOwnerUid: OWNER, workspaceId: 'ws-1',
+        });
+        const token = tokenOf(created.body.feed.url);
+
+        expect((await fetchIcs(token)).body).toContain('UID:pur-1-deadline@synchgov');
+
+        admin._mockData.collections.workspaceMembers['ws-1_member-1'].status = 'removed';
+        expect((await fetchIcs(token)).statusCode).toBe(404);
+    });
+
+    test('minting fails without a configured API host and leaves the old URL working', async () => {
+        seed();
+        const token = tokenOf((await call('POST', '/govcapture/calendar-feed')).body.feed.url);
+        delete process.env.API_BASE_URL;
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const res = await call('POST', '/govcapture/calendar-feed');
+        console.error.mockRestore();
+
+        expect(res.statusCode).toBe(503);
+        expect((await fetchIcs(token)).statusCode).toBe(200);
+    });
+
+    test('minting needs auth; everything 404s with pursuits off', async () => {
+        expect((await call('POST', '/govcapture/calendar-feed', { userId: null })).statusCode).toBe(401);
+
+        seed();
+        const token = tokenOf((await call('POST', '/govcapture/calendar-feed')).body.feed.url);
+        process.env.GOVCAPTURE_PURSUITS_ENABLED = 'false';
+        expect((await fetchIcs(token)).statusCode).toBe(404);
+    });
+});
@@ -0,0 +1,220 @@
+'use strict';
+
+/**
+ * Incumbent / competitor intelligence from USAspending award history:
+ * predecessor detection, recompete timing, top vendors, persistence on the
+ * opportunity and the bid/no-bid brief.
+ */
+
+jest.mock('firebase-admin');
+jest.mock('../services/structuredGeneration', () => ({
+    generateStructured: jest.fn(),
+}));
+jest.mock('../services/govcapture/usaspendingClient', () => {
+    const actual = jest.requireActual('../services/govcapture/usaspendingClient');
+    return { ...actual, searchSimilarAwards: jest.fn(), searchTopRecipients: jest.fn() };
+});
+
+const admin = require('firebase-admin');
+const { generateStructured } = require('../services/structuredGeneration');
+const { searchSimilarAwards, searchTopRecipients, _buildFilters } = require('../services/govcapture/usaspendingClient');
+const {
+    intelWindow, extractPriorContractIds, pickPredecessor, recompeteTiming, summarizeTopVendors,
+} = require('../services/govcapture/competitorIntelService');
+const { _buildUserPrompt } = require('../services/govcapture/briefGenerator');
+const { createBidBriefForOpportunity } = require('../services/govcapture/briefService');
+const govcaptureRoutes = require('../routes/govcaptureRoutes');
+
+const USER = 'user-intel';
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+const OPP = {
+    userId:         USER,
+    profileIds:     ['prof-1'],
+    title:          'Custodial Services for Federal Center Building 12',
+    description:    'Recompete of incumbent contract W912DY-21-C-0042. Base year plus four option years.',
+    solicitationNumber: 'W912DY-26-R-0007',
+    departmentName: 'Department of Defense',
+    agencyName:     'Dept of the Army',
+    naicsCodes:     ['561720'],
+    dueDate:        '2026-11-20T17:00:00.000Z',
+};
+
+const AWARDS = [
+    { awardId: 'W912DY21C0042', recipientName: 'CleanCo LLC', startDate: '2021-12-01', endDate: '2026-11-30', awardAmount: 4800000, awardingSubAgency: 'Dept of the Army', description: 'CUSTODIAL SERVICES FEDERAL CENTER' },
+    { awardId: 'W912DY22C0101', recipientName: 'Spotless Inc', startDate: '2022-03-01', endDate: '2027-02-28', awardAmount: 2100000, awardingSubAgency: 'Dept of the Army', description: 'CUSTODIAL SERVICES BUILDING 40' },
+    { awardId: 'N0018923C0009', recipientName: 'Harbor Janitorial', startDate: '2023-01-01', endDate: '2026-12-31', awardAmount: 9000000, awardingSubAgency: 'Dept of the Navy', description: 'GROUNDS MAINTENANCE' },
+];
+
+const RECIPIENTS = [
+    { name: 'Harbor Janitorial', amount: 30000000, uei: 'U1' },
+    { name: 'CleanCo LLC', amount: 15000000, uei: 'U2' },
+    { name: 'Spotless Inc', amount: 5000000, uei: 'U3' },
+];
+
+let prevEnv;
+
+beforeEach(() => {
+    admin._resetMockData();
+    searchSimilarAwards.mockReset();
+    searchTopRecipients.mockReset();
+    generateStructured.mockReset();
+    prevEnv = ['GOVCAPTURE_ENABLED', 'GOVCAPTURE_USASPENDING_ENABLED'].map(name => [name, process.env[name]]);
+    process.env.GOVCAPTURE_ENABLED = 'true';
+    process.env.GOVCAPTURE_USASPENDING_ENABLED = 'true';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    for (const [name, value] of prevEnv) {
+        if (value !== undefined) process.env[name] = value;
+        else delete process.env[name];
+    }
+    jest.restoreAllMocks();
+});
+
+describe('pure helpers', () => {
+    test('five fiscal years ending with the current one', () => {
+        expect(intelWindow(NOW)).toEqual({ start_date: '2022-10-01', end_date: '2027-09-30' });
+    });
+
+    test('prior contract numbers come from the notice, not its own solicitation number', () => {
+        expect(extractPriorContractIds(OPP)).toEqual(['W912DY21C0042']);
+        expect(extractPriorContractIds({ ...OPP, description: 'Solicitation W912DY-26-R-0007 for custodial award.' })).toEqual([]);
+    });
+
+    test('a referenced PIID wins; otherwise the best same-office, same-scope award ending around now', () => {
+        expect(pickPredecessor(AWARDS, OPP, { priorIds: ['W912DY21C0042'], now: NOW }))
+            .toEqual({ award: AWARDS[0], match: 'referenced' });
+
+        const inferred = pickPredecessor(AWARDS, { ...OPP, title: 'Custodial Services, Building 40' }, { now: NOW });
+        expect(inferred).toEqual({ award: AWARDS[1], match: 'inferred' });
+
+        // No description overlap with the title → no guess
+        expect(pickPredecessor(AWARDS, { ...OPP, title: 'Cybersecurity assessment' }, { now: NOW })).toBeNull();
+    });
+
+    test('recompete windows by months remaining on the period of performance', () => {
+        expect(recompeteTiming('2026-11-30', NOW)).toEqual({ popEndDate: '2026-11-30', monthsRemaining: 1.4, window: 'imminent' });
+        expect(recompeteTiming('2027-09-30', NOW).window).toBe('upcoming');
+        expect(recompeteTiming('2029-01-01', NOW).window).toBe('future');
+        expect(recompeteTiming('2026-01-01', NOW).window).toBe('expired');
+        expect(recompeteTiming(null, NOW)).toBeNull();
+    });
+
+    test('top vendors carry their share of obligations', () => {
+        expect(summarizeTopVendors(RECIPIENTS)).toEqual([
+            { name: 'Harbor Janitorial', uei: 'U1', amount: 30000000, share: 60 },
+            { name: 'CleanCo LLC', uei: 'U2', amount: 15000000, share: 30 },
+            { name: 'Spotless Inc', uei: 'U3', amount: 5000000, share: 10 },
+        ]);
+    });
+
+    test('client filters accept a custom window and award ids', () => {
+        const filters = _buildFilters({ awardIds: ['W912DY21C0042'], timePeriod: { start_date: '2007-10-01', end_date: '2027-09-30' } }, 2027);
+        expect(filters.award_ids).toEqual(['W912DY21C0042']);
+        expect(filters.time_period).toEqual([{ start_date: '2007-10-01', end_date: '2027-09-30' }]);
+    });
+});
+
+describe('GET /govcapture/opportunities/:oppId/competitor-intel', () => {
+    function usaspendingReturns() {
+        searchSimilarAwards.mockImplementation(async params => ({
+            success: true,
+            data: { awards: params.awardIds ? [AWARDS[0]] : AWARDS.slice(1), totalCount: 2 },
+        }));
+        searchTopRecipients.mockResolvedValue({ success: true, data: { recipients: RECIPIENTS } });
+    }
+
+    async function getIntel(query = {}, userId = USER) {
+        const res = testUtils.mockResponse();
+        await govcaptureRoutes.handle(testUtils.mockRequest({
+            method: 'GET', path: '/govcapture/opportunities/opp-1/competitor-intel', params: { oppId: 'opp-1' }, query, userId,
+        }), res);
+        return res;
+    }
+
+    test('builds the panel from five years of history and stores it on the opportunity', async () => {
+        admin._setMockCollection('govOpportunities', { 'opp-1': { ...OPP } });
+        usaspendingReturns();
+
+        const res = await getIntel();
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.refreshed).toBe(true);
+        expect(res.body.competitorIntel).toMatchObject({
+            incumbent: { name: 'CleanCo LLC', awardId: 'W912DY21C0042', awardValue: 4800000, endDate: '2026-11-30', match: 'referenced' },
+            recompete: { popEndDate: '2026-11-30' },
+            topVendors: [expect.objectContaining({ name: 'Harbor Janitorial', share: 60 }), expect.anything(), expect.anything()],
+            naicsCode: '561720',
+            agencyName: 'Department of Defense',
+        });
+
+        const fiveYear = searchSimilarAwards.mock.calls.find(([p]) => !p.awardIds)[0];
+        expect(fiveYear).toMatchObject({ naicsCode: '561720', agencyName: 'Department of Defense', limit: 100 });
+        expect(fiveYear.timePeriod).toEqual(intelWindow());
+
+        const stored = admin._mockData.collections.govOpportunities['opp-1'];
+        expect(stored.competitorIntel.incumbent.name).toBe('CleanCo LLC');
+        expect(stored.updatedAt).toBeUndefined(); // doesn't resurface in the digest
+    });
+
+    test('serves fresh stored intel without calling USAspending unless refresh=true', async () => {
+        const stored = { incumbent: null, topVendors: [], generatedAt: new Date().toISOString() };
+        admin._setMockCollection('govOpportunities', { 'opp-1': { ...OPP, competitorIntel: stored } });
+        usaspendingReturns();
+
+        expect((await getIntel()).body).toEqual({ success: true, competitorIntel: stored, refreshed: false });
+        expect(searchSimilarAwards).not.toHaveBeenCalled();
+
+        expect((await getIntel({ refresh: 'true' })).body.competitorIntel.incumbent.name).toBe('CleanCo LLC');
+    });
+
+    test('keeps the stored panel when USAspending fails', async () => {
+        const stored = { incumbent: { name: 'Old Co' }, topVendors: [], generatedAt: '2025-01-01T00:00:00.000Z' };
+        admin._setMockCollection('govOpportunities', { 'opp-1': { ...OPP, competitorIntel: stored } });
+        searchSimilarAwards.mockResolvedValue({ success: false, error: 'USAspending HTTP 503' });
+        searchTopRecipients.mockResolvedValue({ success: false, error: 'USAspending HTTP 503' });
+
+        const res = await getIntel();
+        expect(res.body).toEqual({ success: true, competitorIntel: stored, refreshed: false });
+    });
+
+    test('409 when USAspending is off; 403 for another tenant', async () => {
+        admin._setMockCollection('govOpportunities', { 'opp-1': { ...OPP } });
+        expect((await getIntel({}, 'stranger')).statusCode).toBe(403);
+
+        process.env.GOVCAPTURE_USASPENDING_ENABLED = 'false';
+        expect((await getIntel()).statusCode).toBe(409);
+    });
+});
+
+describe('bid/no-bid brief', () => {
+    const intel = {
+        incumbent: { name: 'CleanCo LLC', awardId: 'W912DY21C0042', awardValue: 4800000, startDate: '2021-12-01', endDate: '2026-11-30', match: 'referenced' },
+        recompete: { popEndDate: '2026-11-30', monthsRemaining: 1.4, window: 'imminent' },
+        topVendors: [{ name: 'Harbor Janitorial', share: 60 }, { name: 'CleanCo LLC', share: 30 }],
+        window: { start: '2022-10-01', end: '2027-09-30' },
+        generatedAt: new Date().toISOString(),
+    };
+
+    test('the prompt carries the competitive landscape', () => {
+        const prompt = _buildUserPrompt({ ...OPP, competitorIntel: intel }, {}, { questions: [] });
+        expect(prompt).toContain('Incumbent (referenced in notice): CleanCo LLC, award W912DY21C0042, $4,800,000');
+        expect(prompt).toContain('Predecessor contract ends 2026-11-30 (imminent)');
+        expect(prompt).toContain('Harbor Janitorial (60%), CleanCo LLC (30%)');
+    });
+
+    test('the stored brief includes the intel panel', async () => {
+        admin._setMockCollection('govOpportunities', { 'opp-1': { ...OPP, competitorIntel: intel } });
+        admin._setMockCollection('govProfiles', { 'prof-1': { userId: USER, status: 'active', profileName: 'Acme' } });
+        generateStructured.mockResolvedValue({ result: { summary: 'Worth a look', bidRecommendation: 'investigate', confidence: 'medium' }, usageMetadata: null });
+
+        const { brief } = await createBidBriefForOpportunity('opp-1', 'prof-1', USER);
+
+        expect(brief.competitorIntel).toEqual(intel);
+        expect(searchSimilarAwards).not.toHaveBeenCalled(); // fresh — no refetch
+        const [stored] = Object.values(admin._mockData.collections['govOpportunities/opp-1/briefs']);
+        expect(stored.competitorIntel.incumbent.name).toBe('CleanCo LLC');
+    });
+});
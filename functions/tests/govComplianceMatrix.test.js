@@ -0,0 +1,170 @@
+'use strict';
+
+/**
+ * Compliance matrix export: requirement → RFP reference → proposal section
+ * cross-walk, owners from the pursuit checklist, and the XLSX / CSV / DOCX files.
+ */
+
+jest.mock('firebase-admin');
+
+const AdmZip = require('adm-zip');
+const admin = require('firebase-admin');
+const {
+    rfpReference, findDraftHeadings, buildMatrixRows, toCsv, toDocx,
+} = require('../services/govcapture/complianceMatrix');
+const govcaptureRoutes = require('../routes/govcaptureRoutes');
+
+const USER = 'user-matrix';
+
+const DRAFT = [
+    'VOLUME I - TECHNICAL',
+    '1. Technical Approach',
+    'Our staffing plan assigns a project manager to each building.',
+    '2. Past Performance',
+    'We have cleaned 40 federal facilities.',
+    'ATTACHMENTS',
+    'A completed SF-1449 is enclosed.',
+].join('\n');
+
+const REQUIREMENTS = [
+    { id: 'R1', category: 'required_forms', text: 'Complete and sign SF-1449', sectionRef: 'L.3.1', keywords: ['sf-1449'], status: 'present', matchedKeywords: ['sf-1449'] },
+    { id: 'R2', category: 'other', text: 'Per Section L.4.2, describe the staffing plan', keywords: ['staffing plan', 'key personnel'], status: 'unclear', matchedKeywords: ['staffing plan'] },
+    { id: 'R3', category: 'certifications', text: '=HYPERLINK("x") SAM registration, active', keywords: ['sam registration'], status: 'missing', matchedKeywords: [] },
+];
+
+let prevEnv;
+
+function seed({ evaluation = {}, pursuit = {} } = {}) {
+    admin._setMockCollection('govPursuits', {
+        'pur-1': {
+            userId: USER, title: 'Janitorial Services, Bldg 12', buyerName: 'GSA', latestEvaluationId: 'eval-1',
+            sectionOwners: { compliance: { uid: 'm2', name: 'Casey Compliance' } },
+            tasks: [{ id: 'req_R2', requirementId: 'R2', section: 'technical', assigneeName: 'Terry Tech', status: 'open' }],
+            ...pursuit,
+        },
+    });
+    admin._setMockCollection('govEvaluations', {
+        'eval-1': { userId: USER, pursuitId: 'pur-1', proposalDocId: 'doc-1', passA: { requirements: REQUIREMENTS }, ...evaluation },
+    });
+    admin._setMockCollection('govProposalDocs', { 'doc-1': { userId: USER, extractedText: DRAFT } });
+}
+
+async function exportMatrix(query = {}, userId = USER) {
+    const res = testUtils.mockResponse();
+    await govcaptureRoutes.handle(testUtils.mockRequest({
+        method: 'GET', path: '/govcapture/pursuits/pur-1/compliance-matrix', params: { pursuitId: 'pur-1' }, query, userId,
+    }), res);
+    return res;
+}
+
+beforeEach(() => {
+    admin._resetMockData();
+    prevEnv = ['GOVCAPTURE_ENABLED', 'GOVCAPTURE_PURSUITS_ENABLED', 'GOVCAPTURE_EVALUATOR_ENABLED']
+        .map(name => [name, process.env[name]]);
+    for (const [name] of prevEnv) process.env[name] = 'true';
+});
+
+afterEach(() => {
+    for (const [name, value] of prevEnv) {
+        if (value !== undefined) process.env[name] = value;
+        else delete process.env[name];
+    }
+});
+
+describe('cross-walk', () => {
+    test('RFP reference comes from sectionRef, else from the requirement text', () => {
+        expect(rfpReference(REQUIREMENTS[0])).toBe('L.3.1');
+        expect(rfpReference(REQUIREMENTS[1])).toBe('L.4.2');
+        expect(rfpReference({ text: 'Provide a 10-page narrative' })).toBe('');
+    });
+
+    test('finds numbered, volume and all-caps headings but not body sentences', () => {
+        expect(findDraftHeadings(DRAFT).map(h => h.title)).toEqual([
+            'VOLUME I - TECHNICAL', '1. Technical Approach', '2. Past Performance', 'ATTACHMENTS',
+        ]);
+    });
+
+    test('maps each requirement to its answering section, status and owner', () => {
+        seed();
+        const pursuit = admin._mockData.collections.govPursuits['pur-1'];
+        const rows = buildMatrixRows({
+            requirements:  REQUIREMENTS,
+            draftText:     DRAFT,
+            tasks:         pursuit.tasks,
+            sectionOwners: pursuit.sectionOwners,
+        });
+
+        expect(rows).toEqual([
+            { requirementId: 'R1', rfpSection: 'L.3.1', requirement: 'Complete and sign SF-1449', category: 'Required forms', proposalSection: 'ATTACHMENTS', status: 'Present', owner: 'Casey Compliance' },
+            { requirementId: 'R2', rfpSection: 'L.4.2', requirement: 'Per Section L.4.2, describe the staffing plan', category: 'Other', proposalSection: '1. Technical Approach', status: 'Unclear', owner: 'Terry Tech' },
+            { requirementId: 'R3', rfpSection: '', requirement: REQUIREMENTS[2].text, category: 'Certifications', proposalSection: '', status: 'Missing', owner: 'Casey Compliance' },
+        ]);
+    });
+
+    test('CSV quotes fields and neutralizes formula-looking cells', () => {
+        const csv = toCsv([{ requirementId: 'R3', requirement: '=HYPERLINK("x") SAM registration, active', status: 'Missing' }]).toString('utf-8');
+        expect(csv.split('\r\n')[0]).toBe('Req ID,RFP Reference,Requirement,Category,Proposal Section,Status,Owner');
+        expect(csv.split('\r\n')[1]).toBe('R3,,"\'=HYPERLINK(""x"") SAM registration, active",,,Missing,');
+    });
+
+    test('DOCX cells keep requirement text verbatim instead of reading it as markdown', () => {
+        const document = new AdmZip(toDocx([
+            { requirementId: 'R1', requirement: 'Sign SF*1449* and see [Attachment J]', status: 'Present' },
+        ])).readAsText('word/document.xml');
+        expect(document).toContain('>Sign SF*1449* and see [Attachment J]</w:t>');
+        expect(document).not.toContain('<w:i/>');
+        expect(document).not.toContain('\u200B');
+    });
+});
+
+describe('GET /govcapture/pursuits/:pursuitId/compliance-matrix', () => {
+    test('defaults to an XLSX workbook with a header row and one row per requirement', async () => {
+        seed();
+        const res = await exportMatrix();
+
+        expect(res.statusCode).toBe(200);
+        expect(res.headers['Content-Type']).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        expect(res.headers['Content-Disposition']).toMatch(/^attachment; filename="Compliance_Matrix_Janitorial_Services__Bldg_12_\d{4}-\d{2}-\d{2}\.xlsx"$/);
+
+        const zip = new AdmZip(res.body);
+        expect(zip.getEntries().map(e => e.entryName)).toEqual(expect.arrayContaining(['xl/workbook.xml', 'xl/worksheets/sheet1.xml', 'xl/styles.xml']));
+        const sheet = zip.readAsText('xl/worksheets/sheet1.xml');
+        expect(sheet.match(/<row /g)).toHaveLength(4);
+        expect(sheet).toContain('<t xml:space="preserve">1. Technical Approach</t>');
+        expect(sheet).toContain('=HYPERLINK(&quot;x&quot;)'); // inline strings are never evaluated
+    });
+
+    test('exports CSV and DOCX on request', async () => {
+        seed();
+        const csv = await exportMatrix({ format: 'csv' });
+        expect(csv.headers['Content-Type']).toBe('text/csv; charset=utf-8');
+        expect(csv.body.toString('utf-8')).toContain('R1,L.3.1,Complete and sign SF-1449,Required forms,ATTACHMENTS,Present,Casey Compliance');
+
+        const docx = await exportMatrix({ format: 'DOCX' });
+        expect(docx.headers['Content-Type']).toBe('application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+        const document = new AdmZip(docx.body).readAsText('word/document.xml');
+        expect(document).toContain('Compliance Matrix — Janitorial Services, Bldg 12');
+        expect(document).toContain('3 requirements: 1 present, 1 unclear, 1 missing');
+        expect(document).toContain('Proposal Section');
+    });
+
+    test('errors: no evaluation, foreign evaluation, bad format, other tenant', async () => {
+        seed({ pursuit: { latestEvaluationId: null } });
+        expect((await exportMatrix()).statusCode).toBe(409);
+
+        seed({ evaluation: { pursuitId: 'pur-other' } });
+        expect((await exportMatrix()).statusCode).toBe(404);
+
+        seed();
+        expect((await exportMatrix({ format: 'pdf' })).statusCode).toBe(400);
+        expect((await exportMatrix({}, 'stranger')).statusCode).toBe(403);
+    });
+
+    test('still exports when the evaluated draft was deleted', async () => {
+        seed();
+        delete admin._mockData.collections.govProposalDocs['doc-1'];
+        const res = await exportMatrix({ format: 'csv' });
+        expect(res.statusCode).toBe(200);
+        expect(res.body.toString('utf-8')).toContain('R1,L.3.1,Complete and sign SF-1449,Required forms,,Present,Casey Compliance');
+    });
+});
@@ -0,0 +1,292 @@
+'use strict';
+
+/**
+ * Price-to-win: comparable USAspending awards → competitive range with a
+ * confidence band, stored on the pursuit and fed to the tailored pricing
+ * narrative.
+ */
+
+jest.mock('firebase-admin');
+jest.mock('../services/structuredGeneration', () => ({
+    generateStructured: jest.fn(),
+}));
+jest.mock('../services/govcapture/usaspendingClient', () => {
+    const actual = jest.requireActual('../services/govcapture/usaspendingClient');
+    return { ...actual, searchSimilarAwards: jest.fn() };
+});
+
+const admin = require('firebase-admin');
+const { generateStructured } = require('../services/structuredGeneration');
+const { searchSimilarAwards, _buildFilters } = require('../services/govcapture/usaspendingClient');
+const {
+    setAsideCode, searchTiers, buildPriceToWin, formatPriceToWin,
+} = require('../services/govcapture/priceToWinService');
+const masterService = require('../services/govcapture/govMasterProposalService');
+const { tailorProposal } = require('../services/govcapture/govTailoringService');
+const govcaptureRoutes = require('../routes/govcaptureRoutes');
+
+const USER = 'user-ptw';
+const NOW = new Date('2026-10-19T12:00:00Z');
+const WINDOW = { start_date: '2022-10-01', end_date: '2027-09-30' };
+
+const OPP = {
+    userId:         USER,
+    title:          'Custodial Services for Federal Center Building 12',
+    description:    'Custodial services. Pricing volume required.',
+    departmentName: 'Department of Defense',
+    agencyName:     'Dept of the Army',
+    naicsCodes:     ['561720'],
+    setAside:       'Total Small Business Set-Aside (FAR 19.5)',
+};
+
+function award(n, amount, extra = {}) {
+    return {
+        awardId: `W912DY2${n}C00${n}0`, recipientName: `Vendor ${n}`, awardAmount: amount,
+        startDate: '2023-01-01', endDate: '2027-12-31', awardingAgency: 'Department of Defense',
+        contractType: 'DEFINITIVE CONTRACT', description: 'CUSTODIAL SERVICES', ...extra,
+    };
+}
+
+const MILLIONS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(m => m * 1000000);
+const tight = (awards, matchedOn = ['naics', 'agency', 'setAside']) => awards.map(a => ({ award: a, matchedOn }));
+
+let prevEnv;
+
+beforeEach(() => {
+    admin._resetMockData();
+    searchSimilarAwards.mockReset();
+    generateStructured.mockReset();
+    prevEnv = ['GOVCAPTURE_ENABLED', 'GOVCAPTURE_PURSUITS_ENABLED', 'GOVCAPTURE_USASPENDING_ENABLED']
+        .map(name => [name, process.env[name]]);
+    for (const [name] of prevEnv) process.env[name] = 'true';
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    for (const [name, value] of prevEnv) {
+        if (value !== undefined) process.env[name] = value;
+        else delete process.env[name];
+    }
+    jest.restoreAllMocks();
+});
+
+describe('pure helpers', () => {
+    test('set-aside codes from SAM codes or descriptions', () => {
+        expect(setAsideCode('8AN')).toBe('8AN');
+        expect(setAsideCode(OPP.setAside)).toBe('SBA');
+        expect(setAsideCode('Women-Owned Small Business (WOSB) Program Set-Aside')).toBe('WOSB');
+        expect(setAsideCode('Service-Disabled Veteran-Owned Small Business Set-Aside')).toBe('SDVOSBC');
+        expect(setAsideCode('Full and open competition')).toBeNull();
+        expect(setAsideCode(null)).toBeNull();
+    });
+
+    test('search widens by dropping the set-aside, then the agency', () => {
+        expect(searchTiers({ naicsCode: '561720', agencyName: 'DoD', setAside: 'SBA' }).map(t => t.level))
+            .toEqual(['naics_agency_setAside', 'naics_agency', 'naics']);
+        expect(searchTiers({ agencyName: 'DoD', setAside: 'SBA' }).map(t => t.level))
+            .toEqual(['agency_setAside', 'agency']);
+    });
+
+    test('client filters narrow award types and set-asides', () => {
+        const filters = _buildFilters({ naicsCode: '561720', awardTypeCodes: ['D', 'Z'], setAsideCodes: ['SBA'] }, 2027);
+        expect(filters.award_type_codes).toEqual(['D']);
+        expect(filters.set_aside_type_codes).toEqual(['SBA']);
+        expect(_buildFilters({ naicsCode: '561720', pricingTypeCodes: ['Y', 'Z'] }, 2027).contract_pricing_type_codes).toEqual(['Y', 'Z']);
+        expect(_buildFilters({ naicsCode: '561720' }, 2027).award_type_codes).toEqual(['A', 'B', 'C', 'D']);
+    });
+});
+
+describe('buildPriceToWin', () => {
+    const criteria = { naicsCode: '561720', agencyName: 'Department of Defense', setAside: 'SBA' };
+
+    test('interquartile range around the median; tight, plentiful comparables → high confidence', () => {
+        const ptw = buildPriceToWin({
+            matches: tight(MILLIONS.map((m, i) => award(i, m))), criteria,
+            matchLevel: 'naics_agency_setAside', profileAvgContractValue: 5000000, window: WINDOW, now: NOW,
+        });
+
+        expect(ptw).toMatchObject({
+            low: 3250000, target: 5500000, high: 7750000,
+            confidence: 'high', confidenceReasons: [], basis: 'comparables', spread: 2.4,
+            comparableCount: 10, profileAvgContractValue: 5000000, targetVsProfileAvg: 1.1,
+            window: { start: '2022-10-01', end: '2027-09-30' }, generatedAt: NOW.toISOString(),
+        });
+        // Most typical first
+        expect(ptw.comparables.map(c => c.awardAmount).slice(0, 2)).toEqual([5000000, 6000000]);
+    });
+
+    test('widened or dispersed comparables lower the confidence and say why', () => {
+        const ptw = buildPriceToWin({
+            matches: tight([1, 2, 40, 80, 90, 100].map((m, i) => award(i, m * 100000)), ['naics']),
+            criteria, matchLevel: 'naics', window: WINDOW, now: NOW,
+        });
+        expect(ptw.confidence).toBe('low');
+        expect(ptw.confidenceReasons).toEqual([
+            'Wide spread: P75 is 7.6× P25', 'Comparables are not limited to this agency',
+        ]);
+    });
+
+    test('thin comparables blend with the profile average; none falls back to it; nothing → null', () => {
+        const blended = buildPriceToWin({
+            matches: tight([award(1, 1000000), award(2, 3000000)]), criteria,
+            matchLevel: 'naics', profileAvgContractValue: 4000000, window: WINDOW, now: NOW,
+        });
+        expect(blended).toMatchObject({ basis: 'blended', low: 1500000, target: 3000000, high: 4000000, confidence: 'low' });
+
+        const profileOnly = buildPriceToWin({
+            matches: tight([award(1, 0)]), criteria, matchLevel: 'naics',
+            profileAvgContractValue: 1000000, window: WINDOW, now: NOW,
+        });
+        expect(profileOnly).toMatchObject({ basis: 'profile', low: 700000, target: 1000000, high: 1300000, comparableCount: 0 });
+
+        expect(buildPriceToWin({ matches: [], criteria, matchLevel: 'naics', window: WINDOW, now: NOW })).toBeNull();
+    });
+});
+
+describe('POST /govcapture/pursuits/:pursuitId/price-to-win', () => {
+    function seed(pursuit = {}, profile = { avgContractValue: 2500000 }) {
+        admin._setMockCollection('govOpportunities', { 'opp-1': { ...OPP } });
+        admin._setMockCollection('govPursuits', {
+            'pur-1': { userId: USER, sourceOpportunityId: 'opp-1', profileId: 'prof-1', stage: 'planning', ...pursuit },
+        });
+        admin._setMockCollection('govProfiles', { 'prof-1': { userId: USER, ...profile } });
+    }
+
+    async function estimate(body = {}, userId = USER) {
+        const res = testUtils.mockResponse();
+        await govcaptureRoutes.handle(testUtils.mockRequest({
+            method: 'POST', path: '/govcapture/pursuits/pur-1/price-to-win', params: { pursuitId: 'pur-1' }, body, userId,
+        }), res);
+        return res;
+    }
+
+    test('widens until enough comparables, lists them by match and stores the estimate', async () => {
+        seed();
+        const setAsideAwards = [award(1, 2000000), award(2, 3000000)];
+        searchSimilarAwards.mockImplementation(async params => ({
+            success: true,
+            data: { awards: params.setAsideCodes ? setAsideAwards : [...setAsideAwards, award(3, 2500000), award(4, 4000000), award(5, 5000000)] },
+        }));
+
+        const res = await estimate({ contractType: 'firm_fixed_price' });
+
+        expect(res.statusCode).toBe(200);
+        const calls = searchSimilarAwards.mock.calls.map(([p]) => p);
+        expect(calls).toHaveLength(2);
+        expect(calls[0]).toMatchObject({
+            naicsCode: '561720', agencyName: 'Department of Defense', setAsideCodes: ['SBA'], pricingTypeCodes: ['J', 'K'],
+            limit: 100, page: 1, sort: 'Start Date', order: 'desc',
+        });
+        expect(calls[1].setAsideCodes).toBeUndefined();
+
+        const { priceToWin } = res.body;
+        expect(priceToWin).toMatchObject({
+            low: 2500000, target: 3000000, high: 4000000, confidence: 'medium', comparableCount: 5,
+            matchLevel: 'naics_agency', targetVsProfileAvg: 1.2,
+            criteria: { naicsCode: '561720', agencyName: 'Department of Defense', setAside: 'SBA', contractType: 'firm_fixed_price' },
+        });
+        expect(priceToWin.comparables[0]).toMatchObject({ awardId: award(2).awardId, matchedOn: ['naics', 'agency', 'setAside', 'contractType'] });
+        expect(priceToWin.comparables[4].matchedOn).toEqual(['naics', 'agency', 'contractType']);
+
+        expect(admin._mockData.collections.govPursuits['pur-1'].priceToWin).toEqual(priceToWin);
+    });
+
+    test('reads every page of recent awards rather than the largest 100', async () => {
+        seed();
+        const pages = {
+            1: { awards: [award(1, 9000000), award(2, 8000000), award(3, 7000000)], hasNext: true },
+            2: { awards: [award(4, 1000000), award(5, 2000000), award(6, 1500000)], hasNext: false },
+        };
+        searchSimilarAwards.mockImplementation(async params => ({ success: true, data: pages[params.page] }));
+
+        const { priceToWin } = (await estimate()).body;
+
+        expect(searchSimilarAwards.mock.calls.map(([p]) => p.page)).toEqual([1, 2]);
+        expect(priceToWin).toMatchObject({ comparableCount: 6, matchLevel: 'naics_agency_setAside', target: 4500000 });
+    });
+
+    test('falls back to the profile average when USAspending is down; 503 without one', async () => {
+        seed();
+        searchSimilarAwards.mockResolvedValue({ success: false, error: 'USAspending HTTP 503' });
+        const res = await estimate();
+        expect(res.statusCode).toBe(200);
+        expect(res.body.priceToWin).toMatchObject({ basis: 'profile', target: 2500000, comparables: [] });
+
+        seed({}, {});
+        expect((await estimate()).statusCode).toBe(503);
+    });
+
+    test('400 bad contract type, 403 other tenant, 409 with USAspending off', async () => {
+        seed();
+        expect((await estimate({ contractType: 'definitive' })).statusCode).toBe(400);
+        expect((await estimate({}, 'stranger')).statusCode).toBe(403);
+
+        process.env.GOVCAPTURE_USASPENDING_ENABLED = 'false';
+        expect((await estimate()).statusCode).toBe(409);
+        expect(searchSimilarAwards).not.toHaveBeenCalled();
+    });
+});
+
+describe('tailored pricing narrative', () => {
+    const PTW = buildPriceToWin({
+        matches: tight(MILLIONS.map((m, i) => award(i, m))),
+        criteria: { naicsCode: '561720', agencyName: 'Department of Defense', setAside: 'SBA' },
+        matchLevel: 'naics_agency_setAside', profileAvgContractValue: 5000000, window: WINDOW, now: NOW,
+    });
+
+    function mockGeneration() {
+        generateStructured.mockImplementation(async (args) => {
+            if (args.responseSchema.properties.requirements) {
+                return { result: { requirements: [] }, usageMetadata: null };
+            }
+            const sections = [...args.userPrompt.matchAll(/### Section (\d+): (.+)/g)]
+                .map(m => ({ n: parseInt(m[1], 10), title: m[2].trim(), content: 'Tailored.' }));
+            return { result: { sections }, usageMetadata: null };
+        });
+    }
+
+    async function tailor(masterText) {
+        admin._setMockCollection('govOpportunities', { 'opp-1': { ...OPP } });
+        admin._setMockCollection('govPursuits', {
+            'pur-1': { userId: USER, sourceOpportunityId: 'opp-1', stage: 'drafting', priceToWin: PTW },
+        });
+        const master = await masterService.saveMaster(USER, {
+            originalname: 'master.txt', mimetype: 'text/plain', buffer: Buffer.from(masterText, 'utf-8'),
+        }, { title: 'Acme Master' });
+        const draft = await tailorProposal(USER, 'pur-1', master.id);
+        const [args] = generateStructured.mock.calls.find(([a]) => a.responseSchema.properties.sections);
+        return { args, doc: admin._mockData.collections.govProposalDocs[draft.id] };
+    }
+
+    test('formats the range, caveats and closest comparables', () => {
+        const text = formatPriceToWin(PTW);
+        expect(text).toContain('Competitive range: $3,250,000 to $7,750,000, target $5,500,000 (confidence: high)');
+        expect(text).toContain('Based on 10 comparable awards (NAICS 561720, Department of Defense, set-aside SBA), 2022-10-01 to 2027-09-30');
+        expect(text).toContain('- Vendor 4: $5,000,000');
+    });
+
+    test('pricing sections get the estimate as reference data, never as a bid price', async () => {
+        mockGeneration();
+        const { args, doc } = await tailor('1. Technical Approach\nWe clean buildings.\n2. Pricing\nCompetitive rates.');
+
+        expect(args.userPrompt).toContain('<<<PRICE_TO_WIN>>>\nCompetitive range: $3,250,000 to $7,750,000');
+        expect(args.systemInstruction).toContain('[TO FILL: proposed price]');
+        expect(doc.priceToWinGeneratedAt).toBe(NOW.toISOString());
+    });
+
+    test('no pricing section, no estimate in the prompt', async () => {
+        mockGeneration();
+        const { args, doc } = await tailor('1. Technical Approach\nWe clean buildings.\n2. Staffing\nTwelve custodians.');
+
+        expect(args.userPrompt).not.toContain('PRICE_TO_WIN');
+        expect(args.systemInstruction).not.toContain('[TO FILL: proposed price]');
+        expect(doc.priceToWinGeneratedAt).toBeNull();
+    });
+
+    test('titles that only contain a pricing word are not pricing sections', async () => {
+        mockGeneration();
+        const { args } = await tailor('1. Technical Approach\nWe clean buildings.\n2. Customer Feedback\nSurveys each quarter.\n3. Costume Policy\nUniforms provided.');
+
+        expect(args.userPrompt).not.toContain('PRICE_TO_WIN');
+    });
+});
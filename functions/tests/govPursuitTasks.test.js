@@ -0,0 +1,263 @@
+'use strict';
+
+/**
+ * Pursuit team collaboration: section owners, the per-stage checklist built
+ * from Pass A requirements, back-scheduled due dates and overdue reminders
+ * in the digest.
+ */
+
+jest.mock('firebase-admin');
+jest.mock('../services/structuredGeneration', () => ({
+    generateStructured: jest.fn(),
+}));
+
+const admin = require('firebase-admin');
+const { generateStructured } = require('../services/structuredGeneration');
+const { backScheduleDueDates, collectOverdueTasks } = require('../services/govcapture/govPursuitTaskService');
+const { composeDigest } = require('../services/govcapture/digestComposer');
+const govcaptureRoutes = require('../routes/govcaptureRoutes');
+
+const OWNER  = 'owner-1';
+const MEMBER = 'member-1';
+const WS     = 'ws-1';
+const DAY    = 24 * 60 * 60 * 1000;
+
+const REQUIREMENTS = [
+    { id: 'R1', category: 'required_forms', text: 'Complete SF-1449', keywords: ['sf-1449'] },
+    { id: 'R2', category: 'submission_instructions', text: 'Submit via PIEE', keywords: ['piee'] },
+    { id: 'R3', category: 'other', text: 'Describe staffing approach', keywords: ['staffing plan'] },
+    { id: 'R4', category: 'page_limits', text: 'Technical volume limited to 25 pages', keywords: ['25 pages'] },
+];
+
+let prevEnv;
+
+function seed({ pursuit = {}, dueInDays = 60 } = {}) {
+    admin._setMockCollection('users', { [OWNER]: { displayName: 'Olive Owner' } });
+    admin._setMockCollection('workspaceMembers', {
+        [`${WS}_${MEMBER}`]: { workspaceId: WS, uid: MEMBER, status: 'active', role: 'member', displayName: 'Max Member' },
+        [`${WS}_gone`]:      { workspaceId: WS, uid: 'gone', status: 'removed', role: 'member', displayName: 'Former' },
+    });
+    admin._setMockCollection('govOpportunities', {
+        'opp-1': { userId: OWNER, title: 'Janitorial Services', description: 'Base + 4 option years', dueDate: new Date(Date.now() + dueInDays * DAY).toISOString() },
+    });
+    admin._setMockCollection('govEvaluations', {
+        'eval-1': { pursuitId: 'pur-1', passA: { requirements: REQUIREMENTS } },
+    });
+    admin._setMockCollection('govPursuits', {
+        'pur-1': {
+            userId: OWNER, workspaceId: WS, profileId: 'prof-1', sourceOpportunityId: 'opp-1',
+            title: 'Janitorial Services', stage: 'planning', active: true, latestEvaluationId: 'eval-1',
+            ...pursuit,
+        },
+    });
+}
+
+function pursuitDoc() {
+    return admin._mockData.collections.govPursuits['pur-1'];
+}
+
+async function call(method, path, params, body, userId = OWNER) {
+    const res = testUtils.mockResponse();
+    await govcaptureRoutes.handle(testUtils.mockRequest({ method, path, params, body, userId }), res);
+    return res;
+}
+
+beforeEach(() => {
+    admin._resetMockData();
+    generateStructured.mockReset();
+    prevEnv = {
+        enabled:   process.env.GOVCAPTURE_ENABLED,
+        pursuits:  process.env.GOVCAPTURE_PURSUITS_ENABLED,
+        evaluator: process.env.GOVCAPTURE_EVALUATOR_ENABLED,
+    };
+    process.env.GOVCAPTURE_ENABLED = 'true';
+    process.env.GOVCAPTURE_PURSUITS_ENABLED = 'true';
+    process.env.GOVCAPTURE_EVALUATOR_ENABLED = 'true';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    for (const [key, name] of [['enabled', 'GOVCAPTURE_ENABLED'], ['pursuits', 'GOVCAPTURE_PURSUITS_ENABLED'], ['evaluator', 'GOVCAPTURE_EVALUATOR_ENABLED']]) {
+        if (prevEnv[key] !== undefined) process.env[name] = prevEnv[key];
+        else delete process.env[name];
+    }
+    jest.restoreAllMocks();
+});
+
+describe('backScheduleDueDates', () => {
+    const now = new Date('2026-10-01T00:00:00Z');
+
+    test('counts fixed offsets back from a distant deadline', () => {
+        const dates = backScheduleDueDates('2026-12-01T17:00:00.000Z', now);
+        expect(dates.planning).toBe('2026-11-10T17:00:00.000Z');        // 21 days
+        expect(dates.drafting).toBe('2026-11-21T17:00:00.000Z');        // 10 days
+        expect(dates.compliance_check).toBe('2026-11-27T17:00:00.000Z'); // 4 days
+        expect(dates.ready_to_submit).toBe('2026-11-30T17:00:00.000Z');  // 1 day
+        expect(dates.submitted).toBe('2026-12-01T17:00:00.000Z');
+        expect(dates.awaiting_result).toBeNull();
+    });
+
+    test('compresses to a share of the lead time when the deadline is close', () => {
+        const dates = backScheduleDueDates('2026-10-09T00:00:00.000Z', now); // 8 days out
+        expect(dates.planning).toBe('2026-10-03T00:00:00.000Z');  // 75% of 8 days = 6
+        expect(dates.drafting).toBe('2026-10-05T19:12:00.000Z');  // 40% = 3.2 days
+        expect(backScheduleDueDates(null, now).planning).toBeNull();
+    });
+});
+
+describe('checklist generation', () => {
+    test('builds stage tasks from the latest evaluation, routed to section owners', async () => {
+        seed({ pursuit: { sectionOwners: { compliance: { uid: MEMBER, name: 'Max Member' } } } });
+
+        const res = await call('POST', '/govcapture/pursuits/pur-1/tasks/generate', { pursuitId: 'pur-1' });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toMatchObject({ requirementsSource: 'evaluation', added: 12 });
+        expect(generateStructured).not.toHaveBeenCalled();
+
+        const tasks = pursuitDoc().tasks;
+        expect(tasks.find(t => t.requirementId === 'R1')).toMatchObject({
+            stage: 'compliance_check', section: 'compliance', source: 'requirement',
+            assigneeUid: MEMBER, assigneeName: 'Max Member', status: 'open',
+        });
+        expect(tasks.find(t => t.requirementId === 'R2')).toMatchObject({ stage: 'ready_to_submit', section: 'submission', assigneeUid: null });
+        expect(tasks.find(t => t.requirementId === 'R3')).toMatchObject({ stage: 'drafting', section: 'technical' });
+
+        const due = backScheduleDueDates(pursuitDoc().responseDeadline);
+        expect(new Date(tasks.find(t => t.requirementId === 'R1').dueDate).getTime())
+            .toBeCloseTo(new Date(due.compliance_check).getTime(), -4);
+    });
+
+    test('re-running keeps existing tasks and adds nothing', async () => {
+        seed();
+        await call('POST', '/govcapture/pursuits/pur-1/tasks/generate', { pursuitId: 'pur-1' });
+        const first = pursuitDoc().tasks;
+        const r1 = first.find(t => t.requirementId === 'R1');
+        await call('PUT', `/govcapture/pursuits/pur-1/tasks/${r1.id}`, { pursuitId: 'pur-1', taskId: r1.id }, { status: 'done' });
+
+        const res = await call('POST', '/govcapture/pursuits/pur-1/tasks/generate', { pursuitId: 'pur-1' });
+
+        expect(res.body.added).toBe(0);
+        expect(pursuitDoc().tasks).toHaveLength(first.length);
+        expect(pursuitDoc().tasks.find(t => t.id === r1.id).status).toBe('done');
+    });
+
+    test('falls back to extracting requirements from the RFP text', async () => {
+        seed({ pursuit: { latestEvaluationId: null } });
+        generateStructured.mockResolvedValue({ result: { requirements: [REQUIREMENTS[0]] }, usageMetadata: {} });
+
+        const res = await call('POST', '/govcapture/pursuits/pur-1/tasks/generate', { pursuitId: 'pur-1' });
+
+        expect(res.body).toMatchObject({ requirementsSource: 'extracted', added: 9 });
+        expect(generateStructured.mock.calls[0][0].userPrompt).toContain('Janitorial Services');
+        expect(pursuitDoc().extractedRequirements).toEqual([REQUIREMENTS[0]]);
+
+        // Stored on the pursuit: the next run doesn't call the model again
+        const again = await call('POST', '/govcapture/pursuits/pur-1/tasks/generate', { pursuitId: 'pur-1' });
+        expect(again.body).toMatchObject({ requirementsSource: 'extracted', added: 0 });
+        expect(generateStructured).toHaveBeenCalledTimes(1);
+
+        // An amendment after the extraction makes it stale
+        admin._mockData.collections.govOpportunities['opp-1'].lastAmendedAt = new Date(Date.now() + 1000).toISOString();
+        await call('POST', '/govcapture/pursuits/pur-1/tasks/generate', { pursuitId: 'pur-1' });
+        expect(generateStructured).toHaveBeenCalledTimes(2);
+    });
+
+    test('with the evaluator off, no extraction runs and the checklist is the stage templates', async () => {
+        process.env.GOVCAPTURE_EVALUATOR_ENABLED = 'false';
+        seed({ pursuit: { latestEvaluationId: null } });
+
+        const res = await call('POST', '/govcapture/pursuits/pur-1/tasks/generate', { pursuitId: 'pur-1' });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toMatchObject({ requirementsSource: 'none', added: 8 });
+        expect(generateStructured).not.toHaveBeenCalled();
+        expect(pursuitDoc().tasks.every(t => t.source !== 'requirement')).toBe(true);
+    });
+
+    test('another tenant cannot generate tasks', async () => {
+        seed();
+        const res = await call('POST', '/govcapture/pursuits/pur-1/tasks/generate', { pursuitId: 'pur-1' }, undefined, 'stranger');
+        expect(res.statusCode).toBe(403);
+    });
+});
+
+describe('section owners and task updates', () => {
+    test('assigning a section owner hands over open tasks not assigned by hand', async () => {
+        seed();
+        await call('POST', '/govcapture/pursuits/pur-1/tasks/generate', { pursuitId: 'pur-1' });
+        const [pinned, done] = pursuitDoc().tasks.filter(t => t.section === 'compliance');
+        await call('PUT', `/govcapture/pursuits/pur-1/tasks/${pinned.id}`, { pursuitId: 'pur-1', taskId: pinned.id }, { assigneeUid: OWNER });
+        await call('PUT', `/govcapture/pursuits/pur-1/tasks/${done.id}`, { pursuitId: 'pur-1', taskId: done.id }, { status: 'done' });
+
+        const res = await call('PUT', '/govcapture/pursuits/pur-1/team', { pursuitId: 'pur-1' }, { sectionOwners: { compliance: MEMBER } });
+
+        expect(res.statusCode).toBe(200);
+        expect(pursuitDoc().sectionOwners).toEqual({ compliance: { uid: MEMBER, name: 'Max Member' } });
+        const compliance = pursuitDoc().tasks.filter(t => t.section === 'compliance');
+        expect(compliance.find(t => t.id === pinned.id)).toMatchObject({ assigneeUid: OWNER, assigneeName: 'Olive Owner' });
+        expect(compliance.find(t => t.id === done.id).assigneeUid).toBeNull();
+        expect(compliance.filter(t => t.assigneeUid === MEMBER).map(t => t.requirementId)).toEqual(['R4']);
+        expect(pursuitDoc().tasks.filter(t => t.section === 'technical').every(t => t.assigneeUid === null)).toBe(true);
+    });
+
+    test('rejects assignees outside the workspace and unknown sections', async () => {
+        seed();
+        expect((await call('PUT', '/govcapture/pursuits/pur-1/team', { pursuitId: 'pur-1' }, { sectionOwners: { pricing: 'gone' } })).statusCode).toBe(400);
+        expect((await call('PUT', '/govcapture/pursuits/pur-1/team', { pursuitId: 'pur-1' }, { sectionOwners: { legal: MEMBER } })).statusCode).toBe(400);
+        expect(pursuitDoc().sectionOwners).toBeUndefined();
+    });
+
+    test('manual tasks default to the section owner; completion records who did it', async () => {
+        seed({ pursuit: { sectionOwners: { pricing: { uid: MEMBER, name: 'Max Member' } } } });
+
+        const created = await call('POST', '/govcapture/pursuits/pur-1/tasks', { pursuitId: 'pur-1' },
+            { title: 'Get subcontractor quotes', stage: 'drafting', section: 'pricing', dueDate: '2026-11-01T00:00:00.000Z' });
+        expect(created.statusCode).toBe(201);
+        expect(created.body.task).toMatchObject({ source: 'manual', assigneeUid: MEMBER, assignedManually: false, dueDate: '2026-11-01T00:00:00.000Z' });
+
+        const taskId = created.body.task.id;
+        const done = await call('PUT', `/govcapture/pursuits/pur-1/tasks/${taskId}`, { pursuitId: 'pur-1', taskId }, { status: 'done' }, MEMBER);
+        // Members act under the owner's gov identity via entitlementOwnerUid
+        expect(done.statusCode).toBe(403);
+
+        const req = testUtils.mockRequest({ method: 'PUT', path: `/govcapture/pursuits/pur-1/tasks/${taskId}`, params: { pursuitId: 'pur-1', taskId }, body: { status: 'done' }, userId: MEMBER });
+        req.entitlementOwnerUid = OWNER;
+        const res = testUtils.mockResponse();
+        await govcaptureRoutes.handle(req, res);
+        expect(res.body.task).toMatchObject({ status: 'done', doneByUid: MEMBER });
+
+        expect((await call('PUT', '/govcapture/pursuits/pur-1/tasks/nope', { pursuitId: 'pur-1', taskId: 'nope' }, { status: 'done' })).statusCode).toBe(404);
+        expect((await call('POST', '/govcapture/pursuits/pur-1/tasks', { pursuitId: 'pur-1' }, { title: 'x', stage: 'won' })).statusCode).toBe(400);
+    });
+});
+
+describe('overdue reminders', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+    const pursuits = [
+        { id: 'p1', title: 'Janitorial', active: true, tasks: [
+            { id: 'a', title: 'Complete SF-1449', stage: 'compliance_check', dueDate: '2026-10-15T00:00:00.000Z', status: 'open', assigneeName: 'Max Member' },
+            { id: 'b', title: 'Draft approach', stage: 'drafting', dueDate: '2026-10-10T00:00:00.000Z', status: 'done' },
+            { id: 'c', title: 'Submit', stage: 'ready_to_submit', dueDate: '2026-10-25T00:00:00.000Z', status: 'open' },
+        ] },
+        { id: 'p2', title: 'Closed', active: false, tasks: [
+            { id: 'd', title: 'Old', stage: 'planning', dueDate: '2026-09-01T00:00:00.000Z', status: 'open' },
+        ] },
+    ];
+
+    test('only open tasks past due on active pursuits', () => {
+        expect(collectOverdueTasks(pursuits, now)).toEqual([{
+            pursuitId: 'p1', pursuitTitle: 'Janitorial', taskId: 'a', title: 'Complete SF-1449',
+            stage: 'compliance_check', dueDate: '2026-10-15T00:00:00.000Z', assigneeName: 'Max Member',
+        }]);
+    });
+
+    test('the digest sends for overdue tasks alone', () => {
+        const digest = composeDigest({ profileName: 'Acme' }, [], { overdueTasks: collectOverdueTasks(pursuits, now) });
+
+        expect(digest.subject).toBe('SynchGov daily digest: 1 overdue pursuit task for Acme');
+        expect(digest.overdueTaskCount).toBe(1);
+        expect(digest.textBody).toContain('Complete SF-1449 (Janitorial) — due 10/15/2026 · Max Member');
+        expect(digest.htmlBody).toContain('Overdue Pursuit Tasks');
+    });
+});
@@ -0,0 +1,378 @@
+'use strict';
+
+/**
+ * Pluggable opportunity sources: state RSS/CSV and grants.gov adapters,
+ * sourceSyncService cross-source dedup + SourceRun counts, and the
+ * /govcapture/sources routes.
+ */
+
+jest.mock('firebase-admin');
+jest.mock('../services/govcapture/samGovClient', () => ({ searchOpportunities: jest.fn() }));
+jest.mock('../utils/ssrfGuard', () => ({ ...jest.requireActual('../utils/ssrfGuard'), ssrfSafeRequest: jest.fn() }));
+
+const admin = require('firebase-admin');
+const AdmZip = require('adm-zip');
+const { Readable } = require('stream');
+const { ssrfSafeRequest } = require('../utils/ssrfGuard');
+const { searchOpportunities } = require('../services/govcapture/samGovClient');
+const { getAdapter, validateSourceConfigs, fetchFeed } = require('../services/govcapture/sourceAdapters');
+const { syncProfileSource } = require('../services/govcapture/sourceSyncService');
+const { syncProfileFromSam } = require('../services/govcapture/samSyncService');
+const govcaptureRoutes = require('../routes/govcaptureRoutes');
+
+const USER = 'user-gov';
+
+const RSS_FEED = `<?xml version="1.0"?>
+<rss version="2.0"><channel><title>Ohio Procurement</title>
+  <item>
+    <title>Network Cabling Services</title>
+    <link>https://procure.ohio.gov/bids/881</link>
+    <guid>bid-881</guid>
+    <pubDate>Mon, 05 Oct 2026 12:00:00 GMT</pubDate>
+    <description>Bid Number: OH-2026-0881. Structured cabling for district offices. Due Date: 11/20/2026</description>
+  </item>
+  <item>
+    <title>Lawn Mowing</title>
+    <link>https://procure.ohio.gov/bids/882</link>
+    <guid>bid-882</guid>
+    <description>Seasonal grounds maintenance.</description>
+  </item>
+</channel></rss>`;
+
+const CSV_FEED = [
+    'Bid #,Bid Title,Agency,Closing Date,NAICS,Link',
+    'TX-55012,Fiber Optic Cabling Install,Texas DIR,2026-12-01,238210,https://txsmartbuy.gov/55012',
+    'TX-55013,Office Furniture,Texas DIR,2026-12-02,337214,https://txsmartbuy.gov/55013',
+].join('\n');
+
+const GRANTS_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<Grants xmlns="http://apply.grants.gov/system/OpportunityDetail-V1.0">
+  <OpportunitySynopsisDetail_1_0>
+    <OpportunityID>350001</OpportunityID>
+    <OpportunityTitle>Rural Broadband Cabling &amp; Networks</OpportunityTitle>
+    <OpportunityNumber>USDA-RUS-26-001</OpportunityNumber>
+    <AgencyCode>USDA-RUS</AgencyCode>
+    <AgencyName>Rural Utilities Service</AgencyName>
+    <PostDate>10012026</PostDate>
+    <CloseDate>12152026</CloseDate>
+    <LastUpdatedDate>10102026</LastUpdatedDate>
+    <AwardCeiling>2500000</AwardCeiling>
+    <Description>Grants for last-mile cabling.</Description>
+  </OpportunitySynopsisDetail_1_0>
+  <OpportunitySynopsisDetail_1_0>
+    <OpportunityID>349000</OpportunityID>
+    <OpportunityTitle>Stale Cabling Grant</OpportunityTitle>
+    <PostDate>01022025</PostDate>
+    <LastUpdatedDate>01022025</LastUpdatedDate>
+  </OpportunitySynopsisDetail_1_0>
+</Grants>`;
+
+const PROFILE = {
+    userId: USER,
+    status: 'active',
+    solutions: [{ name: 'Cabling', keywords: ['cabling'] }],
+    opportunitySources: [
+        { id: 'ohio', type: 'state_rss', name: 'Ohio bids', url: 'https://procure.ohio.gov/rss', state: 'OH', enabled: true },
+        { id: 'texas', type: 'state_csv', name: 'Texas ESBD', url: 'https://txsmartbuy.gov/export.csv', state: 'TX', enabled: true },
+        { id: 'grants', type: 'grants_gov', name: 'Grants.gov', url: 'https://grants.gov/extract.zip', enabled: true },
+    ],
+};
+
+function mockFetchBody(body) {
+    ssrfSafeRequest.mockImplementation(async () => ({
+        status: 200,
+        data: Readable.from([Buffer.isBuffer(body) ? body : Buffer.from(body)]),
+    }));
+}
+
+function opportunities() {
+    return Object.values(admin._mockData.collections.govOpportunities || {});
+}
+
+function sourceRuns() {
+    return Object.values(admin._mockData.collections.govSourceRuns || {});
+}
+
+const origEnv = process.env.GOVCAPTURE_ENABLED;
+
+beforeEach(() => {
+    admin._resetMockData();
+    admin._setMockCollection('govProfiles', { 'prof-1': PROFILE });
+    process.env.GOVCAPTURE_ENABLED = 'true';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    ssrfSafeRequest.mockReset();
+    if (origEnv !== undefined) process.env.GOVCAPTURE_ENABLED = origEnv;
+    else delete process.env.GOVCAPTURE_ENABLED;
+    jest.restoreAllMocks();
+});
+
+// ── Adapters ─────────────────────────────────────────────────────────────────
+
+describe('state and grants.gov adapters', () => {
+    test('RSS items pick up solicitation number and due date from the body', async () => {
+        mockFetchBody(RSS_FEED);
+        const adapter = getAdapter('state_rss');
+        const config = PROFILE.opportunitySources[0];
+
+        const fetched = await adapter.fetchRecords({ config });
+        const opp = adapter.normalize(fetched.records[0], { profileId: 'prof-1', userId: USER, config });
+
+        expect(opp).toMatchObject({
+            primarySource:      'state_rss',
+            title:              'Network Cabling Services',
+            buyerName:          'Ohio Procurement',
+            solicitationNumber: 'OH-2026-0881',
+            location:           { state: 'OH', country: 'US' },
+            dateParseStatus:    'parsed',
+        });
+        expect(opp.dueDate.substring(0, 10)).toBe('2026-11-20');
+        expect(opp.sourceRefs[0]).toMatchObject({ source: 'state_rss', sourceId: 'ohio', sourceExternalId: 'bid-881' });
+    });
+
+    test('CSV columns resolve from portal headers or an explicit columnMap', async () => {
+        mockFetchBody(CSV_FEED);
+        const adapter = getAdapter('state_csv');
+        const config = PROFILE.opportunitySources[1];
+
+        const fetched = await adapter.fetchRecords({ config });
+        const opp = adapter.normalize(fetched.records[0], { profileId: 'prof-1', userId: USER, config });
+        expect(opp).toMatchObject({
+            title: 'Fiber Optic Cabling Install', solicitationNumber: 'TX-55012', buyerName: 'Texas DIR',
+            naicsCodes: ['238210'], sourceRefs: [expect.objectContaining({ sourceUrl: 'https://txsmartbuy.gov/55012' })],
+        });
+
+        mockFetchBody('Name,Where\nCabling job,Austin\n');
+        expect(await adapter.fetchRecords({ config })).toMatchObject({ success: false, error: expect.stringContaining('columnMap.title') });
+        const mapped = await adapter.fetchRecords({ config: { ...config, columnMap: { title: 'Name' } } });
+        expect(mapped.records[0].columns.title).toBe('Name');
+    });
+
+    test('grants.gov zipped extracts keep only records touched since the last sync', async () => {
+        const zip = new AdmZip();
+        zip.addFile('GrantsDBExtract20261018v2.xml', Buffer.from(GRANTS_XML));
+        mockFetchBody(zip.toBuffer());
+        const adapter = getAdapter('grants_gov');
+        const config = PROFILE.opportunitySources[2];
+
+        const fetched = await adapter.fetchRecords({ config, lastSyncDate: '2026-09-01T00:00:00.000Z' });
+        expect(fetched.records.map(r => r.OpportunityID)).toEqual(['350001']);
+
+        const opp = adapter.normalize(fetched.records[0], { profileId: 'prof-1', userId: USER, config });
+        expect(opp).toMatchObject({
+            title: 'Rural Broadband Cabling & Networks', noticeType: 'grant', estimatedValue: 2500000,
+            solicitationNumber: 'USDA-RUS-26-001', sourceConfidence: 'high',
+        });
+        expect(opp.dueDate.substring(0, 10)).toBe('2026-12-15');
+    });
+
+    test('grants.gov extracts are scanned in chunks, so records can straddle a chunk boundary', async () => {
+        const record = i => `<OpportunitySynopsisDetail_1_0><OpportunityID>${i}</OpportunityID>`
+            + `<OpportunityTitle>Cabling grant ${i}</OpportunityTitle><LastUpdatedDate>10102026</LastUpdatedDate>`
+            + `<Description>${'x'.repeat(200)}</Description></OpportunitySynopsisDetail_1_0>`;
+        const forecast = '<OpportunityForecastDetail_1_0><OpportunityID>f</OpportunityID></OpportunityForecastDetail_1_0>';
+        const xml = `<?xml version="1.0"?><Grants>${Array.from({ length: 5000 }, (_, i) => record(i) + forecast).join('\n')}</Grants>`;
+        mockFetchBody(xml);
+
+        const fetched = await getAdapter('grants_gov').fetchRecords({ config: PROFILE.opportunitySources[2], lastSyncDate: '2026-09-01T00:00:00.000Z' });
+
+        expect(fetched.success).toBe(true);
+        expect(fetched.records).toHaveLength(5000);
+        expect(fetched.records[4999]).toMatchObject({ OpportunityID: '4999', OpportunityTitle: 'Cabling grant 4999' });
+    });
+
+    test('grants.gov archives declaring an oversized XML entry are refused before inflating', async () => {
+        const zip = new AdmZip();
+        zip.addFile('GrantsDBExtract20261018v2.xml', Buffer.from(GRANTS_XML));
+        const buffer = zip.toBuffer();
+        // Uncompressed size in the central directory record
+        const central = buffer.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+        buffer.writeUInt32LE(0xfffffff0, central + 24);
+        mockFetchBody(buffer);
+
+        const fetched = await getAdapter('grants_gov').fetchRecords({ config: PROFILE.opportunitySources[2] });
+
+        expect(fetched).toMatchObject({ success: false, error: 'Extract parse error: Extract XML is too large' });
+    });
+
+    test('feed fetch failures come back as errors, not throws', async () => {
+        ssrfSafeRequest.mockResolvedValue({ status: 503, data: Readable.from([]) });
+        const result = await getAdapter('state_rss').fetchRecords({ config: PROFILE.opportunitySources[0] });
+        expect(result).toEqual({ success: false, records: [], error: 'HTTP 503 from https://procure.ohio.gov/rss' });
+    });
+});
+
+describe('fetchFeed', () => {
+    test('goes through the SSRF guard with redirects off and a streamed body', async () => {
+        mockFetchBody(RSS_FEED);
+
+        const result = await fetchFeed('https://procure.ohio.gov/rss');
+
+        expect(result).toEqual({ success: true, data: Buffer.from(RSS_FEED), error: null });
+        expect(ssrfSafeRequest).toHaveBeenCalledWith('https://procure.ohio.gov/rss', expect.objectContaining({
+            method: 'GET', maxRedirects: 0, responseType: 'stream',
+        }));
+    });
+
+    test('stops reading once the body passes the cap', async () => {
+        const pulled = [];
+        const body = Readable.from((function* () {
+            for (let i = 0; i < 10; i++) {
+                pulled.push(i);
+                yield Buffer.alloc(400);
+            }
+        })());
+        ssrfSafeRequest.mockResolvedValue({ status: 200, data: body });
+
+        const result = await fetchFeed('https://procure.ohio.gov/rss', { maxBytes: 1000 });
+
+        expect(result).toMatchObject({ success: false, data: null, error: expect.stringMatching(/^Feed exceeds/) });
+        expect(pulled.length).toBeLessThan(10);
+        expect(body.destroyed).toBe(true);
+    });
+
+    test('private addresses, metadata IPs and redirects are refused', async () => {
+        const actual = jest.requireActual('../utils/ssrfGuard');
+        ssrfSafeRequest.mockImplementation(actual.ssrfSafeRequest);
+
+        expect(await fetchFeed('https://169.254.169.254/latest/meta-data'))
+            .toMatchObject({ success: false, error: 'Feed URL not allowed (blocked_ip: 169.254.169.254)' });
+        expect(await fetchFeed('https://127.0.0.1/rss')).toMatchObject({ success: false });
+
+        ssrfSafeRequest.mockRejectedValue(new actual.SsrfError('too_many_redirects'));
+        expect(await fetchFeed('https://procure.ohio.gov/rss'))
+            .toMatchObject({ success: false, error: 'Feed at https://procure.ohio.gov/rss redirects; configure the final URL' });
+
+        expect(validateSourceConfigs([{ id: 'x', type: 'state_rss', name: 'Internal', url: 'https://10.0.0.5/rss' }]))
+            .toMatchObject({ valid: false });
+    });
+});
+
+// ── Sync + dedup ─────────────────────────────────────────────────────────────
+
+describe('syncProfileSource', () => {
+    test('keeps profile matches only and records counts on the SourceRun', async () => {
+        mockFetchBody(RSS_FEED);
+
+        const run = await syncProfileSource('prof-1', USER, 'ohio');
+
+        expect(run).toMatchObject({ status: 'completed', source: 'ohio', sourceType: 'state_rss', totalFetched: 2, filtered: 1, created: 1 });
+        expect(opportunities().map(o => o.title)).toEqual(['Network Cabling Services']);
+        expect(sourceRuns()).toEqual([expect.objectContaining({ source: 'ohio', created: 1, filtered: 1 })]);
+
+        const again = await syncProfileSource('prof-1', USER, 'ohio');
+        expect(again).toMatchObject({ created: 0, updated: 1 });
+        expect(opportunities()).toHaveLength(1);
+    });
+
+    test('a state posting of a SAM.gov solicitation merges into the SAM record', async () => {
+        searchOpportunities.mockResolvedValue({
+            success: true,
+            data: { opportunities: [{
+                noticeId: 'sam-1', title: 'Structured Cabling, District Offices', solicitationNumber: 'OH-2026-0881',
+                fullParentPathName: 'GSA', naicsCode: '238210', responseDeadLine: null,
+            }] },
+        });
+        await syncProfileFromSam('prof-1', USER);
+        expect(opportunities()).toHaveLength(1);
+
+        mockFetchBody(RSS_FEED);
+        const run = await syncProfileSource('prof-1', USER, 'ohio');
+
+        expect(run).toMatchObject({ created: 0, deduped: 1 });
+        const [opp] = opportunities();
+        expect(opp.primarySource).toBe('sam_gov');
+        expect(opp.sourceRefs.map(r => r.source)).toEqual(['sam_gov', 'state_rss']);
+        expect(opp.dueDate.substring(0, 10)).toBe('2026-11-20'); // filled from the state posting
+    });
+
+    test('dedup never crosses users', async () => {
+        mockFetchBody(RSS_FEED);
+        await syncProfileSource('prof-1', USER, 'ohio');
+
+        admin._setMockCollection('govProfiles', { 'prof-2': { ...PROFILE, userId: 'someone-else' } });
+        const run = await syncProfileSource('prof-2', 'someone-else', 'ohio');
+
+        expect(run).toMatchObject({ created: 1, deduped: 0 });
+        expect(opportunities()).toHaveLength(2);
+    });
+
+    test('the record cap applies to upserts and a capped run resumes where it stopped', async () => {
+        const rows = ['Bid #,Bid Title,Agency,Closing Date,NAICS,Link'];
+        for (let i = 0; i < 3; i++) rows.push(`TX-1${i},Office Furniture ${i},Texas DIR,2026-12-02,337214,https://txsmartbuy.gov/1${i}`);
+        for (let i = 0; i < 502; i++) rows.push(`TX-2${i},Cabling Install ${i},Texas DIR,2026-12-01,238210,https://txsmartbuy.gov/2${i}`);
+        mockFetchBody(rows.join('\n'));
+
+        const run = await syncProfileSource('prof-1', USER, 'texas');
+
+        expect(run).toMatchObject({ status: 'partial', totalFetched: 505, filtered: 3, created: 500, truncated: true, resumeFrom: 503, syncedFrom: null });
+        expect(run.errors).toEqual(['Stopped after 500 records; 2 left for the next sync']);
+
+        admin._setMockCollection('govSourceRuns', { 'run-1': { ...run, createdAt: new Date() } });
+        const next = await syncProfileSource('prof-1', USER, 'texas');
+
+        expect(next).toMatchObject({ status: 'completed', created: 2, updated: 0, truncated: false, syncedFrom: null });
+        expect(opportunities()).toHaveLength(502);
+    });
+
+    test('unknown or disabled sources fail the run', async () => {
+        admin._setMockCollection('govProfiles', {
+            'prof-1': { ...PROFILE, opportunitySources: [{ ...PROFILE.opportunitySources[0], enabled: false }] },
+        });
+
+        const run = await syncProfileSource('prof-1', USER, 'ohio');
+
+        expect(run.status).toBe('failed');
+        expect(run.errors).toEqual(['Source ohio is not configured or disabled']);
+    });
+});
+
+// ── Routes ───────────────────────────────────────────────────────────────────
+
+describe('source routes', () => {
+    async function call(opts) {
+        const res = testUtils.mockResponse();
+        await govcaptureRoutes.handle(testUtils.mockRequest({ userId: USER, ...opts }), res);
+        return res;
+    }
+
+    test('PUT /govcapture/profiles/:profileId/sources validates each source config', async () => {
+        const bad = await call({
+            method: 'PUT', path: '/govcapture/profiles/prof-1/sources', params: { profileId: 'prof-1' },
+            body: { sources: [{ id: 'ca', type: 'state_rss', name: 'Cal eProcure', url: 'http://caleprocure.ca.gov/rss' }] },
+        });
+        expect(bad.statusCode).toBe(400);
+        expect(bad.body.error).toBe('sources[0]: url must use https');
+
+        const ok = await call({
+            method: 'PUT', path: '/govcapture/profiles/prof-1/sources', params: { profileId: 'prof-1' },
+            body: { sources: [{ id: 'ca', type: 'state_csv', name: 'Cal eProcure', url: 'https://caleprocure.ca.gov/export.csv', state: 'CA' }] },
+        });
+        expect(ok.statusCode).toBe(200);
+        expect(admin._mockData.collections.govProfiles['prof-1'].opportunitySources).toEqual([
+            expect.objectContaining({ id: 'ca', type: 'state_csv', enabled: true }),
+        ]);
+    });
+
+    test('POST /govcapture/sources/:sourceId/sync runs a configured source and 404s otherwise', async () => {
+        mockFetchBody(CSV_FEED);
+
+        const res = await call({ method: 'POST', path: '/govcapture/sources/texas/sync', params: { sourceId: 'texas' }, body: { profileId: 'prof-1' } });
+        expect(res.statusCode).toBe(200);
+        expect(res.body.sourceRun).toMatchObject({ source: 'texas', created: 1, filtered: 1 });
+
+        const missing = await call({ method: 'POST', path: '/govcapture/sources/nope/sync', params: { sourceId: 'nope' }, body: { profileId: 'prof-1' } });
+        expect(missing.statusCode).toBe(404);
+
+        const runs = await call({ method: 'GET', path: '/govcapture/source-runs', query: { profileId: 'prof-1', source: 'texas' } });
+        expect(runs.body.sourceRuns).toHaveLength(1);
+    });
+});
+
+test('validateSourceConfigs rejects SAM.gov and duplicate ids', () => {
+    const ohio = PROFILE.opportunitySources[0];
+    expect(validateSourceConfigs([{ ...ohio, type: 'sam_gov' }]).valid).toBe(false);
+    expect(validateSourceConfigs([ohio, ohio])).toEqual({ valid: false, error: 'Duplicate source id: ohio' });
+});
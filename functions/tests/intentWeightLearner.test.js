@@ -0,0 +1,152 @@
+'use strict';
+
+/**
+ * Per-merchant learned intent weights: services/intentWeightLearner.js, learned weights
+ * in visitorSignalService.scoreSession(), and GET /merchant-config/calibration-report.
+ */
+
+jest.mock('firebase-admin');
+jest.mock('../middleware/planGate', () => ({ getUserPlan: jest.fn(async () => 'scale') }));
+
+const admin = require('firebase-admin');
+const learner = require('../services/intentWeightLearner');
+const { scoreSession, TAG_WEIGHTS } = require('../services/visitorSignalService');
+const { computeAccountKey } = require('../services/visitorIdentityGraph');
+const merchantConfigRoutes = require('../routes/merchantConfigRoutes');
+const pitchOutcomeRoutes = require('../routes/pitchOutcomeRoutes');
+
+const MERCHANT = 'merchant1';
+
+function session(id, tags, eventTypes = ['page_view']) {
+    const tagBreakdown = Object.fromEntries(tags.map(tag => [tag, { count: 1, points: TAG_WEIGHTS[tag].base }]));
+    return { sessionId: id, startTime: new Date(), tagBreakdown, eventTypes };
+}
+
+/**
+ * 60 pricing sessions (20 submit a form) and 60 unclassified sessions (2 submit a form)
+ */
+function seedSessions() {
+    const sessions = {};
+    for (let i = 0; i < 60; i++) {
+        sessions[`p${i}`] = session(`p${i}`, ['pricing'], i < 20 ? ['page_view', 'form_submit'] : ['page_view']);
+        sessions[`u${i}`] = session(`u${i}`, ['unclassified'], i < 2 ? ['page_view', 'form_submit'] : ['page_view']);
+    }
+    admin._setMockCollection(`websiteVisitors/${MERCHANT}/sessions`, sessions);
+}
+
+beforeEach(() => {
+    admin._resetMockData();
+    admin._setMockCollection('merchantConfig', { [MERCHANT]: { learningModeActive: false } });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    console.log.mockRestore();
+});
+
+describe('refitMerchantWeights', () => {
+    test('raises weights for tags that convert and lowers them for tags that do not', async () => {
+        seedSessions();
+        const report = await learner.refitMerchantWeights(MERCHANT);
+
+        expect(report).toMatchObject({ status: 'fitted', sessionCount: 120, conversionCount: 22, baselineRate: 0.183 });
+
+        const pricing = report.features.find(f => f.feature === 'pricing');
+        expect(pricing).toMatchObject({ before: 30, after: 48, sessions: 60, conversions: 20, lift: 1.82 });
+        expect(pricing.reason).toBe('Sessions with pricing converted at 33.3% vs 18.3% overall (1.82× lift over 60 sessions) → weight 30 → 48');
+        expect(report.features.find(f => f.feature === 'unclassified')).toMatchObject({ before: 5, after: 3, factor: 0.5 });
+
+        const { learnedWeights } = admin._mockData.collections.merchantConfig[MERCHANT];
+        expect(learnedWeights.tagWeights.pricing).toEqual({ base: 48, multiplier: 1.5 });
+        expect(report.separation.after.convertedAvgScore).toBeGreaterThan(report.separation.before.convertedAvgScore);
+    });
+
+    test('learns the form_submit weight from won deals only', async () => {
+        seedSessions();
+        admin._setMockCollection('pitchOutcomes', {
+            pitch1: { userId: MERCHANT, status: 'won', accountKey: 'acct1' },
+            pitch2: { userId: 'someone-else', status: 'won', accountKey: 'acct2' },
+        });
+        admin._setMockCollection(`visitorIntelSummary/${MERCHANT}/accounts`, {
+            acct1: { sessions: ['p0', 'p1', 'p2', 'p3', 'p4'].map(sessionId => ({ sessionId })) },
+        });
+
+        const report = await learner.refitMerchantWeights(MERCHANT);
+        const formSubmit = report.features.find(f => f.feature === 'form_submit');
+
+        expect(report).toMatchObject({ wonDeals: 1, wonSessions: 5 });
+        expect(formSubmit).toMatchObject({ sessions: 22, conversions: 5 });
+        expect(formSubmit.after).toBeGreaterThan(formSubmit.before);
+    });
+
+    test('keeps current weights when there is too little data', async () => {
+        admin._setMockCollection(`websiteVisitors/${MERCHANT}/sessions`, {
+            s1: session('s1', ['pricing'], ['page_view', 'form_submit']),
+            // Outside the training window
+            s2: { ...session('s2', ['pricing'], ['page_view', 'form_submit']), startTime: new Date(Date.now() - 91 * 864e5) },
+        });
+
+        const report = await learner.refitMerchantWeights(MERCHANT);
+
+        expect(report.status).toBe('insufficient_data');
+        expect(report.message).toContain('have 1 and 1');
+        expect(admin._mockData.collections.merchantConfig[MERCHANT].learnedWeights).toBeUndefined();
+    });
+
+    test('refitAllMerchants skips merchants that opted out', async () => {
+        seedSessions();
+        admin._setMockCollection('merchantConfig', {
+            [MERCHANT]: { learningModeActive: false },
+            optedOut: { learningModeActive: false, learnedWeightsEnabled: false },
+            learning: { learningModeActive: true },
+        });
+
+        await expect(learner.refitAllMerchants()).resolves.toEqual({ fitted: 1, skipped: 1, errors: 0 });
+    });
+});
+
+describe('scoreSession with learned weights', () => {
+    test('uses merchant weights and falls back to defaults for the rest', () => {
+        const defaults = scoreSession({ pages: ['/pricing'], events: { form_submit: true } });
+        const learned = scoreSession({
+            pages: ['/pricing'],
+            events: { form_submit: true },
+            tagWeights: { pricing: { base: 48, multiplier: 1.5 } },
+        });
+
+        expect(learned.score - defaults.score).toBe(18);
+        expect(learned.tagBreakdown.pricing.points).toBe(48);
+    });
+});
+
+describe('GET /merchant-config/calibration-report', () => {
+    test('includes the before/after learned weight report', async () => {
+        seedSessions();
+        await learner.refitMerchantWeights(MERCHANT);
+
+        const res = testUtils.mockResponse();
+        await merchantConfigRoutes.handle(testUtils.mockRequest({ path: '/merchant-config/calibration-report', userId: MERCHANT }), res);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data.learnedWeights).toMatchObject({ status: 'fitted', sessionCount: 120 });
+        expect(res.body.data.learnedWeights.features[0].feature).toBe('pricing');
+    });
+});
+
+describe('PUT /pitches/:pitchId/outcome', () => {
+    test('records the owner and visitor account so won deals can be learned from', async () => {
+        admin._setMockCollection('pitches', { pitch1: { userId: MERCHANT, websiteUrl: 'https://www.acme.com/about' } });
+
+        const res = testUtils.mockResponse();
+        await pitchOutcomeRoutes.handle(testUtils.mockRequest({
+            method: 'PUT', path: '/pitches/pitch1/outcome', userId: MERCHANT, params: { pitchId: 'pitch1' }, body: { status: 'won' },
+        }), res);
+
+        expect(res.statusCode).toBe(200);
+        expect(admin._mockData.collections.pitchOutcomes.pitch1).toMatchObject({
+            userId: MERCHANT,
+            status: 'won',
+            accountKey: computeAccountKey('acme.com'),
+        });
+    });
+});
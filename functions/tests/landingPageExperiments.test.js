@@ -0,0 +1,256 @@
+'use strict';
+
+/**
+ * Landing page A/B variants: services/landingPageExperiments.js and the
+ * /landing-pages/:id/variants, /landing-pages/track and /landing-pages/public/:slug routes.
+ */
+
+jest.mock('firebase-admin');
+jest.mock('../services/modelRouter', () => ({}));
+
+const admin = require('firebase-admin');
+const experiments = require('../services/landingPageExperiments');
+const landingPageRoutes = require('../routes/landingPageRoutes');
+
+const OWNER = 'user1';
+const PAGE_ID = 'page1';
+const SLUG = 'acme-synch-202610-abc123';
+
+const PAGE_CONTENT = {
+    headline: 'Grow bookings at Acme',
+    subheadline: 'A plan built for your clinic',
+    painPoints: ['Empty afternoon slots'],
+    solution: 'Automated reminders',
+    stats: [{ value: '32%', label: 'fewer no-shows' }],
+    cta: { text: 'Book a call', urgency: 'Two slots left this week' },
+};
+
+function seedPage(overrides = {}) {
+    admin._setMockCollection('landingPages', {
+        [PAGE_ID]: {
+            userId: OWNER, slug: SLUG, isActive: true, pageContent: PAGE_CONTENT,
+            ctaType: 'calendly', ctaDestination: 'https://cal.example/acme', viewLog: [], views: 0,
+            ...overrides,
+        },
+    });
+}
+
+function page() {
+    return admin._mockData.collections.landingPages[PAGE_ID];
+}
+
+async function call(method, path, { body = {}, params = {}, query = {}, headers = {}, userId = OWNER } = {}) {
+    const res = testUtils.mockResponse();
+    await landingPageRoutes.handle(testUtils.mockRequest({ method, path, body, params, query, headers, userId }), res);
+    return res;
+}
+
+async function startTest(body) {
+    return call('PUT', `/landing-pages/${PAGE_ID}/variants`, {
+        params: { id: PAGE_ID },
+        body: { variants: [{ headline: 'Fill every afternoon slot', ctaText: 'See my plan', sectionOrder: ['stats', 'solution'] }], ...body },
+    });
+}
+
+beforeEach(() => {
+    admin._resetMockData();
+    seedPage();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    console.log.mockRestore();
+});
+
+describe('buildExperiment', () => {
+    test('turns the current content into the control and splits traffic evenly', () => {
+        const experiment = experiments.buildExperiment(PAGE_CONTENT, { variants: [{ headline: 'New headline' }] });
+
+        expect(experiment.variants).toEqual([
+            expect.objectContaining({ variantId: 'control', isControl: true, weight: 50, headline: 'Grow bookings at Acme', ctaText: 'Book a call' }),
+            expect.objectContaining({ variantId: 'variant_1', isControl: false, weight: 50, name: 'Variant B', headline: 'New headline' }),
+        ]);
+        expect(experiment.statsConfig).toMatchObject({ primaryMetric: 'conversionRate', minSamplesPerVariant: 50 });
+    });
+
+    test('rejects variants that change nothing or use unknown sections', () => {
+        expect(() => experiments.buildExperiment(PAGE_CONTENT, { variants: [{ name: 'Empty' }] })).toThrow('must change at least one');
+        expect(() => experiments.buildExperiment(PAGE_CONTENT, { variants: [{ sectionOrder: ['pricing'] }] })).toThrow('sectionOrder');
+    });
+});
+
+describe('PUT /landing-pages/:id/variants', () => {
+    test('starts a test with zeroed per-variant stats', async () => {
+        const res = await startTest({ autoPromote: true });
+
+        expect(res.statusCode).toBe(200);
+        expect(page().experiment).toMatchObject({ status: 'running', autoPromote: true });
+        expect(admin._mockData.collections[`landingPages/${PAGE_ID}/variantStats`]).toEqual({
+            control: expect.objectContaining({ views: 0, conversions: 0 }),
+            variant_1: expect.objectContaining({ views: 0, conversions: 0 }),
+        });
+    });
+
+    test('only the page owner can start a test', async () => {
+        const res = await call('PUT', `/landing-pages/${PAGE_ID}/variants`, {
+            params: { id: PAGE_ID }, userId: 'intruder', body: { variants: [{ headline: 'x' }] },
+        });
+        expect(res.statusCode).toBe(403);
+    });
+});
+
+describe('GET /landing-pages/public/:slug', () => {
+    async function serve(vid) {
+        return call('GET', `/landing-pages/public/${SLUG}`, { params: { slug: SLUG }, query: { vid }, userId: null });
+    }
+
+    test('buckets each visitor deterministically and renders their variant', async () => {
+        await startTest();
+
+        const served = {};
+        for (let i = 0; i < 20; i++) {
+            const res = await serve(`visitor-${i}`);
+            const again = await serve(`visitor-${i}`);
+            expect(again.body).toBe(res.body);
+            served[res.body.includes('Fill every afternoon slot') ? 'variant_1' : 'control'] = res;
+        }
+
+        expect(Object.keys(served).sort()).toEqual(['control', 'variant_1']);
+
+        const challenger = served.variant_1;
+        expect(challenger.headers['Cache-Control']).toBe('private, no-store');
+        expect(challenger.body).toContain("variantId: 'variant_1'");
+        expect(challenger.body).toContain('See my plan');
+        expect(challenger.body.indexOf('The Results')).toBeLessThan(challenger.body.indexOf("Here's How We Help"));
+        expect(challenger.body).not.toContain('Sound Familiar?');
+
+        expect(served.control.body.indexOf('Sound Familiar?')).toBeLessThan(served.control.body.indexOf('The Results'));
+    });
+
+    test('echoes the link visitor id in tracking calls and escapes the hero image URL', async () => {
+        seedPage({ pageContent: { ...PAGE_CONTENT, heroImageUrl: 'https://img.example/a.png" onerror="alert(1)' } });
+        await startTest();
+
+        const res = await serve('pat</script>');
+        expect(res.body).toContain('vid: "pat\\u003c/script>"');
+        expect(res.body).toContain('src="https://img.example/a.png&quot; onerror=&quot;alert(1)"');
+    });
+
+    test('pages without a test render unchanged', async () => {
+        const res = await serve('visitor-1');
+        expect(res.body).toContain('Grow bookings at Acme');
+        expect(res.body).toContain('variantId: null');
+        expect(res.headers['Cache-Control']).toBeUndefined();
+    });
+});
+
+describe('tracking and promotion', () => {
+    // Visitor ids the running experiment buckets into the given arm
+    function vidsFor(variantId, count = 1) {
+        const vids = [];
+        for (let i = 0; vids.length < count; i++) {
+            if (experiments.assignVariant(SLUG, page().experiment, `v${i}`).variantId === variantId) vids.push(`v${i}`);
+        }
+        return vids;
+    }
+
+    function seedStats(control, challenger) {
+        admin._setMockCollection(`landingPages/${PAGE_ID}/variantStats`, {
+            control: { variantId: 'control', ...control },
+            variant_1: { variantId: 'variant_1', ...challenger },
+        });
+    }
+
+    test('counts unique views and clicks per variant', async () => {
+        await startTest();
+        const [vid] = vidsFor('variant_1');
+
+        await call('POST', '/landing-pages/track', { body: { slug: SLUG, variantId: 'variant_1', vid }, userId: null });
+        await call('POST', '/landing-pages/track', { body: { slug: SLUG, variantId: 'variant_1', vid }, userId: null });
+        await call('POST', '/landing-pages/track', { body: { slug: SLUG, variantId: 'variant_1', vid, event: 'cta_click' }, userId: null });
+        await call('POST', '/landing-pages/track', { body: { slug: SLUG, variantId: 'variant_1', vid, event: 'cta_click' }, userId: null });
+        await call('POST', '/landing-pages/track', { body: { slug: SLUG, variantId: 'unknown', vid, event: 'cta_click' }, userId: null });
+
+        const res = await call('GET', `/landing-pages/${PAGE_ID}/variants`, { params: { id: PAGE_ID } });
+        const byId = Object.fromEntries(res.body.data.variants.map(v => [v.variantId, v]));
+
+        expect(byId.variant_1).toMatchObject({ views: 1, ctaClicks: 1, conversionRate: 1 });
+        expect(byId.control).toMatchObject({ views: 0, ctaClicks: 0 });
+        expect(res.body.data.analysis.primaryMetric).toBe('conversionRate');
+        expect(page().ctaClicks).toBe(3);
+    });
+
+    test('dedupes on the bucketing key, and a click without a tracked view still counts the view', async () => {
+        await startTest();
+        const track = body => call('POST', '/landing-pages/track', { body: { slug: SLUG, variantId: 'variant_1', ...body }, userId: null });
+        const [pat, sam] = vidsFor('variant_1', 2);
+
+        // Two people behind one office IP, each arriving through their own tracked link
+        await track({ vid: pat });
+        await track({ vid: sam, event: 'cta_click' });
+        await track({ vid: sam });
+
+        expect(admin._mockData.collections[`landingPages/${PAGE_ID}/variantStats`].variant_1)
+            .toMatchObject({ views: 2, conversions: 1 });
+
+        // Restarting the test counts returning visitors again
+        await startTest();
+        await track({ vid: pat });
+        expect(admin._mockData.collections[`landingPages/${PAGE_ID}/variantStats`].variant_1.views).toBe(1);
+    });
+
+    test('auto-promotes a significant winner on the next click', async () => {
+        await startTest({ autoPromote: true });
+        seedStats({ views: 600, conversions: 30 }, { views: 600, conversions: 90 });
+
+        await call('POST', '/landing-pages/track', { body: { slug: SLUG, variantId: 'variant_1', vid: vidsFor('variant_1')[0], event: 'cta_click' }, userId: null });
+
+        expect(page().experiment).toMatchObject({ status: 'completed', winner: 'variant_1', promotedBy: 'auto' });
+        expect(page().pageContent).toMatchObject({
+            headline: 'Fill every afternoon slot',
+            cta: { text: 'See my plan', urgency: 'Two slots left this week' },
+            sectionOrder: ['stats', 'solution'],
+        });
+
+        const served = await call('GET', `/landing-pages/public/${SLUG}`, { params: { slug: SLUG }, userId: null });
+        expect(served.body).toContain('variantId: null');
+        expect(served.body).toContain('Fill every afternoon slot');
+    });
+
+    test('does not auto-promote before the result is significant or when disabled', async () => {
+        await startTest({ autoPromote: true });
+        seedStats({ views: 20, conversions: 1 }, { views: 20, conversions: 5 });
+        await call('POST', '/landing-pages/track', { body: { slug: SLUG, variantId: 'variant_1', vid: vidsFor('variant_1')[0], event: 'cta_click' }, userId: null });
+        expect(page().experiment.status).toBe('running');
+
+        await startTest({ autoPromote: false });
+        seedStats({ views: 600, conversions: 30 }, { views: 600, conversions: 90 });
+        await call('POST', '/landing-pages/track', { body: { slug: SLUG, variantId: 'variant_1', vid: vidsFor('variant_1')[0], event: 'cta_click' }, userId: null });
+        expect(page().experiment.status).toBe('running');
+    });
+
+    test('events for an arm the visitor was not bucketed into are not counted', async () => {
+        await startTest({ autoPromote: true });
+        seedStats({ views: 600, conversions: 30 }, { views: 600, conversions: 90 });
+        const [controlVisitor] = vidsFor('control');
+
+        await call('POST', '/landing-pages/track', { body: { slug: SLUG, variantId: 'variant_1', vid: controlVisitor }, userId: null });
+        await call('POST', '/landing-pages/track', { body: { slug: SLUG, variantId: 'variant_1', vid: controlVisitor, event: 'cta_click' }, userId: null });
+
+        expect(admin._mockData.collections[`landingPages/${PAGE_ID}/variantStats`].variant_1).toMatchObject({ views: 600, conversions: 90 });
+        expect(page().experiment.status).toBe('running');
+        expect(page().ctaClicks).toBe(1);
+    });
+
+    test('the owner can promote a variant manually once', async () => {
+        await startTest();
+
+        const promoted = await call('POST', `/landing-pages/${PAGE_ID}/variants/promote`, { params: { id: PAGE_ID }, body: { variantId: 'control' } });
+        expect(promoted.statusCode).toBe(200);
+        expect(page().experiment).toMatchObject({ status: 'completed', winner: 'control', promotedBy: 'manual' });
+        expect(page().pageContent.headline).toBe('Grow bookings at Acme');
+
+        const again = await call('POST', `/landing-pages/${PAGE_ID}/variants/promote`, { params: { id: PAGE_ID }, body: { variantId: 'variant_1' } });
+        expect(again.statusCode).toBe(409);
+    });
+});
@@ -759,6 +759,25 @@ describe('pitch/level3/slides', () => {
             const html = buildNextStepsSlide(ctx);
             expect(html).toContain('By Day 30');
         });
+
+        test('lists pre-call questions left blank, never skipped ones, and names the incumbent', () => {
+            const ctx = createMockContext({
+                inputs: {
+                    incumbentCompetitor: 'Birdeye',
+                    precallUnansweredQuestions: ['What is your monthly budget?'],
+                    precallSkippedQuestions: ['Which POS do you use?'],
+                },
+            });
+            const html = buildNextStepsSlide(ctx);
+            expect(html).toContain('Still open from your pre-call form:</strong> What is your monthly budget?');
+            expect(html).not.toContain('Which POS');
+            expect(html).toContain('side by side with Birdeye');
+        });
+
+        test('no pre-call line without open questions', () => {
+            const html = buildNextStepsSlide(createMockContext());
+            expect(html).not.toContain('pre-call form');
+        });
     });
 
     describe('buildClosingCtaSlide', () => {
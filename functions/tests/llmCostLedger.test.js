@@ -0,0 +1,181 @@
+'use strict';
+
+/**
+ * Tests for the per-tenant LLM cost ledger and budget enforcement:
+ * services/llmCostLedger.js, its wiring into modelRouter.sendMessage() /
+ * generateNarrative(), and the GET /api/v1/admin/llm-costs report.
+ */
+
+jest.mock('firebase-admin');
+jest.mock('../services/claudeClient', () => ({
+    sendMessage: jest.fn(),
+    generateNarrative: jest.fn(),
+    calculateCost: jest.fn(() => 1.5),
+}));
+jest.mock('../services/geminiClientV2', () => ({ calculateCost: jest.fn(() => 0) }));
+
+const admin = require('firebase-admin');
+const claudeClient = require('../services/claudeClient');
+const ledger = require('../services/llmCostLedger');
+const modelRouter = require('../services/modelRouter');
+const adminRoutes = require('../routes/adminRoutes');
+
+const MONTH = ledger.monthKey();
+
+function ledgerDoc(tenantId) {
+    return admin._mockData.collections.llmCostLedger?.[`${tenantId}_${MONTH}`];
+}
+
+beforeEach(() => {
+    admin._resetMockData();
+    ledger.invalidateTenantCache();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    admin._setMockCollection('users', {
+        solo: { plan: 'starter' },
+        owner: { subscription: { plan: 'growth' } },
+        member: { plan: 'starter' },
+    });
+    admin._setMockCollection('workspaces', {
+        ws1: { ownerId: 'owner', entitlementOwnerUid: 'owner' },
+    });
+    admin._setMockCollection('workspaceMembers', {
+        ws1_member: { uid: 'member', workspaceId: 'ws1', status: 'active' },
+    });
+    claudeClient.sendMessage.mockResolvedValue({ content: 'ok', usage: { inputTokens: 1000, outputTokens: 200 } });
+});
+
+afterEach(() => {
+    console.warn.mockRestore();
+});
+
+describe('recordCost', () => {
+    test('bills workspace members to the workspace under the owner plan', async () => {
+        await ledger.recordCost({ userId: 'member', operation: 'narrativeGeneration', provider: 'claude', modelId: 'claude-x', usage: { inputTokens: 10, outputTokens: 5 }, costUsd: 1 });
+        await ledger.recordCost({ userId: 'owner', operation: 'basicFormatting', provider: 'gemini', modelId: 'gemini-x', usage: { inputTokens: 4, outputTokens: 1 }, costUsd: 0.25 });
+
+        const doc = ledgerDoc('ws1');
+        expect(doc).toMatchObject({
+            tenantId: 'ws1', workspaceId: 'ws1', ownerUid: 'owner', plan: 'growth', month: MONTH,
+            totalCostUsd: 1.25, calls: 2, inputTokens: 14, outputTokens: 6,
+        });
+        expect(doc.byOperation.narrativeGeneration).toEqual({ costUsd: 1, calls: 1, inputTokens: 10, outputTokens: 5 });
+        expect(doc.byModel['gemini-x']).toMatchObject({ provider: 'gemini', costUsd: 0.25, calls: 1 });
+    });
+
+    test('flags the soft warning once when spend crosses 80% of the budget', async () => {
+        // Starter budget is $5
+        const first = await ledger.recordCost({ userId: 'solo', operation: 'x', provider: 'claude', modelId: 'm', costUsd: 3.9 });
+        expect(first.status).toBe('ok');
+
+        const second = await ledger.recordCost({ userId: 'solo', operation: 'x', provider: 'claude', modelId: 'm', costUsd: 0.2 });
+        expect(second).toMatchObject({ status: 'warning', budgetUsd: 5, percentUsed: 82 });
+        expect(ledgerDoc('user_solo').softWarningAt).toBeTruthy();
+        expect(ledgerDoc('user_solo').hardStopAt).toBeNull();
+        expect(console.warn).toHaveBeenCalledTimes(1);
+
+        await ledger.recordCost({ userId: 'solo', operation: 'x', provider: 'claude', modelId: 'm', costUsd: 0.1 });
+        expect(console.warn).toHaveBeenCalledTimes(1);
+    });
+
+    test('skips system calls with no user', async () => {
+        expect(await ledger.recordCost({ userId: null, operation: 'x', costUsd: 1 })).toBeNull();
+        expect(admin._mockData.collections.llmCostLedger).toBeUndefined();
+    });
+});
+
+describe('enforceBudget', () => {
+    test('throws LIMIT_EXCEEDED once the monthly budget is spent', async () => {
+        admin._setMockCollection('llmCostLedger', { [`user_solo_${MONTH}`]: { totalCostUsd: 5.01, plan: 'starter' } });
+
+        await expect(ledger.enforceBudget('solo')).rejects.toMatchObject({
+            code: 'LIMIT_EXCEEDED',
+            status: 429,
+            details: expect.objectContaining({ budgetUsd: 5, tenantId: 'user_solo' }),
+        });
+    });
+
+    test('treats last month as a fresh budget', async () => {
+        admin._setMockCollection('llmCostLedger', { 'user_solo_1999-01': { totalCostUsd: 99, plan: 'starter' } });
+        await expect(ledger.enforceBudget('solo')).resolves.toMatchObject({ status: 'ok', spentUsd: 0 });
+    });
+});
+
+describe('modelRouter budget enforcement', () => {
+    test('sendMessage records the call against the tenant', async () => {
+        const result = await modelRouter.sendMessage({ systemPrompt: 's', userMessage: 'u', userId: 'solo', operation: 'onboarding' });
+
+        expect(result.budget).toMatchObject({ status: 'ok', spentUsd: 1.5 });
+        expect(ledgerDoc('user_solo').byOperation.onboarding).toMatchObject({ costUsd: 1.5, inputTokens: 1000, outputTokens: 200 });
+    });
+
+    test('sendMessage refuses new calls past the hard stop', async () => {
+        admin._setMockCollection('llmCostLedger', { [`user_solo_${MONTH}`]: { totalCostUsd: 6, plan: 'starter' } });
+
+        await expect(modelRouter.sendMessage({ systemPrompt: 's', userMessage: 'u', userId: 'solo' }))
+            .rejects.toMatchObject({ code: 'LIMIT_EXCEEDED' });
+        expect(claudeClient.sendMessage).not.toHaveBeenCalled();
+    });
+
+    test('generateNarrative refuses new calls past the hard stop', async () => {
+        admin._setMockCollection('llmCostLedger', { [`ws1_${MONTH}`]: { totalCostUsd: 30, plan: 'growth' } });
+
+        await expect(modelRouter.generateNarrative('s', {}, { userId: 'member' }))
+            .rejects.toMatchObject({ code: 'LIMIT_EXCEEDED' });
+        expect(claudeClient.generateNarrative).not.toHaveBeenCalled();
+    });
+});
+
+describe('GET /api/v1/admin/llm-costs', () => {
+    function request(query = {}) {
+        return testUtils.mockRequest({ method: 'GET', path: '/api/v1/admin/llm-costs', user: { email: 'ops@pathsynch.com' }, query });
+    }
+
+    beforeEach(() => {
+        admin._setMockCollection('admins', { 'ops@pathsynch.com': { role: 'manager' } });
+        admin._setMockCollection('llmCostLedger', {
+            [`user_solo_${MONTH}`]: {
+                tenantId: 'user_solo', ownerUid: 'solo', plan: 'starter', month: MONTH, totalCostUsd: 4.5, calls: 3,
+                byOperation: { narrativeGeneration: { costUsd: 4.5, calls: 3, inputTokens: 0, outputTokens: 0 } },
+                byModel: { 'claude-x': { provider: 'claude', costUsd: 4.5, calls: 3 } },
+            },
+            [`ws1_${MONTH}`]: {
+                tenantId: 'ws1', workspaceId: 'ws1', ownerUid: 'owner', plan: 'growth', month: MONTH, totalCostUsd: 10, calls: 8,
+                byOperation: {
+                    narrativeGeneration: { costUsd: 6, calls: 4, inputTokens: 0, outputTokens: 0 },
+                    basicFormatting: { costUsd: 4, calls: 4, inputTokens: 0, outputTokens: 0 },
+                },
+                byModel: { 'gemini-x': { provider: 'gemini', costUsd: 10, calls: 8 } },
+            },
+            'ws1_1999-01': { tenantId: 'ws1', plan: 'growth', month: '1999-01', totalCostUsd: 500 },
+        });
+    });
+
+    test('reports spend by tenant and by feature for the month', async () => {
+        const res = testUtils.mockResponse();
+        await adminRoutes.handle(request(), res);
+
+        const report = res.body.data;
+        expect(res.statusCode).toBe(200);
+        expect(report.tenants.map(t => [t.tenantId, t.status])).toEqual([['ws1', 'ok'], ['user_solo', 'warning']]);
+        expect(report.totals.costUsd).toBeCloseTo(14.5, 6);
+        expect(report.totals.byOperation.narrativeGeneration).toMatchObject({ costUsd: 10.5, calls: 7 });
+        expect(report.totals.byPlan.growth.costUsd).toBe(10);
+    });
+
+    test('filters by budget status and validates the month', async () => {
+        const filtered = testUtils.mockResponse();
+        await adminRoutes.handle(request({ status: 'warning' }), filtered);
+        expect(filtered.body.data.tenants.map(t => t.tenantId)).toEqual(['user_solo']);
+
+        const bad = testUtils.mockResponse();
+        await adminRoutes.handle(request({ month: '2026-13' }), bad);
+        expect(bad.statusCode).toBe(400);
+    });
+
+    test('requires an admin', async () => {
+        const res = testUtils.mockResponse();
+        await adminRoutes.handle(testUtils.mockRequest({ method: 'GET', path: '/api/v1/admin/llm-costs', user: { email: 'someone@else.com' } }), res);
+        expect(res.statusCode).toBe(403);
+    });
+});
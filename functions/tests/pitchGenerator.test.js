@@ -959,6 +959,24 @@ describe('pitchGenerator.js', () => {
 
                 expect(res.status).toHaveBeenCalledWith(200);
             });
+
+            test('rejects an accountKey that is not a Visitor Intel account key', async () => {
+                setupFirestoreMocks({ userTier: 'growth', pitchCount: 5 });
+
+                const req = createMockRequest({
+                    businessName: 'Test Business',
+                    pitchLevel: 2,
+                    accountKey: '../users/someone',
+                });
+                const res = createMockResponse();
+
+                await pitchGenerator.generatePitch(req, res);
+
+                expect(res.status).toHaveBeenCalledWith(400);
+                expect(res.json).toHaveBeenCalledWith(
+                    expect.objectContaining({ success: false, error: 'INVALID_ACCOUNT_KEY' })
+                );
+            });
         });
 
         describe('getPitch', () => {
@@ -1075,6 +1093,23 @@ describe('pitchGenerator.js', () => {
                 expect(result.pitchId).toBeDefined();
                 expect(result.shareId).toBeDefined();
             });
+
+            test('a Level 3 pitch without library content still stores presenter notes', async () => {
+                setupFirestoreMocks({ userTier: 'growth' });
+
+                const result = await pitchGenerator.generatePitchDirect(
+                    { businessName: 'Bulk Business', industry: 'Retail', googleRating: 4.2, numReviews: 50, pitchLevel: 3 },
+                    'bulk-user-123'
+                );
+
+                expect(result.success).toBe(true);
+                const saved = mockDb.set.mock.calls.map(([doc]) => doc).find(doc => doc && doc.pitchLevel === 3);
+                expect(saved.speakerNotes).toMatchObject({
+                    title: expect.stringContaining('Bulk Business'),
+                    sentiment: expect.stringContaining('50 Google reviews at 4.2 stars'),
+                });
+                expect(Object.keys(saved.speakerNotes)).toHaveLength(10);
+            });
         });
     });
 
@@ -0,0 +1,150 @@
+'use strict';
+
+/**
+ * POST /pitch/stream — Server-Sent Events variant of pitch generation
+ * (routes/pitchRoutes.js + utils/sse.js).
+ */
+
+jest.mock('firebase-admin');
+jest.mock('../api/pitchGenerator', () => ({
+    getPitch: jest.fn(),
+    getSharedPitch: jest.fn(),
+    generatePitch: jest.fn(),
+}));
+jest.mock('../services/pitchMetrics', () => ({
+    ensureUserExists: jest.fn(),
+    checkAndUpdateUsage: jest.fn(),
+    incrementUsage: jest.fn(),
+}));
+
+const pitchGenerator = require('../api/pitchGenerator');
+const pitchMetrics = require('../services/pitchMetrics');
+const pitchRoutes = require('../routes/pitchRoutes');
+const { openEventStream } = require('../utils/sse');
+
+function sseResponse() {
+    const res = testUtils.mockResponse();
+    res.chunks = [];
+    res.ended = false;
+    res.listeners = {};
+    res.write = jest.fn((chunk) => { res.chunks.push(chunk); return true; });
+    res.end = jest.fn(() => { res.ended = true; });
+    res.on = jest.fn((event, fn) => { res.listeners[event] = fn; });
+    return res;
+}
+
+/**
+ * Parse the written SSE frames into [{ event, data }]
+ */
+function events(res) {
+    return res.chunks.join('').split('\n\n').filter(Boolean)
+        .filter(frame => !frame.startsWith(':'))
+        .map(frame => {
+            const [eventLine, dataLine] = frame.split('\n');
+            return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+        });
+}
+
+function streamRequest(overrides = {}) {
+    return testUtils.mockRequest({
+        method: 'POST',
+        path: '/pitch/stream',
+        userId: 'user1',
+        userEmail: 'owner@acme.test',
+        body: { businessName: 'Acme Auto Repair', industry: 'Automotive' },
+        ...overrides,
+    });
+}
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    pitchMetrics.checkAndUpdateUsage.mockResolvedValue({ allowed: true, used: 1, limit: 25 });
+});
+
+describe('POST /pitch/stream', () => {
+    test('streams stage progress with partial content, then the final pitch', async () => {
+        pitchGenerator.generatePitch.mockImplementation(async (req, res, { onProgress }) => {
+            onProgress({ stage: 'enrichment', status: 'complete', progress: 30, partial: { sources: ['googlePlaces'] } });
+            onProgress({ stage: 'render', status: 'complete', progress: 90, partial: { pitchId: 'p1', html: '<p>draft</p>' } });
+            return res.status(200).json({ success: true, pitchId: 'p1', shareId: 's1', level: 2 });
+        });
+        const res = sseResponse();
+
+        await pitchRoutes.handle(streamRequest(), res);
+
+        expect(res.headers['Content-Type']).toBe('text/event-stream');
+        const received = events(res);
+        expect(received.map(e => [e.event, e.data.stage])).toEqual([
+            ['progress', 'queued'],
+            ['progress', 'enrichment'],
+            ['progress', 'render'],
+            ['progress', 'complete'],
+            ['complete', undefined],
+        ]);
+        expect(received[2].data.partial.html).toBe('<p>draft</p>');
+        expect(received[4].data).toEqual({ success: true, pitchId: 'p1', shareId: 's1', level: 2 });
+        expect(pitchMetrics.incrementUsage).toHaveBeenCalledWith('user1');
+        expect(res.ended).toBe(true);
+    });
+
+    test('creates the user record before checking usage, like /generate-pitch', async () => {
+        pitchGenerator.generatePitch.mockImplementation(async (req, res) => res.status(200).json({ success: true }));
+
+        await pitchRoutes.handle(streamRequest(), sseResponse());
+
+        expect(pitchMetrics.ensureUserExists).toHaveBeenCalledWith('user1', 'owner@acme.test');
+        expect(pitchMetrics.ensureUserExists.mock.invocationCallOrder[0])
+            .toBeLessThan(pitchMetrics.checkAndUpdateUsage.mock.invocationCallOrder[0]);
+    });
+
+    test('relays a generator failure as an error event without counting usage', async () => {
+        pitchGenerator.generatePitch.mockImplementation(async (req, res) =>
+            res.status(403).json({ success: false, error: 'PITCH_LIMIT_REACHED' })
+        );
+        const res = sseResponse();
+
+        await pitchRoutes.handle(streamRequest(), res);
+
+        const last = events(res).pop();
+        expect(last).toEqual({ event: 'error', data: { status: 403, success: false, error: 'PITCH_LIMIT_REACHED' } });
+        expect(pitchMetrics.incrementUsage).not.toHaveBeenCalled();
+        expect(res.ended).toBe(true);
+    });
+
+    test('rejects unauthenticated and over-quota callers with plain JSON before streaming', async () => {
+        const anonymous = sseResponse();
+        await pitchRoutes.handle(streamRequest({ userId: null }), anonymous);
+        expect(anonymous.statusCode).toBe(401);
+        expect(anonymous.write).not.toHaveBeenCalled();
+        expect(pitchMetrics.ensureUserExists).not.toHaveBeenCalled();
+
+        pitchMetrics.checkAndUpdateUsage.mockResolvedValue({ allowed: false, message: 'Limit reached', used: 5, limit: 5 });
+        const overQuota = sseResponse();
+        await pitchRoutes.handle(streamRequest(), overQuota);
+        expect(overQuota.statusCode).toBe(429);
+        expect(pitchGenerator.generatePitch).not.toHaveBeenCalled();
+    });
+
+    test('rejects an invalid body with 400', async () => {
+        const res = sseResponse();
+        await pitchRoutes.handle(streamRequest({ body: { businessName: '' } }), res);
+        expect(res.statusCode).toBe(400);
+        expect(res.body.error).toBe('Validation failed');
+    });
+});
+
+describe('openEventStream', () => {
+    test('drops writes after the client disconnects', () => {
+        const res = sseResponse();
+        const stream = openEventStream(res, { keepAliveMs: 0 });
+
+        stream.send('progress', { progress: 10 });
+        res.listeners.close();
+        stream.send('progress', { progress: 20 });
+        stream.close();
+
+        expect(events(res)).toEqual([{ event: 'progress', data: { progress: 10 } }]);
+        expect(stream.isClosed()).toBe(true);
+        expect(res.end).not.toHaveBeenCalled();
+    });
+});
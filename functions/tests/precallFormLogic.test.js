@@ -0,0 +1,205 @@
+'use strict';
+
+/**
+ * Pre-call form branching: services/precallFormLogic.js rules and their use in
+ * precallForm.submitResponses() / mapResponsesToPitchData().
+ */
+
+jest.mock('firebase-admin');
+
+const admin = require('firebase-admin');
+const logic = require('../services/precallFormLogic');
+const precallForm = require('../services/precallForm');
+
+const QUESTIONS = precallForm.getDefaultQuestions();
+
+const BASE_ANSWERS = {
+    challenge: 'Too many no-shows every week',
+    timeline: 'This quarter',
+};
+
+function seedForm(overrides = {}) {
+    admin._setMockCollection('precallForms', {
+        form1: {
+            userId: 'u1', shareId: 'pf_abc', pitchId: 'p1', status: 'pending', questions: QUESTIONS,
+            expiresAt: new Date(Date.now() + 86400000), ...overrides,
+        },
+    });
+    admin._setMockCollection('pitches', { p1: { userId: 'u1' } });
+}
+
+beforeEach(() => {
+    admin._resetMockData();
+});
+
+describe('evaluateForm', () => {
+    test('the competitor follow-up only shows when "Competitor software" is picked', () => {
+        const without = logic.evaluateForm(QUESTIONS, { ...BASE_ANSWERS, current_solution: ['Built in-house'] });
+        expect(without.branchPath.skipped).toEqual(['competitor_name', 'competitor_gaps']);
+
+        const withCompetitor = logic.evaluateForm(QUESTIONS, { ...BASE_ANSWERS, current_solution: ['Competitor software'] });
+        expect(withCompetitor.branchPath.shown).toContain('competitor_name');
+        expect(withCompetitor.errors).toEqual([{ questionId: 'competitor_name', message: 'This question is required' }]);
+    });
+
+    test('pipes earlier answers into later question text', () => {
+        const { questions, branchPath } = logic.evaluateForm(QUESTIONS, {
+            ...BASE_ANSWERS, current_solution: ['Competitor software'], competitor_name: 'BookIt',
+        });
+
+        expect(questions.find(q => q.id === 'competitor_gaps').question).toBe("What's missing from BookIt today?");
+        expect(branchPath.unanswered).toContain('competitor_gaps');
+    });
+
+    test('separates skipped questions from shown-but-blank ones and drops hidden answers', () => {
+        const { responses, branchPath, errors } = logic.evaluateForm(QUESTIONS, {
+            ...BASE_ANSWERS, current_solution: ['Nothing yet'], competitor_name: 'Stale answer',
+        });
+
+        expect(errors).toEqual([]);
+        expect(responses.competitor_name).toBeUndefined();
+        expect(branchPath.skipped).toEqual(['competitor_name', 'competitor_gaps']);
+        expect(branchPath.unanswered).toEqual(['stakeholders', 'budget', 'priority_features']);
+    });
+
+    test('applies validation rules', () => {
+        const questions = [
+            { id: 'email', type: 'text', validation: { pattern: '^\\S+@\\S+$', patternMessage: 'Enter an email' } },
+            { id: 'tools', type: 'multiselect', options: ['A', 'B', 'C'], validation: { maxSelections: 2 } },
+            { id: 'tier', type: 'radio', options: ['Gold', 'Silver'] },
+        ];
+
+        const { errors } = logic.evaluateForm(questions, { email: 'nope', tools: ['A', 'B', 'C'], tier: 'Bronze' });
+
+        expect(errors).toEqual([
+            { questionId: 'email', message: 'Enter an email' },
+            { questionId: 'tools', message: 'Select at most 2' },
+            { questionId: 'tier', message: '"Bronze" is not one of the options' },
+        ]);
+    });
+
+    test('supports all/any groups', () => {
+        const rule = { any: [{ questionId: 'timeline', value: 'This month' }, { all: [{ questionId: 'budget', operator: 'answered' }, { questionId: 'budget', operator: 'notEquals', value: 'Not sure yet' }] }] };
+
+        expect(logic.evaluateCondition(rule, { timeline: 'This month' })).toBe(true);
+        expect(logic.evaluateCondition(rule, { budget: '$500+/mo' })).toBe(true);
+        expect(logic.evaluateCondition(rule, { budget: 'Not sure yet' })).toBe(false);
+    });
+});
+
+describe('validateQuestionDefinitions', () => {
+    test('rejects forward references, unknown operators and bad patterns', () => {
+        expect(() => logic.validateQuestionDefinitions(QUESTIONS)).not.toThrow();
+
+        let error;
+        try {
+            logic.validateQuestionDefinitions([
+                { id: 'a', question: 'About {{b}}?' },
+                { id: 'b', showIf: { questionId: 'a', operator: 'matches' }, validation: { pattern: '(' } },
+            ]);
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error.status).toBe(400);
+        expect(error.details).toEqual([
+            'Question a pipes b, which must come earlier in the form',
+            'Question b uses unknown operator: matches',
+            'Question b has an invalid pattern',
+        ]);
+    });
+
+    test('rejects patterns that can backtrack catastrophically', () => {
+        expect(() => logic.validateQuestionDefinitions([
+            { id: 'a', validation: { pattern: '^(a+)+$' } },
+        ])).toThrow('Question a has a pattern that is too long or too complex');
+        expect(() => logic.validateQuestionDefinitions([
+            { id: 'a', validation: { pattern: '^\\S+@\\S+$' } },
+            { id: 'b', validation: { pattern: '^(?:\\d{3}-)?\\d{4}$' } },
+        ])).not.toThrow();
+    });
+
+    test('isSafePattern flags nested repeats, backreferences, lookarounds and long patterns', () => {
+        expect(logic.isSafePattern('(a|ab)*')).toBe(false);
+        expect(logic.isSafePattern('(\\w)\\1')).toBe(false);
+        expect(logic.isSafePattern('(?=a)b')).toBe(false);
+        expect(logic.isSafePattern('a'.repeat(201))).toBe(false);
+        expect(logic.isSafePattern('^[A-Z]{2}\\d{6}$')).toBe(true);
+    });
+
+    test('isSafePattern flags unbounded repeats of overlapping atoms side by side', () => {
+        expect(logic.isSafePattern('^\\d*\\d*\\d*\\d*x$')).toBe(false);
+        expect(logic.isSafePattern('^\\w+\\d+$')).toBe(false);
+        expect(logic.isSafePattern('^\\d+-?\\d+$')).toBe(false);
+        expect(logic.isSafePattern('^\\d*(\\d*)x$')).toBe(false);
+        expect(logic.isSafePattern('^[a-z]+\\d+$')).toBe(true);
+        expect(logic.isSafePattern('^\\d+\\.\\d+$')).toBe(true);
+    });
+
+    test('a pattern that runs too long is treated as a non-match', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const question = { id: 'a', type: 'text', validation: { pattern: '^\\d*1\\d*1\\d*1\\d*1\\d*x$' } };
+        expect(logic.isSafePattern(question.validation.pattern)).toBe(true);
+
+        expect(logic.validateAnswer(question, '1'.repeat(200))).toBe('Invalid format');
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('Validation pattern gave up'));
+        warn.mockRestore();
+    });
+
+    test('answers longer than the pattern input cap are rejected', () => {
+        const question = { id: 'a', type: 'text', validation: { pattern: '^a+$' } };
+        expect(logic.validateAnswer(question, 'a'.repeat(200))).toBeNull();
+        expect(logic.validateAnswer(question, 'a'.repeat(201))).toBe('Invalid format');
+    });
+
+    test('an unsafe pattern saved before the check is not run on answers', () => {
+        const question = { id: 'a', type: 'text', validation: { pattern: '^(a+)+$' } };
+        expect(logic.validateAnswer(question, `${'a'.repeat(40)}!`)).toBeNull();
+    });
+});
+
+describe('submitResponses', () => {
+    test('stores cleaned answers and the branch path on the form and linked pitch', async () => {
+        seedForm();
+
+        const result = await precallForm.submitResponses('pf_abc', {
+            ...BASE_ANSWERS, current_solution: ['Competitor software'], competitor_name: 'BookIt', unknown_field: 'x',
+        });
+
+        const form = admin._mockData.collections.precallForms.form1;
+        expect(form.status).toBe('completed');
+        expect(form.responses.unknown_field).toBeUndefined();
+        expect(form.branchPath).toEqual(result.branchPath);
+
+        const pitch = admin._mockData.collections.pitches.p1;
+        expect(pitch.precallBranchPath.unanswered).toContain('competitor_gaps');
+        expect(pitch['enrichment.precallForm']).toMatchObject({ competitor: 'BookIt', skippedQuestions: [] });
+    });
+
+    test('rejects invalid submissions with per-question details and leaves the form open', async () => {
+        seedForm();
+
+        await expect(precallForm.submitResponses('pf_abc', { challenge: 'short' })).rejects.toMatchObject({
+            status: 400,
+            details: [
+                { questionId: 'challenge', message: 'Must be at least 10 characters' },
+                { questionId: 'timeline', message: 'This question is required' },
+            ],
+        });
+        expect(admin._mockData.collections.precallForms.form1.status).toBe('pending');
+    });
+});
+
+describe('mapResponsesToPitchData', () => {
+    test('passes the competitor and branch path through to pitch generation', () => {
+        const data = precallForm.mapResponsesToPitchData(
+            { ...BASE_ANSWERS, competitor_name: ' BookIt ', competitor_gaps: 'No SMS reminders' },
+            { shown: [], skipped: ['budget'], unanswered: ['stakeholders'] }
+        );
+
+        expect(data.competitors).toEqual(['BookIt']);
+        expect(data.painPoints.map(p => p.text)).toEqual(['Too many no-shows every week', 'No SMS reminders']);
+        expect(data.skippedQuestions).toEqual(['budget']);
+        expect(data.unansweredQuestions).toEqual(['stakeholders']);
+    });
+});
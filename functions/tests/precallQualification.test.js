@@ -0,0 +1,228 @@
+'use strict';
+
+/**
+ * Pre-call qualification: rubric scoring in services/precallQualification.js,
+ * ICP blending, tier routing, and the /precall-forms/rubric + public submit routes.
+ */
+
+jest.mock('firebase-admin');
+jest.mock('../services/instantlyService', () => ({
+    pushLead: jest.fn(async () => ({ success: true, data: { id: 'lead1' } })),
+}));
+jest.mock('@sendgrid/mail', () => ({ setApiKey: jest.fn(), send: jest.fn(async () => {}) }));
+jest.mock('../middleware/planGate', () => ({
+    ...jest.requireActual('../middleware/planGate'),
+    getUserPlan: jest.fn(async () => 'enterprise'),
+}));
+
+const admin = require('firebase-admin');
+const instantlyService = require('../services/instantlyService');
+const qualification = require('../services/precallQualification');
+const precallForm = require('../services/precallForm');
+const precallFormRoutes = require('../routes/precallFormRoutes');
+
+const OWNER = 'u1';
+const { DEFAULT_RUBRIC } = qualification;
+
+const HOT_ANSWERS = {
+    challenge: 'Losing bookings to no-shows every week',
+    current_solution: ['Competitor software'],
+    competitor_name: 'BookIt',
+    timeline: 'This month',
+    stakeholders: 'Practice manager',
+    budget: '$500+/mo',
+};
+
+function seed({ rubric, users = {}, pitch } = {}) {
+    admin._setMockCollection('users', {
+        [OWNER]: { email: 'rep@seller.com', sellerProfile: { bookingUrl: 'https://cal.example/rep' }, ...users },
+    });
+    admin._setMockCollection('precallForms', {
+        form1: {
+            userId: OWNER, shareId: 'pf_abc', pitchId: pitch ? 'p1' : null, status: 'pending',
+            prospectName: 'Dana Lee', prospectEmail: 'dana@clinic.com',
+            questions: precallForm.getDefaultQuestions(), expiresAt: new Date(Date.now() + 86400000),
+        },
+    });
+    if (pitch) admin._setMockCollection('pitches', { p1: pitch });
+    if (rubric) admin._setMockCollection('precallRubrics', { [OWNER]: rubric });
+}
+
+async function submit(responses) {
+    const res = testUtils.mockResponse();
+    await precallFormRoutes.handle(testUtils.mockRequest({
+        method: 'POST', path: '/precall-forms/public/pf_abc/submit', params: { shareId: 'pf_abc' }, body: { responses },
+    }), res);
+    return res;
+}
+
+function storedQualification() {
+    return admin._mockData.collections.precallForms.form1.qualification;
+}
+
+beforeEach(() => {
+    admin._resetMockData();
+    instantlyService.pushLead.mockClear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('scoreResponses', () => {
+    test('weights answers by category and leaves skipped questions out', () => {
+        const scored = qualification.scoreResponses(
+            { challenge: 'x', timeline: 'This quarter', budget: 'Not sure yet' },
+            { skipped: ['current_solution'], unanswered: ['stakeholders'] },
+            DEFAULT_RUBRIC
+        );
+
+        // need 25/25, timeline 18.75/25, authority 0/15, budget 7.5/25 -> 51.25 of 90
+        expect(scored.rubricScore).toBe(57);
+        expect(scored.breakdown).toMatchObject({
+            need: { score: 100, possible: 25 },
+            timeline: { score: 75 },
+            authority: { score: 0 },
+            budget: { score: 30 },
+        });
+        expect(scored.disqualified).toBe(false);
+    });
+
+    test('flags disqualifying answers with a reason', () => {
+        const scored = qualification.scoreResponses({ timeline: 'Just exploring', budget: 'Under $100/mo' }, null, DEFAULT_RUBRIC);
+
+        expect(scored).toMatchObject({ disqualified: true, disqualifyReason: 'No near-term timeline and budget below the entry plan' });
+    });
+});
+
+describe('qualifyForm', () => {
+    test('blends in ICP fit only when the ICP has evidence', async () => {
+        seed({ pitch: { businessName: 'Bright Dental', industry: 'Dental' } });
+        const form = { id: 'form1', userId: OWNER, pitchId: 'p1', responses: HOT_ANSWERS };
+
+        const withoutIcp = await qualification.qualifyForm(form, DEFAULT_RUBRIC);
+        expect(withoutIcp).toMatchObject({ score: 100, rubricScore: 100, icpScore: null, tier: 'hot' });
+
+        admin._setMockCollection('icpDefinitions', {
+            [OWNER]: { criteria: [{ attribute: 'industry', targetValues: ['veterinary'], weight: 30, required: true }] },
+        });
+        const withIcp = await qualification.qualifyForm(form, DEFAULT_RUBRIC);
+
+        // ICP: (50 + 35) / 2 = 42.5 -> 43; blended 100 * 0.7 + 43 * 0.3 = 82.9
+        expect(withIcp).toMatchObject({ icpScore: 43, score: 83, tier: 'hot' });
+    });
+});
+
+describe('POST /precall-forms/public/:shareId/submit routing', () => {
+    test('a hot prospect gets the booking link and the seller gets an alert', async () => {
+        seed();
+
+        const res = await submit(HOT_ANSWERS);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data.nextStep).toEqual({ type: 'book_meeting', url: 'https://cal.example/rep' });
+        expect(res.body.data.score).toBeUndefined();
+
+        expect(storedQualification()).toMatchObject({ score: 100, tier: 'hot' });
+        expect(storedQualification().routedActions.map(a => [a.action, a.status])).toEqual([['book_meeting', 'done'], ['alert', 'done']]);
+
+        const alerts = Object.values(admin._mockData.collections[`notifications/${OWNER}/alerts`]);
+        expect(alerts).toEqual([expect.objectContaining({ threshold: 'outreach_now', accountKey: 'precall:form1', domain: 'clinic.com', accountScore: 100 })]);
+    });
+
+    test('nurture-tier prospects are pushed to Instantly with the configured campaign', async () => {
+        seed({
+            rubric: { instantlyCampaignId: 'camp1' },
+            users: { integrations: { instantly: { apiKey: 'plain-key' } } },
+        });
+
+        const res = await submit({ challenge: 'Keeping track of patient recalls', timeline: '6+ months', budget: 'Not sure yet' });
+
+        expect(res.body.data.nextStep).toBeNull();
+        expect(storedQualification().tier).toBe('nurture');
+        expect(instantlyService.pushLead).toHaveBeenCalledWith('plain-key', expect.objectContaining({
+            email: 'dana@clinic.com',
+            firstName: 'Dana',
+            campaignId: 'camp1',
+            customVariables: expect.objectContaining({ synchintro_precall_tier: 'nurture' }),
+        }));
+    });
+
+    test('records a skipped action when Instantly is not connected', async () => {
+        seed({ rubric: { instantlyCampaignId: 'camp1' } });
+
+        await submit({ challenge: 'Keeping track of patient recalls', timeline: '6+ months', budget: 'Not sure yet' });
+
+        expect(instantlyService.pushLead).not.toHaveBeenCalled();
+        expect(storedQualification().routedActions).toEqual([
+            { action: 'instantly', status: 'skipped', reason: 'Instantly API key not configured' },
+        ]);
+    });
+
+    test('the default rubric pushes nothing to Instantly until a campaign is configured', async () => {
+        seed({ users: { integrations: { instantly: { apiKey: 'plain-key' } } } });
+
+        await submit({ challenge: 'Keeping track of patient recalls', timeline: '6+ months', budget: 'Not sure yet' });
+
+        expect(instantlyService.pushLead).not.toHaveBeenCalled();
+        expect(admin._mockData.collections.instantlyPushLogs).toBeUndefined();
+        expect(storedQualification().routedActions).toEqual([
+            { action: 'instantly', status: 'skipped', reason: 'No Instantly campaign configured' },
+        ]);
+    });
+
+    test('disqualified prospects are not routed anywhere', async () => {
+        seed();
+
+        await submit({ challenge: 'Just curious about options', timeline: 'Just exploring', budget: 'Under $100/mo' });
+
+        expect(storedQualification()).toMatchObject({ tier: 'disqualified', disqualified: true, routedActions: [] });
+    });
+});
+
+describe('PUT /precall-forms/rubric', () => {
+    async function put(body) {
+        const res = testUtils.mockResponse();
+        await precallFormRoutes.handle(testUtils.mockRequest({ method: 'PUT', path: '/precall-forms/rubric', body, userId: OWNER }), res);
+        return res;
+    }
+
+    test('saves a custom rubric and rejects invalid tiers', async () => {
+        seed();
+
+        const saved = await put({ icpWeight: 0, tiers: [{ id: 'cold', minScore: 0, actions: [] }, { id: 'hot', minScore: 60, actions: ['book_meeting'] }] });
+        expect(saved.statusCode).toBe(200);
+        expect(saved.body.data.tiers.map(t => t.id)).toEqual(['hot', 'cold']);
+        expect(admin._mockData.collections.precallRubrics[OWNER].icpWeight).toBe(0);
+
+        const invalid = await put({ tiers: [{ id: 'warm', minScore: 40, actions: ['alert'], alertThreshold: 'lukewarm' }] });
+        expect(invalid.statusCode).toBe(400);
+        expect(invalid.body.details).toEqual([
+            'tiers must include one with minScore 0',
+            'Tier warm: alertThreshold must be one of warming, hot, outreach_now',
+        ]);
+    });
+
+    test('rejects unknown rule operators and non-http booking links', async () => {
+        seed();
+
+        const invalid = await put({
+            disqualifiers: [{ rule: { any: [{ questionId: 'budget', operator: 'matches', value: 'x' }, { questionId: 'timeline', operator: 'constructor' }] }, reason: 'No budget' }],
+            bookingUrl: 'javascript:alert(1)',
+        });
+        expect(invalid.statusCode).toBe(400);
+        expect(invalid.body.details).toEqual([
+            'disqualifiers[0] uses unknown operator: matches',
+            'disqualifiers[0] uses unknown operator: constructor',
+            'bookingUrl must be an http(s) URL',
+        ]);
+
+        const saved = await put({
+            disqualifiers: [{ rule: { questionId: 'budget', operator: 'notEquals', value: 'Enterprise' }, reason: 'Too small' }],
+            bookingUrl: 'https://cal.example.com/me',
+        });
+        expect(saved.statusCode).toBe(200);
+    });
+});
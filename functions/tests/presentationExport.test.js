@@ -0,0 +1,138 @@
+'use strict';
+
+/**
+ * Presentation export formats: standard PPTX, the Google Slides-friendly PPTX profile and ODP
+ * (api/export.js buildPptxBuffer/generatePPT, templates/pptTemplate.js, services/odpWriter.js).
+ */
+
+jest.mock('firebase-admin');
+jest.mock('../middleware/planGate', () => ({
+    getUserPlanForRequest: jest.fn(),
+}));
+
+const AdmZip = require('adm-zip');
+const admin = require('firebase-admin');
+const { getUserPlanForRequest } = require('../middleware/planGate');
+const exportApi = require('../api/export');
+
+const PITCH = {
+    userId: 'user1',
+    pitchLevel: 3,
+    businessName: 'Acme Dental',
+    industry: 'Dental',
+    googleRating: 4.7,
+    numReviews: 212,
+    reviewAnalysis: { sentiment: { positive: 80, neutral: 15, negative: 5 }, topThemes: ['Gentle staff', 'On time'] },
+    roiData: { sixMonthRevenue: 12000, sixMonthCost: 1500, roi: 700 },
+    formData: { statedProblem: 'new patient bookings', bookingUrl: 'https://cal.example.com/acme' },
+    speakerNotes: {
+        title: 'Acme opened a second chair in March; lead with that.',
+        roi: 'The $12,000 projection assumes 40 extra visits; confirm their average ticket.',
+    },
+};
+
+function entries(buffer) {
+    return new AdmZip(buffer).getEntries().map(e => e.entryName);
+}
+
+function readEntry(buffer, name) {
+    return new AdmZip(buffer).readAsText(name);
+}
+
+beforeEach(() => {
+    admin._resetMockData();
+    jest.clearAllMocks();
+    getUserPlanForRequest.mockResolvedValue('scale');
+});
+
+describe('buildPptxBuffer', () => {
+    // PptxGenJS always writes (empty) notes slides, so notes are checked by content
+    test('standard pptx keeps the chart object and has no speaker notes', async () => {
+        const buffer = await exportApi.buildPptxBuffer(PITCH, 'pptx');
+
+        expect(entries(buffer)).toContain('ppt/charts/chart1.xml');
+        expect(readEntry(buffer, 'ppt/notesSlides/notesSlide5.xml')).not.toContain('$12,000');
+    });
+
+    test('slides profile draws charts natively and carries the Level 3 notes slide by slide', async () => {
+        const buffer = await exportApi.buildPptxBuffer(PITCH, 'slides');
+        const names = entries(buffer);
+
+        expect(names).not.toContain('ppt/charts/chart1.xml');
+        expect(readEntry(buffer, 'ppt/notesSlides/notesSlide1.xml')).toContain('second chair in March');
+        expect(readEntry(buffer, 'ppt/notesSlides/notesSlide5.xml')).toContain('$12,000 projection');
+        expect(readEntry(buffer, 'ppt/slides/slide2.xml')).toContain('Positive: 80%');
+    });
+
+    test('slides without a stored note get no made-up talk track', async () => {
+        const buffer = await exportApi.buildPptxBuffer({ ...PITCH, speakerNotes: null }, 'slides');
+
+        for (const n of [1, 5, 7, 10]) {
+            expect(readEntry(buffer, `ppt/notesSlides/notesSlide${n}.xml`)).not.toMatch(/Acme|\$12,000|rollout|booking/);
+        }
+    });
+
+    test('the data analyst briefing carries the notes onto its matching slides', async () => {
+        const buffer = await exportApi.buildPptxBuffer({ ...PITCH, style: 'data_analyst' }, 'slides');
+
+        expect(readEntry(buffer, 'ppt/notesSlides/notesSlide1.xml')).toContain('second chair in March');
+        expect(readEntry(buffer, 'ppt/notesSlides/notesSlide6.xml')).toContain('$12,000 projection');
+    });
+
+    test('odp is a valid OpenDocument package with native text and notes', async () => {
+        const buffer = await exportApi.buildPptxBuffer(PITCH, 'odp');
+        const zip = new AdmZip(buffer);
+        const [first] = zip.getEntries();
+
+        expect(first.entryName).toBe('mimetype');
+        expect(first.header.method).toBe(0);
+        expect(zip.readAsText('mimetype')).toBe('application/vnd.oasis.opendocument.presentation');
+
+        const content = zip.readAsText('content.xml');
+        expect(content.match(/<draw:page /g)).toHaveLength(10);
+        expect(content).toContain('Acme Dental');
+        expect(content).toContain('Positive: 80%');
+        expect(content).toContain('presentation:class="notes"');
+        expect(content).toContain('second chair in March');
+        expect(zip.readAsText('styles.xml')).toContain('fo:page-width="10.000in"');
+    });
+
+    test('renders the data analyst briefing to odp, tables included', async () => {
+        const buffer = await exportApi.buildPptxBuffer({ ...PITCH, style: 'data_analyst' }, 'odp');
+        const content = readEntry(buffer, 'content.xml');
+
+        expect(content.match(/<draw:page /g)).toHaveLength(10);
+        expect(content).toContain('Review Count');
+    });
+
+    test('rejects unknown formats', async () => {
+        await expect(exportApi.buildPptxBuffer(PITCH, 'key')).rejects.toThrow('Unsupported presentation format');
+    });
+});
+
+describe('POST /export/ppt/:pitchId', () => {
+    function request(format) {
+        return testUtils.mockRequest({ method: 'POST', userId: 'user1', params: { pitchId: 'p1' }, body: { format } });
+    }
+
+    beforeEach(() => {
+        admin._setMockCollection('pitches', { p1: PITCH });
+    });
+
+    test('serves the ODP with its own content type and extension', async () => {
+        const res = testUtils.mockResponse();
+        await exportApi.generatePPT(request('odp'), res);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.headers['Content-Type']).toBe('application/vnd.oasis.opendocument.presentation');
+        expect(res.headers['Content-Disposition']).toContain('Acme_Dental_pitch.odp');
+    });
+
+    test('rejects an unsupported format before loading the pitch', async () => {
+        const res = testUtils.mockResponse();
+        await exportApi.generatePPT(request('keynote'), res);
+
+        expect(res.statusCode).toBe(400);
+        expect(getUserPlanForRequest).not.toHaveBeenCalled();
+    });
+});
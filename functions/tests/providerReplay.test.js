@@ -0,0 +1,175 @@
+'use strict';
+
+/**
+ * Tests for the provider record/replay layer (services/providerReplay.js) and an offline
+ * end-to-end run of pitchEnricher.enrichProspect() from recorded fixtures.
+ */
+
+jest.mock('firebase-admin');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const providerReplay = require('../services/providerReplay');
+
+let fixturesDir;
+
+beforeEach(() => {
+    fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'provider-fixtures-'));
+    process.env.PROVIDER_FIXTURES_DIR = fixturesDir;
+});
+
+afterEach(() => {
+    delete process.env.PROVIDER_MODE;
+    delete process.env.PROVIDER_FIXTURES_DIR;
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+});
+
+/**
+ * wrapClient only wraps real async functions, so the fake provider counts its own calls
+ */
+function fakeClient() {
+    const calls = { search: 0, failing: 0 };
+    return {
+        calls,
+        async search(query) {
+            calls.search++;
+            return { results: [`live:${query.q}`], fetchedAt: new Date('2026-01-01') };
+        },
+        async failing() {
+            calls.failing++;
+            const error = new Error('Serper 429');
+            error.status = 429;
+            throw error;
+        },
+        score: x => x * 2,
+        legacy: () => Promise.resolve('live'),
+    };
+}
+
+describe('wrapClient', () => {
+    test('live mode passes through and writes nothing', async () => {
+        const raw = fakeClient();
+        const client = providerReplay.wrapClient('serper', raw);
+
+        await expect(client.search({ q: 'dentists' })).resolves.toMatchObject({ results: ['live:dentists'] });
+        expect(fs.readdirSync(fixturesDir)).toEqual([]);
+    });
+
+    test('record then replay returns the recorded response without calling the provider', async () => {
+        const raw = fakeClient();
+        const client = providerReplay.wrapClient('serper', raw);
+
+        process.env.PROVIDER_MODE = 'record';
+        await client.search({ q: 'dentists', city: 'Atlanta' });
+
+        const [file] = fs.readdirSync(path.join(fixturesDir, 'serper'));
+        const fixture = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'serper', file), 'utf8'));
+        expect(fixture).toMatchObject({ provider: 'serper', operation: 'search', request: [{ city: 'Atlanta', q: 'dentists' }] });
+
+        process.env.PROVIDER_MODE = 'replay';
+        // Key order and callbacks do not change the fixture key
+        const replayed = await client.search({ city: 'Atlanta', q: 'dentists', onProgress: () => {} });
+
+        expect(raw.calls.search).toBe(1);
+        expect(replayed).toEqual({ results: ['live:dentists'], fetchedAt: '2026-01-01T00:00:00.000Z' });
+    });
+
+    test('recorded failures replay as the same error', async () => {
+        const raw = fakeClient();
+        const client = providerReplay.wrapClient('serper', raw);
+
+        process.env.PROVIDER_MODE = 'record';
+        await expect(client.failing('x')).rejects.toThrow('Serper 429');
+
+        process.env.PROVIDER_MODE = 'replay';
+        await expect(client.failing('x')).rejects.toMatchObject({ message: 'Serper 429', status: 429, replayed: true });
+        expect(raw.calls.failing).toBe(1);
+    });
+
+    test('replay without a fixture throws instead of reaching the network', async () => {
+        const raw = fakeClient();
+        const client = providerReplay.wrapClient('serper', raw);
+        process.env.PROVIDER_MODE = 'replay';
+
+        await expect(client.search({ q: 'plumbers' })).rejects.toMatchObject({
+            code: 'PROVIDER_FIXTURE_MISSING',
+            provider: 'serper',
+            operation: 'search',
+        });
+        expect(raw.calls.search).toBe(0);
+    });
+
+    test('leaves sync helpers alone and honours per-function keys', async () => {
+        const raw = fakeClient();
+        const client = providerReplay.wrapClient('serper', raw, { keys: { search: args => [args[0].q] } });
+        expect(client.score(2)).toBe(4);
+
+        providerReplay.saveFixture('serper', 'search', ['roofers'], { response: { results: ['recorded'] } });
+        process.env.PROVIDER_MODE = 'replay';
+
+        await expect(client.search({ q: 'roofers', reportId: 'per-run-id' })).resolves.toEqual({ results: ['recorded'] });
+    });
+
+    test('a sync export that returns a promise fails loudly outside live mode', async () => {
+        const client = providerReplay.wrapClient('serper', fakeClient());
+        await expect(client.legacy()).resolves.toBe('live');
+
+        process.env.PROVIDER_MODE = 'replay';
+        expect(() => client.legacy()).toThrow('serper.legacy returned a promise but is not async');
+        expect(client.score(3)).toBe(6);
+    });
+
+    test('rejects an unknown mode', async () => {
+        process.env.PROVIDER_MODE = 'offline';
+        await expect(providerReplay.wrapClient('serper', fakeClient()).search({ q: 'x' })).rejects.toThrow(/Unknown PROVIDER_MODE/);
+    });
+});
+
+describe('wrapGenerativeAI', () => {
+    test('replays generateContent with a response.text() shape', async () => {
+        const generateContent = jest.fn().mockResolvedValue({
+            response: { text: () => '{"ok":true}', usageMetadata: { promptTokenCount: 3 } },
+        });
+        const genAI = providerReplay.wrapGenerativeAI({ getGenerativeModel: () => ({ generateContent }) });
+        const request = { contents: [{ role: 'user', parts: [{ text: 'hi' }] }] };
+
+        process.env.PROVIDER_MODE = 'record';
+        await genAI.getGenerativeModel({ model: 'gemini-2.5-flash' }).generateContent(request);
+
+        process.env.PROVIDER_MODE = 'replay';
+        const result = await genAI.getGenerativeModel({ model: 'gemini-2.5-flash' }).generateContent(request);
+
+        expect(result.response.text()).toBe('{"ok":true}');
+        expect(result.response.usageMetadata).toEqual({ promptTokenCount: 3 });
+        expect(generateContent).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('pitchEnricher offline', () => {
+    test('enrichProspect runs end to end from fixtures with no network', async () => {
+        const { enrichProspect } = require('../services/pitchEnricher');
+        const fetchSpy = jest.spyOn(global, 'fetch').mockImplementation(() => {
+            throw new Error('network access in replay mode');
+        });
+
+        providerReplay.saveFixture('prospectResearchAgent', 'research', [{
+            businessName: 'Acme Dental', city: 'Atlanta', state: 'GA', industry: 'Dental', icpType: '',
+        }], { response: { success: true, businessProfile: { name: 'Acme Dental', rating: 4.8, reviewCount: 212 } } });
+        providerReplay.saveFixture('newsIntelligenceAgent', 'researchNews', [{
+            companyName: 'Acme Dental', industry: 'Dental', location: 'Atlanta, GA', websiteUrl: '',
+        }], { error: { message: 'NEWSDATA_API_KEY not configured' } });
+        providerReplay.saveFixture('vertexSearch', 'groundedSearch', [
+            'Dental local business sales pitch', 'Business: Acme Dental, City: Atlanta',
+        ], { response: [{ title: 'Dental playbook', snippet: 'Lead with reviews' }] });
+
+        process.env.PROVIDER_MODE = 'replay';
+        const result = await enrichProspect({ businessName: 'Acme Dental', city: 'Atlanta', state: 'GA', industry: 'Dental' });
+
+        expect(result.sourcesUsed).toEqual(['prospect_research', 'kb_search']);
+        expect(result.prospectData.businessProfile.reviewCount).toBe(212);
+        expect(result.newsData).toBeNull();
+        expect(fetchSpy).not.toHaveBeenCalled();
+        fetchSpy.mockRestore();
+    });
+});
@@ -0,0 +1,152 @@
+'use strict';
+
+/**
+ * Talk-track analytics for transcripts: services/transcriptAnalytics.js,
+ * POST /transcript/analytics and analytics stored with POST /transcript/leave-behind.
+ */
+
+jest.mock('firebase-admin');
+jest.mock('../services/geminiClient', () => ({ generateJSON: jest.fn() }));
+jest.mock('../middleware/planGate', () => ({ getUserPlan: jest.fn() }));
+
+const admin = require('firebase-admin');
+const geminiClient = require('../services/geminiClient');
+const { getUserPlan } = require('../middleware/planGate');
+const { parseTranscript } = require('../services/transcriptParser');
+const { cleanupDiarization, computeAnalytics, toSeconds } = require('../services/transcriptAnalytics');
+const transcriptRoutes = require('../routes/transcriptRoutes');
+
+const VTT = [
+    'WEBVTT',
+    '',
+    '00:00:00.000 --> 00:00:10.000',
+    'Dana Rep: Thanks for joining. How are new patient bookings going?',
+    '',
+    '00:00:10.000 --> 00:00:40.000',
+    'DR. LEE: Honestly slow. We rely on referrals and our website barely converts.',
+    '',
+    '00:00:41.000 --> 00:01:00.000',
+    'dr. lee: Our front desk is swamped too.',
+    '',
+    '00:00:58.000 --> 00:01:10.000',
+    'Dana Rep: Got it. What does a new patient mean in revenue?',
+    '',
+    '00:01:10.000 --> 00:01:20.000',
+    'Dr. Lee: About twelve hundred dollars.',
+    '',
+    '00:01:20.000 --> 00:01:30.000',
+    "Dana Rep: Great. I'll send over the proposal by Friday, and let's schedule a demo with your office manager.",
+].join('\n');
+
+describe('toSeconds', () => {
+    test('reads the timestamp shapes the parsers emit', () => {
+        expect(toSeconds('00:01:10.500')).toBe(70.5);
+        expect(toSeconds('01:02:03')).toBe(3723);
+        expect(toSeconds('4:05')).toBe(245);
+        expect(toSeconds(null)).toBeNull();
+        expect(toSeconds('soon')).toBeNull();
+    });
+});
+
+describe('cleanupDiarization', () => {
+    test('normalizes speaker labels and merges split turns', () => {
+        const turns = cleanupDiarization(parseTranscript(VTT).entries);
+
+        expect(turns.map(t => t.speaker)).toEqual(['Dana Rep', 'Dr. Lee', 'Dana Rep', 'Dr. Lee', 'Dana Rep']);
+        expect(turns[1]).toMatchObject({ start: 10, end: 60 });
+        expect(turns[1].text).toContain('swamped');
+    });
+
+    test('estimates turn ends for start-only formats', () => {
+        const gong = '[0:00] Rep: Hi there, thanks for the time today.\n[5:00] Prospect: Sure.';
+        const [first] = cleanupDiarization(parseTranscript(gong).entries);
+
+        // 7 words at 150 wpm, not the five-minute gap to the next turn
+        expect(first.end).toBeCloseTo(2.8);
+    });
+});
+
+describe('computeAnalytics', () => {
+    test('computes talk ratios, monologue, questions, interruptions and commitments', () => {
+        const analytics = computeAnalytics(parseTranscript(VTT), { sellerName: 'dana rep' });
+
+        expect(analytics).toMatchObject({
+            hasTimestamps: true,
+            durationSeconds: 90,
+            speakerCount: 2,
+            questionCount: 2,
+            interruptionCount: 1,
+            seller: { speaker: 'Dana Rep', talkRatio: 0.35, listenRatio: 0.65 },
+            longestMonologue: { speaker: 'Dr. Lee', durationSeconds: 50, startSeconds: 10 },
+        });
+        expect(analytics.speakers[0]).toMatchObject({ speaker: 'Dr. Lee', talkSeconds: 60, turns: 2 });
+        expect(analytics.speakers[1]).toMatchObject({ speaker: 'Dana Rep', questions: 2, interruptionsMade: 1 });
+        expect(analytics.nextStepCommitments.map(c => c.text)).toEqual([
+            "I'll send over the proposal by Friday, and let's schedule a demo with your office manager.",
+        ]);
+    });
+
+    test('counts cut-off turns as interruptions when there are no end times', () => {
+        const fireflies = [
+            'Alex (0:00) So the reason we built it was --',
+            'Sam (0:04) Sorry, what does it cost?',
+            'Alex (0:08) Fair question. We will follow up with pricing tomorrow.',
+        ].join('\n');
+
+        const analytics = computeAnalytics(parseTranscript(fireflies));
+        expect(analytics.interruptionCount).toBe(1);
+        expect(analytics.speakers.find(s => s.speaker === 'Sam').interruptionsMade).toBe(1);
+        expect(analytics.nextStepCommitments).toHaveLength(1);
+    });
+
+    test('plain text still yields word-based talk time and no timeline', () => {
+        const analytics = computeAnalytics(parseTranscript('We talked about pricing. Any questions?'));
+        expect(analytics).toMatchObject({ hasTimestamps: false, durationSeconds: null, questionCount: 1, speakerCount: 1 });
+    });
+});
+
+describe('transcript routes', () => {
+    function request(path, body, userId = 'user1') {
+        return testUtils.mockRequest({ method: 'POST', path, body, userId });
+    }
+
+    beforeEach(() => {
+        admin._resetMockData();
+        jest.clearAllMocks();
+        getUserPlan.mockResolvedValue('growth');
+    });
+
+    test('POST /transcript/analytics returns analytics without calling the model', async () => {
+        const res = testUtils.mockResponse();
+        await transcriptRoutes.handle(request('/transcript/analytics', { content: VTT, sellerName: 'Dana Rep' }), res);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.format).toBe('VTT');
+        expect(res.body.data.seller.talkRatio).toBe(0.35);
+        expect(geminiClient.generateJSON).not.toHaveBeenCalled();
+    });
+
+    test('POST /transcript/analytics validates content', async () => {
+        const res = testUtils.mockResponse();
+        await transcriptRoutes.handle(request('/transcript/analytics', {}), res);
+        expect(res.statusCode).toBe(400);
+    });
+
+    test('POST /transcript/leave-behind stores the leave-behind with its analytics', async () => {
+        geminiClient.generateJSON.mockResolvedValue({ data: { headline: 'Fill the chairs' }, usage: { inputTokens: 5 } });
+        const res = testUtils.mockResponse();
+        await transcriptRoutes.handle(request('/transcript/leave-behind', {
+            meetingData: { prospect: 'Lee Dental' },
+            content: VTT,
+            sellerName: 'Dana Rep',
+        }), res);
+
+        expect(res.statusCode).toBe(200);
+        const stored = admin._mockData.collections.leaveBehinds[res.body.leaveBehindId];
+        expect(stored).toMatchObject({
+            userId: 'user1',
+            content: { headline: 'Fill the chairs' },
+            analytics: { interruptionCount: 1, seller: { speaker: 'Dana Rep' } },
+        });
+    });
+});
@@ -0,0 +1,191 @@
+'use strict';
+
+/**
+ * Teams DOCX, Chorus JSON and Grain JSON transcript ingestion
+ * (services/transcriptParser.js and the /transcript routes that read them).
+ */
+
+jest.mock('firebase-admin');
+jest.mock('../services/geminiClient', () => ({ generateJSON: jest.fn() }));
+
+const geminiClient = require('../services/geminiClient');
+const { buildDocx } = require('../services/docxWriter');
+const transcriptParser = require('../services/transcriptParser');
+const transcriptRoutes = require('../routes/transcriptRoutes');
+
+const CHORUS = {
+    recording: {
+        utterances: [
+            { speaker_name: 'Dana Rep', speaker_type: 'rep', snippet_time: 1.5, end_time: 6, snippet: 'How are bookings going?' },
+            { speaker_name: 'Dr. Lee', speaker_type: 'prospect', snippet_time: 6.2, snippet: 'Slow since spring.' },
+        ],
+    },
+};
+
+const GRAIN = {
+    transcript: [
+        { speaker: { name: 'Dana Rep' }, start: 0, end: 4200, text: 'Thanks for making time.' },
+        { speaker: 'Dr. Lee', start: 4200, end: 61000, text: 'Happy to.' },
+    ],
+};
+
+function paragraphs(lines) {
+    return lines.map(text => ({ type: 'paragraph', runs: [{ text }] }));
+}
+
+function teamsDocx() {
+    return buildDocx(paragraphs([
+        'Weekly sync',
+        'Transcript',
+        'March 3, 2026, 2:00PM',
+        'Dana Rep started transcription',
+        'Dana Rep   0:03',
+        'Thanks for joining.',
+        'Dr. Lee   1:02:07',
+        'Happy to be here.',
+    ]));
+}
+
+describe('Chorus and Grain JSON', () => {
+    test('detects and parses Chorus exports into timestamped entries', () => {
+        const result = transcriptParser.parseTranscript(JSON.stringify(CHORUS));
+
+        expect(result.format).toBe('CHORUS');
+        expect(result.entries[0]).toEqual({
+            startTime: '00:00:01.500',
+            endTime: '00:00:06.000',
+            speaker: 'Dana Rep',
+            speakerRole: 'rep',
+            text: 'How are bookings going?',
+        });
+        expect(result.entries[1].endTime).toBeUndefined();
+        expect(result.plainText).toBe('Dana Rep: How are bookings going?\n\nDr. Lee: Slow since spring.');
+    });
+
+    test('detects Grain exports and converts millisecond offsets', () => {
+        const result = transcriptParser.parseTranscript(GRAIN);
+
+        expect(result.format).toBe('GRAIN');
+        expect(result.speakerCount).toBe(2);
+        expect(result.entries[1]).toEqual({ startTime: '00:00:04.200', endTime: '00:01:01.000', speaker: 'Dr. Lee', text: 'Happy to.' });
+    });
+
+    test('other JSON is not mistaken for a transcript export', () => {
+        expect(transcriptParser.detectFormat('{"hello": "world"}')).toBe('PLAIN');
+    });
+});
+
+describe('Teams DOCX', () => {
+    test('parses the current speaker-and-offset layout', async () => {
+        const result = await transcriptParser.parseTranscriptFile(teamsDocx(), { filename: 'Weekly sync.docx' });
+
+        expect(result.format).toBe('TEAMS_DOCX');
+        expect(result.entries).toEqual([
+            { startTime: '00:00:03.000', speaker: 'Dana Rep', text: 'Thanks for joining.' },
+            { startTime: '01:02:07.000', speaker: 'Dr. Lee', text: 'Happy to be here.' },
+        ]);
+    });
+
+    test('parses the older range-then-speaker layout', async () => {
+        const docx = buildDocx(paragraphs([
+            '0:0:0.0 --> 0:0:3.510',
+            'Dana Rep',
+            'Thanks for joining.',
+            '0:0:3.510 --> 0:0:5.0',
+            'Dr. Lee',
+            'Happy to be here.',
+        ]));
+        const result = await transcriptParser.parseTranscriptFile(docx);
+
+        expect(result.entries[0]).toEqual({ startTime: '00:00:00.000', endTime: '00:00:03.510', speaker: 'Dana Rep', text: 'Thanks for joining.' });
+        expect(result.entries[1].speaker).toBe('Dr. Lee');
+    });
+
+    test('pasted text needs whole-line speaker headers, not a stray time', () => {
+        expect(transcriptParser.detectFormat('Notes from the call  10:30\nWe agreed on pricing.')).toBe('PLAIN');
+        expect(transcriptParser.detectFormat('Recap: we spoke at length about timing and budget   3:15')).toBe('PLAIN');
+        expect(transcriptParser.detectFormat('Dana Rep   0:03\nThanks for joining.\nDr. Lee   0:09\nHappy to be here.')).toBe('TEAMS_DOCX');
+    });
+
+    test('feeds extractMeetingData the same way as text formats', async () => {
+        geminiClient.generateJSON.mockResolvedValue({ data: { summary: 'ok' }, usage: {} });
+        const parsed = await transcriptParser.parseTranscriptFile(teamsDocx());
+
+        const result = await transcriptParser.extractMeetingData(parsed);
+        expect(result.metadata).toMatchObject({ format: 'TEAMS_DOCX', speakerCount: 2, entryCount: 2 });
+        expect(geminiClient.generateJSON.mock.calls[0][1]).toContain('Dr. Lee: Happy to be here.');
+    });
+});
+
+describe('transcript routes', () => {
+    function multipart(buffer, filename, { path = '/transcript/parse', fields = {} } = {}) {
+        const boundary = '----transcript-test';
+        const rawBody = Buffer.concat([
+            ...Object.entries(fields).map(([name, value]) =>
+                Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`)),
+            Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${filename}"\r\n` +
+                'Content-Type: application/octet-stream\r\n\r\n'),
+            buffer,
+            Buffer.from(`\r\n--${boundary}--\r\n`),
+        ]);
+        return testUtils.mockRequest({
+            method: 'POST',
+            path,
+            headers: { 'content-type': `multipart/form-data; boundary=${boundary}` },
+            rawBody,
+        });
+    }
+
+    test('accepts a Teams .docx upload', async () => {
+        const res = testUtils.mockResponse();
+        await transcriptRoutes.handle(multipart(teamsDocx(), 'sync.docx'), res);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data).toMatchObject({ format: 'TEAMS_DOCX', entryCount: 2 });
+        expect(res.body.data.preview).toContain('Dr. Lee: Happy to be here.');
+        expect(res.body.data.entries).toBeUndefined();
+    });
+
+    test('analytics read a Teams .docx upload with its speakers and timestamps', async () => {
+        const res = testUtils.mockResponse();
+        await transcriptRoutes.handle(multipart(teamsDocx(), 'sync.docx', { path: '/transcript/analytics', fields: { sellerName: 'Dana Rep' } }), res);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.format).toBe('TEAMS_DOCX');
+        expect(res.body.data.seller).toBeTruthy();
+    });
+
+    test('summary takes a Grain export object in a JSON body', async () => {
+        geminiClient.generateJSON.mockResolvedValue({ data: { oneSentenceSummary: 'ok' } });
+        const res = testUtils.mockResponse();
+        await transcriptRoutes.handle(testUtils.mockRequest({ method: 'POST', path: '/transcript/summary', body: { content: GRAIN } }), res);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.format).toBe('GRAIN');
+        expect(geminiClient.generateJSON.mock.calls[0][1]).toContain('Dr. Lee: Happy to.');
+    });
+
+    test('holds non-docx uploads to the 500KB text limit', async () => {
+        const res = testUtils.mockResponse();
+        await transcriptRoutes.handle(multipart(Buffer.from('x'.repeat(500001)), 'call.txt'), res);
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.error).toContain('500KB');
+    });
+
+    test('accepts a Chorus export object in a JSON body', async () => {
+        const res = testUtils.mockResponse();
+        await transcriptRoutes.handle(testUtils.mockRequest({ method: 'POST', path: '/transcript/parse', body: { content: CHORUS } }), res);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data).toMatchObject({ format: 'CHORUS', entryCount: 2 });
+        expect(res.body.data.entries).toBeUndefined();
+        expect(res.body.data.plainText).toBeUndefined();
+    });
+
+    test('rejects a multipart request without a file', async () => {
+        const res = testUtils.mockResponse();
+        await transcriptRoutes.handle(multipart(Buffer.alloc(0), 'empty.docx'), res);
+        expect(res.statusCode).toBe(400);
+    });
+});
@@ -0,0 +1,182 @@
+'use strict';
+
+/**
+ * Tests for side-by-side version comparison and fork-from-version:
+ * diffCalculator.diffWords / compareSnapshots and versionHistory.compareVersions /
+ * forkFromVersion.
+ */
+
+jest.mock('firebase-admin');
+jest.mock('../middleware/planGate', () => ({ getUserPlan: jest.fn().mockResolvedValue('growth') }));
+
+const admin = require('firebase-admin');
+const { diffWords, renderDiffHtml, htmlToText, compareSnapshots } = require('../services/diffCalculator');
+const versionHistory = require('../services/versionHistory');
+const versionRoutes = require('../api/versionRoutes');
+
+function seed() {
+    admin._setMockCollection('pitches', {
+        pitch1: {
+            pitchId: 'pitch1', shareId: 'share1', userId: 'u1', businessName: 'Acme Plumbing',
+            html: '<h1>Acme</h1><p>Grow your reviews fast.</p>', analytics: { views: 12 },
+        },
+    });
+    admin._setMockCollection('pitchVersions', {
+        v1: {
+            pitchId: 'pitch1', versionNumber: 1,
+            snapshot: { pitchId: 'pitch1', shareId: 'share1', userId: 'u1', businessName: 'Acme',
+                        html: '<h1>Acme</h1><p>Grow your reviews.</p>', shared: true },
+        },
+        v2: {
+            pitchId: 'pitch1', versionNumber: 2,
+            snapshot: { pitchId: 'pitch1', shareId: 'share1', userId: 'u1', businessName: 'Acme Co',
+                        html: '<h1>Acme</h1><p>Grow your reviews steadily.</p>', shared: true },
+        },
+        other: { pitchId: 'pitch2', versionNumber: 1, snapshot: {} },
+    });
+}
+
+beforeEach(() => {
+    admin._resetMockData();
+    seed();
+});
+
+describe('diffWords', () => {
+    test('segments re-join to the old and new text', () => {
+        const oldText = 'The quick brown fox jumps';
+        const newText = 'The slow brown fox leaps high';
+        const segments = diffWords(oldText, newText);
+
+        expect(segments.filter(s => s.type !== 'insert').map(s => s.text).join('')).toBe(oldText);
+        expect(segments.filter(s => s.type !== 'delete').map(s => s.text).join('')).toBe(newText);
+        expect(segments).toContainEqual({ type: 'delete', text: 'quick' });
+        expect(segments).toContainEqual({ type: 'insert', text: 'leaps high' });
+    });
+
+    test('identical text is a single equal segment', () => {
+        expect(diffWords('same words', 'same words')).toEqual([{ type: 'equal', text: 'same words' }]);
+    });
+
+    test('falls back to sentence granularity on very large rewrites', () => {
+        const oldText = Array.from({ length: 1500 }, (_, i) => `old${i}`).join(' ') + '. Shared ending.';
+        const newText = Array.from({ length: 1500 }, (_, i) => `new${i}`).join(' ') + '. Shared ending.';
+        const segments = diffWords(oldText, newText);
+
+        expect(segments.filter(s => s.type !== 'insert').map(s => s.text).join('')).toBe(oldText);
+        expect(segments.filter(s => s.type !== 'delete').map(s => s.text).join('')).toBe(newText);
+    });
+
+    test('renderDiffHtml escapes text and wraps changes', () => {
+        const html = renderDiffHtml([
+            { type: 'equal', text: 'a <b> ' },
+            { type: 'delete', text: 'x' },
+            { type: 'insert', text: 'y & z' },
+        ]);
+        expect(html).toBe('a &lt;b&gt; <del class="diff-delete">x</del><ins class="diff-insert">y &amp; z</ins>');
+    });
+
+    test('htmlToText drops markup, scripts and entities', () => {
+        expect(htmlToText('<style>p{}</style><p>Hi&nbsp;there</p><script>x()</script><p>A &amp; B</p>'))
+            .toBe('Hi there\nA & B');
+    });
+});
+
+describe('compareSnapshots', () => {
+    test('lists changed fields with full values and ignores bookkeeping fields', () => {
+        const result = compareSnapshots(
+            { businessName: 'A', pitchLevel: 2, updatedAt: 1, htmlContent: '<p>one two</p>' },
+            { businessName: 'B', pitchLevel: 2, updatedAt: 2, htmlContent: '<p>one three</p>' }
+        );
+
+        expect(result.fields).toEqual([
+            { field: 'businessName', label: 'business name', category: 'metadata', oldValue: 'A', newValue: 'B' },
+        ]);
+        expect(result.content.changed).toBe(true);
+        expect(result.content.stats).toEqual({ wordsAdded: 1, wordsRemoved: 1, wordsUnchanged: 1 });
+    });
+});
+
+describe('versionHistory.compareVersions', () => {
+    test('compares two non-adjacent versions', async () => {
+        admin._mockData.collections.pitchVersions.v3 = {
+            pitchId: 'pitch1', versionNumber: 3, snapshot: { businessName: 'Acme LLC', html: '<p>Grow your reviews steadily.</p>' },
+        };
+
+        const result = await versionHistory.compareVersions('pitch1', 'v1', 'v3');
+
+        expect(result.from.versionNumber).toBe(1);
+        expect(result.to.versionNumber).toBe(3);
+        expect(result.fields.find(f => f.field === 'businessName')).toMatchObject({ oldValue: 'Acme', newValue: 'Acme LLC' });
+        expect(result.content.html).toMatch(/<ins class="diff-insert">[^<]*steadily\.<\/ins>/);
+    });
+
+    test('compares a version against the live pitch', async () => {
+        const result = await versionHistory.compareVersions('pitch1', 'v2', 'current');
+
+        expect(result.to.versionId).toBe('current');
+        expect(result.content.html).toContain('<ins class="diff-insert">fast.</ins>');
+        expect(result.fields.map(f => f.field)).not.toContain('analytics');
+    });
+
+    test('rejects a version from another pitch', async () => {
+        await expect(versionHistory.compareVersions('pitch1', 'other', 'current'))
+            .rejects.toThrow('Version does not belong to this pitch');
+    });
+});
+
+describe('versionHistory.forkFromVersion', () => {
+    test('creates a new pitch from the snapshot and leaves the source untouched', async () => {
+        const result = await versionHistory.forkFromVersion('pitch1', 'v1', 'u1', { businessName: 'Acme (B)' });
+
+        const fork = admin._mockData.collections.pitches[result.pitchId];
+        expect(result.pitchId).not.toBe('pitch1');
+        expect(fork).toMatchObject({
+            pitchId: result.pitchId,
+            userId: 'u1',
+            businessName: 'Acme (B)',
+            html: '<h1>Acme</h1><p>Grow your reviews.</p>',
+            status: 'Draft',
+            forkedFrom: { pitchId: 'pitch1', versionId: 'v1', versionNumber: 1 },
+        });
+        expect(fork.shareId).not.toBe('share1');
+        expect(fork.shared).toBe(false);
+        expect(fork.analytics.views).toBe(0);
+        expect(admin._mockData.collections.pitches.pitch1.businessName).toBe('Acme Plumbing');
+    });
+});
+
+describe('versionRoutes', () => {
+    test('compare requires from', async () => {
+        const res = testUtils.mockResponse();
+        await versionRoutes.compareVersions(testUtils.mockRequest({ userId: 'u1', params: { pitchId: 'pitch1' }, query: {} }), res);
+        expect(res.statusCode).toBe(400);
+    });
+
+    test('fork is refused for a pitch the caller does not own', async () => {
+        const res = testUtils.mockResponse();
+        await versionRoutes.forkVersion(testUtils.mockRequest({ userId: 'u2', params: { pitchId: 'pitch1', versionId: 'v1' } }), res);
+        expect(res.statusCode).toBe(403);
+    });
+
+    test('fork counts against the monthly pitch limit', async () => {
+        const now = new Date();
+        const month = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+        admin._setMockCollection('users', { u1: { pitchCountMonth: month, pitchesThisMonth: 99 } });
+
+        const first = testUtils.mockResponse();
+        await versionRoutes.forkVersion(testUtils.mockRequest({ userId: 'u1', params: { pitchId: 'pitch1', versionId: 'v1' } }), first);
+        expect(first.statusCode).toBe(201);
+        expect(admin._mockData.collections.users.u1.pitchesThisMonth).toBe(100);
+
+        const second = testUtils.mockResponse();
+        await versionRoutes.forkVersion(testUtils.mockRequest({ userId: 'u1', params: { pitchId: 'pitch1', versionId: 'v1' } }), second);
+        expect(second.statusCode).toBe(403);
+        expect(second.body.error).toBe('PITCH_LIMIT_REACHED');
+    });
+
+    test('fork maps a missing version to 404', async () => {
+        const res = testUtils.mockResponse();
+        await versionRoutes.forkVersion(testUtils.mockRequest({ userId: 'u1', params: { pitchId: 'pitch1', versionId: 'nope' } }), res);
+        expect(res.statusCode).toBe(404);
+    });
+});
@@ -0,0 +1,240 @@
+'use strict';
+
+/**
+ * Visitor Intel identity stitching: services/visitorIdentityGraph.js and its use in
+ * POST /visitor-signal/ingest, GET /visitor-accounts and GET /account360/:accountKey/timeline.
+ */
+
+jest.mock('firebase-admin');
+jest.mock('../middleware/rateLimiter', () => ({
+    checkRateLimit: jest.fn(async () => ({ allowed: true })),
+}));
+
+const admin = require('firebase-admin');
+const identityGraph = require('../services/visitorIdentityGraph');
+const visitorSignalRoutes = require('../routes/visitorSignalRoutes');
+
+const MERCHANT = 'merchant1';
+const ACME_KEY = identityGraph.computeAccountKey('acme.com');
+
+function graphAccounts() {
+    return admin._mockData.collections[`visitorIdentityGraph/${MERCHANT}/accounts`] || {};
+}
+
+function minutesAgo(minutes) {
+    return new Date(Date.now() - minutes * 60000).toISOString();
+}
+
+async function ingest(body) {
+    const res = testUtils.mockResponse();
+    await visitorSignalRoutes.handle(testUtils.mockRequest({
+        method: 'POST',
+        path: '/visitor-signal/ingest',
+        body: { merchantId: MERCHANT, learningMode: true, ...body },
+    }), res);
+    return res;
+}
+
+beforeEach(() => {
+    admin._resetMockData();
+    admin._setMockCollection('merchantConfig', { [MERCHANT]: { urlMappings: [] } });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    console.log.mockRestore();
+});
+
+describe('extractIdentifiers', () => {
+    test('collects visitor, email, business domain, NFC, QR and referral identifiers', () => {
+        const identifiers = identityGraph.extractIdentifiers({
+            visitorId: 'v1',
+            events: [
+                { type: 'form_submit', email: 'Pat@Acme.com' },
+                { type: 'nfc_tap', nfcTagId: 'tag-9' },
+                { type: 'qr_entry', qrScanId: 'qr-42' },
+                { type: 'referral_link_entry', referralCode: 'ref-7' },
+                { type: 'page_view', companyDomain: 'comcast.net', isISP: true },
+            ],
+        });
+
+        expect(identifiers).toEqual([
+            { type: 'visitor', value: 'v1' },
+            { type: 'email', value: 'pat@acme.com' },
+            { type: 'domain', value: 'acme.com' },
+            { type: 'nfc', value: 'tag-9' },
+            { type: 'qr', value: 'qr-42' },
+            { type: 'referral', value: 'ref-7' },
+        ]);
+    });
+
+    test('personal mailboxes do not imply a company', () => {
+        expect(identityGraph.businessDomain('pat@gmail.com')).toBeNull();
+        expect(identityGraph.businessDomain('pat@acme.com')).toBe('acme.com');
+    });
+});
+
+describe('decayedIntent', () => {
+    test('halves a session score every half-life', () => {
+        const now = Date.parse('2026-03-01T00:00:00Z');
+        const timeline = [
+            { score: 100, timestamp: '2026-03-01T00:00:00Z' },
+            { score: 100, timestamp: '2026-02-15T00:00:00Z' },
+        ];
+        expect(identityGraph.decayedIntent(timeline, { now, halfLifeDays: 14 })).toBe(150);
+    });
+});
+
+describe('stitchSession', () => {
+    function touch(eventId, score, minutes = 0) {
+        return { eventId, sessionId: eventId, score, timestamp: minutesAgo(minutes), eventTypes: ['page_view'] };
+    }
+
+    test('an anonymous device joins the company account once it submits a form', async () => {
+        const first = await identityGraph.stitchSession(MERCHANT, {
+            visitorId: 'laptop', events: [{ type: 'page_view' }], touch: touch('e1', 40, 30),
+        });
+        expect(first.anonymous).toBe(true);
+
+        const second = await identityGraph.stitchSession(MERCHANT, {
+            visitorId: 'laptop', events: [{ type: 'form_submit', email: 'pat@acme.com' }], touch: touch('e2', 50),
+        });
+
+        expect(second).toMatchObject({ accountKey: ACME_KEY, anonymous: false, domain: 'acme.com', mergedFrom: [first.accountKey] });
+        expect(second.timeline.map(e => e.eventId)).toEqual(['e1', 'e2']);
+        expect(second.cumulativeScore).toBe(90);
+        expect(graphAccounts()[first.accountKey].mergedInto).toBe(ACME_KEY);
+    });
+
+    test('a colleague scanning the same QR code lands on the same account', async () => {
+        await identityGraph.stitchSession(MERCHANT, {
+            visitorId: 'pat-phone',
+            events: [{ type: 'qr_entry', qrScanId: 'qr-42' }, { type: 'form_submit', email: 'pat@acme.com' }],
+            touch: touch('e1', 90),
+        });
+
+        const colleague = await identityGraph.stitchSession(MERCHANT, {
+            visitorId: 'sam-phone', events: [{ type: 'qr_entry', qrScanId: 'qr-42' }], touch: touch('e2', 40),
+        });
+
+        expect(colleague.accountKey).toBe(ACME_KEY);
+        expect(colleague.visitorIds).toEqual(['pat-phone', 'sam-phone']);
+        expect(colleague.timeline[1].touch).toBe('qr');
+    });
+
+    test('two companies scanning the same QR flyer stay separate accounts', async () => {
+        await identityGraph.stitchSession(MERCHANT, {
+            visitorId: 'pat-phone',
+            events: [{ type: 'qr_entry', qrScanId: 'qr-42' }, { type: 'form_submit', email: 'pat@acme.com' }],
+            touch: touch('e1', 90),
+        });
+        const globex = await identityGraph.stitchSession(MERCHANT, {
+            visitorId: 'lee-phone',
+            events: [{ type: 'qr_entry', qrScanId: 'qr-42' }, { type: 'form_submit', email: 'lee@globex.com' }],
+            touch: touch('e2', 60),
+        });
+
+        const GLOBEX_KEY = identityGraph.computeAccountKey('globex.com');
+        expect(globex).toMatchObject({ accountKey: GLOBEX_KEY, domain: 'globex.com', mergedFrom: [], visitorIds: ['lee-phone'] });
+        expect(graphAccounts()[ACME_KEY]).toMatchObject({ domain: 'acme.com', visitorIds: ['pat-phone'] });
+        expect(graphAccounts()[ACME_KEY].mergedInto).toBeUndefined();
+
+        // The flyer stays with the company that first used it
+        const stranger = await identityGraph.stitchSession(MERCHANT, {
+            visitorId: 'kim-phone', events: [{ type: 'qr_entry', qrScanId: 'qr-42' }], touch: touch('e3', 20),
+        });
+        expect(stranger.accountKey).toBe(ACME_KEY);
+    });
+
+    test('a known employee scanning another company\'s flyer stays with their own company', async () => {
+        await identityGraph.stitchSession(MERCHANT, {
+            visitorId: 'pat-phone',
+            events: [{ type: 'qr_entry', qrScanId: 'qr-42' }, { type: 'form_submit', email: 'pat@acme.com' }],
+            touch: touch('e1', 90),
+        });
+        await identityGraph.stitchSession(MERCHANT, {
+            visitorId: 'lee-phone', events: [{ type: 'form_submit', email: 'lee@globex.com' }], touch: touch('e2', 60),
+        });
+
+        const scan = await identityGraph.stitchSession(MERCHANT, {
+            visitorId: 'lee-phone', events: [{ type: 'qr_entry', qrScanId: 'qr-42' }], touch: touch('e3', 30),
+        });
+
+        expect(scan).toMatchObject({ accountKey: identityGraph.computeAccountKey('globex.com'), mergedFrom: [] });
+        expect(graphAccounts()[ACME_KEY].mergedInto).toBeUndefined();
+    });
+
+    test('getAccount follows merges to the surviving account', async () => {
+        const anon = await identityGraph.stitchSession(MERCHANT, { visitorId: 'v1', events: [], touch: touch('e1', 10) });
+        await identityGraph.stitchSession(MERCHANT, {
+            visitorId: 'v1', events: [{ type: 'form_submit', email: 'pat@acme.com' }], touch: touch('e2', 10),
+        });
+
+        const account = await identityGraph.getAccount(MERCHANT, anon.accountKey);
+        expect(account.accountKey).toBe(ACME_KEY);
+    });
+});
+
+describe('POST /visitor-signal/ingest with identity stitching', () => {
+    test('rolls an earlier anonymous session into the company account score', async () => {
+        const anonymous = await ingest({
+            sessionId: 's1',
+            visitorId: 'laptop',
+            events: [
+                { type: 'page_view', page: '/pricing', timestamp: minutesAgo(20) },
+                { type: 'page_view', page: '/demo', timestamp: minutesAgo(19) },
+            ],
+        });
+        expect(anonymous.body.data.accountKey).toBeNull();
+
+        const identified = await ingest({
+            sessionId: 's2',
+            visitorId: 'laptop',
+            events: [
+                { type: 'page_view', page: '/contact', timestamp: minutesAgo(1) },
+                { type: 'form_submit', email: 'pat@acme.com', identitySource: 'form_submit', identityConfidenceScore: 90, timestamp: minutesAgo(1) },
+            ],
+        });
+
+        const { data } = identified.body;
+        expect(data.accountKey).toBe(ACME_KEY);
+        expect(data.mergedAccountKeys).toHaveLength(1);
+        expect(data.accountScore).toBe(anonymous.body.data.sessionScore + data.sessionScore);
+
+        const summary = admin._mockData.collections[`visitorIntelSummary/${MERCHANT}/accounts`][ACME_KEY];
+        expect(summary).toMatchObject({ companyDomain: 'acme.com', visitorCount: 1, contactCount: 1, touchpoints: 2 });
+        expect(summary.sessions.map(s => s.sessionId)).toEqual(['s1', 's2']);
+    });
+
+    test('GET /visitor-accounts hides company accounts merged into another', async () => {
+        admin._setMockCollection(`visitorIntelSummary/${MERCHANT}/accounts`, {
+            a: { accountKey: 'a', accountScore: 10 },
+            b: { accountKey: 'b', accountScore: 5, mergedInto: 'a' },
+        });
+        const res = testUtils.mockResponse();
+        await visitorSignalRoutes.handle(testUtils.mockRequest({ path: '/visitor-accounts', userId: MERCHANT }), res);
+
+        expect(res.body.data.map(a => a.accountKey)).toEqual(['a']);
+    });
+
+    test('GET /account360/:accountKey/timeline returns the stitched committee timeline', async () => {
+        await ingest({
+            sessionId: 's1', visitorId: 'pat',
+            events: [{ type: 'form_submit', email: 'pat@acme.com', timestamp: minutesAgo(5) }],
+        });
+        await ingest({
+            sessionId: 's2', visitorId: 'sam',
+            events: [{ type: 'form_submit', email: 'sam@acme.com', timestamp: minutesAgo(1) }],
+        });
+
+        const res = testUtils.mockResponse();
+        await visitorSignalRoutes.handle(testUtils.mockRequest({
+            path: `/account360/${ACME_KEY}/timeline`, userId: MERCHANT, params: { accountKey: ACME_KEY },
+        }), res);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data).toMatchObject({ domain: 'acme.com', visitorCount: 2, touchpoints: 2 });
+        expect(res.body.data.contacts.map(c => c.email)).toEqual(['pat@acme.com', 'sam@acme.com']);
+        expect(res.body.data.timeline[0].sessionId).toBe('s2');
+    });
+});
@@ -20,6 +20,7 @@
  */
 
 const admin = require('firebase-admin');
+const { wrapClient } = require('../services/providerReplay');
 
 const CACHE_COLLECTION = 'safetyContextCache';
 const RAW_COLLECTION   = 'safetyContextRaw';
@@ -288,4 +289,4 @@ async function writeCache(zipCode, safetyContext) {
     }
 }
 
-module.exports = { getSafetyContext };
+module.exports = wrapClient('safetyContext', { getSafetyContext });
@@ -0,0 +1,98 @@
+'use strict';
+
+/**
+ * Server-Sent Events helpers.
+ *
+ * Shared by the streaming endpoints (POST /api/v1/narratives/stream in api/narratives.js and
+ * POST /pitch/stream in routes/pitchRoutes.js) so they frame events identically and keep the
+ * connection alive through proxies while a slow stage (enrichment, AI drafting) is running.
+ */
+
+const KEEP_ALIVE_MS = 15000;
+
+/**
+ * Switch `res` into an SSE stream.
+ *
+ * Writes after the client disconnects are dropped rather than throwing, so a caller can keep
+ * emitting progress without checking the connection between stages.
+ *
+ * @param {Object} res - HTTP response
+ * @param {Object} [options]
+ * @param {number} [options.keepAliveMs=15000] - comment-line heartbeat interval (0 disables)
+ * @returns {{ send: Function, close: Function, isClosed: Function }}
+ */
+function openEventStream(res, options = {}) {
+    const { keepAliveMs = KEEP_ALIVE_MS } = options;
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+    if (typeof res.flushHeaders === 'function') res.flushHeaders();
+
+    let closed = false;
+    let heartbeat = null;
+
+    const close = () => {
+        if (heartbeat) clearInterval(heartbeat);
+        heartbeat = null;
+        if (closed) return;
+        closed = true;
+        res.end();
+    };
+
+    if (typeof res.on === 'function') {
+        res.on('close', () => {
+            if (heartbeat) clearInterval(heartbeat);
+            closed = true;
+        });
+    }
+
+    if (keepAliveMs > 0) {
+        heartbeat = setInterval(() => {
+            if (!closed) res.write(': keep-alive\n\n');
+        }, keepAliveMs);
+        if (typeof heartbeat.unref === 'function') heartbeat.unref();
+    }
+
+    return {
+        send(eventType, data) {
+            if (closed) return;
+            res.write(`event: ${eventType}\n`);
+            res.write(`data: ${JSON.stringify(data)}\n\n`);
+        },
+        close,
+        isClosed: () => closed
+    };
+}
+
+/**
+ * Minimal stand-in for an HTTP response that records status + JSON body.
+ *
+ * Lets a streaming route reuse a handler written for a plain JSON response
+ * (e.g. pitchGenerator.generatePitch) and relay its result as an SSE event.
+ */
+function captureJsonResponse() {
+    const captured = {
+        statusCode: 200,
+        body: null,
+        headers: {},
+        headersSent: false
+    };
+    captured.status = (code) => {
+        captured.statusCode = code;
+        return captured;
+    };
+    captured.json = (body) => {
+        captured.body = body;
+        captured.headersSent = true;
+        return captured;
+    };
+    captured.setHeader = (name, value) => {
+        captured.headers[name] = value;
+        return captured;
+    };
+    return captured;
+}
+
+module.exports = { openEventStream, captureJsonResponse, KEEP_ALIVE_MS };
@@ -15,9 +15,9 @@
  *     validation check and the actual connect.
  *
  * RESIDUAL GAP (documented, not closed here): we trust the host OS resolver, and pinning
- * relies on the custom agent `lookup` being honored by Node's http(s) stack. Only a HEAD is
- * issued (no response body is fetched). NAT64/Teredo/6to4 embedded-address exotica are not
- * exhaustively decoded.
+ * relies on the custom agent `lookup` being honored by Node's http(s) stack. A HEAD is issued
+ * by default; callers that GET a body ask for a stream and enforce their own size cap.
+ * NAT64/Teredo/6to4 embedded-address exotica are not exhaustively decoded.
  */
 
 const dns = require('dns').promises;
@@ -147,10 +147,11 @@ async function resolveAndValidate(hostname) {
 /**
  * Issue an SSRF-safe request to a user-supplied URL. Redirects are followed manually and
  * every hop is fully re-validated (scheme, credentials, DNS, address ranges). The socket is
- * pinned to the validated address via a custom agent `lookup`.
+ * pinned to the validated address via a custom agent `lookup`. Pass maxRedirects: 0 to refuse
+ * redirects outright, and responseType: 'stream' to read a body without buffering it.
  * Throws SsrfError on any violation or transport failure.
  */
-async function ssrfSafeRequest(rawUrl, { timeout = 5000, maxRedirects = 3, method = 'HEAD' } = {}) {
+async function ssrfSafeRequest(rawUrl, { timeout = 5000, maxRedirects = 3, method = 'HEAD', responseType } = {}) {
     let current = parseSafeUrl(rawUrl);
 
     for (let hop = 0; hop <= maxRedirects; hop++) {
@@ -178,12 +179,14 @@ async function ssrfSafeRequest(rawUrl, { timeout = 5000, maxRedirects = 3, metho
                 httpAgent: isHttps ? undefined : agent,
                 httpsAgent: isHttps ? agent : undefined,
                 validateStatus: () => true,  // inspect status ourselves
+                ...(responseType ? { responseType } : {}),
             });
         } catch (err) {
             throw new SsrfError('request_failed', err.message);
         }
 
         if (resp.status >= 300 && resp.status < 400 && resp.headers && resp.headers.location) {
+            if (responseType === 'stream') resp.data.destroy();
             let next;
             try { next = new URL(resp.headers.location, current.href); } catch { throw new SsrfError('bad_redirect'); }
             if (!['http:', 'https:'].includes(next.protocol)) throw new SsrfError('bad_redirect_scheme');